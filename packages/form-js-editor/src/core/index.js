@@ -1,4 +1,4 @@
-import { FieldFactory, Importer, PathRegistry } from '@bpmn-io/form-js-viewer';
+import { FieldFactory, Importer, MigrationRegistry, OptionsProviderRegistry, PathRegistry, TableDataProviderRegistry, ValidatorRegistry } from '@bpmn-io/form-js-viewer';
 
 import { EventBus } from './EventBus';
 import { DebounceFactory } from './Debounce';
@@ -15,9 +15,13 @@ export const CoreModule = {
   debounce: [ 'factory', DebounceFactory ],
   eventBus: [ 'type', EventBus ],
   importer: [ 'type', Importer ],
+  migrationRegistry: [ 'type', MigrationRegistry ],
   formFieldRegistry: [ 'type', FormFieldRegistry ],
   pathRegistry: [ 'type', PathRegistry ],
   formLayouter: [ 'type', FormLayouter ],
   formLayoutValidator: [ 'type', FormLayoutValidator ],
-  fieldFactory: [ 'type', FieldFactory ]
+  fieldFactory: [ 'type', FieldFactory ],
+  validatorRegistry: [ 'type', ValidatorRegistry ],
+  optionsProviderRegistry: [ 'type', OptionsProviderRegistry ],
+  tableDataProviderRegistry: [ 'type', TableDataProviderRegistry ]
 };
\ No newline at end of file
@@ -1,7 +1,7 @@
 import dragula from '@bpmn-io/draggle';
 
 import { set as setCursor } from '../../render/util/Cursor';
-import { getAncestryList } from '@bpmn-io/form-js-viewer';
+import { DATAGRID_COLUMN_TYPES, getAncestryList } from '@bpmn-io/form-js-viewer';
 
 export const DRAG_CONTAINER_CLS = 'fjs-drag-container';
 export const DROP_CONTAINER_VERTICAL_CLS = 'fjs-drop-container-vertical';
@@ -81,6 +81,23 @@ export class Dragging {
     let formField;
     let targetParentId;
 
+    // pages may only be placed at the root of the form
+    const fieldType = formFieldNode ? this._formFieldRegistry.get(formFieldNode.dataset.id).type : element.dataset.fieldType;
+
+    const targetParentNode = isRow(target) ? getFormParent(target) : target;
+    const targetParentFormField = targetParentNode && this._formFieldRegistry.get(targetParentNode.dataset.id);
+
+    if (fieldType === 'page') {
+      if (!targetParentFormField || targetParentFormField.type !== 'default') {
+        return 'Pages can only be placed at the root of the form';
+      }
+    }
+
+    // data grids render their children as table columns
+    if (targetParentFormField && targetParentFormField.type === 'datagrid' && !DATAGRID_COLUMN_TYPES.includes(fieldType)) {
+      return 'Data grids only accept text field, number, select and checkbox columns';
+    }
+
     if (formFieldNode) {
       formField = this._formFieldRegistry.get(formFieldNode.dataset.id);
       columns = (formField.layout || {}).columns;
@@ -103,7 +120,6 @@ export class Dragging {
       }
 
       // (3) check  for path collisions
-      const targetParentFormField = this._formFieldRegistry.get(targetParentId);
       const currentParentFormField = this._formFieldRegistry.get(formField._parent);
 
       if (targetParentFormField !== currentParentFormField) {
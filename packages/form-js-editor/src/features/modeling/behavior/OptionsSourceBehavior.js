@@ -37,7 +37,8 @@ export class OptionsSourceBehavior extends CommandInterceptor {
       // clean up default value
       if (
         get(properties, OPTIONS_SOURCES_PATHS[OPTIONS_SOURCES.EXPRESSION]) !== undefined ||
-        get(properties, OPTIONS_SOURCES_PATHS[OPTIONS_SOURCES.INPUT]) !== undefined
+        get(properties, OPTIONS_SOURCES_PATHS[OPTIONS_SOURCES.INPUT]) !== undefined ||
+        get(properties, OPTIONS_SOURCES_PATHS[OPTIONS_SOURCES.PROVIDER]) !== undefined
       ) {
         newProperties['defaultValue'] = undefined;
       }
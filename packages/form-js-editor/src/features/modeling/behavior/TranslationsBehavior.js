@@ -0,0 +1,75 @@
+import CommandInterceptor from 'diagram-js/lib/command/CommandInterceptor';
+
+import {
+  clone,
+  runRecursively
+} from '@bpmn-io/form-js-viewer';
+
+export class TranslationsBehavior extends CommandInterceptor {
+  constructor(eventBus, modeling, formFieldRegistry) {
+    super(eventBus);
+
+    /**
+     * Keep the translations of the form keyed by form field ID.
+     *
+     * 1) Move translations on changing the ID of a form field
+     * 2) Remove translations of a removed form field and its children
+     */
+    this.preExecute('formField.edit', function(context) {
+      const {
+        formField,
+        properties
+      } = context;
+
+      if (!('id' in properties) || properties.id === formField.id) {
+        return;
+      }
+
+      updateTranslations(translations => {
+        if (!translations[ formField.id ]) {
+          return false;
+        }
+
+        translations[ properties.id ] = translations[ formField.id ];
+
+        delete translations[ formField.id ];
+      });
+    }, true);
+
+    this.preExecute('formField.remove', function(context) {
+      const { formField } = context;
+
+      updateTranslations(translations => {
+        let changed = false;
+
+        runRecursively(formField, ({ id }) => {
+          if (translations[ id ]) {
+            delete translations[ id ];
+
+            changed = true;
+          }
+        });
+
+        return changed;
+      });
+    }, true);
+
+    function updateTranslations(update) {
+      const form = formFieldRegistry.getForm();
+
+      if (!form || !form.translations) {
+        return;
+      }
+
+      const translations = clone(form.translations);
+
+      if (update(translations) === false) {
+        return;
+      }
+
+      modeling.editFormField(form, 'translations', Object.keys(translations).length ? translations : undefined);
+    }
+  }
+}
+
+TranslationsBehavior.$inject = [ 'eventBus', 'modeling', 'formFieldRegistry' ];
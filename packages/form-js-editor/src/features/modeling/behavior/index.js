@@ -5,6 +5,7 @@ import { ValidateBehavior } from './ValidateBehavior';
 import { OptionsSourceBehavior } from './OptionsSourceBehavior';
 import { ColumnsSourceBehavior } from './ColumnsSourceBehavior';
 import { TableDataSourceBehavior } from './TableDataSourceBehavior';
+import { TranslationsBehavior } from './TranslationsBehavior';
 
 export const BehaviorModule = {
   __init__: [
@@ -14,7 +15,8 @@ export const BehaviorModule = {
     'validateBehavior',
     'optionsSourceBehavior',
     'columnsSourceBehavior',
-    'tableDataSourceBehavior'
+    'tableDataSourceBehavior',
+    'translationsBehavior'
   ],
   idBehavior: [ 'type', IdBehavior ],
   keyBehavior: [ 'type', KeyBehavior ],
@@ -22,5 +24,6 @@ export const BehaviorModule = {
   validateBehavior: [ 'type', ValidateBehavior ],
   optionsSourceBehavior: [ 'type', OptionsSourceBehavior ],
   columnsSourceBehavior: [ 'type', ColumnsSourceBehavior ],
-  tableDataSourceBehavior: [ 'type', TableDataSourceBehavior ]
+  tableDataSourceBehavior: [ 'type', TableDataSourceBehavior ],
+  translationsBehavior: [ 'type', TranslationsBehavior ]
 };
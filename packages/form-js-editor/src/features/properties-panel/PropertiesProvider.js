@@ -8,7 +8,8 @@ import {
   ValidationGroup,
   OptionsGroups,
   LayoutGroup,
-  TableHeaderGroups
+  TableHeaderGroups,
+  TranslationsGroup
 } from './groups';
 
 import { hasEntryConfigured } from './Util';
@@ -69,7 +70,8 @@ export class PropertiesProvider {
         SerializationGroup(field, editField),
         ...OptionsGroups(field, editField, getService),
         ConstraintsGroup(field, editField),
-        ValidationGroup(field, editField),
+        ValidationGroup(field, editField, getService),
+        TranslationsGroup(field, editField, getService),
         CustomPropertiesGroup(field, editField)
       ].filter(group => group != null);
 
@@ -67,17 +67,26 @@ export const LABELED_NON_INPUTS = [
   'button',
   'group',
   'dynamiclist',
+  'datagrid',
+  'expression',
   'iframe',
+  'page',
   'table'
 ];
 
 export const INPUTS = [
+  'address',
   'checkbox',
   'checklist',
   'datetime',
+  'filepicker',
   'number',
   'radio',
+  'range',
+  'rating',
+  'richtext',
   'select',
+  'signature',
   'taglist',
   'textfield',
   'textarea'
@@ -0,0 +1,95 @@
+import { ADDRESS_PARTS, ADDRESS_PART_LABELS } from '@bpmn-io/form-js-viewer';
+
+import { get } from 'min-dash';
+
+import { isTextFieldEntryEdited, TextFieldEntry } from '@bpmn-io/properties-panel';
+
+import { useService } from '../hooks';
+
+import { simpleBoolEntryFactory } from './factories';
+
+export function AddressEntries(props) {
+  const {
+    editField,
+    field
+  } = props;
+
+  const isDefaultVisible = (field) => field.type === 'address';
+
+  const getParts = () => get(field, [ 'parts' ], ADDRESS_PARTS);
+
+  return [
+    ...ADDRESS_PARTS.map(part => simpleBoolEntryFactory({
+      id: `part-${ part }`,
+      label: ADDRESS_PART_LABELS[ part ],
+      isDefaultVisible,
+      getValue: () => getParts().includes(part),
+      setValue: (value) => {
+        const parts = ADDRESS_PARTS.filter(p => p === part ? value : getParts().includes(p));
+
+        // keep at least one part
+        if (!parts.length) {
+          return;
+        }
+
+        editField(field, [ 'parts' ], parts);
+      },
+      props
+    })),
+    {
+      id: 'countries',
+      component: Countries,
+      editField,
+      field,
+      isEdited: isTextFieldEntryEdited,
+      isDefaultVisible: (field) => isDefaultVisible(field) && getParts().includes('country')
+    }
+  ];
+}
+
+function Countries(props) {
+  const {
+    editField,
+    field,
+    id
+  } = props;
+
+  const debounce = useService('debounce');
+
+  const getValue = () => {
+    const countries = get(field, [ 'countries' ]);
+
+    return countries ? countries.join(', ') : '';
+  };
+
+  const setValue = (value) => {
+    const countries = (value || '')
+      .split(',')
+      .map(country => country.trim().toUpperCase())
+      .filter(country => country.length);
+
+    editField(field, [ 'countries' ], countries.length ? countries : undefined);
+  };
+
+  const validate = (value) => {
+    const invalid = (value || '')
+      .split(',')
+      .map(country => country.trim())
+      .find(country => country.length && !/^[a-zA-Z]{2}$/.test(country));
+
+    if (invalid) {
+      return `${ invalid } is not a two-letter country code.`;
+    }
+  };
+
+  return TextFieldEntry({
+    debounce,
+    description: 'Comma separated ISO 3166-1 alpha-2 codes, all countries if empty',
+    element: field,
+    getValue,
+    id,
+    label: 'Countries',
+    setValue,
+    validate
+  });
+}
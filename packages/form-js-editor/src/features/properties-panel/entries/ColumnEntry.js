@@ -6,11 +6,26 @@ import {
 
 import { useService } from '../hooks';
 
-import { TextFieldEntry } from '@bpmn-io/properties-panel';
+import {
+  SelectEntry,
+  TextFieldEntry,
+  ToggleSwitchEntry
+} from '@bpmn-io/properties-panel';
 
 const path = 'columns';
 const labelPath = 'label';
 const keyPath = 'key';
+const formatPath = 'format';
+const currencyPath = 'currency';
+const filterablePath = 'filterable';
+
+const FORMAT_OPTIONS = [
+  { label: 'None', value: '' },
+  { label: 'Date', value: 'date' },
+  { label: 'Number', value: 'number' },
+  { label: 'Currency', value: 'currency' },
+  { label: 'Boolean', value: 'boolean' }
+];
 
 export function ColumnEntry(props) {
   const {
@@ -39,9 +54,37 @@ export function ColumnEntry(props) {
       idPrefix,
       index,
       validateFactory
+    },
+    {
+      component: Format,
+      editField,
+      field,
+      id: idPrefix + '-format',
+      idPrefix,
+      index
     }
   ];
 
+  if (get(field, [ path, index, formatPath ]) === 'currency') {
+    entries.push({
+      component: Currency,
+      editField,
+      field,
+      id: idPrefix + '-currency',
+      idPrefix,
+      index
+    });
+  }
+
+  entries.push({
+    component: Filterable,
+    editField,
+    field,
+    id: idPrefix + '-filterable',
+    idPrefix,
+    index
+  });
+
   return entries;
 }
 
@@ -122,6 +165,116 @@ function Key(props) {
   });
 }
 
+function Format(props) {
+  const {
+    editField,
+    field,
+    id,
+    index
+  } = props;
+
+  /**
+    * @param {string} value
+    * @returns {void}
+    */
+  const setValue = (value) => {
+    const columns = get(field, [ path ]);
+
+    set(columns, [ index, formatPath ], value || undefined);
+
+    // the currency only applies to the currency format
+    if (value !== 'currency') {
+      set(columns, [ index, currencyPath ], undefined);
+    }
+
+    editField(field, path, columns);
+  };
+
+  const getValue = () => {
+    return get(field, [ path, index, formatPath ], '');
+  };
+
+  return SelectEntry({
+    element: field,
+    getOptions: () => FORMAT_OPTIONS,
+    getValue,
+    id,
+    label: 'Format',
+    setValue
+  });
+}
+
+function Currency(props) {
+  const {
+    editField,
+    field,
+    id,
+    index
+  } = props;
+
+  const debounce = useService('debounce');
+
+  /**
+    * @param {string|void} value
+    * @param {string|void} error
+    * @returns {void}
+    */
+  const setValue = (value, error) => {
+    if (error) {
+      return;
+    }
+
+    const columns = get(field, [ path ]);
+    editField(field, path, set(columns, [ index, currencyPath ], value || undefined));
+  };
+
+  const getValue = () => {
+    return get(field, [ path, index, currencyPath ]);
+  };
+
+  return TextFieldEntry({
+    debounce,
+    description: 'Three-letter currency code, e.g. EUR or USD',
+    element: field,
+    getValue,
+    id,
+    label: 'Currency',
+    setValue,
+    validate: validateCurrency
+  });
+}
+
+function Filterable(props) {
+  const {
+    editField,
+    field,
+    id,
+    index
+  } = props;
+
+  /**
+    * @param {boolean} value
+    * @returns {void}
+    */
+  const setValue = (value) => {
+    const columns = get(field, [ path ]);
+    editField(field, path, set(columns, [ index, filterablePath ], value || undefined));
+  };
+
+  const getValue = () => {
+    return !!get(field, [ path, index, filterablePath ]);
+  };
+
+  return ToggleSwitchEntry({
+    element: field,
+    getValue,
+    id,
+    inline: true,
+    label: 'Filterable',
+    setValue
+  });
+}
+
 
 // helpers //////////////////////
 
@@ -134,5 +287,21 @@ function validate(value) {
     return 'Must not be empty.';
   }
 
+  return null;
+}
+
+/**
+  * @param {string|void} value
+  * @returns {string|null}
+  */
+function validateCurrency(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (!/^[A-Z]{3}$/.test(value)) {
+    return 'Must be a three-letter currency code.';
+  }
+
   return null;
 }
\ No newline at end of file
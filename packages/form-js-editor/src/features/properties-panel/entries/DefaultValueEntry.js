@@ -60,7 +60,7 @@ export function DefaultValueEntry(props) {
     ...defaulValueBase,
     component: DefaultValueNumber,
     isEdited: isTextFieldEntryEdited,
-    isDefaultVisible: isDefaultVisible((field) => field.type === 'number')
+    isDefaultVisible: isDefaultVisible((field) => [ 'number', 'range', 'rating' ].includes(field.type))
   });
 
   entries.push({
@@ -83,7 +83,7 @@ export function DefaultValueEntry(props) {
     ...defaulValueBase,
     component: DefaultValueTextarea,
     isEdited: isTextAreaEntryEdited,
-    isDefaultVisible: isDefaultVisible((field) => field.type === 'textarea')
+    isDefaultVisible: isDefaultVisible((field) => field.type === 'textarea' || field.type === 'richtext')
   });
 
   return entries;
@@ -2,7 +2,9 @@ import { get } from 'min-dash';
 
 import { INPUTS } from '../Util';
 
-import { ToggleSwitchEntry, isToggleSwitchEntryEdited } from '@bpmn-io/properties-panel';
+import { useService, useVariables } from '../hooks';
+
+import { FeelToggleSwitchEntry, isFeelEntryEdited } from '@bpmn-io/properties-panel';
 
 
 export function DisabledEntry(props) {
@@ -18,7 +20,7 @@ export function DisabledEntry(props) {
     component: Disabled,
     editField: editField,
     field: field,
-    isEdited: isToggleSwitchEntryEdited,
+    isEdited: isFeelEntryEdited,
     isDefaultVisible: (field) => INPUTS.includes(field.type)
   });
 
@@ -32,6 +34,10 @@ function Disabled(props) {
     id
   } = props;
 
+  const debounce = useService('debounce');
+
+  const variables = useVariables().map(name => ({ name }));
+
   const path = [ 'disabled' ];
 
   const getValue = () => {
@@ -39,16 +45,18 @@ function Disabled(props) {
   };
 
   const setValue = (value) => {
-    return editField(field, path, value);
+    return editField(field, path, value || false);
   };
 
-  return ToggleSwitchEntry({
+  return FeelToggleSwitchEntry({
+    debounce,
     element: field,
+    feel: 'optional',
     getValue,
     id,
     label: 'Disabled',
     tooltip: 'Field cannot be edited by the end-user, and the data is not submitted.',
-    inline: true,
-    setValue
+    setValue,
+    variables
   });
-}
\ No newline at end of file
+}
@@ -0,0 +1,65 @@
+import { FeelEntry, isFeelEntryEdited } from '@bpmn-io/properties-panel';
+
+import { get } from 'min-dash';
+
+import { useService, useVariables } from '../hooks';
+
+import { simpleBoolEntryFactory } from './factories';
+
+export function ExpressionFieldEntries(props) {
+  const {
+    editField,
+    field
+  } = props;
+
+  const isDefaultVisible = (field) => field.type === 'expression';
+
+  return [
+    {
+      id: 'expression',
+      component: Expression,
+      isEdited: isFeelEntryEdited,
+      editField,
+      field,
+      isDefaultVisible
+    },
+    simpleBoolEntryFactory({
+      id: 'hidden',
+      label: 'Hidden',
+      description: 'Compute the value without displaying it',
+      path: [ 'hidden' ],
+      props,
+      isDefaultVisible
+    })
+  ];
+}
+
+function Expression(props) {
+  const {
+    editField,
+    field,
+    id
+  } = props;
+
+  const debounce = useService('debounce');
+
+  const variables = useVariables().map(name => ({ name }));
+
+  const path = [ 'expression' ];
+
+  const getValue = () => get(field, path, '');
+
+  const setValue = (value) => editField(field, path, value || '');
+
+  return FeelEntry({
+    debounce,
+    description: 'Define an expression to compute the value from, e.g. =price * quantity',
+    element: field,
+    feel: 'required',
+    getValue,
+    id,
+    label: 'Expression',
+    setValue,
+    variables
+  });
+}
@@ -0,0 +1,117 @@
+import { NumberFieldEntry, isNumberFieldEntryEdited, TextFieldEntry, isTextFieldEntryEdited } from '@bpmn-io/properties-panel';
+
+import { get, isNil } from 'min-dash';
+
+import { useService } from '../hooks';
+
+import { simpleBoolEntryFactory } from './factories';
+
+export function FilepickerEntries(props) {
+  const {
+    editField,
+    field
+  } = props;
+
+  const isDefaultVisible = (field) => field.type === 'filepicker';
+
+  const entries = [];
+
+  entries.push(simpleBoolEntryFactory({
+    id: 'multiple',
+    path: [ 'multiple' ],
+    label: 'Allow multiple files',
+    isDefaultVisible,
+    props
+  }));
+
+  entries.push({
+    id: 'accept',
+    component: Accept,
+    isEdited: isTextFieldEntryEdited,
+    editField,
+    field,
+    isDefaultVisible
+  });
+
+  entries.push({
+    id: 'maxFileSize',
+    component: MaxFileSize,
+    isEdited: isNumberFieldEntryEdited,
+    editField,
+    field,
+    isDefaultVisible
+  });
+
+  return entries;
+}
+
+function Accept(props) {
+  const {
+    editField,
+    field,
+    id
+  } = props;
+
+  const debounce = useService('debounce');
+
+  const path = [ 'accept' ];
+
+  const getValue = () => get(field, path, '');
+
+  const setValue = (value) => editField(field, path, value || undefined);
+
+  return TextFieldEntry({
+    debounce,
+    description: 'Comma separated file extensions or MIME types, e.g. .pdf,image/*',
+    element: field,
+    getValue,
+    id,
+    label: 'Accepted file types',
+    setValue
+  });
+}
+
+function MaxFileSize(props) {
+  const {
+    editField,
+    field,
+    id
+  } = props;
+
+  const debounce = useService('debounce');
+
+  const path = [ 'maxFileSize' ];
+
+  const getValue = () => get(field, path);
+
+  const setValue = (value, error) => {
+    if (error) {
+      return;
+    }
+
+    editField(field, path, value);
+  };
+
+  const validate = (value) => {
+    if (isNil(value)) {
+      return null;
+    }
+
+    if (!Number.isInteger(value) || value < 1) {
+      return 'Should be a positive integer.';
+    }
+
+    return null;
+  };
+
+  return NumberFieldEntry({
+    debounce,
+    element: field,
+    getValue,
+    id,
+    label: 'Maximum file size (bytes)',
+    min: 1,
+    setValue,
+    validate
+  });
+}
@@ -9,7 +9,7 @@ export function GroupAppearanceEntry(props) {
     type
   } = field;
 
-  if (![ 'group', 'dynamiclist' ].includes(type)) {
+  if (![ 'group', 'dynamiclist', 'page' ].includes(type)) {
     return [];
   }
 
@@ -175,7 +175,10 @@ function getLabelText(type) {
   case 'group':
   case 'dynamiclist':
     return 'Group label';
+  case 'page':
+    return 'Page title';
   case 'table':
+  case 'datagrid':
     return 'Table label';
   case 'iframe':
     return 'Title';
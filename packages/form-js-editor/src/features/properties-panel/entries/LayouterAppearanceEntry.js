@@ -5,7 +5,7 @@ export function LayouterAppearanceEntry(props) {
     field
   } = props;
 
-  if (![ 'group', 'dynamiclist' ].includes(field.type)) {
+  if (![ 'group', 'dynamiclist', 'page' ].includes(field.type)) {
     return [];
   }
 
@@ -0,0 +1,98 @@
+import { isTextFieldEntryEdited, isToggleSwitchEntryEdited, TextFieldEntry, ToggleSwitchEntry } from '@bpmn-io/properties-panel';
+
+import { get, set } from 'min-dash';
+import { useService } from '../hooks';
+
+export function MaskEntry(props) {
+  const {
+    editField,
+    field
+  } = props;
+
+  const entries = [];
+
+  const onChange = (key) => {
+    return (value) => {
+      const appearance = get(field, [ 'appearance' ], {});
+
+      editField(field, [ 'appearance' ], set(appearance, [ key ], value));
+    };
+  };
+
+  const getValue = (key) => {
+    return () => {
+      return get(field, [ 'appearance', key ]);
+    };
+  };
+
+  entries.push({
+    id: 'mask',
+    component: Mask,
+    isEdited: isTextFieldEntryEdited,
+    editField,
+    field,
+    onChange,
+    getValue,
+    isDefaultVisible: (field) => field.type === 'textfield'
+  });
+
+  entries.push({
+    id: 'storeUnmasked',
+    component: StoreUnmasked,
+    isEdited: isToggleSwitchEntryEdited,
+    editField,
+    field,
+    onChange,
+    getValue,
+    isDefaultVisible: (field) => field.type === 'textfield' && !!get(field, [ 'appearance', 'mask' ])
+  });
+
+  return entries;
+}
+
+function Mask(props) {
+  const {
+    field,
+    id,
+    onChange,
+    getValue
+  } = props;
+
+  const debounce = useService('debounce');
+
+  const setValue = (value) => {
+    onChange('mask')(value || undefined);
+  };
+
+  return TextFieldEntry({
+    debounce,
+    description: 'Use 9 for digits, a for letters, A for uppercase letters and * for letters or digits, e.g. (999) 999-9999',
+    element: field,
+    getValue: getValue('mask'),
+    id,
+    label: 'Input mask',
+    setValue
+  });
+}
+
+function StoreUnmasked(props) {
+  const {
+    field,
+    id,
+    onChange,
+    getValue
+  } = props;
+
+  const setValue = (value) => {
+    onChange('storeUnmasked')(value || undefined);
+  };
+
+  return ToggleSwitchEntry({
+    element: field,
+    getValue: getValue('storeUnmasked'),
+    id,
+    inline: true,
+    label: 'Store value without mask',
+    setValue
+  });
+}
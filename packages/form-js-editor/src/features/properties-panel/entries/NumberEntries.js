@@ -20,7 +20,7 @@ export function NumberEntries(props) {
     isEdited: isNumberFieldEntryEdited,
     editField,
     field,
-    isDefaultVisible: (field) => field.type === 'number'
+    isDefaultVisible: (field) => [ 'number', 'range' ].includes(field.type)
   });
 
   entries.push({
@@ -29,7 +29,7 @@ export function NumberEntries(props) {
     isEdited: isTextFieldEntryEdited,
     editField,
     field,
-    isDefaultVisible: (field) => field.type === 'number'
+    isDefaultVisible: (field) => [ 'number', 'range' ].includes(field.type)
   });
 
   return entries;
@@ -0,0 +1,112 @@
+import { isSelectEntryEdited, isTextFieldEntryEdited, SelectEntry, TextFieldEntry } from '@bpmn-io/properties-panel';
+
+import { DEFAULT_CURRENCY, NUMBER_FORMATS, NUMBER_FORMAT_LABELS } from '@bpmn-io/form-js-viewer';
+
+import { get } from 'min-dash';
+import { useService } from '../hooks';
+
+export function NumberFormatEntry(props) {
+  const {
+    editField,
+    field
+  } = props;
+
+  const entries = [];
+
+  entries.push({
+    id: 'number-format',
+    component: NumberFormatSelect,
+    isEdited: isSelectEntryEdited,
+    editField,
+    field,
+    isDefaultVisible: (field) => field.type === 'number'
+  });
+
+  entries.push({
+    id: 'currency',
+    component: Currency,
+    isEdited: isTextFieldEntryEdited,
+    editField,
+    field,
+    isDefaultVisible: (field) => field.type === 'number' && field.numberFormat === NUMBER_FORMATS.CURRENCY
+  });
+
+  return entries;
+}
+
+function NumberFormatSelect(props) {
+  const {
+    editField,
+    field,
+    id
+  } = props;
+
+  const getValue = () => get(field, [ 'numberFormat' ], '');
+
+  const setValue = (value) => {
+
+    // currency only applies to currency formatting
+    if (value !== NUMBER_FORMATS.CURRENCY && field.currency) {
+      editField(field, [ 'currency' ], undefined);
+    }
+
+    editField(field, [ 'numberFormat' ], value || undefined);
+  };
+
+  const getNumberFormats = () => {
+
+    return [
+      { label: 'None', value: '' },
+      ...Object.values(NUMBER_FORMATS).map((format) => ({
+        label: NUMBER_FORMAT_LABELS[format],
+        value: format
+      }))
+    ];
+  };
+
+  return SelectEntry({
+    label: 'Number format',
+    element: field,
+    getOptions: getNumberFormats,
+    getValue,
+    id,
+    setValue
+  });
+}
+
+function Currency(props) {
+  const {
+    editField,
+    field,
+    id
+  } = props;
+
+  const debounce = useService('debounce');
+
+  const getValue = () => get(field, [ 'currency' ], '');
+
+  const setValue = (value, error) => {
+    if (error) {
+      return;
+    }
+
+    editField(field, [ 'currency' ], value ? value.trim().toUpperCase() : undefined);
+  };
+
+  const validate = (value) => {
+    if (value && !/^[a-zA-Z]{3}$/.test(value.trim())) {
+      return 'Must be a three-letter currency code.';
+    }
+  };
+
+  return TextFieldEntry({
+    debounce,
+    description: `ISO 4217 code, ${ DEFAULT_CURRENCY } if empty`,
+    element: field,
+    getValue,
+    id,
+    label: 'Currency',
+    setValue,
+    validate
+  });
+}
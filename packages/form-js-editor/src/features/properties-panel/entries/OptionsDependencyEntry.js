@@ -0,0 +1,121 @@
+import { isSelectEntryEdited, SelectEntry } from '@bpmn-io/properties-panel';
+
+import { get } from 'min-dash';
+
+
+export function OptionsDependencyEntry(props) {
+  const {
+    editField,
+    field,
+    getService,
+    id
+  } = props;
+
+  const formFieldRegistry = getService('formFieldRegistry');
+  const formFields = getService('formFields');
+  const pathRegistry = getService('pathRegistry');
+
+  const dependencies = getDependencyOptions(field, { formFieldRegistry, formFields, pathRegistry });
+
+  if (!dependencies.length && !field.valuesDependsOn) {
+    return [];
+  }
+
+  return [
+    {
+      id: id + '-dependsOn',
+      component: DependsOnSelect,
+      isEdited: isSelectEntryEdited,
+      editField,
+      field,
+      dependencies
+    }
+  ];
+}
+
+function DependsOnSelect(props) {
+  const {
+    dependencies,
+    editField,
+    field,
+    id
+  } = props;
+
+  const getValue = () => get(field, [ 'valuesDependsOn' ], '');
+
+  const setValue = (value) => editField(field, [ 'valuesDependsOn' ], value || undefined);
+
+  const getOptions = () => {
+    const value = getValue();
+
+    const options = [ ...dependencies ];
+
+    // keep dependencies that do not resolve to a field in scope (anymore)
+    if (value && !options.some(option => option.value === value)) {
+      options.push({ value, label: value });
+    }
+
+    return [
+      {
+        value: '',
+        label: '<none>'
+      },
+      ...options
+    ];
+  };
+
+  return SelectEntry({
+    description: 'Reload the options and clear the value whenever this field changes.',
+    element: field,
+    getOptions,
+    getValue,
+    id,
+    label: 'Depends on',
+    setValue
+  });
+}
+
+
+// helpers //////////
+
+/**
+ * Collect the keyed fields within the same scope as the given field,
+ * i.e. located within the same repeating list (if any).
+ */
+function getDependencyOptions(field, { formFieldRegistry, formFields, pathRegistry }) {
+  const scopeId = getScopeId(field, { formFieldRegistry, formFields });
+
+  return formFieldRegistry.getAll()
+    .filter(candidate => {
+      const { config = {} } = formFields.get(candidate.type) || {};
+
+      return candidate.id !== field.id &&
+        config.keyed &&
+        candidate.key &&
+        getScopeId(candidate, { formFieldRegistry, formFields }) === scopeId;
+    })
+    .map(candidate => {
+      const value = pathRegistry.getValuePath(candidate, { cutoffNode: scopeId }).join('.');
+
+      return {
+        value,
+        label: candidate.label ? `${ candidate.label } (${ value })` : value
+      };
+    });
+}
+
+function getScopeId(field, { formFieldRegistry, formFields }) {
+  let parent = formFieldRegistry.get(field._parent);
+
+  while (parent) {
+    const { config = {} } = formFields.get(parent.type) || {};
+
+    if (config.repeatable && parent.isRepeating) {
+      return parent.id;
+    }
+
+    parent = formFieldRegistry.get(parent._parent);
+  }
+
+  return null;
+}
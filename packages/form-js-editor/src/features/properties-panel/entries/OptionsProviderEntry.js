@@ -0,0 +1,165 @@
+import {
+  FeelEntry,
+  isFeelEntryEdited,
+  isSelectEntryEdited,
+  isTextFieldEntryEdited,
+  SelectEntry,
+  TextFieldEntry
+} from '@bpmn-io/properties-panel';
+import { get, isUndefined } from 'min-dash';
+import { useService, useVariables } from '../hooks';
+import { OPTIONS_SOURCES, OPTIONS_SOURCES_PATHS } from '@bpmn-io/form-js-viewer';
+
+const PATH = OPTIONS_SOURCES_PATHS[OPTIONS_SOURCES.PROVIDER];
+
+
+export function OptionsProviderEntry(props) {
+  const {
+    editField,
+    field,
+    getService,
+    id
+  } = props;
+
+  const optionsProviderRegistry = getService('optionsProviderRegistry', false);
+  const optionsProviders = optionsProviderRegistry ? optionsProviderRegistry.getAll() : [];
+
+  return [
+    {
+      id: id + '-name',
+      component: optionsProviders.length ? ProviderSelect : ProviderName,
+      isEdited: optionsProviders.length ? isSelectEntryEdited : isTextFieldEntryEdited,
+      editField,
+      field,
+      optionsProviders
+    },
+    {
+      id: id + '-parameters',
+      component: ProviderParameters,
+      isEdited: isFeelEntryEdited,
+      editField,
+      field
+    }
+  ];
+}
+
+function ProviderSelect(props) {
+  const {
+    editField,
+    field,
+    id,
+    optionsProviders
+  } = props;
+
+  const getValue = () => get(field, [ ...PATH, 'name' ], '');
+
+  const setValue = (name) => editProvider(editField, field, 'name', name || '');
+
+  const getOptions = () => {
+    const name = getValue();
+
+    const options = optionsProviders.map(({ name, label }) => ({
+      value: name,
+      label
+    }));
+
+    // keep providers that are not registered with the editor
+    if (name && !optionsProviders.some(provider => provider.name === name)) {
+      options.push({ value: name, label: name });
+    }
+
+    return [
+      {
+        value: '',
+        label: '<none>'
+      },
+      ...options
+    ];
+  };
+
+  return SelectEntry({
+    description: 'Select the provider to load the options from.',
+    element: field,
+    getOptions,
+    getValue,
+    id,
+    label: 'Options provider',
+    setValue
+  });
+}
+
+function ProviderName(props) {
+  const {
+    editField,
+    field,
+    id
+  } = props;
+
+  const debounce = useService('debounce');
+
+  const getValue = () => get(field, [ ...PATH, 'name' ], '');
+
+  const setValue = (name, error) => {
+    if (error) {
+      return;
+    }
+
+    editProvider(editField, field, 'name', name || '');
+  };
+
+  const validate = (value) => {
+    if (isUndefined(value) || !value.length) {
+      return 'Must not be empty.';
+    }
+
+    return null;
+  };
+
+  return TextFieldEntry({
+    debounce,
+    description: 'Define the name of the registered provider to load the options from.',
+    element: field,
+    getValue,
+    id,
+    label: 'Options provider',
+    setValue,
+    validate
+  });
+}
+
+function ProviderParameters(props) {
+  const {
+    editField,
+    field,
+    id
+  } = props;
+
+  const debounce = useService('debounce');
+
+  const variables = useVariables().map(name => ({ name }));
+
+  const getValue = () => get(field, [ ...PATH, 'parameters' ], '');
+
+  const setValue = (parameters) => editProvider(editField, field, 'parameters', parameters || undefined);
+
+  return FeelEntry({
+    debounce,
+    description: 'Define an expression resulting in a context to pass to the provider, e.g. { region: region }.',
+    element: field,
+    feel: 'required',
+    getValue,
+    id,
+    label: 'Parameters',
+    setValue,
+    variables
+  });
+}
+
+
+// helpers //////////
+
+function editProvider(editField, field, key, value) {
+  const provider = get(field, PATH, {});
+
+  return editField(field, PATH, { ...provider, [ key ]: value });
+}
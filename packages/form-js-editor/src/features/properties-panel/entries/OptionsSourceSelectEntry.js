@@ -81,6 +81,8 @@ function getAutoFocusEntryId(field) {
     return 'dynamicOptions-key';
   } else if (valuesSource === OPTIONS_SOURCES.STATIC) {
     return 'staticOptions-0-label';
+  } else if (valuesSource === OPTIONS_SOURCES.PROVIDER) {
+    return 'optionsProvider-name';
   }
 
   return null;
@@ -30,15 +30,21 @@ export function RepeatableEntry(props) {
       path: [ 'allowAddRemove' ],
       label: 'Allow add/delete items',
       props
-    }),
-    simpleBoolEntryFactory({
-      id: 'disableCollapse',
-      path: [ 'disableCollapse' ],
-      label: 'Disable collapse',
-      props
     })
   ];
 
+  // data grids show all of their rows
+  if (type === 'datagrid') {
+    return entries;
+  }
+
+  entries.push(simpleBoolEntryFactory({
+    id: 'disableCollapse',
+    path: [ 'disableCollapse' ],
+    label: 'Disable collapse',
+    props
+  }));
+
   if (!field.disableCollapse) {
     const nonCollapseItemsEntry = simpleRangeIntegerEntryFactory({
       id: 'nonCollapsedItems',
@@ -0,0 +1,55 @@
+import { SelectEntry, isSelectEntryEdited } from '@bpmn-io/properties-panel';
+
+import { RICH_TEXT_FORMATS, RICH_TEXT_FORMAT_LABELS, RICH_TEXT_FORMAT_PATH } from '@bpmn-io/form-js-viewer';
+
+import { get } from 'min-dash';
+
+export function RichTextFormatEntry(props) {
+  const {
+    editField,
+    field
+  } = props;
+
+  const entries = [];
+
+  entries.push({
+    id: 'rich-text-format',
+    component: RichTextFormatSelect,
+    isEdited: isSelectEntryEdited,
+    editField,
+    field,
+    isDefaultVisible: (field) => field.type === 'richtext'
+  });
+
+  return entries;
+}
+
+function RichTextFormatSelect(props) {
+
+  const {
+    editField,
+    field,
+    id
+  } = props;
+
+  const getValue = (e) => get(field, RICH_TEXT_FORMAT_PATH, RICH_TEXT_FORMATS.MARKDOWN);
+
+  const setValue = (value) => editField(field, RICH_TEXT_FORMAT_PATH, value);
+
+  const getRichTextFormats = () => {
+
+    return Object.values(RICH_TEXT_FORMATS).map((format) => ({
+      label: RICH_TEXT_FORMAT_LABELS[format],
+      value: format
+    }));
+  };
+
+  return SelectEntry({
+    label: 'Output format',
+    element: field,
+    getOptions: getRichTextFormats,
+    getValue,
+    id,
+    setValue
+  });
+}
@@ -0,0 +1,32 @@
+import { RICH_TEXT_TOOLBAR_ACTIONS, RICH_TEXT_TOOLBAR_LABELS, RICH_TEXT_TOOLBAR_PATH } from '@bpmn-io/form-js-viewer';
+
+import { get } from 'min-dash';
+
+import { simpleBoolEntryFactory } from './factories';
+
+const ALL_ACTIONS = Object.values(RICH_TEXT_TOOLBAR_ACTIONS);
+
+export function RichTextToolbarEntry(props) {
+  const {
+    editField,
+    field
+  } = props;
+
+  const isDefaultVisible = (field) => field.type === 'richtext';
+
+  const getToolbar = () => get(field, RICH_TEXT_TOOLBAR_PATH, ALL_ACTIONS);
+
+  return ALL_ACTIONS.map(action => simpleBoolEntryFactory({
+    id: `toolbar-${ action }`,
+    label: `${ RICH_TEXT_TOOLBAR_LABELS[ action ] } formatting`,
+    isDefaultVisible,
+    getValue: () => getToolbar().includes(action),
+    setValue: (value) => {
+      const toolbar = ALL_ACTIONS.filter(a => a === action ? value : getToolbar().includes(a));
+
+      // all actions is the default
+      editField(field, RICH_TEXT_TOOLBAR_PATH, toolbar.length === ALL_ACTIONS.length ? undefined : toolbar);
+    },
+    props
+  }));
+}
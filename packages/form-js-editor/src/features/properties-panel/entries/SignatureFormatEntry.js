@@ -0,0 +1,55 @@
+import { SelectEntry, isSelectEntryEdited } from '@bpmn-io/properties-panel';
+
+import { SIGNATURE_FORMATS, SIGNATURE_FORMAT_LABELS, SIGNATURE_FORMAT_PATH } from '@bpmn-io/form-js-viewer';
+
+import { get } from 'min-dash';
+
+export function SignatureFormatEntry(props) {
+  const {
+    editField,
+    field
+  } = props;
+
+  const entries = [];
+
+  entries.push({
+    id: 'signature-format',
+    component: SignatureFormatSelect,
+    isEdited: isSelectEntryEdited,
+    editField,
+    field,
+    isDefaultVisible: (field) => field.type === 'signature'
+  });
+
+  return entries;
+}
+
+function SignatureFormatSelect(props) {
+
+  const {
+    editField,
+    field,
+    id
+  } = props;
+
+  const getValue = (e) => get(field, SIGNATURE_FORMAT_PATH, SIGNATURE_FORMATS.PNG);
+
+  const setValue = (value) => editField(field, SIGNATURE_FORMAT_PATH, value);
+
+  const getSignatureFormats = () => {
+
+    return Object.values(SIGNATURE_FORMATS).map((format) => ({
+      label: SIGNATURE_FORMAT_LABELS[format],
+      value: format
+    }));
+  };
+
+  return SelectEntry({
+    label: 'Signature format',
+    element: field,
+    getOptions: getSignatureFormats,
+    getValue,
+    id,
+    setValue
+  });
+}
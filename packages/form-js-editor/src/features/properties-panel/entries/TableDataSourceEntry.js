@@ -1,18 +1,74 @@
-import { get, isString } from 'min-dash';
+import { get, isString, isUndefined } from 'min-dash';
 
 import { hasIntegerPathSegment, isValidDotPath } from '../Util';
 
 import { useService, useVariables } from '../hooks';
 
-import { FeelTemplatingEntry, isFeelEntryEdited } from '@bpmn-io/properties-panel';
+import {
+  FeelEntry,
+  FeelTemplatingEntry,
+  isFeelEntryEdited,
+  isSelectEntryEdited,
+  isTextFieldEntryEdited,
+  SelectEntry,
+  TextFieldEntry
+} from '@bpmn-io/properties-panel';
+
+const SOURCE_TYPES = {
+  dataSource: {
+    label: 'Variable or expression',
+    value: 'dataSource'
+  },
+  dataProvider: {
+    label: 'Data provider',
+    value: 'dataProvider'
+  }
+};
+
+const PROVIDER_PATH = [ 'dataProvider' ];
 
 export function TableDataSourceEntry(props) {
   const {
     editField,
-    field
+    field,
+    getService
   } = props;
 
   const entries = [];
+  entries.push({
+    id: 'dataSourceType',
+    component: SourceType,
+    editField: editField,
+    field: field,
+    isEdited: isSelectEntryEdited,
+    isDefaultVisible: (field) => field.type === 'table'
+  });
+
+  if (field.type === 'table' && isProviderSource(field)) {
+    const tableDataProviderRegistry = getService && getService('tableDataProviderRegistry', false);
+    const dataProviders = tableDataProviderRegistry ? tableDataProviderRegistry.getAll() : [];
+
+    entries.push(
+      {
+        id: 'dataProvider-name',
+        component: dataProviders.length ? ProviderSelect : ProviderName,
+        editField: editField,
+        field: field,
+        dataProviders,
+        isEdited: dataProviders.length ? isSelectEntryEdited : isTextFieldEntryEdited
+      },
+      {
+        id: 'dataProvider-parameters',
+        component: ProviderParameters,
+        editField: editField,
+        field: field,
+        isEdited: isFeelEntryEdited
+      }
+    );
+
+    return entries;
+  }
+
   entries.push({
     id: 'dataSource',
     component: Source,
@@ -25,6 +81,43 @@ export function TableDataSourceEntry(props) {
   return entries;
 }
 
+function SourceType(props) {
+  const {
+    editField,
+    field,
+    id
+  } = props;
+
+  const getValue = () => isProviderSource(field) ? SOURCE_TYPES.dataProvider.value : SOURCE_TYPES.dataSource.value;
+
+  const setValue = (value) => {
+    if (value === getValue()) {
+      return;
+    }
+
+    if (value === SOURCE_TYPES.dataProvider.value) {
+      editField(field, {
+        dataSource: undefined,
+        dataProvider: { name: '' }
+      });
+    } else {
+      editField(field, {
+        dataProvider: undefined,
+        dataSource: `=${field.id}`
+      });
+    }
+  };
+
+  return SelectEntry({
+    element: field,
+    getOptions: () => Object.values(SOURCE_TYPES),
+    getValue,
+    id,
+    label: 'Data source type',
+    setValue
+  });
+}
+
 function Source(props) {
   const {
     editField,
@@ -92,3 +185,128 @@ function Source(props) {
     validate,
   });
 }
+
+function ProviderSelect(props) {
+  const {
+    dataProviders,
+    editField,
+    field,
+    id
+  } = props;
+
+  const getValue = () => get(field, [ ...PROVIDER_PATH, 'name' ], '');
+
+  const setValue = (name) => editProvider(editField, field, 'name', name || '');
+
+  const getOptions = () => {
+    const name = getValue();
+
+    const options = dataProviders.map(({ name, label }) => ({
+      value: name,
+      label
+    }));
+
+    // keep providers that are not registered with the editor
+    if (name && !dataProviders.some(provider => provider.name === name)) {
+      options.push({ value: name, label: name });
+    }
+
+    return [
+      {
+        value: '',
+        label: '<none>'
+      },
+      ...options
+    ];
+  };
+
+  return SelectEntry({
+    description: 'Select the provider to load the rows from.',
+    element: field,
+    getOptions,
+    getValue,
+    id,
+    label: 'Data provider',
+    setValue
+  });
+}
+
+function ProviderName(props) {
+  const {
+    editField,
+    field,
+    id
+  } = props;
+
+  const debounce = useService('debounce');
+
+  const getValue = () => get(field, [ ...PROVIDER_PATH, 'name' ], '');
+
+  const setValue = (name, error) => {
+    if (error) {
+      return;
+    }
+
+    editProvider(editField, field, 'name', name || '');
+  };
+
+  const validate = (value) => {
+    if (isUndefined(value) || !value.length) {
+      return 'Must not be empty.';
+    }
+
+    return null;
+  };
+
+  return TextFieldEntry({
+    debounce,
+    description: 'Define the name of the registered provider to load the rows from.',
+    element: field,
+    getValue,
+    id,
+    label: 'Data provider',
+    setValue,
+    validate
+  });
+}
+
+function ProviderParameters(props) {
+  const {
+    editField,
+    field,
+    id
+  } = props;
+
+  const debounce = useService('debounce');
+
+  const variables = useVariables().map(name => ({ name }));
+
+  const getValue = () => get(field, [ ...PROVIDER_PATH, 'parameters' ], '');
+
+  const setValue = (parameters) => editProvider(editField, field, 'parameters', parameters || undefined);
+
+  return FeelEntry({
+    debounce,
+    description: 'Define an expression resulting in a context to pass to the provider, e.g. { customer: customer.id }.',
+    element: field,
+    feel: 'required',
+    getValue,
+    id,
+    label: 'Parameters',
+    setValue,
+    variables
+  });
+}
+
+
+// helpers //////////
+
+function isProviderSource(field) {
+  return get(field, PROVIDER_PATH) !== undefined;
+}
+
+function editProvider(editField, field, key, value) {
+  const provider = get(field, PROVIDER_PATH, {});
+
+  return editField(field, PROVIDER_PATH, { ...provider, [ key ]: value });
+}
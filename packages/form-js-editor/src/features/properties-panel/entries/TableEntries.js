@@ -0,0 +1,22 @@
+import { simpleBoolEntryFactory } from './factories';
+
+export function TableEntries(props) {
+  const entries = [
+    simpleBoolEntryFactory({
+      id: 'tableSearchable',
+      path: [ 'searchable' ],
+      label: 'Search',
+      props,
+      isDefaultVisible: (field) => field.type === 'table'
+    }),
+    simpleBoolEntryFactory({
+      id: 'downloadable',
+      path: [ 'downloadable' ],
+      label: 'CSV download',
+      props,
+      isDefaultVisible: (field) => field.type === 'table'
+    })
+  ];
+
+  return entries;
+}
@@ -19,6 +19,10 @@ export { NumberSerializationEntry } from './NumberSerializationEntry';
 export { DateTimeEntry } from './DateTimeEntry';
 export { DateTimeConstraintsEntry } from './DateTimeConstraintsEntry';
 export { DateTimeFormatEntry } from './DateTimeFormatEntry';
+export { FilepickerEntries } from './FilepickerEntries';
+export { SignatureFormatEntry } from './SignatureFormatEntry';
+export { RichTextFormatEntry } from './RichTextFormatEntry';
+export { RichTextToolbarEntry } from './RichTextToolbarEntry';
 export { SelectEntries } from './SelectEntries';
 export { ValueEntry } from './ValueEntry';
 export { CustomValueEntry } from './CustomValueEntry';
@@ -31,9 +35,16 @@ export { LayouterAppearanceEntry } from './LayouterAppearanceEntry';
 export { RepeatableEntry } from './RepeatableEntry';
 export { ConditionEntry } from './ConditionEntry';
 export { OptionsExpressionEntry } from './OptionsExpressionEntry';
+export { OptionsProviderEntry } from './OptionsProviderEntry';
+export { OptionsDependencyEntry } from './OptionsDependencyEntry';
 export { TableDataSourceEntry } from './TableDataSourceEntry';
 export { PaginationEntry } from './PaginationEntry';
 export { RowCountEntry } from './RowCountEntry';
 export { HeadersSourceSelectEntry } from './HeadersSourceSelectEntry';
 export { ColumnsExpressionEntry } from './ColumnsExpressionEntry';
 export { StaticColumnsSourceEntry } from './StaticColumnsSourceEntry';
+export { TableEntries } from './TableEntries';
+export { AddressEntries } from './AddressEntries';
+export { MaskEntry } from './MaskEntry';
+export { NumberFormatEntry } from './NumberFormatEntry';
+export { ExpressionFieldEntries } from './ExpressionFieldEntries';
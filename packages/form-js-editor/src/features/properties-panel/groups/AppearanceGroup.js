@@ -1,7 +1,10 @@
 import {
   AdornerEntry,
+  MaskEntry,
+  NumberFormatEntry,
   GroupAppearanceEntry,
-  LayouterAppearanceEntry
+  LayouterAppearanceEntry,
+  RichTextToolbarEntry
 } from '../entries';
 
 
@@ -9,8 +12,11 @@ export function AppearanceGroup(field, editField, getService) {
 
   const entries = [
     ...AdornerEntry({ field, editField }),
+    ...MaskEntry({ field, editField }),
+    ...NumberFormatEntry({ field, editField }),
     ...GroupAppearanceEntry({ field, editField }),
-    ...LayouterAppearanceEntry({ field, editField })
+    ...LayouterAppearanceEntry({ field, editField }),
+    ...RichTextToolbarEntry({ field, editField })
   ];
 
   if (!entries.length) {
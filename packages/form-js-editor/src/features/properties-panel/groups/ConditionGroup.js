@@ -1,5 +1,6 @@
 import {
-  ConditionEntry
+  ConditionEntry,
+  DisabledEntry
 } from '../entries';
 
 
@@ -12,7 +13,8 @@ export function ConditionGroup(field, editField) {
   }
 
   const entries = [
-    ...ConditionEntry({ field, editField })
+    ...ConditionEntry({ field, editField }),
+    ...DisabledEntry({ field, editField })
   ];
 
   return {
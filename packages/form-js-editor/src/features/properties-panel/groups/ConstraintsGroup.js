@@ -1,12 +1,14 @@
 import {
-  DateTimeConstraintsEntry
+  DateTimeConstraintsEntry,
+  FilepickerEntries
 } from '../entries';
 
 
 export function ConstraintsGroup(field, editField) {
 
   const entries = [
-    ...DateTimeConstraintsEntry({ field, editField })
+    ...DateTimeConstraintsEntry({ field, editField }),
+    ...FilepickerEntries({ field, editField })
   ];
 
   if (!entries.length) {
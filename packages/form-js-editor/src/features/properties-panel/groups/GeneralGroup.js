@@ -3,7 +3,6 @@ import {
   AltTextEntry,
   DescriptionEntry,
   DefaultValueEntry,
-  DisabledEntry,
   IdEntry,
   IFrameUrlEntry,
   IFrameHeightEntry,
@@ -20,7 +19,10 @@ import {
   DateTimeEntry,
   TableDataSourceEntry,
   PaginationEntry,
-  RowCountEntry
+  RowCountEntry,
+  TableEntries,
+  AddressEntries,
+  ExpressionFieldEntries
 } from '../entries';
 
 
@@ -34,6 +36,7 @@ export function GeneralGroup(field, editField, getService) {
     ...PathEntry({ field, editField, getService }),
     ...RepeatableEntry({ field, editField, getService }),
     ...DefaultValueEntry({ field, editField }),
+    ...ExpressionFieldEntries({ field, editField }),
     ...ActionEntry({ field, editField }),
     ...DateTimeEntry({ field, editField }),
     ...TextEntry({ field, editField, getService }),
@@ -44,11 +47,12 @@ export function GeneralGroup(field, editField, getService) {
     ...ImageSourceEntry({ field, editField }),
     ...AltTextEntry({ field, editField }),
     ...SelectEntries({ field, editField }),
-    ...DisabledEntry({ field, editField }),
     ...ReadonlyEntry({ field, editField }),
-    ...TableDataSourceEntry({ field, editField }),
+    ...TableDataSourceEntry({ field, editField, getService }),
     ...PaginationEntry({ field, editField }),
-    ...RowCountEntry({ field, editField })
+    ...RowCountEntry({ field, editField }),
+    ...TableEntries({ field, editField }),
+    ...AddressEntries({ field, editField })
   ];
 
   if (entries.length === 0) {
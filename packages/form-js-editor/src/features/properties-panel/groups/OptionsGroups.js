@@ -2,7 +2,9 @@ import {
   OptionsSourceSelectEntry,
   StaticOptionsSourceEntry,
   InputKeyOptionsSourceEntry,
-  OptionsExpressionEntry
+  OptionsExpressionEntry,
+  OptionsProviderEntry,
+  OptionsDependencyEntry
 } from '../entries';
 
 import { getOptionsSource, OPTIONS_SOURCES } from '@bpmn-io/form-js-viewer';
@@ -39,7 +41,10 @@ export function OptionsGroups(field, editField, getService) {
       label: 'Options source',
       tooltip: getValuesTooltip(),
       component: Group,
-      entries: OptionsSourceSelectEntry({ ...context, id })
+      entries: [
+        ...OptionsSourceSelectEntry({ ...context, id }),
+        ...OptionsDependencyEntry({ ...context, getService, id })
+      ]
     }
   ];
 
@@ -69,6 +74,14 @@ export function OptionsGroups(field, editField, getService) {
       component: Group,
       entries: OptionsExpressionEntry({ ...context, id })
     });
+  } else if (valuesSource === OPTIONS_SOURCES.PROVIDER) {
+    const id = 'optionsProvider';
+    groups.push({
+      id,
+      label: 'Options provider',
+      component: Group,
+      entries: OptionsProviderEntry({ ...context, getService, id })
+    });
   }
 
   return groups;
@@ -79,5 +92,6 @@ export function OptionsGroups(field, editField, getService) {
 function getValuesTooltip() {
   return '"Static" defines a constant, predefined set of form options.\n\n' +
   '"Input data" defines options that are populated dynamically, adjusting based on variable data for flexible responses to different conditions or inputs.\n\n' +
-  '"Expression" defines options that are populated from a FEEL expression.';
+  '"Expression" defines options that are populated from a FEEL expression.\n\n' +
+  '"Provider" defines options that are loaded from a registered options provider, e.g. a remote service.';
 }
\ No newline at end of file
@@ -1,6 +1,8 @@
 import {
   NumberSerializationEntry,
-  DateTimeFormatEntry
+  DateTimeFormatEntry,
+  SignatureFormatEntry,
+  RichTextFormatEntry
 } from '../entries';
 
 
@@ -8,7 +10,9 @@ export function SerializationGroup(field, editField) {
 
   const entries = [
     ...NumberSerializationEntry({ field, editField }),
-    ...DateTimeFormatEntry({ field, editField })
+    ...DateTimeFormatEntry({ field, editField }),
+    ...SignatureFormatEntry({ field, editField }),
+    ...RichTextFormatEntry({ field, editField })
   ];
 
   if (!entries.length) {
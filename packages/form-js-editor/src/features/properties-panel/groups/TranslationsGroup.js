@@ -0,0 +1,164 @@
+import {
+  get,
+  isArray,
+  isObject,
+  isString
+} from 'min-dash';
+
+import {
+  isTextFieldEntryEdited,
+  TextFieldEntry
+} from '@bpmn-io/properties-panel';
+
+import { clone } from '@bpmn-io/form-js-viewer';
+
+import { useService } from '../hooks';
+
+const TRANSLATABLE_PROPERTIES = [
+  { path: [ 'label' ], label: 'Label' },
+  { path: [ 'description' ], label: 'Description' },
+  { path: [ 'dateLabel' ], label: 'Date label' },
+  { path: [ 'timeLabel' ], label: 'Time label' },
+  { path: [ 'appearance', 'prefixAdorner' ], label: 'Prefix' },
+  { path: [ 'appearance', 'suffixAdorner' ], label: 'Suffix' }
+];
+
+
+/**
+ * Translations of the texts of a form field, stored in the `translations` of the form
+ * and shown side by side for every locale configured via `i18n.locales` or already
+ * present in the schema.
+ */
+export function TranslationsGroup(field, editField, getService) {
+  const formFieldRegistry = getService('formFieldRegistry');
+
+  const form = formFieldRegistry.getForm();
+
+  if (!form || form === field) {
+    return null;
+  }
+
+  const locales = getLocales(form, getService('config.i18n', false));
+
+  const properties = getTranslatableProperties(field);
+
+  if (!locales.length || !properties.length) {
+    return null;
+  }
+
+  const entries = [];
+
+  properties.forEach(({ path, label }) => {
+    locales.forEach(locale => {
+      entries.push({
+        id: `translation-${ locale }-${ path.join('-') }`,
+        component: Translation,
+        editField,
+        field,
+        form,
+        isEdited: isTextFieldEntryEdited,
+        label: `${ label } (${ locale })`,
+        path: [ locale, ...path ]
+      });
+    });
+  });
+
+  return {
+    id: 'translations',
+    label: 'Translations',
+    entries
+  };
+}
+
+function Translation(props) {
+  const {
+    editField,
+    field,
+    form,
+    id,
+    label,
+    path
+  } = props;
+
+  const debounce = useService('debounce');
+
+  const getValue = () => get(form, [ 'translations', field.id, ...path ], '');
+
+  const setValue = (value) => {
+    const translations = clone(form.translations || {});
+
+    setTranslation(translations, [ field.id, ...path ], value);
+
+    editField(form, 'translations', isEmpty(translations) ? undefined : translations);
+  };
+
+  return TextFieldEntry({
+    debounce,
+    element: field,
+    getValue,
+    id,
+    label,
+    setValue
+  });
+}
+
+
+// helpers //////////
+
+function getLocales(form, i18nConfig = {}) {
+  const { locales = [] } = i18nConfig;
+
+  const schemaLocales = Object.values(form.translations || {}).reduce((schemaLocales, fieldTranslations) => {
+    return [ ...schemaLocales, ...Object.keys(fieldTranslations) ];
+  }, []);
+
+  return [ ...new Set([ ...locales, ...schemaLocales ]) ];
+}
+
+function getTranslatableProperties(field) {
+  const properties = TRANSLATABLE_PROPERTIES.filter(({ path }) => isString(get(field, path)) && get(field, path));
+
+  if (!isArray(field.values)) {
+    return properties;
+  }
+
+  const options = field.values
+    .filter(option => isString(option.label) && option.label && !isObject(option.value))
+    .map(option => ({
+      path: [ 'options', String(option.value) ],
+      label: `Option "${ option.label }"`
+    }));
+
+  return [ ...properties, ...options ];
+}
+
+/**
+ * Set a translation, removing the translations it belongs to once empty.
+ */
+function setTranslation(translations, path, value) {
+  const [ key, ...rest ] = path;
+
+  if (!rest.length) {
+    if (value) {
+      translations[ key ] = value;
+    } else {
+      delete translations[ key ];
+    }
+
+    return;
+  }
+
+  const nested = translations[ key ] || {};
+
+  setTranslation(nested, rest, value);
+
+  if (isEmpty(nested)) {
+    delete translations[ key ];
+  } else {
+    translations[ key ] = nested;
+  }
+}
+
+function isEmpty(object) {
+  return !Object.keys(object).length;
+}
@@ -7,12 +7,17 @@ import {
   CheckboxEntry,
   isCheckboxEntryEdited,
   isFeelEntryEdited,
+  isSelectEntryEdited,
+  FeelEntry,
   FeelNumberEntry,
+  FeelToggleSwitchEntry,
   isTextFieldEntryEdited,
   TextFieldEntry,
   SelectEntry
 } from '@bpmn-io/properties-panel';
 
+import { ADDRESS_PARTS, ADDRESS_PART_LABELS } from '@bpmn-io/form-js-viewer';
+
 import { useService, useVariables } from '../hooks';
 
 import { INPUTS } from '../Util';
@@ -32,11 +37,14 @@ const VALIDATION_TYPE_OPTIONS = {
   },
 };
 
-export function ValidationGroup(field, editField) {
+export function ValidationGroup(field, editField, getService) {
   const { type } = field;
   const validate = get(field, [ 'validate' ], {});
   const isCustomValidation = [ undefined, VALIDATION_TYPE_OPTIONS.custom.value ].includes(validate.validationType);
 
+  const validatorRegistry = getService('validatorRegistry', false);
+  const customValidators = validatorRegistry ? validatorRegistry.getAll() : [];
+
   const onChange = (key) => {
     return (value) => {
       const validate = get(field, [ 'validate' ], {});
@@ -57,12 +65,27 @@ export function ValidationGroup(field, editField) {
       component: Required,
       getValue,
       field,
-      isEdited: isCheckboxEntryEdited,
+      isEdited: isFeelEntryEdited,
       onChange,
       isDefaultVisible: (field) => INPUTS.includes(field.type)
     }
   ];
 
+  const addressParts = get(field, [ 'parts' ], ADDRESS_PARTS);
+
+  entries.push(
+    ...ADDRESS_PARTS.map(part => ({
+      id: `requiredPart-${ part }`,
+      component: RequiredPart,
+      getValue,
+      part,
+      field,
+      isEdited: isCheckboxEntryEdited,
+      onChange,
+      isDefaultVisible: (field) => field.type === 'address' && addressParts.includes(part)
+    }))
+  );
+
   entries.push(
     {
       id: 'validationType',
@@ -85,7 +108,7 @@ export function ValidationGroup(field, editField) {
       isEdited: isFeelEntryEdited,
       onChange,
       isDefaultVisible: (field) => INPUTS.includes(field.type) && (
-        type === 'textarea' || (type === 'textfield' && isCustomValidation)
+        type === 'textarea' || type === 'richtext' || (type === 'textfield' && isCustomValidation)
       )
     },
     {
@@ -96,7 +119,7 @@ export function ValidationGroup(field, editField) {
       isEdited: isFeelEntryEdited,
       onChange,
       isDefaultVisible: (field) => INPUTS.includes(field.type) && (
-        type === 'textarea' || (type === 'textfield' && isCustomValidation)
+        type === 'textarea' || type === 'richtext' || (type === 'textfield' && isCustomValidation)
       )
     }
   );
@@ -123,7 +146,7 @@ export function ValidationGroup(field, editField) {
       field,
       isEdited: isFeelEntryEdited,
       onChange,
-      isDefaultVisible: (field) => field.type === 'number'
+      isDefaultVisible: (field) => [ 'number', 'range', 'rating' ].includes(field.type)
     },
     {
       id: 'max',
@@ -132,7 +155,41 @@ export function ValidationGroup(field, editField) {
       field,
       isEdited: isFeelEntryEdited,
       onChange,
-      isDefaultVisible: (field) => field.type === 'number'
+      isDefaultVisible: (field) => [ 'number', 'range', 'rating' ].includes(field.type)
+    }
+  );
+
+  entries.push(
+    {
+      id: 'expression',
+      component: Expression,
+      getValue,
+      field,
+      isEdited: isFeelEntryEdited,
+      onChange,
+      isDefaultVisible: (field) => INPUTS.includes(field.type)
+    },
+    {
+      id: 'expressionMessage',
+      component: ExpressionMessage,
+      getValue,
+      field,
+      isEdited: isTextFieldEntryEdited,
+      onChange,
+      isDefaultVisible: (field) => INPUTS.includes(field.type) && !!validate.expression
+    }
+  );
+
+  entries.push(
+    {
+      id: 'custom',
+      component: CustomValidator,
+      getValue,
+      field,
+      customValidators,
+      isEdited: isSelectEntryEdited,
+      onChange,
+      isDefaultVisible: (field) => INPUTS.includes(field.type) && customValidators.length > 0
     }
   );
 
@@ -151,12 +208,49 @@ function Required(props) {
     onChange
   } = props;
 
-  return CheckboxEntry({
+  const debounce = useService('debounce');
+
+  const variables = useVariables().map(name => ({ name }));
+
+  const setValue = (value) => {
+    onChange('required')(value || false);
+  };
+
+  return FeelToggleSwitchEntry({
+    debounce,
     element: field,
+    feel: 'optional',
     getValue: getValue('required'),
     id,
     label: 'Required',
-    setValue: onChange('required')
+    setValue,
+    variables
+  });
+}
+
+function RequiredPart(props) {
+  const {
+    field,
+    getValue,
+    id,
+    onChange,
+    part
+  } = props;
+
+  const getRequiredParts = () => getValue('requiredParts')() || [];
+
+  const setValue = (value) => {
+    const requiredParts = ADDRESS_PARTS.filter(p => p === part ? value : getRequiredParts().includes(p));
+
+    onChange('requiredParts')(requiredParts.length ? requiredParts : undefined);
+  };
+
+  return CheckboxEntry({
+    element: field,
+    getValue: () => getRequiredParts().includes(part),
+    id,
+    label: `${ ADDRESS_PART_LABELS[ part ] } required`,
+    setValue
   });
 }
 
@@ -280,6 +374,59 @@ function Max(props) {
   });
 }
 
+function Expression(props) {
+  const {
+    field,
+    getValue,
+    id,
+    onChange
+  } = props;
+
+  const debounce = useService('debounce');
+
+  const variables = useVariables().map(name => ({ name }));
+
+  const setValue = (expression) => {
+    onChange('expression')(expression || undefined);
+  };
+
+  return FeelEntry({
+    debounce,
+    description: 'Condition under which the value is valid',
+    element: field,
+    feel: 'required',
+    getValue: getValue('expression'),
+    id,
+    label: 'Validation expression',
+    setValue,
+    variables
+  });
+}
+
+function ExpressionMessage(props) {
+  const {
+    field,
+    getValue,
+    id,
+    onChange
+  } = props;
+
+  const debounce = useService('debounce');
+
+  const setValue = (expressionMessage) => {
+    onChange('expressionMessage')(expressionMessage || undefined);
+  };
+
+  return TextFieldEntry({
+    debounce,
+    element: field,
+    getValue: getValue('expressionMessage'),
+    id,
+    label: 'Validation message',
+    setValue
+  });
+}
+
 function ValidationType(props) {
   const {
     field,
@@ -308,3 +455,37 @@ function ValidationType(props) {
         : undefined
   });
 }
+
+function CustomValidator(props) {
+  const {
+    customValidators,
+    field,
+    getValue,
+    id,
+    onChange
+  } = props;
+
+  const setValue = (custom) => {
+    onChange('custom')(custom || undefined);
+  };
+
+  const getOptions = () => [
+    {
+      value: '',
+      label: '<none>'
+    },
+    ...customValidators.map(({ name, label }) => ({
+      value: name,
+      label
+    }))
+  ];
+
+  return SelectEntry({
+    element: field,
+    getValue: getValue('custom'),
+    id,
+    label: 'Custom validator',
+    setValue,
+    getOptions
+  });
+}
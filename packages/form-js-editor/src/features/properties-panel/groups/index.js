@@ -8,3 +8,4 @@ export { AppearanceGroup } from './AppearanceGroup';
 export { LayoutGroup } from './LayoutGroup';
 export { ConditionGroup } from './ConditionGroup';
 export { TableHeaderGroups } from './TableHeaderGroups';
+export { TranslationsGroup } from './TranslationsGroup';
@@ -87,7 +87,7 @@ function EmptyForm() {
 }
 
 function Empty(props) {
-  if ([ 'group', 'dynamiclist' ].includes(props.field.type)) {
+  if ([ 'group', 'dynamiclist', 'datagrid', 'page' ].includes(props.field.type)) {
     return <EmptyGroup />;
   }
 
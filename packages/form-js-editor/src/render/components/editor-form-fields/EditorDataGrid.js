@@ -0,0 +1,16 @@
+import {
+  DataGrid,
+  DynamicList
+} from '@bpmn-io/form-js-viewer';
+
+/**
+ * Renders the columns of a data grid as an outlined drop area,
+ * the way dynamic lists are edited.
+ */
+export function EditorDataGrid(props) {
+  const { field } = props;
+
+  return <DynamicList { ...props } field={ { ...field, showOutline: true } } />;
+}
+
+EditorDataGrid.config = DataGrid.config;
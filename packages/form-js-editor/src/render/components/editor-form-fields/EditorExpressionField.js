@@ -0,0 +1,24 @@
+import {
+  ExpressionField,
+  iconsByType,
+  Label
+} from '@bpmn-io/form-js-viewer';
+
+import { editorFormFieldClasses } from '../Util';
+
+export function EditorExpressionField(props) {
+  const { field } = props;
+
+  const { expression, label, type } = field;
+
+  const Icon = iconsByType(type);
+
+  return <div class={ editorFormFieldClasses(type) }>
+    <Label label={ label } />
+    <div class="fjs-form-field-placeholder">
+      <Icon viewBox="0 0 54 54" />{ expression && expression !== '=' ? 'Value is computed from an expression' : 'Expression is empty' }
+    </div>
+  </div>;
+}
+
+EditorExpressionField.config = ExpressionField.config;
@@ -1,9 +1,13 @@
 import { EditorIFrame } from './EditorIFrame';
 import { EditorText } from './EditorText';
 import { EditorTable } from './EditorTable';
+import { EditorDataGrid } from './EditorDataGrid';
+import { EditorExpressionField } from './EditorExpressionField';
 
 export const editorFormFields = [
   EditorIFrame,
   EditorText,
-  EditorTable
+  EditorTable,
+  EditorDataGrid,
+  EditorExpressionField
 ];
\ No newline at end of file
@@ -14,6 +14,9 @@ export interface FormEditorOptions {
     name: string,
     version: string
   };
+  i18n?: {
+    locales?: string[]
+  };
   injector?: Injector;
   modules?: Module[];
   properties?: FormEditorProperties;
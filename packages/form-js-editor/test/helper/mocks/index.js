@@ -1,6 +1,7 @@
 
 import { Injector } from 'didi';
 import { isUndefined } from 'min-dash';
+import { OptionsProviderRegistry, TableDataProviderRegistry, ValidatorRegistry } from '@bpmn-io/form-js-viewer';
 
 import { EditorFormFields } from '../../../src/render/EditorFormFields';
 
@@ -33,6 +34,9 @@ function _createEditorMockModule(services, options) {
 
     // using actual implementations in testing
     formFields: services.formFields ? [ 'value', services.formFields ] : [ 'type', EditorFormFields ],
+    validatorRegistry: services.validatorRegistry ? [ 'value', services.validatorRegistry ] : [ 'type', ValidatorRegistry ],
+    optionsProviderRegistry: services.optionsProviderRegistry ? [ 'value', services.optionsProviderRegistry ] : [ 'type', OptionsProviderRegistry ],
+    tableDataProviderRegistry: services.tableDataProviderRegistry ? [ 'value', services.tableDataProviderRegistry ] : [ 'type', TableDataProviderRegistry ],
   };
 }
 
@@ -74,13 +78,14 @@ export class SelectionMock {
 
 export class FormFieldRegistryMock {
 
-  constructor() {
+  constructor(options = {}) {
     this._ids = {
       assigned() {
         return false;
       }
     };
 
+    this._form = options.schema;
   }
 
   add() {}
@@ -89,6 +94,9 @@ export class FormFieldRegistryMock {
   getAll() {
     return [];
   }
+  getForm() {
+    return this._form;
+  }
   forEach() {}
   clear() {}
 }
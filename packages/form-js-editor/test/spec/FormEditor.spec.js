@@ -261,6 +261,85 @@ describe('FormEditor', function() {
     });
 
 
+    it('should migrate schema', async function() {
+
+      // given
+      const schema = {
+        type: 'default',
+        schemaVersion: 1,
+        components: [
+          {
+            id: 'Textfield_1',
+            key: 'name',
+            type: 'textfield',
+            hint: 'Your full name'
+          }
+        ]
+      };
+
+      formEditor = new FormEditor();
+
+      formEditor.get('migrationRegistry').register({
+        version: 2,
+        migrate: (schema, { report }) => {
+          const [ field ] = schema.components;
+
+          field.description = field.hint;
+          delete field.hint;
+
+          report('replaced <hint> with <description>');
+
+          return schema;
+        }
+      });
+
+      // when
+      const { warnings } = await formEditor.importSchema(schema);
+
+      // then
+      expect(warnings).to.have.length(1);
+
+      expect(formEditor.getSchema().components[ 0 ]).to.include({
+        description: 'Your full name'
+      });
+
+      expect(formEditor.getSchema().components[ 0 ]).not.to.have.property('hint');
+    });
+
+
+    it('should migrate legacy custom validation type', async function() {
+
+      // given
+      const schema = {
+        type: 'default',
+        schemaVersion: 13,
+        components: [
+          {
+            id: 'Textfield_1',
+            key: 'name',
+            type: 'textfield',
+            validate: {
+              validationType: 'custom',
+              minLength: 2
+            }
+          }
+        ]
+      };
+
+      formEditor = new FormEditor();
+
+      // when
+      const { warnings } = await formEditor.importSchema(schema);
+
+      // then
+      expect(warnings).to.have.length(1);
+
+      expect(formEditor.getSchema().components[ 0 ].validate).to.eql({
+        minLength: 2
+      });
+    });
+
+
     it('should fail instantiation with import error', async function() {
 
       // given
@@ -154,6 +154,24 @@ describe('features/modeling - OptionsSourceBehavior', function() {
       // then
       expect(formField.defaultValue).to.not.exist;
     }));
+
+
+    it('execute (options provider)', inject(function(formFieldRegistry, modeling) {
+
+      // given
+      const formField = formFieldRegistry.get('language');
+
+      // when
+      modeling.editFormField(
+        formField,
+        'valuesProvider',
+        { name: 'languages' }
+      );
+
+      // then
+      expect(formField.defaultValue).to.not.exist;
+      expect(formField.values).to.not.exist;
+    }));
   });
 
 });
\ No newline at end of file
@@ -0,0 +1,168 @@
+import {
+  bootstrapFormEditor,
+  inject
+} from '../../../../TestHelper';
+
+import { ModelingModule } from 'src/features/modeling';
+
+
+describe('features/modeling - TranslationsBehavior', function() {
+
+  const schema = {
+    id: 'Form_1',
+    type: 'default',
+    components: [
+      {
+        id: 'Textfield_1',
+        key: 'name',
+        label: 'Name',
+        type: 'textfield'
+      },
+      {
+        id: 'Group_1',
+        label: 'Address',
+        type: 'group',
+        components: [
+          {
+            id: 'Textfield_2',
+            key: 'street',
+            label: 'Street',
+            type: 'textfield'
+          }
+        ]
+      },
+      {
+        id: 'Textfield_3',
+        key: 'email',
+        label: 'Email',
+        type: 'textfield'
+      }
+    ],
+    translations: {
+      Textfield_1: { de: { label: 'Name (de)' } },
+      Group_1: { de: { label: 'Adresse' } },
+      Textfield_2: { de: { label: 'Straße' } }
+    }
+  };
+
+  beforeEach(bootstrapFormEditor(schema, {
+    modules: [
+      ModelingModule
+    ]
+  }));
+
+
+  describe('form field ID change', function() {
+
+    it('should move translations', inject(function(formFieldRegistry, modeling) {
+
+      // given
+      const formField = formFieldRegistry.get('Textfield_1');
+
+      // when
+      modeling.editFormField(formField, 'id', 'Name_1');
+
+      // then
+      expect(getTranslations(formFieldRegistry)).to.eql({
+        Name_1: { de: { label: 'Name (de)' } },
+        Group_1: { de: { label: 'Adresse' } },
+        Textfield_2: { de: { label: 'Straße' } }
+      });
+    }));
+
+
+    it('should undo', inject(function(formFieldRegistry, modeling, commandStack) {
+
+      // given
+      const formField = formFieldRegistry.get('Textfield_1');
+
+      modeling.editFormField(formField, 'id', 'Name_1');
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(formFieldRegistry.get('Textfield_1')).to.exist;
+
+      expect(getTranslations(formFieldRegistry)).to.eql(schema.translations);
+    }));
+
+
+    it('should NOT change translations of untranslated form field', inject(
+      function(formFieldRegistry, modeling) {
+
+        // given
+        const formField = formFieldRegistry.get('Textfield_3');
+
+        const translations = getTranslations(formFieldRegistry);
+
+        // when
+        modeling.editFormField(formField, 'id', 'Email_1');
+
+        // then
+        expect(getTranslations(formFieldRegistry)).to.equal(translations);
+      }
+    ));
+
+  });
+
+
+  describe('form field removal', function() {
+
+    it('should remove translations of form field and its children', inject(function(formFieldRegistry, modeling) {
+
+      // given
+      const formField = formFieldRegistry.get('Group_1'),
+            parent = formFieldRegistry.get('Form_1'),
+            sourceIndex = parent.components.indexOf(formField);
+
+      // when
+      modeling.removeFormField(formField, parent, sourceIndex);
+
+      // then
+      expect(getTranslations(formFieldRegistry)).to.eql({
+        Textfield_1: { de: { label: 'Name (de)' } }
+      });
+    }));
+
+
+    it('should remove translations once empty', inject(function(formFieldRegistry, modeling) {
+
+      // given
+      const parent = formFieldRegistry.get('Form_1');
+
+      // when
+      modeling.removeFormField(formFieldRegistry.get('Textfield_1'), parent, 0);
+      modeling.removeFormField(formFieldRegistry.get('Group_1'), parent, 0);
+
+      // then
+      expect(getTranslations(formFieldRegistry)).not.to.exist;
+    }));
+
+
+    it('should undo', inject(function(formFieldRegistry, modeling, commandStack) {
+
+      // given
+      const formField = formFieldRegistry.get('Group_1'),
+            parent = formFieldRegistry.get('Form_1'),
+            sourceIndex = parent.components.indexOf(formField);
+
+      modeling.removeFormField(formField, parent, sourceIndex);
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(getTranslations(formFieldRegistry)).to.eql(schema.translations);
+    }));
+
+  });
+
+});
+
+
+// helpers //////////
+
+function getTranslations(formFieldRegistry) {
+  return formFieldRegistry.getForm().translations;
+}
@@ -13,7 +13,7 @@ import { removeKey } from '../../../../src/features/properties-panel/groups/Cust
 
 import { PropertiesProvider } from '../../../../src/features/properties-panel/PropertiesProvider';
 import { PropertiesPanel } from '../../../../src/features/properties-panel/PropertiesPanel';
-import { FormFields } from '@bpmn-io/form-js-viewer';
+import { FormFields, OptionsProviderRegistry, TableDataProviderRegistry } from '@bpmn-io/form-js-viewer';
 
 import {
   EventBusMock,
@@ -25,6 +25,7 @@ import schema from '../../form.json';
 import defaultValuesSchema from '../../defaultValues.json';
 import redundantValuesSchema from '../../redundantValues.json';
 import iframeSchema from '../../../../../form-js-viewer/test/spec/iframes.json';
+import pagesSchema from '../../../../../form-js-viewer/test/spec/pages.json';
 import tableSchema from '../../form-table.json';
 
 import { insertStyles, setEditorValue } from '../../../TestHelper';
@@ -1673,15 +1674,466 @@ describe('properties panel', function() {
 
       });
 
+
+      describe('dynamic options (valuesProvider)', function() {
+
+        it('should configure provider source', function() {
+
+          // given
+          const editFieldSpy = spy();
+
+          const field = schema.components.find(({ key }) => key === 'tags');
+
+          bootstrapPropertiesPanel({
+            container,
+            editField: editFieldSpy,
+            field
+          });
+
+          // assume
+          const input = screen.getByLabelText('Type');
+
+          expect(input.value).to.equal(OPTIONS_SOURCES.STATIC);
+
+          // when
+          fireEvent.input(input, { target: { value: OPTIONS_SOURCES.PROVIDER } });
+
+          // then
+          expect(editFieldSpy).to.have.been.calledOnce;
+          expect(editFieldSpy).to.have.been.calledWith(field, {
+            valuesProvider: OPTIONS_SOURCES_DEFAULTS[OPTIONS_SOURCES.PROVIDER]
+          });
+        });
+
+
+        it('should configure provider name', function() {
+
+          // given
+          const editFieldSpy = spy();
+
+          let field = schema.components.find(({ key }) => key === 'tags');
+          field = { ...field, values: undefined, valuesProvider: { name: '' } };
+
+          bootstrapPropertiesPanel({
+            container,
+            editField: editFieldSpy,
+            field
+          });
+
+          // assume
+          const input = screen.getByLabelText('Options provider');
+
+          expect(input.value).to.equal('');
+
+          // when
+          fireEvent.input(input, { target: { value: 'tags' } });
+
+          // then
+          expect(editFieldSpy).to.have.been.calledWith(field, [ 'valuesProvider' ], { name: 'tags' });
+        });
+
+
+        it('should select registered provider', function() {
+
+          // given
+          const editFieldSpy = spy();
+
+          let field = schema.components.find(({ key }) => key === 'tags');
+          field = { ...field, values: undefined, valuesProvider: { name: '' } };
+
+          const optionsProviderRegistry = new OptionsProviderRegistry();
+
+          optionsProviderRegistry.register('tags', {
+            label: 'Tags',
+            getOptions: () => []
+          });
+
+          bootstrapPropertiesPanel({
+            container,
+            editField: editFieldSpy,
+            field,
+            services: {
+              optionsProviderRegistry
+            }
+          });
+
+          // assume
+          const select = screen.getByLabelText('Options provider');
+
+          expect(select.value).to.equal('');
+          expect(Array.from(select.options).map(({ label }) => label)).to.eql([ '<none>', 'Tags' ]);
+
+          // when
+          fireEvent.input(select, { target: { value: 'tags' } });
+
+          // then
+          expect(editFieldSpy).to.have.been.calledWith(field, [ 'valuesProvider' ], { name: 'tags' });
+        });
+
+
+        it('should configure parameters', async function() {
+
+          // given
+          const editFieldSpy = spy();
+
+          let field = schema.components.find(({ key }) => key === 'tags');
+          field = { ...field, values: undefined, valuesProvider: { name: 'tags' } };
+
+          bootstrapPropertiesPanel({
+            container,
+            editField: editFieldSpy,
+            field
+          });
+
+          // assume
+          const input = findTextbox('optionsProvider-parameters', container);
+
+          expect(input.textContent).to.equal('');
+
+          // when
+          await setEditorValue(input, '{ category: category }');
+
+          // then
+          expect(editFieldSpy).to.have.been.calledOnce;
+          expect(editFieldSpy).to.have.been.calledWith(field, [ 'valuesProvider' ], {
+            name: 'tags',
+            parameters: '={ category: category }'
+          });
+        });
+
+
+        it('entries should change', function() {
+
+          // given
+          let field = schema.components.find(({ key }) => key === 'tags');
+          field = { ...field, values: undefined, valuesProvider: { name: 'tags' } };
+
+          bootstrapPropertiesPanel({
+            container,
+            field
+          });
+
+          // then
+          expectGroups(container, [
+            'General',
+            'Condition',
+            'Options source',
+            'Options provider',
+            'Validation',
+            'Custom properties'
+          ]);
+
+          expectGroupEntries(container, 'Options provider', [
+            'Options provider',
+            'Parameters'
+          ]);
+        });
+
+      });
+
+
+      describe('dependent options (valuesDependsOn)', function() {
+
+        function createFormFieldRegistry(formFields) {
+          return {
+            get: (id) => formFields.find(formField => formField.id === id),
+            getAll: () => formFields,
+            getForm: () => {}
+          };
+        }
+
+        const form = { id: 'Form', type: 'default' };
+
+
+        it('should NOT render without fields to depend on', function() {
+
+          // given
+          const field = schema.components.find(({ key }) => key === 'tags');
+
+          bootstrapPropertiesPanel({
+            container,
+            field
+          });
+
+          // then
+          expect(screen.queryByLabelText('Depends on')).not.to.exist;
+        });
+
+
+        it('should list fields within the same scope', function() {
+
+          // given
+          const field = { id: 'Taglist_1', key: 'tags', type: 'taglist', _parent: 'Form' };
+
+          const formFieldRegistry = createFormFieldRegistry([
+            form,
+            field,
+            { id: 'Select_1', key: 'category', label: 'Category', type: 'select', _parent: 'Form' },
+            { id: 'Text_1', type: 'text', text: 'foo', _parent: 'Form' },
+            { id: 'List_1', path: 'items', type: 'dynamiclist', isRepeating: true, _parent: 'Form' },
+            { id: 'Select_2', key: 'kind', type: 'select', _parent: 'List_1' }
+          ]);
+
+          bootstrapPropertiesPanel({
+            container,
+            field,
+            services: {
+              formFieldRegistry
+            }
+          });
+
+          // then
+          const select = screen.getByLabelText('Depends on');
+
+          expect(select.value).to.equal('');
+          expect(Array.from(select.options).map(({ label }) => label)).to.eql([
+            '<none>',
+            'Category (category)'
+          ]);
+        });
+
+
+        it('should configure dependency', function() {
+
+          // given
+          const editFieldSpy = spy();
+
+          const field = { id: 'Taglist_1', key: 'tags', type: 'taglist', _parent: 'Form' };
+
+          const formFieldRegistry = createFormFieldRegistry([
+            form,
+            field,
+            { id: 'Select_1', key: 'category', type: 'select', _parent: 'Form' }
+          ]);
+
+          bootstrapPropertiesPanel({
+            container,
+            editField: editFieldSpy,
+            field,
+            services: {
+              formFieldRegistry
+            }
+          });
+
+          // when
+          fireEvent.input(screen.getByLabelText('Depends on'), { target: { value: 'category' } });
+
+          // then
+          expect(editFieldSpy).to.have.been.calledWith(field, [ 'valuesDependsOn' ], 'category');
+        });
+
+
+        it('should remove dependency', function() {
+
+          // given
+          const editFieldSpy = spy();
+
+          const field = { id: 'Taglist_1', key: 'tags', type: 'taglist', valuesDependsOn: 'category', _parent: 'Form' };
+
+          const formFieldRegistry = createFormFieldRegistry([
+            form,
+            field,
+            { id: 'Select_1', key: 'category', type: 'select', _parent: 'Form' }
+          ]);
+
+          bootstrapPropertiesPanel({
+            container,
+            editField: editFieldSpy,
+            field,
+            services: {
+              formFieldRegistry
+            }
+          });
+
+          // assume
+          const select = screen.getByLabelText('Depends on');
+
+          expect(select.value).to.equal('category');
+
+          // when
+          fireEvent.input(select, { target: { value: '' } });
+
+          // then
+          expect(editFieldSpy).to.have.been.calledWith(field, [ 'valuesDependsOn' ], undefined);
+        });
+
+      });
+
+    });
+
+
+    describe('datetime', function() {
+
+      it('entries', function() {
+
+        // given
+        const field = schema.components.find(({ key }) => key === 'conversation');
+
+        bootstrapPropertiesPanel({
+          container,
+          field
+        });
+
+        // then
+        expectGroups(container, [
+          'General',
+          'Condition',
+          'Serialization',
+          'Constraints',
+          'Validation',
+          'Custom properties'
+        ]);
+
+        expectGroupEntries(container, 'General', [
+          'Date label',
+          'Time label',
+          'Field description',
+          'Key',
+          'Subtype',
+          'Use 24h',
+          'Disabled'
+        ]);
+
+        expectGroupEntries(container, 'Serialization', [
+          'Time format'
+        ]);
+
+        expectGroupEntries(container, 'Constraints', [
+          'Time interval',
+          'Disallow past dates'
+        ]);
+
+        expectGroupEntries(container, 'Validation', [
+          'Required'
+        ]);
+
+      });
+    });
+
+
+    describe('filepicker', function() {
+
+      const field = {
+        id: 'Filepicker_1',
+        key: 'attachments',
+        label: 'Attachments',
+        type: 'filepicker'
+      };
+
+
+      it('entries', function() {
+
+        // given
+        bootstrapPropertiesPanel({
+          container,
+          field
+        });
+
+        // then
+        expectGroups(container, [
+          'General',
+          'Condition',
+          'Constraints',
+          'Validation',
+          'Custom properties'
+        ]);
+
+        expectGroupEntries(container, 'General', [
+          'Field label',
+          'Field description',
+          'Key',
+          'Disabled',
+          'Read only'
+        ]);
+
+        expectGroupEntries(container, 'Constraints', [
+          'Allow multiple files',
+          'Accepted file types',
+          'Maximum file size (bytes)'
+        ]);
+
+        expectGroupEntries(container, 'Validation', [
+          'Required'
+        ]);
+      });
+
+
+      it('should update accepted file types', function() {
+
+        // given
+        const editFieldSpy = spy();
+
+        bootstrapPropertiesPanel({
+          container,
+          editField: editFieldSpy,
+          field
+        });
+
+        // when
+        const input = screen.getByLabelText('Accepted file types');
+
+        fireEvent.input(input, { target: { value: '.pdf,image/*' } });
+
+        // then
+        expect(editFieldSpy).to.have.been.calledWith(field, [ 'accept' ], '.pdf,image/*');
+      });
+
+
+      it('should update maximum file size', function() {
+
+        // given
+        const editFieldSpy = spy();
+
+        bootstrapPropertiesPanel({
+          container,
+          editField: editFieldSpy,
+          field
+        });
+
+        // when
+        const input = screen.getByLabelText('Maximum file size (bytes)');
+
+        fireEvent.input(input, { target: { value: 1048576 } });
+
+        // then
+        expect(editFieldSpy).to.have.been.calledWith(field, [ 'maxFileSize' ], 1048576);
+      });
+
+
+      it('should reject invalid maximum file size', function() {
+
+        // given
+        const editFieldSpy = spy();
+
+        bootstrapPropertiesPanel({
+          container,
+          editField: editFieldSpy,
+          field
+        });
+
+        // when
+        const input = screen.getByLabelText('Maximum file size (bytes)');
+
+        fireEvent.input(input, { target: { value: -1 } });
+
+        // then
+        expect(editFieldSpy).not.to.have.been.called;
+      });
+
     });
 
 
-    describe('datetime', function() {
+    describe('signature', function() {
 
       it('entries', function() {
 
         // given
-        const field = schema.components.find(({ key }) => key === 'conversation');
+        const field = {
+          id: 'Signature_1',
+          key: 'signature',
+          label: 'Customer signature',
+          type: 'signature'
+        };
 
         bootstrapPropertiesPanel({
           container,
@@ -1693,35 +2145,227 @@ describe('properties panel', function() {
           'General',
           'Condition',
           'Serialization',
-          'Constraints',
           'Validation',
           'Custom properties'
         ]);
 
         expectGroupEntries(container, 'General', [
-          'Date label',
-          'Time label',
+          'Field label',
           'Field description',
           'Key',
-          'Subtype',
-          'Use 24h',
-          'Disabled'
+          'Disabled',
+          'Read only'
         ]);
 
         expectGroupEntries(container, 'Serialization', [
-          'Time format'
+          'Signature format'
         ]);
 
-        expectGroupEntries(container, 'Constraints', [
-          'Time interval',
-          'Disallow past dates'
+        expectGroupEntries(container, 'Validation', [
+          'Required'
+        ]);
+      });
+
+    });
+
+
+    describe('richtext', function() {
+
+      it('entries', function() {
+
+        // given
+        const field = {
+          id: 'RichText_1',
+          key: 'comment',
+          label: 'Comment',
+          type: 'richtext'
+        };
+
+        bootstrapPropertiesPanel({
+          container,
+          field
+        });
+
+        // then
+        expectGroups(container, [
+          'General',
+          'Condition',
+          'Appearance',
+          'Serialization',
+          'Validation',
+          'Custom properties'
+        ]);
+
+        expectGroupEntries(container, 'General', [
+          'Field label',
+          'Field description',
+          'Key',
+          'Default value',
+          'Disabled',
+          'Read only'
+        ]);
+
+        expectGroupEntries(container, 'Appearance', [
+          'Bold formatting',
+          'Italic formatting',
+          'Bulleted list formatting',
+          'Numbered list formatting',
+          'Link formatting'
+        ]);
+
+        expectGroupEntries(container, 'Serialization', [
+          'Output format'
         ]);
 
         expectGroupEntries(container, 'Validation', [
-          'Required'
+          'Required',
+          'Minimum length',
+          'Maximum length'
+        ]);
+      });
+
+    });
+
+
+    describe('range', function() {
+
+      it('entries', function() {
+
+        // given
+        const field = {
+          id: 'Range_1',
+          key: 'volume',
+          label: 'Volume',
+          type: 'range'
+        };
+
+        bootstrapPropertiesPanel({
+          container,
+          field
+        });
+
+        // then
+        expectGroups(container, [
+          'General',
+          'Condition',
+          'Validation',
+          'Custom properties'
+        ]);
+
+        expectGroupEntries(container, 'General', [
+          'Field label',
+          'Field description',
+          'Key',
+          'Default value',
+          'Decimal digits',
+          'Increment',
+          'Disabled',
+          'Read only'
+        ]);
+
+        expectGroupEntries(container, 'Validation', [
+          'Required',
+          'Minimum',
+          'Maximum'
+        ]);
+      });
+
+    });
+
+
+    describe('rating', function() {
+
+      it('entries', function() {
+
+        // given
+        const field = {
+          id: 'Rating_1',
+          key: 'satisfaction',
+          label: 'Satisfaction',
+          type: 'rating'
+        };
+
+        bootstrapPropertiesPanel({
+          container,
+          field
+        });
+
+        // then
+        expectGroups(container, [
+          'General',
+          'Condition',
+          'Validation',
+          'Custom properties'
+        ]);
+
+        expectGroupEntries(container, 'General', [
+          'Field label',
+          'Field description',
+          'Key',
+          'Default value',
+          'Disabled',
+          'Read only'
+        ]);
+
+        expectGroupEntries(container, 'Validation', [
+          'Required',
+          'Minimum',
+          'Maximum'
+        ]);
+      });
+
+    });
+
+
+    describe('address', function() {
+
+      it('entries', function() {
+
+        // given
+        const field = {
+          id: 'Address_1',
+          key: 'shippingAddress',
+          label: 'Shipping address',
+          type: 'address'
+        };
+
+        bootstrapPropertiesPanel({
+          container,
+          field
+        });
+
+        // then
+        expectGroups(container, [
+          'General',
+          'Condition',
+          'Validation',
+          'Custom properties'
+        ]);
+
+        expectGroupEntries(container, 'General', [
+          'Field label',
+          'Field description',
+          'Key',
+          'Disabled',
+          'Read only',
+          'Street',
+          'Number',
+          'ZIP code',
+          'City',
+          'Country',
+          'Countries'
         ]);
 
+        expectGroupEntries(container, 'Validation', [
+          'Required',
+          'Street required',
+          'Number required',
+          'ZIP code required',
+          'City required',
+          'Country required'
+        ]);
       });
+
     });
 
 
@@ -2359,20 +3003,93 @@ describe('properties panel', function() {
           'Custom properties'
         ]);
 
-        expectGroupEntries(container, 'General', [
-          'Text'
+        expectGroupEntries(container, 'General', [
+          'Text'
+        ]);
+      });
+
+    });
+
+
+    describe('spacer', function() {
+
+      it('entries', function() {
+
+        // given
+        const field = schema.components.find(({ type }) => type === 'spacer');
+
+        bootstrapPropertiesPanel({
+          container,
+          field
+        });
+
+        // then
+        expectGroups(container, [
+          'General',
+          'Condition',
+          'Layout',
+          'Custom properties'
+        ]);
+
+        expectGroupEntries(container, 'General', [
+          'Height'
+        ]);
+
+      });
+
+    });
+
+
+    describe('group', function() {
+
+      it('entries', function() {
+
+        // given
+        const field = schema.components.find(({ type }) => type === 'group');
+
+        bootstrapPropertiesPanel({
+          container,
+          field
+        });
+
+        // then
+        expectGroups(container, [
+          'General',
+          'Condition',
+          'Layout',
+          'Appearance',
+          'Custom properties'
+        ]);
+
+        expectGroupEntries(container, 'General', [
+          'Group label',
+          'Path'
+        ]);
+
+        expectGroupEntries(container, 'Condition', [
+          'Hide if'
+        ]);
+
+        expectGroupEntries(container, 'Layout', [
+          'Columns'
+        ]);
+
+        expectGroupEntries(container, 'Appearance', [
+          'Show outline',
+          'Vertical alignment'
         ]);
+
       });
 
     });
 
 
-    describe('spacer', function() {
+    describe('page', function() {
 
       it('entries', function() {
 
         // given
-        const field = schema.components.find(({ type }) => type === 'spacer');
+        const field = pagesSchema.components.find(({ type }) => type === 'page');
 
         bootstrapPropertiesPanel({
           container,
@@ -2384,11 +3101,22 @@ describe('properties panel', function() {
           'General',
           'Condition',
           'Layout',
+          'Appearance',
           'Custom properties'
         ]);
 
         expectGroupEntries(container, 'General', [
-          'Height'
+          'Page title',
+          'Path'
+        ]);
+
+        expectGroupEntries(container, 'Condition', [
+          'Hide if'
+        ]);
+
+        expectGroupEntries(container, 'Appearance', [
+          'Show outline',
+          'Vertical alignment'
         ]);
 
       });
@@ -2396,12 +3124,12 @@ describe('properties panel', function() {
     });
 
 
-    describe('group', function() {
+    describe('dynamiclist', function() {
 
       it('entries', function() {
 
         // given
-        const field = schema.components.find(({ type }) => type === 'group');
+        const field = schema.components.find(({ type }) => type === 'dynamiclist');
 
         bootstrapPropertiesPanel({
           container,
@@ -2419,7 +3147,11 @@ describe('properties panel', function() {
 
         expectGroupEntries(container, 'General', [
           'Group label',
-          'Path'
+          'Path',
+          'Default number of items',
+          'Allow add/delete items',
+          'Disable collapse',
+          'Number of non-collapsing items'
         ]);
 
         expectGroupEntries(container, 'Condition', [
@@ -2440,12 +3172,20 @@ describe('properties panel', function() {
     });
 
 
-    describe('dynamiclist', function() {
+    describe('datagrid', function() {
 
       it('entries', function() {
 
         // given
-        const field = schema.components.find(({ type }) => type === 'dynamiclist');
+        const field = {
+          id: 'DataGrid_1',
+          label: 'Line items',
+          path: 'items',
+          type: 'datagrid',
+          isRepeating: true,
+          allowAddRemove: true,
+          components: []
+        };
 
         bootstrapPropertiesPanel({
           container,
@@ -2457,17 +3197,14 @@ describe('properties panel', function() {
           'General',
           'Condition',
           'Layout',
-          'Appearance',
           'Custom properties'
         ]);
 
         expectGroupEntries(container, 'General', [
-          'Group label',
+          'Table label',
           'Path',
           'Default number of items',
-          'Allow add/delete items',
-          'Disable collapse',
-          'Number of non-collapsing items'
+          'Allow add/delete items'
         ]);
 
         expectGroupEntries(container, 'Condition', [
@@ -2478,11 +3215,6 @@ describe('properties panel', function() {
           'Columns'
         ]);
 
-        expectGroupEntries(container, 'Appearance', [
-          'Show outline',
-          'Vertical alignment'
-        ]);
-
       });
 
     });
@@ -3762,9 +4494,12 @@ describe('properties panel', function() {
 
         expectGroupEntries(container, 'General', [
           'Table label',
+          'Data source type',
           'Data source',
           'Pagination',
-          'Number of rows per page'
+          'Number of rows per page',
+          'Search',
+          'CSV download'
         ]);
 
         expectGroupEntries(container, 'Headers source', [
@@ -3773,7 +4508,9 @@ describe('properties panel', function() {
 
         expectGroupEntries(container, 'Header items', [
           [ 'Label', 3 ],
-          [ 'Key', 3 ]
+          [ 'Key', 3 ],
+          [ 'Format', 3 ],
+          [ 'Filterable', 3 ]
         ]);
       });
 
@@ -3799,9 +4536,12 @@ describe('properties panel', function() {
 
         expectGroupEntries(container, 'General', [
           'Table label',
+          'Data source type',
           'Data source',
           'Pagination',
-          'Number of rows per page'
+          'Number of rows per page',
+          'Search',
+          'CSV download'
         ]);
 
         expectGroupEntries(container, 'Headers source', [
@@ -3811,6 +4551,173 @@ describe('properties panel', function() {
       });
 
 
+      describe('data provider', function() {
+
+        it('should configure provider source', function() {
+
+          // given
+          const editFieldSpy = spy();
+
+          const field = tableSchema.components.find(({ label }) => label === 'static-headers-table');
+
+          bootstrapPropertiesPanel({
+            container,
+            editField: editFieldSpy,
+            field
+          });
+
+          // assume
+          const input = screen.getByLabelText('Data source type');
+
+          expect(input.value).to.equal('dataSource');
+
+          // when
+          fireEvent.input(input, { target: { value: 'dataProvider' } });
+
+          // then
+          expect(editFieldSpy).to.have.been.calledOnceWith(field, {
+            dataSource: undefined,
+            dataProvider: { name: '' }
+          });
+        });
+
+
+        it('should configure variable source', function() {
+
+          // given
+          const editFieldSpy = spy();
+
+          let field = tableSchema.components.find(({ label }) => label === 'static-headers-table');
+          field = { ...field, dataSource: undefined, dataProvider: { name: 'orders' } };
+
+          bootstrapPropertiesPanel({
+            container,
+            editField: editFieldSpy,
+            field
+          });
+
+          // when
+          fireEvent.input(screen.getByLabelText('Data source type'), { target: { value: 'dataSource' } });
+
+          // then
+          expect(editFieldSpy).to.have.been.calledOnceWith(field, {
+            dataProvider: undefined,
+            dataSource: `=${ field.id }`
+          });
+        });
+
+
+        it('should configure provider name', function() {
+
+          // given
+          const editFieldSpy = spy();
+
+          let field = tableSchema.components.find(({ label }) => label === 'static-headers-table');
+          field = { ...field, dataSource: undefined, dataProvider: { name: '' } };
+
+          bootstrapPropertiesPanel({
+            container,
+            editField: editFieldSpy,
+            field
+          });
+
+          // when
+          fireEvent.input(screen.getByLabelText('Data provider'), { target: { value: 'orders' } });
+
+          // then
+          expect(editFieldSpy).to.have.been.calledWith(field, [ 'dataProvider' ], { name: 'orders' });
+        });
+
+
+        it('should select registered provider', function() {
+
+          // given
+          const editFieldSpy = spy();
+
+          let field = tableSchema.components.find(({ label }) => label === 'static-headers-table');
+          field = { ...field, dataSource: undefined, dataProvider: { name: '' } };
+
+          const tableDataProviderRegistry = new TableDataProviderRegistry();
+
+          tableDataProviderRegistry.register('orders', {
+            label: 'Orders',
+            getRows: () => ({ rows: [] })
+          });
+
+          bootstrapPropertiesPanel({
+            container,
+            editField: editFieldSpy,
+            field,
+            services: {
+              tableDataProviderRegistry
+            }
+          });
+
+          // assume
+          const select = screen.getByLabelText('Data provider');
+
+          expect(Array.from(select.options).map(({ label }) => label)).to.eql([ '<none>', 'Orders' ]);
+
+          // when
+          fireEvent.input(select, { target: { value: 'orders' } });
+
+          // then
+          expect(editFieldSpy).to.have.been.calledWith(field, [ 'dataProvider' ], { name: 'orders' });
+        });
+
+
+        it('should configure parameters', async function() {
+
+          // given
+          const editFieldSpy = spy();
+
+          let field = tableSchema.components.find(({ label }) => label === 'static-headers-table');
+          field = { ...field, dataSource: undefined, dataProvider: { name: 'orders' } };
+
+          bootstrapPropertiesPanel({
+            container,
+            editField: editFieldSpy,
+            field
+          });
+
+          // when
+          await setEditorValue(findTextbox('dataProvider-parameters', container), '{ customer: customer }');
+
+          // then
+          expect(editFieldSpy).to.have.been.calledOnceWith(field, [ 'dataProvider' ], {
+            name: 'orders',
+            parameters: '={ customer: customer }'
+          });
+        });
+
+
+        it('entries should change', function() {
+
+          // given
+          let field = tableSchema.components.find(({ label }) => label === 'static-headers-table');
+          field = { ...field, dataSource: undefined, dataProvider: { name: 'orders' } };
+
+          bootstrapPropertiesPanel({
+            container,
+            field
+          });
+
+          // then
+          expectGroupEntries(container, 'General', [
+            'Table label',
+            'Data source type',
+            'Data provider',
+            'Parameters',
+            'Pagination',
+            'Number of rows per page',
+            'Search',
+            'CSV download'
+          ]);
+        });
+
+      });
+
+
       describe('columns', function() {
 
         it('should auto focus other entry', async function() {
@@ -3934,6 +4841,105 @@ describe('properties panel', function() {
         });
 
 
+        it('should set format', function() {
+
+          // given
+          const editFieldSpy = spy();
+
+          const field = {
+            id: 'Table_1',
+            type: 'table',
+            dataSource: '=data',
+            columns: [
+              { label: 'Total', key: 'total' }
+            ]
+          };
+
+          bootstrapPropertiesPanel({
+            container,
+            editField: editFieldSpy,
+            field
+          });
+
+          // when
+          const select = screen.getByLabelText('Format');
+
+          fireEvent.input(select, { target: { value: 'currency' } });
+
+          // then
+          expect(editFieldSpy).to.have.been.calledWith(field, 'columns', [
+            { label: 'Total', key: 'total', format: 'currency' }
+          ]);
+        });
+
+
+        it('should remove currency with format', function() {
+
+          // given
+          const editFieldSpy = spy();
+
+          const field = {
+            id: 'Table_1',
+            type: 'table',
+            dataSource: '=data',
+            columns: [
+              { label: 'Total', key: 'total', format: 'currency', currency: 'USD' }
+            ]
+          };
+
+          bootstrapPropertiesPanel({
+            container,
+            editField: editFieldSpy,
+            field
+          });
+
+          // assume
+          expect(screen.getByLabelText('Currency').value).to.eql('USD');
+
+          // when
+          const select = screen.getByLabelText('Format');
+
+          fireEvent.input(select, { target: { value: 'number' } });
+
+          // then
+          expect(editFieldSpy).to.have.been.calledWith(field, 'columns', [
+            { label: 'Total', key: 'total', format: 'number' }
+          ]);
+        });
+
+
+        it('should set filterable', function() {
+
+          // given
+          const editFieldSpy = spy();
+
+          const field = {
+            id: 'Table_1',
+            type: 'table',
+            dataSource: '=data',
+            columns: [
+              { label: 'Name', key: 'name' }
+            ]
+          };
+
+          bootstrapPropertiesPanel({
+            container,
+            editField: editFieldSpy,
+            field
+          });
+
+          // when
+          const toggle = screen.getByLabelText('Filterable');
+
+          fireEvent.click(toggle);
+
+          // then
+          expect(editFieldSpy).to.have.been.calledWith(field, 'columns', [
+            { label: 'Name', key: 'name', filterable: true }
+          ]);
+        });
+
+
         describe('validation', function() {
 
           describe('key', function() {
@@ -3966,6 +4972,44 @@ describe('properties panel', function() {
 
           });
 
+
+          describe('currency', function() {
+
+            it('should be a currency code', function() {
+
+              // given
+              const editFieldSpy = spy();
+
+              const field = {
+                id: 'Table_1',
+                type: 'table',
+                dataSource: '=data',
+                columns: [
+                  { label: 'Total', key: 'total', format: 'currency' }
+                ]
+              };
+
+              bootstrapPropertiesPanel({
+                container,
+                editField: editFieldSpy,
+                field
+              });
+
+              // when
+              const input = screen.getByLabelText('Currency');
+
+              fireEvent.input(input, { target: { value: 'euro' } });
+
+              // then
+              expect(editFieldSpy).to.not.have.been.called;
+
+              const error = screen.getByText('Must be a three-letter currency code.');
+
+              expect(error).to.exist;
+            });
+
+          });
+
         });
 
       });
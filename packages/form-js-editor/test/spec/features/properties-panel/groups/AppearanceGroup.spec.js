@@ -1,8 +1,11 @@
 import {
   cleanup,
+  fireEvent,
   render
 } from '@testing-library/preact/pure';
 
+import { set } from 'min-dash';
+
 import { AppearanceGroup } from '../../../../../src/features/properties-panel/groups';
 
 import { MockPropertiesPanelContext, TestPropertiesPanel } from '../helper';
@@ -211,6 +214,313 @@ describe('AppearanceGroup', function() {
 
   });
 
+
+  describe('mask', function() {
+
+    it('should render for textfield', function() {
+
+      // given
+      const field = { type: 'textfield' };
+
+      // when
+      const { container } = renderAppearanceGroup({ field });
+
+      // then
+      expect(findInput('mask', container)).to.exist;
+      expect(findInput('storeUnmasked', container)).not.to.exist;
+    });
+
+
+    it('should NOT render for number', function() {
+
+      // given
+      const field = { type: 'number' };
+
+      // when
+      const { container } = renderAppearanceGroup({ field });
+
+      // then
+      expect(findInput('mask', container)).not.to.exist;
+    });
+
+
+    it('should read', function() {
+
+      // given
+      const field = {
+        type: 'textfield',
+        appearance: {
+          mask: '(999) 999-9999',
+          storeUnmasked: true
+        }
+      };
+
+      // when
+      const { container } = renderAppearanceGroup({ field });
+
+      // then
+      expect(findInput('mask', container).value).to.eql('(999) 999-9999');
+      expect(findInput('storeUnmasked', container).checked).to.be.true;
+    });
+
+
+    it('should write', function() {
+
+      // given
+      const field = {
+        type: 'textfield'
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderAppearanceGroup({ field, editField: editFieldSpy });
+
+      // when
+      fireEvent.input(findInput('mask', container), { target: { value: '99999' } });
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.appearance.mask).to.eql('99999');
+    });
+
+
+    it('should write store unmasked', function() {
+
+      // given
+      const field = {
+        type: 'textfield',
+        appearance: {
+          mask: '99999'
+        }
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderAppearanceGroup({ field, editField: editFieldSpy });
+
+      // when
+      fireEvent.click(findInput('storeUnmasked', container));
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.appearance.storeUnmasked).to.be.true;
+    });
+
+  });
+
+
+  describe('number format', function() {
+
+    it('should render for number', function() {
+
+      // given
+      const field = { type: 'number' };
+
+      // when
+      const { container } = renderAppearanceGroup({ field });
+
+      // then
+      expect(findSelect('number-format', container)).to.exist;
+      expect(findInput('currency', container)).not.to.exist;
+    });
+
+
+    it('should NOT render for textfield', function() {
+
+      // given
+      const field = { type: 'textfield' };
+
+      // when
+      const { container } = renderAppearanceGroup({ field });
+
+      // then
+      expect(findSelect('number-format', container)).not.to.exist;
+    });
+
+
+    it('should read', function() {
+
+      // given
+      const field = {
+        type: 'number',
+        numberFormat: 'currency',
+        currency: 'USD'
+      };
+
+      // when
+      const { container } = renderAppearanceGroup({ field });
+
+      // then
+      expect(findSelect('number-format', container).value).to.equal('currency');
+      expect(findInput('currency', container).value).to.equal('USD');
+    });
+
+
+    it('should write', function() {
+
+      // given
+      const field = {
+        type: 'number'
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderAppearanceGroup({ field, editField: editFieldSpy });
+
+      // when
+      fireEvent.input(findSelect('number-format', container), { target: { value: 'percent' } });
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnceWith(field, [ 'numberFormat' ], 'percent');
+      expect(field.numberFormat).to.equal('percent');
+    });
+
+
+    it('should remove currency', function() {
+
+      // given
+      const field = {
+        type: 'number',
+        numberFormat: 'currency',
+        currency: 'USD'
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderAppearanceGroup({ field, editField: editFieldSpy });
+
+      // when
+      fireEvent.input(findSelect('number-format', container), { target: { value: 'decimal' } });
+
+      // then
+      expect(editFieldSpy).to.have.been.calledWith(field, [ 'currency' ], undefined);
+      expect(field.numberFormat).to.equal('decimal');
+    });
+
+
+    it('should write currency', function() {
+
+      // given
+      const field = {
+        type: 'number',
+        numberFormat: 'currency'
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderAppearanceGroup({ field, editField: editFieldSpy });
+
+      // when
+      fireEvent.input(findInput('currency', container), { target: { value: 'chf' } });
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.currency).to.equal('CHF');
+    });
+
+
+    it('should validate currency', function() {
+
+      // given
+      const field = {
+        type: 'number',
+        numberFormat: 'currency'
+      };
+
+      const editFieldSpy = sinon.spy();
+
+      const { container } = renderAppearanceGroup({ field, editField: editFieldSpy });
+
+      // when
+      fireEvent.input(findInput('currency', container), { target: { value: 'EURO' } });
+
+      // then
+      expect(editFieldSpy).not.to.have.been.called;
+      expect(container.querySelector('[data-entry-id="currency"] .bio-properties-panel-error')).to.exist;
+    });
+
+  });
+
+
+  describe('toolbar', function() {
+
+    it('should render for richtext', function() {
+
+      // given
+      const field = { type: 'richtext' };
+
+      // when
+      const { container } = renderAppearanceGroup({ field });
+
+      // then
+      [ 'bold', 'italic', 'bulletList', 'orderedList', 'link' ].forEach(action => {
+        const input = findInput(`toolbar-${ action }`, container);
+
+        expect(input).to.exist;
+        expect(input.checked).to.be.true;
+      });
+    });
+
+
+    it('should read', function() {
+
+      // given
+      const field = {
+        type: 'richtext',
+        toolbar: [ 'bold' ]
+      };
+
+      // when
+      const { container } = renderAppearanceGroup({ field });
+
+      // then
+      expect(findInput('toolbar-bold', container).checked).to.be.true;
+      expect(findInput('toolbar-italic', container).checked).to.be.false;
+    });
+
+
+    it('should write', function() {
+
+      // given
+      const field = {
+        type: 'richtext',
+        toolbar: [ 'bold' ]
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderAppearanceGroup({ field, editField: editFieldSpy });
+
+      // when
+      fireEvent.click(findInput('toolbar-link', container));
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.toolbar).to.eql([ 'bold', 'link' ]);
+    });
+
+
+    it('should remove toolbar if all actions are enabled', function() {
+
+      // given
+      const field = {
+        type: 'richtext',
+        toolbar: [ 'bold', 'italic', 'bulletList', 'orderedList' ]
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderAppearanceGroup({ field, editField: editFieldSpy });
+
+      // when
+      fireEvent.click(findInput('toolbar-link', container));
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnceWith(field, [ 'toolbar' ], undefined);
+    });
+
+  });
+
 });
 
 
@@ -235,6 +545,14 @@ function findFeelers(id, container) {
   return container.querySelector(`[data-entry-id="${id}"] .bio-properties-panel-feelers-editor`);
 }
 
+function findInput(id, container) {
+  return container.querySelector(`input[name="${id}"]`);
+}
+
+function findSelect(id, container) {
+  return container.querySelector(`select[name="${id}"]`);
+}
+
 function findTextbox(id, container) {
   return container.querySelector(`[name=${id}] [role="textbox"]`);
 }
@@ -1,15 +1,20 @@
 import {
   act,
   cleanup,
+  fireEvent,
   render
 } from '@testing-library/preact/pure';
 
+import { set } from 'min-dash';
+
 import { ConditionGroup } from '../../../../../src/features/properties-panel/groups';
 
 import { MockPropertiesPanelContext, TestPropertiesPanel } from '../helper';
 
 import { INPUTS } from '../../../../../src/features/properties-panel/Util';
 
+import { setEditorValue } from '../../../../helper';
+
 const HIDE_CONDITION = 'conditional-hide';
 
 
@@ -122,6 +127,109 @@ describe('ConditionGroup', function() {
     });
 
   });
+
+
+  describe('disabled', function() {
+
+    it('should render for INPUTS', function() {
+
+      // given
+      for (const type of INPUTS) {
+
+        const field = { type };
+
+        // when
+        const { container } = renderConditionGroup({ field });
+
+        // then
+        const disabledInput = findToggle('disabled', container);
+
+        expect(disabledInput).to.exist;
+      }
+    });
+
+
+    it('should NOT render for text', function() {
+
+      // given
+      const field = { type: 'text' };
+
+      // when
+      const { container } = renderConditionGroup({ field });
+
+      // then
+      const disabledInput = findToggle('disabled', container);
+
+      expect(disabledInput).to.not.exist;
+    });
+
+
+    it('should read', function() {
+
+      // given
+      const field = {
+        type: 'number',
+        disabled: true
+      };
+
+      // when
+      const { container } = renderConditionGroup({ field });
+
+      const disabledInput = findToggle('disabled', container);
+
+      // then
+      expect(disabledInput).to.exist;
+      expect(disabledInput.checked).to.equal(true);
+    });
+
+
+    it('should write boolean', function() {
+
+      // given
+      const field = {
+        type: 'number',
+        disabled: true
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderConditionGroup({ field, editField: editFieldSpy });
+
+      const disabledInput = findToggle('disabled', container);
+
+      // when
+      fireEvent.click(disabledInput);
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.disabled).to.equal(false);
+    });
+
+
+    it('should write expression', async function() {
+
+      // given
+      const field = {
+        type: 'number',
+        disabled: '=foo'
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderConditionGroup({ field, editField: editFieldSpy });
+
+      const disabledInput = findTextbox('disabled', container);
+      expect(disabledInput.textContent).to.equal('foo');
+
+      // when
+      await setEditorValue(disabledInput, 'bar');
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(editFieldSpy).to.have.been.calledWith(field, [ 'disabled' ], '=bar');
+    });
+
+  });
 });
 
 
@@ -151,3 +259,11 @@ function changeInput(element, value) {
 function findInput(id, container) {
   return container.querySelector(`.bio-properties-panel-input[name="${id}"] [contenteditable]`);
 }
+
+function findToggle(id, container) {
+  return container.querySelector(`input[name="${id}"]`);
+}
+
+function findTextbox(id, container) {
+  return container.querySelector(`[name=${id}] [role="textbox"]`);
+}
@@ -849,85 +849,6 @@ describe('GeneralGroup', function() {
   });
 
 
-  describe('disabled', function() {
-
-    it('should NOT render for default', function() {
-
-      // given
-      const field = { type: 'default' };
-
-      // when
-      const { container } = renderGeneralGroup({ field });
-
-      // then
-      const disabledInput = findInput('disabled', container);
-
-      expect(disabledInput).to.not.exist;
-    });
-
-
-    it('should render for INPUTS', function() {
-
-      // given
-      for (const type of INPUTS) {
-
-        const field = { type };
-
-        // when
-        const { container } = renderGeneralGroup({ field });
-
-        // then
-        const disabledInput = findInput('disabled', container);
-
-        expect(disabledInput).to.exist;
-      }
-    });
-
-
-    it('should read', function() {
-
-      // given
-      const field = {
-        type: 'number',
-        disabled: true
-      };
-
-      // when
-      const { container } = renderGeneralGroup({ field });
-
-      const disabledInput = findInput('disabled', container);
-
-      // then
-      expect(disabledInput).to.exist;
-      expect(disabledInput.checked).to.equal(true);
-    });
-
-
-    it('should write', function() {
-
-      // given
-      const field = {
-        type: 'number',
-        disabled: true
-      };
-
-      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
-
-      const { container } = renderGeneralGroup({ field, editField: editFieldSpy });
-
-      const disabledInput = findInput('disabled', container);
-
-      // when
-      fireEvent.click(disabledInput);
-
-      // then
-      expect(editFieldSpy).to.have.been.calledOnce;
-      expect(field.disabled).to.equal(false);
-    });
-
-  });
-
-
   describe('readonly', function() {
 
     it('should NOT render for default', function() {
@@ -1242,6 +1163,347 @@ describe('GeneralGroup', function() {
 
   });
 
+
+  describe('table', function() {
+
+    it('should render search and download', function() {
+
+      // given
+      const field = {
+        type: 'table',
+        dataSource: '=data',
+        columns: []
+      };
+
+      // when
+      const { container } = renderGeneralGroup({ field });
+
+      // then
+      expect(findInput('tableSearchable', container)).to.exist;
+      expect(findInput('downloadable', container)).to.exist;
+    });
+
+
+    it('should NOT render for other fields', function() {
+
+      // given
+      const field = {
+        type: 'select'
+      };
+
+      // when
+      const { container } = renderGeneralGroup({ field });
+
+      // then
+      expect(findInput('tableSearchable', container)).not.to.exist;
+      expect(findInput('downloadable', container)).not.to.exist;
+    });
+
+
+    it('should write search', function() {
+
+      // given
+      const field = {
+        type: 'table',
+        dataSource: '=data',
+        columns: []
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderGeneralGroup({ field, editField: editFieldSpy });
+
+      const searchableInput = findInput('tableSearchable', container);
+
+      // when
+      fireEvent.click(searchableInput);
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.searchable).to.equal(true);
+    });
+
+
+    it('should write download', function() {
+
+      // given
+      const field = {
+        type: 'table',
+        dataSource: '=data',
+        columns: []
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderGeneralGroup({ field, editField: editFieldSpy });
+
+      const downloadableInput = findInput('downloadable', container);
+
+      // when
+      fireEvent.click(downloadableInput);
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.downloadable).to.equal(true);
+    });
+
+  });
+
+
+  describe('address', function() {
+
+    it('should render parts', function() {
+
+      // given
+      const field = {
+        type: 'address'
+      };
+
+      // when
+      const { container } = renderGeneralGroup({ field });
+
+      // then
+      [ 'street', 'number', 'zip', 'city', 'country' ].forEach(part => {
+        const input = findInput(`part-${ part }`, container);
+
+        expect(input).to.exist;
+        expect(input.checked).to.be.true;
+      });
+
+      expect(findInput('countries', container)).to.exist;
+    });
+
+
+    it('should NOT render for other fields', function() {
+
+      // given
+      const field = {
+        type: 'textfield'
+      };
+
+      // when
+      const { container } = renderGeneralGroup({ field });
+
+      // then
+      expect(findInput('part-street', container)).not.to.exist;
+      expect(findInput('countries', container)).not.to.exist;
+    });
+
+
+    it('should read parts', function() {
+
+      // given
+      const field = {
+        type: 'address',
+        parts: [ 'city' ]
+      };
+
+      // when
+      const { container } = renderGeneralGroup({ field });
+
+      // then
+      expect(findInput('part-street', container).checked).to.be.false;
+      expect(findInput('part-city', container).checked).to.be.true;
+      expect(findInput('countries', container)).not.to.exist;
+    });
+
+
+    it('should write parts', function() {
+
+      // given
+      const field = {
+        type: 'address',
+        parts: [ 'city' ]
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderGeneralGroup({ field, editField: editFieldSpy });
+
+      // when
+      fireEvent.click(findInput('part-zip', container));
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.parts).to.eql([ 'zip', 'city' ]);
+    });
+
+
+    it('should keep last part', function() {
+
+      // given
+      const field = {
+        type: 'address',
+        parts: [ 'city' ]
+      };
+
+      const editFieldSpy = sinon.spy();
+
+      const { container } = renderGeneralGroup({ field, editField: editFieldSpy });
+
+      // when
+      fireEvent.click(findInput('part-city', container));
+
+      // then
+      expect(editFieldSpy).not.to.have.been.called;
+    });
+
+
+    it('should read countries', function() {
+
+      // given
+      const field = {
+        type: 'address',
+        countries: [ 'AT', 'DE' ]
+      };
+
+      // when
+      const { container } = renderGeneralGroup({ field });
+
+      // then
+      expect(findInput('countries', container).value).to.equal('AT, DE');
+    });
+
+
+    it('should write countries', function() {
+
+      // given
+      const field = {
+        type: 'address'
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderGeneralGroup({ field, editField: editFieldSpy });
+
+      // when
+      fireEvent.input(findInput('countries', container), { target: { value: 'at, de ,' } });
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.countries).to.eql([ 'AT', 'DE' ]);
+    });
+
+
+    it('should validate countries', function() {
+
+      // given
+      const field = {
+        type: 'address'
+      };
+
+      const editFieldSpy = sinon.spy();
+
+      const { container } = renderGeneralGroup({ field, editField: editFieldSpy });
+
+      // when
+      fireEvent.input(findInput('countries', container), { target: { value: 'AT, Germany' } });
+
+      // then
+      const error = container.querySelector('.bio-properties-panel-error');
+
+      expect(error).to.exist;
+      expect(error.textContent).to.equal('Germany is not a two-letter country code.');
+    });
+
+  });
+
+
+  describe('expression', function() {
+
+    it('should render for expression', function() {
+
+      // given
+      const field = {
+        type: 'expression'
+      };
+
+      // when
+      const { container } = renderGeneralGroup({ field });
+
+      // then
+      expect(findTextbox('expression', container)).to.exist;
+      expect(findInput('hidden', container)).to.exist;
+      expect(findInput('key', container)).to.exist;
+    });
+
+
+    it('should NOT render for other fields', function() {
+
+      // given
+      const field = {
+        type: 'textfield'
+      };
+
+      // when
+      const { container } = renderGeneralGroup({ field });
+
+      // then
+      expect(findTextbox('expression', container)).not.to.exist;
+      expect(findInput('hidden', container)).not.to.exist;
+    });
+
+
+    it('should read', function() {
+
+      // given
+      const field = {
+        type: 'expression',
+        expression: '=price * quantity',
+        hidden: true
+      };
+
+      // when
+      const { container } = renderGeneralGroup({ field });
+
+      // then
+      expect(findTextbox('expression', container).textContent).to.equal('price * quantity');
+      expect(findInput('hidden', container).checked).to.be.true;
+    });
+
+
+    it('should write expression', async function() {
+
+      // given
+      const field = {
+        type: 'expression',
+        expression: '=price'
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderGeneralGroup({ field, editField: editFieldSpy });
+
+      // when
+      await setEditorValue(findTextbox('expression', container), 'price * quantity');
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(editFieldSpy).to.have.been.calledWith(field, [ 'expression' ], '=price * quantity');
+    });
+
+
+    it('should write hidden', function() {
+
+      // given
+      const field = {
+        type: 'expression'
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderGeneralGroup({ field, editField: editFieldSpy });
+
+      // when
+      fireEvent.click(findInput('hidden', container));
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.hidden).to.be.true;
+    });
+
+  });
+
 });
 
 
@@ -114,6 +114,124 @@ describe('SerializationGroup', function() {
   });
 
 
+  describe('signature format', function() {
+
+    it('should render for signature', function() {
+
+      // given
+      const field = { type: 'signature' };
+
+      // when
+      const { container } = renderSerializationGroup({ field });
+
+      // then
+      const signatureFormatSelect = findSelect('signature-format', container);
+
+      expect(signatureFormatSelect).to.exist;
+      expect(signatureFormatSelect.value).to.equal('png');
+    });
+
+
+    it('should read', function() {
+
+      // given
+      const field = {
+        type: 'signature',
+        signatureFormat: 'svg'
+      };
+
+      // when
+      const { container } = renderSerializationGroup({ field });
+      const signatureFormatSelect = findSelect('signature-format', container);
+
+      // then
+      expect(signatureFormatSelect.value).to.equal('svg');
+    });
+
+
+    it('should write', function() {
+
+      // given
+      const field = {
+        type: 'signature'
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderSerializationGroup({ field, editField: editFieldSpy });
+
+      const signatureFormatSelect = findSelect('signature-format', container);
+
+      // when
+      fireEvent.input(signatureFormatSelect, { target: { value: 'svg' } });
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.signatureFormat).to.equal('svg');
+    });
+
+  });
+
+
+  describe('rich text format', function() {
+
+    it('should render for richtext', function() {
+
+      // given
+      const field = { type: 'richtext' };
+
+      // when
+      const { container } = renderSerializationGroup({ field });
+
+      // then
+      const richTextFormatSelect = findSelect('rich-text-format', container);
+
+      expect(richTextFormatSelect).to.exist;
+      expect(richTextFormatSelect.value).to.equal('markdown');
+    });
+
+
+    it('should read', function() {
+
+      // given
+      const field = {
+        type: 'richtext',
+        richTextFormat: 'html'
+      };
+
+      // when
+      const { container } = renderSerializationGroup({ field });
+      const richTextFormatSelect = findSelect('rich-text-format', container);
+
+      // then
+      expect(richTextFormatSelect.value).to.equal('html');
+    });
+
+
+    it('should write', function() {
+
+      // given
+      const field = {
+        type: 'richtext'
+      };
+
+      const editFieldSpy = sinon.spy((field, path, value) => set(field, path, value));
+
+      const { container } = renderSerializationGroup({ field, editField: editFieldSpy });
+
+      const richTextFormatSelect = findSelect('rich-text-format', container);
+
+      // when
+      fireEvent.input(richTextFormatSelect, { target: { value: 'html' } });
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.richTextFormat).to.equal('html');
+    });
+
+  });
+
+
   describe('serialize to string', function() {
 
     it('should render for number', function() {
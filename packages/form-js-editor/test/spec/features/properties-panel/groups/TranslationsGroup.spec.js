@@ -0,0 +1,239 @@
+import {
+  cleanup,
+  fireEvent,
+  render
+} from '@testing-library/preact/pure';
+
+import { TranslationsGroup } from '../../../../../src/features/properties-panel/groups';
+
+import { MockPropertiesPanelContext, TestPropertiesPanel } from '../helper';
+import { createMockInjector } from '../helper/mocks';
+
+
+describe('TranslationsGroup', function() {
+
+  afterEach(() => cleanup());
+
+  const config = {
+    i18n: {
+      locales: [ 'de', 'fr' ]
+    }
+  };
+
+
+  it('should NOT render without locales', function() {
+
+    // given
+    const field = { id: 'Textfield_1', type: 'textfield', label: 'Name' };
+
+    // when
+    const { container } = renderTranslationsGroup({ field, schema: createForm(field) });
+
+    // then
+    expect(findGroup('translations', container)).not.to.exist;
+  });
+
+
+  it('should NOT render for form', function() {
+
+    // given
+    const field = { id: 'Textfield_1', type: 'textfield', label: 'Name' };
+
+    const schema = createForm(field);
+
+    // when
+    const { container } = renderTranslationsGroup({ field: schema, schema, services: { config } });
+
+    // then
+    expect(findGroup('translations', container)).not.to.exist;
+  });
+
+
+  it('should render entries side by side per locale', function() {
+
+    // given
+    const field = {
+      id: 'Textfield_1',
+      type: 'textfield',
+      label: 'Name',
+      description: 'As in your passport'
+    };
+
+    // when
+    const { container } = renderTranslationsGroup({ field, schema: createForm(field), services: { config } });
+
+    // then
+    const entries = container.querySelectorAll('.bio-properties-panel-entry');
+
+    expect(Array.from(entries).map(entry => entry.dataset.entryId)).to.eql([
+      'translation-de-label',
+      'translation-fr-label',
+      'translation-de-description',
+      'translation-fr-description'
+    ]);
+  });
+
+
+  it('should render locales of schema', function() {
+
+    // given
+    const field = { id: 'Textfield_1', type: 'textfield', label: 'Name' };
+
+    const schema = createForm(field, {
+      Textfield_1: {
+        es: {
+          label: 'Nombre'
+        }
+      }
+    });
+
+    // when
+    const { container } = renderTranslationsGroup({ field, schema });
+
+    // then
+    expect(findInput('translation-es-label', container)).to.exist;
+  });
+
+
+  it('should render option entries', function() {
+
+    // given
+    const field = {
+      id: 'Select_1',
+      type: 'select',
+      label: 'Country',
+      values: [
+        { label: 'Germany', value: 'de' },
+        { label: 'France', value: 'fr' }
+      ]
+    };
+
+    // when
+    const { container } = renderTranslationsGroup({ field, schema: createForm(field), services: { config } });
+
+    // then
+    expect(findInput('translation-de-options-de', container)).to.exist;
+    expect(findInput('translation-fr-options-fr', container)).to.exist;
+  });
+
+
+  it('should read', function() {
+
+    // given
+    const field = { id: 'Textfield_1', type: 'textfield', label: 'Name' };
+
+    const schema = createForm(field, {
+      Textfield_1: {
+        fr: {
+          label: 'Nom'
+        }
+      }
+    });
+
+    // when
+    const { container } = renderTranslationsGroup({ field, schema, services: { config } });
+
+    // then
+    expect(findInput('translation-de-label', container).value).to.equal('');
+    expect(findInput('translation-fr-label', container).value).to.equal('Nom');
+  });
+
+
+  it('should write', function() {
+
+    // given
+    const field = { id: 'Textfield_1', type: 'textfield', label: 'Name' };
+
+    const schema = createForm(field, {
+      Textfield_1: {
+        fr: {
+          label: 'Nom'
+        }
+      }
+    });
+
+    const editFieldSpy = sinon.spy();
+
+    const { container } = renderTranslationsGroup({ field, schema, editField: editFieldSpy, services: { config } });
+
+    // when
+    fireEvent.input(findInput('translation-de-label', container), { target: { value: 'Name' } });
+
+    // then
+    expect(editFieldSpy).to.have.been.calledOnceWith(schema, 'translations', {
+      Textfield_1: {
+        de: {
+          label: 'Name'
+        },
+        fr: {
+          label: 'Nom'
+        }
+      }
+    });
+  });
+
+
+  it('should remove', function() {
+
+    // given
+    const field = { id: 'Textfield_1', type: 'textfield', label: 'Name' };
+
+    const schema = createForm(field, {
+      Textfield_1: {
+        fr: {
+          label: 'Nom'
+        }
+      }
+    });
+
+    const editFieldSpy = sinon.spy();
+
+    const { container } = renderTranslationsGroup({ field, schema, editField: editFieldSpy, services: { config } });
+
+    // when
+    fireEvent.input(findInput('translation-fr-label', container), { target: { value: '' } });
+
+    // then
+    expect(editFieldSpy).to.have.been.calledOnceWith(schema, 'translations', undefined);
+  });
+
+});
+
+
+// helper ///////////////
+
+function createForm(field, translations) {
+  return {
+    id: 'Form_1',
+    type: 'default',
+    components: [ field ],
+    translations
+  };
+}
+
+function renderTranslationsGroup({ services, ...options }) {
+  const {
+    editField,
+    field
+  } = options;
+
+  const injector = createMockInjector(services, options);
+
+  const groups = [ TranslationsGroup(field, editField, (type, strict) => injector.get(type, strict)) ].filter(Boolean);
+
+  return render(
+    <MockPropertiesPanelContext options={ options } services={ services }>
+      <TestPropertiesPanel
+        field={ field }
+        groups={ groups } />
+    </MockPropertiesPanelContext>
+  );
+}
+
+function findInput(id, container) {
+  return container.querySelector(`input[name="${id}"]`);
+}
+
+function findGroup(id, container) {
+  return container.querySelector(`[data-group-id="group-${id}"]`);
+}
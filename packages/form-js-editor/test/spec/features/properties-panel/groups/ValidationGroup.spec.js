@@ -7,6 +7,9 @@ import {
 import { ValidationGroup } from '../../../../../src/features/properties-panel/groups';
 
 import { TestPropertiesPanel, MockPropertiesPanelContext } from '../helper';
+import { createMockInjector } from '../helper/mocks';
+
+import { ValidatorRegistry } from '@bpmn-io/form-js-viewer';
 
 import { setEditorValue } from '../../../../helper';
 
@@ -78,6 +81,32 @@ describe('ValidationGroup', function() {
       expect(field.validate.required).to.be.false;
     });
 
+
+    it('should write expression', async function() {
+
+      // given
+      const field = {
+        type: 'textfield',
+        validate: {
+          required: '=foo'
+        }
+      };
+
+      const editFieldSpy = sinon.spy();
+
+      const { container } = renderValidationGroup({ field, editField: editFieldSpy });
+
+      const requiredInput = findTextbox('required', container);
+      expect(requiredInput.textContent).to.equal('foo');
+
+      // when
+      await setEditorValue(requiredInput, 'amount > 1000');
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.validate.required).to.equal('=amount > 1000');
+    });
+
   });
 
 
@@ -707,21 +736,435 @@ describe('ValidationGroup', function() {
 
   });
 
+
+  describe('expression', function() {
+
+    it('should render for textfield', function() {
+
+      // given
+      const field = { type: 'textfield' };
+
+      // when
+      const { container } = renderValidationGroup({ field });
+
+      // then
+      const expressionInput = findTextbox('expression', container);
+
+      expect(expressionInput).to.exist;
+    });
+
+
+    it('should NOT render for non-inputs', function() {
+
+      // given
+      const field = { type: 'text' };
+
+      // when
+      const { container } = renderValidationGroup({ field });
+
+      // then
+      const expressionInput = findTextbox('expression', container);
+
+      expect(expressionInput).not.to.exist;
+    });
+
+
+    it('should read', function() {
+
+      // given
+      const field = {
+        type: 'textfield',
+        validate: {
+          expression: '=confirmEmail = email'
+        }
+      };
+
+      // when
+      const { container } = renderValidationGroup({ field });
+
+      // then
+      const expressionInput = findTextbox('expression', container);
+
+      expect(expressionInput.textContent).to.equal('confirmEmail = email');
+    });
+
+
+    it('should write', async function() {
+
+      // given
+      const field = {
+        type: 'textfield',
+        validate: {
+          expression: '=confirmEmail = email'
+        }
+      };
+
+      const editFieldSpy = sinon.spy();
+
+      const { container } = renderValidationGroup({ field, editField: editFieldSpy });
+
+      const expressionInput = findTextbox('expression', container);
+
+      // when
+      await setEditorValue(expressionInput, 'confirmEmail != email');
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.validate.expression).to.equal('=confirmEmail != email');
+    });
+
+  });
+
+
+  describe('expressionMessage', function() {
+
+    it('should render if expression is set', function() {
+
+      // given
+      const field = {
+        type: 'textfield',
+        validate: {
+          expression: '=confirmEmail = email'
+        }
+      };
+
+      // when
+      const { container } = renderValidationGroup({ field });
+
+      // then
+      const messageInput = findInput('expressionMessage', container);
+
+      expect(messageInput).to.exist;
+    });
+
+
+    it('should NOT render without expression', function() {
+
+      // given
+      const field = { type: 'textfield' };
+
+      // when
+      const { container } = renderValidationGroup({ field });
+
+      // then
+      const messageInput = findInput('expressionMessage', container);
+
+      expect(messageInput).not.to.exist;
+    });
+
+
+    it('should read', function() {
+
+      // given
+      const field = {
+        type: 'textfield',
+        validate: {
+          expression: '=confirmEmail = email',
+          expressionMessage: 'Emails must match.'
+        }
+      };
+
+      // when
+      const { container } = renderValidationGroup({ field });
+
+      // then
+      const messageInput = findInput('expressionMessage', container);
+
+      expect(messageInput.value).to.equal('Emails must match.');
+    });
+
+
+    it('should write', function() {
+
+      // given
+      const field = {
+        type: 'textfield',
+        validate: {
+          expression: '=confirmEmail = email'
+        }
+      };
+
+      const editFieldSpy = sinon.spy();
+
+      const { container } = renderValidationGroup({ field, editField: editFieldSpy });
+
+      const messageInput = findInput('expressionMessage', container);
+
+      // when
+      fireEvent.input(messageInput, { target: { value: 'Emails must match.' } });
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.validate.expressionMessage).to.equal('Emails must match.');
+    });
+
+  });
+
+
+  describe('custom', function() {
+
+    function createValidatorRegistry() {
+      const validatorRegistry = new ValidatorRegistry();
+
+      validatorRegistry.register('iban', {
+        label: 'IBAN',
+        validate: () => true
+      });
+
+      validatorRegistry.register('username', {
+        label: 'Unique username',
+        validate: () => Promise.resolve(true)
+      });
+
+      return validatorRegistry;
+    }
+
+
+    it('should NOT render without registered validators', function() {
+
+      // given
+      const field = { type: 'textfield' };
+
+      // when
+      const { container } = renderValidationGroup({ field });
+
+      // then
+      const customSelect = findSelect('custom', container);
+
+      expect(customSelect).not.to.exist;
+    });
+
+
+    it('should render registered validators', function() {
+
+      // given
+      const field = { type: 'textfield' };
+
+      const validatorRegistry = createValidatorRegistry();
+
+      // when
+      const { container } = renderValidationGroup({ field, services: { validatorRegistry } });
+
+      // then
+      const customSelect = findSelect('custom', container);
+
+      expect(customSelect).to.exist;
+      expect(Array.from(customSelect.options).map(({ label }) => label)).to.eql([
+        '<none>',
+        'IBAN',
+        'Unique username'
+      ]);
+    });
+
+
+    it('should NOT render for non-inputs', function() {
+
+      // given
+      const field = { type: 'text' };
+
+      const validatorRegistry = createValidatorRegistry();
+
+      // when
+      const { container } = renderValidationGroup({ field, services: { validatorRegistry } });
+
+      // then
+      const customSelect = findSelect('custom', container);
+
+      expect(customSelect).not.to.exist;
+    });
+
+
+    it('should read', function() {
+
+      // given
+      const field = {
+        type: 'textfield',
+        validate: {
+          custom: 'iban'
+        }
+      };
+
+      const validatorRegistry = createValidatorRegistry();
+
+      // when
+      const { container } = renderValidationGroup({ field, services: { validatorRegistry } });
+
+      // then
+      const customSelect = findSelect('custom', container);
+
+      expect(customSelect.value).to.equal('iban');
+    });
+
+
+    it('should write', function() {
+
+      // given
+      const field = {
+        type: 'textfield'
+      };
+
+      const editFieldSpy = sinon.spy();
+
+      const validatorRegistry = createValidatorRegistry();
+
+      const { container } = renderValidationGroup({ field, editField: editFieldSpy, services: { validatorRegistry } });
+
+      const customSelect = findSelect('custom', container);
+
+      // when
+      fireEvent.input(customSelect, { target: { value: 'username' } });
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.validate.custom).to.equal('username');
+    });
+
+
+    it('should remove', function() {
+
+      // given
+      const field = {
+        type: 'textfield',
+        validate: {
+          custom: 'iban'
+        }
+      };
+
+      const editFieldSpy = sinon.spy();
+
+      const validatorRegistry = createValidatorRegistry();
+
+      const { container } = renderValidationGroup({ field, editField: editFieldSpy, services: { validatorRegistry } });
+
+      const customSelect = findSelect('custom', container);
+
+      // when
+      fireEvent.input(customSelect, { target: { value: '' } });
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.validate.custom).not.to.exist;
+    });
+
+  });
+
+
+  describe('requiredParts', function() {
+
+    it('should render for address', function() {
+
+      // given
+      const field = {
+        type: 'address',
+        parts: [ 'street', 'city' ]
+      };
+
+      // when
+      const { container } = renderValidationGroup({ field });
+
+      // then
+      expect(findInput('requiredPart-street', container)).to.exist;
+      expect(findInput('requiredPart-city', container)).to.exist;
+      expect(findInput('requiredPart-zip', container)).not.to.exist;
+    });
+
+
+    it('should NOT render for textfield', function() {
+
+      // given
+      const field = { type: 'textfield' };
+
+      // when
+      const { container } = renderValidationGroup({ field });
+
+      // then
+      expect(findInput('requiredPart-street', container)).not.to.exist;
+    });
+
+
+    it('should read', function() {
+
+      // given
+      const field = {
+        type: 'address',
+        validate: {
+          requiredParts: [ 'city' ]
+        }
+      };
+
+      // when
+      const { container } = renderValidationGroup({ field });
+
+      // then
+      expect(findInput('requiredPart-street', container).checked).to.be.false;
+      expect(findInput('requiredPart-city', container).checked).to.be.true;
+    });
+
+
+    it('should write', function() {
+
+      // given
+      const field = {
+        type: 'address',
+        validate: {
+          requiredParts: [ 'city' ]
+        }
+      };
+
+      const editFieldSpy = sinon.spy();
+
+      const { container } = renderValidationGroup({ field, editField: editFieldSpy });
+
+      // when
+      fireEvent.click(findInput('requiredPart-street', container));
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.validate.requiredParts).to.eql([ 'street', 'city' ]);
+    });
+
+
+    it('should remove last required part', function() {
+
+      // given
+      const field = {
+        type: 'address',
+        validate: {
+          requiredParts: [ 'city' ]
+        }
+      };
+
+      const editFieldSpy = sinon.spy();
+
+      const { container } = renderValidationGroup({ field, editField: editFieldSpy });
+
+      // when
+      fireEvent.click(findInput('requiredPart-city', container));
+
+      // then
+      expect(editFieldSpy).to.have.been.calledOnce;
+      expect(field.validate).not.to.have.property('requiredParts');
+    });
+
+  });
+
 });
 
 
 // helper ///////////////
 
-function renderValidationGroup(options) {
+function renderValidationGroup({ services, ...options }) {
   const {
     editField,
     field
   } = options;
 
-  const groups = [ ValidationGroup(field, editField) ];
+  const injector = createMockInjector(services, options);
+
+  const groups = [ ValidationGroup(field, editField, (type, strict) => injector.get(type, strict)) ];
 
   return render(
-    <MockPropertiesPanelContext>
+    <MockPropertiesPanelContext options={ options } services={ services }>
       <TestPropertiesPanel
         field={ field }
         groups={ groups } />
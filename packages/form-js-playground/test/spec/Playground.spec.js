@@ -550,7 +550,7 @@ describe('playground', function() {
       const resultViewValue = JSON.parse(resultView.getValue());
 
       // when
-      const { data: submitData } = form.submit();
+      const { data: submitData } = await form.submit();
 
       // then
       expect(resultViewValue).to.eql(submitData);
@@ -588,7 +588,7 @@ describe('playground', function() {
 
       const resultViewValue = JSON.parse(resultView.getValue());
 
-      const { data: submitData } = form.submit();
+      const { data: submitData } = await form.submit();
 
       // then
       expect(resultViewValue).to.eql(submitData);
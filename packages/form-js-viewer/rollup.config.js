@@ -33,6 +33,39 @@ function pgl(plugins = []) {
 }
 
 
+const external = [
+  'min-dash',
+  'big.js',
+  'preact',
+  'preact/jsx-runtime',
+  'preact/hooks',
+  'preact/compat',
+  'preact-markup',
+  'flatpickr',
+  'showdown',
+  '@carbon/grid',
+  'feelers'
+];
+
+function onwarn(warning, warn) {
+
+  // TODO(@barmac): remove once https://github.com/moment/luxon/issues/193 is resolved
+  if (warning.code === 'CIRCULAR_DEPENDENCY') {
+    if (warning.message.includes('luxon')) {
+      return;
+    }
+  }
+
+  if (warning.code === 'THIS_IS_UNDEFINED') {
+    if (warning.id.includes('flatpickr')) {
+      return;
+    }
+  }
+
+  warn(warning);
+}
+
+
 export default [
   {
     input: 'src/index.js',
@@ -48,19 +81,7 @@ export default [
         file: pkg.module
       }
     ],
-    external: [
-      'min-dash',
-      'big.js',
-      'preact',
-      'preact/jsx-runtime',
-      'preact/hooks',
-      'preact/compat',
-      'preact-markup',
-      'flatpickr',
-      'showdown',
-      '@carbon/grid',
-      'feelers'
-    ],
+    external,
     plugins: pgl([
       copy({
         targets: [
@@ -69,23 +90,24 @@ export default [
         ]
       })
     ]),
-
-    onwarn(warning, warn) {
-
-      // TODO(@barmac): remove once https://github.com/moment/luxon/issues/193 is resolved
-      if (warning.code === 'CIRCULAR_DEPENDENCY') {
-        if (warning.message.includes('luxon')) {
-          return;
-        }
-      }
-
-      if (warning.code === 'THIS_IS_UNDEFINED') {
-        if (warning.id.includes('flatpickr')) {
-          return;
-        }
+    onwarn
+  },
+  {
+    input: 'src/headless.js',
+    output: [
+      {
+        sourcemap: true,
+        format: 'commonjs',
+        file: 'dist/headless.cjs'
+      },
+      {
+        sourcemap: true,
+        format: 'esm',
+        file: 'dist/headless.es.js'
       }
-
-      warn(warning);
-    }
+    ],
+    external,
+    plugins: pgl(),
+    onwarn
   }
 ];
\ No newline at end of file
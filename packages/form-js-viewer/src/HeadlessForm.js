@@ -0,0 +1,1369 @@
+import Ids from 'ids';
+import { get, isNil, isObject, isString, isUndefined, set } from 'min-dash';
+
+import { HeadlessModule } from './core/headless';
+
+import { clone, createInjector, getAncestryList, runRecursively } from './util';
+
+/**
+ * @typedef { import('./types').Injector } Injector
+ * @typedef { import('./types').Module } Module
+ * @typedef { import('./types').Data } Data
+ * @typedef { import('./types').Errors } Errors
+ * @typedef { import('./types').Schema } Schema
+ * @typedef { import('./types').FormProperties } FormProperties
+ * @typedef { import('./types').FormProperty } FormProperty
+ * @typedef { import('./types').FormEvent } FormEvent
+ * @typedef { import('./types').FormOptions } FormOptions
+ * @typedef { import('./types').ValidateOn } ValidateOn
+ *
+ * @typedef { string|Array<string|number> } ValuePath
+ * @typedef { { field: any, indexes: Object, valuePath: Array<string|number> } } ValuePathBinding
+ *
+ * @typedef { {
+ *   data: Data,
+ *   initialData: Data,
+ *   errors: Errors,
+ *   pending: Object,
+ *   touched: Object,
+ *   dirty: Object,
+ *   submitting: boolean,
+ *   properties: FormProperties,
+ *   schema: Schema
+ * } } State
+ *
+ * @typedef { (type:FormEvent, priority:number, handler:Function) => void } OnEventWithPriority
+ * @typedef { (type:FormEvent, handler:Function) => void } OnEventWithOutPriority
+ * @typedef { OnEventWithPriority & OnEventWithOutPriority } OnEventType
+ */
+
+const ids = new Ids([ 32, 36, 1 ]);
+
+/**
+ * Expression variables referring to the repetition scope of a field,
+ * rather than to a named variable.
+ */
+const SCOPE_VARIABLES = [ 'this', 'parent', '_this_', '_parent_' ];
+
+/**
+ * A form without a user interface.
+ *
+ * Imports a schema, initializes and validates its data and produces the data
+ * to submit, applying the same rules as the rendered `Form`. Does not depend
+ * on a DOM, so that it may be used in Node, e.g. to validate submitted data.
+ */
+export class HeadlessForm {
+
+  /**
+   * @constructor
+   * @param {FormOptions} options
+   */
+  constructor(options = {}) {
+
+    /**
+     * @public
+     * @type {OnEventType}
+     */
+    this.on = this._onEvent;
+
+    /**
+     * @public
+     * @type {String}
+     */
+    this._id = ids.next();
+
+    const {
+      injector = this._createInjector(options),
+      properties = {},
+      validateOn = 'change'
+    } = options;
+
+    /**
+     * @private
+     * @type {State}
+     */
+    this._state = {
+      initialData: null,
+      data: null,
+      properties,
+      errors: {},
+      pending: {},
+      touched: {},
+      dirty: {},
+      submitting: false,
+      schema: null
+    };
+
+    /**
+     * @private
+     * @type {Object<string, Promise<void>>}
+     */
+    this._pendingValidations = {};
+
+    /**
+     * @private
+     * @type {ValidateOn}
+     */
+    this._validateOn = validateOn;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this._submitted = false;
+
+    this.get = injector.get;
+
+    this.invoke = injector.invoke;
+
+    this.get('eventBus').fire('form.init');
+  }
+
+  clear() {
+
+    // clear form services
+    this._emit('diagram.clear');
+
+    // clear diagram services (e.g. EventBus)
+    this._emit('form.clear');
+  }
+
+  /**
+   * Destroy the form.
+   */
+  destroy() {
+
+    // destroy form services
+    this.get('eventBus').fire('form.destroy');
+
+    // destroy diagram services (e.g. EventBus)
+    this.get('eventBus').fire('diagram.destroy');
+  }
+
+  /**
+   * Open a form schema with the given initial data.
+   *
+   * @param {Schema} schema
+   * @param {Data} [data]
+   *
+   * @return Promise<{ warnings: Array<any> }>
+   */
+  importSchema(schema, data = {}) {
+    return new Promise((resolve, reject) => {
+      try {
+        this.clear();
+
+        const {
+          schema: importedSchema,
+          warnings
+        } = this.get('importer').importSchema(schema);
+
+        const initializedData = this._getInitializedFieldData(clone(data));
+
+        this._computeFields(initializedData, initializedData);
+
+        this._pendingValidations = {};
+        this._submitted = false;
+
+        this.get('translator').setTranslations(importedSchema.translations);
+
+        this._setState({
+          data: initializedData,
+          errors: {},
+          pending: {},
+          touched: {},
+          dirty: {},
+          schema: importedSchema,
+          initialData: clone(initializedData)
+        });
+
+        this._emit('import.done', { warnings });
+
+        return resolve({ warnings });
+      } catch (error) {
+        this._emit('import.done', {
+          error,
+          warnings: error.warnings || []
+        });
+
+        return reject(error);
+      }
+    });
+  }
+
+  /**
+   * Submit the form, triggering all field validations,
+   * including asynchronous custom validators.
+   *
+   * Once the form fields passed validation, the data runs through the
+   * transformers, validators and handler of the submit pipeline.
+   * Errors reported by the pipeline, keyed by value path, are mapped
+   * back to the respective form fields.
+   *
+   * @returns { Promise<{ data: Data, errors: Errors, response?: any }> }
+   */
+  submit() {
+
+    const {
+      properties,
+      submitting
+    } = this._getState();
+
+    if (properties.readOnly || properties.disabled) {
+      return Promise.reject(new Error('form is read-only'));
+    }
+
+    if (submitting) {
+      return Promise.reject(new Error('form is already submitting'));
+    }
+
+    const submitPipeline = this.get('submitPipeline');
+
+    // report all errors from now on, regardless of the validation mode
+    this._submitted = true;
+
+    this._setState({ submitting: true });
+
+    const fail = (data, submitErrors) => {
+      const errors = this._getFieldErrors(submitErrors);
+
+      this._setState({
+        errors: {
+          ...this._getState().errors,
+          ...errors
+        }
+      });
+
+      return { data, errors };
+    };
+
+    // run validation as part of the chain, so that errors
+    // thrown synchronously end the submission, too
+    return Promise.resolve().then(() => this.validateAsync()).then(errors => {
+      const submitData = this._getSubmitData();
+
+      if (Object.keys(errors).length) {
+        return {
+          data: submitData,
+          errors
+        };
+      }
+
+      return submitPipeline.transform(submitData).then(data => {
+        return submitPipeline.validate(data).then(submitErrors => {
+
+          if (Object.keys(submitErrors).length) {
+            return fail(data, submitErrors);
+          }
+
+          return submitPipeline.handle(data).then(response => {
+            return {
+              data,
+              errors: {},
+              response
+            };
+          }, error => {
+
+            // field errors reported by the server
+            if (error && isObject(error.errors) && Object.keys(error.errors).length) {
+              return fail(data, error.errors);
+            }
+
+            throw error;
+          });
+        });
+      });
+    }).finally(() => {
+      this._setState({ submitting: false });
+    }).then(result => {
+      this._emit('submit', result);
+
+      return result;
+    }, error => {
+      this._emit('submit.error', { error });
+
+      throw error;
+    });
+  }
+
+  reset() {
+    this._emit('reset');
+
+    this._pendingValidations = {};
+    this._submitted = false;
+
+    this._setState({
+      data: clone(this._state.initialData),
+      errors: {},
+      pending: {},
+      touched: {},
+      dirty: {},
+      submitting: false
+    });
+  }
+
+  /**
+   * Check whether the user changed any form field.
+   *
+   * @returns {boolean}
+   */
+  isDirty() {
+    return this.getChangedFields().length > 0;
+  }
+
+  /**
+   * Retrieve the ids of the form fields the user changed
+   * compared to the initial data.
+   *
+   * @returns {Array<string>}
+   */
+  getChangedFields() {
+    const { dirty } = this._getState();
+
+    return Object.keys(dirty).filter(id => isFlagged(dirty[ id ]));
+  }
+
+  /**
+   * Validate the form, optionally restricted to a container and its children,
+   * e.g. the current page of a multi-page form. Errors of form fields outside
+   * of the container are kept.
+   *
+   * @param {Object} [options]
+   * @param {any} [options.container] - the container to validate, defaults to the whole form
+   *
+   * @returns {Errors} the errors of the validated form fields
+   */
+  validate(options = {}) {
+    const formFieldRegistry = this.get('formFieldRegistry'),
+          pathRegistry = this.get('pathRegistry'),
+          validator = this.get('validator');
+
+    const {
+      container = formFieldRegistry.getForm()
+    } = options;
+
+    const { data } = this._getState();
+
+    const getErrorPath = (field, indexes) => [ field.id, ...Object.values(indexes || {}) ];
+
+    const workingErrors = {};
+
+    pathRegistry.executeRecursivelyOnRepetitions(container, data, ({ field, indexes }) => {
+
+      // skip disabled fields, including their children
+      if (this._isDisabled(field, indexes)) {
+        return false;
+      }
+
+      const value = get(data, pathRegistry.getValuePath(field, { indexes }));
+      const fieldErrors = validator.validateField(field, value, indexes);
+
+      if (fieldErrors.length) {
+        set(workingErrors, getErrorPath(field, indexes), fieldErrors);
+      }
+    });
+
+    const filteredErrors = this._applyConditions(workingErrors, data, { getFilterPath: getErrorPath, leafNodeDeletionOnly: true });
+
+    if (container === formFieldRegistry.getForm()) {
+      this._setState({ errors: filteredErrors });
+
+      return filteredErrors;
+    }
+
+    // replace the errors of the container's fields only
+    const errors = clone(this._getState().errors);
+
+    runRecursively(container, field => {
+      delete errors[ field.id ];
+    });
+
+    this._setState({
+      errors: {
+        ...errors,
+        ...filteredErrors
+      }
+    });
+
+    return filteredErrors;
+  }
+
+  /**
+   * Validate the form, waiting for asynchronous custom validators to settle.
+   *
+   * @param {Object} [options]
+   * @param {any} [options.container] - the container to validate, defaults to the whole form
+   *
+   * @returns {Promise<Errors>}
+   */
+  validateAsync(options = {}) {
+    const validator = this.get('validator');
+
+    // kick off validation, including asynchronous validators
+    this.validate(options);
+
+    return validator.whenSettled().then(() => this.validate(options));
+  }
+
+  /**
+   * Retrieve a value of the form data.
+   *
+   * @param {ValuePath} path - the path of the value, e.g. `clients.0.name`
+   *
+   * @returns {any}
+   */
+  getValue(path) {
+    const { data } = this._getState();
+
+    return get(data, toValuePath(path));
+  }
+
+  /**
+   * Set a value of the form data, updating the form field bound to it
+   * as if the user changed it.
+   *
+   * @param {ValuePath} path - the path of the value, e.g. `clients.0.name`
+   * @param {any} value
+   * @param {Object} [options]
+   * @param {boolean} [options.validate] - whether to validate the form field, defaults to the `validateOn` option
+   */
+  setValue(path, value, options = {}) {
+    const { validate } = options;
+
+    const { data } = this._getState();
+
+    const valuePath = toValuePath(path);
+
+    const binding = this._getValuePathBindings()[ valuePath.join('.') ];
+
+    // values not bound to any form field, e.g. variables used in expressions
+    if (!binding) {
+      const previousValue = get(data, valuePath);
+
+      this._setState({
+        data: set(clone(data), valuePath, value)
+      });
+
+      this._emitUnboundChange(valuePath, value, previousValue);
+
+      // computed fields may refer to the value
+      this._updateFields([]);
+
+      return;
+    }
+
+    this._update({
+      field: binding.field,
+      indexes: binding.indexes,
+      value,
+      validate
+    });
+  }
+
+  /**
+   * Update the form data, updating the form fields bound to changed values
+   * as if the user changed them. Top-level properties of the given data
+   * replace the respective properties of the form data.
+   *
+   * @param {Data} partialData
+   * @param {Object} [options]
+   * @param {boolean} [options.validate] - whether to validate the form fields, defaults to the `validateOn` option
+   */
+  setData(partialData, options = {}) {
+    const { validate } = options;
+
+    const { data: previousData } = this._getState();
+
+    const data = {
+      ...clone(previousData),
+      ...clone(partialData)
+    };
+
+    // validation of the updated fields refers to the new data
+    this._setState({ data });
+
+    const bindings = Object.values(this._getValuePathBindings());
+
+    const updates = bindings.reduce((updates, binding) => {
+      const {
+        field,
+        indexes,
+        valuePath
+      } = binding;
+
+      if (!(valuePath[ 0 ] in partialData)) {
+        return updates;
+      }
+
+      const value = get(data, valuePath),
+            previousValue = get(previousData, valuePath);
+
+      if (isEqualValue(value, previousValue)) {
+        return updates;
+      }
+
+      return [ ...updates, { field, indexes, value, previousValue, validate } ];
+    }, []);
+
+    // values not bound to any form field, e.g. variables used in expressions
+    const unboundKeys = Object.keys(partialData).filter(key => {
+      return !bindings.some(({ valuePath }) => valuePath[ 0 ] === key) && !isEqualValue(data[ key ], previousData[ key ]);
+    });
+
+    this._updateFields(updates);
+
+    unboundKeys.forEach(key => {
+      this._emitUnboundChange([ key ], data[ key ], previousData[ key ]);
+    });
+  }
+
+  /**
+   * Retrieve the errors of the form or of a form field.
+   *
+   * @param {string} [fieldId]
+   * @param {Object} [indexes] - the indexes of a repeated form field, keyed by the ids of the repeating parents
+   *
+   * @returns {Errors|Array<string>}
+   */
+  getErrors(fieldId, indexes = {}) {
+    const { errors } = this._getState();
+
+    if (isUndefined(fieldId)) {
+      return errors;
+    }
+
+    return get(errors, [ fieldId, ...Object.values(indexes) ]) || [];
+  }
+
+  /**
+   * Set the errors of the form, e.g. as reported by a backend, replacing
+   * the current errors. Errors are keyed by the ids of the form fields
+   * or by the paths of their values, e.g. `clients.0.name`.
+   *
+   * @param {Object<string, string|Array<string>>} errors
+   */
+  setErrors(errors) {
+    this._setState({
+      errors: this._getFieldErrors(errors)
+    });
+  }
+
+  /**
+   * @param {FormProperty} property
+   * @param {any} value
+   */
+  setProperty(property, value) {
+    const properties = set(this._getState().properties, [ property ], value);
+
+    this._setState({ properties });
+  }
+
+  /**
+   * @returns {string}
+   */
+  getLocale() {
+    return this.get('translator').getLocale();
+  }
+
+  /**
+   * Switch the locale, re-rendering the form with the
+   * respective translations of the imported schema.
+   *
+   * @param {string} locale
+   */
+  setLocale(locale) {
+    this.get('translator').setLocale(locale);
+
+    this._setState({});
+  }
+
+  /**
+   * @param {FormEvent} type
+   * @param {Function} handler
+   */
+  off(type, handler) {
+    this.get('eventBus').off(type, handler);
+  }
+
+  /**
+   * @private
+   *
+   * @param {FormOptions} options
+   *
+   * @returns {Injector}
+   */
+  _createInjector(options) {
+    const {
+      modules = this._getModules(),
+      additionalModules = [],
+      ...config
+    } = options;
+
+    return createInjector([
+      { config: [ 'value', config ] },
+      { form: [ 'value', this ] },
+      this._getCoreModule(),
+      ...modules,
+      ...additionalModules
+    ]);
+  }
+
+  /**
+   * @internal
+   */
+  _emit(type, data) {
+    this.get('eventBus').fire(type, data);
+  }
+
+  /**
+   * @internal
+   *
+   * @param { { add?: boolean, field: any, indexes: object, remove?: number, value?: any, validate?: boolean } } update
+   */
+  _update(update) {
+    const {
+      field,
+      indexes,
+      value
+    } = update;
+
+    const { data } = this._getState();
+
+    const pathRegistry = this.get('pathRegistry');
+
+    const valuePath = pathRegistry.getValuePath(field, { indexes });
+
+    const previousValue = get(data, valuePath);
+
+    set(data, valuePath, value);
+
+    this._updateFields([ { ...update, previousValue } ]);
+  }
+
+  /**
+   * @internal
+   *
+   * Track the updated values of form fields, already written to the form data,
+   * validating the fields according to the `validateOn` option, unless
+   * specified otherwise, and notifying about each of them via `field.changed`.
+   *
+   * Computed form fields referring to the updated values are updated, too.
+   *
+   * @param {Array<{ field: any, indexes?: object, value?: any, previousValue?: any, validate?: boolean }>} updates
+   */
+  _updateFields(updates) {
+    const {
+      data,
+      dirty,
+      errors,
+      initialData
+    } = this._getState();
+
+    updates = [
+      ...updates,
+      ...this._computeFields(data)
+    ];
+
+    if (!updates.length) {
+      return;
+    }
+
+    const formFields = this.get('formFields'),
+          validator = this.get('validator'),
+          pathRegistry = this.get('pathRegistry');
+
+    const validatedUpdates = updates.filter(update => {
+      const {
+        field,
+        indexes,
+        validate,
+        value
+      } = update;
+
+      const valuePath = pathRegistry.getValuePath(field, { indexes });
+      const fieldPath = [ field.id, ...Object.values(indexes || {}) ];
+
+      // computed values follow other fields and do not make the form dirty on their own
+      const { computed } = formFields.get(field.type).config;
+
+      set(dirty, fieldPath, computed || isEqualValue(value, get(initialData, valuePath)) ? undefined : true);
+
+      const validationTriggered = isUndefined(validate) ? this._isValidationTriggered('change', field, indexes) : validate;
+
+      // validate after the update, as validation expressions may refer to the new value
+      if (validationTriggered) {
+        const fieldErrors = validator.validateField(field, value, indexes);
+
+        set(errors, fieldPath, fieldErrors.length ? fieldErrors : undefined);
+      }
+
+      this._validateDependents(field, valuePath, indexes);
+
+      return validationTriggered;
+    });
+
+    this._setState({
+      data: clone(data),
+      dirty: clone(dirty),
+      errors: clone(errors)
+    });
+
+    updates.forEach(({ field, indexes, value, previousValue }) => {
+      this._emit('field.changed', {
+        field,
+        indexes: indexes || {},
+        valuePath: pathRegistry.getValuePath(field, { indexes }),
+        value,
+        previousValue
+      });
+    });
+
+    validatedUpdates.forEach(({ field, indexes, value }) => {
+      this._validateFieldAsync(field, value, indexes);
+    });
+  }
+
+  /**
+   * @internal
+   *
+   * Notify about a changed value not bound to any form field via `field.changed`.
+   *
+   * @param {Array<string|number>} valuePath
+   * @param {any} value
+   * @param {any} previousValue
+   */
+  _emitUnboundChange(valuePath, value, previousValue) {
+    this._emit('field.changed', {
+      field: null,
+      indexes: {},
+      valuePath,
+      value,
+      previousValue
+    });
+  }
+
+  /**
+   * @internal
+   *
+   * Mark a form field as visited by the user.
+   *
+   * @param {any} field
+   * @param {Object} [indexes]
+   */
+  _setTouched(field, indexes) {
+    const { touched } = this._getState();
+
+    const fieldPath = [ field.id, ...Object.values(indexes || {}) ];
+
+    if (get(touched, fieldPath)) {
+      return;
+    }
+
+    this._setState({
+      touched: set(clone(touched), fieldPath, true)
+    });
+  }
+
+  /**
+   * @internal
+   *
+   * Check whether to report the errors of a form field on the given trigger,
+   * according to the `validateOn` option.
+   *
+   * Errors are reported on any trigger once the form got submitted or
+   * errors of the field got reported already, keeping them up to date.
+   *
+   * @param {'change'|'blur'} trigger
+   * @param {any} field
+   * @param {Object} [indexes]
+   *
+   * @returns {boolean}
+   */
+  _isValidationTriggered(trigger, field, indexes) {
+    const {
+      errors,
+      touched
+    } = this._getState();
+
+    const fieldPath = [ field.id, ...Object.values(indexes || {}) ];
+
+    if (this._validateOn === 'change' || this._submitted || get(errors, fieldPath)) {
+      return true;
+    }
+
+    if (this._validateOn === 'blur') {
+      return trigger === 'blur' || !!get(touched, fieldPath);
+    }
+
+    return false;
+  }
+
+  /**
+   * @internal
+   *
+   * Validate the form fields visited by the user, e.g. after restoring them
+   * from a draft, according to the `validateOn` option.
+   */
+  _validateTouched() {
+    const validator = this.get('validator');
+
+    const {
+      data,
+      errors,
+      touched
+    } = this._getState();
+
+    const getErrorPath = (field, indexes) => [ field.id, ...Object.values(indexes || {}) ];
+
+    const touchedBindings = Object.values(this._getValuePathBindings()).filter(({ field, indexes }) => {
+      return get(touched, getErrorPath(field, indexes))
+        && !this._isDisabled(field, indexes)
+        && this._isValidationTriggered('blur', field, indexes);
+    });
+
+    if (!touchedBindings.length) {
+      return;
+    }
+
+    const touchedErrors = {};
+
+    touchedBindings.forEach(({ field, indexes, valuePath }) => {
+      const fieldErrors = validator.validateField(field, get(data, valuePath), indexes);
+
+      if (fieldErrors.length) {
+        set(touchedErrors, getErrorPath(field, indexes), fieldErrors);
+      }
+    });
+
+    const filteredErrors = this._applyConditions(touchedErrors, data, { getFilterPath: getErrorPath, leafNodeDeletionOnly: true });
+
+    const workingErrors = clone(errors);
+
+    touchedBindings.forEach(({ field, indexes }) => {
+      const errorPath = getErrorPath(field, indexes);
+
+      set(workingErrors, errorPath, get(filteredErrors, errorPath));
+    });
+
+    this._setState({ errors: workingErrors });
+
+    touchedBindings.forEach(({ field, indexes, valuePath }) => {
+      this._validateFieldAsync(field, get(data, valuePath), indexes);
+    });
+  }
+
+  /**
+   * @internal
+   *
+   * Re-validate fields whose validation expression refers to an updated value,
+   * either by name or through their repetition scope (`this`, `parent`).
+   *
+   * Dependents the user did not fill in yet are left alone, as are dependents
+   * repeated outside of the updated field's repetition.
+   *
+   * @param {any} field
+   * @param {Array<string|number>} valuePath
+   * @param {Object} [indexes]
+   */
+  _validateDependents(field, valuePath, indexes = {}) {
+    const expressionLanguage = this.get('expressionLanguage'),
+          formFieldRegistry = this.get('formFieldRegistry'),
+          pathRegistry = this.get('pathRegistry'),
+          repeatRenderManager = this.get('repeatRenderManager', false),
+          validator = this.get('validator');
+
+    const {
+      data,
+      errors
+    } = this._getState();
+
+    const [ variableName ] = valuePath;
+
+    formFieldRegistry.getAll().forEach(dependent => {
+      const { expression } = dependent.validate || {};
+
+      if (dependent === field || !expression) {
+        return;
+      }
+
+      const variableNames = expressionLanguage.getVariableNames(expression);
+
+      if (!variableNames.some(name => name === variableName || SCOPE_VARIABLES.includes(name))) {
+        return;
+      }
+
+      const ancestors = getAncestryList(dependent._parent, formFieldRegistry);
+
+      const isRepeatedElsewhere = ancestors.some(id => {
+        return repeatRenderManager && repeatRenderManager.isFieldRepeating(id) && !(id in indexes);
+      });
+
+      if (isRepeatedElsewhere) {
+        return;
+      }
+
+      const dependentIndexes = Object.entries(indexes).reduce((dependentIndexes, [ id, index ]) => {
+        return ancestors.includes(id) ? { ...dependentIndexes, [ id ]: index } : dependentIndexes;
+      }, {});
+
+      if (this._isDisabled(dependent, dependentIndexes)) {
+        return;
+      }
+
+      const errorPath = [ dependent.id, ...Object.values(dependentIndexes) ];
+      const value = get(data, pathRegistry.getValuePath(dependent, { indexes: dependentIndexes }));
+
+      if ((isNil(value) || value === '') && !get(errors, errorPath)) {
+        return;
+      }
+
+      if (!this._isValidationTriggered('change', dependent, dependentIndexes)) {
+        return;
+      }
+
+      const dependentErrors = validator.validateField(dependent, value, dependentIndexes);
+
+      set(errors, errorPath, dependentErrors.length ? dependentErrors : undefined);
+    });
+  }
+
+  /**
+   * @internal
+   *
+   * Track asynchronous custom validators of a field, updating its
+   * pending state and errors once they settled.
+   *
+   * @param {any} field
+   * @param {any} value
+   * @param {Object} [indexes]
+   *
+   * @returns {Promise<void>}
+   */
+  _validateFieldAsync(field, value, indexes) {
+    const validator = this.get('validator');
+
+    const errorPath = [ field.id, ...Object.values(indexes || {}) ];
+    const validationKey = errorPath.join('.');
+
+    if (!validator.isPending(field, value, indexes)) {
+
+      // a previous validation got superseded
+      if (this._pendingValidations[ validationKey ]) {
+        delete this._pendingValidations[ validationKey ];
+
+        this._setState({
+          pending: set(clone(this._getState().pending), errorPath, undefined)
+        });
+      }
+
+      return Promise.resolve();
+    }
+
+    const validation = validator.validateFieldAsync(field, value, indexes).then(fieldErrors => {
+
+      // ignore outdated results
+      if (this._pendingValidations[ validationKey ] !== validation) {
+        return;
+      }
+
+      delete this._pendingValidations[ validationKey ];
+
+      const {
+        errors,
+        pending
+      } = this._getState();
+
+      this._setState({
+        errors: set(clone(errors), errorPath, fieldErrors.length ? fieldErrors : undefined),
+        pending: set(clone(pending), errorPath, undefined)
+      });
+    });
+
+    this._pendingValidations[ validationKey ] = validation;
+
+    this._setState({
+      pending: set(clone(this._getState().pending), errorPath, true)
+    });
+
+    return validation;
+  }
+
+  /**
+   * @internal
+   *
+   * Map errors keyed by value path, e.g. `clients.0.name`, to the
+   * errors of the respective form fields. Errors that do not belong
+   * to any form field are kept as is.
+   *
+   * @param {Object<string, string|Array<string>>} valuePathErrors
+   *
+   * @returns {Errors}
+   */
+  _getFieldErrors(valuePathErrors) {
+    const bindings = this._getValuePathBindings();
+
+    return Object.entries(valuePathErrors).reduce((errors, [ valuePath, fieldErrors ]) => {
+      fieldErrors = (Array.isArray(fieldErrors) ? fieldErrors : [ fieldErrors ]).filter(isString);
+
+      if (!fieldErrors.length) {
+        return errors;
+      }
+
+      const binding = bindings[ valuePath ];
+
+      const errorPath = binding ? [ binding.field.id, ...Object.values(binding.indexes) ] : [ valuePath ];
+
+      return set(errors, errorPath, fieldErrors);
+    }, {});
+  }
+
+  /**
+   * @internal
+   *
+   * Retrieve the keyed form fields, including their repetitions,
+   * by the paths of their values, e.g. `clients.0.name`.
+   *
+   * @returns {Object<string, ValuePathBinding>}
+   */
+  _getValuePathBindings() {
+    const formFieldRegistry = this.get('formFieldRegistry'),
+          formFields = this.get('formFields'),
+          pathRegistry = this.get('pathRegistry');
+
+    const { data } = this._getState();
+
+    /**
+     * @type {Object<string, ValuePathBinding>}
+     */
+    const bindings = {};
+
+    pathRegistry.executeRecursivelyOnRepetitions(formFieldRegistry.getForm(), data, ({ field, indexes }) => {
+      if (!formFields.get(field.type).config.keyed) {
+        return;
+      }
+
+      const valuePath = pathRegistry.getValuePath(field, { indexes });
+
+      bindings[ valuePath.join('.') ] = { field, indexes, valuePath };
+    });
+
+    return bindings;
+  }
+
+  /**
+   * @internal
+   */
+  _getState() {
+    return this._state;
+  }
+
+  /**
+   * @internal
+   */
+  _setState(state) {
+    this._state = {
+      ...this._state,
+      ...state
+    };
+
+    this._emit('changed', this._getState());
+  }
+
+  /**
+   * @internal
+   *
+   * @return {Module}
+   */
+  _getCoreModule() {
+    return HeadlessModule;
+  }
+
+  /**
+   * @internal
+   *
+   * @return {Module[]}
+   */
+  _getModules() {
+    return [];
+  }
+
+  /**
+   * @internal
+   */
+  _onEvent(type, priority, handler) {
+    this.get('eventBus').on(type, priority, handler);
+  }
+
+  /**
+   * @internal
+   */
+  _getSubmitData() {
+    const formFieldRegistry = this.get('formFieldRegistry');
+    const formFields = this.get('formFields');
+    const pathRegistry = this.get('pathRegistry');
+    const formData = clone(this._getState().data);
+
+    this._computeFields(formData);
+
+    const workingSubmitData = {};
+
+    pathRegistry.executeRecursivelyOnRepetitions(formFieldRegistry.getForm(), formData, ({ field, indexes }) => {
+      if (!formFields.get(field.type).config.keyed || this._isDisabled(field, indexes)) {
+        return;
+      }
+
+      const valuePath = pathRegistry.getValuePath(field, { indexes });
+
+      set(workingSubmitData, valuePath, get(formData, valuePath));
+    });
+
+    return this._applyConditions(workingSubmitData, formData);
+  }
+
+  /**
+   * @internal
+   *
+   * Evaluate the expressions of computed form fields, e.g. `expression` fields,
+   * within the repetitions they are located in. Changed values are written
+   * to the given data until all computed values settled.
+   *
+   * @param {Data} data
+   * @param {Data} [initialData]
+   *
+   * @returns {Array<{ field: any, indexes: Object, value: any, previousValue: any }>} the changed values
+   */
+  _computeFields(data, initialData = this._getState().initialData) {
+    const formFieldRegistry = this.get('formFieldRegistry'),
+          formFields = this.get('formFields');
+
+    const form = formFieldRegistry.getForm();
+
+    const computedFields = formFieldRegistry.getAll().filter(field => {
+      const formField = formFields.get(field.type);
+
+      return formField && formField.config.computed;
+    });
+
+    if (!form || !computedFields.length) {
+      return [];
+    }
+
+    const conditionChecker = this.get('conditionChecker', false),
+          expressionLanguage = this.get('expressionLanguage', false),
+          pathRegistry = this.get('pathRegistry');
+
+    if (!conditionChecker || !expressionLanguage) {
+      return [];
+    }
+
+    const changes = {};
+
+    // computed fields may refer to each other, cycles are reported on import
+    for (let pass = 0; pass <= computedFields.length; pass++) {
+      const filteredData = {
+        ...initialData,
+        ...conditionChecker.applyConditions(data, data)
+      };
+
+      let changed = false;
+
+      pathRegistry.executeRecursivelyOnRepetitions(form, data, ({ field, indexes }) => {
+        if (!computedFields.includes(field)) {
+          return;
+        }
+
+        const valuePath = pathRegistry.getValuePath(field, { indexes });
+
+        const result = expressionLanguage.evaluate(field.expression, conditionChecker.getLocalExpressionContext(field, filteredData, indexes));
+
+        const value = isUndefined(result) ? null : result,
+              previousValue = get(data, valuePath);
+
+        if (isEqualValue(value, previousValue)) {
+          return;
+        }
+
+        set(data, valuePath, value);
+
+        const key = valuePath.join('.');
+
+        changes[ key ] = {
+          field,
+          indexes,
+          value,
+          previousValue: key in changes ? changes[ key ].previousValue : previousValue
+        };
+
+        changed = true;
+      });
+
+      if (!changed) {
+        break;
+      }
+    }
+
+    return Object.values(changes);
+  }
+
+  /**
+   * @internal
+   *
+   * Check whether a field is disabled, evaluating a FEEL `disabled`
+   * within the repetitions the field is located in.
+   *
+   * @param {any} field
+   * @param {Object} [indexes]
+   *
+   * @returns {boolean}
+   */
+  _isDisabled(field, indexes = {}) {
+    const conditionChecker = this.get('conditionChecker'),
+          expressionLanguage = this.get('expressionLanguage');
+
+    const { disabled } = field;
+
+    if (!expressionLanguage.isExpression(disabled)) {
+      return !!disabled;
+    }
+
+    const {
+      data,
+      initialData
+    } = this._getState();
+
+    const filteredData = {
+      ...initialData,
+      ...conditionChecker.applyConditions(data, data)
+    };
+
+    return conditionChecker.checkFieldCondition(field, disabled, filteredData, indexes);
+  }
+
+  /**
+   * @internal
+   */
+  _applyConditions(toFilter, data, options = {}) {
+    const conditionChecker = this.get('conditionChecker');
+    return conditionChecker.applyConditions(toFilter, data, options);
+  }
+
+  /**
+   * @internal
+   */
+  _getInitializedFieldData(data, options = {}) {
+    const formFieldRegistry = this.get('formFieldRegistry');
+    const formFields = this.get('formFields');
+    const pathRegistry = this.get('pathRegistry');
+
+    function initializeFieldDataRecursively(initializedData, formField, indexes) {
+      const { defaultValue, type, isRepeating } = formField;
+      const { config: fieldConfig } = formFields.get(type);
+
+      const valuePath = pathRegistry.getValuePath(formField, { indexes });
+      let valueData = get(data, valuePath);
+
+      // (1) Process keyed fields
+      if (fieldConfig.keyed) {
+
+        // (a) Retrieve and sanitize data from input
+        if (!isUndefined(valueData) && fieldConfig.sanitizeValue) {
+          valueData = fieldConfig.sanitizeValue({ formField, data, value: valueData });
+        }
+
+        // (b) Initialize field value in output data
+        const initializedFieldValue = !isUndefined(valueData) ? valueData : (!isUndefined(defaultValue) ? defaultValue : fieldConfig.emptyValue);
+        set(initializedData, valuePath, initializedFieldValue);
+      }
+
+      // (2) Process parents
+      if (!Array.isArray(formField.components)) {
+        return;
+      }
+
+      if (fieldConfig.repeatable && isRepeating) {
+
+        // (a) Sanitize repeatable parents data if it is not an array
+        if (!valueData || !Array.isArray(valueData)) {
+          valueData = new Array(isUndefined(formField.defaultRepetitions) ? 1 : formField.defaultRepetitions).fill().map(_ => ({})) || [];
+        }
+
+        // (b) Ensure all elements of the array are objects
+        valueData = valueData.map((val) => isObject(val) ? val : {});
+
+        // (c) Initialize field value in output data
+        set(initializedData, valuePath, valueData);
+
+        // (d) If indexed ahead of time, recurse repeatable simply across the children
+        if (!isUndefined(indexes[formField.id])) {
+          formField.components.forEach(
+            (component) => initializeFieldDataRecursively(initializedData, component, { ...indexes })
+          );
+
+          return;
+        }
+
+        // (e1) Recurse repeatable parents both across the indexes of repetition and the children
+        valueData.forEach((_, index) => {
+          formField.components.forEach(
+            (component) => initializeFieldDataRecursively(initializedData, component, { ...indexes, [formField.id]: index })
+          );
+        });
+
+        return;
+      }
+
+      // (e2) Recurse non-repeatable parents only across the children
+      formField.components.forEach((component) => initializeFieldDataRecursively(initializedData, component, indexes));
+    }
+
+    // allows definition of a specific subfield to generate the data for
+    const container = options.container || formFieldRegistry.getForm();
+    const indexes = options.indexes || {};
+    const basePath = pathRegistry.getValuePath(container, { indexes }) || [];
+
+    // if indexing ahead of time, we must add this index to the data path at the end
+    const path = !isUndefined(indexes[container.id]) ? [ ...basePath, indexes[container.id] ] : basePath;
+
+    const workingData = clone(data);
+    initializeFieldDataRecursively(workingData, container, indexes);
+    return get(workingData, path, {});
+  }
+
+}
+
+
+// helpers //////////
+
+/**
+ * @param {ValuePath} path
+ *
+ * @returns {Array<string|number>}
+ */
+function toValuePath(path) {
+  return isString(path) ? path.split('.') : path;
+}
+
+/**
+ * @param {any} value
+ * @param {any} otherValue
+ *
+ * @returns {boolean}
+ */
+function isEqualValue(value, otherValue) {
+  return JSON.stringify(value) === JSON.stringify(otherValue);
+}
+
+/**
+ * Check whether a (nested) flag, e.g. of a repeated form field, is set.
+ *
+ * @param {any} flag
+ *
+ * @returns {boolean}
+ */
+function isFlagged(flag) {
+  if (isObject(flag) || Array.isArray(flag)) {
+    return Object.values(flag).some(isFlagged);
+  }
+
+  return flag === true;
+}
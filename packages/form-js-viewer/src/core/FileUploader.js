@@ -0,0 +1,125 @@
+import { isFunction } from 'min-dash';
+
+/**
+ * @typedef { {
+ *   field: any,
+ *   form: import('../Form').Form,
+ *   onProgress: (progress: number) => void
+ * } } UploadContext
+ *
+ * @typedef { {
+ *   field: any,
+ *   form: import('../Form').Form
+ * } } RemoveContext
+ *
+ * @typedef { {
+ *   upload: (file: File, context: UploadContext) => Promise<any>,
+ *   remove?: (reference: any, context: RemoveContext) => (void | Promise<void>)
+ * } } UploadAdapter
+ *
+ * @typedef { {
+ *   name: string,
+ *   size: number,
+ *   type: string,
+ *   reference: any
+ * } } UploadedFile
+ */
+
+/**
+ * Uploads the files picked via `filepicker` form fields, using
+ * a pluggable adapter, which resolves a reference to the uploaded file.
+ *
+ * The form data of a `filepicker` holds the uploaded files, including
+ * the respective reference.
+ *
+ * @example
+ *
+ * fileUploader.setAdapter({
+ *   upload: (file, { onProgress }) => {
+ *     return uploadFile('/api/files', file, onProgress).then(({ id }) => id);
+ *   },
+ *   remove: (id) => fetch(`/api/files/${ id }`, { method: 'DELETE' })
+ * });
+ */
+export class FileUploader {
+
+  /**
+   * @param {import('../Form').Form} form
+   */
+  constructor(form) {
+    this._form = form;
+
+    this._adapter = null;
+  }
+
+  /**
+   * Set the adapter uploading files, replacing any previous one.
+   *
+   * @param {UploadAdapter|null} adapter
+   */
+  setAdapter(adapter) {
+    if (adapter && !isFunction(adapter.upload)) {
+      throw new Error('upload adapter must provide an upload function');
+    }
+
+    this._adapter = adapter;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  hasAdapter() {
+    return !!this._adapter;
+  }
+
+  /**
+   * Upload a file.
+   *
+   * @param {File} file
+   * @param {any} field
+   * @param {(progress: number) => void} [onProgress] called with the progress between 0 and 1
+   *
+   * @returns {Promise<UploadedFile>}
+   */
+  upload(file, field, onProgress = () => {}) {
+    if (!this._adapter) {
+      return Promise.reject(new Error('no upload adapter configured'));
+    }
+
+    return new Promise(resolve => {
+      resolve(this._adapter.upload(file, {
+        field,
+        form: this._form,
+        onProgress
+      }));
+    }).then(reference => ({
+      name: file.name,
+      size: file.size,
+      type: file.type,
+      reference
+    }));
+  }
+
+  /**
+   * Remove an uploaded file, if supported by the adapter.
+   *
+   * @param {UploadedFile} uploadedFile
+   * @param {any} field
+   *
+   * @returns {Promise<void>}
+   */
+  remove(uploadedFile, field) {
+    if (!this._adapter || !isFunction(this._adapter.remove)) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      resolve(this._adapter.remove(uploadedFile.reference, {
+        field,
+        form: this._form
+      }));
+    }).then(() => {});
+  }
+}
+
+FileUploader.$inject = [ 'form' ];
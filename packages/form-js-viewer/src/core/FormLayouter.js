@@ -102,7 +102,7 @@ export class FormLayouter {
       components
     } = formField;
 
-    if (![ 'default', 'group', 'dynamiclist' ].includes(type) || !components) {
+    if (![ 'default', 'group', 'dynamiclist', 'datagrid', 'page' ].includes(type) || !components) {
       return;
     }
 
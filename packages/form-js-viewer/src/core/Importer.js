@@ -8,12 +8,18 @@ export class Importer {
    * @param { import('./PathRegistry').PathRegistry } pathRegistry
    * @param { import('./FieldFactory').FieldFactory } fieldFactory
    * @param { import('./FormLayouter').FormLayouter } formLayouter
+   * @param { import('./MigrationRegistry').MigrationRegistry } migrationRegistry
+   * @param { import('../render/FormFields').FormFields } formFields
+   * @param { import('didi').Injector } injector
    */
-  constructor(formFieldRegistry, pathRegistry, fieldFactory, formLayouter) {
+  constructor(formFieldRegistry, pathRegistry, fieldFactory, formLayouter, migrationRegistry, formFields, injector) {
     this._formFieldRegistry = formFieldRegistry;
     this._pathRegistry = pathRegistry;
     this._fieldFactory = fieldFactory;
     this._formLayouter = formLayouter;
+    this._migrationRegistry = migrationRegistry;
+    this._formFields = formFields;
+    this._injector = injector;
   }
 
   /**
@@ -21,6 +27,10 @@ export class Importer {
    * information to each field and adding fields to the
    * field registry.
    *
+   * Schemas of an older `schemaVersion` get migrated first,
+   * reporting the changes as warnings. Computed fields depending
+   * on each other in a cycle are reported as warnings, too.
+   *
    * Additional information attached:
    *
    *   * `id` (unless present)
@@ -34,14 +44,23 @@ export class Importer {
    */
   importSchema(schema) {
 
-    // TODO: Add warnings
     const warnings = [];
 
     try {
       this._cleanup();
-      const importedSchema = this.importFormField(clone(schema));
+
+      const {
+        schema: migratedSchema,
+        warnings: migrationWarnings
+      } = this._migrationRegistry.migrate(clone(schema));
+
+      warnings.push(...migrationWarnings);
+
+      const importedSchema = this.importFormField(migratedSchema);
       this._formLayouter.calculateLayout(clone(importedSchema));
 
+      warnings.push(...this._detectComputedFieldCycles());
+
       return {
         schema: importedSchema,
         warnings
@@ -53,6 +72,65 @@ export class Importer {
     }
   }
 
+  /**
+   * Detect computed fields referring to each other in a cycle,
+   * as their values would never settle.
+   *
+   * @returns {Error[]} warnings
+   */
+  _detectComputedFieldCycles() {
+    const expressionLanguage = this._injector.get('expressionLanguage', false);
+
+    if (!expressionLanguage) {
+      return [];
+    }
+
+    const computedFields = this._formFieldRegistry.getAll().filter(field => {
+      const formField = this._formFields.get(field.type);
+
+      return formField && formField.config.computed && field.key;
+    });
+
+    const getVariableName = (field) => this._pathRegistry.getValuePath(field)[ 0 ];
+
+    const getDependencies = (field) => {
+      const variableNames = expressionLanguage.getVariableNames(field.expression);
+
+      return computedFields.filter(dependency => variableNames.includes(getVariableName(dependency)));
+    };
+
+    const warnings = [];
+    const visited = new Set();
+    const visiting = [];
+
+    const visit = (field) => {
+      const index = visiting.indexOf(field);
+
+      if (index !== -1) {
+        const cycle = [ ...visiting.slice(index), field ].map(field => `<${ field.key }>`);
+
+        warnings.push(new Error(`computed fields depend on each other in a cycle: ${ cycle.join(' -> ') }`));
+
+        return;
+      }
+
+      if (visited.has(field)) {
+        return;
+      }
+
+      visiting.push(field);
+
+      getDependencies(field).forEach(visit);
+
+      visiting.pop();
+      visited.add(field);
+    };
+
+    computedFields.forEach(visit);
+
+    return warnings;
+  }
+
   _cleanup() {
     this._formLayouter.clear();
     this._formFieldRegistry.clear();
@@ -109,4 +187,4 @@ export class Importer {
 
 }
 
-Importer.$inject = [ 'formFieldRegistry', 'pathRegistry', 'fieldFactory', 'formLayouter' ];
\ No newline at end of file
+Importer.$inject = [ 'formFieldRegistry', 'pathRegistry', 'fieldFactory', 'formLayouter', 'migrationRegistry', 'formFields', 'injector' ];
\ No newline at end of file
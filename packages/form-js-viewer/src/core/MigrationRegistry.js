@@ -0,0 +1,121 @@
+import { isFunction, isNumber } from 'min-dash';
+
+import { migrations } from './migrations';
+
+/**
+ * @typedef { { report: (message: string) => void } } MigrationContext
+ *
+ * @typedef { {
+ *   version: number,
+ *   description?: string,
+ *   migrate: (schema: any, context: MigrationContext) => any
+ * } } Migration
+ *
+ * @typedef { { schema: any, warnings: Array<Error> } } MigrationResult
+ */
+
+/**
+ * A registry of schema migrations, upgrading schemas of an older `schemaVersion`
+ * step by step on import. Each migration upgrades a schema to its `version`,
+ * reporting what it changed.
+ *
+ * Schemas without a `schemaVersion` are imported as is. The built-in
+ * migrations are registered upfront.
+ *
+ * @example
+ *
+ * migrationRegistry.register({
+ *   version: 15,
+ *   description: 'Replace <hint> with <description>',
+ *   migrate: (schema, { report }) => {
+ *     runRecursively(schema, (field) => {
+ *       if (field.hint) {
+ *         field.description = field.hint;
+ *         delete field.hint;
+ *
+ *         report(`replaced <hint> of form field <${ field.id }> with <description>`);
+ *       }
+ *     });
+ *
+ *     return schema;
+ *   }
+ * });
+ */
+export class MigrationRegistry {
+
+  constructor() {
+    this._migrations = [];
+
+    migrations.forEach(migration => this.register(migration));
+  }
+
+  /**
+   * @param {Migration} migration
+   */
+  register(migration) {
+    if (!migration || !isNumber(migration.version) || !isFunction(migration.migrate)) {
+      throw new Error('migration must provide a version and a migrate function');
+    }
+
+    // keep the registration order of migrations to the same version
+    this._migrations = [ ...this._migrations, migration ].sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * @returns {Array<Migration>}
+   */
+  getAll() {
+    return this._migrations;
+  }
+
+  /**
+   * Migrate a schema to the latest version, modifying it in place.
+   *
+   * @param {any} schema
+   *
+   * @returns {MigrationResult}
+   */
+  migrate(schema) {
+    const warnings = [];
+
+    const { schemaVersion } = schema;
+
+    if (!isNumber(schemaVersion)) {
+      return {
+        schema,
+        warnings
+      };
+    }
+
+    const migratedSchema = this._migrations
+      .filter(({ version }) => version > schemaVersion)
+      .reduce((schema, migration) => {
+        const { version } = migration;
+
+        const report = (message) => {
+          warnings.push(createWarning(version, message));
+        };
+
+        const migratedSchema = migration.migrate(schema, { report }) || schema;
+
+        return {
+          ...migratedSchema,
+          schemaVersion: version
+        };
+      }, schema);
+
+    return {
+      schema: migratedSchema,
+      warnings
+    };
+  }
+}
+
+
+// helpers //////////
+
+function createWarning(version, message) {
+  return Object.assign(new Error(`migrated schema to version <${ version }>: ${ message }`), {
+    schemaVersion: version
+  });
+}
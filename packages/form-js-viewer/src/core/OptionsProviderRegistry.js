@@ -0,0 +1,147 @@
+import { isFunction } from 'min-dash';
+
+/**
+ * @typedef { Array<any> } Options
+ *
+ * @typedef { {
+ *   field: any,
+ *   parameters: Object<string, any>,
+ *   dependency?: any,
+ *   search: string
+ * } } OptionsRequest
+ *
+ * @typedef { (request: OptionsRequest) => (Options | Promise<Options>) } GetOptionsFn
+ *
+ * @typedef { {
+ *   label?: string,
+ *   cache?: boolean,
+ *   getOptions: GetOptionsFn
+ * } } OptionsProvider
+ */
+
+/**
+ * A registry of named options providers, referenced from a form field via `valuesProvider.name`.
+ *
+ * A provider returns, or resolves to, the options of a field, given the parameters computed
+ * from `valuesProvider.parameters`, the value of the field the options depend on, cf. `valuesDependsOn`,
+ * and the current search term. Results are cached per provider, parameters, dependency and
+ * search term unless the provider opts out via `cache: false`.
+ *
+ * @example
+ *
+ * optionsProviderRegistry.register('countries', {
+ *   label: 'Countries',
+ *   getOptions: ({ parameters, search }) => fetchCountries(parameters.region, search)
+ * });
+ */
+export class OptionsProviderRegistry {
+
+  constructor() {
+    this._providers = {};
+    this._cache = {};
+  }
+
+  /**
+   * @param {string} name
+   * @param {OptionsProvider|GetOptionsFn} provider
+   */
+  register(name, provider) {
+    if (isFunction(provider)) {
+      provider = { getOptions: provider };
+    }
+
+    if (!provider || !isFunction(provider.getOptions)) {
+      throw new Error(`options provider <${ name }> must provide a getOptions function`);
+    }
+
+    this._providers[ name ] = {
+      label: name,
+      ...provider
+    };
+
+    this.clearCache(name);
+  }
+
+  /**
+   * @param {string} name
+   *
+   * @returns {OptionsProvider|undefined}
+   */
+  get(name) {
+    return this._providers[ name ];
+  }
+
+  /**
+   * @returns {Array<{ name: string, label: string }>}
+   */
+  getAll() {
+    return Object.entries(this._providers).map(([ name, { label } ]) => ({ name, label }));
+  }
+
+  /**
+   * Retrieve options from a registered provider.
+   *
+   * @param {string} name
+   * @param {OptionsRequest} request
+   *
+   * @returns {Promise<Options>}
+   */
+  getOptions(name, request) {
+    const provider = this.get(name);
+
+    if (!provider) {
+      return Promise.reject(new Error(`no options provider <${ name }> registered`));
+    }
+
+    const {
+      field,
+      parameters = {},
+      dependency = null,
+      search = ''
+    } = request;
+
+    const cacheKey = JSON.stringify([ parameters, dependency, search ]);
+
+    const cache = this._cache[ name ] = this._cache[ name ] || {};
+
+    if (provider.cache !== false && cache[ cacheKey ]) {
+      return cache[ cacheKey ];
+    }
+
+    const options = new Promise(resolve => {
+      resolve(provider.getOptions({ field, parameters, dependency, search }));
+    }).then(options => {
+      if (!Array.isArray(options)) {
+        throw new Error(`options provider <${ name }> must return an array of options`);
+      }
+
+      return options;
+    });
+
+    if (provider.cache !== false) {
+      cache[ cacheKey ] = options;
+
+      // do not cache failures, allowing to retry
+      options.catch(() => {
+        if (cache[ cacheKey ] === options) {
+          delete cache[ cacheKey ];
+        }
+      });
+    }
+
+    return options;
+  }
+
+  /**
+   * Clear cached options, either of a single provider or of all providers.
+   *
+   * @param {string} [name]
+   */
+  clearCache(name) {
+    if (name) {
+      delete this._cache[ name ];
+    } else {
+      this._cache = {};
+    }
+  }
+}
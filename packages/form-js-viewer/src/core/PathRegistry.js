@@ -1,4 +1,4 @@
-import { isArray } from 'min-dash';
+import { get, isArray } from 'min-dash';
 import { clone, getAncestryList } from '../util';
 
 /**
@@ -203,6 +203,45 @@ export class PathRegistry {
     return result;
   }
 
+  /**
+   * Applies a function (fn) recursively on a given field and its children,
+   * visiting the children of repeating fields once per repetition found in the data.
+   *
+   * - `field`: Starting field object.
+   * - `data`: The data to look up the repetitions in.
+   * - `fn`: Function to apply, called with `{ field, indexes }`.
+   * - `indexes`: Optional map of the repetitions the starting field is located in.
+   *
+   * Skips the children of a field if `fn` returns `false`.
+   */
+  executeRecursivelyOnRepetitions(field, data, fn, indexes = {}) {
+
+    if (fn({ field, indexes }) === false || !Array.isArray(field.components)) {
+      return;
+    }
+
+    const formFieldConfig = this._formFields.get(field.type).config;
+
+    // recurse repeating fields both across the repetitions and the children
+    if (formFieldConfig.repeatable && field.isRepeating) {
+      const values = get(data, this.getValuePath(field, { indexes }));
+
+      if (!Array.isArray(values)) {
+        return;
+      }
+
+      values.forEach((_, index) => {
+        field.components.forEach(child => {
+          this.executeRecursivelyOnRepetitions(child, data, fn, { ...indexes, [ field.id ]: index });
+        });
+      });
+
+      return;
+    }
+
+    field.components.forEach(child => this.executeRecursivelyOnRepetitions(child, data, fn, indexes));
+  }
+
   /**
    * Generates an array representing the binding path to an underlying data object for a form field.
    *
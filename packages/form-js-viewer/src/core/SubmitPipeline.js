@@ -0,0 +1,145 @@
+import { isFunction } from 'min-dash';
+
+/**
+ * @typedef { import('../types').Data } Data
+ *
+ * @typedef { Object<string, string|Array<string>> } SubmitErrors errors keyed by the value path of a form field, e.g. `clients.0.name`
+ *
+ * @typedef { { form: import('../Form').Form } } SubmitContext
+ *
+ * @typedef { (data: Data, context: SubmitContext) => (Data | Promise<Data>) } SubmitTransformer
+ * @typedef { (data: Data, context: SubmitContext) => (SubmitErrors | void | Promise<SubmitErrors | void>) } SubmitValidator
+ * @typedef { (data: Data, context: SubmitContext) => Promise<any> } SubmitHandler
+ */
+
+const DEFAULT_PRIORITY = 1000;
+
+/**
+ * The hooks of a form submission, run once the form fields passed validation:
+ *
+ *   1. transformers, turning the submit data into the data to submit
+ *   2. validators, e.g. checking the transformed data as a whole
+ *   3. the handler, actually submitting the data
+ *
+ * Validators return, and handlers reject with (as `error.errors`),
+ * errors keyed by the value path of the respective form field.
+ *
+ * @example
+ *
+ * submitPipeline.registerTransformer((data) => ({ ...data, submittedAt: Date.now() }));
+ *
+ * submitPipeline.setHandler((data) => {
+ *   return fetch('/api/invoices', {
+ *     method: 'POST',
+ *     body: JSON.stringify(data)
+ *   });
+ * });
+ */
+export class SubmitPipeline {
+
+  /**
+   * @param {import('../Form').Form} form
+   */
+  constructor(form) {
+    this._form = form;
+
+    this._transformers = [];
+    this._validators = [];
+    this._handler = null;
+  }
+
+  /**
+   * Register a transformer. Transformers with a higher priority run first.
+   *
+   * @param {SubmitTransformer} transformer
+   * @param {number} [priority]
+   */
+  registerTransformer(transformer, priority = DEFAULT_PRIORITY) {
+    this._transformers = addHook(this._transformers, 'transformer', transformer, priority);
+  }
+
+  /**
+   * Register a validator. Validators with a higher priority run first.
+   *
+   * @param {SubmitValidator} validator
+   * @param {number} [priority]
+   */
+  registerValidator(validator, priority = DEFAULT_PRIORITY) {
+    this._validators = addHook(this._validators, 'validator', validator, priority);
+  }
+
+  /**
+   * Set the handler submitting the data, replacing any previous one.
+   *
+   * @param {SubmitHandler|null} handler
+   */
+  setHandler(handler) {
+    if (handler && !isFunction(handler)) {
+      throw new Error('submit handler must be a function');
+    }
+
+    this._handler = handler;
+  }
+
+  /**
+   * @param {Data} data
+   *
+   * @returns {Promise<Data>}
+   */
+  transform(data) {
+    return this._transformers.reduce((promise, { fn }) => {
+      return promise.then(data => fn(data, this._getContext()));
+    }, Promise.resolve(data));
+  }
+
+  /**
+   * @param {Data} data
+   *
+   * @returns {Promise<SubmitErrors>}
+   */
+  validate(data) {
+    return this._validators.reduce((promise, { fn }) => {
+      return promise.then(errors => {
+        return Promise.resolve(fn(data, this._getContext())).then(validatorErrors => ({
+          ...errors,
+          ...validatorErrors
+        }));
+      });
+    }, Promise.resolve({}));
+  }
+
+  /**
+   * @param {Data} data
+   *
+   * @returns {Promise<any>} the response of the handler, if any
+   */
+  handle(data) {
+    if (!this._handler) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      resolve(this._handler(data, this._getContext()));
+    });
+  }
+
+  _getContext() {
+    return {
+      form: this._form
+    };
+  }
+}
+
+SubmitPipeline.$inject = [ 'form' ];
+
+
+// helpers //////////
+
+function addHook(hooks, type, fn, priority) {
+  if (!isFunction(fn)) {
+    throw new Error(`submit ${ type } must be a function`);
+  }
+
+  // keep the registration order of hooks with the same priority
+  return [ ...hooks, { fn, priority } ].sort((a, b) => b.priority - a.priority);
+}
@@ -0,0 +1,132 @@
+import { isFunction, isNumber } from 'min-dash';
+
+/**
+ * @typedef { {
+ *   key: string,
+ *   direction: 'asc'|'desc'
+ * } } TableSorting
+ *
+ * @typedef { {
+ *   field: any,
+ *   parameters: Object<string, any>,
+ *   page: number,
+ *   pageSize?: number,
+ *   sortBy: TableSorting|null,
+ *   filters: Object<string, string>,
+ *   search: string
+ * } } TableRowsRequest
+ *
+ * @typedef { {
+ *   rows: Array<any>,
+ *   total?: number
+ * } } TableRows
+ *
+ * @typedef { (request: TableRowsRequest) => (TableRows | Promise<TableRows>) } GetRowsFn
+ *
+ * @typedef { {
+ *   label?: string,
+ *   getRows: GetRowsFn
+ * } } TableDataProvider
+ */
+
+/**
+ * A registry of named table data providers, referenced from a table via `dataProvider.name`.
+ *
+ * A provider returns, or resolves to, a single page of rows along with the total amount of
+ * matching rows, given the parameters computed from `dataProvider.parameters` and the page,
+ * sorting, filter and search state of the table. The page is zero based. Without a page size,
+ * all matching rows are requested, e.g. to download them.
+ *
+ * @example
+ *
+ * tableDataProviderRegistry.register('orders', {
+ *   label: 'Orders',
+ *   getRows: ({ parameters, page, pageSize, sortBy, filters, search }) => {
+ *     return fetchOrders(parameters.customer, { page, pageSize, sortBy, filters, search });
+ *   }
+ * });
+ */
+export class TableDataProviderRegistry {
+
+  constructor() {
+    this._providers = {};
+  }
+
+  /**
+   * @param {string} name
+   * @param {TableDataProvider|GetRowsFn} provider
+   */
+  register(name, provider) {
+    if (isFunction(provider)) {
+      provider = { getRows: provider };
+    }
+
+    if (!provider || !isFunction(provider.getRows)) {
+      throw new Error(`table data provider <${ name }> must provide a getRows function`);
+    }
+
+    this._providers[ name ] = {
+      label: name,
+      ...provider
+    };
+  }
+
+  /**
+   * @param {string} name
+   *
+   * @returns {TableDataProvider|undefined}
+   */
+  get(name) {
+    return this._providers[ name ];
+  }
+
+  /**
+   * @returns {Array<{ name: string, label: string }>}
+   */
+  getAll() {
+    return Object.entries(this._providers).map(([ name, { label } ]) => ({ name, label }));
+  }
+
+  /**
+   * Retrieve rows from a registered provider.
+   *
+   * @param {string} name
+   * @param {Partial<TableRowsRequest>} request
+   *
+   * @returns {Promise<Required<TableRows>>}
+   */
+  getRows(name, request) {
+    const provider = this.get(name);
+
+    if (!provider) {
+      return Promise.reject(new Error(`no table data provider <${ name }> registered`));
+    }
+
+    const {
+      field,
+      parameters = {},
+      page = 0,
+      pageSize,
+      sortBy = null,
+      filters = {},
+      search = ''
+    } = request;
+
+    return new Promise(resolve => {
+      resolve(provider.getRows({ field, parameters, page, pageSize, sortBy, filters, search }));
+    }).then(result => {
+      if (!result || !Array.isArray(result.rows)) {
+        throw new Error(`table data provider <${ name }> must return an array of rows`);
+      }
+
+      const { rows, total } = result;
+
+      return {
+        rows,
+
+        // without a total, assume the current page holds the last rows
+        total: isNumber(total) ? total : page * (pageSize || 0) + rows.length
+      };
+    });
+  }
+}
@@ -0,0 +1,153 @@
+import { get, isNil, isString } from 'min-dash';
+
+/**
+ * @typedef { import('../types').I18nOptions } I18nOptions
+ */
+
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Resolves messages from the locale bundles passed via `FormOptions#i18n`
+ * as well as form field texts from the `translations` of a form schema.
+ *
+ * Messages may contain placeholders, i.e. `{min}`, which are replaced
+ * with the values passed on translation.
+ *
+ * @example
+ *
+ * const form = new Form({
+ *   i18n: {
+ *     locale: 'de',
+ *     bundles: {
+ *       de: {
+ *         'validation.required': 'Feld ist erforderlich.',
+ *         'validation.minLength': 'Feld muss mindestens {minLength} Zeichen lang sein.'
+ *       }
+ *     }
+ *   }
+ * });
+ */
+export class Translator {
+
+  /**
+   * @param {I18nOptions} config
+   * @param {import('./EventBus').EventBus} eventBus
+   */
+  constructor(config = {}, eventBus) {
+    const {
+      locale = DEFAULT_LOCALE,
+      bundles = {}
+    } = config;
+
+    this._locale = locale;
+    this._bundles = bundles;
+    this._eventBus = eventBus;
+
+    /**
+     * Form field translations, keyed by form field id and locale.
+     *
+     * @type {Object<string, Object<string, any>>}
+     */
+    this._translations = {};
+  }
+
+  /**
+   * @returns {string}
+   */
+  getLocale() {
+    return this._locale;
+  }
+
+  /**
+   * @param {string} locale
+   */
+  setLocale(locale) {
+    this._locale = locale;
+
+    this._eventBus.fire('locale.changed', { locale });
+  }
+
+  /**
+   * Set form field translations, usually the `translations` of a form schema.
+   *
+   * @param {Object<string, Object<string, any>>} [translations]
+   */
+  setTranslations(translations = {}) {
+    this._translations = translations;
+  }
+
+  /**
+   * Translate a message key, falling back to the language of a regional
+   * locale (`de-AT` => `de`) and, eventually, to the default message.
+   *
+   * @param {string} key
+   * @param {Object<string, any>} [values]
+   * @param {string} [defaultMessage]
+   *
+   * @returns {string}
+   */
+  translate(key, values = {}, defaultMessage = key) {
+    const template = this._getLocales()
+      .map(locale => (this._bundles[ locale ] || {})[ key ])
+      .find(message => !isNil(message));
+
+    return interpolate(isNil(template) ? defaultMessage : template, values);
+  }
+
+  /**
+   * Translate a text of a form field, such as its label or the label of an option.
+   *
+   * @example
+   *
+   * translator.translateField(field, 'label', field.label);
+   * translator.translateField(field, [ 'options', option.value ], option.label);
+   *
+   * @param {any} field
+   * @param {string|Array<string>} path
+   * @param {string} [defaultValue]
+   *
+   * @returns {string}
+   */
+  translateField(field, path, defaultValue) {
+    const fieldTranslations = field && this._translations[ field.id ];
+
+    if (!fieldTranslations) {
+      return defaultValue;
+    }
+
+    const translation = this._getLocales()
+      .map(locale => get(fieldTranslations, [ locale, ...[].concat(path).map(String) ]))
+      .find(isString);
+
+    return isNil(translation) ? defaultValue : translation;
+  }
+
+  /**
+   * @returns {Array<string>} the current locale, followed by its language if regional
+   */
+  _getLocales() {
+    const [ language ] = this._locale.split('-');
+
+    return language === this._locale ? [ language ] : [ this._locale, language ];
+  }
+}
+
+Translator.$inject = [ 'config.i18n', 'eventBus' ];
+
+
+// helpers //////////
+
+/**
+ * Replace `{placeholder}` occurrences in a message template with the given values.
+ * Unknown placeholders are kept as they are.
+ *
+ * @param {string} template
+ * @param {Object<string, any>} [values]
+ *
+ * @returns {string}
+ */
+export function interpolate(template, values = {}) {
+  return template.replace(/{([^{}]+)}/g, (match, name) => {
+    return name in values ? String(values[ name ]) : match;
+  });
+}
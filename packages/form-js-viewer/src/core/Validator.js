@@ -1,10 +1,49 @@
-import { isNil, get, set } from 'min-dash';
+import { isArray, isFunction, isNil, isNumber, isString, get, set } from 'min-dash';
+import cloneDeep from 'lodash/cloneDeep';
+import isEqual from 'lodash/isEqual';
 import { countDecimals } from '../render/components/util/numberFieldUtil';
+import { formatFileSize, isFileAccepted } from '../render/components/util/filepickerUtil';
+import { getRangeBounds } from '../render/components/util/rangeUtil';
+import { getRichTextVisibleText } from '../render/components/util/richTextUtil';
+import { getAddressPartLabel, getAddressParts, isAddressPartEmpty } from '../render/components/util/addressUtil';
+import { getMaskPlaceholder, isMaskComplete } from '../render/components/util/maskUtil';
+import { RICH_TEXT_FORMAT_PATH } from '../util/constants/RichTextConstants';
 import Big from 'big.js';
+import { interpolate } from './Translator';
 
 const EMAIL_PATTERN = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
 const PHONE_PATTERN = /(\+|00)(297|93|244|1264|358|355|376|971|54|374|1684|1268|61|43|994|257|32|229|226|880|359|973|1242|387|590|375|501|1441|591|55|1246|673|975|267|236|1|61|41|56|86|225|237|243|242|682|57|269|238|506|53|5999|61|1345|357|420|49|253|1767|45|1809|1829|1849|213|593|20|291|212|34|372|251|358|679|500|33|298|691|241|44|995|44|233|350|224|590|220|245|240|30|1473|299|502|594|1671|592|852|504|385|509|36|62|44|91|246|353|98|964|354|972|39|1876|44|962|81|76|77|254|996|855|686|1869|82|383|965|856|961|231|218|1758|423|94|266|370|352|371|853|590|212|377|373|261|960|52|692|389|223|356|95|382|976|1670|258|222|1664|596|230|265|60|262|264|687|227|672|234|505|683|31|47|977|674|64|968|92|507|64|51|63|680|675|48|1787|1939|850|351|595|970|689|974|262|40|7|250|966|249|221|65|500|4779|677|232|503|378|252|508|381|211|239|597|421|386|46|268|1721|248|963|1649|235|228|66|992|690|993|670|676|1868|216|90|688|886|255|256|380|598|1|998|3906698|379|1784|58|1284|1340|84|678|681|685|967|27|260|263)(9[976]\d|8[987530]\d|6[987]\d|5[90]\d|42\d|3[875]\d|2[98654321]\d|9[8543210]|8[6421]|6[6543210]|5[87654321]|4[987654310]|3[9643210]|2[70]|7|1)\d{4,20}$/;
 
+/**
+ * Default validation messages, keyed by validation rule.
+ *
+ * Messages are translated via `validation.<rule>` keys, cf. `Translator`,
+ * and may be overridden per field via `validate.messages`.
+ */
+const DEFAULT_MESSAGES = {
+  notANumber: 'Value is not a number.',
+  integer: 'Value is expected to be an integer.',
+  decimalDigit: 'Value is expected to have at most {decimalDigits} decimal digit.',
+  decimalDigits: 'Value is expected to have at most {decimalDigits} decimal digits.',
+  increment: 'Please select a valid value, the two nearest valid values are {previousValue} and {nextValue}.',
+  pattern: 'Field must match pattern {pattern}.',
+  mask: 'Field must match the format {format}.',
+  required: 'Field is required.',
+  partRequired: '{part} is required.',
+  min: 'Field must have minimum value of {min}.',
+  max: 'Field must have maximum value of {max}.',
+  minLength: 'Field must have minimum length of {minLength}.',
+  maxLength: 'Field must have maximum length of {maxLength}.',
+  phone: 'Field must be a valid  international phone number. (e.g. +4930664040900)',
+  email: 'Field must be a valid email.',
+  expression: 'Field is invalid.',
+  custom: 'Field is invalid.',
+  customFailed: 'Field could not be validated.',
+  fileMultiple: 'Field accepts a single file only.',
+  fileType: 'File {name} is not of an accepted type.',
+  fileSize: 'File {name} exceeds the maximum size of {maxFileSize}.'
+};
+
 const VALIDATE_FEEL_PROPERTIES = [
   'min',
   'max',
@@ -14,19 +53,46 @@ const VALIDATE_FEEL_PROPERTIES = [
 
 export class Validator {
 
-  constructor(expressionLanguage, conditionChecker, form) {
+  constructor(expressionLanguage, conditionChecker, form, validatorRegistry, translator, markdownRenderer, eventBus) {
     this._expressionLanguage = expressionLanguage;
     this._conditionChecker = conditionChecker;
     this._form = form;
+    this._validatorRegistry = validatorRegistry;
+    this._translator = translator;
+    this._markdownRenderer = markdownRenderer;
+
+    /**
+     * Latest results of custom validators, per field and validator.
+     *
+     * @type {Map<string, { value: any, data: Object, errors: Array<string>, pending: Promise<void>|null }>}
+     */
+    this._customValidations = new Map();
+
+    // results do not apply to another schema or the initial data
+    eventBus.on([ 'import.done', 'reset' ], () => {
+      this._customValidations.clear();
+    });
   }
 
-  validateField(field, value) {
+  /**
+   * Validate a field.
+   *
+   * Asynchronous custom validators are started, however their result is
+   * only included once they settled, cf. `Validator#validateFieldAsync`.
+   *
+   * @param {any} field
+   * @param {any} value
+   * @param {Object<string, number>} [indexes] repetitions the field is located in
+   *
+   * @returns {Array<string>}
+   */
+  validateField(field, value, indexes) {
 
     const { type, validate } = field;
 
     let errors = [];
 
-    if (type === 'number') {
+    if (type === 'number' || type === 'range') {
 
       const { decimalDigits, increment } = field;
 
@@ -34,7 +100,7 @@ export class Validator {
 
         errors = [
           ...errors,
-          'Value is not a number.'
+          this._getMessage(field, 'notANumber')
         ];
 
       }
@@ -43,11 +109,9 @@ export class Validator {
         if (decimalDigits >= 0 && countDecimals(value) > decimalDigits) {
           errors = [
             ...errors,
-            'Value is expected to ' +
-            (decimalDigits === 0
-              ? 'be an integer'
-              : `have at most ${decimalDigits} decimal digit${decimalDigits > 1 ? 's' : ''}`
-            ) + '.'
+            decimalDigits === 0
+              ? this._getMessage(field, 'integer')
+              : this._getMessage(field, decimalDigits > 1 ? 'decimalDigits' : 'decimalDigit', { decimalDigits })
           ];
         }
 
@@ -56,7 +120,10 @@ export class Validator {
           const bigValue = Big(value);
           const bigIncrement = Big(increment);
 
-          const offset = bigValue.mod(bigIncrement);
+          // ranges step from their lower bound, as native sliders do
+          const base = type === 'range' ? this._getRangeBounds(field).min : Big(0);
+
+          const offset = bigValue.minus(base).mod(bigIncrement);
 
           if (offset.cmp(0) !== 0) {
             const previousValue = bigValue.minus(offset);
@@ -64,13 +131,37 @@ export class Validator {
 
             errors = [
               ...errors,
-              `Please select a valid value, the two nearest valid values are ${previousValue} and ${nextValue}.`
+              this._getMessage(field, 'increment', { previousValue, nextValue })
             ];
           }
         }
       }
     }
 
+    if (type === 'filepicker' && isArray(value)) {
+
+      if (!field.multiple && value.length > 1) {
+        errors = [
+          ...errors,
+          this._getMessage(field, 'fileMultiple')
+        ];
+      }
+
+      errors = value.reduce((errors, file) => [
+        ...errors,
+        ...this.validateFile(field, file)
+      ], errors);
+    }
+
+    const { mask } = field.appearance || {};
+
+    if (type === 'textfield' && mask && isString(value) && value && !isMaskComplete(mask, value)) {
+      errors = [
+        ...errors,
+        this._getMessage(field, 'mask', { format: getMaskPlaceholder(mask) })
+      ];
+    }
+
     if (!validate) {
       return errors;
     }
@@ -85,11 +176,11 @@ export class Validator {
     if (evaluatedValidation.pattern && value && !new RegExp(evaluatedValidation.pattern).test(value)) {
       errors = [
         ...errors,
-        `Field must match pattern ${ evaluatedValidation.pattern }.`
+        this._getMessage(field, 'pattern', { pattern: evaluatedValidation.pattern })
       ];
     }
 
-    if (evaluatedValidation.required) {
+    if (this._isRequired(field, indexes)) {
       const isUncheckedCheckbox = type === 'checkbox' && value === false;
       const isUnsetValue = isNil(value) || value === '';
       const isEmptyMultiselect = Array.isArray(value) && value.length === 0;
@@ -97,58 +188,335 @@ export class Validator {
       if (isUncheckedCheckbox || isUnsetValue || isEmptyMultiselect) {
         errors = [
           ...errors,
-          'Field is required.'
+          this._getMessage(field, 'required')
         ];
       }
     }
 
+    // parts of an address are required once it is filled in, cf. `required` for the address itself
+    if (type === 'address' && isArray(evaluatedValidation.requiredParts) && !isNil(value)) {
+      errors = getAddressParts(field)
+        .filter(part => evaluatedValidation.requiredParts.includes(part) && isAddressPartEmpty(value, part))
+        .reduce((errors, part) => [
+          ...errors,
+          this._getMessage(field, 'partRequired', {
+            part: this._translator.translateField(field, [ 'partLabels', part ], getAddressPartLabel(field, part))
+          })
+        ], errors);
+    }
+
     if ('min' in evaluatedValidation && (value || value === 0) && value < evaluatedValidation.min) {
       errors = [
         ...errors,
-        `Field must have minimum value of ${ evaluatedValidation.min }.`
+        this._getMessage(field, 'min', { min: evaluatedValidation.min })
       ];
     }
 
     if ('max' in evaluatedValidation && (value || value === 0) && value > evaluatedValidation.max) {
       errors = [
         ...errors,
-        `Field must have maximum value of ${ evaluatedValidation.max }.`
+        this._getMessage(field, 'max', { max: evaluatedValidation.max })
       ];
     }
 
-    if ('minLength' in evaluatedValidation && value && value.trim().length < evaluatedValidation.minLength) {
+    // lengths of rich text are measured on the visible text, i.e. without markup
+    const textValue = type === 'richtext'
+      ? getRichTextVisibleText(value, get(field, RICH_TEXT_FORMAT_PATH), this._markdownRenderer)
+      : value;
+
+    if ('minLength' in evaluatedValidation && textValue && textValue.trim().length < evaluatedValidation.minLength) {
       errors = [
         ...errors,
-        `Field must have minimum length of ${ evaluatedValidation.minLength }.`
+        this._getMessage(field, 'minLength', { minLength: evaluatedValidation.minLength })
       ];
     }
 
-    if ('maxLength' in evaluatedValidation && value && value.trim().length > evaluatedValidation.maxLength) {
+    if ('maxLength' in evaluatedValidation && textValue && textValue.trim().length > evaluatedValidation.maxLength) {
       errors = [
         ...errors,
-        `Field must have maximum length of ${ evaluatedValidation.maxLength }.`
+        this._getMessage(field, 'maxLength', { maxLength: evaluatedValidation.maxLength })
       ];
     }
 
     if ('validationType' in evaluatedValidation && value && evaluatedValidation.validationType === 'phone' && !PHONE_PATTERN.test(value)) {
       errors = [
         ...errors,
-        'Field must be a valid  international phone number. (e.g. +4930664040900)'
+        this._getMessage(field, 'phone')
       ];
     }
 
     if ('validationType' in evaluatedValidation && value && evaluatedValidation.validationType === 'email' && !EMAIL_PATTERN.test(value)) {
       errors = [
         ...errors,
-        'Field must be a valid email.'
+        this._getMessage(field, 'email')
+      ];
+    }
+
+    if (validate.expression && !isNil(value) && value !== '') {
+      errors = [
+        ...errors,
+        ...this._validateExpression(field, indexes)
+      ];
+    }
+
+    if (validate.custom) {
+      errors = [
+        ...errors,
+        ...this._validateCustom(field, value, indexes).errors
       ];
     }
 
     return errors;
   }
+
+  /**
+   * Validate a file against the `accept` and `maxFileSize` of a `filepicker`,
+   * i.e. before it is uploaded.
+   *
+   * @param {any} field
+   * @param {{ name: string, size: number, type: string }} file
+   *
+   * @returns {Array<string>}
+   */
+  validateFile(field, file) {
+    const {
+      accept,
+      maxFileSize
+    } = field;
+
+    let errors = [];
+
+    if (!isFileAccepted(file, accept)) {
+      errors = [
+        ...errors,
+        this._getMessage(field, 'fileType', { name: file.name })
+      ];
+    }
+
+    if (isNumber(maxFileSize) && isNumber(file.size) && file.size > maxFileSize) {
+      errors = [
+        ...errors,
+        this._getMessage(field, 'fileSize', { name: file.name, maxFileSize: formatFileSize(maxFileSize) })
+      ];
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a field, waiting for asynchronous custom validators to settle.
+   *
+   * @param {any} field
+   * @param {any} value
+   * @param {Object<string, number>} [indexes]
+   *
+   * @returns {Promise<Array<string>>}
+   */
+  validateFieldAsync(field, value, indexes) {
+    const { pending } = this._validateCustom(field, value, indexes);
+
+    return Promise.resolve(pending).then(() => this.validateField(field, value, indexes));
+  }
+
+  /**
+   * Check whether custom validators of a field are still running for the given value.
+   *
+   * @param {any} field
+   * @param {any} value
+   * @param {Object<string, number>} [indexes]
+   *
+   * @returns {boolean}
+   */
+  isPending(field, value, indexes) {
+    const validation = this._getCustomValidation(field, value, indexes);
+
+    return !!(validation && validation.pending);
+  }
+
+  /**
+   * Wait for all running custom validators to settle.
+   *
+   * @returns {Promise<void>}
+   */
+  whenSettled() {
+    const pending = Array.from(this._customValidations.values())
+      .map(validation => validation.pending)
+      .filter(Boolean);
+
+    return Promise.all(pending).then(() => {});
+  }
+
+  /**
+   * Check whether a field is required, evaluating a FEEL `required`
+   * within the repetitions the field is located in.
+   *
+   * @param {any} field
+   * @param {Object<string, number>} [indexes]
+   *
+   * @returns {boolean}
+   */
+  _isRequired(field, indexes) {
+    const { required } = field.validate;
+
+    if (!this._expressionLanguage || !this._expressionLanguage.isExpression(required)) {
+      return !!required;
+    }
+
+    if (!this._conditionChecker) {
+      return false;
+    }
+
+    const data = getFilteredData(this._form, this._conditionChecker);
+
+    return this._conditionChecker.checkFieldCondition(field, required, data, indexes);
+  }
+
+  /**
+   * Evaluate the validation expression of a field, which must be met
+   * for the value to be valid.
+   *
+   * @param {any} field
+   * @param {Object<string, number>} [indexes]
+   *
+   * @returns {Array<string>}
+   */
+  _validateExpression(field, indexes) {
+    const {
+      expression,
+      expressionMessage
+    } = field.validate;
+
+    if (!this._conditionChecker) {
+      return [];
+    }
+
+    const data = getFilteredData(this._form, this._conditionChecker);
+
+    const result = this._conditionChecker.check(expression, this._conditionChecker.getLocalExpressionContext(field, data, indexes));
+
+    // invalid expressions are reported via <error> and do not block the user
+    if (result !== false) {
+      return [];
+    }
+
+    return [ expressionMessage || this._getMessage(field, 'expression') ];
+  }
+
+  /**
+   * Get the bounds of a range, evaluating FEEL bounds against the form data.
+   *
+   * @param {any} field
+   *
+   * @returns {{ min: Big, max: Big }}
+   */
+  _getRangeBounds(field) {
+    const { min, max } = evaluateFEELValues(
+      field.validate || {},
+      this._expressionLanguage,
+      this._conditionChecker,
+      this._form
+    );
+
+    return getRangeBounds({ min, max });
+  }
+
+  /**
+   * Resolve the message of a validation rule, preferring the
+   * field's `validate.messages` over the translated default.
+   *
+   * @param {any} field
+   * @param {string} rule
+   * @param {Object<string, any>} [values]
+   *
+   * @returns {string}
+   */
+  _getMessage(field, rule, values = {}) {
+    const { messages = {} } = field.validate || {};
+
+    if (messages[ rule ]) {
+      return interpolate(messages[ rule ], values);
+    }
+
+    return this._translator.translate(`validation.${ rule }`, values, DEFAULT_MESSAGES[ rule ]);
+  }
+
+  _getCustomValidation(field, value, indexes, data) {
+    const validation = this._customValidations.get(getCustomValidationKey(field, indexes));
+
+    if (!validation || !isEqual(validation.value, value)) {
+      return;
+    }
+
+    // validators may check the value against other fields
+    if (validation.pending || isEqual(validation.data, data)) {
+      return validation;
+    }
+  }
+
+  _validateCustom(field, value, indexes) {
+    const { custom: name } = field.validate || {};
+
+    const validator = name && this._validatorRegistry && this._validatorRegistry.get(name);
+
+    // like most built-in rules, custom validators do not apply to empty values
+    if (!validator || isNil(value) || value === '') {
+      return { errors: [] };
+    }
+
+    const data = getFilteredData(this._form, this._conditionChecker);
+
+    const existingValidation = this._getCustomValidation(field, value, indexes, data);
+
+    if (existingValidation) {
+      return existingValidation;
+    }
+
+    const validation = {
+      value,
+      data: cloneDeep(data),
+      errors: [],
+      pending: null
+    };
+
+    this._customValidations.set(getCustomValidationKey(field, indexes), validation);
+
+    let result;
+
+    // validators throwing fail just as validators rejecting
+    try {
+      result = validator.validate(value, {
+        field,
+        data
+      });
+    } catch (error) {
+      validation.errors = [ this._getMessage(field, 'customFailed') ];
+
+      return validation;
+    }
+
+    const { messages = {} } = field.validate;
+
+    const invalidMessage = !messages.custom && validator.message || this._getMessage(field, 'custom');
+
+    if (!isPromise(result)) {
+      validation.errors = toErrors(result, invalidMessage);
+
+      return validation;
+    }
+
+    validation.pending = result.then(
+      (result) => toErrors(result, invalidMessage),
+      () => [ this._getMessage(field, 'customFailed') ]
+    ).then((errors) => {
+      validation.errors = errors;
+      validation.pending = null;
+    });
+
+    return validation;
+  }
 }
 
-Validator.$inject = [ 'expressionLanguage', 'conditionChecker', 'form' ];
+Validator.$inject = [ 'expressionLanguage', 'conditionChecker', 'form', 'validatorRegistry', 'translator', 'markdownRenderer', 'eventBus' ];
 
 
 // helpers //////////
@@ -170,12 +538,7 @@ function evaluateFEELValues(validate, expressionLanguage, conditionChecker, form
       return value;
     }
 
-    const { initialData, data } = form._getState();
-
-    const newData = conditionChecker ? conditionChecker.applyConditions(data, data) : data;
-    const filteredData = { ...initialData, ...newData };
-
-    const evaluatedValue = expressionLanguage.evaluate(value, filteredData);
+    const evaluatedValue = expressionLanguage.evaluate(value, getFilteredData(form, conditionChecker));
 
     // replace validate property with evaluated value
     if (evaluatedValue) {
@@ -184,4 +547,44 @@ function evaluateFEELValues(validate, expressionLanguage, conditionChecker, form
   });
 
   return evaluatedValidate;
-}
\ No newline at end of file
+}
+function getFilteredData(form, conditionChecker) {
+  const { initialData, data } = form._getState();
+
+  const newData = conditionChecker ? conditionChecker.applyConditions(data, data) : data;
+
+  return { ...initialData, ...newData };
+}
+
+/**
+ * Key the results of custom validators per validator and field,
+ * including the repetitions the field is located in.
+ */
+function getCustomValidationKey(field, indexes = {}) {
+  const { custom } = field.validate || {};
+
+  return `${ [ field.id, ...Object.values(indexes) ].join('.') }#${ custom }`;
+}
+
+function isPromise(value) {
+  return value && isFunction(value.then);
+}
+
+/**
+ * Normalize the result of a custom validator to a list of error messages.
+ */
+function toErrors(result, invalidMessage) {
+  if (isString(result)) {
+    return [ result ];
+  }
+
+  if (isArray(result)) {
+    return result.filter(isString);
+  }
+
+  if (result === false) {
+    return [ invalidMessage ];
+  }
+
+  return [];
+}
@@ -0,0 +1,69 @@
+import { isFunction } from 'min-dash';
+
+/**
+ * @typedef { string | Array<string> | boolean | null | undefined } ValidationResult
+ *
+ * @typedef { (value: any, context: { field: any, data: any }) => (ValidationResult | Promise<ValidationResult>) } ValidateFn
+ *
+ * @typedef { {
+ *   label?: string,
+ *   message?: string,
+ *   validate: ValidateFn
+ * } } CustomValidator
+ */
+
+/**
+ * A registry of named validators, referenced from a field via `validate.custom`.
+ *
+ * A validator returns (or resolves to) an error message, a list of error messages
+ * or `false` if the value is invalid. Any other result marks the value as valid.
+ *
+ * @example
+ *
+ * validatorRegistry.register('iban', {
+ *   label: 'IBAN',
+ *   message: 'Field must be a valid IBAN.',
+ *   validate: (value) => isValidIban(value)
+ * });
+ */
+export class ValidatorRegistry {
+
+  constructor() {
+    this._validators = {};
+  }
+
+  /**
+   * @param {string} name
+   * @param {CustomValidator|ValidateFn} validator
+   */
+  register(name, validator) {
+    if (isFunction(validator)) {
+      validator = { validate: validator };
+    }
+
+    if (!validator || !isFunction(validator.validate)) {
+      throw new Error(`validator <${ name }> must provide a validate function`);
+    }
+
+    this._validators[ name ] = {
+      label: name,
+      ...validator
+    };
+  }
+
+  /**
+   * @param {string} name
+   *
+   * @returns {CustomValidator|undefined}
+   */
+  get(name) {
+    return this._validators[ name ];
+  }
+
+  /**
+   * @returns {Array<{ name: string, label: string }>}
+   */
+  getAll() {
+    return Object.entries(this._validators).map(([ name, { label } ]) => ({ name, label }));
+  }
+}
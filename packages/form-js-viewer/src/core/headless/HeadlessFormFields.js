@@ -0,0 +1,26 @@
+import { fieldConfigs } from '../../render/components/form-fields/configs';
+
+/**
+ * The form fields known to a headless form.
+ *
+ * Other than `FormFields`, this registers the configurations of the
+ * built-in form fields only, not the components rendering them.
+ * Register custom form fields as `{ config }`.
+ */
+export class HeadlessFormFields {
+  constructor() {
+    this._formFields = {};
+
+    fieldConfigs.forEach((config) => {
+      this.register(config.type, { config });
+    });
+  }
+
+  register(type, formField) {
+    this._formFields[ type ] = formField;
+  }
+
+  get(type) {
+    return this._formFields[ type ];
+  }
+}
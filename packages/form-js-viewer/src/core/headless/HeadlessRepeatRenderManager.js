@@ -0,0 +1,30 @@
+/**
+ * Tells which form fields repeat their children, cf. `RepeatRenderManager`,
+ * without rendering anything.
+ */
+export class HeadlessRepeatRenderManager {
+
+  constructor(formFields, formFieldRegistry) {
+    this._formFields = formFields;
+    this._formFieldRegistry = formFieldRegistry;
+  }
+
+  /**
+   * Checks whether a field is currently repeating its children.
+   *
+   * @param {string} id - The id of the field to check
+   * @returns {boolean} - True if repeatable, false otherwise
+   */
+  isFieldRepeating(id) {
+
+    if (!id) {
+      return false;
+    }
+
+    const formField = this._formFieldRegistry.get(id);
+    const formFieldDefinition = this._formFields.get(formField.type);
+    return formFieldDefinition.config.repeatable && formField.isRepeating;
+  }
+}
+
+HeadlessRepeatRenderManager.$inject = [ 'formFields', 'formFieldRegistry' ];
@@ -0,0 +1,39 @@
+import { EventBus } from '../EventBus';
+import { Validator } from '../Validator';
+import { ValidatorRegistry } from '../ValidatorRegistry';
+import { Translator } from '../Translator';
+import { SubmitPipeline } from '../SubmitPipeline';
+import { MigrationRegistry } from '../MigrationRegistry';
+import { Importer } from '../Importer';
+import { FieldFactory } from '../FieldFactory';
+import { PathRegistry } from '../PathRegistry';
+import { FormLayouter } from '../FormLayouter';
+import { FormFieldRegistry } from '../FormFieldRegistry';
+
+import { ExpressionLanguageModule } from '../../features/expressionLanguage';
+import { MarkdownRendererModule } from '../../features/markdown';
+
+import { HeadlessFormFields } from './HeadlessFormFields';
+import { HeadlessRepeatRenderManager } from './HeadlessRepeatRenderManager';
+
+export { HeadlessFormFields, HeadlessRepeatRenderManager };
+
+/**
+ * The services of a form without a user interface, cf. `CoreModule`.
+ */
+export const HeadlessModule = {
+  __depends__: [ ExpressionLanguageModule, MarkdownRendererModule ],
+  eventBus: [ 'type', EventBus ],
+  importer: [ 'type', Importer ],
+  migrationRegistry: [ 'type', MigrationRegistry ],
+  fieldFactory: [ 'type', FieldFactory ],
+  formFieldRegistry: [ 'type', FormFieldRegistry ],
+  formFields: [ 'type', HeadlessFormFields ],
+  pathRegistry: [ 'type', PathRegistry ],
+  formLayouter: [ 'type', FormLayouter ],
+  repeatRenderManager: [ 'type', HeadlessRepeatRenderManager ],
+  validator: [ 'type', Validator ],
+  validatorRegistry: [ 'type', ValidatorRegistry ],
+  translator: [ 'type', Translator ],
+  submitPipeline: [ 'type', SubmitPipeline ]
+};
@@ -1,5 +1,12 @@
 import { EventBus } from './EventBus';
 import { Validator } from './Validator';
+import { ValidatorRegistry } from './ValidatorRegistry';
+import { OptionsProviderRegistry } from './OptionsProviderRegistry';
+import { TableDataProviderRegistry } from './TableDataProviderRegistry';
+import { Translator } from './Translator';
+import { SubmitPipeline } from './SubmitPipeline';
+import { FileUploader } from './FileUploader';
+import { MigrationRegistry } from './MigrationRegistry';
 import { Importer } from './Importer';
 import { FieldFactory } from './FieldFactory';
 import { PathRegistry } from './PathRegistry';
@@ -8,15 +15,22 @@ import { FormFieldRegistry } from './FormFieldRegistry';
 
 import { RenderModule } from '../render';
 
-export { Importer, FieldFactory, FormFieldRegistry, PathRegistry, FormLayouter };
+export { Importer, FieldFactory, FormFieldRegistry, PathRegistry, FormLayouter, ValidatorRegistry, OptionsProviderRegistry, TableDataProviderRegistry, Translator, SubmitPipeline, MigrationRegistry, FileUploader };
 
 export const CoreModule = {
   __depends__: [ RenderModule ],
   eventBus: [ 'type', EventBus ],
   importer: [ 'type', Importer ],
+  migrationRegistry: [ 'type', MigrationRegistry ],
   fieldFactory: [ 'type', FieldFactory ],
   formFieldRegistry: [ 'type', FormFieldRegistry ],
   pathRegistry: [ 'type', PathRegistry ],
   formLayouter: [ 'type', FormLayouter ],
-  validator: [ 'type', Validator ]
+  validator: [ 'type', Validator ],
+  validatorRegistry: [ 'type', ValidatorRegistry ],
+  optionsProviderRegistry: [ 'type', OptionsProviderRegistry ],
+  tableDataProviderRegistry: [ 'type', TableDataProviderRegistry ],
+  translator: [ 'type', Translator ],
+  submitPipeline: [ 'type', SubmitPipeline ],
+  fileUploader: [ 'type', FileUploader ]
 };
\ No newline at end of file
@@ -0,0 +1,75 @@
+import { runRecursively } from '../../util/simple';
+
+/**
+ * @typedef { import('../MigrationRegistry').Migration } Migration
+ */
+
+/**
+ * Legacy values of <validate.validationType> selecting custom validation,
+ * which is expressed by omitting <validationType> nowadays.
+ */
+const CUSTOM_VALIDATION_TYPES = [ 'custom', '', null ];
+
+/**
+ * @type {Migration}
+ */
+export const customValidationTypeMigration = {
+  version: 14,
+  description: 'Remove legacy custom <validate.validationType>',
+  migrate: (schema, { report }) => {
+    runRecursively(schema, (field) => {
+      const { validate } = field;
+
+      if (!validate || !('validationType' in validate) || !CUSTOM_VALIDATION_TYPES.includes(validate.validationType)) {
+        return;
+      }
+
+      delete validate.validationType;
+
+      report(`removed custom <validate.validationType> of form field <${ field.id }>`);
+    });
+
+    return schema;
+  }
+};
+
+/**
+ * Options sources in the order the viewer resolves them, with the legacy
+ * <valuesKey> taking precedence over the newer sources.
+ */
+const OPTIONS_SOURCE_PROPERTIES = [ 'valuesKey', 'values', 'valuesExpression', 'valuesProvider' ];
+
+/**
+ * @type {Migration}
+ */
+export const optionsSourceMigration = {
+  version: 14,
+  description: 'Keep a single options source per form field',
+  migrate: (schema, { report }) => {
+    runRecursively(schema, (field) => {
+      const sources = OPTIONS_SOURCE_PROPERTIES.filter(property => field[ property ] !== undefined);
+
+      if (sources.length < 2) {
+        return;
+      }
+
+      const [ source, ...ignoredSources ] = sources;
+
+      ignoredSources.forEach(property => delete field[ property ]);
+
+      report(`removed <${ ignoredSources.join('>, <') }> of form field <${ field.id }>, overridden by <${ source }>`);
+    });
+
+    return schema;
+  }
+};
+
+/**
+ * The migrations registered with every `MigrationRegistry`.
+ *
+ * @type {Array<Migration>}
+ */
+export const migrations = [
+  customValidationTypeMigration,
+  optionsSourceMigration
+];
@@ -0,0 +1,446 @@
+import { isFunction } from 'min-dash';
+
+import { clone } from '../../util';
+
+/**
+ * @typedef { {
+ *   getItem: (key: string) => (string | null | Promise<string | null>),
+ *   setItem: (key: string, value: string) => (void | Promise<void>),
+ *   removeItem: (key: string) => (void | Promise<void>)
+ * } } DraftStorage
+ *
+ * @typedef { {
+ *   version: any,
+ *   data: Object,
+ *   touched: Object,
+ *   dirty: Object,
+ *   collapsed: Object<string, boolean>,
+ *   savedAt?: number
+ * } } Draft
+ *
+ * @typedef { {
+ *   autoSave?: boolean,
+ *   debounce?: number,
+ *   key?: string,
+ *   storage?: DraftStorage,
+ *   version?: any
+ * } } DraftConfig
+ */
+
+const DEFAULT_DEBOUNCE = 300;
+
+const KEY_PREFIX = 'form-js-draft';
+
+/**
+ * Persists drafts of the form state, i.e. the data entered so far, to a storage
+ * (`localStorage` by default) and allows to restore them later on.
+ *
+ * Drafts are keyed by the id of the form schema and discarded once the schema
+ * version, i.e. its `versionTag` or contents, no longer matches.
+ *
+ * @example
+ *
+ * const form = new Form({
+ *   additionalModules: [ DraftModule ],
+ *   draft: {
+ *     storage: window.sessionStorage
+ *   }
+ * });
+ *
+ * await form.importSchema(schema);
+ *
+ * await form.get('draftManager').restoreDraft();
+ */
+export class DraftManager {
+
+  /**
+   * @param {DraftConfig} config
+   * @param {import('../../Form').Form} form
+   * @param {import('../../core/EventBus').EventBus} eventBus
+   * @param {import('didi').Injector} injector
+   */
+  constructor(config = {}, form, eventBus, injector) {
+    const {
+      autoSave = true,
+      debounce = DEFAULT_DEBOUNCE,
+      key,
+      storage = getDefaultStorage(),
+      version
+    } = config;
+
+    this._form = form;
+    this._eventBus = eventBus;
+    this._injector = injector;
+
+    this._autoSave = autoSave;
+    this._debounce = debounce;
+    this._key = key;
+    this._storage = storage;
+    this._version = version;
+
+    this._lastSaved = null;
+    this._saveTimeout = null;
+
+    this.flush = this.flush.bind(this);
+
+    eventBus.on('import.done', ({ error }) => {
+      this._cancelSave();
+
+      this._lastSaved = error ? null : serialize(this._createDraft());
+
+      // discard drafts of previous schema versions
+      if (!error) {
+        this.getDraft().catch(error => this._handleError(error));
+      }
+    });
+
+    eventBus.on('changed', () => {
+      this._scheduleSave();
+    });
+
+    eventBus.on('submit', ({ errors }) => {
+      if (!Object.keys(errors).length) {
+        this.discardDraft().catch(error => this._handleError(error));
+      }
+    });
+
+    eventBus.on('reset', () => {
+      this.discardDraft().catch(error => this._handleError(error));
+
+      // the form resets to its initial state next, which is no change worth saving
+      this._lastSaved = serialize({
+        ...this._createDraft(),
+        data: this._form._getState().initialData,
+        touched: {},
+        dirty: {}
+      });
+    });
+
+    eventBus.on('form.destroy', () => {
+      this.flush();
+
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('pagehide', this.flush);
+      }
+    });
+
+    // save pending changes when the tab gets closed
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this.flush);
+    }
+  }
+
+  /**
+   * Retrieve the draft of the current form. Drafts of another
+   * schema version are discarded.
+   *
+   * @returns {Promise<Draft|null>}
+   */
+  getDraft() {
+    const key = this._getKey();
+
+    if (!key || !this._storage) {
+      return Promise.resolve(null);
+    }
+
+    return this._callStorage('getItem', key).then(value => {
+      const draft = parse(value);
+
+      if (!draft) {
+        return null;
+      }
+
+      if (draft.version !== this._getVersion()) {
+        return this._callStorage('removeItem', key).then(() => {
+          this._eventBus.fire('draft.discarded', { draft });
+
+          return null;
+        });
+      }
+
+      return draft;
+    });
+  }
+
+  /**
+   * Check whether a draft of the current form exists.
+   *
+   * @returns {Promise<boolean>}
+   */
+  hasDraft() {
+    return this.getDraft().then(draft => !!draft);
+  }
+
+  /**
+   * Save a draft of the current form state.
+   *
+   * @returns {Promise<Draft|null>}
+   */
+  saveDraft() {
+    this._cancelSave();
+
+    const key = this._getKey();
+
+    if (!key || !this._storage) {
+      return Promise.resolve(null);
+    }
+
+    const draft = this._createDraft();
+
+    this._lastSaved = serialize(draft);
+
+    const savedDraft = {
+      ...draft,
+      savedAt: Date.now()
+    };
+
+    return this._callStorage('setItem', key, JSON.stringify(savedDraft)).then(() => {
+      this._eventBus.fire('draft.saved', { draft: savedDraft });
+
+      return savedDraft;
+    });
+  }
+
+  /**
+   * Restore the draft of the current form, if any.
+   *
+   * @returns {Promise<boolean>} true if a draft got restored
+   */
+  restoreDraft() {
+    this._cancelSave();
+
+    return this.getDraft().then(draft => {
+
+      if (!draft) {
+        return false;
+      }
+
+      const {
+        collapsed,
+        data,
+        dirty,
+        touched
+      } = draft;
+
+      const repeatRenderManager = this._getRepeatRenderManager();
+
+      if (repeatRenderManager) {
+        repeatRenderManager.setCollapseState(collapsed);
+      }
+
+      const form = this._form;
+
+      form._setState({
+        errors: {},
+        pending: {},
+        touched: touched || {},
+        dirty: dirty || {}
+      });
+
+      // restore via the form's update path, notifying about changed values
+      // and computing fields of the current schema
+      form.setData(clone(data), { validate: false });
+
+      form._validateTouched();
+
+      // restoring is no change worth saving
+      this._cancelSave();
+      this._lastSaved = serialize(this._createDraft());
+
+      this._eventBus.fire('draft.restored', { draft });
+
+      return true;
+    });
+  }
+
+  /**
+   * Remove the draft of the current form.
+   *
+   * @returns {Promise<void>}
+   */
+  discardDraft() {
+    this._cancelSave();
+
+    const key = this._getKey();
+
+    this._lastSaved = serialize(this._createDraft());
+
+    if (!key || !this._storage) {
+      return Promise.resolve();
+    }
+
+    return this._callStorage('removeItem', key);
+  }
+
+  /**
+   * Save pending changes right away.
+   */
+  flush() {
+    if (this._saveTimeout) {
+      this._autoSaveDraft();
+    }
+  }
+
+  _scheduleSave() {
+    if (!this._autoSave || !this._form._getState().schema) {
+      return;
+    }
+
+    // nothing changed since the draft got saved or the form got imported
+    if (serialize(this._createDraft()) === this._lastSaved) {
+      return;
+    }
+
+    this._cancelSave();
+
+    this._saveTimeout = setTimeout(() => this._autoSaveDraft(), this._debounce);
+  }
+
+  _autoSaveDraft() {
+    this.saveDraft().catch(error => this._handleError(error));
+  }
+
+  _handleError(error) {
+    this._eventBus.fire('draft.error', { error });
+  }
+
+  _cancelSave() {
+    if (this._saveTimeout) {
+      clearTimeout(this._saveTimeout);
+
+      this._saveTimeout = null;
+    }
+  }
+
+  /**
+   * Call the storage, turning synchronous failures, e.g. exceeded quotas, into rejections.
+   *
+   * @param {'getItem'|'setItem'|'removeItem'} method
+   * @param {...any} args
+   *
+   * @returns {Promise<any>}
+   */
+  _callStorage(method, ...args) {
+    return new Promise(resolve => {
+      resolve(this._storage[ method ].apply(this._storage, args));
+    });
+  }
+
+  /**
+   * @returns {Draft}
+   */
+  _createDraft() {
+    const {
+      data,
+      dirty,
+      touched
+    } = this._form._getState();
+
+    const repeatRenderManager = this._getRepeatRenderManager();
+
+    return {
+      version: this._getVersion(),
+      data,
+      touched,
+      dirty,
+      collapsed: repeatRenderManager ? repeatRenderManager.getCollapseState() : {}
+    };
+  }
+
+  /**
+   * @returns {import('../repeatRender').RepeatRenderManager|null} the repeat render manager, if it keeps a collapse state
+   */
+  _getRepeatRenderManager() {
+    const repeatRenderManager = this._injector.get('repeatRenderManager', false);
+
+    return repeatRenderManager && isFunction(repeatRenderManager.getCollapseState) ? repeatRenderManager : null;
+  }
+
+  _getKey() {
+    if (this._key) {
+      return this._key;
+    }
+
+    const { schema } = this._form._getState();
+
+    return schema && schema.id ? `${ KEY_PREFIX }:${ schema.id }` : null;
+  }
+
+  _getVersion() {
+    if (this._version !== undefined) {
+      return this._version;
+    }
+
+    const { schema } = this._form._getState();
+
+    if (!schema) {
+      return undefined;
+    }
+
+    if (schema.versionTag) {
+      return schema.versionTag;
+    }
+
+    return `${ schema.id }:${ hash(serializeSchema(schema)) }`;
+  }
+}
+
+DraftManager.$inject = [ 'config.draft', 'form', 'eventBus', 'injector' ];
+
+
+// helpers //////////
+
+function getDefaultStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+
+    // access to the local storage may be denied, e.g. in private mode
+    return null;
+  }
+}
+
+function serialize(draft) {
+  return JSON.stringify(draft);
+}
+
+/**
+ * Serialize a schema, leaving out the ids and internal properties
+ * the importer may generate.
+ *
+ * @param {Object} schema
+ *
+ * @returns {string}
+ */
+function serializeSchema(schema) {
+  return JSON.stringify(schema, (key, value) => {
+    return key === 'id' || key.startsWith('_') ? undefined : value;
+  });
+}
+
+/**
+ * @param {string} str
+ *
+ * @returns {string}
+ */
+function hash(str) {
+  let hash = 5381;
+
+  for (let i = 0; i < str.length; i++) {
+    hash = (hash * 33 + str.charCodeAt(i)) % 4294967296;
+  }
+
+  return hash.toString(36);
+}
+
+function parse(value) {
+  if (!value) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,8 @@
+import { DraftManager } from './DraftManager';
+
+export const DraftModule = {
+  __init__: [ 'draftManager' ],
+  draftManager: [ 'type', DraftManager ]
+};
+
+export { DraftManager };
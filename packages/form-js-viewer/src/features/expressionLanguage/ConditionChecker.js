@@ -1,6 +1,6 @@
 import { unaryTest } from 'feelin';
 import { get, isString, set, values, isObject } from 'min-dash';
-import { buildExpressionContext, clone } from '../../util';
+import { buildExpressionContext, clone, getAncestryList } from '../../util';
 
 /**
  * @typedef {object} Condition
@@ -150,6 +150,62 @@ export class ConditionChecker {
     }
   }
 
+  /**
+   * Check if a field condition, such as `disabled` or `validate.required`, is met.
+   * The condition may be a static boolean or a FEEL expression, evaluated
+   * within the repetitions the field is located in.
+   *
+   * @param {any} field
+   * @param {boolean|string} condition
+   * @param {Object<string, any>} data
+   * @param {Object<string, number>} [indexes]
+   *
+   * @returns {boolean}
+   */
+  checkFieldCondition(field, condition, data, indexes = {}) {
+    if (!isString(condition)) {
+      return !!condition;
+    }
+
+    return this.check(condition, this.getLocalExpressionContext(field, data, indexes)) === true;
+  }
+
+  /**
+   * Build the expression context local to a field, i.e. scoped to the
+   * repetitions it is located in, mirroring the `LocalExpressionContext` of the renderer.
+   *
+   * @param {any} field
+   * @param {Object<string, any>} data
+   * @param {Object<string, number>} [indexes]
+   *
+   * @returns {Object<string, any>}
+   */
+  getLocalExpressionContext(field, data, indexes = {}) {
+    const repeaters = getAncestryList(field._parent, this._formFieldRegistry)
+      .filter(id => id in indexes)
+      .reverse()
+      .map(id => this._formFieldRegistry.get(id));
+
+    const expressionContextInfo = repeaters.reduce((parentExpressionContextInfo, repeater) => {
+      const index = indexes[ repeater.id ];
+      const values = get(data, this._pathRegistry.getValuePath(repeater, { indexes }));
+
+      return {
+        data,
+        this: Array.isArray(values) ? values[ index ] : undefined,
+        parent: buildExpressionContext(parentExpressionContextInfo),
+        i: [ ...parentExpressionContextInfo.i, index + 1 ]
+      };
+    }, {
+      data,
+      this: data,
+      parent: null,
+      i: []
+    });
+
+    return buildExpressionContext(expressionContextInfo);
+  }
+
   /**
    * Check if hide condition is met.
    *
@@ -2,8 +2,12 @@ export { ExpressionLanguageModule } from './expressionLanguage';
 export { MarkdownRendererModule } from './markdown';
 export { ViewerCommandsModule } from './viewerCommands';
 export { RepeatRenderModule } from './repeatRender';
+export { PagesModule } from './pages';
+export { DraftModule } from './draft';
 
 export * from './expressionLanguage';
 export * from './markdown';
 export * from './viewerCommands';
-export * from './repeatRender';
\ No newline at end of file
+export * from './repeatRender';
+export * from './pages';
+export * from './draft';
\ No newline at end of file
@@ -19,6 +19,17 @@ export class MarkdownRenderer {
   render(markdown) {
     return this._converter.makeHtml(markdown);
   }
+
+  /**
+   * Convert HTML back to markdown.
+   *
+   * @param {string} html - The HTML to convert
+   *
+   * @returns {string} markdown
+   */
+  toMarkdown(html) {
+    return this._converter.makeMarkdown(html);
+  }
 }
 
 MarkdownRenderer.$inject = [];
\ No newline at end of file
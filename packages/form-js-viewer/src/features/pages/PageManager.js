@@ -0,0 +1,198 @@
+import { buildExpressionContext, getAncestryList } from '../../util';
+
+/**
+ * Manages the navigation between the pages of a multi-page form.
+ *
+ * Pages are `page` containers placed at the root of a form. Only one of them is
+ * rendered at a time, pages hidden by their condition are skipped.
+ */
+export class PageManager {
+
+  constructor(form, formFieldRegistry, conditionChecker, eventBus) {
+    this._form = form;
+    this._formFieldRegistry = formFieldRegistry;
+    this._conditionChecker = conditionChecker;
+    this._eventBus = eventBus;
+
+    this._currentPageId = null;
+
+    eventBus.on([ 'import.done', 'reset' ], () => {
+      this._currentPageId = null;
+    });
+
+    eventBus.on('submit', ({ errors }) => {
+      const page = this._getFirstPageWithErrors(errors);
+
+      if (page) {
+        this._setCurrentPage(page);
+      }
+    });
+  }
+
+  /**
+   * Returns the pages of the form which are currently not hidden.
+   *
+   * @returns {Array<any>}
+   */
+  getPages() {
+    const form = this._formFieldRegistry.getForm();
+
+    if (!form || !Array.isArray(form.components)) {
+      return [];
+    }
+
+    return form.components.filter(component => component.type === 'page' && !this._isHidden(component));
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  hasPages() {
+    return this.getPages().length > 0;
+  }
+
+  /**
+   * Returns the currently displayed page, defaults to the first page.
+   *
+   * @returns {any|null}
+   */
+  getCurrentPage() {
+    const pages = this.getPages();
+
+    return pages.find(page => page.id === this._currentPageId) || pages[0] || null;
+  }
+
+  /**
+   * @returns {number} index of the current page, -1 if the form has no pages
+   */
+  getCurrentPageIndex() {
+    return this.getPages().indexOf(this.getCurrentPage());
+  }
+
+  /**
+   * Navigate to the next page, given the current page validates,
+   * including asynchronous custom validators.
+   *
+   * @returns {Promise<boolean>} true if navigation happened
+   */
+  next() {
+    const pages = this.getPages();
+    const currentPage = this.getCurrentPage();
+    const index = pages.indexOf(currentPage);
+
+    if (index === -1 || index === pages.length - 1) {
+      return Promise.resolve(false);
+    }
+
+    return this._validatePage(currentPage).then(valid => {
+
+      // the user may have navigated elsewhere in the meantime
+      if (!valid || this.getCurrentPage() !== currentPage) {
+        return false;
+      }
+
+      const nextPage = this.getPages()[ this.getCurrentPageIndex() + 1 ];
+
+      if (!nextPage) {
+        return false;
+      }
+
+      this._setCurrentPage(nextPage);
+
+      return true;
+    });
+  }
+
+  /**
+   * Navigate to the previous page.
+   *
+   * @returns {Promise<boolean>} true if navigation happened
+   */
+  previous() {
+    const pages = this.getPages();
+    const index = pages.indexOf(this.getCurrentPage());
+
+    if (index < 1) {
+      return Promise.resolve(false);
+    }
+
+    this._setCurrentPage(pages[ index - 1 ]);
+
+    return Promise.resolve(true);
+  }
+
+  /**
+   * Navigate to the given page, without validating the current one.
+   *
+   * @param {string} pageId
+   *
+   * @returns {Promise<boolean>} true if navigation happened
+   */
+  goTo(pageId) {
+    const page = this.getPages().find(page => page.id === pageId);
+
+    if (!page) {
+      return Promise.resolve(false);
+    }
+
+    this._setCurrentPage(page);
+
+    return Promise.resolve(true);
+  }
+
+  _setCurrentPage(page) {
+    this._currentPageId = page.id;
+
+    this._eventBus.fire('page.changed', { page });
+  }
+
+  /**
+   * @param {any} page
+   *
+   * @returns {Promise<boolean>}
+   */
+  _validatePage(page) {
+    const { properties } = this._form._getState();
+
+    // read-only and disabled forms cannot be corrected, do not block navigation
+    if (properties.readOnly || properties.disabled) {
+      return Promise.resolve(true);
+    }
+
+    return this._form.validateAsync({ container: page }).then(errors => !Object.keys(errors).length);
+  }
+
+  _isHidden(page) {
+    const { conditional } = page;
+
+    if (!conditional || !conditional.hide) {
+      return false;
+    }
+
+    const { initialData, data } = this._form._getState();
+
+    const filteredData = {
+      ...initialData,
+      ...this._conditionChecker.applyConditions(data, data)
+    };
+
+    const expressionContext = buildExpressionContext({
+      this: filteredData,
+      data: filteredData,
+      i: [],
+      parent: null
+    });
+
+    return this._conditionChecker.check(conditional.hide, expressionContext) === true;
+  }
+
+  _getFirstPageWithErrors(errors = {}) {
+    const erroneousFieldIds = Object.keys(errors);
+
+    return this.getPages().find(page => {
+      return erroneousFieldIds.some(id => getAncestryList(id, this._formFieldRegistry).includes(page.id));
+    });
+  }
+}
+
+PageManager.$inject = [ 'form', 'formFieldRegistry', 'conditionChecker', 'eventBus' ];
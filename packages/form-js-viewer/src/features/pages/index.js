@@ -0,0 +1,8 @@
+import { PageManager } from './PageManager';
+
+export const PagesModule = {
+  __init__: [ 'pageManager' ],
+  pageManager: [ 'type', PageManager ]
+};
+
+export { PageManager };
@@ -16,13 +16,24 @@ import classNames from 'classnames';
 
 export class RepeatRenderManager {
 
-  constructor(form, formFields, formFieldRegistry, pathRegistry) {
+  constructor(form, formFields, formFieldRegistry, pathRegistry, eventBus) {
     this._form = form;
     this._formFields = formFields;
     this._formFieldRegistry = formFieldRegistry;
     this._pathRegistry = pathRegistry;
     this.Repeater = this.Repeater.bind(this);
     this.RepeatFooter = this.RepeatFooter.bind(this);
+
+    /**
+     * Collapse state of the repeated fields, keyed by field id and indexes.
+     *
+     * @type {Object<string, boolean>}
+     */
+    this._collapseState = {};
+
+    eventBus.on('import.done', () => {
+      this._collapseState = {};
+    });
   }
 
   /**
@@ -42,12 +53,55 @@ export class RepeatRenderManager {
     return formFieldDefinition.config.repeatable && formField.isRepeating;
   }
 
+  /**
+   * Checks whether a repeated field is collapsed, which it is by default.
+   *
+   * @param {any} field
+   * @param {Object} [indexes]
+   *
+   * @returns {boolean}
+   */
+  isCollapsed(field, indexes) {
+    return this._collapseState[ getCollapseKey(field, indexes) ] !== false;
+  }
+
+  /**
+   * Collapse or expand a repeated field.
+   *
+   * @param {any} field
+   * @param {Object|undefined} indexes
+   * @param {boolean} collapsed
+   */
+  setCollapsed(field, indexes, collapsed) {
+    this.setCollapseState({
+      ...this._collapseState,
+      [ getCollapseKey(field, indexes) ]: collapsed
+    });
+  }
+
+  /**
+   * @returns {Object<string, boolean>} the collapse state of all repeated fields
+   */
+  getCollapseState() {
+    return { ...this._collapseState };
+  }
+
+  /**
+   * Restore the collapse state of repeated fields, e.g. from a draft.
+   *
+   * @param {Object<string, boolean>} collapseState
+   */
+  setCollapseState(collapseState = {}) {
+    this._collapseState = { ...collapseState };
+
+    // re-render
+    this._form._setState({});
+  }
+
   Repeater(props) {
 
     const { RowsRenderer, indexes, useSharedState, ...restProps } = props;
 
-    const [ sharedRepeatState ] = useSharedState;
-
     const { data } = this._form._getState();
 
     const repeaterField = props.field;
@@ -56,7 +110,7 @@ export class RepeatRenderManager {
 
     const nonCollapsedItems = this._getNonCollapsedItems(repeaterField);
     const collapseEnabled = !repeaterField.disableCollapse && (values.length > nonCollapsedItems);
-    const isCollapsed = collapseEnabled && sharedRepeatState.isCollapsed;
+    const isCollapsed = collapseEnabled && this.isCollapsed(repeaterField, indexes);
 
     const hasChildren = repeaterField.components && repeaterField.components.length > 0;
     const showRemove = repeaterField.allowAddRemove && hasChildren;
@@ -116,8 +170,7 @@ export class RepeatRenderManager {
   RepeatFooter(props) {
 
     const addButtonRef = useRef(null);
-    const { useSharedState, indexes, field: repeaterField, readonly, disabled } = props;
-    const [ sharedRepeatState, setSharedRepeatState ] = useSharedState;
+    const { indexes, field: repeaterField, readonly, disabled } = props;
 
     const { data } = this._form._getState();
 
@@ -126,13 +179,13 @@ export class RepeatRenderManager {
 
     const nonCollapsedItems = this._getNonCollapsedItems(repeaterField);
     const collapseEnabled = !repeaterField.disableCollapse && (values.length > nonCollapsedItems);
-    const isCollapsed = collapseEnabled && sharedRepeatState.isCollapsed;
+    const isCollapsed = collapseEnabled && this.isCollapsed(repeaterField, indexes);
 
     const hasChildren = repeaterField.components && repeaterField.components.length > 0;
     const showAdd = repeaterField.allowAddRemove && hasChildren;
 
     const toggle = () => {
-      setSharedRepeatState(state => ({ ...state, isCollapsed: !isCollapsed }));
+      this.setCollapsed(repeaterField, indexes, !isCollapsed);
     };
 
     const shouldScroll = useRef(false);
@@ -154,7 +207,7 @@ export class RepeatRenderManager {
         indexes
       });
 
-      setSharedRepeatState(state => ({ ...state, isCollapsed: false }));
+      this.setCollapsed(repeaterField, indexes, false);
     };
 
     useScrollIntoView(addButtonRef, [ values.length ], {
@@ -196,4 +249,11 @@ export class RepeatRenderManager {
 
 }
 
-RepeatRenderManager.$inject = [ 'form', 'formFields', 'formFieldRegistry', 'pathRegistry' ];
\ No newline at end of file
+RepeatRenderManager.$inject = [ 'form', 'formFields', 'formFieldRegistry', 'pathRegistry', 'eventBus' ];
+
+
+// helpers //////////
+
+function getCollapseKey(field, indexes = {}) {
+  return [ field.id, ...Object.values(indexes) ].join('.');
+}
\ No newline at end of file
@@ -14,9 +14,11 @@ export class UpdateFieldValidationHandler {
 
     context.oldErrors = clone(errors);
 
-    const fieldErrors = this._validator.validateField(field, value);
+    const fieldErrors = this._validator.validateField(field, value, indexes);
     const updatedErrors = set(errors, [ field.id, ...Object.values(indexes || {}) ], fieldErrors.length ? fieldErrors : undefined);
     this._form._setState({ errors: updatedErrors });
+
+    this._form._validateFieldAsync(field, value, indexes);
   }
 
   revert(context) {
@@ -0,0 +1,35 @@
+import { HeadlessForm } from './HeadlessForm';
+
+export { HeadlessModule, HeadlessFormFields, HeadlessRepeatRenderManager } from './core/headless';
+export { getSchemaVariables } from './util/getSchemaVariables';
+export { clone } from './util/simple';
+
+export {
+  HeadlessForm
+};
+
+/**
+ * @typedef { import('./types').CreateFormOptions } CreateFormOptions
+ */
+
+/**
+ * Create a form without a user interface, e.g. to validate
+ * form data in Node.
+ *
+ * @param {CreateFormOptions} options
+ *
+ * @return {Promise<HeadlessForm>}
+ */
+export function createHeadlessForm(options) {
+  const {
+    data,
+    schema,
+    ...formOptions
+  } = options;
+
+  const form = new HeadlessForm(formOptions);
+
+  return form.importSchema(schema, data).then(function() {
+    return form;
+  });
+}
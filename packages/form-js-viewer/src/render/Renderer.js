@@ -35,15 +35,20 @@ export function Renderer(config, eventBus, form, injector) {
 
     const onChange = useCallback((update) => form._update(update), []);
 
-    const { properties } = state;
+    const {
+      properties,
+      submitting
+    } = state;
 
     const { readOnly } = properties;
 
     const onSubmit = useCallback(() => {
-      if (!readOnly) {
-        form.submit();
+      if (!readOnly && !submitting) {
+
+        // failures are reported via <submit.error>
+        form.submit().catch(() => {});
       }
-    }, [ readOnly ]);
+    }, [ readOnly, submitting ]);
 
     const onReset = useCallback(() => form.reset(), []);
 
@@ -1,10 +1,15 @@
-import { useSingleLineTemplateEvaluation } from '../hooks';
+import { useFieldTranslation, useSingleLineTemplateEvaluation } from '../hooks';
 
 
 export function Description(props) {
-  const { description } = props;
+  const {
+    description,
+    field
+  } = props;
 
-  const evaluatedDescription = useSingleLineTemplateEvaluation(description || '', { debug: true });
+  const translatedDescription = useFieldTranslation(field, 'description', description);
+
+  const evaluatedDescription = useSingleLineTemplateEvaluation(translatedDescription || '', { debug: true });
 
   if (!evaluatedDescription) {
     return null;
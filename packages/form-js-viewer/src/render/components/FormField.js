@@ -2,10 +2,13 @@ import { useCallback, useContext, useEffect, useMemo } from 'preact/hooks';
 
 import { get } from 'min-dash';
 
+import classNames from 'classnames';
+
 import { FormContext, FormRenderContext } from '../context';
 
 import {
   useCondition,
+  useDisabled,
   useReadonly,
   useService
 } from '../hooks';
@@ -32,6 +35,7 @@ export function FormField(props) {
     initialData,
     data,
     errors,
+    pending = {},
     properties
   } = form._getState();
 
@@ -55,29 +59,29 @@ export function FormField(props) {
 
   const readonly = useReadonly(field, properties);
 
-  const value = get(data, valuePath);
-
   // add precedence: global readonly > form field disabled
-  const disabled = !properties.readOnly && (
-    properties.disabled || field.disabled || false
-  );
+  const disabled = useDisabled(field, properties);
+
+  const value = get(data, valuePath);
 
   const onBlur = useCallback(() => {
-    if (viewerCommands) {
+    form._setTouched(field, indexes);
+
+    if (viewerCommands && form._isValidationTriggered('blur', field, indexes)) {
       viewerCommands.updateFieldValidation(field, value, indexes);
     }
     eventBus.fire('formField.blur', { formField: field });
-  }, [ eventBus, viewerCommands, field, value, indexes ]);
+  }, [ eventBus, form, viewerCommands, field, value, indexes ]);
 
   const onFocus = useCallback(() => {
     eventBus.fire('formField.focus', { formField: field });
   }, [ eventBus, field ]);
 
   useEffect(() => {
-    if (viewerCommands && initialValue) {
+    if (viewerCommands && initialValue && form._isValidationTriggered('change', field, indexes)) {
       viewerCommands.updateFieldValidation(field, initialValue, indexes);
     }
-  }, [ viewerCommands, field, initialValue, indexes ]);
+  }, [ viewerCommands, form, field, initialValue, indexes ]);
 
   const hidden = useCondition(field.conditional && field.conditional.hide || null);
 
@@ -91,13 +95,19 @@ export function FormField(props) {
     return <Hidden field={ field } />;
   }
 
+  // hidden computed fields are computed by the form and take no space in the layout
+  if (FormFieldComponent.config.computed && field.hidden) {
+    return null;
+  }
+
   const domId = `${prefixId(field.id, formId, indexes)}`;
   const fieldErrors = get(errors, [ field.id, ...Object.values(indexes || {}) ]) || [];
+  const fieldPending = !!get(pending, [ field.id, ...Object.values(indexes || {}) ]);
   const errorMessageId = errors.length === 0 ? undefined : `${domId}-error-message`;
 
   return (
     <Column field={ field } class={ gridColumnClasses(field) }>
-      <Element class="fjs-element" field={ field }>
+      <Element class={ classNames('fjs-element', { 'fjs-element-pending': fieldPending }) } field={ field }>
         <FormFieldComponent
           { ...props }
           disabled={ disabled }
@@ -1,12 +1,14 @@
 import classNames from 'classnames';
 
-import { useSingleLineTemplateEvaluation } from '../hooks';
+import { useFieldTranslation, useSingleLineTemplateEvaluation } from '../hooks';
 
 
 /**
  * @typedef Props
  * @property {string} [id]
+ * @property {string} [labelId] - the id of the label element itself, e.g. to refer to it via `aria-labelledby`
  * @property {string|undefined} label
+ * @property {any} [field] - the form field to translate the label for
  * @property {string} [class]
  * @property {boolean} [collapseOnEmpty]
  * @property {boolean} [required]
@@ -18,15 +20,19 @@ import { useSingleLineTemplateEvaluation } from '../hooks';
 export function Label(props) {
   const {
     id,
+    labelId,
+    field,
     label,
     collapseOnEmpty = true,
     required = false
   } = props;
 
-  const evaluatedLabel = useSingleLineTemplateEvaluation(label || '', { debug: true });
+  const translatedLabel = useFieldTranslation(field, 'label', label);
+
+  const evaluatedLabel = useSingleLineTemplateEvaluation(translatedLabel || '', { debug: true });
 
   return (
-    <label for={ id } class={ classNames('fjs-form-field-label', { 'fjs-incollapsible-label': !collapseOnEmpty }, props['class']) }>
+    <label id={ labelId } for={ id } class={ classNames('fjs-form-field-label', { 'fjs-incollapsible-label': !collapseOnEmpty }, props['class']) }>
       { props.children }
       { evaluatedLabel }
       {
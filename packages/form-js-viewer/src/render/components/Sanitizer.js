@@ -48,7 +48,10 @@ const ALLOWED_IMAGE_SRC_PATTERN = /^(https?|data):.*/i; // eslint-disable-line n
 const ALLOWED_IFRAME_SRC_PATTERN = /^(https):\/\/*/i; // eslint-disable-line no-useless-escape
 const ATTR_WHITESPACE_PATTERN = /[\u0000-\u0020\u00A0\u1680\u180E\u2000-\u2029\u205F\u3000]/g; // eslint-disable-line no-control-regex
 
-const FORM_ELEMENT = document.createElement('form');
+/**
+ * @type {HTMLFormElement}
+ */
+let FORM_ELEMENT;
 
 /**
  * Sanitize a HTML string and return the cleaned, safe version.
@@ -188,7 +191,7 @@ function isValidAttribute(lcTag, lcName, value) {
   }
 
   // disallow "DOM clobbering" / polution of document and wrapping form elements
-  if ((lcName === 'id' || lcName === 'name') && (value in document || value in FORM_ELEMENT)) {
+  if ((lcName === 'id' || lcName === 'name') && (value in document || value in getFormElement())) {
     return false;
   }
 
@@ -202,4 +205,18 @@ function isValidAttribute(lcTag, lcName, value) {
   }
 
   return true;
-}
\ No newline at end of file
+}
+
+/**
+ * Lazily create the form element to check attributes against,
+ * so that this module may be imported without a DOM.
+ *
+ * @returns {HTMLFormElement}
+ */
+function getFormElement() {
+  if (!FORM_ELEMENT) {
+    FORM_ELEMENT = document.createElement('form');
+  }
+
+  return FORM_ELEMENT;
+}
@@ -0,0 +1,221 @@
+import { useEffect, useMemo, useRef, useState } from 'preact/hooks';
+import isEqual from 'lodash/isEqual';
+
+import { useService, useRequired } from '../../hooks';
+import { useFlushDebounce } from '../../hooks/useFlushDebounce';
+
+import { Description } from '../Description';
+import { Errors } from '../Errors';
+import { Label } from '../Label';
+
+import {
+  getAddressLayout,
+  getAddressPartLabel,
+  getAddressParts,
+  getCountryOptions,
+  sanitizeAddressValue
+} from '../util/addressUtil';
+import { formFieldClasses } from '../Util';
+import { addressConfig } from './configs';
+
+const type = 'address';
+
+/**
+ * A composite field, writing street, number, ZIP code, city and country
+ * as a single object to its key. Parts are arranged as addresses are
+ * written in the region of the current locale.
+ */
+export function Address(props) {
+  const {
+    disabled,
+    errors = [],
+    errorMessageId,
+    domId,
+    onBlur,
+    onFocus,
+    field,
+    readonly,
+    value
+  } = props;
+
+  const {
+    countries,
+    description,
+    label,
+    validate = {}
+  } = field;
+
+  const { requiredParts = [] } = validate;
+  const required = useRequired(field);
+
+  const translator = useService('translator', false);
+  const locale = translator && translator.getLocale();
+
+  const groupRef = useRef();
+
+  const labelId = `${ domId }-label`;
+
+  const layout = useMemo(() => getAddressLayout(getAddressParts(field), locale), [ field, locale ]);
+
+  const countryOptions = useMemo(() => getCountryOptions(locale, countries), [ locale, countries ]);
+
+  // keep the parts entered so far, as changes are debounced
+  const [ address, setAddress ] = useState(value || {});
+  const addressRef = useRef(address);
+
+  useEffect(() => {
+    if (!isEqual(sanitizeAddressValue({ formField: field, value: addressRef.current }), value || null)) {
+      addressRef.current = value || {};
+      setAddress(addressRef.current);
+    }
+  }, [ field, value ]);
+
+  const [ onAddressChange, flushOnChange ] = useFlushDebounce((address) => {
+    props.onChange({
+      field,
+      value: sanitizeAddressValue({ formField: field, value: address })
+    });
+  });
+
+  const onPartChange = (part, partValue) => {
+    addressRef.current = {
+      ...addressRef.current,
+      [ part ]: partValue
+    };
+
+    setAddress(addressRef.current);
+    onAddressChange(addressRef.current);
+  };
+
+  const onPartBlur = (event) => {
+    if (event.relatedTarget && groupRef.current.contains(event.relatedTarget)) {
+      return;
+    }
+
+    flushOnChange && flushOnChange();
+    onBlur && onBlur();
+  };
+
+  const onPartFocus = (event) => {
+    if (event.relatedTarget && groupRef.current.contains(event.relatedTarget)) {
+      return;
+    }
+
+    onFocus && onFocus();
+  };
+
+  return <div
+    class={ formFieldClasses(type, { errors, disabled, readonly }) }
+    role="group"
+    aria-labelledby={ labelId }
+    ref={ groupRef }>
+    <Label
+      labelId={ labelId }
+      field={ field }
+      label={ label }
+      required={ required } />
+    <div class="fjs-address">
+      {
+        layout.map(row => (
+          <div key={ row.join('-') } class="fjs-address-row">
+            {
+              row.map(part => (
+                <AddressPart
+                  key={ part }
+                  countryOptions={ countryOptions }
+                  disabled={ disabled }
+                  domId={ `${ domId }-${ part }` }
+                  errorMessageId={ errorMessageId }
+                  field={ field }
+                  onBlur={ onPartBlur }
+                  onChange={ onPartChange }
+                  onFocus={ onPartFocus }
+                  part={ part }
+                  readonly={ readonly }
+                  required={ requiredParts.includes(part) }
+                  value={ address[ part ] } />
+              ))
+            }
+          </div>
+        ))
+      }
+    </div>
+    <Description field={ field } description={ description } />
+    <Errors errors={ errors } id={ errorMessageId } />
+  </div>;
+}
+
+Address.config = addressConfig;
+
+
+// helpers //////////
+
+function AddressPart(props) {
+  const {
+    countryOptions,
+    disabled,
+    domId,
+    errorMessageId,
+    field,
+    onBlur,
+    onChange,
+    onFocus,
+    part,
+    readonly,
+    required,
+    value = ''
+  } = props;
+
+  const translator = useService('translator', false);
+
+  const defaultLabel = getAddressPartLabel(field, part);
+
+  const label = translator ? translator.translateField(field, [ 'partLabels', part ], defaultLabel) : defaultLabel;
+
+  const inputProps = {
+    class: part === 'country' ? 'fjs-select' : 'fjs-input',
+    disabled,
+    id: domId,
+    onBlur,
+    onFocus,
+    value,
+    'aria-describedby': errorMessageId
+  };
+
+  return <div class={ `fjs-address-part fjs-address-${ part }` }>
+    <label class="fjs-form-field-label" for={ domId }>
+      { label }
+      { required && <span class="fjs-asterix">*</span> }
+    </label>
+    {
+      part === 'country' ? (
+        <select
+          { ...inputProps }
+          disabled={ disabled || readonly }
+          autoComplete="country"
+          onChange={ (event) => onChange(part, event.currentTarget.value) }>
+          <option value="" />
+          {
+            countryOptions.map(({ value, label }) => (
+              <option key={ value } value={ value }>{ label }</option>
+            ))
+          }
+        </select>
+      ) : (
+        <input
+          { ...inputProps }
+          type="text"
+          readOnly={ readonly }
+          autoComplete={ AUTOCOMPLETE[ part ] }
+          onInput={ (event) => onChange(part, event.currentTarget.value) } />
+      )
+    }
+  </div>;
+}
+
+const AUTOCOMPLETE = {
+  street: 'address-line1',
+  number: 'off',
+  zip: 'postal-code',
+  city: 'address-level2'
+};
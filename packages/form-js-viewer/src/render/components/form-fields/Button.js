@@ -1,4 +1,8 @@
+import classNames from 'classnames';
+
+import { useFieldTranslation, useService } from '../../hooks';
 import { formFieldClasses } from '../Util';
+import { buttonConfig } from './configs';
 
 const type = 'button';
 
@@ -12,25 +16,25 @@ export function Button(props) {
 
   const { action = 'submit' } = field;
 
+  const label = useFieldTranslation(field, 'label', field.label);
+
+  const form = useService('form', false);
+
+  const { submitting } = form ? form._getState() : { submitting: false };
+
+  const isSubmitting = !!submitting && action === 'submit';
+
   return <div class={ formFieldClasses(type) }>
     <button
-      class="fjs-button"
+      class={ classNames('fjs-button', { 'fjs-button-submitting': isSubmitting }) }
       type={ action }
-      disabled={ disabled }
+      disabled={ disabled || !!submitting }
+      aria-busy={ isSubmitting }
       onFocus={ () => onFocus && onFocus() }
       onBlur={ () => onBlur && onBlur() }>
-      { field.label }
+      { label }
     </button>
   </div>;
 }
 
-Button.config = {
-  type,
-  keyed: false,
-  label: 'Button',
-  group: 'action',
-  create: (options = {}) => ({
-    action: 'submit',
-    ...options
-  })
-};
+Button.config = buttonConfig;
@@ -1,3 +1,5 @@
+import { useRequired } from '../../hooks/useRequired';
+
 import { Description } from '../Description';
 import { Errors } from '../Errors';
 import { Label } from '../Label';
@@ -7,6 +9,7 @@ import {
 } from '../Util';
 
 import classNames from 'classnames';
+import { checkboxConfig } from './configs';
 
 const type = 'checkbox';
 
@@ -25,11 +28,10 @@ export function Checkbox(props) {
 
   const {
     description,
-    label,
-    validate = {}
+    label
   } = field;
 
-  const { required } = validate;
+  const required = useRequired(field);
 
   const onChange = ({ target }) => {
     props.onChange({
@@ -41,6 +43,7 @@ export function Checkbox(props) {
   return <div class={ classNames(formFieldClasses(type, { errors, disabled, readonly }), { 'fjs-checked': value }) }>
     <Label
       id={ domId }
+      field={ field }
       label={ label }
       required={ required }>
       <input
@@ -55,19 +58,9 @@ export function Checkbox(props) {
         onFocus={ () => onFocus && onFocus() }
         aria-describedby={ errorMessageId } />
     </Label>
-    <Description description={ description } />
+    <Description field={ field } description={ description } />
     <Errors errors={ errors } id={ errorMessageId } />
   </div>;
 }
 
-Checkbox.config = {
-  type,
-  keyed: true,
-  label: 'Checkbox',
-  group: 'selection',
-  emptyValue: false,
-  sanitizeValue: ({ value }) => value === true,
-  create: (options = {}) => ({
-    ...options
-  })
-};
+Checkbox.config = checkboxConfig;
@@ -1,6 +1,7 @@
 import { useRef } from 'preact/hooks';
 import { useOptionsAsync, LOAD_STATES } from '../../hooks/useOptionsAsync';
 import { useCleanupMultiSelectValue } from '../../hooks/useCleanupMultiSelectValue';
+import { useRequired } from '../../hooks/useRequired';
 import classNames from 'classnames';
 import isEqual from 'lodash/isEqual';
 
@@ -8,13 +9,12 @@ import { Description } from '../Description';
 import { Errors } from '../Errors';
 import { Label } from '../Label';
 
-import { sanitizeMultiSelectValue, hasEqualValue } from '../util/sanitizerUtil';
-
-import { createEmptyOptions } from '../util/optionsUtil';
+import { hasEqualValue } from '../util/sanitizerUtil';
 
 import {
   formFieldClasses
 } from '../Util';
+import { checklistConfig } from './configs';
 
 const type = 'checklist';
 
@@ -34,13 +34,12 @@ export function Checklist(props) {
 
   const {
     description,
-    label,
-    validate = {}
+    label
   } = field;
 
   const outerDivRef = useRef();
 
-  const { required } = validate;
+  const required = useRequired(field);
 
   const toggleCheckbox = (toggledValue) => {
 
@@ -87,6 +86,7 @@ export function Checklist(props) {
 
   return <div class={ classNames(formFieldClasses(type, { errors, disabled, readonly })) } ref={ outerDivRef }>
     <Label
+      field={ field }
       label={ label }
       required={ required } />
     {
@@ -118,17 +118,9 @@ export function Checklist(props) {
         );
       })
     }
-    <Description description={ description } />
+    <Description field={ field } description={ description } />
     <Errors errors={ errors } id={ errorMessageId } />
   </div>;
 }
 
-Checklist.config = {
-  type,
-  keyed: true,
-  label: 'Checkbox group',
-  group: 'selection',
-  emptyValue: [],
-  sanitizeValue: sanitizeMultiSelectValue,
-  create: createEmptyOptions
-};
+Checklist.config = checklistConfig;
@@ -0,0 +1,304 @@
+import classNames from 'classnames';
+import { useContext, useEffect, useMemo, useRef } from 'preact/hooks';
+
+import { LocalExpressionContext } from '../../context';
+import { useFieldTranslation, useService, useSingleLineTemplateEvaluation, useTranslation } from '../../hooks';
+import { buildExpressionContext } from '../../../util/simple';
+
+import { FormField } from '../FormField';
+import { Label } from '../Label';
+
+import AddIcon from './icons/Add.svg';
+import ArrowDownIcon from './icons/ArrowDown.svg';
+import ArrowUpIcon from './icons/ArrowUp.svg';
+import DeleteIcon from './icons/Delete.svg';
+
+import { getNavigationTarget, moveItem } from '../util/dataGridUtil';
+import { formFieldClasses } from '../Util';
+import { dataGridConfig } from './configs';
+
+const type = 'datagrid';
+
+/**
+ * An editable grid, rendering its child fields as columns and
+ * the items of the array bound to its path as rows.
+ */
+export function DataGrid(props) {
+  const {
+    disabled,
+    domId,
+    field,
+    indexes,
+    onChange,
+    readonly,
+    value
+  } = props;
+
+  const {
+    allowAddRemove,
+    components = [],
+    label
+  } = field;
+
+  const form = useService('form');
+
+  const translate = useTranslation();
+
+  const gridRef = useRef();
+
+  // the element to focus once rows got added, removed or moved
+  const focusRef = useRef(null);
+
+  const rows = Array.isArray(value) ? value : [];
+
+  const isInteractive = !disabled && !readonly;
+
+  const labelId = `${ domId }-label`;
+
+  useEffect(() => {
+    const focusTarget = focusRef.current;
+
+    if (!focusTarget) {
+      return;
+    }
+
+    focusRef.current = null;
+
+    const { row, action } = focusTarget;
+
+    const rowNode = gridRef.current.querySelector(`[data-row-index="${ row }"]`);
+
+    // fall back to the add button once the last row got removed
+    const element = rowNode ? (
+      action && rowNode.querySelector(`.fjs-datagrid-${ action }:not(:disabled)`) ||
+      getFocusableElement(rowNode)
+    ) : gridRef.current.querySelector('.fjs-datagrid-add');
+
+    element && element.focus();
+  });
+
+  const updateRows = (updatedRows) => {
+    onChange({
+      field,
+      value: updatedRows,
+      indexes
+    });
+  };
+
+  const onAddRow = () => {
+    const newRow = form._getInitializedFieldData(form._getState().data, {
+      container: field,
+      indexes: { ...indexes, [ field.id ]: rows.length }
+    });
+
+    focusRef.current = { row: rows.length };
+
+    updateRows([ ...rows, newRow ]);
+  };
+
+  const onRemoveRow = (index) => {
+    const updatedRows = rows.slice();
+
+    updatedRows.splice(index, 1);
+
+    focusRef.current = { row: Math.min(index, updatedRows.length - 1) };
+
+    updateRows(updatedRows);
+  };
+
+  const onMoveRow = (index, offset) => {
+    const targetIndex = index + offset;
+
+    focusRef.current = {
+      row: targetIndex,
+      action: offset < 0 ? 'move-up' : 'move-down'
+    };
+
+    updateRows(moveItem(rows, index, targetIndex));
+  };
+
+  const onKeyDown = (event) => {
+    const cellNode = event.target.closest('.fjs-datagrid-cell');
+
+    if (!cellNode) {
+      return;
+    }
+
+    const navigationTarget = getNavigationTarget(event, {
+      row: Number(cellNode.closest('.fjs-datagrid-row').dataset.rowIndex),
+      column: Number(cellNode.dataset.columnIndex)
+    });
+
+    if (!navigationTarget) {
+      return;
+    }
+
+    const targetCellNode = gridRef.current.querySelector(
+      `[data-row-index="${ navigationTarget.row }"] [data-column-index="${ navigationTarget.column }"]`
+    );
+
+    const element = targetCellNode && getFocusableElement(targetCellNode);
+
+    if (element) {
+      event.preventDefault();
+      element.focus();
+    }
+  };
+
+  const hasColumns = components.length > 0;
+
+  return <div
+    class={ classNames(formFieldClasses(type, { disabled, readonly }), 'fjs-form-field-grouplike') }
+    role="group"
+    aria-labelledby={ labelId }
+    ref={ gridRef }>
+    <Label
+      id={ domId }
+      labelId={ labelId }
+      field={ field }
+      label={ label } />
+    <div class="fjs-datagrid-container">
+      <table class="fjs-datagrid-table" aria-labelledby={ labelId } onKeyDown={ onKeyDown }>
+        <thead class="fjs-datagrid-head">
+          <tr>
+            { components.map(column => <DataGridColumnHeader key={ column.id } column={ column } />) }
+            <th class="fjs-datagrid-th fjs-datagrid-actions-th" scope="col">
+              <span class="fjs-datagrid-actions-label">{ translate('datagrid.actions', {}, 'Actions') }</span>
+            </th>
+          </tr>
+        </thead>
+        <tbody class="fjs-datagrid-body">
+          {
+            rows.length ? rows.map((row, index) => (
+              <DataGridRow
+                key={ index }
+                allowAddRemove={ allowAddRemove }
+                columns={ components }
+                field={ field }
+                index={ index }
+                indexes={ indexes }
+                isInteractive={ isInteractive }
+                onChange={ onChange }
+                onMoveRow={ onMoveRow }
+                onRemoveRow={ onRemoveRow }
+                rowCount={ rows.length }
+                value={ row } />
+            )) : (
+              <tr class="fjs-datagrid-empty">
+                <td colSpan={ components.length + 1 }>Nothing to show.</td>
+              </tr>
+            )
+          }
+        </tbody>
+      </table>
+    </div>
+    {
+      allowAddRemove && hasColumns ? <div class="fjs-datagrid-footer">
+        <button type="button" class="fjs-datagrid-add" disabled={ !isInteractive } onClick={ onAddRow }>
+          <AddIcon /> { translate('datagrid.addRow', {}, 'Add row') }
+        </button>
+      </div> : null
+    }
+  </div>;
+}
+
+DataGrid.config = dataGridConfig;
+
+
+// helpers //////////
+
+function DataGridColumnHeader(props) {
+  const { column } = props;
+
+  const { validate = {} } = column;
+
+  const translatedLabel = useFieldTranslation(column, 'label', column.label);
+
+  const evaluatedLabel = useSingleLineTemplateEvaluation(translatedLabel || '', { debug: true });
+
+  return <th class="fjs-datagrid-th" scope="col">
+    { evaluatedLabel }
+    { validate.required && <span class="fjs-asterix" aria-hidden="true">*</span> }
+  </th>;
+}
+
+function DataGridRow(props) {
+  const {
+    allowAddRemove,
+    columns,
+    field,
+    index,
+    indexes,
+    isInteractive,
+    onChange,
+    onMoveRow,
+    onRemoveRow,
+    rowCount,
+    value
+  } = props;
+
+  const translate = useTranslation();
+
+  const parentExpressionContextInfo = useContext(LocalExpressionContext);
+
+  const rowIndexes = useMemo(() => ({
+    ...(indexes || {}),
+    [ field.id ]: index
+  }), [ field.id, index, indexes ]);
+
+  const localExpressionContextInfo = useMemo(() => ({
+    data: parentExpressionContextInfo.data,
+    this: value,
+    parent: buildExpressionContext(parentExpressionContextInfo),
+    i: [ ...parentExpressionContextInfo.i, index + 1 ]
+  }), [ index, parentExpressionContextInfo, value ]);
+
+  const rowNumber = index + 1;
+
+  return <tr class="fjs-datagrid-row" data-row-index={ index }>
+    <LocalExpressionContext.Provider value={ localExpressionContextInfo }>
+      {
+        columns.map((column, columnIndex) => (
+          <td key={ column.id } class="fjs-datagrid-cell" data-column-index={ columnIndex }>
+            <FormField
+              field={ column }
+              indexes={ rowIndexes }
+              onChange={ onChange } />
+          </td>
+        ))
+      }
+    </LocalExpressionContext.Provider>
+    <td class="fjs-datagrid-actions">
+      <button
+        type="button"
+        class="fjs-datagrid-move-up"
+        disabled={ !isInteractive || index === 0 }
+        aria-label={ translate('datagrid.moveRowUp', { index: rowNumber }, 'Move row {index} up') }
+        onClick={ () => onMoveRow(index, -1) }>
+        <ArrowUpIcon />
+      </button>
+      <button
+        type="button"
+        class="fjs-datagrid-move-down"
+        disabled={ !isInteractive || index === rowCount - 1 }
+        aria-label={ translate('datagrid.moveRowDown', { index: rowNumber }, 'Move row {index} down') }
+        onClick={ () => onMoveRow(index, 1) }>
+        <ArrowDownIcon />
+      </button>
+      {
+        allowAddRemove ? <button
+          type="button"
+          class="fjs-datagrid-remove"
+          disabled={ !isInteractive }
+          aria-label={ translate('datagrid.removeRow', { index: rowNumber }, 'Remove row {index}') }
+          onClick={ () => onRemoveRow(index) }>
+          <DeleteIcon />
+        </button> : null
+      }
+    </td>
+  </tr>;
+}
+
+function getFocusableElement(node) {
+  return node.querySelector('input:not(:disabled), select:not(:disabled), textarea:not(:disabled), button:not(:disabled), [tabindex]:not([tabindex="-1"])');
+}
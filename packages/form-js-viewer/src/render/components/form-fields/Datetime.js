@@ -2,11 +2,10 @@ import { useCallback, useContext, useMemo, useState, useEffect, useRef } from 'p
 
 import classNames from 'classnames';
 
-import { set } from 'min-dash';
-
 import { FormContext } from '../../context';
+import { useFieldTranslation, useRequired } from '../../hooks';
 
-import { DATETIME_SUBTYPES, DATETIME_SUBTYPE_PATH, DATE_LABEL_PATH } from '../../../util/constants/DatetimeConstants';
+import { DATETIME_SUBTYPES } from '../../../util/constants/DatetimeConstants';
 
 import { Description } from '../Description';
 import { Errors } from '../Errors';
@@ -14,8 +13,8 @@ import { Datepicker } from './parts/Datepicker';
 import { Timepicker } from './parts/Timepicker';
 
 import { formFieldClasses, prefixId } from '../Util';
-import { sanitizeDateTimePickerValue } from '../util/sanitizerUtil';
 import { parseIsoTime, serializeDate, serializeDateTime, serializeTime } from '../util/dateTimeUtil';
+import { datetimeConfig } from './configs';
 
 const type = 'datetime';
 
@@ -37,7 +36,6 @@ export function Datetime(props) {
     id,
     dateLabel,
     timeLabel,
-    validate = {},
     subtype,
     use24h,
     disallowPassedDates,
@@ -45,8 +43,10 @@ export function Datetime(props) {
     timeSerializingFormat
   } = field;
 
-  const { required } = validate;
+  const required = useRequired(field);
   const { formId } = useContext(FormContext);
+  const translatedDateLabel = useFieldTranslation(field, 'dateLabel', dateLabel);
+  const translatedTimeLabel = useFieldTranslation(field, 'timeLabel', timeLabel);
   const dateTimeGroupRef = useRef();
 
   const getNullDateTime = () => ({ date: new Date(Date.parse(null)), time: null });
@@ -152,7 +152,7 @@ export function Datetime(props) {
   const errorMessageId = allErrors.length === 0 ? undefined : `${prefixId(id, formId)}-error-message`;
 
   const datePickerProps = {
-    label: dateLabel,
+    label: translatedDateLabel,
     collapseLabelOnEmpty: !timeLabel,
     onDateTimeBlur,
     onDateTimeFocus,
@@ -167,7 +167,7 @@ export function Datetime(props) {
   };
 
   const timePickerProps = {
-    label: timeLabel,
+    label: translatedTimeLabel,
     collapseLabelOnEmpty: !dateLabel,
     onDateTimeBlur,
     onDateTimeFocus,
@@ -188,23 +188,9 @@ export function Datetime(props) {
       { useTimePicker && useDatePicker && <div class="fjs-datetime-separator" /> }
       { useTimePicker && <Timepicker { ...timePickerProps } /> }
     </div>
-    <Description description={ description } />
+    <Description field={ field } description={ description } />
     <Errors errors={ allErrors } id={ errorMessageId } />
   </div>;
 }
 
-Datetime.config = {
-  type,
-  keyed: true,
-  label: 'Date time',
-  group: 'basic-input',
-  emptyValue: null,
-  sanitizeValue: sanitizeDateTimePickerValue,
-  create: (options = {}) => {
-    const defaults = {};
-    set(defaults, DATETIME_SUBTYPE_PATH, DATETIME_SUBTYPES.DATE);
-    set(defaults, DATE_LABEL_PATH, 'Date');
-
-    return { ...defaults, ...options };
-  }
-};
+Datetime.config = datetimeConfig;
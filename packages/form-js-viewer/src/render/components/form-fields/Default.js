@@ -1,6 +1,7 @@
 import { useContext } from 'preact/hooks';
 import { FormRenderContext } from '../../context';
 import { ChildrenRenderer } from './parts/ChildrenRenderer';
+import { defaultConfig } from './configs';
 
 export function Default(props) {
 
@@ -13,13 +14,4 @@ export function Default(props) {
   return <ChildrenRenderer { ...fullProps } />;
 }
 
-Default.config = {
-  type: 'default',
-  keyed: false,
-  label: null,
-  group: null,
-  create: (options = {}) => ({
-    components: [],
-    ...options
-  })
-};
+Default.config = defaultConfig;
@@ -5,6 +5,7 @@ import classNames from 'classnames';
 
 import { Label } from '../Label';
 import { ChildrenRenderer } from './parts/ChildrenRenderer';
+import { dynamicListConfig } from './configs';
 
 export function DynamicList(props) {
 
@@ -33,24 +34,11 @@ export function DynamicList(props) {
     >
       <Label
         id={ domId }
+        field={ field }
         label={ label } />
       <ChildrenRenderer { ...fullProps } />
     </div>
   );
 }
 
-DynamicList.config = {
-  type: 'dynamiclist',
-  pathed: true,
-  repeatable: true,
-  label: 'Dynamic list',
-  group: 'container',
-  create: (options = {}) => ({
-    components: [],
-    showOutline: true,
-    isRepeating: true,
-    allowAddRemove: true,
-    defaultRepetitions: 1,
-    ...options
-  })
-};
+DynamicList.config = dynamicListConfig;
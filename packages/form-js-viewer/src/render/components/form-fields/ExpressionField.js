@@ -0,0 +1,48 @@
+import { isNil, isObject } from 'min-dash';
+
+import { formFieldClasses } from '../Util';
+
+import { Label } from '../Label';
+
+import { expressionFieldConfig } from './configs';
+
+const type = 'expression';
+
+export function ExpressionField(props) {
+  const {
+    disabled,
+    domId,
+    field,
+    value
+  } = props;
+
+  const { label } = field;
+
+  // computed by the form, values are never edited by users
+  return <div class={ formFieldClasses(type, { disabled, readonly: true }) }>
+    <Label
+      id={ domId }
+      field={ field }
+      label={ label } />
+    <input
+      class="fjs-input"
+      disabled={ disabled }
+      id={ domId }
+      readOnly
+      type="text"
+      value={ formatComputedValue(value) } />
+  </div>;
+}
+
+ExpressionField.config = expressionFieldConfig;
+
+
+// helpers //////////
+
+function formatComputedValue(value) {
+  if (isNil(value)) {
+    return '';
+  }
+
+  return isObject(value) || Array.isArray(value) ? JSON.stringify(value) : String(value);
+}
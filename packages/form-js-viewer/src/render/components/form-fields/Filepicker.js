@@ -0,0 +1,250 @@
+import { isNumber } from 'min-dash';
+
+import { useEffect, useRef, useState } from 'preact/hooks';
+
+import { useService, useRequired, useTranslation } from '../../hooks';
+
+import XMarkIcon from './icons/XMark.svg';
+import { Description } from '../Description';
+import { Errors } from '../Errors';
+import { Label } from '../Label';
+
+import classNames from 'classnames';
+import { formatFileSize, getFileKey } from '../util/filepickerUtil';
+import { formFieldClasses } from '../Util';
+import { filepickerConfig } from './configs';
+
+const type = 'filepicker';
+
+export function Filepicker(props) {
+  const {
+    disabled,
+    errors = [],
+    errorMessageId,
+    domId,
+    onBlur,
+    onFocus,
+    field,
+    readonly,
+    value
+  } = props;
+
+  const {
+    accept,
+    description,
+    label,
+    multiple = false
+  } = field;
+
+  const required = useRequired(field);
+
+  const fileUploader = useService('fileUploader', false);
+  const validator = useService('validator', false);
+
+  const translate = useTranslation();
+
+  const [ uploads, setUploads ] = useState([]);
+  const [ isDragOver, setIsDragOver ] = useState(false);
+
+  const focusScopeRef = useRef();
+  const inputRef = useRef();
+  const uploadIdRef = useRef(0);
+
+  const files = value || [];
+
+  // uploads may complete before the form re-rendered, so we keep track of the latest files
+  const filesRef = useRef(files);
+
+  useEffect(() => {
+    filesRef.current = value || [];
+  }, [ value ]);
+
+  const isInteractive = !disabled && !readonly;
+
+  const setFiles = (files) => {
+    filesRef.current = files;
+
+    props.onChange({ field, value: files });
+  };
+
+  const updateUpload = (id, changes) => {
+    setUploads(uploads => uploads.map(upload => upload.id === id ? { ...upload, ...changes } : upload));
+  };
+
+  const dismissUpload = (id) => {
+    setUploads(uploads => uploads.filter(upload => upload.id !== id));
+  };
+
+  const removeFile = (file) => {
+    setFiles(filesRef.current.filter(f => f !== file));
+
+    fileUploader && fileUploader.remove(file, field).catch(() => {});
+  };
+
+  const uploadFile = (file) => {
+    const id = uploadIdRef.current++;
+
+    const fileErrors = fileUploader
+      ? validator ? validator.validateFile(field, file) : []
+      : [ translate('filepicker.uploadUnavailable', {}, 'File upload is not available.') ];
+
+    setUploads(uploads => [ ...uploads, { id, name: file.name, progress: 0, errors: fileErrors } ]);
+
+    if (fileErrors.length) {
+      return;
+    }
+
+    fileUploader.upload(file, field, (progress) => updateUpload(id, { progress })).then(
+      (uploadedFile) => {
+        dismissUpload(id);
+
+        if (multiple) {
+          return setFiles([ ...filesRef.current, uploadedFile ]);
+        }
+
+        const replacedFiles = filesRef.current;
+
+        setFiles([ uploadedFile ]);
+
+        replacedFiles.forEach(file => fileUploader.remove(file, field).catch(() => {}));
+      },
+      () => updateUpload(id, { errors: [ translate('filepicker.uploadFailed', { name: file.name }, 'File {name} could not be uploaded.') ] })
+    );
+  };
+
+  const addFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+
+    (multiple ? files : files.slice(0, 1)).forEach(uploadFile);
+  };
+
+  const onInputChange = ({ target }) => {
+    addFiles(target.files);
+
+    // allow to pick the same file again
+    target.value = '';
+  };
+
+  const onDragOver = (event) => {
+    event.preventDefault();
+
+    if (isInteractive) {
+      setIsDragOver(true);
+    }
+  };
+
+  const onDragLeave = () => {
+    setIsDragOver(false);
+  };
+
+  const onDrop = (event) => {
+    event.preventDefault();
+
+    setIsDragOver(false);
+
+    if (isInteractive) {
+      addFiles(event.dataTransfer.files);
+    }
+  };
+
+  const onElementBlur = (e) => {
+    if (focusScopeRef.current.contains(e.relatedTarget)) return;
+    onBlur && onBlur();
+  };
+
+  const onElementFocus = (e) => {
+    if (focusScopeRef.current.contains(e.relatedTarget)) return;
+    onFocus && onFocus();
+  };
+
+  return <div
+    ref={ focusScopeRef }
+    class={ formFieldClasses(type, { errors, disabled, readonly }) }>
+    <Label
+      id={ domId }
+      field={ field }
+      label={ label }
+      required={ required } />
+    <div
+      class={ classNames('fjs-filepicker', {
+        'fjs-filepicker-dragover': isDragOver,
+        'fjs-disabled': disabled,
+        'fjs-readonly': readonly
+      }) }
+      onDragOver={ onDragOver }
+      onDragLeave={ onDragLeave }
+      onDrop={ onDrop }>
+      <input
+        class="fjs-filepicker-input"
+        type="file"
+        id={ domId }
+        ref={ inputRef }
+        tabIndex={ -1 }
+        accept={ accept }
+        multiple={ multiple }
+        disabled={ !isInteractive }
+        onChange={ onInputChange } />
+      { isInteractive && <div class="fjs-filepicker-dropzone">
+        <span>{ multiple
+          ? translate('filepicker.dropFiles', {}, 'Drop files here or')
+          : translate('filepicker.dropFile', {}, 'Drop a file here or') }</span>
+        <button
+          type="button"
+          class="fjs-filepicker-browse"
+          onFocus={ onElementFocus }
+          onBlur={ onElementBlur }
+          onClick={ () => inputRef.current.click() }
+          aria-describedby={ errorMessageId }>
+          { translate('filepicker.browse', {}, 'browse') }
+        </button>
+      </div> }
+      { (!!files.length || !!uploads.length) && <ul class="fjs-filepicker-files">
+        {
+          files.map((file) => {
+            return <li key={ getFileKey(file) } class="fjs-filepicker-file">
+              <span class="fjs-filepicker-file-name">{ file.name }</span>
+              { isNumber(file.size) && <span class="fjs-filepicker-file-size">{ formatFileSize(file.size) }</span> }
+              { isInteractive && <button
+                type="button"
+                title={ translate('filepicker.remove', { name: file.name }, 'Remove {name}') }
+                class="fjs-filepicker-file-remove"
+                onFocus={ onElementFocus }
+                onBlur={ onElementBlur }
+                onClick={ () => removeFile(file) }>
+                <XMarkIcon />
+              </button> }
+            </li>;
+          })
+        }
+        {
+          uploads.map((upload) => {
+            const hasErrors = !!upload.errors.length;
+
+            return <li key={ upload.id } class={ classNames('fjs-filepicker-file', 'fjs-filepicker-upload', { 'fjs-has-errors': hasErrors }) }>
+              <span class="fjs-filepicker-file-name">{ upload.name }</span>
+              { !hasErrors && <progress
+                class="fjs-filepicker-progress"
+                max="1"
+                value={ upload.progress }
+                aria-label={ translate('filepicker.uploading', { name: upload.name }, 'Uploading {name}') } /> }
+              { hasErrors && <span class="fjs-filepicker-upload-errors" role="alert">{ upload.errors.join(' ') }</span> }
+              { hasErrors && <button
+                type="button"
+                title={ translate('filepicker.dismiss', {}, 'Dismiss') }
+                class="fjs-filepicker-file-remove"
+                onFocus={ onElementFocus }
+                onBlur={ onElementBlur }
+                onClick={ () => dismissUpload(upload.id) }>
+                <XMarkIcon />
+              </button> }
+            </li>;
+          })
+        }
+      </ul> }
+    </div>
+    <Description field={ field } description={ description } />
+    <Errors errors={ errors } id={ errorMessageId } />
+  </div>;
+}
+
+Filepicker.config = filepickerConfig;
@@ -4,6 +4,7 @@ import { FormRenderContext } from '../../context';
 import { formFieldClasses } from '../Util';
 import { Label } from '../Label';
 import { ChildrenRenderer } from './parts/ChildrenRenderer';
+import { groupConfig } from './configs';
 
 export function Group(props) {
 
@@ -17,20 +18,11 @@ export function Group(props) {
     <div className={ classNames(formFieldClasses(type), 'fjs-form-field-grouplike' , { 'fjs-outlined' : showOutline }) } role="group" aria-labelledby={ domId }>
       <Label
         id={ domId }
+        field={ field }
         label={ label } />
       <ChildrenRenderer { ...fullProps } />
     </div>
   );
 }
 
-Group.config = {
-  type: 'group',
-  pathed: true,
-  label: 'Group',
-  group: 'container',
-  create: (options = {}) => ({
-    components: [],
-    showOutline: true,
-    ...options
-  })
-};
+Group.config = groupConfig;
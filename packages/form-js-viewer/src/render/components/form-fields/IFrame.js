@@ -2,7 +2,7 @@ import { useContext, useMemo } from 'preact/hooks';
 
 import { FormContext } from '../../context';
 
-import { useSingleLineTemplateEvaluation } from '../../hooks';
+import { useFieldTranslation, useSingleLineTemplateEvaluation } from '../../hooks';
 import { sanitizeIFrameSource } from '../Sanitizer';
 
 import { Label } from '../Label';
@@ -11,6 +11,7 @@ import {
   formFieldClasses,
   prefixId
 } from '../Util';
+import { iFrameConfig } from './configs';
 
 const type = 'iframe';
 
@@ -35,7 +36,9 @@ export function IFrame(props) {
 
   const safeUrl = useMemo(() => sanitizeIFrameSource(evaluatedUrl), [ evaluatedUrl ]);
 
-  const evaluatedLabel = useSingleLineTemplateEvaluation(label, { debug: true });
+  const translatedLabel = useFieldTranslation(field, 'label', label);
+
+  const evaluatedLabel = useSingleLineTemplateEvaluation(translatedLabel, { debug: true });
 
   const { formId } = useContext(FormContext);
 
@@ -69,12 +72,4 @@ function IFramePlaceholder(props) {
   </div>;
 }
 
-IFrame.config = {
-  type,
-  keyed: false,
-  label: 'iFrame',
-  group: 'container',
-  create: (options = {}) => ({
-    ...options
-  })
-};
+IFrame.config = iFrameConfig;
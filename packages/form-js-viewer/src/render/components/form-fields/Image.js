@@ -11,6 +11,7 @@ import {
 } from '../Util';
 
 import ImagePlaceholder from './icons/ImagePlaceholder.svg';
+import { imageConfig } from './configs';
 
 const type = 'image';
 
@@ -53,12 +54,4 @@ export function Image(props) {
   </div>;
 }
 
-Image.config = {
-  type,
-  keyed: false,
-  label: 'Image view',
-  group: 'presentation',
-  create: (options = {}) => ({
-    ...options
-  })
-};
+Image.config = imageConfig;
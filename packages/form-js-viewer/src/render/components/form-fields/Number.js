@@ -15,11 +15,17 @@ import {
 } from '../Util';
 
 import {
+  formatNumberValue,
+  getDecimalSeparator,
+  getNumberIncrement,
   isNullEquivalentValue,
   isValidNumber,
   willKeyProduceValidNumber
 } from '../util/numberFieldUtil';
 
+import { useService, useRequired } from '../../hooks';
+import { numberfieldConfig } from './configs';
+
 const type = 'number';
 
 export function Numberfield(props) {
@@ -40,8 +46,8 @@ export function Numberfield(props) {
     description,
     label,
     appearance = {},
-    validate = {},
     decimalDigits,
+    numberFormat,
     serializeToString = false,
     increment: incrementValue
   } = field;
@@ -51,12 +57,17 @@ export function Numberfield(props) {
     suffixAdorner
   } = appearance;
 
-  const { required } = validate;
+  const required = useRequired(field);
 
   const inputRef = useRef();
 
+  const translator = useService('translator', false);
+  const locale = translator && translator.getLocale();
+
   const [ stringValueCache, setStringValueCache ] = useState('');
 
+  const [ focused, setFocused ] = useState(false);
+
   // checks whether the value currently in the form data is practically different from the one in the input field cache
   // this allows us to guarantee the field always displays valid form data, but without auto-simplifying values like 1.000 to 1
   const cacheValueMatchesState = useMemo(() => Numberfield.config.sanitizeValue({ value, formField: field }) === Numberfield.config.sanitizeValue({ value: stringValueCache, formField: field }), [ stringValueCache, value, field ]);
@@ -65,17 +76,19 @@ export function Numberfield(props) {
 
     if (value === 'NaN') return 'NaN';
     if (stringValueCache === '-') return '-';
-    return cacheValueMatchesState ? stringValueCache : ((value || value === 0) ? Big(value).toFixed() : '');
 
-  }, [ stringValueCache, value, cacheValueMatchesState ]);
+    // format for the locale unless editing
+    if (numberFormat && !focused && isValidNumber(value)) {
+      return formatNumberValue(value, field, locale);
+    }
+
+    const editValue = cacheValueMatchesState ? stringValueCache : ((value || value === 0) ? Big(value).toFixed() : '');
 
-  const arrowIncrementValue = useMemo(() => {
+    return numberFormat ? editValue.replace('.', getDecimalSeparator(locale)) : editValue;
 
-    if (incrementValue) return Big(incrementValue);
-    if (decimalDigits) return Big(`1e-${decimalDigits}`);
-    return Big('1');
+  }, [ stringValueCache, value, cacheValueMatchesState, numberFormat, focused, field, locale ]);
 
-  }, [ decimalDigits, incrementValue ]);
+  const arrowIncrementValue = useMemo(() => getNumberIncrement({ decimalDigits, increment: incrementValue }), [ decimalDigits, incrementValue ]);
 
 
   const setValue = useCallback((stringValue) => {
@@ -138,6 +151,16 @@ export function Numberfield(props) {
     }
   };
 
+  const onInputBlur = () => {
+    setFocused(false);
+    onBlur && onBlur();
+  };
+
+  const onInputFocus = () => {
+    setFocused(true);
+    onFocus && onFocus();
+  };
+
   const onKeyDown = (e) => {
 
     // delete the NaN state all at once on backspace or delete
@@ -175,9 +198,10 @@ export function Numberfield(props) {
   return <div class={ formFieldClasses(type, { errors, disabled, readonly }) }>
     <Label
       id={ domId }
+      field={ field }
       label={ label }
       required={ required } />
-    <TemplatedInputAdorner disabled={ disabled } readonly={ readonly } pre={ prefixAdorner } post={ suffixAdorner }>
+    <TemplatedInputAdorner field={ field } disabled={ disabled } readonly={ readonly } pre={ prefixAdorner } post={ suffixAdorner }>
       <div class={ classNames('fjs-vertical-group', { 'fjs-disabled': disabled, 'fjs-readonly': readonly }, { 'hasErrors': errors.length }) }>
         <input
           ref={ inputRef }
@@ -187,8 +211,8 @@ export function Numberfield(props) {
           id={ domId }
           onKeyDown={ onKeyDown }
           onKeyPress={ onKeyPress }
-          onBlur={ onBlur }
-          onFocus={ onFocus }
+          onBlur={ onInputBlur }
+          onFocus={ onInputFocus }
 
           // @ts-ignore
           onInput={ (e) => setValue(e.target.value) }
@@ -215,26 +239,9 @@ export function Numberfield(props) {
         </div>
       </div>
     </TemplatedInputAdorner>
-    <Description description={ description } />
+    <Description field={ field } description={ description } />
     <Errors errors={ errors } id={ errorMessageId } />
   </div>;
 }
 
-Numberfield.config = {
-  type,
-  keyed: true,
-  label: 'Number',
-  group: 'basic-input',
-  emptyValue: null,
-  sanitizeValue: ({ value, formField }) => {
-
-    // invalid value types are sanitized to null
-    if (isNullEquivalentValue(value) || !isValidNumber(value)) return null;
-
-    // otherwise, we return a string or a number depending on the form field configuration
-    return formField.serializeToString ? value.toString() : Number(value);
-  },
-  create: (options = {}) => ({
-    ...options
-  })
-};
\ No newline at end of file
+Numberfield.config = numberfieldConfig;
\ No newline at end of file
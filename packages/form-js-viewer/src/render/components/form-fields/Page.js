@@ -0,0 +1,87 @@
+import classNames from 'classnames';
+import { useContext } from 'preact/hooks';
+import { FormRenderContext } from '../../context';
+import { useCurrentPage, useFieldTranslation, useService, useSingleLineTemplateEvaluation, useTranslation } from '../../hooks';
+import { formFieldClasses } from '../Util';
+import { Label } from '../Label';
+import { ChildrenRenderer } from './parts/ChildrenRenderer';
+import { pageConfig } from './configs';
+
+const type = 'page';
+
+export function Page(props) {
+
+  const { field, domId } = props;
+  const { label, showOutline } = field;
+  const { Empty } = useContext(FormRenderContext);
+
+  const pageManager = useService('pageManager', false);
+
+  const translate = useTranslation();
+
+  // re-render on navigation
+  useCurrentPage();
+
+  const fullProps = { ...props, Empty };
+
+  // outside of a page aware context, e.g. the editor, render like a regular container
+  const pages = pageManager ? pageManager.getPages() : [];
+  const index = pages.findIndex(page => page.id === field.id);
+
+  return (
+    <div className={ classNames(formFieldClasses(type), 'fjs-form-field-grouplike', { 'fjs-outlined' : showOutline }) } role="group" aria-labelledby={ domId }>
+      {
+        pageManager ? <ol class="fjs-page-steps">
+          {
+            pages.map((page, pageIndex) => (
+              <PageStep
+                key={ page.id }
+                page={ page }
+                index={ pageIndex }
+                isCurrent={ pageIndex === index } />
+            ))
+          }
+        </ol> : null
+      }
+      <Label
+        id={ domId }
+        field={ field }
+        label={ label } />
+      <ChildrenRenderer { ...fullProps } />
+      {
+        pageManager ? <div class="fjs-page-navigation">
+          {
+            index > 0 ? <button class="fjs-button fjs-page-previous" type="button" onClick={ () => pageManager.previous() }>
+              { translate('page.previous', {}, 'Back') }
+            </button> : null
+          }
+          {
+            index < pages.length - 1 ? <button class="fjs-button fjs-page-next" type="button" onClick={ () => pageManager.next() }>
+              { translate('page.next', {}, 'Next') }
+            </button> : null
+          }
+        </div> : null
+      }
+    </div>
+  );
+}
+
+Page.config = pageConfig;
+
+function PageStep(props) {
+  const { page, index, isCurrent } = props;
+
+  const translatedLabel = useFieldTranslation(page, 'label', page.label);
+
+  const translate = useTranslation();
+
+  const label = useSingleLineTemplateEvaluation(translatedLabel || '', { debug: true });
+
+  return (
+    <li
+      class={ classNames('fjs-page-step', { 'fjs-page-step-current': isCurrent }) }
+      aria-current={ isCurrent ? 'step' : undefined }>
+      { label || translate('page.step', { index: index + 1 }, 'Step {index}') }
+    </li>
+  );
+}
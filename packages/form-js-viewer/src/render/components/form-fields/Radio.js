@@ -2,19 +2,17 @@ import { useRef } from 'preact/hooks';
 import isEqual from 'lodash/isEqual';
 import { useOptionsAsync, LOAD_STATES } from '../../hooks/useOptionsAsync';
 import { useCleanupSingleSelectValue } from '../../hooks/useCleanupSingleSelectValue';
+import { useRequired } from '../../hooks/useRequired';
 import classNames from 'classnames';
 
 import { Description } from '../Description';
 import { Errors } from '../Errors';
 import { Label } from '../Label';
 
-import { sanitizeSingleSelectValue } from '../util/sanitizerUtil';
-
-import { createEmptyOptions } from '../util/optionsUtil';
-
 import {
   formFieldClasses
 } from '../Util';
+import { radioConfig } from './configs';
 
 const type = 'radio';
 
@@ -34,13 +32,12 @@ export function Radio(props) {
 
   const {
     description,
-    label,
-    validate = {}
+    label
   } = field;
 
   const outerDivRef = useRef();
 
-  const { required } = validate;
+  const required = useRequired(field);
 
   const onChange = (v) => {
     props.onChange({
@@ -80,6 +77,7 @@ export function Radio(props) {
 
   return <div class={ formFieldClasses(type, { errors, disabled, readonly }) } ref={ outerDivRef }>
     <Label
+      field={ field }
       label={ label }
       required={ required } />
     {
@@ -110,17 +108,9 @@ export function Radio(props) {
         );
       })
     }
-    <Description description={ description } />
+    <Description field={ field } description={ description } />
     <Errors errors={ errors } id={ errorMessageId } />
   </div>;
 }
 
-Radio.config = {
-  type,
-  keyed: true,
-  label: 'Radio group',
-  group: 'selection',
-  emptyValue: null,
-  sanitizeValue: sanitizeSingleSelectValue,
-  create: createEmptyOptions
-};
+Radio.config = radioConfig;
@@ -0,0 +1,107 @@
+import classNames from 'classnames';
+import { useMemo } from 'preact/hooks';
+
+import { useExpressionEvaluation, useRequired } from '../../hooks';
+
+import { Description } from '../Description';
+import { Errors } from '../Errors';
+import { Label } from '../Label';
+
+import { getNumberIncrement, isValidNumber } from '../util/numberFieldUtil';
+import { getRangeBounds } from '../util/rangeUtil';
+import { formFieldClasses } from '../Util';
+import { rangeConfig } from './configs';
+
+const type = 'range';
+
+export function Range(props) {
+  const {
+    disabled,
+    errors = [],
+    errorMessageId,
+    domId,
+    onBlur,
+    onFocus,
+    field,
+    readonly,
+    value
+  } = props;
+
+  const {
+    description,
+    label,
+    validate = {},
+    decimalDigits,
+    increment
+  } = field;
+
+  const required = useRequired(field);
+
+  const evaluatedMin = useExpressionEvaluation(validate.min);
+  const evaluatedMax = useExpressionEvaluation(validate.max);
+
+  const { min, max } = useMemo(() => getRangeBounds({ min: evaluatedMin, max: evaluatedMax }), [ evaluatedMin, evaluatedMax ]);
+
+  const step = useMemo(() => getNumberIncrement({ decimalDigits, increment }), [ decimalDigits, increment ]);
+
+  const hasValue = isValidNumber(value);
+
+  // an empty range is shown at its lower bound
+  const displayValue = hasValue ? String(value) : min.toFixed();
+
+  const onInput = ({ target }) => {
+    if (readonly) {
+      target.value = displayValue;
+      return;
+    }
+
+    props.onChange({
+      field,
+      value: Number(target.value)
+    });
+  };
+
+  // prevent keyboard interaction, native sliders do not support read-only
+  const onKeyDown = (event) => {
+    if (readonly && event.key !== 'Tab') {
+      event.preventDefault();
+    }
+  };
+
+  return <div class={ formFieldClasses(type, { errors, disabled, readonly }) }>
+    <Label
+      id={ domId }
+      field={ field }
+      label={ label }
+      required={ required } />
+    <div class={ classNames('fjs-range', { 'fjs-disabled': disabled, 'fjs-readonly': readonly, 'fjs-range-empty': !hasValue }) }>
+      <div class="fjs-range-group">
+        <input
+          class="fjs-range-input"
+          type="range"
+          id={ domId }
+          disabled={ disabled }
+          aria-readonly={ readonly ? 'true' : undefined }
+          min={ min.toFixed() }
+          max={ max.toFixed() }
+          step={ step.toFixed() }
+          value={ displayValue }
+          aria-valuetext={ hasValue ? undefined : 'No value' }
+          onInput={ onInput }
+          onKeyDown={ onKeyDown }
+          onBlur={ onBlur }
+          onFocus={ onFocus }
+          aria-describedby={ errorMessageId } />
+        <output class="fjs-range-value" for={ domId }>{ hasValue ? value : '-' }</output>
+      </div>
+      <div class="fjs-range-bounds" aria-hidden="true">
+        <span class="fjs-range-min">{ min.toFixed() }</span>
+        <span class="fjs-range-max">{ max.toFixed() }</span>
+      </div>
+    </div>
+    <Description field={ field } description={ description } />
+    <Errors errors={ errors } id={ errorMessageId } />
+  </div>;
+}
+
+Range.config = rangeConfig;
@@ -0,0 +1,153 @@
+import classNames from 'classnames';
+import { useRef, useState } from 'preact/hooks';
+
+import { useExpressionEvaluation, useRequired } from '../../hooks';
+
+import { Description } from '../Description';
+import { Errors } from '../Errors';
+import { Label } from '../Label';
+
+import StarIcon from './icons/Star.svg';
+
+import { getRatingMax } from '../util/ratingUtil';
+import { formFieldClasses } from '../Util';
+import { ratingConfig } from './configs';
+
+const type = 'rating';
+
+export function Rating(props) {
+  const {
+    disabled,
+    errors = [],
+    errorMessageId,
+    domId,
+    onBlur,
+    onFocus,
+    field,
+    readonly,
+    value
+  } = props;
+
+  const {
+    description,
+    label,
+    validate = {}
+  } = field;
+
+  const required = useRequired(field);
+
+  const outerDivRef = useRef();
+
+  const [ hoveredRating, setHoveredRating ] = useState(null);
+
+  const evaluatedMax = useExpressionEvaluation(validate.max);
+
+  const max = getRatingMax(evaluatedMax);
+
+  const labelId = `${ domId }-label`;
+
+  const isInteractive = !disabled && !readonly;
+
+  const setValue = (rating) => {
+    if (!isInteractive) {
+      return;
+    }
+
+    props.onChange({
+      field,
+      value: rating
+    });
+  };
+
+  const onClick = (event, rating) => {
+
+    // prevent the native check, radios do not support read-only
+    if (!isInteractive) {
+      return event.preventDefault();
+    }
+
+    // clicking the current rating removes it
+    setValue(rating === value ? null : rating);
+  };
+
+  const onKeyDown = (event) => {
+    if (readonly && event.key !== 'Tab') {
+      return event.preventDefault();
+    }
+
+    if (event.key === 'Backspace' || event.key === 'Delete') {
+      event.preventDefault();
+
+      setValue(null);
+    }
+  };
+
+  const onStarBlur = (e) => {
+    if (outerDivRef.current.contains(e.relatedTarget)) {
+      return;
+    }
+
+    onBlur && onBlur();
+  };
+
+  const onStarFocus = (e) => {
+    if (outerDivRef.current.contains(e.relatedTarget)) {
+      return;
+    }
+
+    onFocus && onFocus();
+  };
+
+  const shownRating = isInteractive && hoveredRating || value || 0;
+
+  const stars = Array.from({ length: max }, (_, index) => index + 1);
+
+  return <div class={ formFieldClasses(type, { errors, disabled, readonly }) } ref={ outerDivRef }>
+    <Label
+      id={ `${ domId }-1` }
+      labelId={ labelId }
+      field={ field }
+      label={ label }
+      required={ required } />
+    <div class={ classNames('fjs-rating', { 'fjs-disabled': disabled, 'fjs-readonly': readonly }) }>
+      <div
+        class="fjs-rating-stars"
+        role="radiogroup"
+        aria-labelledby={ labelId }
+        aria-describedby={ errorMessageId }
+        onMouseLeave={ () => setHoveredRating(null) }>
+        {
+          stars.map(rating => {
+            const itemDomId = `${ domId }-${ rating }`;
+
+            return <label
+              key={ rating }
+              for={ itemDomId }
+              class={ classNames('fjs-rating-star', { 'fjs-rating-star-filled': rating <= shownRating }) }
+              onMouseEnter={ () => setHoveredRating(rating) }>
+              <input
+                class="fjs-rating-input"
+                type="radio"
+                id={ itemDomId }
+                name={ domId }
+                value={ rating }
+                checked={ rating === value }
+                disabled={ disabled }
+                aria-label={ `${ rating } of ${ max }` }
+                onClick={ (event) => onClick(event, rating) }
+                onKeyDown={ onKeyDown }
+                onBlur={ onStarBlur }
+                onFocus={ onStarFocus } />
+              <StarIcon />
+            </label>;
+          })
+        }
+      </div>
+      <span class="fjs-rating-value" aria-hidden="true">{ value ? `${ value } / ${ max }` : '' }</span>
+    </div>
+    <Description field={ field } description={ description } />
+    <Errors errors={ errors } id={ errorMessageId } />
+  </div>;
+}
+
+Rating.config = ratingConfig;
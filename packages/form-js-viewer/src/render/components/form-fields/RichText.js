@@ -0,0 +1,213 @@
+import { get } from 'min-dash';
+
+import { useLayoutEffect, useMemo, useRef, useState } from 'preact/hooks';
+
+import classNames from 'classnames';
+
+import { useService, useRequired, useTranslation } from '../../hooks';
+import { useFlushDebounce } from '../../hooks/useFlushDebounce';
+
+import { Description } from '../Description';
+import { Errors } from '../Errors';
+import { Label } from '../Label';
+
+import {
+  RICH_TEXT_FORMATS,
+  RICH_TEXT_FORMAT_PATH,
+  RICH_TEXT_TOOLBAR_ACTIONS,
+  RICH_TEXT_TOOLBAR_LABELS,
+  RICH_TEXT_TOOLBAR_PATH
+} from '../../../util/constants/RichTextConstants';
+import { htmlToRichText, richTextToHtml } from '../util/richTextUtil';
+import { formFieldClasses } from '../Util';
+import { richTextConfig } from './configs';
+
+const type = 'richtext';
+
+/**
+ * Editing commands, cf. `document.execCommand`, per toolbar action.
+ */
+const COMMANDS = {
+  [RICH_TEXT_TOOLBAR_ACTIONS.BOLD]: 'bold',
+  [RICH_TEXT_TOOLBAR_ACTIONS.ITALIC]: 'italic',
+  [RICH_TEXT_TOOLBAR_ACTIONS.BULLET_LIST]: 'insertUnorderedList',
+  [RICH_TEXT_TOOLBAR_ACTIONS.ORDERED_LIST]: 'insertOrderedList',
+  [RICH_TEXT_TOOLBAR_ACTIONS.LINK]: 'createLink'
+};
+
+/**
+ * Keyboard shortcuts browsers support in content editable elements.
+ */
+const SHORTCUTS = {
+  b: RICH_TEXT_TOOLBAR_ACTIONS.BOLD,
+  i: RICH_TEXT_TOOLBAR_ACTIONS.ITALIC,
+  u: null
+};
+
+export function RichText(props) {
+  const {
+    disabled,
+    errors = [],
+    errorMessageId,
+    domId,
+    onBlur,
+    onFocus,
+    field,
+    readonly,
+    value = ''
+  } = props;
+
+  const {
+    description,
+    label
+  } = field;
+
+  const required = useRequired(field);
+
+  const format = get(field, RICH_TEXT_FORMAT_PATH, RICH_TEXT_FORMATS.MARKDOWN);
+  const toolbar = get(field, RICH_TEXT_TOOLBAR_PATH, Object.values(RICH_TEXT_TOOLBAR_ACTIONS));
+
+  const markdownRenderer = useService('markdownRenderer');
+
+  const translate = useTranslation();
+
+  const [ activeActions, setActiveActions ] = useState([]);
+
+  const editorRef = useRef();
+
+  // the value we created, as opposed to values set from the outside, e.g. on import
+  const committedValueRef = useRef();
+
+  const isInteractive = !disabled && !readonly;
+
+  const labelId = `${ domId }-label`;
+
+  const html = useMemo(() => richTextToHtml(value, format, markdownRenderer), [ format, markdownRenderer, value ]);
+
+  // only replace the content if it changed from the outside, to keep the selection
+  useLayoutEffect(() => {
+    if (value === committedValueRef.current) {
+      return;
+    }
+
+    committedValueRef.current = value;
+
+    editorRef.current.innerHTML = html;
+  }, [ html, value ]);
+
+  const [ onInputChange, flushOnChange ] = useFlushDebounce(() => {
+    const value = htmlToRichText(editorRef.current.innerHTML, format, markdownRenderer);
+
+    committedValueRef.current = value;
+
+    props.onChange({ field, value });
+  });
+
+  const updateActiveActions = () => {
+    setActiveActions(toolbar.filter(action => {
+      return action !== RICH_TEXT_TOOLBAR_ACTIONS.LINK && document.queryCommandState(COMMANDS[ action ]);
+    }));
+  };
+
+  const runAction = (action) => {
+    editorRef.current.focus();
+
+    if (action === RICH_TEXT_TOOLBAR_ACTIONS.LINK) {
+      const href = window.prompt(translate('richtext.linkUrl', {}, 'Link URL'));
+
+      if (!href) {
+        return;
+      }
+
+      document.execCommand(COMMANDS[ action ], false, href);
+    } else {
+      document.execCommand(COMMANDS[ action ]);
+    }
+
+    updateActiveActions();
+    onInputChange();
+  };
+
+  const onKeyDown = (event) => {
+    if (!(event.ctrlKey || event.metaKey)) {
+      return;
+    }
+
+    const key = event.key.toLowerCase();
+
+    // prevent formatting not offered via the toolbar
+    if (key in SHORTCUTS && !toolbar.includes(SHORTCUTS[ key ])) {
+      event.preventDefault();
+    }
+  };
+
+  // paste plain text only, the toolbar defines the formatting available
+  const onPaste = (event) => {
+    event.preventDefault();
+
+    document.execCommand('insertText', false, event.clipboardData.getData('text/plain'));
+  };
+
+  const onEditorFocus = () => {
+
+    // create paragraphs rather than divs on enter
+    document.execCommand('defaultParagraphSeparator', false, 'p');
+
+    onFocus && onFocus();
+  };
+
+  const onEditorBlur = () => {
+    flushOnChange && flushOnChange();
+    onBlur && onBlur();
+  };
+
+  return <div class={ formFieldClasses(type, { errors, disabled, readonly }) }>
+    <Label
+      id={ domId }
+      labelId={ labelId }
+      field={ field }
+      label={ label }
+      required={ required } />
+    <div class={ classNames('fjs-richtext', { 'fjs-disabled': disabled, 'fjs-readonly': readonly }) }>
+      { isInteractive && toolbar.length > 0 && <div class="fjs-richtext-toolbar" role="toolbar" aria-label={ translate('richtext.toolbar', {}, 'Formatting') } aria-controls={ domId }>
+        {
+          toolbar.map(action => {
+            return <button
+              key={ action }
+              type="button"
+              class={ `fjs-richtext-action fjs-richtext-action-${ action }` }
+              aria-pressed={ action === RICH_TEXT_TOOLBAR_ACTIONS.LINK ? undefined : activeActions.includes(action) }
+              onMouseDown={ (event) => event.preventDefault() }
+              onClick={ () => runAction(action) }>
+              { translate(`richtext.${ action }`, {}, RICH_TEXT_TOOLBAR_LABELS[ action ]) }
+            </button>;
+          })
+        }
+      </div> }
+      <div
+        class="fjs-richtext-editor"
+        id={ domId }
+        ref={ editorRef }
+        role="textbox"
+        aria-multiline="true"
+        aria-labelledby={ labelId }
+        aria-describedby={ errorMessageId }
+        aria-required={ required ? 'true' : undefined }
+        aria-disabled={ disabled ? 'true' : undefined }
+        aria-readonly={ readonly ? 'true' : undefined }
+        contentEditable={ isInteractive }
+        tabIndex={ disabled ? undefined : 0 }
+        onInput={ onInputChange }
+        onKeyDown={ onKeyDown }
+        onKeyUp={ updateActiveActions }
+        onMouseUp={ updateActiveActions }
+        onPaste={ onPaste }
+        onFocus={ onEditorFocus }
+        onBlur={ onEditorBlur } />
+    </div>
+    <Description field={ field } description={ description } />
+    <Errors errors={ errors } id={ errorMessageId } />
+  </div>;
+}
+
+RichText.config = richTextConfig;
@@ -1,12 +1,13 @@
+import { useRequired } from '../../hooks/useRequired';
+
 import { Description } from '../Description';
 import { Errors } from '../Errors';
 import { Label } from '../Label';
 import { SearchableSelect } from './parts/SearchableSelect';
 import { SimpleSelect } from './parts/SimpleSelect';
 
-import { sanitizeSingleSelectValue } from '../util/sanitizerUtil';
-import { createEmptyOptions } from '../util/optionsUtil';
 import { formFieldClasses } from '../Util';
+import { selectConfig } from './configs';
 
 const type = 'select';
 
@@ -27,11 +28,10 @@ export function Select(props) {
   const {
     description,
     label,
-    searchable = false,
-    validate = {}
+    searchable = false
   } = field;
 
-  const { required } = validate;
+  const required = useRequired(field);
 
   const selectProps = {
     domId,
@@ -59,20 +59,13 @@ export function Select(props) {
   >
     <Label
       id={ domId }
+      field={ field }
       label={ label }
       required={ required } />
     { searchable ? <SearchableSelect { ...selectProps } /> : <SimpleSelect { ...selectProps } /> }
-    <Description description={ description } />
+    <Description field={ field } description={ description } />
     <Errors errors={ errors } id={ errorMessageId } />
   </div>;
 }
 
-Select.config = {
-  type,
-  keyed: true,
-  label: 'Select',
-  group: 'selection',
-  emptyValue: null,
-  sanitizeValue: sanitizeSingleSelectValue,
-  create: createEmptyOptions
-};
+Select.config = selectConfig;
@@ -1,4 +1,5 @@
 import { formFieldClasses } from '../Util';
+import { separatorConfig } from './configs';
 
 const type = 'separator';
 
@@ -11,12 +12,4 @@ export function Separator() {
   );
 }
 
-Separator.config = {
-  type,
-  keyed: false,
-  label: 'Separator',
-  group: 'presentation',
-  create: (options = {}) => ({
-    ...options
-  })
-};
+Separator.config = separatorConfig;
@@ -0,0 +1,283 @@
+import { get } from 'min-dash';
+
+import { useEffect, useLayoutEffect, useRef, useState } from 'preact/hooks';
+
+import classNames from 'classnames';
+
+import { useRequired } from '../../hooks/useRequired';
+import { useTranslation } from '../../hooks/useTranslation';
+
+import { Description } from '../Description';
+import { Errors } from '../Errors';
+import { Label } from '../Label';
+
+import { SIGNATURE_FORMATS, SIGNATURE_FORMAT_PATH } from '../../../util/constants/SignatureConstants';
+import {
+  SIGNATURE_HEIGHT,
+  SIGNATURE_WIDTH,
+  drawStroke,
+  strokesToDataUrl,
+  textToDataUrl
+} from '../util/signatureUtil';
+import { formFieldClasses } from '../Util';
+import { signatureConfig } from './configs';
+
+const type = 'signature';
+
+const MODES = {
+  DRAW: 'draw',
+  TYPE: 'type'
+};
+
+export function Signature(props) {
+  const {
+    disabled,
+    errors = [],
+    errorMessageId,
+    domId,
+    onBlur,
+    onFocus,
+    field,
+    readonly,
+    value
+  } = props;
+
+  const {
+    description,
+    label
+  } = field;
+
+  const required = useRequired(field);
+
+  const translate = useTranslation();
+
+  const format = get(field, SIGNATURE_FORMAT_PATH, SIGNATURE_FORMATS.PNG);
+
+  const [ mode, setMode ] = useState(MODES.DRAW);
+  const [ strokes, setStrokes ] = useState([]);
+  const [ typedName, setTypedName ] = useState('');
+
+  const focusScopeRef = useRef();
+  const canvasRef = useRef();
+  const strokeRef = useRef(null);
+
+  // the value we created, as opposed to values set from the outside, e.g. on import
+  const committedValueRef = useRef(value);
+
+  const isInteractive = !disabled && !readonly;
+
+  useEffect(() => {
+    if (value !== committedValueRef.current) {
+      committedValueRef.current = value;
+
+      setStrokes([]);
+      setTypedName('');
+    }
+  }, [ value ]);
+
+  // redraw the strokes, or the value if it was not drawn here
+  useLayoutEffect(() => {
+    const canvas = canvasRef.current;
+
+    if (!canvas) {
+      return;
+    }
+
+    const context = canvas.getContext('2d');
+
+    context.clearRect(0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+
+    if (strokes.length) {
+      return strokes.forEach(stroke => drawStroke(context, stroke));
+    }
+
+    if (value) {
+      const image = new Image();
+
+      image.onload = () => context.drawImage(image, 0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+      image.src = value;
+    }
+  }, [ mode, strokes, value ]);
+
+  const commit = (value) => {
+    committedValueRef.current = value;
+
+    props.onChange({ field, value });
+  };
+
+  const commitStrokes = (strokes) => {
+    setStrokes(strokes);
+    setTypedName('');
+
+    commit(strokes.length ? strokesToDataUrl(strokes, format) : null);
+  };
+
+  const getPoint = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+
+    return [
+      Math.round((event.clientX - rect.left) * SIGNATURE_WIDTH / (rect.width || SIGNATURE_WIDTH)),
+      Math.round((event.clientY - rect.top) * SIGNATURE_HEIGHT / (rect.height || SIGNATURE_HEIGHT))
+    ];
+  };
+
+  const onPointerDown = (event) => {
+    if (!isInteractive || event.button > 0) {
+      return;
+    }
+
+    event.preventDefault();
+
+    const canvas = canvasRef.current;
+
+    canvas.setPointerCapture && canvas.setPointerCapture(event.pointerId);
+
+    // a new drawing replaces a signature which was not drawn here
+    if (!strokes.length) {
+      canvas.getContext('2d').clearRect(0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+    }
+
+    strokeRef.current = [ getPoint(event) ];
+
+    onFocus && onFocus();
+  };
+
+  const onPointerMove = (event) => {
+    const stroke = strokeRef.current;
+
+    if (!stroke) {
+      return;
+    }
+
+    stroke.push(getPoint(event));
+
+    drawStroke(canvasRef.current.getContext('2d'), stroke.slice(-2));
+  };
+
+  const onPointerUp = () => {
+    const stroke = strokeRef.current;
+
+    if (!stroke) {
+      return;
+    }
+
+    strokeRef.current = null;
+
+    commitStrokes([ ...strokes, stroke ]);
+
+    onBlur && onBlur();
+  };
+
+  const onUndo = () => {
+    commitStrokes(strokes.slice(0, -1));
+  };
+
+  const onClear = () => {
+    setStrokes([]);
+    setTypedName('');
+
+    commit(null);
+  };
+
+  const onTypedNameInput = ({ target }) => {
+    const name = target.value;
+
+    setStrokes([]);
+    setTypedName(name);
+
+    commit(name.trim() ? textToDataUrl(name.trim(), format) : null);
+  };
+
+  const onElementBlur = (e) => {
+    if (focusScopeRef.current.contains(e.relatedTarget)) return;
+    onBlur && onBlur();
+  };
+
+  const onElementFocus = (e) => {
+    if (focusScopeRef.current.contains(e.relatedTarget)) return;
+    onFocus && onFocus();
+  };
+
+  const focusHandlers = {
+    onFocus: onElementFocus,
+    onBlur: onElementBlur
+  };
+
+  return <div
+    ref={ focusScopeRef }
+    class={ formFieldClasses(type, { errors, disabled, readonly }) }>
+    <Label
+      id={ domId }
+      field={ field }
+      label={ label }
+      required={ required } />
+    <div class={ classNames('fjs-signature', { 'fjs-disabled': disabled, 'fjs-readonly': readonly }) }>
+      { isInteractive && <div class="fjs-signature-modes" role="group" aria-label={ translate('signature.mode', {}, 'Signature mode') }>
+        <button
+          type="button"
+          class="fjs-signature-mode"
+          aria-pressed={ mode === MODES.DRAW }
+          onClick={ () => setMode(MODES.DRAW) }
+          { ...focusHandlers }>
+          { translate('signature.draw', {}, 'Draw') }
+        </button>
+        <button
+          type="button"
+          class="fjs-signature-mode"
+          aria-pressed={ mode === MODES.TYPE }
+          onClick={ () => setMode(MODES.TYPE) }
+          { ...focusHandlers }>
+          { translate('signature.type', {}, 'Type') }
+        </button>
+      </div> }
+      { isInteractive && mode === MODES.DRAW && <canvas
+        class="fjs-signature-pad"
+        id={ domId }
+        ref={ canvasRef }
+        role="img"
+        aria-label={ translate('signature.pad', {}, 'Signature pad, draw your signature or switch to type mode') }
+        width={ SIGNATURE_WIDTH }
+        height={ SIGNATURE_HEIGHT }
+        onPointerDown={ onPointerDown }
+        onPointerMove={ onPointerMove }
+        onPointerUp={ onPointerUp }
+        onPointerCancel={ onPointerUp } /> }
+      { isInteractive && mode === MODES.TYPE && <input
+        class="fjs-input fjs-signature-input"
+        id={ domId }
+        type="text"
+        autoComplete="off"
+        placeholder={ translate('signature.typeName', {}, 'Type your name') }
+        value={ typedName }
+        onInput={ onTypedNameInput }
+        aria-describedby={ errorMessageId }
+        { ...focusHandlers } /> }
+      { (!isInteractive || mode === MODES.TYPE) && <div class="fjs-signature-preview">
+        { value && <img class="fjs-signature-image" src={ value } alt={ translate('signature.image', {}, 'Signature') } /> }
+      </div> }
+      { isInteractive && <div class="fjs-signature-actions">
+        { mode === MODES.DRAW && <button
+          type="button"
+          class="fjs-signature-action"
+          disabled={ !strokes.length }
+          onClick={ onUndo }
+          { ...focusHandlers }>
+          { translate('signature.undo', {}, 'Undo') }
+        </button> }
+        <button
+          type="button"
+          class="fjs-signature-action"
+          disabled={ !value }
+          onClick={ onClear }
+          aria-describedby={ errorMessageId }
+          { ...focusHandlers }>
+          { translate('signature.clear', {}, 'Clear') }
+        </button>
+      </div> }
+    </div>
+    <Description field={ field } description={ description } />
+    <Errors errors={ errors } id={ errorMessageId } />
+  </div>;
+}
+
+Signature.config = signatureConfig;
@@ -1,4 +1,5 @@
 import { formFieldClasses } from '../Util';
+import { spacerConfig } from './configs';
 
 const type = 'spacer';
 
@@ -11,13 +12,4 @@ export function Spacer(props) {
   );
 }
 
-Spacer.config = {
-  type,
-  keyed: false,
-  label: 'Spacer',
-  group: 'presentation',
-  create: (options = {}) => ({
-    height: 60,
-    ...options
-  })
-};
+Spacer.config = spacerConfig;
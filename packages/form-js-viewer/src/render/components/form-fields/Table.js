@@ -1,7 +1,8 @@
-import { isDefined, isNumber, isObject, isString } from 'min-dash';
-import { useExpressionEvaluation } from '../../hooks';
+import { isNumber, isObject } from 'min-dash';
+import { LOAD_STATES, useExpressionEvaluation, useService, useTableData, useTranslation } from '../../hooks';
 import { useEffect, useState } from 'preact/hooks';
 import { formFieldClasses, prefixId } from '../Util';
+import { filterRows, formatCellValue, isColumn, toCSV } from '../util/tableUtil';
 import classNames from 'classnames';
 
 import { Label } from '../Label';
@@ -9,6 +10,7 @@ import ArrowDownIcon from './icons/ArrowDown.svg';
 import ArrowUpIcon from './icons/ArrowUp.svg';
 import CaretLeftIcon from './icons/CaretLeft.svg';
 import CaretRightIcon from './icons/CaretRight.svg';
+import { tableConfig } from './configs';
 
 const type = 'table';
 
@@ -22,6 +24,9 @@ const type = 'table';
  * @typedef Column
  * @property {string} label
  * @property {string} key
+ * @property {('date'|'number'|'currency'|'boolean')} [format]
+ * @property {string} [currency] - ISO 4217 currency code used by the `currency` format
+ * @property {boolean} [filterable]
  *
  * @typedef Props
  * @property {Object} field
@@ -31,6 +36,11 @@ const type = 'table';
  * @property {string} [field.label]
  * @property {number} [field.rowCount]
  * @property {string} [field.dataSource]
+ * @property {Object} [field.dataProvider]
+ * @property {string} [field.dataProvider.name]
+ * @property {string} [field.dataProvider.parameters]
+ * @property {boolean} [field.searchable]
+ * @property {boolean} [field.downloadable]
  *
  * @param {Props} props
  * @returns {import("preact").JSX.Element}
@@ -40,39 +50,73 @@ export function Table(props) {
   const {
     columns = [],
     columnsExpression,
+    dataProvider,
     dataSource = '',
+    downloadable,
     rowCount,
     id,
     label,
+    searchable
   } = field;
 
+  const translator = useService('translator', false);
+  const locale = translator && translator.getLocale();
+
+  const translate = useTranslation();
+
   /** @type {[(null|Sorting), import("preact/hooks").StateUpdater<null|Sorting>]} */
   const [ sortBy, setSortBy ] = useState(null);
+  const [ filters, setFilters ] = useState({});
+  const [ search, setSearch ] = useState('');
   const evaluatedColumns = useEvaluatedColumns(
     columnsExpression || '',
     columns,
   );
-  const columnKeys = evaluatedColumns.map(({ key }) => key);
-  const evaluatedDataSource = useExpressionEvaluation(dataSource);
+  const hasFilters = evaluatedColumns.some(({ filterable }) => filterable);
+  const [ currentPage, setCurrentPage ] = useState(0);
+  const [ downloadError, setDownloadError ] = useState(false);
+
+  // rows are either paged by a registered data provider or evaluated from the data source
+  const isProviderSource = dataProvider !== undefined;
+  const tableData = useTableData(field, {
+    page: currentPage,
+    pageSize: isNumber(rowCount) ? rowCount : undefined,
+    sortBy,
+    filters,
+    search: searchable ? search : ''
+  });
+
+  const evaluatedDataSource = useExpressionEvaluation(isProviderSource ? '' : dataSource);
   const data = Array.isArray(evaluatedDataSource) ? evaluatedDataSource : [];
+  const filteredData = filterRows(data, evaluatedColumns, {
+    filters,
+    locale,
+    search: searchable ? search : ''
+  });
   const sortedData =
     sortBy === null
-      ? data
-      : sortByColumn(data, sortBy.key, sortBy.direction);
+      ? filteredData
+      : sortByColumn(filteredData, sortBy.key, sortBy.direction);
 
   /** @type {unknown[][]} */
   const chunkedData = isNumber(rowCount) ? chunk(sortedData, rowCount) : [ sortedData ];
-  const [ currentPage, setCurrentPage ] = useState(0);
-  const currentChunk = chunkedData[currentPage] || [];
+
+  const pageCount = isProviderSource
+    ? (isNumber(rowCount) ? Math.ceil(tableData.total / rowCount) : 1)
+    : chunkedData.length;
+  const currentChunk = (isProviderSource ? tableData.rows : chunkedData[currentPage]) || [];
+  const isLoading = isProviderSource && tableData.loadState === LOAD_STATES.LOADING;
+  const hasLoadError = isProviderSource && tableData.loadState === LOAD_STATES.ERROR;
 
 
   useEffect(() => {
     setCurrentPage(0);
-  }, [ rowCount, sortBy ]);
+  }, [ rowCount ]);
 
 
   /** @param {string} key */
   function toggleSortBy(key) {
+    setCurrentPage(0);
     setSortBy((current) => {
       if (current === null || current.key !== key) {
         return {
@@ -92,9 +136,76 @@ export function Table(props) {
     });
   }
 
+  /**
+   * @param {string} key
+   * @param {string} value
+   */
+  function setFilter(key, value) {
+    setCurrentPage(0);
+    setFilters((current) => ({
+      ...current,
+      [key]: value,
+    }));
+  }
+
+  /** @param {string} value */
+  function updateSearch(value) {
+    setCurrentPage(0);
+    setSearch(value);
+  }
+
+  /** @param {unknown[]} rows */
+  function saveCSV(rows) {
+    downloadFile(
+      toCSV(rows, evaluatedColumns, locale),
+      `${id}.csv`,
+      'text/csv;charset=utf-8',
+    );
+  }
+
+  function downloadCSV() {
+    setDownloadError(false);
+
+    if (!isProviderSource) {
+      return saveCSV(sortedData);
+    }
+
+    tableData.loadAll().then(saveCSV).catch(() => setDownloadError(true));
+  }
+
+  const hasToolbar = (searchable || downloadable) && evaluatedColumns.length > 0;
+
   return (
     <div class={ formFieldClasses(type) }>
-      <Label id={ prefixId(id) } label={ label } />
+      <Label id={ prefixId(id) } field={ field } label={ label } />
+      {hasToolbar ? (
+        <div class="fjs-table-toolbar">
+          {searchable ? (
+            <input
+              type="search"
+              class="fjs-input fjs-table-search"
+              placeholder={ translate('table.search', {}, 'Search') }
+              aria-label={ translate('table.searchTable', {}, 'Search table') }
+              value={ search }
+              onInput={ (event) => updateSearch(event.currentTarget.value) }
+            />
+          ) : null}
+          {downloadable ? (
+            <button
+              type="button"
+              class="fjs-table-download"
+              onClick={ downloadCSV }
+            >
+              { translate('table.download', {}, 'Download CSV') }
+            </button>
+          ) : null}
+          {downloadError ? (
+            <span class="fjs-table-download-error" role="alert">
+              { translate('table.downloadFailed', {}, 'Could not download data.') }
+            </span>
+          ) : null}
+        </div>
+      ) : null}
       <div
         class={ classNames('fjs-table-middle-container', {
           'fjs-table-empty': evaluatedColumns.length === 0,
@@ -104,7 +215,7 @@ export function Table(props) {
           'Nothing to show.'
         ) : (
           <div class="fjs-table-inner-container">
-            <table class="fjs-table" id={ prefixId(id) }>
+            <table class="fjs-table" id={ prefixId(id) } aria-busy={ isLoading }>
               <thead class="fjs-table-head">
                 <tr class="fjs-table-tr">
                   {evaluatedColumns.map(({ key, label }) => {
@@ -147,8 +258,48 @@ export function Table(props) {
                     );
                   })}
                 </tr>
+                {hasFilters ? (
+                  <tr class="fjs-table-tr fjs-table-filter-row">
+                    {evaluatedColumns.map(({ key, label, filterable }) => (
+                      <td key={ key } class="fjs-table-td fjs-table-filter-cell">
+                        {filterable ? (
+                          <input
+                            type="text"
+                            class="fjs-input fjs-table-filter"
+                            aria-label={ translate('table.filter', { label: label || key }, 'Filter by {label}') }
+                            value={ filters[key] || '' }
+                            onInput={ (event) => setFilter(key, event.currentTarget.value) }
+                          />
+                        ) : null}
+                      </td>
+                    ))}
+                  </tr>
+                ) : null}
               </thead>
-              {currentChunk.length === 0 ? (
+              {hasLoadError ? (
+                <tbody class="fjs-table-body">
+                  <tr class="fjs-table-tr fjs-table-error">
+                    <td class="fjs-table-td" colSpan={ evaluatedColumns.length }>
+                      <span role="alert">{ translate('table.loadFailed', {}, 'Could not load data.') }</span>
+                      <button
+                        type="button"
+                        class="fjs-table-retry"
+                        onClick={ tableData.reload }
+                      >
+                        { translate('table.retry', {}, 'Retry') }
+                      </button>
+                    </td>
+                  </tr>
+                </tbody>
+              ) : isLoading && currentChunk.length === 0 ? (
+                <tbody class="fjs-table-body">
+                  <tr class="fjs-table-tr fjs-table-loading">
+                    <td class="fjs-table-td" colSpan={ evaluatedColumns.length }>
+                      Loading...
+                    </td>
+                  </tr>
+                </tbody>
+              ) : currentChunk.length === 0 ? (
                 <tbody class="fjs-table-body">
                   <tr class="fjs-table-tr">
                     <td class="fjs-table-td" colSpan={ evaluatedColumns.length }>
@@ -157,12 +308,12 @@ export function Table(props) {
                   </tr>
                 </tbody>
               ) : (
-                <tbody class="fjs-table-body">
+                <tbody class={ classNames('fjs-table-body', { 'fjs-table-body-loading': isLoading }) }>
                   {currentChunk.map((row, index) => (
                     <tr key={ index } class="fjs-table-tr">
-                      {columnKeys.map((key) => (
-                        <td key={ key } class="fjs-table-td">
-                          {row[key]}
+                      {evaluatedColumns.map((column) => (
+                        <td key={ column.key } class="fjs-table-td">
+                          {formatCellValue(isObject(row) ? row[column.key] : null, column, locale)}
                         </td>
                       ))}
                     </tr>
@@ -173,11 +324,11 @@ export function Table(props) {
           </div>
         )}
 
-        {(isNumber(rowCount) && chunkedData.length > 1 && evaluatedColumns.length > 0) ?
+        {(isNumber(rowCount) && pageCount > 1 && evaluatedColumns.length > 0) ?
           (
             <nav class="fjs-table-nav">
               <span class="fjs-table-nav-label">
-                {currentPage + 1} of {chunkedData.length}
+                {currentPage + 1} of {pageCount}
               </span>
               <button
                 type="button"
@@ -195,10 +346,10 @@ export function Table(props) {
                 class="fjs-table-nav-button"
                 onClick={ () => {
                   setCurrentPage((page) =>
-                    Math.min(page + 1, chunkedData.length - 1),
+                    Math.min(page + 1, pageCount - 1),
                   );
                 } }
-                disabled={ currentPage >= chunkedData.length - 1 }
+                disabled={ currentPage >= pageCount - 1 }
                 aria-label="Next page"
               >
                 <CaretRightIcon />
@@ -210,65 +361,7 @@ export function Table(props) {
   );
 }
 
-Table.config = {
-  type,
-  keyed: false,
-  label: 'Table',
-  group: 'presentation',
-  create: (options = {}) => {
-    const {
-      id,
-      columnsExpression,
-      columns,
-      rowCount,
-      ...remainingOptions
-    } = options;
-
-    if (isDefined(id) && isNumber(rowCount)) {
-      remainingOptions['rowCount'] = rowCount;
-    }
-
-    if (isString(columnsExpression)) {
-      return {
-        ...remainingOptions,
-        id,
-        columnsExpression,
-      };
-    }
-
-    if (Array.isArray(columns) && columns.every(isColumn)) {
-      return {
-        ...remainingOptions,
-        id,
-        columns,
-      };
-    }
-
-    return {
-      ...remainingOptions,
-      rowCount: 10,
-      columns: [
-        {
-          label: 'ID',
-          key: 'id',
-        },
-        {
-          label: 'Name',
-          key: 'name',
-        },
-        {
-          label: 'Date',
-          key: 'date',
-        },
-      ],
-    };
-  },
-  initialDemoData: [
-    { id: 1, name: 'John Doe', date: '31.01.2023' },
-    { id: 2, name: 'Erika Muller', date: '20.02.2023' },
-    { id: 3, name: 'Dominic Leaf', date: '11.03.2023' }
-  ],
-};
+Table.config = tableConfig;
 
 // helpers /////////////////////////////
 
@@ -287,16 +380,6 @@ function useEvaluatedColumns(columnsExpression, fallbackColumns) {
     : fallbackColumns;
 }
 
-/**
- * @param {any} column
- * @returns {column is Column}
- */
-function isColumn(column) {
-  return (
-    isObject(column) && isString(column['label']) && isString(column['key'])
-  );
-}
-
 /**
  * @param {Array} array
  * @param {number} size
@@ -334,6 +417,26 @@ function sortByColumn(array, key, direction) {
   });
 }
 
+/**
+ * @param {string} content
+ * @param {string} fileName
+ * @param {string} mimeType
+ */
+function downloadFile(content, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([ content ], { type: mimeType }));
+
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = fileName;
+
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+}
+
 /**
  * @param {null|Sorting} sortBy
  * @param {string} key
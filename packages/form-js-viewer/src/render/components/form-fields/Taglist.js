@@ -6,7 +6,8 @@ import {
   useOptionsAsync,
   useCleanupMultiSelectValue,
   useGetLabelCorrelation,
-  LOAD_STATES
+  LOAD_STATES,
+  useRequired
 } from '../../hooks';
 
 import XMarkIcon from './icons/XMark.svg';
@@ -18,9 +19,9 @@ import { SkipLink } from './parts/SkipLink';
 
 import classNames from 'classnames';
 import isEqual from 'lodash/isEqual';
-import { sanitizeMultiSelectValue, hasEqualValue } from '../util/sanitizerUtil';
-import { createEmptyOptions } from '../util/optionsUtil';
+import { hasEqualValue } from '../util/sanitizerUtil';
 import { formFieldClasses } from '../Util';
+import { taglistConfig } from './configs';
 
 const type = 'taglist';
 
@@ -39,11 +40,10 @@ export function Taglist(props) {
 
   const {
     description,
-    label,
-    validate = {}
+    label
   } = field;
 
-  const { required } = validate;
+  const required = useRequired(field);
 
   const [ filter, setFilter ] = useState('');
   const [ isDropdownExpanded, setIsDropdownExpanded ] = useState(false);
@@ -55,7 +55,7 @@ export function Taglist(props) {
   const {
     loadState,
     options
-  } = useOptionsAsync(field);
+  } = useOptionsAsync(field, filter);
 
   // ensures we render based on array content instead of reference
   const values = useDeepCompareState(value || [], []);
@@ -190,6 +190,7 @@ export function Taglist(props) {
     }
   >
     <Label
+      field={ field }
       label={ label }
       required={ required }
       id={ domId } />
@@ -245,17 +246,9 @@ export function Taglist(props) {
         emptyListMessage={ hasOptionsLeft ? 'No results' : 'All values selected' }
         listenerElement={ inputRef.current } /> }
     </div>
-    <Description description={ description } />
+    <Description field={ field } description={ description } />
     <Errors errors={ errors } id={ errorMessageId } />
   </div>;
 }
 
-Taglist.config = {
-  type,
-  keyed: true,
-  label: 'Tag list',
-  group: 'selection',
-  emptyValue: [],
-  sanitizeValue: sanitizeMultiSelectValue,
-  create: createEmptyOptions
-};
+Taglist.config = taglistConfig;
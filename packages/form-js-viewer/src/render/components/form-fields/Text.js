@@ -6,6 +6,7 @@ import { sanitizeHTML } from '../Sanitizer';
 import {
   formFieldClasses
 } from '../Util';
+import { textConfig } from './configs';
 
 const type = 'text';
 
@@ -49,16 +50,7 @@ export function Text(props) {
   </div>;
 }
 
-Text.config = {
-  type,
-  keyed: false,
-  label: 'Text view',
-  group: 'presentation',
-  create: (options = {}) => ({
-    text: '# Text',
-    ...options
-  })
-};
+Text.config = textConfig;
 
 function BuildOverriddenTargetLink(target) {
   return function({ children, ...rest }) {
@@ -1,13 +1,13 @@
-import { isArray, isObject, isNil } from 'min-dash';
-
 import { useEffect, useLayoutEffect, useRef } from 'preact/hooks';
 import { useFlushDebounce } from '../../hooks/useFlushDebounce';
+import { useRequired } from '../../hooks/useRequired';
 
 import { formFieldClasses } from '../Util';
 
 import { Description } from '../Description';
 import { Errors } from '../Errors';
 import { Label } from '../Label';
+import { textareaConfig } from './configs';
 
 const type = 'textarea';
 
@@ -26,11 +26,10 @@ export function Textarea(props) {
 
   const {
     description,
-    label,
-    validate = {}
+    label
   } = field;
 
-  const { required } = validate;
+  const required = useRequired(field);
   const textareaRef = useRef();
 
   const [ onInputChange, flushOnChange ] = useFlushDebounce(({ target }) => {
@@ -60,6 +59,7 @@ export function Textarea(props) {
   return <div class={ formFieldClasses(type, { errors, disabled, readonly }) }>
     <Label
       id={ domId }
+      field={ field }
       label={ label }
       required={ required } />
     <textarea class="fjs-textarea"
@@ -72,20 +72,12 @@ export function Textarea(props) {
       value={ value }
       ref={ textareaRef }
       aria-describedby={ errorMessageId } />
-    <Description description={ description } />
+    <Description field={ field } description={ description } />
     <Errors errors={ errors } id={ errorMessageId } />
   </div>;
 }
 
-Textarea.config = {
-  type,
-  keyed: true,
-  label: 'Text area',
-  group: 'basic-input',
-  emptyValue: '',
-  sanitizeValue: ({ value }) => (isArray(value) || isObject(value) || isNil(value)) ? '' : String(value),
-  create: (options = {}) => ({ ...options })
-};
+Textarea.config = textareaConfig;
 
 const autoSizeTextarea = (textarea) => {
 
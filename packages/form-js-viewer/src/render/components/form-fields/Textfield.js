@@ -1,4 +1,3 @@
-import { isArray, isObject, isNil } from 'min-dash';
 import { formFieldClasses } from '../Util';
 
 import { Description } from '../Description';
@@ -7,6 +6,15 @@ import { Label } from '../Label';
 import { TemplatedInputAdorner } from './parts/TemplatedInputAdorner';
 
 import { useFlushDebounce } from '../../hooks/useFlushDebounce';
+import { useRequired } from '../../hooks/useRequired';
+
+import {
+  applyMask,
+  getMaskedCaretPosition,
+  getMaskPlaceholder,
+  unmask
+} from '../util/maskUtil';
+import { textfieldConfig } from './configs';
 
 const type = 'textfield';
 
@@ -26,24 +34,45 @@ export function Textfield(props) {
   const {
     description,
     label,
-    appearance = {},
-    validate = {}
+    appearance = {}
   } = field;
 
   const {
+    mask,
     prefixAdorner,
+    storeUnmasked,
     suffixAdorner
   } = appearance;
 
-  const { required } = validate;
+  const required = useRequired(field);
 
-  const [ onInputChange, flushOnChange ] = useFlushDebounce(({ target }) => {
+  const [ onInputChange, flushOnChange ] = useFlushDebounce((value) => {
     props.onChange({
       field,
-      value: target.value
+      value
     });
   });
 
+  const onInput = ({ target }) => {
+    if (!mask) {
+      onInputChange(target.value);
+      return;
+    }
+
+    const caret = getMaskedCaretPosition(mask, target.value, target.selectionStart);
+
+    const maskedValue = applyMask(mask, target.value);
+
+    // format while typing, keeping the caret behind the characters entered
+    target.value = maskedValue;
+
+    if (target === document.activeElement) {
+      target.setSelectionRange(caret, caret);
+    }
+
+    onInputChange(storeUnmasked ? unmask(mask, maskedValue) : maskedValue);
+  };
+
   const onInputBlur = () => {
     flushOnChange && flushOnChange();
     onBlur && onBlur();
@@ -56,43 +85,26 @@ export function Textfield(props) {
   return <div class={ formFieldClasses(type, { errors, disabled, readonly }) }>
     <Label
       id={ domId }
+      field={ field }
       label={ label }
       required={ required } />
-    <TemplatedInputAdorner disabled={ disabled } readonly={ readonly } pre={ prefixAdorner } post={ suffixAdorner }>
+    <TemplatedInputAdorner field={ field } disabled={ disabled } readonly={ readonly } pre={ prefixAdorner } post={ suffixAdorner }>
       <input
         class="fjs-input"
         disabled={ disabled }
         readOnly={ readonly }
         id={ domId }
-        onInput={ onInputChange }
+        onInput={ onInput }
         onBlur={ onInputBlur }
         onFocus={ onInputFocus }
         type="text"
-        value={ value }
+        placeholder={ mask ? getMaskPlaceholder(mask) : undefined }
+        value={ mask ? applyMask(mask, value) : value }
         aria-describedby={ errorMessageId } />
     </TemplatedInputAdorner>
-    <Description description={ description } />
+    <Description field={ field } description={ description } />
     <Errors errors={ errors } id={ errorMessageId } />
   </div>;
 }
 
-Textfield.config = {
-  type,
-  keyed: true,
-  label: 'Text field',
-  group: 'basic-input',
-  emptyValue: '',
-  sanitizeValue: ({ value }) => {
-    if (isArray(value) || isObject(value) || isNil(value)) {
-      return '';
-    }
-
-    // sanitize newlines to spaces
-    if (typeof value === 'string') {
-      return value.replace(/[\r\n\t]/g, ' ');
-    }
-
-    return String(value);
-  },
-  create: (options = {}) => ({ ...options })
-};
+Textfield.config = textfieldConfig;
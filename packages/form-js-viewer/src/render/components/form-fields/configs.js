@@ -0,0 +1,435 @@
+import { isArray, isDefined, isNil, isNumber, isObject, isString, set } from 'min-dash';
+
+import { DATETIME_SUBTYPES, DATETIME_SUBTYPE_PATH, DATE_LABEL_PATH } from '../../../util/constants/DatetimeConstants';
+
+import { sanitizeAddressValue } from '../util/addressUtil';
+import { sanitizeFilepickerValue } from '../util/filepickerUtil';
+import { isNullEquivalentValue, isValidNumber } from '../util/numberFieldUtil';
+import { createEmptyOptions } from '../util/optionsUtil';
+import { sanitizeRangeValue } from '../util/rangeUtil';
+import { sanitizeRatingValue } from '../util/ratingUtil';
+import { sanitizeRichTextValue } from '../util/richTextUtil';
+import { sanitizeDateTimePickerValue, sanitizeMultiSelectValue, sanitizeSingleSelectValue } from '../util/sanitizerUtil';
+import { sanitizeSignatureValue } from '../util/signatureUtil';
+import { isColumn } from '../util/tableUtil';
+
+/**
+ * The configurations of the built-in form fields, i.e. how they are created,
+ * whether they bind data and how their values are sanitized.
+ *
+ * Kept apart from the components rendering the form fields, so that they may be
+ * used without a DOM, cf. `HeadlessFormFields`.
+ */
+
+export const addressConfig = {
+  type: 'address',
+  keyed: true,
+  label: 'Address',
+  group: 'basic-input',
+  emptyValue: null,
+  sanitizeValue: sanitizeAddressValue,
+  create: (options = {}) => ({
+    parts: [ 'street', 'number', 'zip', 'city', 'country' ],
+    ...options
+  })
+};
+
+export const buttonConfig = {
+  type: 'button',
+  keyed: false,
+  label: 'Button',
+  group: 'action',
+  create: (options = {}) => ({
+    action: 'submit',
+    ...options
+  })
+};
+
+export const checkboxConfig = {
+  type: 'checkbox',
+  keyed: true,
+  label: 'Checkbox',
+  group: 'selection',
+  emptyValue: false,
+  sanitizeValue: ({ value }) => value === true,
+  create: (options = {}) => ({
+    ...options
+  })
+};
+
+export const checklistConfig = {
+  type: 'checklist',
+  keyed: true,
+  label: 'Checkbox group',
+  group: 'selection',
+  emptyValue: [],
+  sanitizeValue: sanitizeMultiSelectValue,
+  create: createEmptyOptions
+};
+
+export const dataGridConfig = {
+  type: 'datagrid',
+  pathed: true,
+  repeatable: true,
+  label: 'Data grid',
+  group: 'container',
+  create: (options = {}) => ({
+    components: [],
+    allowAddRemove: true,
+    defaultRepetitions: 1,
+    ...options,
+
+    // a data grid always repeats its rows
+    isRepeating: true
+  })
+};
+
+export const datetimeConfig = {
+  type: 'datetime',
+  keyed: true,
+  label: 'Date time',
+  group: 'basic-input',
+  emptyValue: null,
+  sanitizeValue: sanitizeDateTimePickerValue,
+  create: (options = {}) => {
+    const defaults = {};
+    set(defaults, DATETIME_SUBTYPE_PATH, DATETIME_SUBTYPES.DATE);
+    set(defaults, DATE_LABEL_PATH, 'Date');
+
+    return { ...defaults, ...options };
+  }
+};
+
+export const defaultConfig = {
+  type: 'default',
+  keyed: false,
+  label: null,
+  group: null,
+  create: (options = {}) => ({
+    components: [],
+    ...options
+  })
+};
+
+export const dynamicListConfig = {
+  type: 'dynamiclist',
+  pathed: true,
+  repeatable: true,
+  label: 'Dynamic list',
+  group: 'container',
+  create: (options = {}) => ({
+    components: [],
+    showOutline: true,
+    isRepeating: true,
+    allowAddRemove: true,
+    defaultRepetitions: 1,
+    ...options
+  })
+};
+
+export const expressionFieldConfig = {
+  type: 'expression',
+  keyed: true,
+  computed: true,
+  label: 'Expression',
+  group: 'basic-input',
+  emptyValue: null,
+  create: (options = {}) => ({ ...options })
+};
+
+export const filepickerConfig = {
+  type: 'filepicker',
+  keyed: true,
+  label: 'File picker',
+  group: 'basic-input',
+  emptyValue: [],
+  sanitizeValue: sanitizeFilepickerValue,
+  create: (options = {}) => ({ ...options })
+};
+
+export const groupConfig = {
+  type: 'group',
+  pathed: true,
+  label: 'Group',
+  group: 'container',
+  create: (options = {}) => ({
+    components: [],
+    showOutline: true,
+    ...options
+  })
+};
+
+export const iFrameConfig = {
+  type: 'iframe',
+  keyed: false,
+  label: 'iFrame',
+  group: 'container',
+  create: (options = {}) => ({
+    ...options
+  })
+};
+
+export const imageConfig = {
+  type: 'image',
+  keyed: false,
+  label: 'Image view',
+  group: 'presentation',
+  create: (options = {}) => ({
+    ...options
+  })
+};
+
+export const numberfieldConfig = {
+  type: 'number',
+  keyed: true,
+  label: 'Number',
+  group: 'basic-input',
+  emptyValue: null,
+  sanitizeValue: ({ value, formField }) => {
+
+    // invalid value types are sanitized to null
+    if (isNullEquivalentValue(value) || !isValidNumber(value)) return null;
+
+    // otherwise, we return a string or a number depending on the form field configuration
+    return formField.serializeToString ? value.toString() : Number(value);
+  },
+  create: (options = {}) => ({
+    ...options
+  })
+};
+
+export const pageConfig = {
+  type: 'page',
+  pathed: true,
+  label: 'Page',
+  group: 'container',
+  create: (options = {}) => ({
+    components: [],
+    showOutline: false,
+    ...options
+  })
+};
+
+export const radioConfig = {
+  type: 'radio',
+  keyed: true,
+  label: 'Radio group',
+  group: 'selection',
+  emptyValue: null,
+  sanitizeValue: sanitizeSingleSelectValue,
+  create: createEmptyOptions
+};
+
+export const rangeConfig = {
+  type: 'range',
+  keyed: true,
+  label: 'Range',
+  group: 'basic-input',
+  emptyValue: null,
+  sanitizeValue: sanitizeRangeValue,
+  create: (options = {}) => ({ ...options })
+};
+
+export const ratingConfig = {
+  type: 'rating',
+  keyed: true,
+  label: 'Rating',
+  group: 'basic-input',
+  emptyValue: null,
+  sanitizeValue: sanitizeRatingValue,
+  create: (options = {}) => ({ ...options })
+};
+
+export const richTextConfig = {
+  type: 'richtext',
+  keyed: true,
+  label: 'Rich text',
+  group: 'basic-input',
+  emptyValue: '',
+  sanitizeValue: sanitizeRichTextValue,
+  create: (options = {}) => ({ ...options })
+};
+
+export const selectConfig = {
+  type: 'select',
+  keyed: true,
+  label: 'Select',
+  group: 'selection',
+  emptyValue: null,
+  sanitizeValue: sanitizeSingleSelectValue,
+  create: createEmptyOptions
+};
+
+export const separatorConfig = {
+  type: 'separator',
+  keyed: false,
+  label: 'Separator',
+  group: 'presentation',
+  create: (options = {}) => ({
+    ...options
+  })
+};
+
+export const signatureConfig = {
+  type: 'signature',
+  keyed: true,
+  label: 'Signature',
+  group: 'basic-input',
+  emptyValue: null,
+  sanitizeValue: sanitizeSignatureValue,
+  create: (options = {}) => ({ ...options })
+};
+
+export const spacerConfig = {
+  type: 'spacer',
+  keyed: false,
+  label: 'Spacer',
+  group: 'presentation',
+  create: (options = {}) => ({
+    height: 60,
+    ...options
+  })
+};
+
+export const tableConfig = {
+  type: 'table',
+  keyed: false,
+  label: 'Table',
+  group: 'presentation',
+  create: (options = {}) => {
+    const {
+      id,
+      columnsExpression,
+      columns,
+      rowCount,
+      ...remainingOptions
+    } = options;
+
+    if (isDefined(id) && isNumber(rowCount)) {
+      remainingOptions['rowCount'] = rowCount;
+    }
+
+    if (isString(columnsExpression)) {
+      return {
+        ...remainingOptions,
+        id,
+        columnsExpression,
+      };
+    }
+
+    if (Array.isArray(columns) && columns.every(isColumn)) {
+      return {
+        ...remainingOptions,
+        id,
+        columns,
+      };
+    }
+
+    return {
+      ...remainingOptions,
+      rowCount: 10,
+      columns: [
+        {
+          label: 'ID',
+          key: 'id',
+        },
+        {
+          label: 'Name',
+          key: 'name',
+        },
+        {
+          label: 'Date',
+          key: 'date',
+        },
+      ],
+    };
+  },
+  initialDemoData: [
+    { id: 1, name: 'John Doe', date: '31.01.2023' },
+    { id: 2, name: 'Erika Muller', date: '20.02.2023' },
+    { id: 3, name: 'Dominic Leaf', date: '11.03.2023' }
+  ],
+};
+
+export const taglistConfig = {
+  type: 'taglist',
+  keyed: true,
+  label: 'Tag list',
+  group: 'selection',
+  emptyValue: [],
+  sanitizeValue: sanitizeMultiSelectValue,
+  create: createEmptyOptions
+};
+
+export const textConfig = {
+  type: 'text',
+  keyed: false,
+  label: 'Text view',
+  group: 'presentation',
+  create: (options = {}) => ({
+    text: '# Text',
+    ...options
+  })
+};
+
+export const textareaConfig = {
+  type: 'textarea',
+  keyed: true,
+  label: 'Text area',
+  group: 'basic-input',
+  emptyValue: '',
+  sanitizeValue: ({ value }) => (isArray(value) || isObject(value) || isNil(value)) ? '' : String(value),
+  create: (options = {}) => ({ ...options })
+};
+
+export const textfieldConfig = {
+  type: 'textfield',
+  keyed: true,
+  label: 'Text field',
+  group: 'basic-input',
+  emptyValue: '',
+  sanitizeValue: ({ value }) => {
+    if (isArray(value) || isObject(value) || isNil(value)) {
+      return '';
+    }
+
+    // sanitize newlines to spaces
+    if (typeof value === 'string') {
+      return value.replace(/[\r\n\t]/g, ' ');
+    }
+
+    return String(value);
+  },
+  create: (options = {}) => ({ ...options })
+};
+
+export const fieldConfigs = [
+  addressConfig,
+  buttonConfig,
+  checkboxConfig,
+  checklistConfig,
+  dataGridConfig,
+  datetimeConfig,
+  defaultConfig,
+  dynamicListConfig,
+  expressionFieldConfig,
+  filepickerConfig,
+  groupConfig,
+  iFrameConfig,
+  imageConfig,
+  numberfieldConfig,
+  pageConfig,
+  radioConfig,
+  rangeConfig,
+  ratingConfig,
+  richTextConfig,
+  selectConfig,
+  separatorConfig,
+  signatureConfig,
+  spacerConfig,
+  tableConfig,
+  taglistConfig,
+  textConfig,
+  textareaConfig,
+  textfieldConfig
+];
@@ -1,6 +1,7 @@
 import { useContext, useState } from 'preact/hooks';
 
 import { useService } from '../../../hooks/useService';
+import { useCurrentPage } from '../../../hooks/useCurrentPage';
 
 import { FormField } from '../../FormField';
 
@@ -85,15 +86,20 @@ function RowsRenderer(props) {
   const formFieldRegistry = useService('formFieldRegistry');
   const rows = formLayouter.getRows(parentId);
 
+  const currentPage = useCurrentPage();
+
   const {
     Row
   } = useContext(FormRenderContext);
 
   return <> {
     rows.map(row => {
-      const {
-        components = []
-      } = row;
+      const components = (row.components || []).filter(childId => {
+        const childField = formFieldRegistry.get(childId);
+
+        // only render the current page of a multi-page form
+        return !currentPage || !childField || childField.type !== 'page' || childField.id === currentPage.id;
+      });
 
       if (!components.length) {
         return null;
@@ -1,7 +1,7 @@
 import flatpickr from 'flatpickr';
 import CalendarIcon from '../icons/Calendar.svg';
 
-import { ENTER_KEYDOWN_EVENT, focusRelevantFlatpickerDay } from '../../util/dateTimeUtil';
+import { createEnterKeydownEvent, focusRelevantFlatpickerDay } from '../../util/dateTimeUtil';
 import { getLocaleReadableDateFormat, getLocaleDateFlatpickrConfig } from '../../util/localisationUtil';
 import { useCallback, useEffect, useRef, useState } from 'preact/hooks';
 import { useDeepCompareState } from '../../../hooks';
@@ -122,7 +122,7 @@ export function Datepicker(props) {
         if (isInputDirty) {
 
           // trigger an enter keypress to submit the new input, then focus calendar day on the next render cycle
-          dateInputRef.current.dispatchEvent(ENTER_KEYDOWN_EVENT);
+          dateInputRef.current.dispatchEvent(createEnterKeydownEvent());
           setIsInputDirty(false);
           setForceFocusCalendar(true);
         }
@@ -159,7 +159,7 @@ export function Datepicker(props) {
       const isFalseBlur = e.relatedTarget && e.relatedTarget.classList.contains('flatpickr-day');
       if (isFalseBlur) return;
       if (isInputDirty) {
-        dateInputRef.current.dispatchEvent(ENTER_KEYDOWN_EVENT);
+        dateInputRef.current.dispatchEvent(createEnterKeydownEvent());
         setIsInputDirty(false);
       }
 
@@ -32,7 +32,7 @@ export function SearchableSelect(props) {
   const {
     loadState,
     options
-  } = useOptionsAsync(field);
+  } = useOptionsAsync(field, isFilterActive && filter || '');
 
   useCleanupSingleSelectValue({
     field,
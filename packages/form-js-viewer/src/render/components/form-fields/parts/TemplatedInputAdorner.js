@@ -1,17 +1,22 @@
 import { InputAdorner } from './InputAdorner';
 
-import { useSingleLineTemplateEvaluation } from '../../../hooks';
+import { useFieldTranslation, useSingleLineTemplateEvaluation } from '../../../hooks';
 
 export function TemplatedInputAdorner(props) {
 
   const {
+    field,
     pre,
-    post
+    post,
+    ...restProps
   } = props;
 
-  const evaluatedPre = useSingleLineTemplateEvaluation(pre, { debug: true });
-  const evaluatedPost = useSingleLineTemplateEvaluation(post, { debug: true });
+  const translatedPre = useFieldTranslation(field, [ 'appearance', 'prefixAdorner' ], pre);
+  const translatedPost = useFieldTranslation(field, [ 'appearance', 'suffixAdorner' ], post);
 
-  return <InputAdorner { ...props } pre={ evaluatedPre } post={ evaluatedPost } />;
+  const evaluatedPre = useSingleLineTemplateEvaluation(translatedPre, { debug: true });
+  const evaluatedPost = useSingleLineTemplateEvaluation(translatedPost, { debug: true });
+
+  return <InputAdorner { ...restProps } pre={ evaluatedPre } post={ evaluatedPost } />;
 
 }
\ No newline at end of file
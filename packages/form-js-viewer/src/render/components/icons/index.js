@@ -1,14 +1,22 @@
+import AddressIcon from './Address.svg';
 import ButtonIcon from './Button.svg';
 import CheckboxIcon from './Checkbox.svg';
 import ChecklistIcon from './Checklist.svg';
+import DataGridIcon from './DataGrid.svg';
 import DatetimeIcon from './Datetime.svg';
+import ExpressionIcon from './Expression.svg';
+import FilepickerIcon from './Filepicker.svg';
 import TaglistIcon from './Taglist.svg';
 import FormIcon from './Form.svg';
 import ColumnsIcon from './Group.svg';
 import NumberIcon from './Number.svg';
 import RadioIcon from './Radio.svg';
+import RangeIcon from './Range.svg';
+import RatingIcon from './Rating.svg';
+import RichTextIcon from './RichText.svg';
 import SelectIcon from './Select.svg';
 import SeparatorIcon from './Separator.svg';
+import SignatureIcon from './Signature.svg';
 import SpacerIcon from './Spacer.svg';
 import DynamicListIcon from './DynamicList.svg';
 import TextIcon from './Text.svg';
@@ -17,22 +25,32 @@ import TextareaIcon from './Textarea.svg';
 import IFrameIcon from './IFrame.svg';
 import ImageIcon from './Image.svg';
 import GroupIcon from './Group.svg';
+import PageIcon from './Page.svg';
 import TableIcon from './Table.svg';
 
 export const iconsByType = (type) => {
   return {
+    address: AddressIcon,
     button: ButtonIcon,
     checkbox: CheckboxIcon,
     checklist: ChecklistIcon,
     columns: ColumnsIcon,
+    datagrid: DataGridIcon,
     datetime: DatetimeIcon,
+    expression: ExpressionIcon,
+    filepicker: FilepickerIcon,
     group: GroupIcon,
     iframe: IFrameIcon,
     image: ImageIcon,
     number: NumberIcon,
+    page: PageIcon,
     radio: RadioIcon,
+    range: RangeIcon,
+    rating: RatingIcon,
+    richtext: RichTextIcon,
     select: SelectIcon,
     separator: SeparatorIcon,
+    signature: SignatureIcon,
     spacer: SpacerIcon,
     dynamiclist: DynamicListIcon,
     taglist: TaglistIcon,
@@ -1,15 +1,24 @@
+import { Address } from './form-fields/Address';
 import { Button } from './form-fields/Button';
 import { Checkbox } from './form-fields/Checkbox';
 import { Checklist } from './form-fields/Checklist';
+import { DataGrid } from './form-fields/DataGrid';
 import { Default } from './form-fields/Default';
 import { Datetime } from './form-fields/Datetime';
+import { ExpressionField } from './form-fields/ExpressionField';
+import { Filepicker } from './form-fields/Filepicker';
 import { Group } from './form-fields/Group';
 import { IFrame } from './form-fields/IFrame';
 import { Image } from './form-fields/Image';
 import { Numberfield } from './form-fields/Number';
+import { Page } from './form-fields/Page';
 import { Radio } from './form-fields/Radio';
+import { Range } from './form-fields/Range';
+import { Rating } from './form-fields/Rating';
+import { RichText } from './form-fields/RichText';
 import { Select } from './form-fields/Select';
 import { Separator } from './form-fields/Separator';
+import { Signature } from './form-fields/Signature';
 import { Spacer } from './form-fields/Spacer';
 import { DynamicList } from './form-fields/DynamicList';
 import { Taglist } from './form-fields/Taglist';
@@ -31,11 +40,15 @@ export {
 };
 
 export {
+  Address,
   Button,
   Checkbox,
   Checklist,
+  DataGrid,
   Default,
   Datetime,
+  ExpressionField,
+  Filepicker,
   FormComponent,
   FormField,
   Group,
@@ -43,9 +56,14 @@ export {
   DynamicList,
   Image,
   Numberfield,
+  Page,
   Radio,
+  Range,
+  Rating,
+  RichText,
   Select,
   Separator,
+  Signature,
   Spacer,
   Taglist,
   Text,
@@ -55,9 +73,11 @@ export {
 };
 
 export const formFields = [
+  Address,
   Button,
   Checkbox,
   Checklist,
+  DataGrid,
   Default,
   Group,
   IFrame,
@@ -65,10 +85,17 @@ export const formFields = [
   Image,
   Numberfield,
   Datetime,
+  ExpressionField,
+  Filepicker,
+  Page,
   Radio,
+  Range,
+  Rating,
+  RichText,
   Select,
   Spacer,
   Separator,
+  Signature,
   DynamicList,
   Taglist,
   Text,
@@ -0,0 +1,184 @@
+import { isNumber, isObject, isString } from 'min-dash';
+
+import { ADDRESS_PARTS, ADDRESS_PART_LABELS, COUNTRY_CODES } from '../../../util/constants/AddressConstants';
+
+// regions writing the house number before the street
+const NUMBER_FIRST_REGIONS = [ 'AU', 'CA', 'FR', 'GB', 'IE', 'IN', 'LU', 'NZ', 'US', 'ZA' ];
+
+// regions writing the city before the ZIP code
+const CITY_FIRST_REGIONS = [ 'AU', 'CA', 'GB', 'IE', 'IN', 'NZ', 'US', 'ZA' ];
+
+// the region assumed for locales without one
+const LANGUAGE_REGIONS = {
+  en: 'US',
+  fr: 'FR'
+};
+
+/**
+ * Get the parts an address field is built from, all parts by default.
+ *
+ * @param {Object} field
+ * @param {Array<string>} [field.parts]
+ *
+ * @returns {Array<string>}
+ */
+export function getAddressParts(field) {
+  const { parts } = field;
+
+  if (!Array.isArray(parts)) {
+    return ADDRESS_PARTS;
+  }
+
+  return ADDRESS_PARTS.filter(part => parts.includes(part));
+}
+
+/**
+ * Get the label of an address part, as configured via `partLabels`.
+ *
+ * @param {Object} field
+ * @param {string} part
+ *
+ * @returns {string}
+ */
+export function getAddressPartLabel(field, part) {
+  const { partLabels = {} } = field;
+
+  return partLabels[ part ] || ADDRESS_PART_LABELS[ part ];
+}
+
+/**
+ * Arrange address parts in rows, in the order addresses are written in the region of a locale.
+ *
+ * @example
+ *
+ * getAddressLayout([ 'street', 'number', 'zip', 'city' ], 'de-DE');
+ * // [ [ 'street', 'number' ], [ 'zip', 'city' ] ]
+ *
+ * getAddressLayout([ 'street', 'number', 'zip', 'city' ], 'en-US');
+ * // [ [ 'number', 'street' ], [ 'city', 'zip' ] ]
+ *
+ * @param {Array<string>} parts
+ * @param {string} [locale]
+ *
+ * @returns {Array<Array<string>>}
+ */
+export function getAddressLayout(parts, locale) {
+  const region = getRegion(locale);
+
+  const rows = [
+    NUMBER_FIRST_REGIONS.includes(region) ? [ 'number', 'street' ] : [ 'street', 'number' ],
+    CITY_FIRST_REGIONS.includes(region) ? [ 'city', 'zip' ] : [ 'zip', 'city' ],
+    [ 'country' ]
+  ];
+
+  return rows
+    .map(row => row.filter(part => parts.includes(part)))
+    .filter(row => row.length);
+}
+
+/**
+ * Get the options of the country select, labeled in the language of a locale.
+ *
+ * @param {string} [locale]
+ * @param {Array<string>} [countries] - ISO 3166-1 alpha-2 codes, all countries by default
+ *
+ * @returns {Array<{ value: string, label: string }>}
+ */
+export function getCountryOptions(locale, countries = COUNTRY_CODES) {
+  const getLabel = getCountryLabelGetter(locale);
+  const collator = getCollator(locale);
+
+  return countries
+    .map(code => ({ value: code, label: getLabel(code) }))
+    .sort((a, b) => collator.compare(a.label, b.label));
+}
+
+/**
+ * Check whether a part of an address value is empty.
+ *
+ * @param {any} value
+ * @param {string} part
+ *
+ * @returns {boolean}
+ */
+export function isAddressPartEmpty(value, part) {
+  const partValue = isObject(value) ? value[ part ] : null;
+
+  return !isString(partValue) || !partValue.trim();
+}
+
+/**
+ * Sanitize an address value to an object holding the parts of the field as strings,
+ * or `null` if all parts are empty.
+ *
+ * @param {Object} options
+ * @param {Object} options.formField
+ * @param {any} options.value
+ *
+ * @returns {Object|null}
+ */
+export function sanitizeAddressValue({ formField, value }) {
+  if (!isObject(value)) {
+    return null;
+  }
+
+  const parts = getAddressParts(formField);
+
+  const address = parts.reduce((address, part) => {
+    const partValue = value[ part ];
+
+    return {
+      ...address,
+      [ part ]: isString(partValue) || isNumber(partValue) ? String(partValue) : ''
+    };
+  }, {});
+
+  return parts.every(part => isAddressPartEmpty(address, part)) ? null : address;
+}
+
+
+// helpers //////////
+
+function getRegion(locale) {
+  const [ language, ...subtags ] = (locale || 'en').split(/[-_]/);
+
+  const region = subtags.find(subtag => /^([a-z]{2}|\d{3})$/i.test(subtag));
+
+  return region ? region.toUpperCase() : LANGUAGE_REGIONS[ language.toLowerCase() ];
+}
+
+function getCollator(locale) {
+  try {
+    return new Intl.Collator(locale);
+  } catch (error) {
+
+    // invalid locale
+    return new Intl.Collator('en');
+  }
+}
+
+function getCountryLabelGetter(locale) {
+  const { DisplayNames } = /** @type {any} */ (Intl);
+
+  if (!DisplayNames) {
+    return (code) => code;
+  }
+
+  let displayNames;
+
+  try {
+    displayNames = new DisplayNames(locale ? [ locale, 'en' ] : [ 'en' ], { type: 'region' });
+  } catch (error) {
+
+    // invalid locale
+    displayNames = new DisplayNames([ 'en' ], { type: 'region' });
+  }
+
+  return (code) => {
+    try {
+      return displayNames.of(code) || code;
+    } catch (error) {
+      return code;
+    }
+  };
+}
@@ -0,0 +1,70 @@
+const NAVIGATION_OFFSETS = {
+  ArrowUp: [ -1, 0 ],
+  ArrowDown: [ 1, 0 ],
+  ArrowLeft: [ 0, -1 ],
+  ArrowRight: [ 0, 1 ]
+};
+
+/**
+ * Move an item within a list.
+ *
+ * @param {Array<any>} items
+ * @param {number} fromIndex
+ * @param {number} toIndex
+ *
+ * @returns {Array<any>} a copy of the list with the item moved
+ */
+export function moveItem(items, fromIndex, toIndex) {
+  const updatedItems = items.slice();
+
+  const [ item ] = updatedItems.splice(fromIndex, 1);
+
+  updatedItems.splice(toIndex, 0, item);
+
+  return updatedItems;
+}
+
+/**
+ * Get the cell a key press navigates to, if any. Only plain inputs navigate,
+ * as selects and pickers use the arrow keys themselves. Text inputs leave
+ * their cell horizontally once the caret reached their start or end.
+ *
+ * @param {KeyboardEvent} event
+ * @param {{ row: number, column: number }} cell - the cell the event originates from
+ *
+ * @returns {{ row: number, column: number }|null}
+ */
+export function getNavigationTarget(event, cell) {
+  const offset = NAVIGATION_OFFSETS[ event.key ];
+
+  if (!offset || event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) {
+    return null;
+  }
+
+  const target = /** @type {HTMLInputElement} */ (event.target);
+
+  if (!target.matches('input.fjs-input')) {
+    return null;
+  }
+
+  const [ rowOffset, columnOffset ] = offset;
+
+  if (target.type !== 'checkbox' && columnOffset) {
+    const {
+      selectionEnd,
+      selectionStart,
+      value
+    } = target;
+
+    const caretAtEdge = selectionStart === selectionEnd && selectionStart === (columnOffset < 0 ? 0 : value.length);
+
+    if (!caretAtEdge) {
+      return null;
+    }
+  }
+
+  return {
+    row: cell.row + rowOffset,
+    column: cell.column + columnOffset
+  };
+}
@@ -1,13 +1,22 @@
 import { isNumber } from 'min-dash';
 import { MINUTES_IN_DAY, TIME_SERIALISING_FORMATS } from '../../../util/constants/DatetimeConstants';
 
-export const ENTER_KEYDOWN_EVENT = new KeyboardEvent('keydown', {
-  code: 'Enter',
-  key: 'Enter',
-  charCode: 13,
-  keyCode: 13,
-  bubbles: true
-});
+/**
+ * Create an `Enter` keydown event.
+ *
+ * Created on demand, so that this module may be imported without a DOM.
+ *
+ * @returns {KeyboardEvent}
+ */
+export function createEnterKeydownEvent() {
+  return new KeyboardEvent('keydown', {
+    code: 'Enter',
+    key: 'Enter',
+    charCode: 13,
+    keyCode: 13,
+    bubbles: true
+  });
+}
 
 export function focusRelevantFlatpickerDay(flatpickrInstance) {
 
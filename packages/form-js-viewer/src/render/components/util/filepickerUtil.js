@@ -0,0 +1,71 @@
+import { isArray, isNil, isObject, isString } from 'min-dash';
+
+const FILE_SIZE_UNITS = [ 'B', 'KB', 'MB', 'GB' ];
+
+/**
+ * Check whether a file matches the `accept` of a `filepicker`, following
+ * the semantics of the HTML `accept` attribute, e.g. `.pdf,image/*`.
+ *
+ * @param {{ name: string, type: string }} file
+ * @param {string} [accept]
+ *
+ * @returns {boolean}
+ */
+export function isFileAccepted(file, accept) {
+  if (!isString(accept) || !accept.trim()) {
+    return true;
+  }
+
+  const name = (file.name || '').toLowerCase();
+  const type = (file.type || '').toLowerCase();
+
+  return accept.split(',')
+    .map(specifier => specifier.trim().toLowerCase())
+    .filter(Boolean)
+    .some(specifier => {
+      if (specifier.startsWith('.')) {
+        return name.endsWith(specifier);
+      }
+
+      if (specifier.endsWith('/*')) {
+        return type.startsWith(specifier.slice(0, -1));
+      }
+
+      return type === specifier;
+    });
+}
+
+/**
+ * @param {number} size in bytes
+ *
+ * @returns {string}
+ */
+export function formatFileSize(size) {
+  let unit = 0;
+
+  while (size >= 1024 && unit < FILE_SIZE_UNITS.length - 1) {
+    size = size / 1024;
+    unit++;
+  }
+
+  return `${ unit ? parseFloat(size.toFixed(1)) : size } ${ FILE_SIZE_UNITS[ unit ] }`;
+}
+
+/**
+ * Get a stable key of an uploaded file, its reference or, lacking one, its name.
+ *
+ * @param {{ name: string, reference?: any }} file
+ *
+ * @returns {string}
+ */
+export function getFileKey(file) {
+  return isNil(file.reference) ? file.name : String(file.reference);
+}
+
+export function sanitizeFilepickerValue({ value }) {
+  if (!isArray(value)) {
+    return [];
+  }
+
+  return value.filter(isObject);
+}
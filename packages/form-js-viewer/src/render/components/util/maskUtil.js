@@ -0,0 +1,168 @@
+import { isString } from 'min-dash';
+
+const MASK_TOKENS = {
+  '9': { test: char => /\d/.test(char) },
+  'a': { test: char => /\p{L}/u.test(char) },
+  'A': { test: char => /\p{L}/u.test(char), transform: char => char.toUpperCase() },
+  '*': { test: char => /[\p{L}\d]/u.test(char) }
+};
+
+/**
+ * Parse an input mask into its slots. Within a mask, `9` stands for a digit, `a` for a letter,
+ * `A` for a letter turned uppercase and `*` for a letter or digit. Any other character, or a
+ * token escaped with a backslash, is a literal.
+ *
+ * @example
+ *
+ * parseMask('(999) 999-9999');
+ * parseMask('AA99 9999 9999 9999 9999 99');
+ *
+ * @param {string} mask
+ *
+ * @returns {Array<{ literal?: string, test?: (char: string) => boolean, transform?: (char: string) => string }>}
+ */
+export function parseMask(mask) {
+  const slots = [];
+
+  for (let i = 0; i < mask.length; i++) {
+    const char = mask[ i ];
+
+    if (char === '\\' && i + 1 < mask.length) {
+      slots.push({ literal: mask[ ++i ] });
+    } else if (MASK_TOKENS[ char ]) {
+      slots.push(MASK_TOKENS[ char ]);
+    } else {
+      slots.push({ literal: char });
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Format a value according to an input mask. Characters not fitting the mask are dropped,
+ * literals are inserted as long as characters follow. Applies to masked as well as unmasked values.
+ *
+ * @example
+ *
+ * applyMask('(999) 999-9999', '5551234'); // '(555) 123-4'
+ *
+ * @param {string} mask
+ * @param {any} value
+ *
+ * @returns {string}
+ */
+export function applyMask(mask, value) {
+  const chars = isString(value) ? Array.from(value) : [];
+
+  const slots = parseMask(mask);
+
+  const masked = [];
+
+  let charIndex = 0;
+
+  for (const slot of slots) {
+
+    if (charIndex >= chars.length) {
+      break;
+    }
+
+    if (slot.literal) {
+      masked.push(slot.literal);
+
+      if (chars[ charIndex ] === slot.literal) {
+        charIndex++;
+      }
+
+      continue;
+    }
+
+    // skip characters not fitting the slot
+    while (charIndex < chars.length && !slot.test(chars[ charIndex ])) {
+      charIndex++;
+    }
+
+    if (charIndex >= chars.length) {
+
+      // do not end with literals no characters follow
+      while (masked.length && slots[ masked.length - 1 ].literal) {
+        masked.pop();
+      }
+
+      break;
+    }
+
+    const char = chars[ charIndex++ ];
+
+    masked.push(slot.transform ? slot.transform(char) : char);
+  }
+
+  return masked.join('');
+}
+
+/**
+ * Strip the literals of an input mask from a masked value.
+ *
+ * @example
+ *
+ * unmask('(999) 999-9999', '(555) 123-4567'); // '5551234567'
+ *
+ * @param {string} mask
+ * @param {string} value
+ *
+ * @returns {string}
+ */
+export function unmask(mask, value) {
+  const slots = parseMask(mask);
+
+  return Array.from(applyMask(mask, value))
+    .filter((_, index) => !slots[ index ].literal)
+    .join('');
+}
+
+/**
+ * Check whether a value fills all slots of an input mask, without any characters to spare.
+ * The value may be masked or unmasked.
+ *
+ * @param {string} mask
+ * @param {string} value
+ *
+ * @returns {boolean}
+ */
+export function isMaskComplete(mask, value) {
+  const masked = applyMask(mask, value);
+
+  if (Array.from(masked).length !== parseMask(mask).length) {
+    return false;
+  }
+
+  return value === masked || value === unmask(mask, masked);
+}
+
+/**
+ * Get a placeholder showing the format of an input mask, e.g. `(___) ___-____`.
+ *
+ * @param {string} mask
+ *
+ * @returns {string}
+ */
+export function getMaskPlaceholder(mask) {
+  return parseMask(mask)
+    .map(slot => slot.literal || '_')
+    .join('');
+}
+
+/**
+ * Get the caret position within a masked value, keeping the caret behind
+ * the characters it followed before masking.
+ *
+ * @param {string} mask
+ * @param {string} value - The value before masking
+ * @param {number} caret - The caret position within the value before masking
+ *
+ * @returns {number}
+ */
+export function getMaskedCaretPosition(mask, value, caret) {
+  return applyMask(mask, value.slice(0, caret)).length;
+}
+
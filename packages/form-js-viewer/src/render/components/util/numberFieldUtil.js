@@ -1,4 +1,10 @@
 import Big from 'big.js';
+import { isNumber } from 'min-dash';
+
+import { DEFAULT_CURRENCY, NUMBER_FORMATS } from '../../../util/constants/NumberConstants';
+
+// keep all digits entered, do not round
+const MAXIMUM_FRACTION_DIGITS = 20;
 
 export function countDecimals(number) {
   const num = Big(number);
@@ -6,6 +12,25 @@ export function countDecimals(number) {
   return num.toFixed().split('.')[1].length || 0;
 }
 
+/**
+ * Get the step of a numeric field, i.e. its `increment` or, if not configured,
+ * the smallest step its `decimalDigits` allow for.
+ *
+ * @param {{ increment?: string|number, decimalDigits?: number }} field
+ *
+ * @returns {Big}
+ */
+export function getNumberIncrement(field) {
+  const {
+    decimalDigits,
+    increment
+  } = field;
+
+  if (increment) return Big(increment);
+  if (decimalDigits) return Big(`1e-${decimalDigits}`);
+  return Big('1');
+}
+
 export function isValidNumber(value) {
   return (typeof value === 'number' || typeof value === 'string') && value !== '' && !isNaN(Number(value));
 }
@@ -37,3 +62,120 @@ export function willKeyProduceValidNumber(key, previousValue, caretIndex, select
 export function isNullEquivalentValue(value) {
   return value === undefined || value === null || value === '';
 }
+
+/**
+ * Format the value of a number field for display, according to its `numberFormat` and the locale.
+ * Percentages are stored as percentage points, i.e. `15` is displayed as `15%`.
+ *
+ * Values are formatted from their decimal string representation, keeping the precision
+ * of values serialized as strings.
+ *
+ * @example
+ *
+ * formatNumberValue(1234.5, { numberFormat: 'currency', currency: 'EUR' }, 'de-DE'); // '1.234,50 €'
+ *
+ * @param {string|number} value
+ * @param {{ numberFormat?: string, currency?: string, decimalDigits?: number }} field
+ * @param {string} [locale]
+ *
+ * @returns {string}
+ */
+export function formatNumberValue(value, field, locale) {
+  const {
+    currency = DEFAULT_CURRENCY,
+    decimalDigits,
+    numberFormat
+  } = field;
+
+  if (!isValidNumber(value)) {
+    return String(value);
+  }
+
+  const decimal = parseDecimal(value);
+
+  if (numberFormat === NUMBER_FORMATS.CURRENCY) {
+    const formatter = createCurrencyFormat(locale, currency, decimalDigits);
+
+    // fall back to decimals for invalid currency codes
+    if (formatter) {
+      return formatter.format(decimal ? decimal.toFixed() : Number(value));
+    }
+  }
+
+  if (numberFormat === NUMBER_FORMATS.PERCENT) {
+    return createNumberFormat(locale, {
+      style: 'percent',
+      maximumFractionDigits: MAXIMUM_FRACTION_DIGITS
+    }).format(decimal ? decimal.div(100).toFixed() : Number(value) / 100);
+  }
+
+  return createNumberFormat(locale, {
+    maximumFractionDigits: MAXIMUM_FRACTION_DIGITS
+  }).format(decimal ? decimal.toFixed() : Number(value));
+}
+
+/**
+ * Get the decimal separator of a locale, e.g. `,` for `de`.
+ *
+ * @param {string} [locale]
+ *
+ * @returns {string}
+ */
+export function getDecimalSeparator(locale) {
+  const decimalPart = createNumberFormat(locale).formatToParts(1.1).find(part => part.type === 'decimal');
+
+  return decimalPart ? decimalPart.value : '.';
+}
+
+
+// helpers //////////
+
+/**
+ * @param {string|number} value
+ *
+ * @returns {Big|null} the exact decimal, if representable, e.g. not for `Infinity`
+ */
+function parseDecimal(value) {
+  try {
+    return Big(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function createNumberFormat(locale, options = {}) {
+  try {
+    return new Intl.NumberFormat(locale, options);
+  } catch (error) {
+
+    // invalid locale
+    return new Intl.NumberFormat(undefined, options);
+  }
+}
+
+function createCurrencyFormat(locale, currency, decimalDigits) {
+  const options = {
+    style: 'currency',
+    currency,
+    maximumFractionDigits: MAXIMUM_FRACTION_DIGITS
+  };
+
+  let formatter;
+
+  try {
+    formatter = createNumberFormat(locale, options);
+  } catch (error) {
+
+    // invalid currency
+    return null;
+  }
+
+  const { minimumFractionDigits } = formatter.resolvedOptions();
+
+  // do not pad values restricted to fewer decimal digits than the currency uses
+  if (isNumber(decimalDigits) && decimalDigits < minimumFractionDigits) {
+    return createNumberFormat(locale, { ...options, minimumFractionDigits: decimalDigits });
+  }
+
+  return formatter;
+}
@@ -11,6 +11,14 @@ export function normalizeOptionsData(optionsData) {
   return optionsData.filter(_isAllowedValue).map(_normalizeOption).filter(o => !isNil(o));
 }
 
+// translates the labels of the provided, normalized options according to the current locale
+export function translateOptionsData(optionsData, formField, translator) {
+  return optionsData.map(option => ({
+    ...option,
+    label: translator.translateField(formField, [ 'options', option.value ], option.label)
+  }));
+}
+
 /**
  * Converts the provided option to a normalized format.
  * If the option is not valid, null is returned.
@@ -70,8 +78,8 @@ export function createEmptyOptions(options = {}) {
 
   const defaults = {};
 
-  // provide default options if valuesKey and valuesExpression are not set
-  if (!options.valuesKey && !options.valuesExpression) {
+  // provide default options if valuesKey, valuesExpression and valuesProvider are not set
+  if (!options.valuesKey && !options.valuesExpression && !options.valuesProvider) {
     defaults.values = [
       {
         label: 'Value',
@@ -0,0 +1,28 @@
+import Big from 'big.js';
+
+import { isValidNumber } from './numberFieldUtil';
+
+export const RANGE_DEFAULT_MIN = 0;
+export const RANGE_DEFAULT_MAX = 100;
+
+/**
+ * Get the bounds of a range, falling back to the defaults
+ * for bounds which are not configured or invalid.
+ *
+ * @param {{ min?: any, max?: any }} bounds - the evaluated `validate.min` and `validate.max`
+ *
+ * @returns {{ min: Big, max: Big }}
+ */
+export function getRangeBounds(bounds) {
+  const min = isValidNumber(bounds.min) ? Big(bounds.min) : Big(RANGE_DEFAULT_MIN);
+  const max = isValidNumber(bounds.max) ? Big(bounds.max) : Big(RANGE_DEFAULT_MAX);
+
+  return {
+    min,
+    max: max.lt(min) ? min : max
+  };
+}
+
+export function sanitizeRangeValue({ value }) {
+  return isValidNumber(value) ? Number(value) : null;
+}
@@ -0,0 +1,27 @@
+import { isValidNumber } from './numberFieldUtil';
+
+export const RATING_DEFAULT_MAX = 5;
+
+/**
+ * The maximum number of stars a rating can be configured with.
+ */
+export const RATING_MAX = 10;
+
+/**
+ * Get the number of stars of a rating.
+ *
+ * @param {any} max - the evaluated `validate.max`
+ *
+ * @returns {number}
+ */
+export function getRatingMax(max) {
+  if (!isValidNumber(max)) {
+    return RATING_DEFAULT_MAX;
+  }
+
+  return Math.min(Math.max(Math.floor(Number(max)), 1), RATING_MAX);
+}
+
+export function sanitizeRatingValue({ value }) {
+  return isValidNumber(value) && Number.isInteger(Number(value)) && Number(value) > 0 ? Number(value) : null;
+}
@@ -0,0 +1,187 @@
+import { isString } from 'min-dash';
+
+import { sanitizeHTML } from '../Sanitizer';
+import { RICH_TEXT_FORMATS } from '../../../util/constants/RichTextConstants';
+
+/**
+ * Tags browsers emit while editing, mapped to their allow-listed counterparts.
+ */
+const RENAMED_TAGS = {
+  b: 'strong',
+  i: 'em',
+  div: 'p'
+};
+
+/**
+ * Tags browsers emit while editing, which are dropped while keeping their content.
+ */
+const UNWRAPPED_TAGS = [
+  'font',
+  's',
+  'span',
+  'strike',
+  'sub',
+  'sup',
+  'u'
+];
+
+/**
+ * Sanitize rich text HTML, as produced by a content editable element,
+ * against the `Sanitizer` allow-list.
+ *
+ * @param {string} html
+ *
+ * @returns {string}
+ */
+export function sanitizeRichTextHtml(html) {
+  const element = parseHtml(html);
+
+  normalizeNode(element);
+
+  const safeElement = parseHtml(sanitizeHTML(element.innerHTML)).firstElementChild;
+
+  return safeElement ? safeElement.innerHTML : '';
+}
+
+/**
+ * Get the safe HTML to display for a rich text value.
+ *
+ * @param {string} value
+ * @param {string} format
+ * @param {import('../../../features/markdown').MarkdownRenderer} markdownRenderer
+ *
+ * @returns {string}
+ */
+export function richTextToHtml(value, format, markdownRenderer) {
+  if (!value) {
+    return '';
+  }
+
+  if (format === RICH_TEXT_FORMATS.HTML) {
+    return sanitizeRichTextHtml(value);
+  }
+
+  return sanitizeRichTextHtml(markdownRenderer.render(value));
+}
+
+/**
+ * Serialize edited HTML to a rich text value of the given format.
+ *
+ * @param {string} html
+ * @param {string} format
+ * @param {import('../../../features/markdown').MarkdownRenderer} markdownRenderer
+ *
+ * @returns {string}
+ */
+export function htmlToRichText(html, format, markdownRenderer) {
+  const safeHtml = sanitizeRichTextHtml(html);
+
+  if (!getVisibleText(safeHtml).trim()) {
+    return '';
+  }
+
+  if (format === RICH_TEXT_FORMATS.HTML) {
+    return safeHtml;
+  }
+
+  return markdownRenderer.toMarkdown(safeHtml)
+
+    // drop separators showdown places after lists
+    .replace(/\n*<!-- -->\n*/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Get the text of a rich text value, as visible to the user.
+ *
+ * @param {string} value
+ * @param {string} format
+ * @param {import('../../../features/markdown').MarkdownRenderer} [markdownRenderer]
+ *
+ * @returns {string}
+ */
+export function getRichTextVisibleText(value, format, markdownRenderer) {
+  if (!value) {
+    return '';
+  }
+
+  if (format !== RICH_TEXT_FORMATS.HTML && !markdownRenderer) {
+    return value;
+  }
+
+  // approximate the visible text without a DOM, e.g. when validating in Node
+  if (typeof DOMParser === 'undefined') {
+    return stripHtml(format === RICH_TEXT_FORMATS.HTML ? value : markdownRenderer.render(value));
+  }
+
+  return getVisibleText(richTextToHtml(value, format, markdownRenderer));
+}
+
+export function sanitizeRichTextValue({ value }) {
+  return isString(value) ? value : '';
+}
+
+
+// helpers //////////
+
+function parseHtml(html) {
+  return new DOMParser().parseFromString(
+    `<!DOCTYPE html>\n<html><body>${ html }`,
+    'text/html'
+  ).body;
+}
+
+function getVisibleText(html) {
+  return parseHtml(html).textContent;
+}
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: '\u00A0'
+};
+
+function stripHtml(html) {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, name) => {
+      if (/^#x/i.test(name)) {
+        return String.fromCodePoint(parseInt(name.slice(2), 16));
+      }
+
+      if (name.charAt(0) === '#') {
+        return String.fromCodePoint(parseInt(name.slice(1), 10));
+      }
+
+      return HTML_ENTITIES[ name.toLowerCase() ] || entity;
+    });
+}
+
+function normalizeNode(node) {
+  Array.from(node.children).forEach(normalizeNode);
+
+  const lcTag = node.tagName.toLowerCase();
+
+  if (UNWRAPPED_TAGS.includes(lcTag)) {
+    return node.replaceWith(...node.childNodes);
+  }
+
+  // drop line breaks browsers use as placeholders in empty blocks
+  if (lcTag === 'br' && !node.nextSibling && node.parentElement.tagName.toLowerCase() !== 'body') {
+    return node.remove();
+  }
+
+  const renamedTag = RENAMED_TAGS[ lcTag ];
+
+  if (renamedTag) {
+    const renamedNode = node.ownerDocument.createElement(renamedTag);
+
+    renamedNode.append(...node.childNodes);
+
+    node.replaceWith(renamedNode);
+  }
+}
@@ -0,0 +1,130 @@
+import { isString } from 'min-dash';
+
+import { SIGNATURE_FORMATS } from '../../../util/constants/SignatureConstants';
+
+export const SIGNATURE_WIDTH = 600;
+export const SIGNATURE_HEIGHT = 200;
+
+const INK_COLOR = '#000';
+const LINE_WIDTH = 2;
+const FONT = 'cursive';
+const FONT_SIZE = 64;
+
+/**
+ * @typedef { Array<[ number, number ]> } Stroke
+ */
+
+/**
+ * Serialize a drawn signature to a data URL of the given format.
+ *
+ * @param {Array<Stroke>} strokes
+ * @param {string} [format]
+ *
+ * @returns {string}
+ */
+export function strokesToDataUrl(strokes, format = SIGNATURE_FORMATS.PNG) {
+  if (format === SIGNATURE_FORMATS.SVG) {
+    return toSvgDataUrl(strokes.map(stroke => {
+      return `<path d="${ toSvgPath(stroke) }" fill="none" stroke="${ INK_COLOR }" stroke-width="${ LINE_WIDTH }" stroke-linecap="round" stroke-linejoin="round"/>`;
+    }).join(''));
+  }
+
+  return toPngDataUrl(context => {
+    strokes.forEach(stroke => drawStroke(context, stroke));
+  });
+}
+
+/**
+ * Serialize a typed signature, i.e. a name, to a data URL of the given format.
+ *
+ * @param {string} text
+ * @param {string} [format]
+ *
+ * @returns {string}
+ */
+export function textToDataUrl(text, format = SIGNATURE_FORMATS.PNG) {
+  const x = SIGNATURE_WIDTH / 2;
+  const y = SIGNATURE_HEIGHT / 2;
+
+  if (format === SIGNATURE_FORMATS.SVG) {
+    return toSvgDataUrl(
+      `<text x="${ x }" y="${ y }" fill="${ INK_COLOR }" font-family="${ FONT }" font-size="${ FONT_SIZE }" text-anchor="middle" dominant-baseline="middle">${ escapeXml(text) }</text>`
+    );
+  }
+
+  return toPngDataUrl(context => {
+    context.fillStyle = INK_COLOR;
+    context.font = `${ FONT_SIZE }px ${ FONT }`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+
+    context.fillText(text, x, y, SIGNATURE_WIDTH - 40);
+  });
+}
+
+/**
+ * @param {CanvasRenderingContext2D} context
+ * @param {Stroke} stroke
+ */
+export function drawStroke(context, stroke) {
+  const [ [ startX, startY ], ...points ] = stroke;
+
+  context.strokeStyle = INK_COLOR;
+  context.lineWidth = LINE_WIDTH;
+  context.lineCap = 'round';
+  context.lineJoin = 'round';
+
+  context.beginPath();
+  context.moveTo(startX, startY);
+
+  // ensure single points are visible, too
+  if (!points.length) {
+    context.lineTo(startX + 0.1, startY);
+  }
+
+  points.forEach(([ x, y ]) => context.lineTo(x, y));
+
+  context.stroke();
+}
+
+export function sanitizeSignatureValue({ value }) {
+  return isString(value) && value.startsWith('data:image/') ? value : null;
+}
+
+
+// helpers //////////
+
+function toPngDataUrl(draw) {
+  const canvas = document.createElement('canvas');
+
+  canvas.width = SIGNATURE_WIDTH;
+  canvas.height = SIGNATURE_HEIGHT;
+
+  draw(canvas.getContext('2d'));
+
+  return canvas.toDataURL('image/png');
+}
+
+function toSvgDataUrl(content) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${ SIGNATURE_WIDTH }" height="${ SIGNATURE_HEIGHT }" viewBox="0 0 ${ SIGNATURE_WIDTH } ${ SIGNATURE_HEIGHT }">${ content }</svg>`;
+
+  return `data:image/svg+xml,${ encodeURIComponent(svg) }`;
+}
+
+function toSvgPath(stroke) {
+  const [ [ startX, startY ], ...points ] = stroke;
+
+  if (!points.length) {
+    return `M${ startX } ${ startY }h0.1`;
+  }
+
+  return `M${ startX } ${ startY }` + points.map(([ x, y ]) => `L${ x } ${ y }`).join('');
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,195 @@
+import { isNil, isNumber, isObject, isString } from 'min-dash';
+
+import { DEFAULT_CURRENCY } from '../../../util/constants/NumberConstants';
+
+export const TABLE_COLUMN_FORMATS = [
+  'date',
+  'number',
+  'currency',
+  'boolean'
+];
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// negative numbers and amounts are no formulas
+const FORMULA_PATTERN = /^[=+@\t\r]|^-(?![\d\p{Sc}])/u;
+
+/**
+ * Format a cell value according to the `format` of its column.
+ * Values which do not match the format are shown as they are.
+ *
+ * @param {any} value
+ * @param {Object} [column]
+ * @param {string} [column.format]
+ * @param {string} [column.currency]
+ * @param {string} [locale]
+ *
+ * @returns {string}
+ */
+export function formatCellValue(value, column = {}, locale) {
+  if (isNil(value) || value === '') {
+    return '';
+  }
+
+  const { format } = column;
+
+  if (format === 'date') {
+    return formatDate(value, locale);
+  }
+
+  if (format === 'number' || format === 'currency') {
+    return formatNumber(value, column, locale);
+  }
+
+  if (format === 'boolean') {
+    return formatBoolean(value);
+  }
+
+  return isObject(value) ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Filter table rows by the per column filters and the global search,
+ * both matching the formatted cell values case-insensitively.
+ *
+ * @param {Array<any>} rows
+ * @param {Array<Object>} columns
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.filters] - filter terms by column key
+ * @param {string} [options.search]
+ * @param {string} [options.locale]
+ *
+ * @returns {Array<any>}
+ */
+export function filterRows(rows, columns, options = {}) {
+  const {
+    filters = {},
+    locale,
+    search = ''
+  } = options;
+
+  const activeFilters = columns
+    .map(column => ({ column, term: normalize(filters[ column.key ]) }))
+    .filter(({ term }) => term);
+
+  const searchTerm = normalize(search);
+
+  if (!activeFilters.length && !searchTerm) {
+    return rows;
+  }
+
+  return rows.filter(row => {
+    const getCellText = (column) => normalize(formatCellValue(isObject(row) ? row[ column.key ] : null, column, locale));
+
+    const matchesFilters = activeFilters.every(({ column, term }) => getCellText(column).includes(term));
+
+    return matchesFilters && (!searchTerm || columns.some(column => getCellText(column).includes(searchTerm)));
+  });
+}
+
+/**
+ * Check whether the given value is a valid table column.
+ *
+ * @param {any} column
+ *
+ * @returns {boolean}
+ */
+export function isColumn(column) {
+  return (
+    isObject(column) && isString(column['label']) && isString(column['key'])
+  );
+}
+
+/**
+ * Serialize table rows to CSV, as shown in the table.
+ *
+ * @param {Array<any>} rows
+ * @param {Array<Object>} columns
+ * @param {string} [locale]
+ *
+ * @returns {string}
+ */
+export function toCSV(rows, columns, locale) {
+  const header = columns.map(({ key, label }) => label || key);
+
+  const lines = rows.map(row => columns.map(column => {
+    return formatCellValue(isObject(row) ? row[ column.key ] : null, column, locale);
+  }));
+
+  return [ header, ...lines ]
+    .map(cells => cells.map(escapeCSVCell).join(','))
+    .join('\r\n');
+}
+
+
+// helpers //////////
+
+function formatDate(value, locale) {
+  if (!isString(value) && !isNumber(value)) {
+    return String(value);
+  }
+
+  const date = new Date(value);
+
+  if (isNaN(date.getTime())) {
+    return String(value);
+  }
+
+  // plain dates are parsed as UTC, do not shift them into the local time zone
+  const options = ISO_DATE_PATTERN.test(String(value)) ? { timeZone: 'UTC' } : {};
+
+  return new Intl.DateTimeFormat(locale, options).format(date);
+}
+
+function formatNumber(value, column, locale) {
+  const number = isString(value) && value.trim() ? Number(value) : value;
+
+  if (!isNumber(number) || isNaN(number)) {
+    return String(value);
+  }
+
+  if (column.format === 'number') {
+    return new Intl.NumberFormat(locale).format(number);
+  }
+
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: column.currency || DEFAULT_CURRENCY
+    }).format(number);
+  } catch (error) {
+
+    // invalid currency code
+    return new Intl.NumberFormat(locale).format(number);
+  }
+}
+
+function formatBoolean(value) {
+  if (value === true || value === 'true') {
+    return 'Yes';
+  }
+
+  if (value === false || value === 'false') {
+    return 'No';
+  }
+
+  return String(value);
+}
+
+function normalize(text) {
+  return (text || '').trim().toLowerCase();
+}
+
+function escapeCSVCell(text) {
+
+  // prevent spreadsheet applications from evaluating cells as formulas
+  if (FORMULA_PATTERN.test(text)) {
+    text = `'${ text }`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${ text.replace(/"/g, '""') }"`;
+  }
+
+  return text;
+}
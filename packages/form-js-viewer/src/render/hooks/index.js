@@ -1,12 +1,19 @@
 export { useCondition } from './useCondition';
 export { useOptionsAsync, LOAD_STATES } from './useOptionsAsync';
+export { useOptionsDependency } from './useOptionsDependency';
+export { useTableData } from './useTableData';
 export { useGetLabelCorrelation } from './useGetLabelCorrelation';
 export { useScrollIntoView } from './useScrollIntoView';
 export { useExpressionEvaluation } from './useExpressionEvaluation';
 export { useFilteredFormData } from './useFilteredFormData';
+export { useCurrentPage } from './useCurrentPage';
 export { useKeyDownAction } from './useKeyDownAction';
 export { useReadonly } from './useReadonly';
+export { useDisabled } from './useDisabled';
+export { useRequired } from './useRequired';
 export { useService } from './useService';
+export { useFieldTranslation } from './useFieldTranslation';
+export { useTranslation } from './useTranslation';
 export { usePrevious } from './usePrevious';
 export { useDeepCompareState } from './useDeepCompareState';
 export { useSingleLineTemplateEvaluation } from './useSingleLineTemplateEvaluation';
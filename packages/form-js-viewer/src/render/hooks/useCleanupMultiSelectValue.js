@@ -1,5 +1,8 @@
 import { useEffect } from 'preact/hooks';
+import isEqual from 'lodash/isEqual';
 import { LOAD_STATES } from './useOptionsAsync';
+import { useOptionsDependency } from './useOptionsDependency';
+import { usePrevious } from './usePrevious';
 import { hasEqualValue } from '../components/util/sanitizerUtil';
 import { useDeepCompareState } from './useDeepCompareState';
 
@@ -15,9 +18,27 @@ export function useCleanupMultiSelectValue(props) {
 
   const memoizedValues = useDeepCompareState(values, []);
 
+  const dependencyValue = useOptionsDependency(field);
+  const previousDependencyValue = usePrevious(dependencyValue, dependencyValue);
+  const previousValues = usePrevious(values, values);
+
+  // the values were picked for the previous dependency, unless they were changed alongside it (e.g. on reset)
+  const isStale = !!field.valuesDependsOn && !isEqual(previousDependencyValue, dependencyValue) && isEqual(previousValues, values);
+
   // ensures that the values are always a subset of the possible options
   useEffect(() => {
 
+    if (isStale) {
+      if (memoizedValues.length) {
+        onChange({
+          field,
+          value: []
+        });
+      }
+
+      return;
+    }
+
     if (loadState !== LOAD_STATES.LOADED) {
       return;
     }
@@ -32,6 +53,6 @@ export function useCleanupMultiSelectValue(props) {
       });
     }
 
-  }, [ field, options, onChange, memoizedValues, loadState ]);
+  }, [ field, options, onChange, memoizedValues, loadState, isStale ]);
 
-}
\ No newline at end of file
+}
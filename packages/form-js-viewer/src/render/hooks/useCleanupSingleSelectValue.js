@@ -1,5 +1,8 @@
 import { useEffect } from 'preact/hooks';
+import isEqual from 'lodash/isEqual';
 import { LOAD_STATES } from './useOptionsAsync';
+import { useOptionsDependency } from './useOptionsDependency';
+import { usePrevious } from './usePrevious';
 import { hasEqualValue } from '../components/util/sanitizerUtil';
 
 export function useCleanupSingleSelectValue(props) {
@@ -12,9 +15,27 @@ export function useCleanupSingleSelectValue(props) {
     value
   } = props;
 
+  const dependencyValue = useOptionsDependency(field);
+  const previousDependencyValue = usePrevious(dependencyValue, dependencyValue);
+  const previousValue = usePrevious(value, value);
+
+  // the value was picked for the previous dependency, unless it was changed alongside it (e.g. on reset)
+  const isStale = !!field.valuesDependsOn && !isEqual(previousDependencyValue, dependencyValue) && isEqual(previousValue, value);
+
   // Ensures that the value is always one of the possible options
   useEffect(() => {
 
+    if (isStale) {
+      if (value) {
+        onChange({
+          field,
+          value: null
+        });
+      }
+
+      return;
+    }
+
     if (loadState !== LOAD_STATES.LOADED) {
       return;
     }
@@ -29,6 +50,6 @@ export function useCleanupSingleSelectValue(props) {
       });
     }
 
-  }, [ field, options, onChange, value, loadState ]);
+  }, [ field, options, onChange, value, loadState, isStale ]);
 
-}
\ No newline at end of file
+}
@@ -0,0 +1,31 @@
+import { useService } from './useService.js';
+import { useEffect, useState } from 'preact/hooks';
+
+/**
+ * Returns the page of a multi-page form which is currently displayed, reactively.
+ *
+ * @returns {any|null} the current page or null if there is no page manager or the form has no pages
+ */
+export function useCurrentPage() {
+  const pageManager = useService('pageManager', false);
+  const eventBus = useService('eventBus', false);
+
+  const [ currentPage, setCurrentPage ] = useState(() => pageManager ? pageManager.getCurrentPage() : null);
+
+  useEffect(() => {
+    if (!pageManager || !eventBus) {
+      return;
+    }
+
+    // pages may get hidden or shown by their condition on data changes, too
+    const update = () => setCurrentPage(pageManager.getCurrentPage());
+
+    update();
+
+    eventBus.on([ 'changed', 'page.changed' ], update);
+
+    return () => eventBus.off([ 'changed', 'page.changed' ], update);
+  }, [ pageManager, eventBus ]);
+
+  return currentPage;
+}
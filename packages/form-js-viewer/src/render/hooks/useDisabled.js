@@ -0,0 +1,39 @@
+import { buildExpressionContext } from '../../util/simple';
+import { LocalExpressionContext } from '../context/LocalExpressionContext.js';
+import { useService } from './useService.js';
+import { useContext } from 'preact/hooks';
+
+/**
+ * Retrieve disabled value of a form field, given it can be an
+ * expression optionally or configured globally.
+ *
+ * Global readonly takes precedence over disabled.
+ *
+ * @typedef { import('../../types').FormProperties } FormProperties
+ *
+ * @param {any} formField
+ * @param {FormProperties} properties
+ *
+ * @returns {boolean}
+ */
+export function useDisabled(formField, properties = {}) {
+  const expressionLanguage = useService('expressionLanguage');
+  const conditionChecker = useService('conditionChecker', false);
+  const expressionContextInfo = useContext(LocalExpressionContext);
+
+  const { disabled } = formField;
+
+  if (properties.readOnly) {
+    return false;
+  }
+
+  if (properties.disabled) {
+    return true;
+  }
+
+  if (expressionLanguage && expressionLanguage.isExpression(disabled)) {
+    return conditionChecker ? conditionChecker.check(disabled, buildExpressionContext(expressionContextInfo)) === true : false;
+  }
+
+  return disabled || false;
+}
@@ -0,0 +1,21 @@
+import { useService } from './useService';
+
+/**
+ * Translate a text of a form field according to the current locale,
+ * falling back to the given default, e.g. the field's label.
+ *
+ * @param {any} field
+ * @param {string|Array<string>} path
+ * @param {string} [defaultValue]
+ *
+ * @returns {string}
+ */
+export function useFieldTranslation(field, path, defaultValue) {
+  const translator = useService('translator', false);
+
+  if (!translator || !field) {
+    return defaultValue;
+  }
+
+  return translator.translateField(field, path, defaultValue);
+}
@@ -1,7 +1,10 @@
-import { useEffect, useState } from 'preact/hooks';
-import { normalizeOptionsData } from '../components/util/optionsUtil';
+import { useEffect, useMemo, useRef, useState } from 'preact/hooks';
+import { isNil, isObject } from 'min-dash';
+import isEqual from 'lodash/isEqual';
+import { normalizeOptionsData, translateOptionsData } from '../components/util/optionsUtil';
 import { useExpressionEvaluation } from './useExpressionEvaluation';
 import { useDeepCompareState } from './useDeepCompareState';
+import { useOptionsDependency } from './useOptionsDependency';
 import { useService } from './useService';
 
 /**
@@ -16,35 +19,60 @@ export const LOAD_STATES = {
 /**
  * @typedef {Object} OptionsGetter
  * @property {Object[]} options - The options data
+ * @property {string|undefined} error - The error, in case the options could not be loaded
  * @property {(LOAD_STATES)} loadState - The options data's loading state, to use for conditional rendering
  */
 
 /**
  * A hook to load options for single and multiselect components.
  *
+ * Options depending on another form field, cf. `valuesDependsOn`, are reloaded
+ * whenever the value of that field changes, and are empty as long as it has no value.
+ *
  * @param {Object} field - The form field to handle options for
+ * @param {string} [search] - The search term, passed to options providers
  * @return {OptionsGetter} optionsGetter - A options getter object providing loading state and options
  */
-export function useOptionsAsync(field) {
+export function useOptionsAsync(field, search = '') {
   const {
     valuesExpression: optionsExpression,
     valuesKey: optionsKey,
-    values: staticOptions
+    values: staticOptions,
+    valuesProvider: optionsProvider,
+    valuesDependsOn: optionsDependency
   } = field;
 
   const [ optionsGetter, setOptionsGetter ] = useState({ options: [], error: undefined, loadState: LOAD_STATES.LOADING });
   const initialData = useService('form')._getState().initialData;
 
+  const translator = useService('translator', false);
+  const locale = translator && translator.getLocale();
+
   const expressionEvaluation = useExpressionEvaluation(optionsExpression);
   const evaluatedOptions = useDeepCompareState(expressionEvaluation || [], []);
 
+  const dependencyValue = useOptionsDependency(field);
+
+  const providerOptions = useProviderOptions(field, search, dependencyValue);
+
   useEffect(() => {
 
     let options = [];
 
+    // no options until the field the options depend on has a value
+    if (isDependencyMissing(field, dependencyValue)) {
+      setOptionsGetter(buildLoadedState([]));
+      return;
+    }
+
     // dynamic options
     if (optionsKey !== undefined) {
-      const keyedOptions = (initialData || {})[ optionsKey ];
+      let keyedOptions = (initialData || {})[ optionsKey ];
+
+      // options keyed by the value of the field they depend on
+      if (optionsDependency && isObject(keyedOptions)) {
+        keyedOptions = keyedOptions[ dependencyValue ];
+      }
 
       if (keyedOptions && Array.isArray(keyedOptions)) {
         options = keyedOptions;
@@ -60,6 +88,16 @@ export function useOptionsAsync(field) {
       if (evaluatedOptions && Array.isArray(evaluatedOptions)) {
         options = evaluatedOptions;
       }
+
+    // provider
+    } else if (optionsProvider !== undefined) {
+
+      if (providerOptions.loadState === LOAD_STATES.ERROR) {
+        setOptionsGetter(providerOptions);
+        return;
+      }
+
+      options = providerOptions.options;
     } else {
       setOptionsGetter(buildErrorState('No options source defined in the form definition'));
       return;
@@ -68,13 +106,169 @@ export function useOptionsAsync(field) {
     // normalize data to support primitives and partially defined objects
     options = normalizeOptionsData(options);
 
+    if (translator) {
+      options = translateOptionsData(options, field, translator);
+    }
+
+    // keep previously loaded options while the provider is loading
+    if (optionsProvider !== undefined && providerOptions.loadState === LOAD_STATES.LOADING) {
+      setOptionsGetter(buildLoadingState(options));
+      return;
+    }
+
     setOptionsGetter(buildLoadedState(options));
 
-  }, [ optionsKey, staticOptions, initialData, optionsExpression, evaluatedOptions ]);
+  }, [ optionsKey, staticOptions, initialData, optionsExpression, evaluatedOptions, optionsProvider, optionsDependency, dependencyValue, providerOptions, field, translator, locale ]);
 
   return optionsGetter;
 }
 
+
+/**
+ * A hook to load options from the options provider configured via `valuesProvider`.
+ *
+ * Changes to the search term are debounced. Options loaded for previous search terms
+ * are kept as long as the provider, its parameters and the dependency do not change,
+ * so that selected values remain known while searching.
+ *
+ * @param {Object} field - The form field to load options for
+ * @param {string} [search] - The search term to pass to the provider
+ * @param {any} [dependencyValue] - The value of the field the options depend on
+ * @return {OptionsGetter} optionsGetter
+ */
+function useProviderOptions(field, search = '', dependencyValue) {
+  const {
+    valuesProvider
+  } = field;
+
+  const {
+    name,
+    parameters: parametersExpression
+  } = valuesProvider || {};
+
+  const isProviderSource = valuesProvider !== undefined && !isDependencyMissing(field, dependencyValue);
+
+  const optionsProviderRegistry = useService('optionsProviderRegistry', false);
+
+  const config = useService('config', false);
+  const debounce = config && config.debounce;
+  const delay = debounce === false ? 0 : typeof debounce === 'number' ? debounce : 300;
+
+  const evaluatedParameters = useExpressionEvaluation(parametersExpression);
+
+  // compare parameters by content, as they get re-evaluated on every data change
+  const parametersKey = JSON.stringify(isObject(evaluatedParameters) ? evaluatedParameters : {});
+  const parameters = useMemo(() => JSON.parse(parametersKey), [ parametersKey ]);
+
+  // compare the dependency by content, too, as the form data gets cloned on every change
+  const dependencyKey = JSON.stringify(isNil(dependencyValue) ? null : dependencyValue);
+  const dependency = useMemo(() => JSON.parse(dependencyKey), [ dependencyKey ]);
+
+  const [ optionsGetter, setOptionsGetter ] = useState({ options: [], error: undefined, loadState: LOAD_STATES.LOADING });
+
+  const lastRequestRef = useRef(null);
+
+  useEffect(() => {
+
+    if (!isProviderSource) {
+      return;
+    }
+
+    if (!name) {
+      setOptionsGetter(buildErrorState('No options provider defined in the form definition'));
+      return;
+    }
+
+    if (!optionsProviderRegistry || !optionsProviderRegistry.get(name)) {
+      setOptionsGetter(buildErrorState(`Options provider <${ name }> is not registered`));
+      return;
+    }
+
+    const lastRequest = lastRequestRef.current;
+
+    // keep options while searching the same provider with the same parameters
+    const isSearch = !!lastRequest &&
+      lastRequest.name === name &&
+      isEqual(lastRequest.parameters, parameters) &&
+      isEqual(lastRequest.dependency, dependency);
+
+    const isSearchUpdate = isSearch && lastRequest.search !== search;
+
+    lastRequestRef.current = { name, parameters, dependency, search };
+
+    let canceled = false;
+
+    setOptionsGetter(optionsGetter => ({
+      options: isSearch ? optionsGetter.options : [],
+      error: undefined,
+      loadState: LOAD_STATES.LOADING
+    }));
+
+    const load = () => {
+      optionsProviderRegistry.getOptions(name, { field, parameters, dependency, search }).then(options => {
+
+        if (canceled) {
+          return;
+        }
+
+        setOptionsGetter(optionsGetter => buildLoadedState(
+          isSearch
+            ? mergeOptions(normalizeOptionsData(options), optionsGetter.options)
+            : normalizeOptionsData(options)
+        ));
+      }).catch(error => {
+
+        if (canceled) {
+          return;
+        }
+
+        setOptionsGetter(buildErrorState(error.message));
+      });
+    };
+
+    let timeout;
+
+    // debounce searches, load anything else right away
+    if (isSearchUpdate && delay) {
+      timeout = setTimeout(load, delay);
+    } else {
+      load();
+    }
+
+    return () => {
+      canceled = true;
+      clearTimeout(timeout);
+    };
+
+  }, [ isProviderSource, name, parameters, dependency, search, field, optionsProviderRegistry, delay ]);
+
+  return optionsGetter;
+}
+
+
+// helpers //////////
+
+/**
+ * Check whether the options of a field depend on another field, which has no value yet.
+ */
+function isDependencyMissing(field, dependencyValue) {
+  return !!field.valuesDependsOn && (
+    isNil(dependencyValue) || dependencyValue === '' || (Array.isArray(dependencyValue) && !dependencyValue.length)
+  );
+}
+
+/**
+ * Merge options, keeping the order of the latest options and dropping duplicate values.
+ */
+function mergeOptions(latestOptions, previousOptions) {
+  return [
+    ...latestOptions,
+    ...previousOptions.filter(previous => !latestOptions.some(latest => isEqual(latest.value, previous.value)))
+  ];
+}
+
 const buildErrorState = (error) => ({ options: [], error, loadState: LOAD_STATES.ERROR });
 
+const buildLoadingState = (options) => ({ options, error: undefined, loadState: LOAD_STATES.LOADING });
+
 const buildLoadedState = (options) => ({ options, error: undefined, loadState: LOAD_STATES.LOADED });
@@ -0,0 +1,24 @@
+import { useContext } from 'preact/hooks';
+import { get } from 'min-dash';
+import { LocalExpressionContext } from '../context/LocalExpressionContext';
+
+/**
+ * Retrieve the value of the form field the options of a field depend on, cf. `valuesDependsOn`.
+ *
+ * The dependency is resolved within the current scope, i.e. relative to the
+ * item of a repeating list the field is located in.
+ *
+ * @param {Object} field - The form field to resolve the options dependency for
+ * @return {any} - The value of the dependency, or undefined if the options do not depend on another field
+ */
+export function useOptionsDependency(field) {
+  const { valuesDependsOn } = field || {};
+
+  const expressionContextInfo = useContext(LocalExpressionContext);
+
+  if (!valuesDependsOn) {
+    return undefined;
+  }
+
+  return get(expressionContextInfo.this, valuesDependsOn.split('.'));
+}
@@ -0,0 +1,26 @@
+import { buildExpressionContext } from '../../util/simple';
+import { LocalExpressionContext } from '../context/LocalExpressionContext.js';
+import { useService } from './useService.js';
+import { useContext } from 'preact/hooks';
+
+/**
+ * Retrieve required value of a form field, given it can be an
+ * expression optionally.
+ *
+ * @param {any} formField
+ *
+ * @returns {boolean}
+ */
+export function useRequired(formField) {
+  const expressionLanguage = useService('expressionLanguage');
+  const conditionChecker = useService('conditionChecker', false);
+  const expressionContextInfo = useContext(LocalExpressionContext);
+
+  const { required } = formField.validate || {};
+
+  if (expressionLanguage && expressionLanguage.isExpression(required)) {
+    return conditionChecker ? conditionChecker.check(required, buildExpressionContext(expressionContextInfo)) === true : false;
+  }
+
+  return required || false;
+}
@@ -0,0 +1,174 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'preact/hooks';
+import { isObject } from 'min-dash';
+import isEqual from 'lodash/isEqual';
+import { LOAD_STATES } from './useOptionsAsync';
+import { useExpressionEvaluation } from './useExpressionEvaluation';
+import { useService } from './useService';
+
+/**
+ * @typedef {Object} TableDataGetter
+ * @property {Array<any>} rows - The rows of the requested page
+ * @property {number} total - The total amount of rows matching the sorting, filters and search
+ * @property {string|undefined} error - The error, in case the rows could not be loaded
+ * @property {(LOAD_STATES)} loadState - The rows' loading state, to use for conditional rendering
+ * @property {() => void} reload - Request the current page again
+ * @property {() => Promise<Array<any>>} loadAll - Request all rows matching the current state, e.g. to download them
+ */
+
+/**
+ * A hook to load the rows of a table from the data provider configured via `dataProvider`.
+ *
+ * Changes to filters and search are debounced. Rows of the previous request are kept while
+ * loading, so that the table does not collapse while paging.
+ *
+ * @param {Object} field - The table to load rows for
+ * @param {Object} state
+ * @param {number} state.page - The zero based page to load
+ * @param {number} [state.pageSize] - The amount of rows per page, all rows if not set
+ * @param {Object|null} state.sortBy
+ * @param {Object<string, string>} state.filters
+ * @param {string} state.search
+ * @return {TableDataGetter} tableDataGetter
+ */
+export function useTableData(field, state) {
+  const {
+    dataProvider
+  } = field;
+
+  const {
+    name,
+    parameters: parametersExpression
+  } = dataProvider || {};
+
+  const {
+    page,
+    pageSize,
+    sortBy,
+    filters,
+    search
+  } = state;
+
+  const isProviderSource = dataProvider !== undefined;
+
+  const tableDataProviderRegistry = useService('tableDataProviderRegistry', false);
+
+  const config = useService('config', false);
+  const debounce = config && config.debounce;
+  const delay = debounce === false ? 0 : typeof debounce === 'number' ? debounce : 300;
+
+  const evaluatedParameters = useExpressionEvaluation(parametersExpression);
+
+  // compare parameters by content, as they get re-evaluated on every data change
+  const parametersKey = JSON.stringify(isObject(evaluatedParameters) ? evaluatedParameters : {});
+  const parameters = useMemo(() => JSON.parse(parametersKey), [ parametersKey ]);
+
+  const [ tableData, setTableData ] = useState({ rows: [], total: 0, error: undefined, loadState: LOAD_STATES.LOADING });
+
+  const [ reloads, setReloads ] = useState(0);
+
+  const lastRequestRef = useRef(null);
+
+  useEffect(() => {
+
+    if (!isProviderSource) {
+      return;
+    }
+
+    if (!name) {
+      setTableData(buildErrorState('No table data provider defined in the form definition'));
+      return;
+    }
+
+    if (!tableDataProviderRegistry || !tableDataProviderRegistry.get(name)) {
+      setTableData(buildErrorState(`Table data provider <${ name }> is not registered`));
+      return;
+    }
+
+    const request = { name, parameters, page, pageSize, sortBy, filters, search };
+
+    const lastRequest = lastRequestRef.current;
+
+    // changing filters and search resets the page, too
+    const isFilterUpdate = !!lastRequest &&
+      (!isEqual(lastRequest.filters, filters) || lastRequest.search !== search) &&
+      isEqual({ ...lastRequest, page, filters, search }, request);
+
+    lastRequestRef.current = request;
+
+    let canceled = false;
+
+    setTableData(tableData => ({
+      ...tableData,
+      error: undefined,
+      loadState: LOAD_STATES.LOADING
+    }));
+
+    const load = () => {
+      tableDataProviderRegistry.getRows(name, {
+        field,
+        parameters,
+        page,
+        pageSize,
+        sortBy,
+        filters,
+        search
+      }).then(({ rows, total }) => {
+
+        if (canceled) {
+          return;
+        }
+
+        setTableData({ rows, total, error: undefined, loadState: LOAD_STATES.LOADED });
+      }).catch(error => {
+
+        if (canceled) {
+          return;
+        }
+
+        setTableData(buildErrorState(error.message));
+      });
+    };
+
+    let timeout;
+
+    // debounce typing into filters and search, load anything else right away
+    if (isFilterUpdate && delay) {
+      timeout = setTimeout(load, delay);
+    } else {
+      load();
+    }
+
+    return () => {
+      canceled = true;
+      clearTimeout(timeout);
+    };
+
+  }, [ isProviderSource, name, parameters, page, pageSize, sortBy, filters, search, field, tableDataProviderRegistry, delay, reloads ]);
+
+  const reload = useCallback(() => setReloads(reloads => reloads + 1), []);
+
+  const loadAll = useCallback(() => {
+    if (!tableDataProviderRegistry) {
+      return Promise.reject(new Error(`Table data provider <${ name }> is not registered`));
+    }
+
+    return tableDataProviderRegistry.getRows(name, {
+      field,
+      parameters,
+      sortBy,
+      filters,
+      search
+    }).then(({ rows }) => rows);
+  }, [ name, parameters, sortBy, filters, search, field, tableDataProviderRegistry ]);
+
+  return {
+    ...tableData,
+    reload,
+    loadAll
+  };
+}
+
+
+// helpers //////////
+
+const buildErrorState = (error) => ({ rows: [], total: 0, error, loadState: LOAD_STATES.ERROR });
@@ -0,0 +1,27 @@
+import { interpolate } from '../../core/Translator';
+
+import { useService } from './useService';
+
+/**
+ * Get a function translating message keys according to the current locale,
+ * falling back to the given default message.
+ *
+ * @example
+ *
+ * const translate = useTranslation();
+ *
+ * translate('filepicker.remove', { name }, 'Remove {name}');
+ *
+ * @returns {(key: string, values?: Object<string, any>, defaultMessage?: string) => string}
+ */
+export function useTranslation() {
+  const translator = useService('translator', false);
+
+  return (key, values = {}, defaultMessage = key) => {
+    if (!translator) {
+      return interpolate(defaultMessage, values);
+    }
+
+    return translator.translate(key, values, defaultMessage);
+  };
+}
@@ -12,18 +12,48 @@ export interface Errors {
 }
 
 export type FormProperty = ('readOnly' | 'disabled' | string);
-export type FormEvent = ('submit' | 'changed' | string);
+export type FormEvent = ('submit' | 'changed' | 'field.changed' | string);
+
+export type ValidateOn = ('change' | 'blur' | 'submit');
 
 export interface FormProperties {
   [x: string]: any;
 }
 
+export interface LocaleBundle {
+  [key: string]: string;
+}
+
+export interface I18nOptions {
+  locale?: string;
+  bundles?: {
+    [locale: string]: LocaleBundle;
+  };
+}
+
+export interface DraftStorage {
+  getItem(key: string): string | null | Promise<string | null>;
+  setItem(key: string, value: string): void | Promise<void>;
+  removeItem(key: string): void | Promise<void>;
+}
+
+export interface DraftOptions {
+  autoSave?: boolean;
+  debounce?: number;
+  key?: string;
+  storage?: DraftStorage;
+  version?: any;
+}
+
 export interface FormOptions {
   additionalModules?: Module[];
   container?: Element | null | string;
+  draft?: DraftOptions;
+  i18n?: I18nOptions;
   injector?: Injector;
   modules?: Module[];
   properties?: FormProperties;
+  validateOn?: ValidateOn;
 }
 
 export interface CreateFormOptions extends FormOptions {
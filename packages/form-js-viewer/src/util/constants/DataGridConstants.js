@@ -0,0 +1,9 @@
+/**
+ * The form field types a data grid accepts as columns.
+ */
+export const DATAGRID_COLUMN_TYPES = [
+  'checkbox',
+  'number',
+  'select',
+  'textfield'
+];
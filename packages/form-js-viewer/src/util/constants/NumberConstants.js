@@ -0,0 +1,13 @@
+export const NUMBER_FORMATS = {
+  DECIMAL: 'decimal',
+  CURRENCY: 'currency',
+  PERCENT: 'percent'
+};
+
+export const NUMBER_FORMAT_LABELS = {
+  [NUMBER_FORMATS.DECIMAL]: 'Decimal',
+  [NUMBER_FORMATS.CURRENCY]: 'Currency',
+  [NUMBER_FORMATS.PERCENT]: 'Percent'
+};
+
+export const DEFAULT_CURRENCY = 'EUR';
@@ -6,6 +6,7 @@ export const OPTIONS_SOURCES = {
   STATIC: 'static',
   INPUT: 'input',
   EXPRESSION: 'expression',
+  PROVIDER: 'provider',
 };
 
 export const OPTIONS_SOURCE_DEFAULT = OPTIONS_SOURCES.STATIC;
@@ -14,12 +15,14 @@ export const OPTIONS_SOURCES_LABELS = {
   [OPTIONS_SOURCES.STATIC]: 'Static',
   [OPTIONS_SOURCES.INPUT]: 'Input data',
   [OPTIONS_SOURCES.EXPRESSION]: 'Expression',
+  [OPTIONS_SOURCES.PROVIDER]: 'Provider',
 };
 
 export const OPTIONS_SOURCES_PATHS = {
   [OPTIONS_SOURCES.STATIC]: [ 'values' ],
   [OPTIONS_SOURCES.INPUT]: [ 'valuesKey' ],
   [OPTIONS_SOURCES.EXPRESSION]: [ 'valuesExpression' ],
+  [OPTIONS_SOURCES.PROVIDER]: [ 'valuesProvider' ],
 };
 
 export const OPTIONS_SOURCES_DEFAULTS = {
@@ -30,7 +33,10 @@ export const OPTIONS_SOURCES_DEFAULTS = {
     }
   ],
   [OPTIONS_SOURCES.INPUT]: '',
-  [OPTIONS_SOURCES.EXPRESSION]: '='
+  [OPTIONS_SOURCES.EXPRESSION]: '=',
+  [OPTIONS_SOURCES.PROVIDER]: {
+    name: ''
+  }
 };
 
 // helpers ///////////////////
@@ -0,0 +1,29 @@
+export const RICH_TEXT_FORMATS = {
+  MARKDOWN: 'markdown',
+  HTML: 'html'
+};
+
+export const RICH_TEXT_FORMAT_LABELS = {
+  [RICH_TEXT_FORMATS.MARKDOWN]: 'Markdown',
+  [RICH_TEXT_FORMATS.HTML]: 'HTML'
+};
+
+export const RICH_TEXT_FORMAT_PATH = [ 'richTextFormat' ];
+
+export const RICH_TEXT_TOOLBAR_ACTIONS = {
+  BOLD: 'bold',
+  ITALIC: 'italic',
+  BULLET_LIST: 'bulletList',
+  ORDERED_LIST: 'orderedList',
+  LINK: 'link'
+};
+
+export const RICH_TEXT_TOOLBAR_LABELS = {
+  [RICH_TEXT_TOOLBAR_ACTIONS.BOLD]: 'Bold',
+  [RICH_TEXT_TOOLBAR_ACTIONS.ITALIC]: 'Italic',
+  [RICH_TEXT_TOOLBAR_ACTIONS.BULLET_LIST]: 'Bulleted list',
+  [RICH_TEXT_TOOLBAR_ACTIONS.ORDERED_LIST]: 'Numbered list',
+  [RICH_TEXT_TOOLBAR_ACTIONS.LINK]: 'Link'
+};
+
+export const RICH_TEXT_TOOLBAR_PATH = [ 'toolbar' ];
@@ -0,0 +1,11 @@
+export const SIGNATURE_FORMATS = {
+  PNG: 'png',
+  SVG: 'svg'
+};
+
+export const SIGNATURE_FORMAT_LABELS = {
+  [SIGNATURE_FORMATS.PNG]: 'PNG image',
+  [SIGNATURE_FORMATS.SVG]: 'SVG image'
+};
+
+export const SIGNATURE_FORMAT_PATH = [ 'signatureFormat' ];
@@ -1,2 +1,7 @@
 export * from './DatetimeConstants';
-export * from './OptionsSourceConstants';
\ No newline at end of file
+export * from './OptionsSourceConstants';
+export * from './SignatureConstants';
+export * from './RichTextConstants';
+export * from './DataGridConstants';
+export * from './AddressConstants';
+export * from './NumberConstants';
\ No newline at end of file
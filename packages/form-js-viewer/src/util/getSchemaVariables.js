@@ -1,6 +1,6 @@
 import { FeelExpressionLanguage } from '../features/expressionLanguage/FeelExpressionLanguage.js';
 import { FeelersTemplating } from '../features/expressionLanguage/FeelersTemplating.js';
-import { FormFields } from '../render/FormFields.js';
+import { HeadlessFormFields } from '../core/headless/HeadlessFormFields.js';
 
 import { get } from 'min-dash';
 
@@ -13,15 +13,20 @@ const EXPRESSION_PROPERTIES = [
   'label',
   'source',
   'readonly',
+  'disabled',
   'text',
+  'validate.required',
   'validate.min',
   'validate.max',
   'validate.minLength',
   'validate.maxLength',
   'valuesExpression',
+  'valuesProvider.parameters',
   'url',
   'dataSource',
-  'columnsExpression'
+  'dataProvider.parameters',
+  'columnsExpression',
+  'expression'
 ];
 
 const TEMPLATE_PROPERTIES = [
@@ -70,7 +75,7 @@ const TEMPLATE_PROPERTIES = [
 export function getSchemaVariables(schema, options = {}) {
 
   const {
-    formFields = new FormFields(),
+    formFields = new HeadlessFormFields(),
     expressionLanguage = new FeelExpressionLanguage(null),
     templating = new FeelersTemplating(),
     inputs = true,
@@ -0,0 +1,132 @@
+const { expect } = require('chai');
+
+const path = require('path');
+
+const schema = {
+  type: 'default',
+  components: [
+    {
+      id: 'Name_1',
+      key: 'name',
+      label: 'Name',
+      type: 'textfield',
+      validate: {
+        required: true
+      }
+    },
+    {
+      id: 'List_1',
+      type: 'dynamiclist',
+      path: 'items',
+      isRepeating: true,
+      components: [
+        {
+          id: 'Amount_1',
+          key: 'amount',
+          label: 'Amount',
+          type: 'number',
+          validate: {
+            min: 1
+          }
+        }
+      ]
+    }
+  ]
+};
+
+
+describe('headless', function() {
+
+  let headless;
+
+  before(function() {
+    headless = require('../../dist/headless.cjs');
+  });
+
+
+  it('should expose API', function() {
+
+    // then
+    expect(headless.createHeadlessForm).to.exist;
+    expect(headless.HeadlessForm).to.exist;
+  });
+
+
+  it('should NOT load UI dependencies', function() {
+
+    // then
+    expect(typeof document).to.eql('undefined');
+
+    const uiModules = Object.keys(require.cache).filter(modulePath => {
+      return modulePath.split(path.sep).some(segment => segment === 'preact' || segment === 'dompurify');
+    });
+
+    expect(uiModules).to.be.empty;
+  });
+
+
+  it('should validate and submit data', async function() {
+
+    // given
+    const form = await headless.createHeadlessForm({
+      schema,
+      data: {
+        items: [ { amount: 0 }, { amount: 5 } ]
+      }
+    });
+
+    // when
+    const { errors } = await form.submit();
+
+    // then
+    expect(errors).to.eql({
+      Name_1: [ 'Field is required.' ],
+      Amount_1: [ [ 'Field must have minimum value of 1.' ] ]
+    });
+
+    // when
+    form.setValue('name', 'John Doe');
+    form.setValue('items.0.amount', 1);
+
+    const { data, errors: submitErrors } = await form.submit();
+
+    // then
+    expect(submitErrors).to.be.empty;
+
+    expect(data).to.eql({
+      name: 'John Doe',
+      items: [ { amount: 1 }, { amount: 5 } ]
+    });
+  });
+
+
+  it('should submit computed values', async function() {
+
+    // given
+    const form = await headless.createHeadlessForm({
+      schema: {
+        type: 'default',
+        components: [
+          { key: 'a', type: 'number' },
+          { key: 'b', type: 'number' },
+          { key: 'total', type: 'expression', expression: '=a + b' }
+        ]
+      },
+      data: {
+        a: 1,
+        b: 2
+      }
+    });
+
+    // when
+    const { data } = await form.submit();
+
+    // then
+    expect(data).to.eql({
+      a: 1,
+      b: 2,
+      total: 3
+    });
+  });
+
+});
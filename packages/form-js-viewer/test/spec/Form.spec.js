@@ -1,7 +1,8 @@
 import {
   act,
   fireEvent,
-  screen
+  screen,
+  waitFor
 } from '@testing-library/preact/pure';
 
 import {
@@ -22,13 +23,16 @@ import hiddenFieldsExpressionSchema from './hidden-fields-expression.json';
 import disabledSchema from './disabled.json';
 import schema from './form.json';
 import groupsSchema from './groups.json';
+import pagesSchema from './pages.json';
 import schemaNoIds from './form.json';
 import textSchema from './text.json';
 import textTemplateSchema from './text-template.json';
+import translationsSchema from './translations.json';
 import stress from './stress.json';
 import rowsSchema from './rows.json';
 import focusables from './focusables.json';
 import customFieldSchema from './customField.json';
+import expressionFieldsSchema from './expression-fields.json';
 
 import {
   insertCSS,
@@ -591,7 +595,7 @@ describe('Form', function() {
       });
 
       // when
-      const submission = form.submit();
+      const submission = await form.submit();
 
       // then
       expect(submission.data).to.deep.include({
@@ -704,6 +708,28 @@ describe('Form', function() {
     });
 
 
+    it('should add errors for container only', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        schema: pagesSchema
+      });
+
+      const page = form.get('formFieldRegistry').get('Page_2');
+
+      // when
+      const errors = form.validate({ container: page });
+
+      // then
+      expect(errors).to.eql({
+        Textfield_2: [
+          'Field is required.'
+        ]
+      });
+    });
+
+
     it('should NOT add errors for hidden fields', async function() {
 
       // given
@@ -834,7 +860,7 @@ describe('Form', function() {
   });
 
 
-  it('should throw error on submit if disabled', async function() {
+  it('should reject submit if disabled', async function() {
 
     // given
     const data = {
@@ -859,7 +885,7 @@ describe('Form', function() {
     let error;
 
     try {
-      form.submit();
+      await form.submit();
     } catch (_error) {
       error = _error;
     }
@@ -870,7 +896,7 @@ describe('Form', function() {
   });
 
 
-  it('should throw error on submit if readonly', async function() {
+  it('should reject submit if readonly', async function() {
 
     // given
     const data = {
@@ -895,7 +921,7 @@ describe('Form', function() {
     let error;
 
     try {
-      form.submit();
+      await form.submit();
     } catch (_error) {
       error = _error;
     }
@@ -924,7 +950,7 @@ describe('Form', function() {
     });
 
     // when
-    const submission = form.submit();
+    const submission = await form.submit();
 
     // then
     expect(submission.data).not.to.have.property('creditor');
@@ -951,7 +977,7 @@ describe('Form', function() {
     });
 
     // when
-    const submission = form.submit();
+    const submission = await form.submit();
 
     // then
     expect(submission.data).not.to.have.property('foo');
@@ -1119,7 +1145,7 @@ describe('Form', function() {
     });
 
     // when submit
-    const submission = form.submit();
+    const submission = await form.submit();
 
     // then
     expect(submission.data).to.deep.include({ ...data, creditor: 'Jane Doe Company' });
@@ -1294,228 +1320,1917 @@ describe('Form', function() {
     form.on('submit', submitListener);
 
     // when
-    form.submit();
+    await form.submit();
   });
 
 
-  describe('validation', function() {
+  describe('data grid', function() {
 
-    it('should display error if required field empty', async function() {
+    const dataGridSchema = {
+      type: 'default',
+      components: [
+        {
+          id: 'Items_1',
+          type: 'datagrid',
+          label: 'Items',
+          path: 'items',
+          isRepeating: true,
+          allowAddRemove: true,
+          components: [
+            {
+              id: 'Name_1',
+              key: 'name',
+              type: 'textfield',
+              label: 'Name',
+              validate: {
+                required: true
+              }
+            },
+            {
+              id: 'Amount_1',
+              key: 'amount',
+              type: 'number',
+              label: 'Amount'
+            }
+          ]
+        }
+      ]
+    };
+
+    const data = {
+      items: [
+        { name: 'Apples', amount: 3 },
+        { name: '', amount: 5 }
+      ]
+    };
 
-      // given
-      const data = {
-        creditor: 'John Doe Company',
-        amount: 456,
-        invoiceNumber: 'C-123',
-        approved: true,
-        approvedBy: 'John Doe',
-        mailto: [ 'regional-manager', 'approver' ],
-        product: 'camunda-cloud',
-        tags: [ 'tag1', 'tag2', 'tag3' ],
-        language: 'english',
-        documents: [
-          {
-            title: 'invoice.pdf',
-            author: 'John Doe'
-          },
-          {
-            title: 'products.pdf'
-          }
-        ]
-      };
 
+    it('should render rows', async function() {
+
+      // when
       await bootstrapForm({
         container,
         data,
-        schema
+        schema: dataGridSchema
       });
 
-      // when
-      const input = await screen.getByLabelText('Creditor*');
+      // then
+      const rows = container.querySelectorAll('.fjs-datagrid-row');
 
-      fireEvent.input(input, { target: { value: '' } });
+      expect(rows).to.have.length(2);
 
-      // then
-      expect(screen.getByText('Field is required.')).to.exist;
+      const inputs = rows[0].querySelectorAll('input');
+
+      expect(inputs[0].value).to.equal('Apples');
+      expect(inputs[1].value).to.equal('3');
     });
 
 
-    it('should display error if required field does not match pattern', async function() {
+    it('should place errors per cell', async function() {
 
       // given
-      const data = {
-        creditor: 'John Doe Company',
-        amount: 456,
-        invoiceNumber: 'C-123',
-        approved: true,
-        approvedBy: 'John Doe',
-        mailto: [ 'regional-manager', 'approver' ],
-        product: 'camunda-cloud',
-        tags: [ 'tag1', 'tag2', 'tag3' ],
-        language: 'english',
-        documents: [
-          {
-            title: 'invoice.pdf',
-            author: 'John Doe'
-          },
-          {
-            title: 'products.pdf'
-          }
-        ]
-      };
-
       await bootstrapForm({
         container,
         data,
-        schema
+        schema: dataGridSchema
       });
 
       // when
-      const input = await screen.getByLabelText('Invoice Number');
+      let errors;
 
-      fireEvent.input(input, { target: { value: 'foo' } });
+      await act(() => {
+        errors = form.validate();
+      });
 
       // then
-      expect(screen.getByText('Field must match pattern ^C-[0-9]+$.')).to.exist;
+      expect(errors.Name_1[0]).not.to.exist;
+      expect(errors.Name_1[1]).to.eql([ 'Field is required.' ]);
+
+      const rows = container.querySelectorAll('.fjs-datagrid-row');
+
+      expect(rows[0].querySelector('.fjs-form-field-error')).not.to.exist;
+      expect(rows[1].querySelector('.fjs-form-field-error').textContent).to.equal('Field is required.');
     });
 
-  });
 
+    it('should update cell', async function() {
 
-  describe('#submit', function() {
+      // given
+      await bootstrapForm({
+        container,
+        data,
+        schema: dataGridSchema
+      });
+
+      const input = container.querySelectorAll('.fjs-datagrid-row')[1].querySelector('input');
+
+      // when
+      await act(() => fireEvent.input(input, { target: { value: 'Pears' } }));
+
+      // then
+      expect(form._getState().data.items[1]).to.eql({ name: 'Pears', amount: 5 });
+    });
 
-    it('should submit fields for which condition is met (form variable)', async function() {
+
+    it('should add row', async function() {
 
       // given
-      const initialData = {
-        amount: 456,
-        text: 'value'
-      };
+      await bootstrapForm({
+        container,
+        data,
+        schema: dataGridSchema
+      });
+
+      // when
+      await act(() => fireEvent.click(container.querySelector('.fjs-datagrid-add')));
+
+      // then
+      expect(form._getState().data.items).to.eql([
+        { name: 'Apples', amount: 3 },
+        { name: '', amount: 5 },
+        { name: '', amount: null }
+      ]);
+
+      expect(container.querySelectorAll('.fjs-datagrid-row')).to.have.length(3);
+    });
 
+
+    it('should reorder rows', async function() {
+
+      // given
       await bootstrapForm({
         container,
-        data: initialData,
-        schema: conditionSchema
+        data,
+        schema: dataGridSchema
       });
 
       // when
-      const { data } = form.submit();
+      await act(() => fireEvent.click(container.querySelector('.fjs-datagrid-move-down')));
 
       // then
-      expect(data).to.have.property('text', 'value');
+      expect(form._getState().data.items).to.eql([
+        { name: '', amount: 5 },
+        { name: 'Apples', amount: 3 }
+      ]);
     });
 
 
-    it('should submit fields for which condition is met (external variable)', async function() {
+    it('should submit rows', async function() {
 
       // given
-      const schema = {
-        ...conditionSchema,
-        components: [
-          conditionSchema.components[0],
-          {
-            ...conditionSchema.components[1],
-            conditional: {
-              hide: '=externalVariable'
-            }
-          }
+      await bootstrapForm({
+        container,
+        data,
+        schema: dataGridSchema
+      });
+
+      // when
+      const submission = await form.submit();
+
+      // then
+      expect(submission.data).to.eql({
+        items: [
+          { name: 'Apples', amount: 3 },
+          { name: '', amount: 5 }
         ]
-      };
-      const initialData = {
-        externalVariable: false,
-        text: 'value'
-      };
+      });
+    });
+
+  });
+
+
+  describe('dirty tracking', function() {
+
+    const dirtySchema = {
+      type: 'default',
+      components: [
+        {
+          id: 'Name_1',
+          key: 'name',
+          type: 'textfield',
+          label: 'Name'
+        },
+        {
+          id: 'Items_1',
+          type: 'dynamiclist',
+          path: 'items',
+          isRepeating: true,
+          components: [
+            {
+              id: 'Item_1',
+              key: 'item',
+              type: 'textfield',
+              label: 'Item'
+            }
+          ]
+        }
+      ]
+    };
+
+    const data = {
+      name: 'John',
+      items: [ { item: 'a' }, { item: 'b' } ]
+    };
+
+
+    it('should NOT be dirty initially', async function() {
 
+      // when
       await bootstrapForm({
         container,
-        data: initialData,
-        schema
+        data,
+        schema: dirtySchema
+      });
+
+      // then
+      expect(form.isDirty()).to.be.false;
+      expect(form.getChangedFields()).to.be.empty;
+
+      expect(form._getState().touched).to.eql({});
+      expect(form._getState().dirty).to.eql({});
+    });
+
+
+    it('should track changed fields', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        data,
+        schema: dirtySchema
       });
 
       // when
-      const { data } = form.submit();
+      form._update({
+        field: getFormField(form, 'name'),
+        value: 'Jane'
+      });
+
+      form._update({
+        field: getFormField(form, 'item'),
+        indexes: { Items_1: 1 },
+        value: 'c'
+      });
 
       // then
-      expect(data).to.have.property('text', 'value');
+      expect(form.isDirty()).to.be.true;
+      expect(form.getChangedFields()).to.eql([ 'Name_1', 'Item_1' ]);
+
+      const { dirty } = form._getState();
+
+      expect(dirty.Name_1).to.be.true;
+      expect(dirty.Item_1[ 1 ]).to.be.true;
     });
 
 
-    it('should NOT submit fields for which condition is NOT met', async function() {
+    it('should NOT be dirty once initial value is restored', async function() {
 
       // given
-      const initialData = {
-        amount: 0,
-        text: 'value'
-      };
-
       await bootstrapForm({
         container,
-        data: initialData,
-        schema: conditionSchema
+        data,
+        schema: dirtySchema
+      });
+
+      const field = getFormField(form, 'name');
+
+      form._update({
+        field,
+        value: 'Jane'
       });
 
       // when
-      const { data } = form.submit();
+      form._update({
+        field,
+        value: 'John'
+      });
 
       // then
-      expect(data).not.to.have.property('text', 'value');
+      expect(form.isDirty()).to.be.false;
+      expect(form.getChangedFields()).to.be.empty;
     });
 
 
-    it('should NOT submit fields for which condition is NOT met (external variable)', async function() {
+    it('should track touched fields', async function() {
 
       // given
-      const schema = {
-        ...conditionSchema,
-        components: [
-          conditionSchema.components[0],
-          {
-            ...conditionSchema.components[1],
-            conditional: {
-              hide: '=externalVariable'
-            }
-          }
-        ]
-      };
-      const initialData = {
-        externalVariable: true,
-        text: 'value'
-      };
-
       await bootstrapForm({
         container,
-        data: initialData,
-        schema
+        data,
+        schema: dirtySchema
       });
 
       // when
-      const { data } = form.submit();
+      fireEvent.blur(screen.getByLabelText('Name'));
 
       // then
-      expect(data).not.to.have.property('text');
+      expect(form._getState().touched).to.eql({ Name_1: true });
+      expect(form.isDirty()).to.be.false;
     });
 
 
-    it('should NOT submit errors for hidden fields', async function() {
+    it('should emit <changed> with touched and dirty fields', async function() {
 
       // given
-      const initialData = {
-        checkbox_4u82gk: true
-      };
-
       await bootstrapForm({
         container,
-        data: initialData,
-        schema: conditionErrorsSchema
+        data,
+        schema: dirtySchema
       });
 
+      const changedListener = spy();
+
+      form.on('changed', changedListener);
+
       // when
-      const { errors } = form.submit();
-      const { errors: stateErrors } = form._getState();
+      form._update({
+        field: getFormField(form, 'name'),
+        value: 'Jane'
+      });
 
       // then
-      expect(errors).to.not.have.property('Field_17uk1c9');
-      expect(stateErrors).to.not.have.property('Field_17uk1c9');
+      expect(changedListener).to.have.been.calledOnce;
+
+      const { touched, dirty } = changedListener.getCall(0).args[0];
+
+      expect(touched).to.eql({});
+      expect(dirty).to.eql({ Name_1: true });
+    });
+
+
+    it('should reset', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        data,
+        schema: dirtySchema
+      });
+
+      fireEvent.blur(screen.getByLabelText('Name'));
+
+      form._update({
+        field: getFormField(form, 'name'),
+        value: 'Jane'
+      });
+
+      // when
+      form.reset();
+
+      // then
+      expect(form.isDirty()).to.be.false;
+
+      expect(form._getState().touched).to.eql({});
+      expect(form._getState().dirty).to.eql({});
+    });
+
+  });
+
+
+  describe('field values', function() {
+
+    const valuesSchema = {
+      type: 'default',
+      components: [
+        {
+          id: 'Name_1',
+          key: 'name',
+          type: 'textfield',
+          label: 'Name'
+        },
+        {
+          id: 'Items_1',
+          type: 'dynamiclist',
+          path: 'items',
+          isRepeating: true,
+          components: [
+            {
+              id: 'Item_1',
+              key: 'item',
+              type: 'textfield',
+              label: 'Item'
+            }
+          ]
+        }
+      ]
+    };
+
+    const data = {
+      name: 'John',
+      items: [ { item: 'a' }, { item: 'b' } ]
+    };
+
+
+    it('should render value set', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        data,
+        schema: valuesSchema
+      });
+
+      // when
+      await act(() => form.setValue('items.1.item', 'c'));
+
+      // then
+      const inputs = container.querySelectorAll('.fjs-form-field-textfield input');
+
+      expect(inputs[ 2 ].value).to.equal('c');
+      expect(form.getChangedFields()).to.eql([ 'Item_1' ]);
+    });
+
+
+    it('should render data set', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        data,
+        schema: valuesSchema
+      });
+
+      // when
+      await act(() => form.setData({ name: 'Jane' }));
+
+      // then
+      expect(screen.getByLabelText('Name').value).to.equal('Jane');
+    });
+
+
+    it('should render errors set', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        data,
+        schema: valuesSchema
+      });
+
+      // when
+      await act(() => form.setErrors({
+        name: 'Name is taken.',
+        'items.0.item': 'Item is unknown.'
+      }));
+
+      // then
+      const errorMessages = container.querySelectorAll('.fjs-form-field-error');
+
+      expect(Array.from(errorMessages).map(element => element.textContent)).to.eql([
+        'Name is taken.',
+        'Item is unknown.'
+      ]);
+    });
+
+  });
+
+
+  describe('computed fields', function() {
+
+    const data = {
+      price: 10,
+      quantity: 3,
+      taxRate: 0.5,
+      firstName: 'John',
+      lastName: 'Doe'
+    };
+
+
+    it('should compute on import', async function() {
+
+      // when
+      await bootstrapForm({
+        container,
+        data,
+        schema: expressionFieldsSchema
+      });
+
+      // then
+      expect(form._getState().data).to.include({
+        total: 45,
+        fullName: 'John Doe'
+      });
+
+      expect(container.querySelector('.fjs-form-field-expression input').value).to.equal('45');
+    });
+
+
+    it('should NOT render hidden', async function() {
+
+      // when
+      await bootstrapForm({
+        container,
+        data,
+        schema: expressionFieldsSchema
+      });
+
+      // then
+      expect(container.querySelectorAll('.fjs-form-field-expression')).to.have.length(1);
+    });
+
+
+    it('should recompute on change', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        data,
+        schema: expressionFieldsSchema
+      });
+
+      // when
+      await act(() => form._update({
+        field: getFormField(form, 'quantity'),
+        value: 4
+      }));
+
+      // then
+      expect(form._getState().data.total).to.equal(60);
+    });
+
+
+    it('should submit computed values', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        data,
+        schema: expressionFieldsSchema
+      });
+
+      // when
+      const { data: submitData } = await form.submit();
+
+      // then
+      expect(submitData).to.eql({
+        price: 10,
+        quantity: 3,
+        total: 45,
+        firstName: 'John',
+        lastName: 'Doe',
+        fullName: 'John Doe'
+      });
+    });
+
+
+    it('should NOT be dirty through computed values', async function() {
+
+      // when
+      await bootstrapForm({
+        container,
+        data,
+        schema: expressionFieldsSchema
+      });
+
+      // then
+      expect(form.isDirty()).to.be.false;
+    });
+
+
+    it('should warn about cycles on import', async function() {
+
+      // given
+      const schema = {
+        type: 'default',
+        components: [
+          {
+            type: 'expression',
+            key: 'a',
+            expression: '=b + 1'
+          },
+          {
+            type: 'expression',
+            key: 'b',
+            expression: '=a + 1'
+          },
+          {
+            type: 'expression',
+            key: 'c',
+            expression: '=a + 1'
+          }
+        ]
+      };
+
+      form = new Form();
+
+      // when
+      const { warnings } = await form.importSchema(schema);
+
+      // then
+      expect(warnings).to.have.length(1);
+      expect(warnings[0].message).to.equal('computed fields depend on each other in a cycle: <a> -> <b> -> <a>');
+    });
+
+  });
+
+
+  describe('disabled and required expressions', function() {
+
+    const schema = {
+      type: 'default',
+      components: [
+        {
+          id: 'Amount',
+          key: 'amount',
+          type: 'number',
+          label: 'Amount'
+        },
+        {
+          id: 'Approver',
+          key: 'approver',
+          type: 'textfield',
+          label: 'Approver',
+          validate: {
+            required: '=amount > 1000'
+          }
+        },
+        {
+          id: 'Discount',
+          key: 'discount',
+          type: 'number',
+          label: 'Discount',
+          disabled: '=amount < 100',
+          validate: {
+            max: 10
+          }
+        },
+        {
+          id: 'Items',
+          type: 'dynamiclist',
+          path: 'items',
+          isRepeating: true,
+          components: [
+            {
+              id: 'Item_Name',
+              key: 'name',
+              type: 'textfield',
+              label: 'Name'
+            },
+            {
+              id: 'Item_Reason',
+              key: 'reason',
+              type: 'textfield',
+              label: 'Reason',
+              validate: {
+                required: '=this.name = "other"'
+              }
+            },
+            {
+              id: 'Item_Price',
+              key: 'price',
+              type: 'number',
+              label: 'Price',
+              disabled: '=i[1] = 1'
+            }
+          ]
+        }
+      ]
+    };
+
+
+    it('should validate required expression', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        data: { amount: 5000 },
+        schema
+      });
+
+      // when
+      const errors = form.validate();
+
+      // then
+      expect(errors).to.eql({
+        Approver: [ 'Field is required.' ]
+      });
+    });
+
+
+    it('should NOT validate required expression that is NOT met', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        data: { amount: 500 },
+        schema
+      });
+
+      // when
+      const errors = form.validate();
+
+      // then
+      expect(errors).to.be.empty;
+    });
+
+
+    it('should validate required expression within repetition', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        data: {
+          amount: 500,
+          items: [
+            { name: 'other' },
+            { name: 'foo' }
+          ]
+        },
+        schema
+      });
+
+      // when
+      const errors = form.validate();
+
+      // then
+      expect(errors.Item_Reason[ 0 ]).to.eql([ 'Field is required.' ]);
+      expect(errors.Item_Reason[ 1 ]).not.to.exist;
+    });
+
+
+    it('should NOT validate disabled expression that is met', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        data: {
+          amount: 50,
+          discount: 20
+        },
+        schema
+      });
+
+      // when
+      const errors = form.validate();
+
+      // then
+      expect(errors).not.to.have.property('Discount');
+    });
+
+
+    it('should NOT submit disabled expression that is met', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        data: {
+          amount: 50,
+          discount: 5
+        },
+        schema
+      });
+
+      // when
+      const { data } = await form.submit();
+
+      // then
+      expect(data).not.to.have.property('discount');
+    });
+
+
+    it('should submit disabled expression that is NOT met', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        data: {
+          amount: 500,
+          discount: 5
+        },
+        schema
+      });
+
+      // when
+      const { data } = await form.submit();
+
+      // then
+      expect(data).to.have.property('discount', 5);
+    });
+
+
+    it('should submit disabled expression within repetition', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        data: {
+          amount: 500,
+          items: [
+            { name: 'foo', price: 1 },
+            { name: 'bar', price: 2 }
+          ]
+        },
+        schema
+      });
+
+      // when
+      const { data } = await form.submit();
+
+      // then
+      expect(data.items[ 0 ]).not.to.have.property('price');
+      expect(data.items[ 1 ]).to.have.property('price', 2);
+    });
+
+  });
+
+
+  describe('validation', function() {
+
+    it('should display error if required field empty', async function() {
+
+      // given
+      const data = {
+        creditor: 'John Doe Company',
+        amount: 456,
+        invoiceNumber: 'C-123',
+        approved: true,
+        approvedBy: 'John Doe',
+        mailto: [ 'regional-manager', 'approver' ],
+        product: 'camunda-cloud',
+        tags: [ 'tag1', 'tag2', 'tag3' ],
+        language: 'english',
+        documents: [
+          {
+            title: 'invoice.pdf',
+            author: 'John Doe'
+          },
+          {
+            title: 'products.pdf'
+          }
+        ]
+      };
+
+      await bootstrapForm({
+        container,
+        data,
+        schema
+      });
+
+      // when
+      const input = await screen.getByLabelText('Creditor*');
+
+      fireEvent.input(input, { target: { value: '' } });
+
+      // then
+      expect(screen.getByText('Field is required.')).to.exist;
+    });
+
+
+    it('should display error if required field does not match pattern', async function() {
+
+      // given
+      const data = {
+        creditor: 'John Doe Company',
+        amount: 456,
+        invoiceNumber: 'C-123',
+        approved: true,
+        approvedBy: 'John Doe',
+        mailto: [ 'regional-manager', 'approver' ],
+        product: 'camunda-cloud',
+        tags: [ 'tag1', 'tag2', 'tag3' ],
+        language: 'english',
+        documents: [
+          {
+            title: 'invoice.pdf',
+            author: 'John Doe'
+          },
+          {
+            title: 'products.pdf'
+          }
+        ]
+      };
+
+      await bootstrapForm({
+        container,
+        data,
+        schema
+      });
+
+      // when
+      const input = await screen.getByLabelText('Invoice Number');
+
+      fireEvent.input(input, { target: { value: 'foo' } });
+
+      // then
+      expect(screen.getByText('Field must match pattern ^C-[0-9]+$.')).to.exist;
+    });
+
+
+    describe('validation mode', function() {
+
+      const validateOnSchema = {
+        type: 'default',
+        components: [
+          {
+            id: 'Name_1',
+            key: 'name',
+            type: 'textfield',
+            label: 'Name',
+            validate: {
+              minLength: 3
+            }
+          }
+        ]
+      };
+
+      const changeName = (value) => act(() => {
+        fireEvent.input(screen.getByLabelText('Name'), { target: { value } });
+      });
+
+      const blurName = () => act(() => {
+        fireEvent.blur(screen.getByLabelText('Name'));
+      });
+
+
+      it('should report errors on change by default', async function() {
+
+        // given
+        await bootstrapForm({
+          container,
+          schema: validateOnSchema
+        });
+
+        // when
+        await changeName('a');
+
+        // then
+        expect(form._getState().errors).to.have.property('Name_1');
+      });
+
+
+      describe('blur', function() {
+
+        it('should NOT report errors on change', async function() {
+
+          // given
+          await bootstrapForm({
+            container,
+            schema: validateOnSchema,
+            validateOn: 'blur'
+          });
+
+          // when
+          await changeName('a');
+
+          // then
+          expect(form._getState().errors).to.eql({});
+          expect(screen.queryByText('Field must have minimum length of 3.')).not.to.exist;
+        });
+
+
+        it('should report errors on blur', async function() {
+
+          // given
+          await bootstrapForm({
+            container,
+            schema: validateOnSchema,
+            validateOn: 'blur'
+          });
+
+          await changeName('a');
+
+          // when
+          await blurName();
+
+          // then
+          expect(form._getState().errors).to.have.property('Name_1');
+        });
+
+
+        it('should report errors on change once touched', async function() {
+
+          // given
+          await bootstrapForm({
+            container,
+            schema: validateOnSchema,
+            validateOn: 'blur'
+          });
+
+          await changeName('abc');
+          await blurName();
+
+          // when
+          await changeName('a');
+
+          // then
+          expect(form._getState().errors).to.have.property('Name_1');
+        });
+
+      });
+
+
+      describe('submit', function() {
+
+        it('should NOT report errors on blur', async function() {
+
+          // given
+          await bootstrapForm({
+            container,
+            schema: validateOnSchema,
+            validateOn: 'submit'
+          });
+
+          await changeName('a');
+
+          // when
+          await blurName();
+
+          // then
+          expect(form._getState().errors).to.eql({});
+        });
+
+
+        it('should report errors on submit', async function() {
+
+          // given
+          await bootstrapForm({
+            container,
+            schema: validateOnSchema,
+            validateOn: 'submit'
+          });
+
+          await changeName('a');
+
+          // when
+          let errors;
+
+          await act(async () => {
+            ({ errors } = await form.submit());
+          });
+
+          // then
+          expect(errors).to.have.property('Name_1');
+          expect(form._getState().errors).to.have.property('Name_1');
+        });
+
+
+        it('should report errors on change once submitted', async function() {
+
+          // given
+          await bootstrapForm({
+            container,
+            schema: validateOnSchema,
+            validateOn: 'submit'
+          });
+
+          await act(() => form.submit());
+
+          // when
+          await changeName('a');
+
+          // then
+          expect(form._getState().errors).to.have.property('Name_1');
+        });
+
+      });
+
+    });
+
+
+    describe('custom validators', function() {
+
+      const customValidationSchema = {
+        type: 'default',
+        components: [
+          {
+            id: 'Textfield_1',
+            key: 'username',
+            label: 'Username',
+            type: 'textfield',
+            validate: {
+              custom: 'uniqueUsername'
+            }
+          }
+        ]
+      };
+
+      function registerValidator(validate) {
+        form.get('validatorRegistry').register('uniqueUsername', {
+          label: 'Unique username',
+          validate
+        });
+      }
+
+
+      it('should display error of async validator', async function() {
+
+        // given
+        await bootstrapForm({
+          container,
+          schema: customValidationSchema
+        });
+
+        registerValidator((value) => Promise.resolve(value === 'admin' ? 'Username is already taken.' : true));
+
+        const input = screen.getByLabelText('Username');
+
+        // when
+        await act(async () => {
+          fireEvent.input(input, { target: { value: 'admin' } });
+
+          await form.get('validator').whenSettled();
+        });
+
+        // then
+        expect(screen.getByText('Username is already taken.')).to.exist;
+      });
+
+
+      it('should track pending state', async function() {
+
+        // given
+        let resolve;
+
+        await bootstrapForm({
+          container,
+          schema: customValidationSchema
+        });
+
+        registerValidator(() => new Promise(_resolve => resolve = _resolve));
+
+        const field = getFormField(form, 'username');
+
+        // when
+        form._update({
+          field,
+          value: 'admin'
+        });
+
+        // then
+        expect(form._getState().pending).to.eql({ Textfield_1: true });
+
+        // but when
+        resolve('Username is already taken.');
+
+        await new Promise(resolve => setTimeout(resolve));
+
+        // then
+        expect(form._getState().pending).not.to.have.property('Textfield_1');
+        expect(form._getState().errors).to.eql({
+          Textfield_1: [ 'Username is already taken.' ]
+        });
+      });
+
+
+      it('should ignore outdated results', async function() {
+
+        // given
+        const resolvers = {};
+
+        await bootstrapForm({
+          container,
+          schema: customValidationSchema
+        });
+
+        registerValidator((value) => new Promise(resolve => resolvers[ value ] = resolve));
+
+        const field = getFormField(form, 'username');
+
+        form._update({ field, value: 'adm' });
+        form._update({ field, value: 'admin' });
+
+        // when
+        resolvers[ 'admin' ](true);
+        resolvers[ 'adm' ]('Username is already taken.');
+
+        await new Promise(resolve => setTimeout(resolve));
+
+        // then
+        expect(form._getState().errors).to.be.empty;
+      });
+
+
+      it('should await async validators on submit', async function() {
+
+        // given
+        await bootstrapForm({
+          container,
+          data: {
+            username: 'admin'
+          },
+          schema: customValidationSchema
+        });
+
+        registerValidator(() => Promise.resolve('Username is already taken.'));
+
+        // when
+        const { errors } = await form.submit();
+
+        // then
+        expect(errors).to.eql({
+          Textfield_1: [ 'Username is already taken.' ]
+        });
+      });
+
+
+      it('should validate async', async function() {
+
+        // given
+        await bootstrapForm({
+          container,
+          data: {
+            username: 'admin'
+          },
+          schema: customValidationSchema
+        });
+
+        registerValidator(() => Promise.resolve('Username is already taken.'));
+
+        // when
+        const errors = await form.validateAsync();
+
+        // then
+        expect(errors).to.eql({
+          Textfield_1: [ 'Username is already taken.' ]
+        });
+      });
+
+    });
+
+    it('should display translated errors', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        i18n: {
+          locale: 'de',
+          bundles: {
+            de: {
+              'validation.required': 'Feld ist erforderlich.'
+            }
+          }
+        },
+        schema: {
+          type: 'default',
+          components: [
+            {
+              id: 'Textfield_1',
+              key: 'name',
+              label: 'Name',
+              type: 'textfield',
+              validate: {
+                required: true
+              }
+            }
+          ]
+        }
+      });
+
+      // when
+      await act(() => form.validate());
+
+      // then
+      expect(screen.getByText('Feld ist erforderlich.')).to.exist;
+    });
+
+
+    describe('validation expressions', function() {
+
+      const expressionSchema = {
+        type: 'default',
+        components: [
+          {
+            id: 'Textfield_1',
+            key: 'email',
+            label: 'Email',
+            type: 'textfield'
+          },
+          {
+            id: 'Textfield_2',
+            key: 'confirmEmail',
+            label: 'Confirm email',
+            type: 'textfield',
+            validate: {
+              expression: '=confirmEmail = email',
+              expressionMessage: 'Emails must match.'
+            }
+          }
+        ]
+      };
+
+
+      it('should display error', async function() {
+
+        // given
+        await bootstrapForm({
+          container,
+          data: {
+            email: 'john@doe.com'
+          },
+          schema: expressionSchema
+        });
+
+        const input = screen.getByLabelText('Confirm email');
+
+        // when
+        fireEvent.input(input, { target: { value: 'jane@doe.com' } });
+
+        // then
+        expect(screen.getByText('Emails must match.')).to.exist;
+      });
+
+
+      it('should re-validate dependent field', async function() {
+
+        // given
+        await bootstrapForm({
+          container,
+          data: {
+            email: 'john@doe.com',
+            confirmEmail: 'john@doe.com'
+          },
+          schema: expressionSchema
+        });
+
+        // when
+        form._update({
+          field: getFormField(form, 'email'),
+          value: 'jane@doe.com'
+        });
+
+        // then
+        expect(form._getState().errors).to.eql({
+          Textfield_2: [ 'Emails must match.' ]
+        });
+
+        // but when
+        form._update({
+          field: getFormField(form, 'email'),
+          value: 'john@doe.com'
+        });
+
+        // then
+        expect(form._getState().errors).to.be.empty;
+      });
+
+
+      it('should not validate empty dependent field', async function() {
+
+        // given
+        await bootstrapForm({
+          container,
+          schema: expressionSchema
+        });
+
+        // when
+        form._update({
+          field: getFormField(form, 'email'),
+          value: 'jane@doe.com'
+        });
+
+        // then
+        expect(form._getState().errors).to.be.empty;
+      });
+
+    });
+
+  });
+
+
+  describe('translations', function() {
+
+    it('should render translations', async function() {
+
+      // when
+      await bootstrapForm({
+        container,
+        i18n: {
+          locale: 'de'
+        },
+        schema: translationsSchema
+      });
+
+      // then
+      expect(screen.getByLabelText('Land')).to.exist;
+      expect(screen.getByText('Wie im Ausweis')).to.exist;
+      expect(screen.getByText('Hr./Fr.')).to.exist;
+      expect(screen.getByText('Absenden')).to.exist;
+    });
+
+
+    it('should render option translations', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        data: {
+          country: 'fr'
+        },
+        i18n: {
+          locale: 'de'
+        },
+        schema: translationsSchema
+      });
+
+      // then
+      const select = container.querySelector('.fjs-form-field-select');
+
+      expect(select.textContent).to.contain('Frankreich');
+    });
+
+
+    it('should render defaults without translations', async function() {
+
+      // when
+      await bootstrapForm({
+        container,
+        i18n: {
+          locale: 'es'
+        },
+        schema: translationsSchema
+      });
+
+      // then
+      expect(screen.getByLabelText('Country')).to.exist;
+      expect(screen.getByText('As in your passport')).to.exist;
+      expect(screen.getByText('Submit')).to.exist;
+    });
+
+
+    it('should switch locale', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        i18n: {
+          locale: 'de'
+        },
+        schema: translationsSchema
+      });
+
+      // when
+      await act(() => form.setLocale('fr'));
+
+      // then
+      expect(form.getLocale()).to.equal('fr');
+
+      expect(screen.getByLabelText('Pays')).to.exist;
+      expect(screen.getByText('Comme dans votre passeport')).to.exist;
+      expect(screen.getByText('M./Mme')).to.exist;
+      expect(screen.getByText('Envoyer')).to.exist;
+    });
+
+
+    it('should keep data on locale switch', async function() {
+
+      // given
+      await bootstrapForm({
+        container,
+        data: {
+          name: 'Jean'
+        },
+        i18n: {
+          locale: 'de'
+        },
+        schema: translationsSchema
+      });
+
+      // when
+      await act(() => form.setLocale('fr'));
+
+      // then
+      expect(screen.getByLabelText('Nom').value).to.equal('Jean');
+    });
+
+  });
+
+
+  describe('#submit', function() {
+
+    it('should submit fields for which condition is met (form variable)', async function() {
+
+      // given
+      const initialData = {
+        amount: 456,
+        text: 'value'
+      };
+
+      await bootstrapForm({
+        container,
+        data: initialData,
+        schema: conditionSchema
+      });
+
+      // when
+      const { data } = await form.submit();
+
+      // then
+      expect(data).to.have.property('text', 'value');
+    });
+
+
+    it('should submit fields for which condition is met (external variable)', async function() {
+
+      // given
+      const schema = {
+        ...conditionSchema,
+        components: [
+          conditionSchema.components[0],
+          {
+            ...conditionSchema.components[1],
+            conditional: {
+              hide: '=externalVariable'
+            }
+          }
+        ]
+      };
+      const initialData = {
+        externalVariable: false,
+        text: 'value'
+      };
+
+      await bootstrapForm({
+        container,
+        data: initialData,
+        schema
+      });
+
+      // when
+      const { data } = await form.submit();
+
+      // then
+      expect(data).to.have.property('text', 'value');
+    });
+
+
+    it('should NOT submit fields for which condition is NOT met', async function() {
+
+      // given
+      const initialData = {
+        amount: 0,
+        text: 'value'
+      };
+
+      await bootstrapForm({
+        container,
+        data: initialData,
+        schema: conditionSchema
+      });
+
+      // when
+      const { data } = await form.submit();
+
+      // then
+      expect(data).not.to.have.property('text', 'value');
+    });
+
+
+    it('should NOT submit fields for which condition is NOT met (external variable)', async function() {
+
+      // given
+      const schema = {
+        ...conditionSchema,
+        components: [
+          conditionSchema.components[0],
+          {
+            ...conditionSchema.components[1],
+            conditional: {
+              hide: '=externalVariable'
+            }
+          }
+        ]
+      };
+      const initialData = {
+        externalVariable: true,
+        text: 'value'
+      };
+
+      await bootstrapForm({
+        container,
+        data: initialData,
+        schema
+      });
+
+      // when
+      const { data } = await form.submit();
+
+      // then
+      expect(data).not.to.have.property('text');
+    });
+
+
+    it('should NOT submit errors for hidden fields', async function() {
+
+      // given
+      const initialData = {
+        checkbox_4u82gk: true
+      };
+
+      await bootstrapForm({
+        container,
+        data: initialData,
+        schema: conditionErrorsSchema
+      });
+
+      // when
+      const { errors } = await form.submit();
+      const { errors: stateErrors } = form._getState();
+
+      // then
+      expect(errors).to.not.have.property('Field_17uk1c9');
+      expect(stateErrors).to.not.have.property('Field_17uk1c9');
+    });
+
+  });
+
+
+  describe('submit pipeline', function() {
+
+    const submitSchema = {
+      type: 'default',
+      components: [
+        {
+          id: 'Name_1',
+          key: 'name',
+          type: 'textfield',
+          label: 'Name',
+          validate: {
+            required: true
+          }
+        },
+        {
+          id: 'Items_1',
+          type: 'dynamiclist',
+          path: 'items',
+          isRepeating: true,
+          components: [
+            {
+              id: 'Item_1',
+              key: 'item',
+              type: 'textfield',
+              label: 'Item'
+            }
+          ]
+        },
+        {
+          id: 'Submit_1',
+          type: 'button',
+          action: 'submit',
+          label: 'Submit'
+        }
+      ]
+    };
+
+    const data = {
+      name: 'John',
+      items: [ { item: 'a' }, { item: 'b' } ]
+    };
+
+    const bootstrapSubmitForm = (options = {}) => bootstrapForm({
+      container,
+      data,
+      schema: submitSchema,
+      ...options
+    });
+
+    /**
+     * A local stub of a remote submit handler, resolving or rejecting on demand.
+     */
+    function createHandlerStub() {
+      const handler = spy(() => new Promise((resolve, reject) => {
+        handler.resolve = resolve;
+        handler.reject = reject;
+      }));
+
+      return handler;
+    }
+
+
+    it('should submit data via handler', async function() {
+
+      // given
+      await bootstrapSubmitForm();
+
+      const handler = spy(() => Promise.resolve({ id: 'invoice-1' }));
+
+      form.get('submitPipeline').setHandler(handler);
+
+      const submitListener = spy();
+
+      form.on('submit', submitListener);
+
+      // when
+      const result = await form.submit();
+
+      // then
+      expect(handler).to.have.been.calledOnce;
+      expect(handler.getCall(0).args[0]).to.eql(data);
+
+      expect(result).to.eql({
+        data,
+        errors: {},
+        response: { id: 'invoice-1' }
+      });
+
+      expect(submitListener).to.have.been.calledOnce;
+    });
+
+
+    it('should NOT call handler on validation errors', async function() {
+
+      // given
+      await bootstrapSubmitForm({
+        data: {}
+      });
+
+      const handler = spy(() => Promise.resolve());
+
+      form.get('submitPipeline').setHandler(handler);
+
+      // when
+      const { errors } = await form.submit();
+
+      // then
+      expect(errors).to.have.property('Name_1');
+      expect(handler).not.to.have.been.called;
+    });
+
+
+    it('should transform data', async function() {
+
+      // given
+      await bootstrapSubmitForm();
+
+      const submitPipeline = form.get('submitPipeline');
+
+      const handler = spy(() => Promise.resolve());
+
+      submitPipeline.registerTransformer(data => ({ ...data, name: data.name.toUpperCase() }));
+      submitPipeline.registerTransformer(data => Promise.resolve({ ...data, source: 'web' }));
+
+      submitPipeline.setHandler(handler);
+
+      // when
+      const result = await form.submit();
+
+      // then
+      expect(handler.getCall(0).args[0]).to.eql({ ...data, name: 'JOHN', source: 'web' });
+      expect(result.data).to.eql({ ...data, name: 'JOHN', source: 'web' });
+
+      // data of the form is kept
+      expect(form._getState().data.name).to.eql('John');
+    });
+
+
+    it('should map errors of validators', async function() {
+
+      // given
+      await bootstrapSubmitForm();
+
+      const submitPipeline = form.get('submitPipeline');
+
+      const handler = spy(() => Promise.resolve());
+
+      submitPipeline.registerValidator(data => Promise.resolve({
+        'name': 'Name is taken.',
+        'items.1.item': [ 'Item is out of stock.' ]
+      }));
+
+      submitPipeline.setHandler(handler);
+
+      // when
+      const { errors } = await form.submit();
+
+      // then
+      expect(handler).not.to.have.been.called;
+
+      expect(errors).to.eql({
+        Name_1: [ 'Name is taken.' ],
+        Item_1: [ undefined, [ 'Item is out of stock.' ] ]
+      });
+
+      expect(form._getState().errors).to.eql(errors);
+    });
+
+
+    it('should map field errors of handler', async function() {
+
+      // given
+      await bootstrapSubmitForm();
+
+      form.get('submitPipeline').setHandler(() => {
+        const error = new Error('validation failed');
+
+        error.errors = {
+          'name': [ 'Name is taken.' ],
+          'unknown': [ 'Something is off.' ]
+        };
+
+        return Promise.reject(error);
+      });
+
+      // when
+      let errors;
+
+      await act(async () => {
+        ({ errors } = await form.submit());
+      });
+
+      // then
+      expect(errors).to.eql({
+        Name_1: [ 'Name is taken.' ],
+        unknown: [ 'Something is off.' ]
+      });
+
+      expect(screen.getByText('Name is taken.')).to.exist;
+    });
+
+
+    it('should reject on handler failure', async function() {
+
+      // given
+      await bootstrapSubmitForm();
+
+      form.get('submitPipeline').setHandler(() => Promise.reject(new Error('network error')));
+
+      const errorListener = spy();
+
+      form.on('submit.error', errorListener);
+
+      // when
+      let error;
+
+      try {
+        await form.submit();
+      } catch (e) {
+        error = e;
+      }
+
+      // then
+      expect(error.message).to.eql('network error');
+      expect(errorListener).to.have.been.calledOnce;
+
+      expect(form._getState().submitting).to.be.false;
+    });
+
+
+    describe('submitting', function() {
+
+      it('should enter submitting state', async function() {
+
+        // given
+        await bootstrapSubmitForm();
+
+        const handler = createHandlerStub();
+
+        form.get('submitPipeline').setHandler(handler);
+
+        // when
+        let submission;
+
+        await act(() => {
+          submission = form.submit();
+        });
+
+        await waitFor(() => expect(handler).to.have.been.calledOnce);
+
+        // then
+        expect(form._getState().submitting).to.be.true;
+
+        const button = container.querySelector('.fjs-button');
+
+        expect(button.disabled).to.be.true;
+        expect(button.classList.contains('fjs-button-submitting')).to.be.true;
+
+        // but when
+        await act(async () => {
+          handler.resolve();
+
+          await submission;
+        });
+
+        // then
+        expect(form._getState().submitting).to.be.false;
+        expect(button.disabled).to.be.false;
+        expect(button.classList.contains('fjs-button-submitting')).to.be.false;
+      });
+
+
+      it('should NOT submit twice', async function() {
+
+        // given
+        await bootstrapSubmitForm();
+
+        const handler = createHandlerStub();
+
+        form.get('submitPipeline').setHandler(handler);
+
+        form.submit();
+
+        // when
+        let error;
+
+        try {
+          await form.submit();
+        } catch (_error) {
+          error = _error;
+        }
+
+        // then
+        expect(error).to.exist;
+        expect(error.message).to.eql('form is already submitting');
+      });
+
     });
 
   });
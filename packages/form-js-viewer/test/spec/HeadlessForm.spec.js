@@ -0,0 +1,752 @@
+import {
+  createHeadlessForm,
+  HeadlessForm
+} from '../../src/headless';
+
+import conditionSchema from './condition.json';
+import conditionErrorsDynamicListSchema from './condition-errors-dynamic-list.json';
+
+
+describe('HeadlessForm', function() {
+
+  let form;
+
+  afterEach(function() {
+    form && form.destroy();
+
+    form = null;
+  });
+
+
+  it('should create', async function() {
+
+    // when
+    form = await createHeadlessForm({
+      schema: conditionSchema,
+      data: {
+        amount: 456
+      }
+    });
+
+    // then
+    expect(form).to.be.an.instanceof(HeadlessForm);
+    expect(form._getState().data).to.eql({
+      amount: 456,
+      text: ''
+    });
+  });
+
+
+  it('should NOT render', async function() {
+
+    // when
+    form = await createHeadlessForm({
+      schema: conditionSchema
+    });
+
+    // then
+    expect(form.get('renderer', false)).not.to.exist;
+    expect(form._container).not.to.exist;
+  });
+
+
+  it('should validate', async function() {
+
+    // given
+    form = await createHeadlessForm({
+      schema: conditionSchema,
+      data: {
+        amount: 1001
+      }
+    });
+
+    // when
+    const errors = form.validate();
+
+    // then
+    expect(Object.values(errors)).to.eql([
+      [ 'Field must have maximum value of 1000.' ]
+    ]);
+  });
+
+
+  describe('field values', function() {
+
+    const data = {
+      list: [
+        { element: 1 },
+        { element: 2 }
+      ]
+    };
+
+
+    describe('#getValue', function() {
+
+      it('should get value', async function() {
+
+        // given
+        form = await createHeadlessForm({
+          schema: conditionErrorsDynamicListSchema,
+          data
+        });
+
+        // then
+        expect(form.getValue('list.1.element')).to.equal(2);
+        expect(form.getValue([ 'list', 0, 'element' ])).to.equal(1);
+        expect(form.getValue('unknown')).not.to.exist;
+      });
+
+    });
+
+
+    describe('#setValue', function() {
+
+      it('should set value', async function() {
+
+        // given
+        form = await createHeadlessForm({
+          schema: conditionErrorsDynamicListSchema,
+          data
+        });
+
+        // when
+        form.setValue('list.1.element', 3);
+
+        // then
+        expect(form.getValue('list.1.element')).to.equal(3);
+        expect(form.getChangedFields()).to.eql([ 'Element_x' ]);
+      });
+
+
+      it('should fire <field.changed>', async function() {
+
+        // given
+        form = await createHeadlessForm({
+          schema: conditionErrorsDynamicListSchema,
+          data
+        });
+
+        const changedSpy = sinon.spy();
+
+        form.on('field.changed', changedSpy);
+
+        // when
+        form.setValue('list.1.element', 3);
+
+        // then
+        expect(changedSpy).to.have.been.calledOnce;
+
+        const event = changedSpy.getCall(0).args[0];
+
+        expect(event.field.id).to.equal('Element_x');
+        expect(event.indexes).to.eql({ List_x: 1 });
+        expect(event.valuePath).to.eql([ 'list', 1, 'element' ]);
+        expect(event.value).to.equal(3);
+        expect(event.previousValue).to.equal(2);
+      });
+
+
+      it('should validate', async function() {
+
+        // given
+        form = await createHeadlessForm({
+          schema: conditionErrorsDynamicListSchema,
+          data
+        });
+
+        // when
+        form.setValue('list.1.element', null);
+
+        // then
+        expect(form.getErrors('Element_x', { List_x: 1 })).to.eql([ 'Field is required.' ]);
+      });
+
+
+      it('should NOT validate', async function() {
+
+        // given
+        form = await createHeadlessForm({
+          schema: conditionErrorsDynamicListSchema,
+          data
+        });
+
+        // when
+        form.setValue('list.1.element', null, { validate: false });
+
+        // then
+        expect(form.getErrors('Element_x', { List_x: 1 })).to.be.empty;
+      });
+
+
+      it('should validate according to <validateOn>', async function() {
+
+        // given
+        form = await createHeadlessForm({
+          schema: conditionErrorsDynamicListSchema,
+          data,
+          validateOn: 'submit'
+        });
+
+        // assume
+        form.setValue('list.1.element', null);
+
+        expect(form.getErrors()).to.be.empty;
+
+        // when
+        form.setValue('list.1.element', null, { validate: true });
+
+        // then
+        expect(form.getErrors('Element_x', { List_x: 1 })).to.eql([ 'Field is required.' ]);
+      });
+
+
+      it('should validate expression within repetition', async function() {
+
+        // given
+        form = await createHeadlessForm({
+          schema: {
+            type: 'default',
+            components: [
+              {
+                id: 'List_1',
+                type: 'dynamiclist',
+                path: 'periods',
+                isRepeating: true,
+                components: [
+                  {
+                    id: 'Start_1',
+                    key: 'start',
+                    type: 'number'
+                  },
+                  {
+                    id: 'End_1',
+                    key: 'end',
+                    type: 'number',
+                    validate: {
+                      expression: '=this.end > this.start'
+                    }
+                  }
+                ]
+              }
+            ]
+          },
+          data: {
+            periods: [
+              { start: 1, end: 5 },
+              { start: 1, end: 5 }
+            ]
+          }
+        });
+
+        // when
+        form.setValue('periods.1.end', 0);
+
+        // then
+        expect(form.getErrors('End_1', { List_1: 0 })).to.be.empty;
+        expect(form.getErrors('End_1', { List_1: 1 })).to.eql([ 'Field is invalid.' ]);
+
+        // when
+        form.setValue('periods.1.start', -1);
+
+        // then
+        expect(form.getErrors('End_1', { List_1: 1 })).to.be.empty;
+      });
+
+
+      it('should set value not bound to form field', async function() {
+
+        // given
+        form = await createHeadlessForm({
+          schema: conditionErrorsDynamicListSchema,
+          data
+        });
+
+        const changedSpy = sinon.spy();
+
+        form.on('field.changed', changedSpy);
+
+        // when
+        form.setValue('externalVariable', 'foo');
+
+        // then
+        expect(form.getValue('externalVariable')).to.equal('foo');
+
+        expect(changedSpy).to.have.been.calledOnce;
+        expect(changedSpy.getCall(0).args[0]).to.deep.include({
+          field: null,
+          indexes: {},
+          valuePath: [ 'externalVariable' ],
+          value: 'foo',
+          previousValue: undefined
+        });
+      });
+
+    });
+
+
+    describe('#setData', function() {
+
+      it('should set data', async function() {
+
+        // given
+        form = await createHeadlessForm({
+          schema: conditionErrorsDynamicListSchema,
+          data
+        });
+
+        const changedSpy = sinon.spy();
+
+        form.on('field.changed', changedSpy);
+
+        // when
+        form.setData({
+          hideList: true,
+          externalVariable: 'foo'
+        });
+
+        // then
+        expect(form._getState().data).to.eql({
+          hideList: true,
+          list: [
+            { element: 1, hideElement: false },
+            { element: 2, hideElement: false }
+          ],
+          externalVariable: 'foo'
+        });
+
+        expect(changedSpy).to.have.been.calledTwice;
+        expect(changedSpy.getCall(0).args[0].field.id).to.equal('HideList_x');
+        expect(changedSpy.getCall(1).args[0].field).to.be.null;
+        expect(changedSpy.getCall(1).args[0].valuePath).to.eql([ 'externalVariable' ]);
+      });
+
+
+      it('should NOT change previous data', async function() {
+
+        // given
+        form = await createHeadlessForm({
+          schema: conditionErrorsDynamicListSchema,
+          data
+        });
+
+        const previousData = form._getState().data;
+
+        // when
+        form.setData({
+          hideList: true
+        });
+
+        // then
+        expect(previousData.hideList).to.be.false;
+        expect(form._getState().data).not.to.equal(previousData);
+      });
+
+
+      it('should fire <field.changed> per changed value', async function() {
+
+        // given
+        form = await createHeadlessForm({
+          schema: conditionErrorsDynamicListSchema,
+          data
+        });
+
+        const changedSpy = sinon.spy();
+
+        form.on('field.changed', changedSpy);
+
+        // when
+        form.setData({
+          list: [
+            { element: 1, hideElement: false },
+            { element: 3, hideElement: false },
+            { element: 4, hideElement: false }
+          ]
+        });
+
+        // then
+        expect(changedSpy.getCalls().map(call => call.args[0].valuePath)).to.eql([
+          [ 'list', 1, 'element' ],
+          [ 'list', 2, 'element' ],
+          [ 'list', 2, 'hideElement' ]
+        ]);
+      });
+
+    });
+
+
+    describe('#getErrors', function() {
+
+      it('should get errors', async function() {
+
+        // given
+        form = await createHeadlessForm({
+          schema: conditionSchema,
+          data: {
+            amount: 1001
+          }
+        });
+
+        // when
+        const errors = form.validate();
+
+        // then
+        expect(form.getErrors()).to.eql(errors);
+        expect(form.getErrors(Object.keys(errors)[0])).to.eql([ 'Field must have maximum value of 1000.' ]);
+        expect(form.getErrors('Field')).to.eql([]);
+      });
+
+    });
+
+
+    describe('#setErrors', function() {
+
+      it('should set errors', async function() {
+
+        // given
+        form = await createHeadlessForm({
+          schema: conditionErrorsDynamicListSchema,
+          data
+        });
+
+        const changedSpy = sinon.spy();
+
+        form.on('changed', changedSpy);
+
+        // when
+        form.setErrors({
+          hideList: 'Must be checked.',
+          'list.1.element': [ 'Unknown element.' ],
+          HideElement_x: 'Invalid.'
+        });
+
+        // then
+        expect(form.getErrors('HideList_x')).to.eql([ 'Must be checked.' ]);
+        expect(form.getErrors('Element_x', { List_x: 1 })).to.eql([ 'Unknown element.' ]);
+        expect(form.getErrors('HideElement_x')).to.eql([ 'Invalid.' ]);
+
+        expect(changedSpy).to.have.been.calledOnce;
+      });
+
+
+      it('should replace errors', async function() {
+
+        // given
+        form = await createHeadlessForm({
+          schema: conditionErrorsDynamicListSchema,
+          data
+        });
+
+        form.setErrors({
+          hideList: 'Must be checked.'
+        });
+
+        // when
+        form.setErrors({});
+
+        // then
+        expect(form.getErrors()).to.be.empty;
+      });
+
+    });
+
+  });
+
+
+  describe('computed fields', function() {
+
+    const schema = {
+      type: 'default',
+      components: [
+        {
+          key: 'a',
+          type: 'number'
+        },
+        {
+          key: 'b',
+          type: 'number',
+          disabled: true
+        },
+        {
+          key: 'total',
+          type: 'expression',
+          expression: '=a + b + c'
+        },
+        {
+          type: 'dynamiclist',
+          path: 'rows',
+          isRepeating: true,
+          components: [
+            {
+              key: 'x',
+              type: 'number'
+            },
+            {
+              key: 'double',
+              type: 'expression',
+              expression: '=this.x * 2',
+              disabled: true
+            }
+          ]
+        }
+      ]
+    };
+
+
+    it('should compute on import', async function() {
+
+      // when
+      form = await createHeadlessForm({
+        schema,
+        data: {
+          a: 1,
+          b: 2,
+          c: 3,
+          rows: [ { x: 1 }, { x: 2 } ]
+        }
+      });
+
+      // then
+      expect(form._getState().data).to.deep.include({
+        total: 6,
+        rows: [ { x: 1, double: 2 }, { x: 2, double: 4 } ]
+      });
+
+      expect(form.isDirty()).to.be.false;
+    });
+
+
+    it('should recompute on change', async function() {
+
+      // given
+      form = await createHeadlessForm({
+        schema,
+        data: {
+          a: 1,
+          b: 2,
+          c: 3,
+          rows: [ { x: 1 } ]
+        }
+      });
+
+      const changedSpy = sinon.spy();
+
+      form.on('field.changed', changedSpy);
+
+      // when
+      form.setValue('rows.0.x', 5);
+
+      // then
+      expect(form._getState().data).to.deep.include({
+        total: 6,
+        rows: [ { x: 5, double: 10 } ]
+      });
+
+      expect(changedSpy).to.have.been.calledTwice;
+      expect(changedSpy.secondCall.args[0]).to.include({
+        value: 10,
+        previousValue: 2
+      });
+    });
+
+
+    it('should recompute on unbound value change', async function() {
+
+      // given
+      form = await createHeadlessForm({
+        schema,
+        data: {
+          a: 1,
+          b: 2,
+          c: 3
+        }
+      });
+
+      // when
+      form.setValue('c', 4);
+
+      // then
+      expect(form._getState().data.total).to.equal(7);
+    });
+
+
+    it('should submit computed values', async function() {
+
+      // given
+      form = await createHeadlessForm({
+        schema,
+        data: {
+          a: 1,
+          b: 2,
+          c: 3,
+          rows: [ { x: 3 } ]
+        }
+      });
+
+      // when
+      const { data } = await form.submit();
+
+      // then
+      expect(data).to.eql({
+        a: 1,
+        total: 6,
+        rows: [ { x: 3 } ]
+      });
+    });
+
+  });
+
+
+  describe('#submit', function() {
+
+    it('should submit fields for which condition is met', async function() {
+
+      // given
+      form = await createHeadlessForm({
+        schema: conditionSchema,
+        data: {
+          amount: 456,
+          text: 'value'
+        }
+      });
+
+      // when
+      const { data, errors } = await form.submit();
+
+      // then
+      expect(data).to.eql({
+        amount: 456,
+        text: 'value'
+      });
+      expect(errors).to.be.empty;
+    });
+
+
+    it('should NOT submit fields for which condition is NOT met', async function() {
+
+      // given
+      form = await createHeadlessForm({
+        schema: conditionSchema,
+        data: {
+          amount: 0,
+          text: 'value'
+        }
+      });
+
+      // when
+      const { data } = await form.submit();
+
+      // then
+      expect(data).not.to.have.property('text');
+    });
+
+
+    it('should leave submitting state on error', async function() {
+
+      // given
+      form = await createHeadlessForm({
+        schema: conditionSchema
+      });
+
+      sinon.stub(form, 'validateAsync').throws(new Error('unexpected'));
+
+      const errorSpy = sinon.spy();
+
+      form.on('submit.error', errorSpy);
+
+      // when
+      let error;
+
+      try {
+        await form.submit();
+      } catch (e) {
+        error = e;
+      }
+
+      // then
+      expect(error.message).to.eql('unexpected');
+      expect(errorSpy).to.have.been.calledOnce;
+
+      expect(form._getState().submitting).to.be.false;
+    });
+
+
+    it('should validate asynchronously within repetition', async function() {
+
+      // given
+      form = await createHeadlessForm({
+        schema: {
+          type: 'default',
+          components: [
+            {
+              id: 'List_1',
+              type: 'dynamiclist',
+              path: 'users',
+              isRepeating: true,
+              components: [
+                {
+                  id: 'Username_1',
+                  key: 'username',
+                  type: 'textfield',
+                  validate: {
+                    custom: 'username'
+                  }
+                }
+              ]
+            }
+          ]
+        },
+        data: {
+          users: [
+            { username: 'taken' },
+            { username: 'free' }
+          ]
+        }
+      });
+
+      form.get('validatorRegistry').register('username', (value) => {
+        return Promise.resolve(value === 'taken' ? 'Taken.' : true);
+      });
+
+      // when
+      const { errors } = await form.submit();
+
+      // then
+      expect(errors).to.eql({
+        Username_1: [ [ 'Taken.' ] ]
+      });
+    });
+
+
+    it('should validate within repetition', async function() {
+
+      // given
+      form = await createHeadlessForm({
+        schema: conditionErrorsDynamicListSchema,
+        data: {
+          list: [
+            { element: 1 },
+            { hideElement: true },
+            {}
+          ]
+        }
+      });
+
+      // when
+      const { data, errors } = await form.submit();
+
+      // then
+      expect(data.list).to.eql([
+        { element: 1, hideElement: false },
+        { hideElement: true },
+        { element: null, hideElement: false }
+      ]);
+
+      expect(Object.keys(errors)).to.eql([ 'Element_x' ]);
+      expect(errors.Element_x[0]).not.to.exist;
+      expect(errors.Element_x[1]).not.to.exist;
+      expect(errors.Element_x[2]).to.eql([ 'Field is required.' ]);
+    });
+
+  });
+
+});
@@ -0,0 +1,153 @@
+import {
+  bootstrapForm,
+  getForm,
+  inject
+} from 'test/TestHelper';
+
+const spy = sinon.spy;
+
+const FIELD = {
+  id: 'Filepicker_1',
+  key: 'attachments',
+  type: 'filepicker'
+};
+
+
+describe('FileUploader', function() {
+
+  beforeEach(bootstrapForm());
+
+  afterEach(function() {
+    getForm().destroy();
+  });
+
+
+  describe('#setAdapter', function() {
+
+    it('should set adapter', inject(function(fileUploader) {
+
+      // when
+      fileUploader.setAdapter({ upload: () => Promise.resolve('file-1') });
+
+      // then
+      expect(fileUploader.hasAdapter()).to.be.true;
+    }));
+
+
+    it('should throw if upload is not a function', inject(function(fileUploader) {
+
+      // when
+      const setAdapter = () => fileUploader.setAdapter({});
+
+      // then
+      expect(setAdapter).to.throw('upload adapter must provide an upload function');
+    }));
+
+  });
+
+
+  describe('#upload', function() {
+
+    it('should resolve uploaded file', inject(async function(fileUploader) {
+
+      // given
+      fileUploader.setAdapter({ upload: () => Promise.resolve('file-1') });
+
+      const file = createFile('invoice.pdf', 'application/pdf');
+
+      // when
+      const uploadedFile = await fileUploader.upload(file, FIELD);
+
+      // then
+      expect(uploadedFile).to.eql({
+        name: 'invoice.pdf',
+        size: file.size,
+        type: 'application/pdf',
+        reference: 'file-1'
+      });
+    }));
+
+
+    it('should pass context', inject(async function(fileUploader, form) {
+
+      // given
+      const upload = spy(() => 'file-1');
+
+      fileUploader.setAdapter({ upload });
+
+      const file = createFile('invoice.pdf', 'application/pdf');
+
+      const onProgress = spy();
+
+      // when
+      await fileUploader.upload(file, FIELD, onProgress);
+
+      // then
+      expect(upload).to.have.been.calledOnceWith(file, {
+        field: FIELD,
+        form,
+        onProgress
+      });
+    }));
+
+
+    it('should reject without adapter', inject(async function(fileUploader) {
+
+      // when
+      let error;
+
+      try {
+        await fileUploader.upload(createFile('invoice.pdf', 'application/pdf'), FIELD);
+      } catch (e) {
+        error = e;
+      }
+
+      // then
+      expect(error.message).to.eql('no upload adapter configured');
+    }));
+
+  });
+
+
+  describe('#remove', function() {
+
+    it('should remove reference', inject(async function(fileUploader, form) {
+
+      // given
+      const remove = spy();
+
+      fileUploader.setAdapter({ upload: () => 'file-1', remove });
+
+      // when
+      await fileUploader.remove({ name: 'invoice.pdf', reference: 'file-1' }, FIELD);
+
+      // then
+      expect(remove).to.have.been.calledOnceWith('file-1', {
+        field: FIELD,
+        form
+      });
+    }));
+
+
+    it('should resolve if adapter does not support removal', inject(async function(fileUploader) {
+
+      // given
+      fileUploader.setAdapter({ upload: () => 'file-1' });
+
+      // when
+      const result = await fileUploader.remove({ name: 'invoice.pdf', reference: 'file-1' }, FIELD);
+
+      // then
+      expect(result).not.to.exist;
+    }));
+
+  });
+
+});
+
+
+// helpers //////////
+
+function createFile(name, type) {
+  return new File([ 'content' ], name, { type });
+}
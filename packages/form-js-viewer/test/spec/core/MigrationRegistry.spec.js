@@ -0,0 +1,328 @@
+import {
+  bootstrapForm,
+  getForm,
+  inject
+} from 'test/TestHelper';
+
+import { migrations } from '../../../src/core/migrations';
+
+const spy = sinon.spy;
+
+
+describe('MigrationRegistry', function() {
+
+  beforeEach(bootstrapForm());
+
+  afterEach(function() {
+    getForm().destroy();
+  });
+
+
+  describe('#register', function() {
+
+    it('should register migrations ordered by version', inject(function(migrationRegistry) {
+
+      // given
+      const migrateTo3 = { version: 103, migrate: schema => schema };
+      const migrateTo2 = { version: 102, migrate: schema => schema };
+      const otherMigrateTo3 = { version: 103, migrate: schema => schema };
+
+      // when
+      migrationRegistry.register(migrateTo3);
+      migrationRegistry.register(migrateTo2);
+      migrationRegistry.register(otherMigrateTo3);
+
+      // then
+      expect(migrationRegistry.getAll()).to.eql([
+        ...migrations,
+        migrateTo2,
+        migrateTo3,
+        otherMigrateTo3
+      ]);
+    }));
+
+
+    it('should throw error if version is missing', inject(function(migrationRegistry) {
+
+      // when
+      const register = () => migrationRegistry.register({ migrate: schema => schema });
+
+      // then
+      expect(register).to.throw('migration must provide a version and a migrate function');
+    }));
+
+
+    it('should throw error if migrate function is missing', inject(function(migrationRegistry) {
+
+      // when
+      const register = () => migrationRegistry.register({ version: 2 });
+
+      // then
+      expect(register).to.throw('migration must provide a version and a migrate function');
+    }));
+
+  });
+
+
+  describe('#migrate', function() {
+
+    it('should migrate step by step', inject(function(migrationRegistry) {
+
+      // given
+      migrationRegistry.register({
+        version: 103,
+        migrate: (schema) => ({ ...schema, steps: [ ...schema.steps, 103 ] })
+      });
+
+      migrationRegistry.register({
+        version: 102,
+        migrate: (schema) => ({ ...schema, steps: [ ...schema.steps, 102 ] })
+      });
+
+      // when
+      const { schema } = migrationRegistry.migrate({
+        schemaVersion: 101,
+        steps: []
+      });
+
+      // then
+      expect(schema).to.eql({
+        schemaVersion: 103,
+        steps: [ 102, 103 ]
+      });
+    }));
+
+
+    it('should only run migrations to newer versions', inject(function(migrationRegistry) {
+
+      // given
+      const migrateTo2 = spy(schema => schema);
+      const migrateTo3 = spy(schema => schema);
+
+      migrationRegistry.register({ version: 102, migrate: migrateTo2 });
+      migrationRegistry.register({ version: 103, migrate: migrateTo3 });
+
+      // when
+      const { schema } = migrationRegistry.migrate({ schemaVersion: 102 });
+
+      // then
+      expect(migrateTo2).not.to.have.been.called;
+      expect(migrateTo3).to.have.been.calledOnce;
+
+      expect(schema.schemaVersion).to.eql(103);
+    }));
+
+
+    it('should migrate in place', inject(function(migrationRegistry) {
+
+      // given
+      migrationRegistry.register({
+        version: 102,
+        migrate: (schema) => {
+          schema.migrated = true;
+        }
+      });
+
+      // when
+      const { schema } = migrationRegistry.migrate({ schemaVersion: 101 });
+
+      // then
+      expect(schema).to.eql({
+        schemaVersion: 102,
+        migrated: true
+      });
+    }));
+
+
+    it('should NOT migrate schema without version', inject(function(migrationRegistry) {
+
+      // given
+      const migrate = spy(schema => schema);
+
+      migrationRegistry.register({ version: 102, migrate });
+
+      // when
+      const { schema, warnings } = migrationRegistry.migrate({ type: 'default' });
+
+      // then
+      expect(migrate).not.to.have.been.called;
+
+      expect(schema).to.eql({ type: 'default' });
+      expect(warnings).to.be.empty;
+    }));
+
+
+    it('should report changes as warnings', inject(function(migrationRegistry) {
+
+      // given
+      migrationRegistry.register({
+        version: 102,
+        migrate: (schema, { report }) => {
+          report('renamed <foo> to <bar>');
+
+          return schema;
+        }
+      });
+
+      // when
+      const { warnings } = migrationRegistry.migrate({ schemaVersion: 101 });
+
+      // then
+      expect(warnings).to.have.length(1);
+
+      expect(warnings[ 0 ].message).to.eql('migrated schema to version <102>: renamed <foo> to <bar>');
+      expect(warnings[ 0 ].schemaVersion).to.eql(102);
+    }));
+
+  });
+
+
+  describe('built-in migrations', function() {
+
+    it('should remove legacy custom validation type', inject(function(migrationRegistry) {
+
+      // given
+      const schema = {
+        type: 'default',
+        schemaVersion: 13,
+        components: [
+          {
+            id: 'Textfield_1',
+            key: 'name',
+            type: 'textfield',
+            validate: {
+              validationType: 'custom',
+              pattern: '^[a-z]+$'
+            }
+          },
+          {
+            id: 'Group_1',
+            type: 'group',
+            components: [
+              {
+                id: 'Textfield_2',
+                key: 'other',
+                type: 'textfield',
+                validate: {
+                  validationType: ''
+                }
+              }
+            ]
+          },
+          {
+            id: 'Textfield_3',
+            key: 'email',
+            type: 'textfield',
+            validate: {
+              validationType: 'email'
+            }
+          }
+        ]
+      };
+
+      // when
+      const { schema: migratedSchema, warnings } = migrationRegistry.migrate(schema);
+
+      // then
+      expect(migratedSchema.schemaVersion).to.eql(14);
+
+      expect(migratedSchema.components[ 0 ].validate).to.eql({ pattern: '^[a-z]+$' });
+      expect(migratedSchema.components[ 1 ].components[ 0 ].validate).to.eql({});
+      expect(migratedSchema.components[ 2 ].validate).to.eql({ validationType: 'email' });
+
+      expect(warnings.map(warning => warning.message)).to.eql([
+        'migrated schema to version <14>: removed custom <validate.validationType> of form field <Textfield_1>',
+        'migrated schema to version <14>: removed custom <validate.validationType> of form field <Textfield_2>'
+      ]);
+    }));
+
+
+    it('should keep single options source', inject(function(migrationRegistry) {
+
+      // given
+      const schema = {
+        type: 'default',
+        schemaVersion: 13,
+        components: [
+          {
+            id: 'Select_1',
+            key: 'language',
+            type: 'select',
+            valuesKey: 'languages',
+            values: [ { label: 'English', value: 'en' } ],
+            valuesExpression: '=languages'
+          },
+          {
+            id: 'Radio_1',
+            key: 'size',
+            type: 'radio',
+            values: [ { label: 'Small', value: 's' } ],
+            valuesProvider: { name: 'sizes' }
+          },
+          {
+            id: 'Checklist_1',
+            key: 'toppings',
+            type: 'checklist',
+            valuesExpression: '=toppings'
+          }
+        ]
+      };
+
+      // when
+      const { schema: migratedSchema, warnings } = migrationRegistry.migrate(schema);
+
+      // then
+      const [ select, radio, checklist ] = migratedSchema.components;
+
+      expect(select).to.include({ valuesKey: 'languages' });
+      expect(select).not.to.have.any.keys('values', 'valuesExpression');
+
+      expect(radio.values).to.eql([ { label: 'Small', value: 's' } ]);
+      expect(radio.valuesProvider).not.to.exist;
+
+      expect(checklist.valuesExpression).to.eql('=toppings');
+
+      expect(warnings.map(warning => warning.message)).to.eql([
+        'migrated schema to version <14>: removed <values>, <valuesExpression> of form field <Select_1>, overridden by <valuesKey>',
+        'migrated schema to version <14>: removed <valuesProvider> of form field <Radio_1>, overridden by <values>'
+      ]);
+    }));
+
+
+    it('should NOT migrate current schema', inject(function(migrationRegistry) {
+
+      // given
+      const schema = {
+        type: 'default',
+        schemaVersion: 14,
+        components: [
+          {
+            id: 'Textfield_1',
+            key: 'name',
+            type: 'textfield',
+            validate: {
+              validationType: 'custom'
+            }
+          },
+          {
+            id: 'Select_1',
+            key: 'language',
+            type: 'select',
+            valuesKey: 'languages',
+            values: []
+          }
+        ]
+      };
+
+      // when
+      const { warnings } = migrationRegistry.migrate(schema);
+
+      // then
+      expect(schema.components[ 0 ].validate).to.eql({ validationType: 'custom' });
+      expect(schema.components[ 1 ].values).to.eql([]);
+      expect(warnings).to.be.empty;
+    }));
+
+  });
+
+});
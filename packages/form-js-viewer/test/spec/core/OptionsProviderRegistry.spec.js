@@ -0,0 +1,291 @@
+import {
+  bootstrapForm,
+  getForm,
+  inject
+} from 'test/TestHelper';
+
+const spy = sinon.spy;
+
+
+describe('OptionsProviderRegistry', function() {
+
+  beforeEach(bootstrapForm());
+
+  afterEach(function() {
+    getForm().destroy();
+  });
+
+
+  describe('#register', function() {
+
+    it('should register provider', inject(function(optionsProviderRegistry) {
+
+      // given
+      const getOptions = () => [];
+
+      // when
+      optionsProviderRegistry.register('countries', {
+        label: 'Countries',
+        getOptions
+      });
+
+      // then
+      expect(optionsProviderRegistry.get('countries')).to.eql({
+        label: 'Countries',
+        getOptions
+      });
+    }));
+
+
+    it('should register getOptions function', inject(function(optionsProviderRegistry) {
+
+      // given
+      const getOptions = () => [];
+
+      // when
+      optionsProviderRegistry.register('countries', getOptions);
+
+      // then
+      expect(optionsProviderRegistry.get('countries')).to.eql({
+        label: 'countries',
+        getOptions
+      });
+    }));
+
+
+    it('should throw error if getOptions function is missing', inject(function(optionsProviderRegistry) {
+
+      // when
+      const register = () => optionsProviderRegistry.register('countries', { label: 'Countries' });
+
+      // then
+      expect(register).to.throw('options provider <countries> must provide a getOptions function');
+    }));
+
+  });
+
+
+  describe('#getAll', function() {
+
+    it('should return registered providers', inject(function(optionsProviderRegistry) {
+
+      // given
+      optionsProviderRegistry.register('countries', {
+        label: 'Countries',
+        getOptions: () => []
+      });
+
+      optionsProviderRegistry.register('cities', () => []);
+
+      // when
+      const providers = optionsProviderRegistry.getAll();
+
+      // then
+      expect(providers).to.eql([
+        { name: 'countries', label: 'Countries' },
+        { name: 'cities', label: 'cities' }
+      ]);
+    }));
+
+  });
+
+
+  describe('#getOptions', function() {
+
+    it('should resolve options', inject(async function(optionsProviderRegistry) {
+
+      // given
+      const getOptions = spy(({ parameters, search }) => [ `${ parameters.region }-${ search }` ]);
+
+      optionsProviderRegistry.register('countries', getOptions);
+
+      // when
+      const options = await optionsProviderRegistry.getOptions('countries', {
+        field: { id: 'Select_1' },
+        parameters: { region: 'europe' },
+        search: 'ger'
+      });
+
+      // then
+      expect(options).to.eql([ 'europe-ger' ]);
+
+      expect(getOptions).to.have.been.calledOnceWith({
+        field: { id: 'Select_1' },
+        parameters: { region: 'europe' },
+        dependency: null,
+        search: 'ger'
+      });
+    }));
+
+
+    it('should pass dependency', inject(async function(optionsProviderRegistry) {
+
+      // given
+      const getOptions = spy(({ dependency }) => [ `${ dependency }-city` ]);
+
+      optionsProviderRegistry.register('cities', getOptions);
+
+      // when
+      const options = await optionsProviderRegistry.getOptions('cities', {
+        field: { id: 'Select_1' },
+        dependency: 'germany'
+      });
+
+      // then
+      expect(options).to.eql([ 'germany-city' ]);
+
+      expect(getOptions).to.have.been.calledOnceWith({
+        field: { id: 'Select_1' },
+        parameters: {},
+        dependency: 'germany',
+        search: ''
+      });
+    }));
+
+
+    it('should resolve asynchronous options', inject(async function(optionsProviderRegistry) {
+
+      // given
+      optionsProviderRegistry.register('countries', () => Promise.resolve([ 'germany' ]));
+
+      // when
+      const options = await optionsProviderRegistry.getOptions('countries', {});
+
+      // then
+      expect(options).to.eql([ 'germany' ]);
+    }));
+
+
+    it('should cache options', inject(async function(optionsProviderRegistry) {
+
+      // given
+      const getOptions = spy(() => [ 'germany' ]);
+
+      optionsProviderRegistry.register('countries', getOptions);
+
+      // when
+      await optionsProviderRegistry.getOptions('countries', { parameters: { region: 'europe' } });
+      await optionsProviderRegistry.getOptions('countries', { parameters: { region: 'europe' } });
+      await optionsProviderRegistry.getOptions('countries', { parameters: { region: 'asia' } });
+      await optionsProviderRegistry.getOptions('countries', { parameters: { region: 'asia' }, search: 'chi' });
+
+      // then
+      expect(getOptions).to.have.been.calledThrice;
+    }));
+
+
+    it('should cache options per dependency', inject(async function(optionsProviderRegistry) {
+
+      // given
+      const getOptions = spy(() => [ 'berlin' ]);
+
+      optionsProviderRegistry.register('cities', getOptions);
+
+      // when
+      await optionsProviderRegistry.getOptions('cities', { dependency: 'germany' });
+      await optionsProviderRegistry.getOptions('cities', { dependency: 'germany' });
+      await optionsProviderRegistry.getOptions('cities', { dependency: 'france' });
+
+      // then
+      expect(getOptions).to.have.been.calledTwice;
+    }));
+
+
+    it('should NOT cache options if disabled', inject(async function(optionsProviderRegistry) {
+
+      // given
+      const getOptions = spy(() => [ 'germany' ]);
+
+      optionsProviderRegistry.register('countries', {
+        cache: false,
+        getOptions
+      });
+
+      // when
+      await optionsProviderRegistry.getOptions('countries', {});
+      await optionsProviderRegistry.getOptions('countries', {});
+
+      // then
+      expect(getOptions).to.have.been.calledTwice;
+    }));
+
+
+    it('should NOT cache failures', inject(async function(optionsProviderRegistry) {
+
+      // given
+      const getOptions = spy(() => Promise.reject(new Error('failed')));
+
+      optionsProviderRegistry.register('countries', getOptions);
+
+      // when
+      const errors = [];
+
+      await optionsProviderRegistry.getOptions('countries', {}).catch(error => errors.push(error.message));
+      await optionsProviderRegistry.getOptions('countries', {}).catch(error => errors.push(error.message));
+
+      // then
+      expect(errors).to.eql([ 'failed', 'failed' ]);
+      expect(getOptions).to.have.been.calledTwice;
+    }));
+
+
+    it('should reject if provider does not return an array', inject(async function(optionsProviderRegistry) {
+
+      // given
+      optionsProviderRegistry.register('countries', () => 'germany');
+
+      // when
+      let error;
+
+      try {
+        await optionsProviderRegistry.getOptions('countries', {});
+      } catch (e) {
+        error = e;
+      }
+
+      // then
+      expect(error.message).to.eql('options provider <countries> must return an array of options');
+    }));
+
+
+    it('should reject if provider is not registered', inject(async function(optionsProviderRegistry) {
+
+      // when
+      let error;
+
+      try {
+        await optionsProviderRegistry.getOptions('countries', {});
+      } catch (e) {
+        error = e;
+      }
+
+      // then
+      expect(error.message).to.eql('no options provider <countries> registered');
+    }));
+
+  });
+
+
+  describe('#clearCache', function() {
+
+    it('should clear cached options', inject(async function(optionsProviderRegistry) {
+
+      // given
+      const getOptions = spy(() => [ 'germany' ]);
+
+      optionsProviderRegistry.register('countries', getOptions);
+
+      await optionsProviderRegistry.getOptions('countries', {});
+
+      // when
+      optionsProviderRegistry.clearCache();
+
+      await optionsProviderRegistry.getOptions('countries', {});
+
+      // then
+      expect(getOptions).to.have.been.calledTwice;
+    }));
+
+  });
+
+});
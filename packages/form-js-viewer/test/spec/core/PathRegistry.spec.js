@@ -368,6 +368,60 @@ describe('PathRegistry', function() {
   });
 
 
+  describe('#executeRecursivelyOnRepetitions', function() {
+
+    it('should execute function per repetition', function() {
+
+      // given
+      const field = {
+        id: 'List_1',
+        type: 'dynamiclist',
+        path: 'items',
+        isRepeating: true,
+        components: [
+          { id: 'Textfield_1', type: 'textfield', key: 'name' }
+        ]
+      };
+
+      const data = {
+        items: [ { name: 'foo' }, { name: 'bar' } ]
+      };
+
+      const spyFn = sinon.spy();
+
+      // when
+      localPathRegistry.executeRecursivelyOnRepetitions(field, data, spyFn);
+
+      // then
+      expect(spyFn).to.have.been.calledThrice;
+      expect(spyFn.firstCall.args[0]).to.eql({ field, indexes: {} });
+      expect(spyFn.secondCall.args[0].indexes).to.eql({ List_1: 0 });
+      expect(spyFn.thirdCall.args[0].indexes).to.eql({ List_1: 1 });
+    });
+
+
+    it('should skip children', function() {
+
+      // given
+      const field = {
+        type: 'group',
+        components: [
+          { type: 'textfield', key: 'name' }
+        ]
+      };
+
+      const spyFn = sinon.spy(() => false);
+
+      // when
+      localPathRegistry.executeRecursivelyOnRepetitions(field, {}, spyFn);
+
+      // then
+      expect(spyFn).to.have.been.calledOnce;
+    });
+
+  });
+
+
   describe('#getValuePath', function() {
 
     it('should get simple value path', function() {
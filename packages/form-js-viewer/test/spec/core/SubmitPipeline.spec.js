@@ -0,0 +1,156 @@
+import {
+  bootstrapForm,
+  getForm,
+  inject
+} from 'test/TestHelper';
+
+const spy = sinon.spy;
+
+
+describe('SubmitPipeline', function() {
+
+  beforeEach(bootstrapForm());
+
+  afterEach(function() {
+    getForm().destroy();
+  });
+
+
+  describe('#transform', function() {
+
+    it('should run transformers in order', inject(async function(submitPipeline) {
+
+      // given
+      submitPipeline.registerTransformer(data => ({ ...data, steps: [ ...data.steps, 'a' ] }));
+      submitPipeline.registerTransformer(data => Promise.resolve({ ...data, steps: [ ...data.steps, 'b' ] }));
+
+      // when
+      const data = await submitPipeline.transform({ steps: [] });
+
+      // then
+      expect(data).to.eql({ steps: [ 'a', 'b' ] });
+    }));
+
+
+    it('should respect priority', inject(async function(submitPipeline) {
+
+      // given
+      submitPipeline.registerTransformer(data => ({ ...data, steps: [ ...data.steps, 'low' ] }), 500);
+      submitPipeline.registerTransformer(data => ({ ...data, steps: [ ...data.steps, 'default' ] }));
+      submitPipeline.registerTransformer(data => ({ ...data, steps: [ ...data.steps, 'high' ] }), 1500);
+
+      // when
+      const data = await submitPipeline.transform({ steps: [] });
+
+      // then
+      expect(data).to.eql({ steps: [ 'high', 'default', 'low' ] });
+    }));
+
+
+    it('should pass form', inject(async function(submitPipeline, form) {
+
+      // given
+      const transformer = spy(data => data);
+
+      submitPipeline.registerTransformer(transformer);
+
+      // when
+      await submitPipeline.transform({});
+
+      // then
+      expect(transformer).to.have.been.calledOnceWith({}, { form });
+    }));
+
+
+    it('should throw if transformer is not a function', inject(function(submitPipeline) {
+
+      // when
+      const register = () => submitPipeline.registerTransformer({});
+
+      // then
+      expect(register).to.throw('submit transformer must be a function');
+    }));
+
+  });
+
+
+  describe('#validate', function() {
+
+    it('should merge errors of validators', inject(async function(submitPipeline) {
+
+      // given
+      submitPipeline.registerValidator(() => ({ name: 'Name is taken.' }));
+      submitPipeline.registerValidator(() => undefined);
+      submitPipeline.registerValidator(() => Promise.resolve({ 'items.0.item': [ 'Item is out of stock.' ] }));
+
+      // when
+      const errors = await submitPipeline.validate({});
+
+      // then
+      expect(errors).to.eql({
+        'name': 'Name is taken.',
+        'items.0.item': [ 'Item is out of stock.' ]
+      });
+    }));
+
+  });
+
+
+  describe('#handle', function() {
+
+    it('should resolve response of handler', inject(async function(submitPipeline) {
+
+      // given
+      submitPipeline.setHandler(data => Promise.resolve({ id: data.id }));
+
+      // when
+      const response = await submitPipeline.handle({ id: 'invoice-1' });
+
+      // then
+      expect(response).to.eql({ id: 'invoice-1' });
+    }));
+
+
+    it('should resolve without handler', inject(async function(submitPipeline) {
+
+      // when
+      const response = await submitPipeline.handle({});
+
+      // then
+      expect(response).not.to.exist;
+    }));
+
+
+    it('should reject if handler throws', inject(async function(submitPipeline) {
+
+      // given
+      submitPipeline.setHandler(() => {
+        throw new Error('failed');
+      });
+
+      // when
+      let error;
+
+      try {
+        await submitPipeline.handle({});
+      } catch (e) {
+        error = e;
+      }
+
+      // then
+      expect(error.message).to.eql('failed');
+    }));
+
+
+    it('should throw if handler is not a function', inject(function(submitPipeline) {
+
+      // when
+      const setHandler = () => submitPipeline.setHandler('foo');
+
+      // then
+      expect(setHandler).to.throw('submit handler must be a function');
+    }));
+
+  });
+
+});
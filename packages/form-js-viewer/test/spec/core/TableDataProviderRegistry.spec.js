@@ -0,0 +1,213 @@
+import {
+  bootstrapForm,
+  getForm,
+  inject
+} from 'test/TestHelper';
+
+const spy = sinon.spy;
+
+
+describe('TableDataProviderRegistry', function() {
+
+  beforeEach(bootstrapForm());
+
+  afterEach(function() {
+    getForm().destroy();
+  });
+
+
+  describe('#register', function() {
+
+    it('should register provider', inject(function(tableDataProviderRegistry) {
+
+      // given
+      const getRows = () => ({ rows: [] });
+
+      // when
+      tableDataProviderRegistry.register('orders', {
+        label: 'Orders',
+        getRows
+      });
+
+      // then
+      expect(tableDataProviderRegistry.get('orders')).to.eql({
+        label: 'Orders',
+        getRows
+      });
+    }));
+
+
+    it('should register getRows function', inject(function(tableDataProviderRegistry) {
+
+      // given
+      const getRows = () => ({ rows: [] });
+
+      // when
+      tableDataProviderRegistry.register('orders', getRows);
+
+      // then
+      expect(tableDataProviderRegistry.get('orders')).to.eql({
+        label: 'orders',
+        getRows
+      });
+    }));
+
+
+    it('should throw error if getRows function is missing', inject(function(tableDataProviderRegistry) {
+
+      // when
+      const register = () => tableDataProviderRegistry.register('orders', { label: 'Orders' });
+
+      // then
+      expect(register).to.throw('table data provider <orders> must provide a getRows function');
+    }));
+
+  });
+
+
+  describe('#getAll', function() {
+
+    it('should return registered providers', inject(function(tableDataProviderRegistry) {
+
+      // given
+      tableDataProviderRegistry.register('orders', {
+        label: 'Orders',
+        getRows: () => ({ rows: [] })
+      });
+
+      tableDataProviderRegistry.register('invoices', () => ({ rows: [] }));
+
+      // when
+      const providers = tableDataProviderRegistry.getAll();
+
+      // then
+      expect(providers).to.eql([
+        { name: 'orders', label: 'Orders' },
+        { name: 'invoices', label: 'invoices' }
+      ]);
+    }));
+
+  });
+
+
+  describe('#getRows', function() {
+
+    it('should resolve rows', inject(async function(tableDataProviderRegistry) {
+
+      // given
+      const getRows = spy(() => ({ rows: [ { id: 1 } ], total: 42 }));
+
+      tableDataProviderRegistry.register('orders', getRows);
+
+      // when
+      const result = await tableDataProviderRegistry.getRows('orders', {
+        field: { id: 'Table_1' },
+        parameters: { customer: 'foo' },
+        page: 2,
+        pageSize: 10,
+        sortBy: { key: 'id', direction: 'desc' },
+        filters: { name: 'bar' },
+        search: 'baz'
+      });
+
+      // then
+      expect(result).to.eql({ rows: [ { id: 1 } ], total: 42 });
+
+      expect(getRows).to.have.been.calledOnceWith({
+        field: { id: 'Table_1' },
+        parameters: { customer: 'foo' },
+        page: 2,
+        pageSize: 10,
+        sortBy: { key: 'id', direction: 'desc' },
+        filters: { name: 'bar' },
+        search: 'baz'
+      });
+    }));
+
+
+    it('should default request', inject(async function(tableDataProviderRegistry) {
+
+      // given
+      const getRows = spy(() => ({ rows: [] }));
+
+      tableDataProviderRegistry.register('orders', getRows);
+
+      // when
+      await tableDataProviderRegistry.getRows('orders', {});
+
+      // then
+      expect(getRows).to.have.been.calledOnceWith({
+        field: undefined,
+        parameters: {},
+        page: 0,
+        pageSize: undefined,
+        sortBy: null,
+        filters: {},
+        search: ''
+      });
+    }));
+
+
+    it('should resolve asynchronous rows', inject(async function(tableDataProviderRegistry) {
+
+      // given
+      tableDataProviderRegistry.register('orders', () => Promise.resolve({ rows: [ { id: 1 } ], total: 1 }));
+
+      // when
+      const result = await tableDataProviderRegistry.getRows('orders', {});
+
+      // then
+      expect(result).to.eql({ rows: [ { id: 1 } ], total: 1 });
+    }));
+
+
+    it('should default total', inject(async function(tableDataProviderRegistry) {
+
+      // given
+      tableDataProviderRegistry.register('orders', () => ({ rows: [ { id: 21 }, { id: 22 } ] }));
+
+      // when
+      const result = await tableDataProviderRegistry.getRows('orders', { page: 2, pageSize: 10 });
+
+      // then
+      expect(result.total).to.eql(22);
+    }));
+
+
+    it('should reject if provider does not return rows', inject(async function(tableDataProviderRegistry) {
+
+      // given
+      tableDataProviderRegistry.register('orders', () => [ { id: 1 } ]);
+
+      // when
+      let error;
+
+      try {
+        await tableDataProviderRegistry.getRows('orders', {});
+      } catch (e) {
+        error = e;
+      }
+
+      // then
+      expect(error.message).to.eql('table data provider <orders> must return an array of rows');
+    }));
+
+
+    it('should reject if provider is not registered', inject(async function(tableDataProviderRegistry) {
+
+      // when
+      let error;
+
+      try {
+        await tableDataProviderRegistry.getRows('orders', {});
+      } catch (e) {
+        error = e;
+      }
+
+      // then
+      expect(error.message).to.eql('no table data provider <orders> registered');
+    }));
+
+  });
+
+});
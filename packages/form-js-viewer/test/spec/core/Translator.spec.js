@@ -0,0 +1,248 @@
+import EventBus from 'diagram-js/lib/core/EventBus';
+
+import { Translator } from '../../../src/core/Translator';
+
+
+describe('Translator', function() {
+
+  const bundles = {
+    de: {
+      'validation.required': 'Feld ist erforderlich.',
+      'validation.min': 'Feld muss mindestens {min} sein.'
+    },
+    'de-AT': {
+      'validation.required': 'Feld ist verpflichtend.'
+    }
+  };
+
+
+  describe('#getLocale', function() {
+
+    it('should default to <en>', function() {
+
+      // given
+      const translator = new Translator();
+
+      // then
+      expect(translator.getLocale()).to.equal('en');
+    });
+
+
+    it('should return configured locale', function() {
+
+      // given
+      const translator = new Translator({ locale: 'de' });
+
+      // then
+      expect(translator.getLocale()).to.equal('de');
+    });
+
+  });
+
+
+  describe('#setLocale', function() {
+
+    it('should set locale', function() {
+
+      // given
+      const eventBus = new EventBus();
+
+      const translator = new Translator({ locale: 'de', bundles }, eventBus);
+
+      const changedSpy = sinon.spy();
+
+      eventBus.on('locale.changed', changedSpy);
+
+      // when
+      translator.setLocale('de-AT');
+
+      // then
+      expect(translator.getLocale()).to.equal('de-AT');
+      expect(translator.translate('validation.required')).to.equal('Feld ist verpflichtend.');
+
+      expect(changedSpy).to.have.been.calledOnce;
+      expect(changedSpy.getCall(0).args[0].locale).to.equal('de-AT');
+    });
+
+  });
+
+
+  describe('#translate', function() {
+
+    it('should translate', function() {
+
+      // given
+      const translator = new Translator({ locale: 'de', bundles });
+
+      // when
+      const message = translator.translate('validation.required');
+
+      // then
+      expect(message).to.equal('Feld ist erforderlich.');
+    });
+
+
+    it('should interpolate', function() {
+
+      // given
+      const translator = new Translator({ locale: 'de', bundles });
+
+      // when
+      const message = translator.translate('validation.min', { min: 10 });
+
+      // then
+      expect(message).to.equal('Feld muss mindestens 10 sein.');
+    });
+
+
+    it('should keep unknown placeholders', function() {
+
+      // given
+      const translator = new Translator({ locale: 'de', bundles });
+
+      // when
+      const message = translator.translate('validation.min');
+
+      // then
+      expect(message).to.equal('Feld muss mindestens {min} sein.');
+    });
+
+
+    it('should prefer regional locale', function() {
+
+      // given
+      const translator = new Translator({ locale: 'de-AT', bundles });
+
+      // when
+      const message = translator.translate('validation.required');
+
+      // then
+      expect(message).to.equal('Feld ist verpflichtend.');
+    });
+
+
+    it('should fall back to language', function() {
+
+      // given
+      const translator = new Translator({ locale: 'de-AT', bundles });
+
+      // when
+      const message = translator.translate('validation.min', { min: 10 });
+
+      // then
+      expect(message).to.equal('Feld muss mindestens 10 sein.');
+    });
+
+
+    it('should fall back to default message', function() {
+
+      // given
+      const translator = new Translator({ locale: 'fr', bundles });
+
+      // when
+      const message = translator.translate('validation.min', { min: 10 }, 'Field must have minimum value of {min}.');
+
+      // then
+      expect(message).to.equal('Field must have minimum value of 10.');
+    });
+
+
+    it('should fall back to key', function() {
+
+      // given
+      const translator = new Translator({ locale: 'fr', bundles });
+
+      // when
+      const message = translator.translate('validation.min');
+
+      // then
+      expect(message).to.equal('validation.min');
+    });
+
+  });
+
+
+
+  describe('#translateField', function() {
+
+    const field = { id: 'Select_1' };
+
+    const translations = {
+      Select_1: {
+        de: {
+          label: 'Land',
+          options: {
+            de: 'Deutschland',
+            fr: 'Frankreich'
+          }
+        },
+        'de-CH': {
+          label: 'Staat'
+        }
+      }
+    };
+
+    let translator;
+
+    beforeEach(function() {
+      translator = new Translator({ locale: 'de' });
+
+      translator.setTranslations(translations);
+    });
+
+
+    it('should translate', function() {
+
+      // when
+      const label = translator.translateField(field, 'label', 'Country');
+
+      // then
+      expect(label).to.equal('Land');
+    });
+
+
+    it('should translate nested', function() {
+
+      // when
+      const label = translator.translateField(field, [ 'options', 'fr' ], 'France');
+
+      // then
+      expect(label).to.equal('Frankreich');
+    });
+
+
+    it('should prefer regional locale', function() {
+
+      // given
+      translator = new Translator({ locale: 'de-CH' });
+
+      translator.setTranslations(translations);
+
+      // then
+      expect(translator.translateField(field, 'label', 'Country')).to.equal('Staat');
+      expect(translator.translateField(field, [ 'options', 'de' ], 'Germany')).to.equal('Deutschland');
+    });
+
+
+    it('should fall back to default', function() {
+
+      // then
+      expect(translator.translateField(field, 'description', 'Where you live')).to.equal('Where you live');
+      expect(translator.translateField({ id: 'Textfield_1' }, 'label', 'Name')).to.equal('Name');
+    });
+
+
+    it('should fall back to default for unknown locale', function() {
+
+      // given
+      translator = new Translator({ locale: 'fr' });
+
+      translator.setTranslations(translations);
+
+      // then
+      expect(translator.translateField(field, 'label', 'Country')).to.equal('Country');
+    });
+
+  });
+
+});
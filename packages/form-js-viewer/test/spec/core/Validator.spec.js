@@ -1,6 +1,10 @@
 import EventBus from 'diagram-js/lib/core/EventBus';
 import { Validator } from '../../../src/core/Validator';
-import { FeelExpressionLanguage } from '../../../src/features/expressionLanguage';
+import { ValidatorRegistry } from '../../../src/core/ValidatorRegistry';
+import { Translator } from '../../../src/core/Translator';
+import { ConditionChecker, FeelExpressionLanguage } from '../../../src/features/expressionLanguage';
+import { MarkdownRenderer } from '../../../src/features/markdown';
+import { buildExpressionContext } from '../../../src/util';
 
 
 describe('Validator', function() {
@@ -134,320 +138,401 @@ describe('Validator', function() {
     });
 
 
-    describe('pattern', function() {
+    describe('<range>', function() {
 
-      it('should be valid', function() {
+      it('should restrict increment relative to min', function() {
 
         // given
         const field = {
+          type: 'range',
+          increment: 5,
           validate: {
-            pattern: /foo/
+            min: 2
           }
         };
 
         // when
-        const errors = validator.validateField(field, 'foobar');
+        const validErrors = validator.validateField(field, 12);
+        const invalidErrors = validator.validateField(field, 10);
 
         // then
-        expect(errors).to.have.length(0);
+        expect(validErrors).to.have.length(0);
+
+        expect(invalidErrors).to.have.length(1);
+        expect(invalidErrors[0]).to.equal('Please select a valid value, the two nearest valid values are 7 and 12.');
       });
 
 
-      it('should be invalid', function() {
+      it('should restrict increment relative to min (expression)', function() {
 
         // given
         const field = {
+          type: 'range',
+          increment: 0.5,
           validate: {
-            pattern: /foo/
+            min: '=0.25'
           }
         };
 
         // when
-        const errors = validator.validateField(field, 'barbaz');
+        const errors = validator.validateField(field, 1.5);
 
         // then
         expect(errors).to.have.length(1);
-        expect(errors[ 0 ]).to.equal('Field must match pattern /foo/.');
+        expect(errors[0]).to.equal('Please select a valid value, the two nearest valid values are 1.25 and 1.75.');
       });
 
-    });
-
 
-    describe('required', function() {
-
-      it('should be valid', function() {
+      it('should restrict decimals', function() {
 
         // given
         const field = {
-          validate: {
-            required: true
-          }
+          type: 'range',
+          decimalDigits: 1
         };
 
         // when
-        const errors = validator.validateField(field, 'foo');
+        const errors = validator.validateField(field, 0.25);
 
         // then
-        expect(errors).to.have.length(0);
+        expect(errors).to.have.length(1);
+        expect(errors[0]).to.equal('Value is expected to have at most 1 decimal digit.');
       });
 
 
-      it('should be invalid (undefined)', function() {
+      it('should restrict bounds', function() {
 
         // given
         const field = {
+          type: 'range',
           validate: {
-            required: true
+            min: 10,
+            max: 20
           }
         };
 
         // when
-        const errors = validator.validateField(field, undefined);
+        const errors = validator.validateField(field, 25);
 
         // then
         expect(errors).to.have.length(1);
-        expect(errors[ 0 ]).to.equal('Field is required.');
+        expect(errors[0]).to.equal('Field must have maximum value of 20.');
       });
 
+    });
 
-      it('should be invalid (null)', function() {
+
+    describe('<rating>', function() {
+
+      it('should restrict max', function() {
 
         // given
         const field = {
+          type: 'rating',
           validate: {
-            required: true
+            max: 3
           }
         };
 
         // when
-        const errors = validator.validateField(field, null);
+        const errors = validator.validateField(field, 4);
 
         // then
         expect(errors).to.have.length(1);
-        expect(errors[ 0 ]).to.equal('Field is required.');
+        expect(errors[0]).to.equal('Field must have maximum value of 3.');
       });
 
+    });
+
 
-      it('should be invalid (empty string)', function() {
+    describe('<filepicker>', function() {
+
+      it('should be valid', function() {
 
         // given
         const field = {
-          validate: {
-            required: true
-          }
+          type: 'filepicker',
+          multiple: true,
+          accept: '.pdf,image/*',
+          maxFileSize: 1024
         };
 
         // when
-        const errors = validator.validateField(field, '');
+        const errors = validator.validateField(field, [
+          { name: 'invoice.pdf', size: 512, type: 'application/pdf' },
+          { name: 'photo.png', size: 1024, type: 'image/png' }
+        ]);
 
         // then
-        expect(errors).to.have.length(1);
-        expect(errors[ 0 ]).to.equal('Field is required.');
+        expect(errors).to.have.length(0);
       });
 
 
-      it('should be invalid (checkbox)', function() {
+      it('should allow single file only', function() {
 
         // given
         const field = {
-          type: 'checkbox',
-          validate: {
-            required: true
-          }
+          type: 'filepicker'
         };
 
         // when
-        const errors = validator.validateField(field, false);
+        const errors = validator.validateField(field, [
+          { name: 'invoice.pdf', size: 512, type: 'application/pdf' },
+          { name: 'receipt.pdf', size: 512, type: 'application/pdf' }
+        ]);
 
         // then
-        expect(errors).to.have.length(1);
-        expect(errors[ 0 ]).to.equal('Field is required.');
+        expect(errors).to.eql([ 'Field accepts a single file only.' ]);
       });
 
 
-      it('should be invalid (multiple)', function() {
+      it('should restrict file types', function() {
 
         // given
         const field = {
-          validate: {
-            required: true
-          }
+          type: 'filepicker',
+          accept: '.pdf,image/*'
         };
 
         // when
-        const errors = validator.validateField(field, []);
+        const errors = validator.validateField(field, [
+          { name: 'notes.txt', size: 512, type: 'text/plain' }
+        ]);
 
         // then
-        expect(errors).to.have.length(1);
-        expect(errors[ 0 ]).to.equal('Field is required.');
+        expect(errors).to.eql([ 'File notes.txt is not of an accepted type.' ]);
       });
 
-    });
-
-
-    describe('min', function() {
 
-      it('should be valid', function() {
+      it('should restrict file size', function() {
 
         // given
         const field = {
-          validate: {
-            min: 100
-          }
+          type: 'filepicker',
+          maxFileSize: 1048576
         };
 
         // when
-        const errors = validator.validateField(field, 200);
+        const errors = validator.validateField(field, [
+          { name: 'video.mp4', size: 2097152, type: 'video/mp4' }
+        ]);
 
         // then
-        expect(errors).to.have.length(0);
+        expect(errors).to.eql([ 'File video.mp4 exceeds the maximum size of 1 MB.' ]);
       });
 
 
-      it('should be invalid', function() {
+      it('should require file', function() {
 
         // given
         const field = {
+          type: 'filepicker',
           validate: {
-            min: 200
+            required: true
           }
         };
 
         // when
-        const errors = validator.validateField(field, 100);
+        const errors = validator.validateField(field, []);
 
         // then
-        expect(errors).to.have.length(1);
-        expect(errors[ 0 ]).to.equal('Field must have minimum value of 200.');
+        expect(errors).to.eql([ 'Field is required.' ]);
       });
 
+    });
+
 
-      it('should be invalid (zero)', function() {
+    describe('<richtext>', function() {
+
+      it('should measure length of visible markdown text', function() {
 
         // given
         const field = {
+          type: 'richtext',
           validate: {
-            min: 200
+            maxLength: 11
           }
         };
 
         // when
-        const errors = validator.validateField(field, 0);
+        const errors = validator.validateField(field, '**Hello** [world](https://bpmn.io)');
 
         // then
-        expect(errors).to.have.length(1);
-        expect(errors[0]).to.equal('Field must have minimum value of 200.');
+        expect(errors).to.be.empty;
       });
 
 
-      it('should be invalid (negative)', function() {
+      it('should measure length of visible HTML text', function() {
 
         // given
         const field = {
+          type: 'richtext',
+          richTextFormat: 'html',
           validate: {
-            min: -200
+            minLength: 5,
+            maxLength: 11
           }
         };
 
-        // when
-        const errors = validator.validateField(field,-300);
-
         // then
-        expect(errors).to.have.length(1);
-        expect(errors[0]).to.equal('Field must have minimum value of -200.');
+        expect(validator.validateField(field, '<p><strong>Hello</strong> world</p>')).to.be.empty;
+        expect(validator.validateField(field, '<p><strong>Hey</strong></p>')).to.eql([ 'Field must have minimum length of 5.' ]);
+        expect(validator.validateField(field, '<p><strong>Hello</strong> world!</p>')).to.eql([ 'Field must have maximum length of 11.' ]);
       });
 
     });
 
 
-    describe('min (expression)', function() {
+    describe('<address>', function() {
 
-      it('should be valid', function() {
+      it('should validate required parts', function() {
 
         // given
         const field = {
+          type: 'address',
+          partLabels: {
+            zip: 'Postcode'
+          },
           validate: {
-            min: '=100'
+            requiredParts: [ 'street', 'zip', 'city' ]
           }
         };
 
         // when
-        const errors = validator.validateField(field, 200);
+        const errors = validator.validateField(field, {
+          street: 'Main Street',
+          zip: ' ',
+          city: ''
+        });
 
         // then
-        expect(errors).to.have.length(0);
+        expect(errors).to.eql([
+          'Postcode is required.',
+          'City is required.'
+        ]);
       });
 
 
-      it('should be invalid', function() {
+      it('should ignore required parts that are not rendered', function() {
 
         // given
         const field = {
+          type: 'address',
+          parts: [ 'street', 'city' ],
           validate: {
-            min: '=200'
+            requiredParts: [ 'street', 'country' ]
           }
         };
 
         // when
-        const errors = validator.validateField(field, 100);
+        const errors = validator.validateField(field, {
+          street: 'Main Street',
+          city: 'Berlin'
+        });
 
         // then
-        expect(errors).to.have.length(1);
-        expect(errors[ 0 ]).to.equal('Field must have minimum value of 200.');
+        expect(errors).to.be.empty;
       });
 
 
-      it('should be invalid (zero)', function() {
+      it('should NOT validate required parts of empty address', function() {
 
         // given
         const field = {
+          type: 'address',
           validate: {
-            min: '=200'
+            requiredParts: [ 'street' ]
           }
         };
 
         // when
-        const errors = validator.validateField(field, 0);
+        const errors = validator.validateField(field, null);
 
         // then
-        expect(errors).to.have.length(1);
-        expect(errors[0]).to.equal('Field must have minimum value of 200.');
+        expect(errors).to.be.empty;
       });
 
 
-      it('should be invalid (negative)', function() {
+      it('should validate empty required address', function() {
 
         // given
         const field = {
+          type: 'address',
           validate: {
-            min: '=-200'
+            required: true,
+            requiredParts: [ 'street' ]
           }
         };
 
         // when
-        const errors = validator.validateField(field,-300);
+        const errors = validator.validateField(field, null);
 
         // then
-        expect(errors).to.have.length(1);
-        expect(errors[0]).to.equal('Field must have minimum value of -200.');
+        expect(errors).to.eql([ 'Field is required.' ]);
       });
 
     });
 
 
-    describe('max', function() {
+    describe('mask', function() {
+
+      const field = {
+        type: 'textfield',
+        appearance: {
+          mask: '(999) 999-9999'
+        }
+      };
+
+      it('should accept complete value', function() {
+
+        // then
+        expect(validator.validateField(field, '(555) 123-4567')).to.be.empty;
+        expect(validator.validateField(field, '5551234567')).to.be.empty;
+      });
+
+
+      it('should reject incomplete value', function() {
+
+        // when
+        const errors = validator.validateField(field, '(555) 123-45');
+
+        // then
+        expect(errors).to.eql([ 'Field must match the format (___) ___-____.' ]);
+      });
+
+
+      it('should reject value not matching the mask', function() {
+
+        // when
+        const errors = validator.validateField(field, '555-123-4567');
+
+        // then
+        expect(errors).to.eql([ 'Field must match the format (___) ___-____.' ]);
+      });
+
+
+      it('should NOT validate empty value', function() {
+
+        // then
+        expect(validator.validateField(field, '')).to.be.empty;
+      });
+
+    });
+
+
+    describe('pattern', function() {
 
       it('should be valid', function() {
 
         // given
         const field = {
           validate: {
-            max: 200
+            pattern: /foo/
           }
         };
 
         // when
-        const errors = validator.validateField(field, 100);
+        const errors = validator.validateField(field, 'foobar');
 
         // then
         expect(errors).to.have.length(0);
@@ -459,184 +544,206 @@ describe('Validator', function() {
         // given
         const field = {
           validate: {
-            max: 100
+            pattern: /foo/
           }
         };
 
         // when
-        const errors = validator.validateField(field, 200);
+        const errors = validator.validateField(field, 'barbaz');
 
         // then
         expect(errors).to.have.length(1);
-        expect(errors[ 0 ]).to.equal('Field must have maximum value of 100.');
+        expect(errors[ 0 ]).to.equal('Field must match pattern /foo/.');
       });
 
+    });
+
 
-      it('should be invalid (zero)', function() {
+    describe('required', function() {
+
+      it('should be valid', function() {
 
         // given
         const field = {
           validate: {
-            max: -200
+            required: true
           }
         };
 
         // when
-        const errors = validator.validateField(field, 0);
+        const errors = validator.validateField(field, 'foo');
 
         // then
-        expect(errors).to.have.length(1);
-        expect(errors[0]).to.equal('Field must have maximum value of -200.');
+        expect(errors).to.have.length(0);
       });
 
 
-      it('should be invalid (negative)', function() {
+      it('should be invalid (undefined)', function() {
 
         // given
         const field = {
           validate: {
-            max: -200
+            required: true
           }
         };
 
         // when
-        const errors = validator.validateField(field, -100);
+        const errors = validator.validateField(field, undefined);
 
         // then
         expect(errors).to.have.length(1);
-        expect(errors[0]).to.equal('Field must have maximum value of -200.');
+        expect(errors[ 0 ]).to.equal('Field is required.');
       });
 
-    });
-
 
-    describe('max (expression)', function() {
-
-      it('should be valid', function() {
+      it('should be invalid (null)', function() {
 
         // given
         const field = {
           validate: {
-            max: '=200'
+            required: true
           }
         };
 
         // when
-        const errors = validator.validateField(field, 100);
+        const errors = validator.validateField(field, null);
 
         // then
-        expect(errors).to.have.length(0);
+        expect(errors).to.have.length(1);
+        expect(errors[ 0 ]).to.equal('Field is required.');
       });
 
 
-      it('should be invalid', function() {
+      it('should be invalid (empty string)', function() {
 
         // given
         const field = {
           validate: {
-            max: '=100'
+            required: true
           }
         };
 
         // when
-        const errors = validator.validateField(field, 200);
+        const errors = validator.validateField(field, '');
 
         // then
         expect(errors).to.have.length(1);
-        expect(errors[ 0 ]).to.equal('Field must have maximum value of 100.');
+        expect(errors[ 0 ]).to.equal('Field is required.');
       });
 
 
-      it('should be invalid (zero)', function() {
+      it('should be invalid (checkbox)', function() {
 
         // given
         const field = {
+          type: 'checkbox',
           validate: {
-            max: '=-200'
+            required: true
           }
         };
 
         // when
-        const errors = validator.validateField(field, 0);
+        const errors = validator.validateField(field, false);
 
         // then
         expect(errors).to.have.length(1);
-        expect(errors[0]).to.equal('Field must have maximum value of -200.');
+        expect(errors[ 0 ]).to.equal('Field is required.');
       });
 
 
-      it('should be invalid (negative)', function() {
+      it('should be invalid (multiple)', function() {
 
         // given
         const field = {
           validate: {
-            max: '=-200'
+            required: true
           }
         };
 
         // when
-        const errors = validator.validateField(field, -100);
+        const errors = validator.validateField(field, []);
 
         // then
         expect(errors).to.have.length(1);
-        expect(errors[0]).to.equal('Field must have maximum value of -200.');
+        expect(errors[ 0 ]).to.equal('Field is required.');
       });
 
     });
 
 
-    describe('email pattern', function() {
+    describe('required (expression)', function() {
 
-      it('should be valid', function() {
+      it('should be valid if expression is not met', function() {
 
         // given
+        const validator = createValidator(null, { amount: 500 });
+
         const field = {
           validate: {
-            validationType: 'email'
+            required: '=amount > 1000'
           }
         };
 
         // when
-        const errors = validator.validateField(field, 'jon.doe@camunda.com');
+        const errors = validator.validateField(field, undefined);
 
         // then
         expect(errors).to.have.length(0);
       });
 
 
-      it('should be invalid', function() {
+      it('should be invalid if expression is met', function() {
 
         // given
+        const validator = createValidator(null, { amount: 5000 });
+
         const field = {
           validate: {
-            validationType: 'email'
+            required: '=amount > 1000'
           }
         };
 
         // when
-        const errors = validator.validateField(field, 'jon doe');
+        const errors = validator.validateField(field, undefined);
 
         // then
         expect(errors).to.have.length(1);
-        expect(errors[ 0 ]).to.equal('Field must be a valid email.');
+        expect(errors[ 0 ]).to.equal('Field is required.');
+      });
+
+
+      it('should be valid for invalid expression', function() {
+
+        // given
+        const field = {
+          validate: {
+            required: '=amount >'
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, undefined);
+
+        // then
+        expect(errors).to.have.length(0);
       });
 
     });
 
 
-    describe('phone number pattern', function() {
+    describe('min', function() {
 
       it('should be valid', function() {
 
         // given
         const field = {
           validate: {
-            validationType: 'phone'
+            min: 100
           }
         };
 
         // when
-        const errors = validator.validateField(field, '+4930664040900');
+        const errors = validator.validateField(field, 200);
 
         // then
         expect(errors).to.have.length(0);
@@ -648,48 +755,810 @@ describe('Validator', function() {
         // given
         const field = {
           validate: {
-            validationType: 'phone'
+            min: 200
           }
         };
 
         // when
-        const errors = validator.validateField(field, '1234');
+        const errors = validator.validateField(field, 100);
 
         // then
         expect(errors).to.have.length(1);
-        expect(errors[ 0 ]).to.equal('Field must be a valid  international phone number. (e.g. +4930664040900)');
+        expect(errors[ 0 ]).to.equal('Field must have minimum value of 200.');
       });
 
+
+      it('should be invalid (zero)', function() {
+
+        // given
+        const field = {
+          validate: {
+            min: 200
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, 0);
+
+        // then
+        expect(errors).to.have.length(1);
+        expect(errors[0]).to.equal('Field must have minimum value of 200.');
+      });
+
+
+      it('should be invalid (negative)', function() {
+
+        // given
+        const field = {
+          validate: {
+            min: -200
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field,-300);
+
+        // then
+        expect(errors).to.have.length(1);
+        expect(errors[0]).to.equal('Field must have minimum value of -200.');
+      });
+
+    });
+
+
+    describe('min (expression)', function() {
+
+      it('should be valid', function() {
+
+        // given
+        const field = {
+          validate: {
+            min: '=100'
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, 200);
+
+        // then
+        expect(errors).to.have.length(0);
+      });
+
+
+      it('should be invalid', function() {
+
+        // given
+        const field = {
+          validate: {
+            min: '=200'
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, 100);
+
+        // then
+        expect(errors).to.have.length(1);
+        expect(errors[ 0 ]).to.equal('Field must have minimum value of 200.');
+      });
+
+
+      it('should be invalid (zero)', function() {
+
+        // given
+        const field = {
+          validate: {
+            min: '=200'
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, 0);
+
+        // then
+        expect(errors).to.have.length(1);
+        expect(errors[0]).to.equal('Field must have minimum value of 200.');
+      });
+
+
+      it('should be invalid (negative)', function() {
+
+        // given
+        const field = {
+          validate: {
+            min: '=-200'
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field,-300);
+
+        // then
+        expect(errors).to.have.length(1);
+        expect(errors[0]).to.equal('Field must have minimum value of -200.');
+      });
+
+    });
+
+
+    describe('max', function() {
+
+      it('should be valid', function() {
+
+        // given
+        const field = {
+          validate: {
+            max: 200
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, 100);
+
+        // then
+        expect(errors).to.have.length(0);
+      });
+
+
+      it('should be invalid', function() {
+
+        // given
+        const field = {
+          validate: {
+            max: 100
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, 200);
+
+        // then
+        expect(errors).to.have.length(1);
+        expect(errors[ 0 ]).to.equal('Field must have maximum value of 100.');
+      });
+
+
+      it('should be invalid (zero)', function() {
+
+        // given
+        const field = {
+          validate: {
+            max: -200
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, 0);
+
+        // then
+        expect(errors).to.have.length(1);
+        expect(errors[0]).to.equal('Field must have maximum value of -200.');
+      });
+
+
+      it('should be invalid (negative)', function() {
+
+        // given
+        const field = {
+          validate: {
+            max: -200
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, -100);
+
+        // then
+        expect(errors).to.have.length(1);
+        expect(errors[0]).to.equal('Field must have maximum value of -200.');
+      });
+
+    });
+
+
+    describe('max (expression)', function() {
+
+      it('should be valid', function() {
+
+        // given
+        const field = {
+          validate: {
+            max: '=200'
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, 100);
+
+        // then
+        expect(errors).to.have.length(0);
+      });
+
+
+      it('should be invalid', function() {
+
+        // given
+        const field = {
+          validate: {
+            max: '=100'
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, 200);
+
+        // then
+        expect(errors).to.have.length(1);
+        expect(errors[ 0 ]).to.equal('Field must have maximum value of 100.');
+      });
+
+
+      it('should be invalid (zero)', function() {
+
+        // given
+        const field = {
+          validate: {
+            max: '=-200'
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, 0);
+
+        // then
+        expect(errors).to.have.length(1);
+        expect(errors[0]).to.equal('Field must have maximum value of -200.');
+      });
+
+
+      it('should be invalid (negative)', function() {
+
+        // given
+        const field = {
+          validate: {
+            max: '=-200'
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, -100);
+
+        // then
+        expect(errors).to.have.length(1);
+        expect(errors[0]).to.equal('Field must have maximum value of -200.');
+      });
+
+    });
+
+
+    describe('email pattern', function() {
+
+      it('should be valid', function() {
+
+        // given
+        const field = {
+          validate: {
+            validationType: 'email'
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, 'jon.doe@camunda.com');
+
+        // then
+        expect(errors).to.have.length(0);
+      });
+
+
+      it('should be invalid', function() {
+
+        // given
+        const field = {
+          validate: {
+            validationType: 'email'
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, 'jon doe');
+
+        // then
+        expect(errors).to.have.length(1);
+        expect(errors[ 0 ]).to.equal('Field must be a valid email.');
+      });
+
+    });
+
+
+    describe('phone number pattern', function() {
+
+      it('should be valid', function() {
+
+        // given
+        const field = {
+          validate: {
+            validationType: 'phone'
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, '+4930664040900');
+
+        // then
+        expect(errors).to.have.length(0);
+      });
+
+
+      it('should be invalid', function() {
+
+        // given
+        const field = {
+          validate: {
+            validationType: 'phone'
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, '1234');
+
+        // then
+        expect(errors).to.have.length(1);
+        expect(errors[ 0 ]).to.equal('Field must be a valid  international phone number. (e.g. +4930664040900)');
+      });
+
+    });
+
+  });
+
+
+  describe('#validateFile', function() {
+
+    it('should validate file before upload', function() {
+
+      // given
+      const field = {
+        type: 'filepicker',
+        accept: 'image/*',
+        maxFileSize: 1024
+      };
+
+      // when
+      const errors = validator.validateFile(field, { name: 'notes.txt', size: 2048, type: 'text/plain' });
+
+      // then
+      expect(errors).to.eql([
+        'File notes.txt is not of an accepted type.',
+        'File notes.txt exceeds the maximum size of 1 KB.'
+      ]);
+    });
+
+  });
+
+
+  describe('minLength', function() {
+
+    it('should be valid', function() {
+
+      // given
+      const field = {
+        validate: {
+          minLength: 5
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, 'foobar');
+
+      // then
+      expect(errors).to.have.length(0);
+    });
+
+
+    it('should be invalid', function() {
+
+      // given
+      const field = {
+        validate: {
+          minLength: 5
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, 'foo');
+
+      // then
+      expect(errors).to.have.length(1);
+      expect(errors[ 0 ]).to.equal('Field must have minimum length of 5.');
+    });
+
+  });
+
+
+  describe('minLength (expression)', function() {
+
+    it('should be valid', function() {
+
+      // given
+      const field = {
+        validate: {
+          minLength: '=5'
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, 'foobar');
+
+      // then
+      expect(errors).to.have.length(0);
+    });
+
+
+    it('should be invalid', function() {
+
+      // given
+      const field = {
+        validate: {
+          minLength: '=5'
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, 'foo');
+
+      // then
+      expect(errors).to.have.length(1);
+      expect(errors[ 0 ]).to.equal('Field must have minimum length of 5.');
+    });
+
+  });
+
+
+  describe('maxLength', function() {
+
+    it('should be valid', function() {
+
+      // given
+      const field = {
+        validate: {
+          maxLength: 5
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, 'foo');
+
+      // then
+      expect(errors).to.have.length(0);
+    });
+
+
+    it('should be invalid', function() {
+
+      // given
+      const field = {
+        validate: {
+          maxLength: 5
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, 'foobar');
+
+      // then
+      expect(errors).to.have.length(1);
+      expect(errors[ 0 ]).to.equal('Field must have maximum length of 5.');
+    });
+
+  });
+
+
+  describe('maxLength (expression)', function() {
+
+    it('should be valid', function() {
+
+      // given
+      const field = {
+        validate: {
+          maxLength: '=5'
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, 'foo');
+
+      // then
+      expect(errors).to.have.length(0);
+    });
+
+
+    it('should be invalid', function() {
+
+      // given
+      const field = {
+        validate: {
+          maxLength: '=5'
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, 'foobar');
+
+      // then
+      expect(errors).to.have.length(1);
+      expect(errors[ 0 ]).to.equal('Field must have maximum length of 5.');
+    });
+
+  });
+
+
+
+  describe('expression', function() {
+
+    it('should be valid', function() {
+
+      // given
+      const validator = createValidator(null, {
+        email: 'john@doe.com',
+        confirmEmail: 'john@doe.com'
+      });
+
+      const field = {
+        validate: {
+          expression: '=confirmEmail = email'
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, 'john@doe.com');
+
+      // then
+      expect(errors).to.have.length(0);
+    });
+
+
+    it('should be invalid', function() {
+
+      // given
+      const validator = createValidator(null, {
+        email: 'john@doe.com',
+        confirmEmail: 'jane@doe.com'
+      });
+
+      const field = {
+        validate: {
+          expression: '=confirmEmail = email'
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, 'jane@doe.com');
+
+      // then
+      expect(errors).to.eql([ 'Field is invalid.' ]);
+    });
+
+
+    it('should be invalid (custom message)', function() {
+
+      // given
+      const validator = createValidator(null, {
+        startDate: '2024-01-10',
+        endDate: '2024-01-01'
+      });
+
+      const field = {
+        validate: {
+          expression: '=date(endDate) > date(startDate)',
+          expressionMessage: 'End date must be after start date.'
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, '2024-01-01');
+
+      // then
+      expect(errors).to.eql([ 'End date must be after start date.' ]);
+    });
+
+
+    it('should provide special context', function() {
+
+      // given
+      const validator = createValidator(null, {
+        amount: 10
+      });
+
+      const field = {
+        validate: {
+          expression: '=this.amount > 20'
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, 10);
+
+      // then
+      expect(errors).to.have.length(1);
+    });
+
+
+    it('should ignore empty value', function() {
+
+      // given
+      const validator = createValidator(null, {
+        email: 'john@doe.com'
+      });
+
+      const field = {
+        validate: {
+          expression: '=confirmEmail = email'
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, '');
+
+      // then
+      expect(errors).to.have.length(0);
+    });
+
+
+    it('should ignore invalid expression', function() {
+
+      // given
+      const validator = createValidator(null, {
+        email: 'john@doe.com'
+      });
+
+      const field = {
+        validate: {
+          expression: '=email ='
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, 'john@doe.com');
+
+      // then
+      expect(errors).to.have.length(0);
+    });
+
+  });
+
+
+  describe('messages', function() {
+
+    const i18n = {
+      locale: 'de',
+      bundles: {
+        de: {
+          'validation.required': 'Feld ist erforderlich.',
+          'validation.minLength': 'Feld muss mindestens {minLength} Zeichen lang sein.'
+        }
+      }
+    };
+
+
+    it('should translate message', function() {
+
+      // given
+      const validator = createValidator(null, {}, i18n);
+
+      const field = {
+        validate: {
+          required: true
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, '');
+
+      // then
+      expect(errors).to.eql([ 'Feld ist erforderlich.' ]);
+    });
+
+
+    it('should interpolate translated message', function() {
+
+      // given
+      const validator = createValidator(null, {}, i18n);
+
+      const field = {
+        validate: {
+          minLength: 5
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, 'foo');
+
+      // then
+      expect(errors).to.eql([ 'Feld muss mindestens 5 Zeichen lang sein.' ]);
+    });
+
+
+    it('should fall back to default message', function() {
+
+      // given
+      const validator = createValidator(null, {}, i18n);
+
+      const field = {
+        validate: {
+          maxLength: 2
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, 'foo');
+
+      // then
+      expect(errors).to.eql([ 'Field must have maximum length of 2.' ]);
+    });
+
+
+    it('should override message per field', function() {
+
+      // given
+      const validator = createValidator(null, {}, i18n);
+
+      const field = {
+        validate: {
+          minLength: 5,
+          messages: {
+            minLength: 'Please enter at least {minLength} characters.'
+          }
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, 'foo');
+
+      // then
+      expect(errors).to.eql([ 'Please enter at least 5 characters.' ]);
     });
 
   });
 
 
-  describe('minLength', function() {
+  describe('custom', function() {
+
+    let validatorRegistry, validator;
+
+    beforeEach(function() {
+      validatorRegistry = new ValidatorRegistry();
+      validator = createValidator(validatorRegistry);
+    });
+
 
     it('should be valid', function() {
 
       // given
+      validatorRegistry.register('iban', () => true);
+
       const field = {
+        id: 'Textfield_1',
         validate: {
-          minLength: 5
+          custom: 'iban'
         }
       };
 
       // when
-      const errors = validator.validateField(field, 'foobar');
+      const errors = validator.validateField(field, 'DE02120300000000202051');
 
       // then
       expect(errors).to.have.length(0);
     });
 
 
-    it('should be invalid', function() {
+    it('should be invalid (message)', function() {
 
       // given
+      validatorRegistry.register('iban', () => 'Field must be a valid IBAN.');
+
       const field = {
+        id: 'Textfield_1',
         validate: {
-          minLength: 5
+          custom: 'iban'
         }
       };
 
@@ -697,38 +1566,42 @@ describe('Validator', function() {
       const errors = validator.validateField(field, 'foo');
 
       // then
-      expect(errors).to.have.length(1);
-      expect(errors[ 0 ]).to.equal('Field must have minimum length of 5.');
+      expect(errors).to.eql([ 'Field must be a valid IBAN.' ]);
     });
 
-  });
-
-
-  describe('minLength (expression)', function() {
 
-    it('should be valid', function() {
+    it('should be invalid (false)', function() {
 
       // given
+      validatorRegistry.register('iban', {
+        message: 'Field must be a valid IBAN.',
+        validate: () => false
+      });
+
       const field = {
+        id: 'Textfield_1',
         validate: {
-          minLength: '=5'
+          custom: 'iban'
         }
       };
 
       // when
-      const errors = validator.validateField(field, 'foobar');
+      const errors = validator.validateField(field, 'foo');
 
       // then
-      expect(errors).to.have.length(0);
+      expect(errors).to.eql([ 'Field must be a valid IBAN.' ]);
     });
 
 
-    it('should be invalid', function() {
+    it('should be invalid (default message)', function() {
 
       // given
+      validatorRegistry.register('iban', () => false);
+
       const field = {
+        id: 'Textfield_1',
         validate: {
-          minLength: '=5'
+          custom: 'iban'
         }
       };
 
@@ -736,21 +1609,20 @@ describe('Validator', function() {
       const errors = validator.validateField(field, 'foo');
 
       // then
-      expect(errors).to.have.length(1);
-      expect(errors[ 0 ]).to.equal('Field must have minimum length of 5.');
+      expect(errors).to.eql([ 'Field is invalid.' ]);
     });
 
-  });
-
-
-  describe('maxLength', function() {
 
-    it('should be valid', function() {
+    it('should combine with built-in rules', function() {
 
       // given
+      validatorRegistry.register('iban', () => 'Field must be a valid IBAN.');
+
       const field = {
+        id: 'Textfield_1',
         validate: {
-          maxLength: 5
+          minLength: 5,
+          custom: 'iban'
         }
       };
 
@@ -758,38 +1630,72 @@ describe('Validator', function() {
       const errors = validator.validateField(field, 'foo');
 
       // then
-      expect(errors).to.have.length(0);
+      expect(errors).to.eql([
+        'Field must have minimum length of 5.',
+        'Field must be a valid IBAN.'
+      ]);
     });
 
 
-    it('should be invalid', function() {
+    it('should pass context', function() {
 
       // given
+      const validateSpy = sinon.spy();
+
+      validatorRegistry.register('iban', validateSpy);
+
       const field = {
+        id: 'Textfield_1',
         validate: {
-          maxLength: 5
+          custom: 'iban'
         }
       };
 
       // when
-      const errors = validator.validateField(field, 'foobar');
+      validator.validateField(field, 'foo');
 
       // then
-      expect(errors).to.have.length(1);
-      expect(errors[ 0 ]).to.equal('Field must have maximum length of 5.');
+      expect(validateSpy).to.have.been.calledOnceWith('foo', {
+        field,
+        data: {}
+      });
     });
 
-  });
 
+    it('should NOT validate empty value', function() {
 
-  describe('maxLength (expression)', function() {
+      // given
+      const validateSpy = sinon.spy(() => false);
 
-    it('should be valid', function() {
+      validatorRegistry.register('iban', validateSpy);
+
+      const field = {
+        id: 'Textfield_1',
+        validate: {
+          custom: 'iban'
+        }
+      };
+
+      // when
+      const errors = validator.validateField(field, '');
+
+      // then
+      expect(errors).to.have.length(0);
+      expect(validateSpy).not.to.have.been.called;
+    });
+
+
+    it('should report error thrown', function() {
 
       // given
+      validatorRegistry.register('iban', () => {
+        throw new Error('unexpected');
+      });
+
       const field = {
+        id: 'Textfield_1',
         validate: {
-          maxLength: '=5'
+          custom: 'iban'
         }
       };
 
@@ -797,25 +1703,296 @@ describe('Validator', function() {
       const errors = validator.validateField(field, 'foo');
 
       // then
-      expect(errors).to.have.length(0);
+      expect(errors).to.eql([ 'Field could not be validated.' ]);
+      expect(validator.isPending(field, 'foo')).to.be.false;
     });
 
 
-    it('should be invalid', function() {
+    it('should ignore unknown validator', function() {
 
       // given
       const field = {
+        id: 'Textfield_1',
         validate: {
-          maxLength: '=5'
+          custom: 'foo'
         }
       };
 
       // when
-      const errors = validator.validateField(field, 'foobar');
+      const errors = validator.validateField(field, 'foo');
 
       // then
-      expect(errors).to.have.length(1);
-      expect(errors[ 0 ]).to.equal('Field must have maximum length of 5.');
+      expect(errors).to.have.length(0);
+    });
+
+
+    describe('async', function() {
+
+      it('should be pending', function() {
+
+        // given
+        validatorRegistry.register('username', () => new Promise(() => {}));
+
+        const field = {
+          id: 'Textfield_1',
+          validate: {
+            custom: 'username'
+          }
+        };
+
+        // when
+        const errors = validator.validateField(field, 'foo');
+
+        // then
+        expect(errors).to.have.length(0);
+        expect(validator.isPending(field, 'foo')).to.be.true;
+      });
+
+
+      it('should resolve errors', async function() {
+
+        // given
+        validatorRegistry.register('username', () => Promise.resolve('Username is already taken.'));
+
+        const field = {
+          id: 'Textfield_1',
+          validate: {
+            minLength: 5,
+            custom: 'username'
+          }
+        };
+
+        // when
+        const errors = await validator.validateFieldAsync(field, 'foo');
+
+        // then
+        expect(errors).to.eql([
+          'Field must have minimum length of 5.',
+          'Username is already taken.'
+        ]);
+
+        expect(validator.isPending(field, 'foo')).to.be.false;
+      });
+
+
+      it('should report rejection', async function() {
+
+        // given
+        validatorRegistry.register('username', () => Promise.reject(new Error('network error')));
+
+        const field = {
+          id: 'Textfield_1',
+          validate: {
+            custom: 'username'
+          }
+        };
+
+        // when
+        const errors = await validator.validateFieldAsync(field, 'foo');
+
+        // then
+        expect(errors).to.eql([ 'Field could not be validated.' ]);
+      });
+
+
+      it('should reuse result for unchanged value', async function() {
+
+        // given
+        const validateSpy = sinon.spy(() => Promise.resolve('Username is already taken.'));
+
+        validatorRegistry.register('username', validateSpy);
+
+        const field = {
+          id: 'Textfield_1',
+          validate: {
+            custom: 'username'
+          }
+        };
+
+        await validator.validateFieldAsync(field, 'foo');
+
+        // when
+        const errors = validator.validateField(field, 'foo');
+
+        // then
+        expect(errors).to.eql([ 'Username is already taken.' ]);
+        expect(validateSpy).to.have.been.calledOnce;
+      });
+
+
+      it('should re-validate changed value', async function() {
+
+        // given
+        const validateSpy = sinon.spy(() => Promise.resolve(true));
+
+        validatorRegistry.register('username', validateSpy);
+
+        const field = {
+          id: 'Textfield_1',
+          validate: {
+            custom: 'username'
+          }
+        };
+
+        await validator.validateFieldAsync(field, 'foo');
+
+        // when
+        await validator.validateFieldAsync(field, 'bar');
+
+        // then
+        expect(validateSpy).to.have.been.calledTwice;
+      });
+
+
+      it('should re-validate if data changed', async function() {
+
+        // given
+        const data = {
+          username: 'foo'
+        };
+
+        validator = createValidator(validatorRegistry, data);
+
+        const validateSpy = sinon.spy((value, { data }) => {
+          return Promise.resolve(value === data.username ? 'Alias must differ from username.' : true);
+        });
+
+        validatorRegistry.register('alias', validateSpy);
+
+        const field = {
+          id: 'Textfield_1',
+          validate: {
+            custom: 'alias'
+          }
+        };
+
+        await validator.validateFieldAsync(field, 'foo');
+
+        // when
+        data.username = 'bar';
+
+        const errors = await validator.validateFieldAsync(field, 'foo');
+
+        // then
+        expect(errors).to.be.empty;
+        expect(validateSpy).to.have.been.calledTwice;
+      });
+
+
+      it('should reuse pending result if data changed', function() {
+
+        // given
+        const data = {
+          username: 'foo'
+        };
+
+        validator = createValidator(validatorRegistry, data);
+
+        const validateSpy = sinon.spy(() => new Promise(() => {}));
+
+        validatorRegistry.register('alias', validateSpy);
+
+        const field = {
+          id: 'Textfield_1',
+          validate: {
+            custom: 'alias'
+          }
+        };
+
+        validator.validateField(field, 'foo');
+
+        // when
+        data.username = 'bar';
+
+        validator.validateField(field, 'foo');
+
+        // then
+        expect(validateSpy).to.have.been.calledOnce;
+      });
+
+
+      [ 'import.done', 'reset' ].forEach(event => {
+
+        it(`should clear results on <${ event }>`, async function() {
+
+          // given
+          const eventBus = new EventBus();
+
+          validator = createValidator(validatorRegistry, {}, undefined, eventBus);
+
+          const validateSpy = sinon.spy(() => Promise.resolve(true));
+
+          validatorRegistry.register('username', validateSpy);
+
+          const field = {
+            id: 'Textfield_1',
+            validate: {
+              custom: 'username'
+            }
+          };
+
+          await validator.validateFieldAsync(field, 'foo');
+
+          // when
+          eventBus.fire(event, {});
+
+          await validator.validateFieldAsync(field, 'foo');
+
+          // then
+          expect(validateSpy).to.have.been.calledTwice;
+        });
+
+      });
+
+
+      it('should keep results per repetition', async function() {
+
+        // given
+        validatorRegistry.register('username', (value) => {
+          return Promise.resolve(value === 'taken' ? 'Username is already taken.' : true);
+        });
+
+        const field = {
+          id: 'Textfield_1',
+          validate: {
+            custom: 'username'
+          }
+        };
+
+        validator.validateField(field, 'taken', { List_1: 0 });
+        validator.validateField(field, 'free', { List_1: 1 });
+
+        // when
+        await validator.whenSettled();
+
+        // then
+        expect(validator.validateField(field, 'taken', { List_1: 0 })).to.eql([ 'Username is already taken.' ]);
+        expect(validator.validateField(field, 'free', { List_1: 1 })).to.be.empty;
+      });
+
+
+      it('#whenSettled', async function() {
+
+        // given
+        validatorRegistry.register('username', () => Promise.resolve('Username is already taken.'));
+
+        const field = {
+          id: 'Textfield_1',
+          validate: {
+            custom: 'username'
+          }
+        };
+
+        validator.validateField(field, 'foo');
+
+        // when
+        await validator.whenSettled();
+
+        // then
+        expect(validator.isPending(field, 'foo')).to.be.false;
+        expect(validator.validateField(field, 'foo')).to.eql([ 'Username is already taken.' ]);
+      });
+
     });
 
   });
@@ -825,19 +2002,21 @@ describe('Validator', function() {
 
 // helpers //////////
 
-function createValidator() {
-  const eventBus = new EventBus();
+function createValidator(validatorRegistry, data = {}, i18n, eventBus = new EventBus()) {
   const expressionLanguage = new FeelExpressionLanguage(eventBus);
+  const feelConditionChecker = new ConditionChecker(null, null, eventBus);
 
   const conditionChecker = {
-    applyConditions() {},
-    check() {}
+    applyConditions: (data) => data,
+    check: (condition, data) => feelConditionChecker.check(condition, data),
+    checkFieldCondition: (field, condition, data) => feelConditionChecker.check(condition, data) === true,
+    getLocalExpressionContext: (field, data) => buildExpressionContext({ this: data, data, i: [], parent: null })
   };
 
   const form = {
     _getState() {
       return {
-        data: {},
+        data,
         errors: {},
         initialData: {},
         properties: {}
@@ -845,5 +2024,9 @@ function createValidator() {
     }
   };
 
-  return new Validator(expressionLanguage, conditionChecker, form);
+  const translator = new Translator(i18n);
+
+  const markdownRenderer = new MarkdownRenderer();
+
+  return new Validator(expressionLanguage, conditionChecker, form, validatorRegistry, translator, markdownRenderer, eventBus);
 }
\ No newline at end of file
@@ -0,0 +1,90 @@
+import {
+  bootstrapForm,
+  getForm,
+  inject
+} from 'test/TestHelper';
+
+
+describe('ValidatorRegistry', function() {
+
+  beforeEach(bootstrapForm());
+
+  afterEach(function() {
+    getForm().destroy();
+  });
+
+
+  describe('#register', function() {
+
+    it('should register validator', inject(function(validatorRegistry) {
+
+      // given
+      const validate = () => true;
+
+      // when
+      validatorRegistry.register('iban', {
+        label: 'IBAN',
+        validate
+      });
+
+      // then
+      expect(validatorRegistry.get('iban')).to.eql({
+        label: 'IBAN',
+        validate
+      });
+    }));
+
+
+    it('should register validate function', inject(function(validatorRegistry) {
+
+      // given
+      const validate = () => true;
+
+      // when
+      validatorRegistry.register('iban', validate);
+
+      // then
+      expect(validatorRegistry.get('iban')).to.eql({
+        label: 'iban',
+        validate
+      });
+    }));
+
+
+    it('should throw error if validate function is missing', inject(function(validatorRegistry) {
+
+      // when
+      const register = () => validatorRegistry.register('iban', { label: 'IBAN' });
+
+      // then
+      expect(register).to.throw('validator <iban> must provide a validate function');
+    }));
+
+  });
+
+
+  describe('#getAll', function() {
+
+    it('should return registered validators', inject(function(validatorRegistry) {
+
+      // given
+      validatorRegistry.register('iban', {
+        label: 'IBAN',
+        validate: () => true
+      });
+
+      validatorRegistry.register('username', () => true);
+
+      // when
+      const validators = validatorRegistry.getAll();
+
+      // then
+      expect(validators).to.eql([
+        { name: 'iban', label: 'IBAN' },
+        { name: 'username', label: 'username' }
+      ]);
+    }));
+
+  });
+
+});
@@ -0,0 +1,53 @@
+import { HeadlessFormFields } from '../../../../src/core/headless';
+
+import { FormFields } from '../../../../src/render/FormFields';
+
+
+describe('HeadlessFormFields', function() {
+
+  it('should register configs of built-in form fields', function() {
+
+    // given
+    const formFields = new FormFields();
+
+    // when
+    const headlessFormFields = new HeadlessFormFields();
+
+    // then
+    [
+      'button',
+      'checkbox',
+      'checklist',
+      'default',
+      'dynamiclist',
+      'expression',
+      'group',
+      'number',
+      'radio',
+      'select',
+      'taglist',
+      'textfield'
+    ].forEach(type => {
+      expect(headlessFormFields.get(type).config).to.equal(formFields.get(type).config);
+    });
+  });
+
+
+  it('should register custom form field', function() {
+
+    // given
+    const headlessFormFields = new HeadlessFormFields();
+
+    const config = {
+      type: 'custom',
+      keyed: true
+    };
+
+    // when
+    headlessFormFields.register('custom', { config });
+
+    // then
+    expect(headlessFormFields.get('custom').config).to.equal(config);
+  });
+
+});
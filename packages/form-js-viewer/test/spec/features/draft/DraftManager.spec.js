@@ -0,0 +1,600 @@
+import {
+  act,
+  fireEvent,
+  screen
+} from '@testing-library/preact/pure';
+
+import { createForm, DraftModule } from '../../../../src';
+
+import schema from '../../draft.json';
+
+import {
+  createFormContainer
+} from '../../../TestHelper';
+
+const spy = sinon.spy;
+
+const DRAFT_KEY = 'form-js-draft:Form_draft';
+
+
+describe('features/draft - DraftManager', function() {
+
+  let container, form, storage;
+
+  const bootstrapForm = (options = {}) => {
+    const {
+      draft,
+      ...restOptions
+    } = options;
+
+    return act(async () => {
+      form = await createForm({
+        container,
+        schema,
+        debounce: false,
+        additionalModules: [ DraftModule ],
+        draft: {
+          debounce: 0,
+          storage,
+          ...draft
+        },
+        ...restOptions
+      });
+    });
+  };
+
+  beforeEach(function() {
+    container = createFormContainer();
+    storage = new StorageMock();
+  });
+
+  afterEach(function() {
+    form && form.destroy();
+    form = null;
+
+    container.remove();
+  });
+
+
+  describe('auto save', function() {
+
+    it('should save draft on change', async function() {
+
+      // given
+      await bootstrapForm();
+
+      const savedSpy = spy();
+
+      form.on('draft.saved', savedSpy);
+
+      // when
+      await changeName('John');
+
+      // then
+      const draft = storage.getDraft(DRAFT_KEY);
+
+      expect(draft.data.name).to.eql('John');
+      expect(draft.version).to.eql('v1');
+      expect(draft.savedAt).to.exist;
+
+      expect(savedSpy).to.have.been.calledOnce;
+    });
+
+
+    it('should NOT save draft on import', async function() {
+
+      // when
+      await bootstrapForm();
+
+      await nextTick();
+
+      // then
+      expect(storage.getDraft(DRAFT_KEY)).not.to.exist;
+    });
+
+
+    it('should NOT save draft if disabled', async function() {
+
+      // given
+      await bootstrapForm({ draft: { autoSave: false } });
+
+      // when
+      await changeName('John');
+
+      // then
+      expect(storage.getDraft(DRAFT_KEY)).not.to.exist;
+    });
+
+
+    it('should save touched fields', async function() {
+
+      // given
+      await bootstrapForm();
+
+      // when
+      await act(() => fireEvent.blur(screen.getByLabelText('Name')));
+
+      await nextTick();
+
+      // then
+      expect(storage.getDraft(DRAFT_KEY).touched).to.eql({ 'Name_1': true });
+    });
+
+
+    it('should save collapse state', async function() {
+
+      // given
+      await bootstrapForm({
+        data: {
+          items: [ { item: 'a' }, { item: 'b' } ]
+        }
+      });
+
+      // when
+      await act(() => fireEvent.click(container.querySelector('.fjs-repeat-render-collapse')));
+
+      await nextTick();
+
+      // then
+      expect(storage.getDraft(DRAFT_KEY).collapsed).to.eql({ 'Items_1': false });
+    });
+
+
+    it('should use custom key', async function() {
+
+      // given
+      await bootstrapForm({ draft: { key: 'my-draft' } });
+
+      // when
+      await changeName('John');
+
+      // then
+      expect(storage.getDraft('my-draft').data.name).to.eql('John');
+    });
+
+  });
+
+
+  describe('#restoreDraft', function() {
+
+    it('should restore draft', async function() {
+
+      // given
+      storage.setDraft(DRAFT_KEY, {
+        version: 'v1',
+        data: { name: 'John', items: [] },
+        touched: { 'Name_1': true },
+        dirty: { 'Name_1': true },
+        collapsed: {}
+      });
+
+      await bootstrapForm();
+
+      const restoredSpy = spy();
+
+      form.on('draft.restored', restoredSpy);
+
+      // when
+      let restored;
+
+      await act(async () => {
+        restored = await form.get('draftManager').restoreDraft();
+      });
+
+      // then
+      expect(restored).to.be.true;
+      expect(restoredSpy).to.have.been.calledOnce;
+
+      expect(form._getState().data).to.eql({ name: 'John', items: [] });
+      expect(screen.getByLabelText('Name').value).to.eql('John');
+
+      expect(form._getState().touched).to.eql({ 'Name_1': true });
+      expect(form.isDirty()).to.be.true;
+    });
+
+
+    it('should notify about restored values', async function() {
+
+      // given
+      storage.setDraft(DRAFT_KEY, {
+        version: 'v1',
+        data: { name: 'John', items: [] },
+        touched: {},
+        collapsed: {}
+      });
+
+      await bootstrapForm();
+
+      const changedSpy = spy();
+
+      form.on('field.changed', changedSpy);
+
+      // when
+      await act(() => form.get('draftManager').restoreDraft());
+
+      // then
+      expect(changedSpy).to.have.been.calledWithMatch({
+        valuePath: [ 'name' ],
+        value: 'John'
+      });
+    });
+
+
+    it('should compute fields of current schema', async function() {
+
+      // given
+      storage.setDraft(DRAFT_KEY, {
+        version: 'v1',
+        data: { name: 'John', greeting: 'Hi', items: [] },
+        touched: {},
+        collapsed: {}
+      });
+
+      await bootstrapForm({
+        schema: {
+          ...schema,
+          components: [
+            ...schema.components,
+            {
+              type: 'expression',
+              key: 'greeting',
+              id: 'Greeting_1',
+              expression: '="Hello " + name'
+            }
+          ]
+        }
+      });
+
+      // when
+      await act(() => form.get('draftManager').restoreDraft());
+
+      // then
+      expect(form._getState().data.greeting).to.eql('Hello John');
+    });
+
+
+    it('should validate touched fields', async function() {
+
+      // given
+      storage.setDraft(DRAFT_KEY, {
+        version: 'v1',
+        data: { name: 'Jo', items: [ { item: 'a' } ] },
+        touched: { 'Name_1': true },
+        collapsed: {}
+      });
+
+      await bootstrapForm({
+        schema: {
+          ...schema,
+          components: schema.components.map(component => {
+            return {
+              ...component,
+              validate: { minLength: 3 },
+              components: component.components && component.components.map(child => {
+                return { ...child, validate: { minLength: 3 } };
+              })
+            };
+          })
+        }
+      });
+
+      // when
+      await act(() => form.get('draftManager').restoreDraft());
+
+      // then
+      expect(form.getErrors()).to.eql({
+        'Name_1': [ 'Field must have minimum length of 3.' ]
+      });
+    });
+
+
+    it('should restore collapse state', async function() {
+
+      // given
+      storage.setDraft(DRAFT_KEY, {
+        version: 'v1',
+        data: { items: [ { item: 'a' }, { item: 'b' } ] },
+        touched: {},
+        collapsed: { 'Items_1': false }
+      });
+
+      await bootstrapForm();
+
+      // when
+      await act(() => form.get('draftManager').restoreDraft());
+
+      // then
+      expect(container.querySelectorAll('.fjs-repeat-row-container')).to.have.length(2);
+    });
+
+
+    it('should NOT save restored draft', async function() {
+
+      // given
+      storage.setDraft(DRAFT_KEY, {
+        version: 'v1',
+        data: { name: 'John', items: [] },
+        touched: {},
+        collapsed: {}
+      });
+
+      await bootstrapForm();
+
+      const savedSpy = spy();
+
+      form.on('draft.saved', savedSpy);
+
+      // when
+      await act(() => form.get('draftManager').restoreDraft());
+
+      await nextTick();
+
+      // then
+      expect(savedSpy).not.to.have.been.called;
+    });
+
+
+    it('should return false without draft', async function() {
+
+      // given
+      await bootstrapForm();
+
+      // when
+      const restored = await form.get('draftManager').restoreDraft();
+
+      // then
+      expect(restored).to.be.false;
+    });
+
+
+    it('should discard draft of other schema version', async function() {
+
+      // given
+      storage.setDraft(DRAFT_KEY, {
+        version: 'v0',
+        data: { name: 'John' },
+        touched: {},
+        collapsed: {}
+      });
+
+      await bootstrapForm();
+
+      // when
+      const restored = await form.get('draftManager').restoreDraft();
+
+      // then
+      expect(restored).to.be.false;
+      expect(storage.getDraft(DRAFT_KEY)).not.to.exist;
+      expect(screen.getByLabelText('Name').value).to.eql('');
+    });
+
+
+    it('should discard draft of other schema contents', async function() {
+
+      // given
+      const { versionTag, ...untaggedSchema } = schema;
+
+      await bootstrapForm({ schema: untaggedSchema });
+
+      await changeName('John');
+
+      const { version } = storage.getDraft(DRAFT_KEY);
+
+      form.destroy();
+
+      // when
+      await bootstrapForm({
+        schema: {
+          ...untaggedSchema,
+          components: [
+            ...untaggedSchema.components,
+            { type: 'textfield', key: 'email', label: 'Email' }
+          ]
+        }
+      });
+
+      await nextTick();
+
+      // then
+      expect(version).to.match(/^Form_draft:/);
+      expect(storage.getDraft(DRAFT_KEY)).not.to.exist;
+    });
+
+
+    it('should keep draft of same schema contents', async function() {
+
+      // given
+      const { versionTag, ...untaggedSchema } = schema;
+
+      await bootstrapForm({ schema: untaggedSchema });
+
+      await changeName('John');
+
+      form.destroy();
+
+      await bootstrapForm({ schema: untaggedSchema });
+
+      // when
+      const restored = await form.get('draftManager').restoreDraft();
+
+      // then
+      expect(restored).to.be.true;
+    });
+
+
+    it('should discard draft of other custom version on import', async function() {
+
+      // given
+      storage.setDraft(DRAFT_KEY, {
+        version: '1.0.0',
+        data: { name: 'John' },
+        touched: {},
+        collapsed: {}
+      });
+
+      // when
+      await bootstrapForm({ draft: { version: '2.0.0' } });
+
+      await nextTick();
+
+      // then
+      expect(storage.getDraft(DRAFT_KEY)).not.to.exist;
+    });
+
+  });
+
+
+  describe('#discardDraft', function() {
+
+    it('should discard draft', async function() {
+
+      // given
+      await bootstrapForm();
+
+      await changeName('John');
+
+      // when
+      await form.get('draftManager').discardDraft();
+
+      // then
+      expect(storage.getDraft(DRAFT_KEY)).not.to.exist;
+    });
+
+
+    it('should discard draft on submit', async function() {
+
+      // given
+      await bootstrapForm();
+
+      await changeName('John');
+
+      // when
+      await act(() => form.submit());
+
+      // then
+      expect(storage.getDraft(DRAFT_KEY)).not.to.exist;
+    });
+
+
+    it('should discard draft on reset', async function() {
+
+      // given
+      await bootstrapForm();
+
+      await changeName('John');
+
+      // when
+      await act(() => form.reset());
+
+      await nextTick();
+
+      // then
+      expect(storage.getDraft(DRAFT_KEY)).not.to.exist;
+    });
+
+
+    it('should fire <draft.error> if discarding on submit fails', async function() {
+
+      // given
+      await bootstrapForm();
+
+      await changeName('John');
+
+      const error = new Error('storage unavailable');
+
+      storage.removeItem = () => {
+        throw error;
+      };
+
+      const errorSpy = spy();
+
+      form.on('draft.error', errorSpy);
+
+      // when
+      await act(() => form.submit());
+
+      await nextTick();
+
+      // then
+      expect(errorSpy).to.have.been.calledOnce;
+      expect(errorSpy.getCall(0).args[0].error).to.equal(error);
+    });
+
+  });
+
+
+  describe('errors', function() {
+
+    it('should fire <draft.error> if reading fails on import', async function() {
+
+      // given
+      const error = new Error('storage unavailable');
+
+      storage.getItem = () => Promise.reject(error);
+
+      const errorSpy = spy();
+
+      // when
+      await bootstrapForm({
+        additionalModules: [
+          DraftModule,
+          {
+            __init__: [ [ 'eventBus', eventBus => eventBus.on('draft.error', errorSpy) ] ]
+          }
+        ]
+      });
+
+      await nextTick();
+
+      // then
+      expect(errorSpy).to.have.been.calledOnce;
+      expect(errorSpy.getCall(0).args[0].error).to.equal(error);
+    });
+
+  });
+
+});
+
+
+// helpers //////////
+
+class StorageMock {
+
+  constructor() {
+    this._items = {};
+  }
+
+  getItem(key) {
+    return key in this._items ? this._items[ key ] : null;
+  }
+
+  setItem(key, value) {
+    this._items[ key ] = value;
+  }
+
+  removeItem(key) {
+    delete this._items[ key ];
+  }
+
+  getDraft(key) {
+    const value = this.getItem(key);
+
+    return value ? JSON.parse(value) : null;
+  }
+
+  setDraft(key, draft) {
+    this.setItem(key, JSON.stringify(draft));
+  }
+}
+
+function nextTick() {
+  return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+async function changeName(value) {
+  await act(() => {
+    fireEvent.input(screen.getByLabelText('Name'), { target: { value } });
+  });
+
+  await nextTick();
+}
@@ -124,6 +124,88 @@ describe('ConditionChecker', function() {
   });
 
 
+  describe('#checkFieldCondition', function() {
+
+    const fields = {
+      Form_1: { id: 'Form_1', type: 'default' },
+      List_1: { id: 'List_1', type: 'dynamiclist', path: 'items', isRepeating: true, _parent: 'Form_1' },
+      Amount_1: { id: 'Amount_1', type: 'number', key: 'amount', _parent: 'List_1' }
+    };
+
+    const data = {
+      limit: 100,
+      items: [
+        { amount: 50 },
+        { amount: 150 }
+      ]
+    };
+
+    beforeEach(function() {
+      const formFieldRegistry = {
+        get: (id) => fields[ id ],
+        getForm: () => fields.Form_1
+      };
+
+      conditionChecker = new ConditionChecker(
+        formFieldRegistry,
+        new PathRegistry(formFieldRegistry, new FormFields(), { get: () => {} }),
+        { fire: fireSpy }
+      );
+    });
+
+
+    it('should return static condition', function() {
+
+      // then
+      expect(conditionChecker.checkFieldCondition(fields.Amount_1, true, data)).to.be.true;
+      expect(conditionChecker.checkFieldCondition(fields.Amount_1, false, data)).to.be.false;
+      expect(conditionChecker.checkFieldCondition(fields.Amount_1, undefined, data)).to.be.false;
+    });
+
+
+    it('should evaluate expression', function() {
+
+      // then
+      expect(conditionChecker.checkFieldCondition(fields.List_1, '=limit = 100', data)).to.be.true;
+      expect(conditionChecker.checkFieldCondition(fields.List_1, '=limit > 100', data)).to.be.false;
+    });
+
+
+    it('should evaluate expression within repetition', function() {
+
+      // given
+      const condition = '=this.amount > parent.limit';
+
+      // then
+      expect(conditionChecker.checkFieldCondition(fields.Amount_1, condition, data, { List_1: 0 })).to.be.false;
+      expect(conditionChecker.checkFieldCondition(fields.Amount_1, condition, data, { List_1: 1 })).to.be.true;
+    });
+
+
+    it('should provide repetition index', function() {
+
+      // given
+      const condition = '=i[1] = 2';
+
+      // then
+      expect(conditionChecker.checkFieldCondition(fields.Amount_1, condition, data, { List_1: 0 })).to.be.false;
+      expect(conditionChecker.checkFieldCondition(fields.Amount_1, condition, data, { List_1: 1 })).to.be.true;
+    });
+
+
+    it('should NOT be met for invalid expression', function() {
+
+      // when
+      const result = conditionChecker.checkFieldCondition(fields.Amount_1, '=foo-', data);
+
+      // then
+      expect(result).to.be.false;
+      expect(fireSpy).to.have.been.calledWith('error');
+    });
+
+  });
+
+
   describe('#applyConditions', function() {
 
     it('should filter out properties for which condition is not met', function() {
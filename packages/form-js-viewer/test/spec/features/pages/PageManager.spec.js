@@ -0,0 +1,479 @@
+import {
+  act,
+  fireEvent,
+  waitFor
+} from '@testing-library/preact/pure';
+
+import { createForm } from '../../../../src';
+
+import schema from '../../pages.json';
+
+import {
+  createFormContainer
+} from '../../../TestHelper';
+
+
+describe('features/pages - PageManager', function() {
+
+  let container, form;
+
+  const bootstrapForm = (options = {}) => {
+    return act(async () => {
+      form = await createForm({ container, schema, debounce: false, ...options });
+    });
+  };
+
+  beforeEach(function() {
+    container = createFormContainer();
+  });
+
+  afterEach(function() {
+    form && form.destroy();
+    form = null;
+
+    container.remove();
+  });
+
+
+  it('should render first page only', async function() {
+
+    // when
+    await bootstrapForm();
+
+    // then
+    const pages = container.querySelectorAll('.fjs-form-field-page');
+
+    expect(pages).to.have.length(1);
+    expect(getPageLabel(pages[0])).to.equal('Personal information');
+  });
+
+
+  describe('#getPages', function() {
+
+    it('should return pages', async function() {
+
+      // given
+      await bootstrapForm();
+
+      const pageManager = form.get('pageManager');
+
+      // when
+      const pages = pageManager.getPages();
+
+      // then
+      expect(pages.map(page => page.id)).to.eql([ 'Page_1', 'Page_2', 'Page_3' ]);
+    });
+
+
+    it('should not return hidden pages', async function() {
+
+      // given
+      await bootstrapForm({ data: { skipAddress: true } });
+
+      const pageManager = form.get('pageManager');
+
+      // when
+      const pages = pageManager.getPages();
+
+      // then
+      expect(pages.map(page => page.id)).to.eql([ 'Page_1', 'Page_3' ]);
+    });
+
+
+    it('should return nothing for form without pages', async function() {
+
+      // given
+      await bootstrapForm({
+        schema: {
+          type: 'default',
+          components: [
+            {
+              key: 'name',
+              type: 'textfield'
+            }
+          ]
+        }
+      });
+
+      const pageManager = form.get('pageManager');
+
+      // then
+      expect(pageManager.getPages()).to.be.empty;
+      expect(pageManager.hasPages()).to.be.false;
+      expect(pageManager.getCurrentPage()).to.be.null;
+    });
+
+  });
+
+
+  describe('#next', function() {
+
+    it('should navigate to next page', async function() {
+
+      // given
+      await bootstrapForm({ data: { name: 'John Doe' } });
+
+      const pageManager = form.get('pageManager');
+
+      // when
+      let result;
+
+      await act(async () => {
+        result = await pageManager.next();
+      });
+
+      // then
+      expect(result).to.be.true;
+      expect(pageManager.getCurrentPage().id).to.equal('Page_2');
+      expect(getPageLabel(container.querySelector('.fjs-form-field-page'))).to.equal('Address');
+    });
+
+
+    it('should not navigate if current page has errors', async function() {
+
+      // given
+      await bootstrapForm();
+
+      const pageManager = form.get('pageManager');
+
+      // when
+      let result;
+
+      await act(async () => {
+        result = await pageManager.next();
+      });
+
+      // then
+      expect(result).to.be.false;
+      expect(pageManager.getCurrentPage().id).to.equal('Page_1');
+
+      expect(form._getState().errors).to.have.keys([ 'Textfield_1' ]);
+    });
+
+
+    it('should only validate current page', async function() {
+
+      // given
+      await bootstrapForm();
+
+      const pageManager = form.get('pageManager');
+
+      // when
+      await act(() => pageManager.next());
+
+      // then
+      expect(form._getState().errors).not.to.have.property('Textfield_2');
+    });
+
+
+    it('should keep errors of other pages', async function() {
+
+      // given
+      await bootstrapForm({ data: { name: 'John Doe' } });
+
+      const pageManager = form.get('pageManager');
+
+      await act(() => form.submit());
+
+      // assume
+      expect(form._getState().errors).to.have.keys([ 'Textfield_2' ]);
+
+      await act(() => pageManager.goTo('Page_1'));
+
+      // when
+      await act(async () => {
+        await pageManager.next();
+      });
+
+      // then
+      expect(form._getState().errors).to.have.keys([ 'Textfield_2' ]);
+    });
+
+
+    it('should skip hidden page', async function() {
+
+      // given
+      await bootstrapForm({ data: { name: 'John Doe', skipAddress: true } });
+
+      const pageManager = form.get('pageManager');
+
+      // when
+      await act(() => pageManager.next());
+
+      // then
+      expect(pageManager.getCurrentPage().id).to.equal('Page_3');
+    });
+
+
+    it('should not navigate beyond last page', async function() {
+
+      // given
+      await bootstrapForm();
+
+      const pageManager = form.get('pageManager');
+
+      await act(() => pageManager.goTo('Page_3'));
+
+      // when
+      const result = await pageManager.next();
+
+      // then
+      expect(result).to.be.false;
+      expect(pageManager.getCurrentPage().id).to.equal('Page_3');
+    });
+
+
+    it('should navigate via <Next> button', async function() {
+
+      // given
+      await bootstrapForm({ data: { name: 'John Doe' } });
+
+      const nextButton = container.querySelector('.fjs-page-next');
+
+      // when
+      await act(() => fireEvent.click(nextButton));
+
+      // then
+      await waitFor(() => {
+        expect(form.get('pageManager').getCurrentPage().id).to.equal('Page_2');
+      });
+    });
+
+
+    it('should wait for asynchronous validation', async function() {
+
+      // given
+      await bootstrapForm({
+        schema: withCustomValidation(schema, 'Textfield_1', 'name'),
+        data: { name: 'John Doe' }
+      });
+
+      form.get('validatorRegistry').register('name', () => Promise.resolve('Name is taken.'));
+
+      const pageManager = form.get('pageManager');
+
+      // when
+      let result;
+
+      await act(async () => {
+        result = await pageManager.next();
+      });
+
+      // then
+      expect(result).to.be.false;
+      expect(pageManager.getCurrentPage().id).to.equal('Page_1');
+
+      expect(form._getState().errors).to.eql({
+        Textfield_1: [ 'Name is taken.' ]
+      });
+    });
+
+  });
+
+
+  describe('translation', function() {
+
+    it('should translate navigation', async function() {
+
+      // given
+      await bootstrapForm({
+        i18n: {
+          locale: 'de',
+          bundles: {
+            de: {
+              'page.previous': 'Zurück',
+              'page.next': 'Weiter'
+            }
+          }
+        }
+      });
+
+      // when
+      await act(() => form.get('pageManager').goTo('Page_2'));
+
+      // then
+      expect(container.querySelector('.fjs-page-previous').textContent.trim()).to.equal('Zurück');
+      expect(container.querySelector('.fjs-page-next').textContent.trim()).to.equal('Weiter');
+    });
+
+  });
+
+
+  describe('#previous', function() {
+
+    it('should navigate to previous page', async function() {
+
+      // given
+      await bootstrapForm();
+
+      const pageManager = form.get('pageManager');
+
+      await act(() => pageManager.goTo('Page_2'));
+
+      // when
+      let result;
+
+      await act(async () => {
+        result = await pageManager.previous();
+      });
+
+      // then
+      expect(result).to.be.true;
+      expect(pageManager.getCurrentPage().id).to.equal('Page_1');
+    });
+
+
+    it('should not navigate before first page', async function() {
+
+      // given
+      await bootstrapForm();
+
+      const pageManager = form.get('pageManager');
+
+      // when
+      const result = await pageManager.previous();
+
+      // then
+      expect(result).to.be.false;
+      expect(pageManager.getCurrentPage().id).to.equal('Page_1');
+    });
+
+  });
+
+
+  describe('#goTo', function() {
+
+    it('should navigate to page', async function() {
+
+      // given
+      await bootstrapForm();
+
+      const pageManager = form.get('pageManager');
+
+      // when
+      let result;
+
+      await act(async () => {
+        result = await pageManager.goTo('Page_3');
+      });
+
+      // then
+      expect(result).to.be.true;
+      expect(pageManager.getCurrentPage().id).to.equal('Page_3');
+      expect(getPageLabel(container.querySelector('.fjs-form-field-page'))).to.equal('Summary');
+    });
+
+
+    it('should not navigate to unknown page', async function() {
+
+      // given
+      await bootstrapForm();
+
+      const pageManager = form.get('pageManager');
+
+      // when
+      const result = await pageManager.goTo('Foo');
+
+      // then
+      expect(result).to.be.false;
+      expect(pageManager.getCurrentPage().id).to.equal('Page_1');
+    });
+
+  });
+
+
+  describe('events', function() {
+
+    it('should fire <page.changed>', async function() {
+
+      // given
+      await bootstrapForm();
+
+      const pageManager = form.get('pageManager');
+
+      const changedSpy = sinon.spy();
+
+      form.on('page.changed', changedSpy);
+
+      // when
+      await act(() => pageManager.goTo('Page_2'));
+
+      // then
+      expect(changedSpy).to.have.been.calledOnce;
+      expect(changedSpy.getCall(0).args[0].page.id).to.equal('Page_2');
+    });
+
+
+    it('should navigate to first page with errors on submit', async function() {
+
+      // given
+      await bootstrapForm({ data: { name: 'John Doe' } });
+
+      const pageManager = form.get('pageManager');
+
+      await act(() => pageManager.goTo('Page_3'));
+
+      // when
+      await act(() => form.submit());
+
+      // then
+      expect(pageManager.getCurrentPage().id).to.equal('Page_2');
+    });
+
+
+    it('should navigate to first page on reset', async function() {
+
+      // given
+      await bootstrapForm();
+
+      const pageManager = form.get('pageManager');
+
+      await act(() => pageManager.goTo('Page_3'));
+
+      // when
+      await act(() => form.reset());
+
+      // then
+      expect(pageManager.getCurrentPage().id).to.equal('Page_1');
+    });
+
+
+    it('should render first page once current page gets hidden', async function() {
+
+      // given
+      await bootstrapForm();
+
+      const pageManager = form.get('pageManager');
+
+      await act(() => pageManager.goTo('Page_2'));
+
+      // when
+      await act(() => form.setData({ skipAddress: true }));
+
+      // then
+      expect(pageManager.getCurrentPage().id).to.equal('Page_1');
+      expect(getPageLabel(container.querySelector('.fjs-form-field-page'))).to.equal('Personal information');
+    });
+
+  });
+
+});
+
+
+// helpers //////////
+
+function getPageLabel(page) {
+  return page.querySelector('.fjs-form-field-label').textContent;
+}
+
+function withCustomValidation(schema, id, custom) {
+  return {
+    ...schema,
+    components: schema.components.map(page => ({
+      ...page,
+      components: page.components.map(component => {
+        return component.id === id ? { ...component, validate: { ...component.validate, custom } } : component;
+      })
+    }))
+  };
+}
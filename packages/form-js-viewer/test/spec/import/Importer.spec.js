@@ -424,4 +424,145 @@ describe('Importer', function() {
 
   });
 
-});
\ No newline at end of file
+
+
+  describe('migrations', function() {
+
+    const legacySchema = {
+      type: 'default',
+      schemaVersion: 1,
+      components: [
+        {
+          id: 'Textfield_1',
+          key: 'name',
+          type: 'textfield',
+          hint: 'Your full name'
+        }
+      ]
+    };
+
+    beforeEach(inject(function(migrationRegistry) {
+      migrationRegistry.register({
+        version: 15,
+        migrate: (schema, { report }) => {
+          schema.components.forEach(field => {
+            if (field.hint) {
+              field.description = field.hint;
+              delete field.hint;
+
+              report(`replaced <hint> of form field <${ field.id }> with <description>`);
+            }
+          });
+
+          return schema;
+        }
+      });
+    }));
+
+
+    it('should migrate schema', inject(async function(form, formFieldRegistry) {
+
+      // when
+      await form.importSchema(legacySchema);
+
+      // then
+      const field = formFieldRegistry.get('Textfield_1');
+
+      expect(field.description).to.eql('Your full name');
+      expect(field.hint).not.to.exist;
+
+      expect(form._getState().schema.schemaVersion).to.eql(15);
+    }));
+
+
+    it('should report migration warnings', inject(async function(form) {
+
+      // when
+      const { warnings } = await form.importSchema(legacySchema);
+
+      // then
+      expect(warnings).to.have.length(1);
+      expect(warnings[ 0 ].message).to.eql(
+        'migrated schema to version <15>: replaced <hint> of form field <Textfield_1> with <description>'
+      );
+    }));
+
+
+    it('should NOT modify original schema', inject(async function(form) {
+
+      // when
+      await form.importSchema(legacySchema);
+
+      // then
+      expect(legacySchema.schemaVersion).to.eql(1);
+      expect(legacySchema.components[ 0 ].hint).to.eql('Your full name');
+    }));
+
+
+    it('should migrate legacy custom validation type', inject(async function(form, formFieldRegistry) {
+
+      // given
+      const schema = {
+        type: 'default',
+        schemaVersion: 13,
+        components: [
+          {
+            id: 'Textfield_1',
+            key: 'name',
+            type: 'textfield',
+            validate: {
+              validationType: 'custom',
+              pattern: '^[a-z]+$'
+            }
+          }
+        ]
+      };
+
+      // when
+      const { warnings } = await form.importSchema(schema);
+
+      // then
+      expect(formFieldRegistry.get('Textfield_1').validate).to.eql({ pattern: '^[a-z]+$' });
+
+      expect(warnings.map(warning => warning.message)).to.eql([
+        'migrated schema to version <14>: removed custom <validate.validationType> of form field <Textfield_1>'
+      ]);
+    }));
+
+
+    it('should migrate legacy options source', inject(async function(form, formFieldRegistry) {
+
+      // given
+      const schema = {
+        type: 'default',
+        schemaVersion: 13,
+        components: [
+          {
+            id: 'Select_1',
+            key: 'language',
+            type: 'select',
+            valuesKey: 'languages',
+            values: [
+              { label: 'English', value: 'en' }
+            ]
+          }
+        ]
+      };
+
+      // when
+      const { warnings } = await form.importSchema(schema, { languages: [ 'de' ] });
+
+      // then
+      const field = formFieldRegistry.get('Select_1');
+
+      expect(field.valuesKey).to.eql('languages');
+      expect(field.values).not.to.exist;
+
+      expect(warnings.map(warning => warning.message)).to.eql([
+        'migrated schema to version <14>: removed <values> of form field <Select_1>, overridden by <valuesKey>'
+      ]);
+    }));
+
+  });
+
+});
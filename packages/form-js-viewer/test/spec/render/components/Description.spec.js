@@ -3,6 +3,7 @@ import {
 } from '@testing-library/preact/pure';
 
 import { Description } from '../../../../src/render/components/Description';
+import { Translator } from '../../../../src/core/Translator';
 
 import {
   createFormContainer,
@@ -93,6 +94,33 @@ describe('Description', function() {
   });
 
 
+  it('should render translation', function() {
+
+    // given
+    const translator = new Translator({ locale: 'de' });
+
+    translator.setTranslations({
+      Textfield_1: {
+        de: {
+          description: 'Wie im Ausweis'
+        }
+      }
+    });
+
+    // when
+    const { container } = createDescription({
+      field: { id: 'Textfield_1' },
+      description: 'As in your passport',
+      services: { translator }
+    });
+
+    // then
+    const description = container.querySelector('.fjs-form-field-description');
+
+    expect(description.textContent).to.eql('Wie im Ausweis');
+  });
+
+
   describe('a11y', function() {
 
     it('should have no violations', async function() {
@@ -136,6 +164,7 @@ function createDescription({ services, ...restOptions }) {
       options={ options }>
       <Description
         id={ options.id }
+        field={ options.field }
         description={ options.description } />
     </MockFormContext>,
     {
@@ -10,6 +10,7 @@ import {
 import { FormField } from 'src/render/components/FormField';
 
 import { Textfield } from 'src/render/components/form-fields/Textfield';
+import { ExpressionField } from 'src/render/components/form-fields/ExpressionField';
 
 import { UpdateFieldValidationHandler } from 'src/features/viewerCommands/cmd/UpdateFieldValidationHandler';
 
@@ -107,6 +108,26 @@ describe('FormField', function() {
   });
 
 
+  it('should NOT render hidden computed field', function() {
+
+    // when
+    const { container } = createFormField({
+      field: {
+        id: 'Total_ID',
+        key: 'total',
+        _path: [ 'total' ],
+        type: 'expression',
+        expression: '=amount * 2',
+        hidden: true
+      },
+      FormFieldComponent: ExpressionField
+    });
+
+    // then
+    expect(container.querySelector('.fjs-form-field')).not.to.exist;
+  });
+
+
   it('should should throw error if cannot render field', function() {
 
     expect(() => {
@@ -362,6 +383,44 @@ describe('FormField', function() {
     });
 
 
+    it('should NOT trigger validation on blur if not triggered yet', function() {
+
+      // given
+      const setStateSpy = sinon.spy();
+      const { container } = createFormField({
+        setState: setStateSpy,
+        validationErrors: [ 'validation-error' ],
+        validationTriggered: false
+      });
+
+      const input = container.querySelector('input[type="text"]');
+
+      // when
+      fireEvent.blur(input);
+
+      // then
+      expect(setStateSpy).not.to.have.been.called;
+    });
+
+
+    it('should NOT trigger validation on initial data if not triggered yet', function() {
+
+      // when
+      const setStateSpy = sinon.spy();
+      createFormField({
+        setState: setStateSpy,
+        validationErrors: [ 'validation-error' ],
+        validationTriggered: false,
+        initialData: {
+          creditor: 'a'
+        }
+      });
+
+      // then
+      expect(setStateSpy).not.to.have.been.called;
+    });
+
+
     it('should NOT trigger validation without initial data', function() {
 
       // when
@@ -381,6 +440,27 @@ describe('FormField', function() {
 
   });
 
+  describe('touched', function() {
+
+    it('should mark field as touched on blur', function() {
+
+      // given
+      const setTouchedSpy = sinon.spy();
+      const { container } = createFormField({
+        setTouched: setTouchedSpy
+      });
+
+      const input = container.querySelector('input[type="text"]');
+
+      // when
+      fireEvent.blur(input);
+
+      // then
+      expect(setTouchedSpy).to.have.been.calledOnceWith(defaultField);
+    });
+
+  });
+
   describe('readonly form field', function() {
 
     it('should pass readonly', function() {
@@ -462,6 +542,138 @@ describe('FormField', function() {
   });
 
 
+  describe('disabled form field', function() {
+
+    it('should pass disabled expression', function() {
+
+      // given
+      const componentSpy = sinon.spy(Textfield);
+
+      const expression = '=amount > 1000';
+
+      // when
+      createFormField({
+        field: {
+          ...defaultField,
+          disabled: expression
+        },
+        checkCondition: (value) => value === expression,
+        isExpression: () => true,
+        FormFieldComponent: componentSpy
+      });
+
+      // then
+      const props = componentSpy.firstCall.firstArg;
+
+      expect(props).to.include({
+        disabled: true
+      });
+    });
+
+
+    it('should NOT pass disabled if expression is NOT met', function() {
+
+      // given
+      const componentSpy = sinon.spy(Textfield);
+
+      // when
+      createFormField({
+        field: {
+          ...defaultField,
+          disabled: '=amount > 1000'
+        },
+        checkCondition: () => false,
+        isExpression: () => true,
+        FormFieldComponent: componentSpy
+      });
+
+      // then
+      const props = componentSpy.firstCall.firstArg;
+
+      expect(props).to.include({
+        disabled: false
+      });
+    });
+
+
+    it('should prefer readonly form', function() {
+
+      // given
+      const componentSpy = sinon.spy(Textfield);
+
+      const expression = '=amount > 1000';
+
+      // when
+      createFormField({
+        field: {
+          ...defaultField,
+          disabled: expression
+        },
+        checkCondition: (value) => value === expression,
+        isExpression: () => true,
+        FormFieldComponent: componentSpy,
+        properties: {
+          readOnly: true
+        }
+      });
+
+      // then
+      const props = componentSpy.firstCall.firstArg;
+
+      expect(props).to.include({
+        disabled: false,
+        readonly: true
+      });
+    });
+
+  });
+
+
+  describe('required form field', function() {
+
+    it('should mark as required if expression is met', function() {
+
+      // given
+      const expression = '=amount > 1000';
+
+      // when
+      const { container } = createFormField({
+        field: {
+          ...defaultField,
+          validate: {
+            required: expression
+          }
+        },
+        checkCondition: (value) => value === expression,
+        isExpression: () => true
+      });
+
+      // then
+      expect(container.querySelector('.fjs-asterix')).to.exist;
+    });
+
+
+    it('should NOT mark as required if expression is NOT met', function() {
+
+      // when
+      const { container } = createFormField({
+        field: {
+          ...defaultField,
+          validate: {
+            required: '=amount > 1000'
+          }
+        },
+        checkCondition: () => false,
+        isExpression: () => true
+      });
+
+      // then
+      expect(container.querySelector('.fjs-asterix')).not.to.exist;
+    });
+
+  });
+
+
   describe('label support', function() {
 
     it('should display field when templating is unavailable', function() {
@@ -578,6 +790,8 @@ function createFormField(options = {}) {
     isExpression = () => false,
     isTemplate = () => false,
     setState = () => {},
+    setTouched = () => {},
+    validationTriggered = true,
     validationErrors = []
   } = options;
 
@@ -592,6 +806,15 @@ function createFormField(options = {}) {
     },
     _setState(...args) {
       setState(...args);
+    },
+    _setTouched(...args) {
+      setTouched(...args);
+    },
+    _isValidationTriggered() {
+      return validationTriggered;
+    },
+    _validateFieldAsync() {
+      return Promise.resolve();
     }
   };
 
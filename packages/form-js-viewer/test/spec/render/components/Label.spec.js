@@ -3,6 +3,7 @@ import {
 } from '@testing-library/preact/pure';
 
 import { Label } from '../../../../src/render/components/Label';
+import { Translator } from '../../../../src/core/Translator';
 
 import {
   createFormContainer,
@@ -127,6 +128,65 @@ describe('Label', function() {
   });
 
 
+  it('should render translation', function() {
+
+    // given
+    const translator = new Translator({ locale: 'de' });
+
+    translator.setTranslations({
+      Textfield_1: {
+        de: {
+          label: 'Vorname'
+        }
+      }
+    });
+
+    // when
+    const { container } = createLabel({
+      field: { id: 'Textfield_1' },
+      id: 'foo',
+      label: 'First name',
+      services: { translator }
+    });
+
+    // then
+    const label = container.querySelector('.fjs-form-field-label');
+
+    expect(label.textContent).to.eql('Vorname');
+  });
+
+
+  it('should render template translation', function() {
+
+    // given
+    const translator = new Translator({ locale: 'de' });
+
+    translator.setTranslations({
+      Textfield_1: {
+        de: {
+          label: 'Hallo {{name}}'
+        }
+      }
+    });
+
+    // when
+    const { container } = createLabel({
+      field: { id: 'Textfield_1' },
+      initialData: {
+        name: 'Max'
+      },
+      id: 'foo',
+      label: 'First name',
+      services: { translator }
+    });
+
+    // then
+    const label = container.querySelector('.fjs-form-field-label');
+
+    expect(label.textContent).to.eql('Hallo Max');
+  });
+
+
   describe('a11y', function() {
 
     it('should have no violations', async function() {
@@ -161,6 +221,7 @@ function createLabel({ services, ...restOptions }, children = null) {
       options={ options }>
       <Label
         id={ options.id }
+        field={ options.field }
         label={ options.label }
         required={ options.required }>
         {children}
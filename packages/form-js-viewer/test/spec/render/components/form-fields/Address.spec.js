@@ -0,0 +1,573 @@
+import {
+  fireEvent,
+  render
+} from '@testing-library/preact/pure';
+
+import { Address } from '../../../../../src/render/components/form-fields/Address';
+
+import {
+  createFormContainer,
+  expectNoViolations
+} from '../../../../TestHelper';
+
+import { MockFormContext } from '../helper';
+
+const spy = sinon.spy;
+
+let container;
+
+
+describe('Address', function() {
+
+  beforeEach(function() {
+    container = createFormContainer();
+  });
+
+  afterEach(function() {
+    container.remove();
+  });
+
+
+  it('should render', function() {
+
+    // when
+    const { container } = createAddress({
+      value: {
+        street: 'Main Street',
+        number: '42',
+        zip: '10115',
+        city: 'Berlin',
+        country: 'DE'
+      }
+    });
+
+    // then
+    const formField = container.querySelector('.fjs-form-field');
+
+    expect(formField).to.exist;
+    expect(formField.classList.contains('fjs-form-field-address')).to.be.true;
+
+    const group = container.querySelector('[role="group"]');
+
+    expect(group).to.exist;
+
+    const label = container.querySelector('#test-address-label');
+
+    expect(label).to.exist;
+    expect(label.textContent).to.equal('Shipping address');
+    expect(group.getAttribute('aria-labelledby')).to.equal(label.id);
+
+    expect(getPartInput(container, 'street').value).to.equal('Main Street');
+    expect(getPartInput(container, 'number').value).to.equal('42');
+    expect(getPartInput(container, 'zip').value).to.equal('10115');
+    expect(getPartInput(container, 'city').value).to.equal('Berlin');
+    expect(getPartInput(container, 'country').value).to.equal('DE');
+  });
+
+
+  it('should render empty', function() {
+
+    // when
+    const { container } = createAddress();
+
+    // then
+    const inputs = container.querySelectorAll('.fjs-address-part input, .fjs-address-part select');
+
+    expect(inputs).to.have.length(5);
+    expect(Array.from(inputs).every(input => input.value === '')).to.be.true;
+  });
+
+
+  it('should render part labels', function() {
+
+    // when
+    const { container } = createAddress({
+      services: {
+        translator: createTranslator('de-DE')
+      }
+    });
+
+    // then
+    const labels = Array.from(container.querySelectorAll('.fjs-address-part label'));
+
+    expect(labels.map(label => label.textContent)).to.eql([
+      'Street',
+      'Number',
+      'ZIP code',
+      'City',
+      'Country'
+    ]);
+
+    labels.forEach(label => {
+      expect(container.querySelector(`#${ label.htmlFor }`)).to.exist;
+    });
+  });
+
+
+  it('should render custom part labels', function() {
+
+    // when
+    const { container } = createAddress({
+      field: {
+        ...defaultField,
+        partLabels: {
+          zip: 'Postcode'
+        }
+      }
+    });
+
+    // then
+    const label = container.querySelector('.fjs-address-zip label');
+
+    expect(label.textContent).to.equal('Postcode');
+  });
+
+
+  it('should render configured parts', function() {
+
+    // when
+    const { container } = createAddress({
+      field: {
+        ...defaultField,
+        parts: [ 'city', 'country' ]
+      }
+    });
+
+    // then
+    const parts = container.querySelectorAll('.fjs-address-part');
+
+    expect(parts).to.have.length(2);
+    expect(parts[0].classList.contains('fjs-address-city')).to.be.true;
+    expect(parts[1].classList.contains('fjs-address-country')).to.be.true;
+  });
+
+
+  it('should render required parts', function() {
+
+    // when
+    const { container } = createAddress({
+      field: {
+        ...defaultField,
+        validate: {
+          requiredParts: [ 'street', 'city' ]
+        }
+      }
+    });
+
+    // then
+    expect(container.querySelector('.fjs-address-street label').textContent).to.equal('Street*');
+    expect(container.querySelector('.fjs-address-city label').textContent).to.equal('City*');
+    expect(container.querySelector('.fjs-address-zip label').textContent).to.equal('ZIP code');
+  });
+
+
+  it('should render disabled', function() {
+
+    // when
+    const { container } = createAddress({
+      disabled: true
+    });
+
+    // then
+    const inputs = container.querySelectorAll('.fjs-address-part input, .fjs-address-part select');
+
+    expect(Array.from(inputs).every(input => input.disabled)).to.be.true;
+  });
+
+
+  it('should render readonly', function() {
+
+    // when
+    const { container } = createAddress({
+      readonly: true
+    });
+
+    // then
+    expect(getPartInput(container, 'street').readOnly).to.be.true;
+    expect(getPartInput(container, 'country').disabled).to.be.true;
+  });
+
+
+  it('should render description', function() {
+
+    // when
+    const { container } = createAddress({
+      field: {
+        ...defaultField,
+        description: 'Where to send the package'
+      }
+    });
+
+    // then
+    const description = container.querySelector('.fjs-form-field-description');
+
+    expect(description).to.exist;
+    expect(description.textContent).to.equal('Where to send the package');
+  });
+
+
+  describe('layout', function() {
+
+    it('should order parts for locale', function() {
+
+      // when
+      const { container } = createAddress({
+        services: {
+          translator: createTranslator('de-DE')
+        }
+      });
+
+      // then
+      expect(getLayout(container)).to.eql([
+        [ 'street', 'number' ],
+        [ 'zip', 'city' ],
+        [ 'country' ]
+      ]);
+    });
+
+
+    it('should order parts for region', function() {
+
+      // when
+      const { container } = createAddress({
+        services: {
+          translator: createTranslator('en-US')
+        }
+      });
+
+      // then
+      expect(getLayout(container)).to.eql([
+        [ 'number', 'street' ],
+        [ 'city', 'zip' ],
+        [ 'country' ]
+      ]);
+    });
+
+  });
+
+
+  describe('country', function() {
+
+    it('should render country options', function() {
+
+      // when
+      const { container } = createAddress({
+        field: {
+          ...defaultField,
+          countries: [ 'DE', 'AT', 'CH' ]
+        },
+        services: {
+          translator: createTranslator('en')
+        }
+      });
+
+      // then
+      const options = container.querySelectorAll('.fjs-address-country option');
+
+      expect(Array.from(options).map(option => option.value)).to.eql([ '', 'AT', 'DE', 'CH' ]);
+      expect(Array.from(options).map(option => option.textContent)).to.eql([ '', 'Austria', 'Germany', 'Switzerland' ]);
+    });
+
+
+    it('should render all countries by default', function() {
+
+      // when
+      const { container } = createAddress();
+
+      // then
+      const options = container.querySelectorAll('.fjs-address-country option');
+
+      expect(options.length).to.be.above(200);
+    });
+
+  });
+
+
+  describe('change handling', function() {
+
+    it('should change part', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createAddress({
+        onChange: onChangeSpy,
+        value: {
+          street: 'Main Street',
+          city: 'Berlin'
+        }
+      });
+
+      // when
+      fireEvent.input(getPartInput(container, 'number'), { target: { value: '42' } });
+
+      // then
+      expect(onChangeSpy).to.have.been.calledWith({
+        field: defaultField,
+        value: {
+          street: 'Main Street',
+          number: '42',
+          zip: '',
+          city: 'Berlin',
+          country: ''
+        }
+      });
+    });
+
+
+    it('should change country', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createAddress({
+        onChange: onChangeSpy
+      });
+
+      // when
+      fireEvent.change(getPartInput(container, 'country'), { target: { value: 'FR' } });
+
+      // then
+      expect(onChangeSpy).to.have.been.calledWith({
+        field: defaultField,
+        value: {
+          street: '',
+          number: '',
+          zip: '',
+          city: '',
+          country: 'FR'
+        }
+      });
+    });
+
+
+    it('should clear', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createAddress({
+        onChange: onChangeSpy,
+        value: {
+          city: 'Berlin'
+        }
+      });
+
+      // when
+      fireEvent.input(getPartInput(container, 'city'), { target: { value: '' } });
+
+      // then
+      expect(onChangeSpy).to.have.been.calledWith({
+        field: defaultField,
+        value: null
+      });
+    });
+
+
+    it('should only write configured parts', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const field = {
+        ...defaultField,
+        parts: [ 'zip', 'city' ]
+      };
+
+      const { container } = createAddress({
+        field,
+        onChange: onChangeSpy,
+        value: {
+          street: 'Main Street'
+        }
+      });
+
+      // when
+      fireEvent.input(getPartInput(container, 'zip'), { target: { value: '10115' } });
+
+      // then
+      expect(onChangeSpy).to.have.been.calledWith({
+        field,
+        value: {
+          zip: '10115',
+          city: ''
+        }
+      });
+    });
+
+
+    it('should blur once when leaving the group', function() {
+
+      // given
+      const onBlurSpy = spy();
+
+      const { container } = createAddress({
+        onBlur: onBlurSpy
+      });
+
+      // when
+      fireEvent.blur(getPartInput(container, 'street'), { relatedTarget: getPartInput(container, 'number') });
+
+      // then
+      expect(onBlurSpy).not.to.have.been.called;
+
+      // but when
+      fireEvent.blur(getPartInput(container, 'number'), { relatedTarget: null });
+
+      // then
+      expect(onBlurSpy).to.have.been.calledOnce;
+    });
+
+  });
+
+
+  it('#create', function() {
+
+    // assume
+    const { config } = Address;
+    expect(config.type).to.eql('address');
+    expect(config.label).to.eql('Address');
+    expect(config.group).to.eql('basic-input');
+    expect(config.keyed).to.be.true;
+    expect(config.emptyValue).to.be.null;
+
+    // when
+    const field = config.create();
+
+    // then
+    expect(field).to.eql({
+      parts: [ 'street', 'number', 'zip', 'city', 'country' ]
+    });
+
+    // but when
+    const customField = config.create({
+      custom: true
+    });
+
+    // then
+    expect(customField).to.contain({
+      custom: true
+    });
+  });
+
+
+  it('#sanitizeValue', function() {
+
+    // given
+    const { sanitizeValue } = Address.config;
+
+    const formField = {
+      parts: [ 'street', 'zip' ]
+    };
+
+    // then
+    expect(sanitizeValue({ formField, value: { street: 'Main Street', zip: 10115, city: 'Berlin' } })).to.eql({
+      street: 'Main Street',
+      zip: '10115'
+    });
+    expect(sanitizeValue({ formField, value: { city: 'Berlin' } })).to.be.null;
+    expect(sanitizeValue({ formField, value: 'Main Street' })).to.be.null;
+    expect(sanitizeValue({ formField, value: null })).to.be.null;
+  });
+
+
+  describe('a11y', function() {
+
+    it('should have no violations', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createAddress({
+        value: {
+          street: 'Main Street',
+          country: 'DE'
+        }
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+
+    it('should have no violations for readonly', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createAddress({
+        readonly: true
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+
+    it('should have no violations for errors', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createAddress({
+        errors: [ 'Something went wrong' ]
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+  });
+
+});
+
+// helpers //////////
+
+const defaultField = {
+  id: 'Address_1',
+  key: 'shippingAddress',
+  label: 'Shipping address',
+  type: 'address'
+};
+
+const defaultProps = {
+  domId: 'test-address',
+  field: defaultField,
+  onChange: () => {}
+};
+
+function createAddress({ services, ...restOptions } = {}) {
+  const options = {
+    ...defaultProps,
+    ...restOptions
+  };
+
+  return render(
+    <MockFormContext
+      services={ services }
+      options={ options }>
+      <Address { ...options } />
+    </MockFormContext>, {
+      container: options.container || container.querySelector('.fjs-form')
+    }
+  );
+}
+
+function createTranslator(locale) {
+  return {
+    getLocale: () => locale,
+    translateField: (field, path, defaultValue) => defaultValue
+  };
+}
+
+function getPartInput(container, part) {
+  return container.querySelector(`.fjs-address-${ part } input, .fjs-address-${ part } select`);
+}
+
+function getLayout(container) {
+  return Array.from(container.querySelectorAll('.fjs-address-row')).map(row => {
+    return Array.from(row.querySelectorAll('.fjs-address-part')).map(part => {
+      return part.className.replace('fjs-address-part fjs-address-', '');
+    });
+  });
+}
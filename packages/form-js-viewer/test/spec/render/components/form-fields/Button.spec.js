@@ -2,6 +2,8 @@ import { render } from '@testing-library/preact/pure';
 
 import { Button } from '../../../../../src/render/components/form-fields/Button';
 
+import { MockFormContext } from '../helper';
+
 import {
   createFormContainer,
   expectNoViolations
@@ -74,6 +76,59 @@ describe('Button', function() {
   });
 
 
+  describe('submitting', function() {
+
+    it('should render submit button busy', function() {
+
+      // when
+      const { container } = createButton({
+        submitting: true
+      });
+
+      // then
+      const button = container.querySelector('button');
+
+      expect(button.disabled).to.be.true;
+      expect(button.getAttribute('aria-busy')).to.eql('true');
+      expect(button.classList.contains('fjs-button-submitting')).to.be.true;
+    });
+
+
+    it('should render reset button disabled', function() {
+
+      // when
+      const { container } = createButton({
+        field: {
+          ...defaultField,
+          action: 'reset',
+          label: 'Reset'
+        },
+        submitting: true
+      });
+
+      // then
+      const button = container.querySelector('button');
+
+      expect(button.disabled).to.be.true;
+      expect(button.classList.contains('fjs-button-submitting')).to.be.false;
+    });
+
+
+    it('should NOT render busy if not submitting', function() {
+
+      // when
+      const { container } = createButton();
+
+      // then
+      const button = container.querySelector('button');
+
+      expect(button.disabled).to.be.false;
+      expect(button.classList.contains('fjs-button-submitting')).to.be.false;
+    });
+
+  });
+
+
   it('#create', function() {
 
     // assume
@@ -155,15 +210,24 @@ const defaultField = {
 function createButton(options = {}) {
   const {
     disabled,
-    field = defaultField
+    field = defaultField,
+    submitting = false
   } = options;
 
+  const form = {
+    _getState() {
+      return { submitting };
+    }
+  };
+
   return render(
-    <Button
-      disabled={ disabled }
-      field={ field } />,
+    <MockFormContext services={ { form } }>
+      <Button
+        disabled={ disabled }
+        field={ field } />
+    </MockFormContext>,
     {
       container: options.container || container.querySelector('.fjs-form')
     }
   );
-}
\ No newline at end of file
+}
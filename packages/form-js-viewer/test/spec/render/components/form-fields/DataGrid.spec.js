@@ -0,0 +1,535 @@
+import {
+  fireEvent,
+  render
+} from '@testing-library/preact/pure';
+
+import { DataGrid } from '../../../../../src/render/components/form-fields/DataGrid';
+import { Translator } from '../../../../../src/core/Translator';
+
+import {
+  createFormContainer,
+  expectNoViolations
+} from '../../../../TestHelper';
+
+import { MockFormContext } from '../helper';
+
+const spy = sinon.spy;
+
+let container;
+
+
+describe('DataGrid', function() {
+
+  beforeEach(function() {
+    container = createFormContainer();
+  });
+
+  afterEach(function() {
+    container.remove();
+  });
+
+
+  it('should render', function() {
+
+    // when
+    const { container } = createDataGrid();
+
+    // then
+    const formField = container.querySelector('.fjs-form-field');
+
+    expect(formField).to.exist;
+    expect(formField.classList.contains('fjs-form-field-datagrid')).to.be.true;
+
+    const label = container.querySelector('.fjs-form-field-label');
+
+    expect(label).to.exist;
+    expect(label.textContent).to.equal('Items');
+    expect(label.id).to.equal(formField.getAttribute('aria-labelledby'));
+
+    const headers = container.querySelectorAll('.fjs-datagrid-th');
+
+    expect(headers).to.have.length(3);
+    expect(headers[0].textContent).to.equal('Name*');
+    expect(headers[1].textContent).to.equal('Amount');
+  });
+
+
+  it('should render rows', function() {
+
+    // when
+    const { container } = createDataGrid();
+
+    // then
+    const rows = container.querySelectorAll('.fjs-datagrid-row');
+
+    expect(rows).to.have.length(2);
+
+    const cells = rows[1].querySelectorAll('.fjs-datagrid-cell');
+
+    expect(cells).to.have.length(2);
+    expect(cells[0].querySelector('input').value).to.equal('Pears');
+    expect(cells[1].querySelector('input').value).to.equal('5');
+  });
+
+
+  it('should render empty', function() {
+
+    // when
+    const { container } = createDataGrid({
+      value: []
+    });
+
+    // then
+    expect(container.querySelectorAll('.fjs-datagrid-row')).to.have.length(0);
+
+    const empty = container.querySelector('.fjs-datagrid-empty');
+
+    expect(empty).to.exist;
+    expect(empty.textContent).to.equal('Nothing to show.');
+  });
+
+
+  it('should render cell errors', function() {
+
+    // when
+    const { container } = createDataGrid({
+      errors: {
+        Name_1: [ undefined, [ 'Field is required.' ] ]
+      }
+    });
+
+    // then
+    const rows = container.querySelectorAll('.fjs-datagrid-row');
+
+    expect(rows[0].querySelector('.fjs-form-field-error')).not.to.exist;
+
+    const error = rows[1].querySelector('.fjs-datagrid-cell .fjs-form-field-error');
+
+    expect(error).to.exist;
+    expect(error.textContent).to.equal('Field is required.');
+  });
+
+
+  it('should render readonly', function() {
+
+    // when
+    const { container } = createDataGrid({
+      readonly: true
+    });
+
+    // then
+    expect(container.querySelector('.fjs-form-field-datagrid.fjs-readonly')).to.exist;
+
+    const buttons = container.querySelectorAll('.fjs-datagrid-actions button, .fjs-datagrid-add');
+
+    expect(Array.from(buttons).every(button => button.disabled)).to.be.true;
+  });
+
+
+  it('should NOT render add and remove', function() {
+
+    // when
+    const { container } = createDataGrid({
+      field: {
+        ...defaultField,
+        allowAddRemove: false
+      }
+    });
+
+    // then
+    expect(container.querySelector('.fjs-datagrid-add')).not.to.exist;
+    expect(container.querySelector('.fjs-datagrid-remove')).not.to.exist;
+    expect(container.querySelector('.fjs-datagrid-move-down')).to.exist;
+  });
+
+
+  describe('rows', function() {
+
+    it('should add row', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createDataGrid({
+        newFieldData: { name: '', amount: null },
+        onChange: onChangeSpy
+      });
+
+      // when
+      fireEvent.click(container.querySelector('.fjs-datagrid-add'));
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnceWith({
+        field: defaultField,
+        value: [ ...defaultValue, { name: '', amount: null } ],
+        indexes: undefined
+      });
+    });
+
+
+    it('should remove row', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createDataGrid({
+        onChange: onChangeSpy
+      });
+
+      // when
+      fireEvent.click(container.querySelectorAll('.fjs-datagrid-remove')[0]);
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnceWith({
+        field: defaultField,
+        value: [ defaultValue[1] ],
+        indexes: undefined
+      });
+    });
+
+
+    it('should move row down', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createDataGrid({
+        onChange: onChangeSpy
+      });
+
+      // when
+      fireEvent.click(container.querySelectorAll('.fjs-datagrid-move-down')[0]);
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnceWith({
+        field: defaultField,
+        value: [ defaultValue[1], defaultValue[0] ],
+        indexes: undefined
+      });
+    });
+
+
+    it('should move row up', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createDataGrid({
+        onChange: onChangeSpy
+      });
+
+      // when
+      fireEvent.click(container.querySelectorAll('.fjs-datagrid-move-up')[1]);
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnceWith({
+        field: defaultField,
+        value: [ defaultValue[1], defaultValue[0] ],
+        indexes: undefined
+      });
+    });
+
+
+    it('should NOT move beyond bounds', function() {
+
+      // when
+      const { container } = createDataGrid();
+
+      // then
+      const moveUpButtons = container.querySelectorAll('.fjs-datagrid-move-up');
+      const moveDownButtons = container.querySelectorAll('.fjs-datagrid-move-down');
+
+      expect(moveUpButtons[0].disabled).to.be.true;
+      expect(moveUpButtons[1].disabled).to.be.false;
+      expect(moveDownButtons[0].disabled).to.be.false;
+      expect(moveDownButtons[1].disabled).to.be.true;
+    });
+
+
+    it('should label row actions', function() {
+
+      // when
+      const { container } = createDataGrid();
+
+      // then
+      const row = container.querySelectorAll('.fjs-datagrid-row')[1];
+
+      expect(row.querySelector('.fjs-datagrid-move-up').getAttribute('aria-label')).to.equal('Move row 2 up');
+      expect(row.querySelector('.fjs-datagrid-move-down').getAttribute('aria-label')).to.equal('Move row 2 down');
+      expect(row.querySelector('.fjs-datagrid-remove').getAttribute('aria-label')).to.equal('Remove row 2');
+    });
+
+  });
+
+
+  describe('cells', function() {
+
+    it('should change cell', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createDataGrid({
+        onChange: onChangeSpy
+      });
+
+      // when
+      const input = container.querySelectorAll('.fjs-datagrid-row')[1].querySelector('input');
+
+      fireEvent.input(input, { target: { value: 'Plums' } });
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnce;
+
+      const { field, value, indexes } = onChangeSpy.getCall(0).args[0];
+
+      expect(field).to.equal(nameField);
+      expect(value).to.equal('Plums');
+      expect(indexes).to.eql({ Items_1: 1 });
+    });
+
+
+    it('should navigate down on <ArrowDown>', function() {
+
+      // given
+      const { container } = createDataGrid();
+
+      const rows = container.querySelectorAll('.fjs-datagrid-row');
+
+      const input = rows[0].querySelector('input');
+
+      input.focus();
+
+      // when
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+
+      // then
+      expect(document.activeElement).to.equal(rows[1].querySelector('input'));
+    });
+
+
+    it('should navigate right at end of input', function() {
+
+      // given
+      const { container } = createDataGrid();
+
+      const cells = container.querySelectorAll('.fjs-datagrid-row')[0].querySelectorAll('.fjs-datagrid-cell');
+
+      const input = cells[0].querySelector('input');
+
+      input.focus();
+      input.setSelectionRange(input.value.length, input.value.length);
+
+      // when
+      fireEvent.keyDown(input, { key: 'ArrowRight' });
+
+      // then
+      expect(document.activeElement).to.equal(cells[1].querySelector('input'));
+    });
+
+
+    it('should NOT navigate within input', function() {
+
+      // given
+      const { container } = createDataGrid();
+
+      const input = container.querySelector('.fjs-datagrid-cell input');
+
+      input.focus();
+      input.setSelectionRange(0, 0);
+
+      // when
+      fireEvent.keyDown(input, { key: 'ArrowRight' });
+
+      // then
+      expect(document.activeElement).to.equal(input);
+    });
+
+  });
+
+
+  describe('translation', function() {
+
+    it('should translate texts', function() {
+
+      // given
+      const translator = new Translator({
+        locale: 'de',
+        bundles: {
+          de: {
+            'datagrid.actions': 'Aktionen',
+            'datagrid.addRow': 'Zeile hinzufügen',
+            'datagrid.moveRowUp': 'Zeile {index} nach oben',
+            'datagrid.moveRowDown': 'Zeile {index} nach unten',
+            'datagrid.removeRow': 'Zeile {index} entfernen'
+          }
+        }
+      });
+
+      // when
+      const { container } = createDataGrid({
+        services: { translator }
+      });
+
+      // then
+      expect(container.querySelector('.fjs-datagrid-actions-label').textContent).to.eql('Aktionen');
+      expect(container.querySelector('.fjs-datagrid-add').textContent.trim()).to.eql('Zeile hinzufügen');
+
+      const row = container.querySelectorAll('.fjs-datagrid-row')[ 1 ];
+
+      expect(row.querySelector('.fjs-datagrid-move-up').getAttribute('aria-label')).to.eql('Zeile 2 nach oben');
+      expect(row.querySelector('.fjs-datagrid-move-down').getAttribute('aria-label')).to.eql('Zeile 2 nach unten');
+      expect(row.querySelector('.fjs-datagrid-remove').getAttribute('aria-label')).to.eql('Zeile 2 entfernen');
+    });
+
+  });
+
+
+  it('#create', function() {
+
+    // assume
+    const { config } = DataGrid;
+    expect(config.type).to.eql('datagrid');
+    expect(config.label).to.eql('Data grid');
+    expect(config.group).to.eql('container');
+    expect(config.pathed).to.be.true;
+    expect(config.repeatable).to.be.true;
+
+    // when
+    const field = config.create();
+
+    // then
+    expect(field).to.eql({
+      components: [],
+      allowAddRemove: true,
+      defaultRepetitions: 1,
+      isRepeating: true
+    });
+
+    // but when
+    const customField = config.create({
+      custom: true,
+      isRepeating: false
+    });
+
+    // then
+    expect(customField).to.contain({
+      custom: true,
+      isRepeating: true
+    });
+  });
+
+
+  describe('a11y', function() {
+
+    it('should have no violations', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createDataGrid();
+
+      // then
+      await expectNoViolations(container);
+    });
+
+
+    it('should have no violations for empty', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createDataGrid({
+        value: []
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+  });
+
+});
+
+// helpers //////////
+
+const nameField = {
+  id: 'Name_1',
+  key: 'name',
+  label: 'Name',
+  type: 'textfield',
+  validate: {
+    required: true
+  }
+};
+
+const amountField = {
+  id: 'Amount_1',
+  key: 'amount',
+  label: 'Amount',
+  type: 'number'
+};
+
+const defaultField = {
+  id: 'Items_1',
+  label: 'Items',
+  path: 'items',
+  type: 'datagrid',
+  isRepeating: true,
+  allowAddRemove: true,
+  components: [
+    nameField,
+    amountField
+  ]
+};
+
+const defaultValue = [
+  { name: 'Apples', amount: 3 },
+  { name: 'Pears', amount: 5 }
+];
+
+const defaultProps = {
+  domId: 'test-datagrid',
+  field: defaultField,
+  onChange: () => {},
+  value: defaultValue
+};
+
+function createDataGrid({ services, ...restOptions } = {}) {
+  const options = {
+    ...defaultProps,
+    ...restOptions
+  };
+
+  const field = options.field;
+
+  const data = {
+    items: options.value
+  };
+
+  return render(
+    <MockFormContext
+      services={ {
+        pathRegistry: {
+          getValuePath: (formField, { indexes = {} } = {}) => {
+            if (formField.id === field.id) {
+              return [ 'items' ];
+            }
+
+            return [ 'items', indexes[ field.id ], formField.key ];
+          }
+        },
+        ...services
+      } }
+      options={ {
+        data,
+        children: field.components,
+        field,
+        ...options
+      } }>
+      <DataGrid { ...options } />
+    </MockFormContext>, {
+      container: options.container || container.querySelector('.fjs-form')
+    }
+  );
+}
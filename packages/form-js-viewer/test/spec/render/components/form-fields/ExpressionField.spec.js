@@ -0,0 +1,149 @@
+import {
+  render
+} from '@testing-library/preact/pure';
+
+import { ExpressionField } from '../../../../../src/render/components/form-fields/ExpressionField';
+
+import {
+  createFormContainer,
+  expectNoViolations
+} from '../../../../TestHelper';
+
+import { MockFormContext } from '../helper';
+
+let container;
+
+
+describe('ExpressionField', function() {
+
+  beforeEach(function() {
+    container = createFormContainer();
+  });
+
+  afterEach(function() {
+    container.remove();
+  });
+
+
+  it('should render', function() {
+
+    // when
+    const { container } = createExpressionField({
+      value: 30
+    });
+
+    // then
+    const formField = container.querySelector('.fjs-form-field');
+
+    expect(formField).to.exist;
+    expect(formField.classList.contains('fjs-form-field-expression')).to.be.true;
+
+    const input = container.querySelector('input[type="text"]');
+
+    expect(input).to.exist;
+    expect(input.id).to.equal('test-expression');
+    expect(input.readOnly).to.be.true;
+    expect(input.value).to.equal('30');
+
+    const label = container.querySelector('label');
+
+    expect(label).to.exist;
+    expect(label.textContent).to.equal('Total');
+    expect(label.htmlFor).to.equal('test-expression');
+  });
+
+
+  it('should render object value', function() {
+
+    // when
+    const { container } = createExpressionField({
+      value: { amount: 30 }
+    });
+
+    // then
+    const input = container.querySelector('input[type="text"]');
+
+    expect(input.value).to.equal('{"amount":30}');
+  });
+
+
+  it('#create', function() {
+
+    // assume
+    const { config } = ExpressionField;
+    expect(config.type).to.eql('expression');
+    expect(config.label).to.eql('Expression');
+    expect(config.group).to.eql('basic-input');
+    expect(config.keyed).to.be.true;
+    expect(config.computed).to.be.true;
+    expect(config.emptyValue).to.be.null;
+
+    // when
+    const field = config.create();
+
+    // then
+    expect(field).to.eql({});
+
+    // but when
+    const customField = config.create({
+      custom: true
+    });
+
+    // then
+    expect(customField).to.contain({
+      custom: true
+    });
+  });
+
+
+  describe('a11y', function() {
+
+    it('should have no violations', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createExpressionField({
+        value: 30
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+  });
+
+});
+
+// helpers //////////
+
+const defaultField = {
+  id: 'Expression_1',
+  key: 'total',
+  label: 'Total',
+  type: 'expression',
+  expression: '=price * quantity'
+};
+
+const defaultProps = {
+  domId: 'test-expression',
+  field: defaultField,
+  onChange: () => {}
+};
+
+function createExpressionField({ services, ...restOptions } = {}) {
+  const options = {
+    ...defaultProps,
+    ...restOptions
+  };
+
+  return render(
+    <MockFormContext
+      services={ services }
+      options={ options }>
+      <ExpressionField { ...options } />
+    </MockFormContext>, {
+      container: options.container || container.querySelector('.fjs-form')
+    }
+  );
+}
@@ -0,0 +1,679 @@
+import {
+  act,
+  fireEvent,
+  render,
+  waitFor
+} from '@testing-library/preact/pure';
+
+import { Filepicker } from '../../../../../src/render/components/form-fields/Filepicker';
+import { Translator } from '../../../../../src/core/Translator';
+
+import {
+  createFormContainer,
+  expectNoViolations
+} from '../../../../TestHelper';
+
+import { MockFormContext } from '../helper';
+
+const spy = sinon.spy;
+
+let container;
+
+
+describe('Filepicker', function() {
+
+  beforeEach(function() {
+    container = createFormContainer();
+  });
+
+  afterEach(function() {
+    container.remove();
+  });
+
+
+  it('should render', function() {
+
+    // when
+    const { container } = createFilepicker();
+
+    // then
+    const formField = container.querySelector('.fjs-form-field');
+
+    expect(formField).to.exist;
+    expect(formField.classList.contains('fjs-form-field-filepicker')).to.be.true;
+
+    const input = container.querySelector('input[type="file"]');
+
+    expect(input).to.exist;
+    expect(input.id).to.equal('test-filepicker');
+    expect(input.multiple).to.be.false;
+
+    expect(container.querySelector('.fjs-filepicker-dropzone')).to.exist;
+
+    const label = container.querySelector('label');
+
+    expect(label).to.exist;
+    expect(label.textContent).to.equal('Attachments');
+    expect(label.htmlFor).to.equal('test-filepicker');
+  });
+
+
+  it('should render constraints', function() {
+
+    // when
+    const { container } = createFilepicker({
+      field: {
+        ...defaultField,
+        multiple: true,
+        accept: '.pdf'
+      }
+    });
+
+    // then
+    const input = container.querySelector('input[type="file"]');
+
+    expect(input.multiple).to.be.true;
+    expect(input.accept).to.equal('.pdf');
+  });
+
+
+  it('should render files', function() {
+
+    // when
+    const { container } = createFilepicker({
+      value: [ invoiceFile ]
+    });
+
+    // then
+    const files = container.querySelectorAll('.fjs-filepicker-file');
+
+    expect(files).to.have.length(1);
+    expect(files[ 0 ].querySelector('.fjs-filepicker-file-name').textContent).to.equal('invoice.pdf');
+    expect(files[ 0 ].querySelector('.fjs-filepicker-file-size').textContent).to.equal('2 KB');
+  });
+
+
+  it('should render disabled', function() {
+
+    // when
+    const { container } = createFilepicker({
+      disabled: true,
+      value: [ invoiceFile ]
+    });
+
+    // then
+    expect(container.querySelector('input[type="file"]').disabled).to.be.true;
+    expect(container.querySelector('.fjs-filepicker-dropzone')).not.to.exist;
+    expect(container.querySelector('.fjs-filepicker-file-remove')).not.to.exist;
+  });
+
+
+  it('should render readonly', function() {
+
+    // when
+    const { container } = createFilepicker({
+      readonly: true,
+      value: [ invoiceFile ]
+    });
+
+    // then
+    expect(container.querySelector('.fjs-filepicker.fjs-readonly')).to.exist;
+    expect(container.querySelector('.fjs-filepicker-dropzone')).not.to.exist;
+    expect(container.querySelector('.fjs-filepicker-file-remove')).not.to.exist;
+  });
+
+
+  it('should render description', function() {
+
+    // when
+    const { container } = createFilepicker({
+      field: {
+        ...defaultField,
+        description: 'Upload your invoices'
+      }
+    });
+
+    // then
+    const description = container.querySelector('.fjs-form-field-description');
+
+    expect(description).to.exist;
+    expect(description.textContent).to.equal('Upload your invoices');
+  });
+
+
+  describe('upload', function() {
+
+    it('should upload picked file', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const fileUploader = new FileUploaderMock();
+
+      const { container } = createFilepicker({
+        onChange: onChangeSpy,
+        services: { fileUploader }
+      });
+
+      const file = createFile('photo.png', 'image/png');
+
+      // when
+      await act(() => {
+        fireEvent.change(container.querySelector('input[type="file"]'), { target: { files: [ file ] } });
+      });
+
+      // then
+      await waitFor(() => {
+        expect(onChangeSpy).to.have.been.calledWith({
+          field: defaultField,
+          value: [ { name: 'photo.png', size: file.size, type: 'image/png', reference: 'photo.png' } ]
+        });
+      });
+    });
+
+
+    it('should upload dropped files', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const fileUploader = new FileUploaderMock();
+
+      const field = {
+        ...defaultField,
+        multiple: true
+      };
+
+      const { container } = createFilepicker({
+        field,
+        onChange: onChangeSpy,
+        services: { fileUploader },
+        value: [ invoiceFile ]
+      });
+
+      const files = [
+        createFile('photo.png', 'image/png'),
+        createFile('scan.png', 'image/png')
+      ];
+
+      // when
+      await act(() => {
+        fireEvent.drop(container.querySelector('.fjs-filepicker'), { dataTransfer: { files } });
+      });
+
+      // then
+      await waitFor(() => {
+        expect(onChangeSpy).to.have.been.calledWith({
+          field,
+          value: [
+            invoiceFile,
+            { name: 'photo.png', size: files[ 0 ].size, type: 'image/png', reference: 'photo.png' },
+            { name: 'scan.png', size: files[ 1 ].size, type: 'image/png', reference: 'scan.png' }
+          ]
+        });
+      });
+    });
+
+
+    it('should replace file', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const fileUploader = new FileUploaderMock();
+
+      const { container } = createFilepicker({
+        onChange: onChangeSpy,
+        services: { fileUploader },
+        value: [ invoiceFile ]
+      });
+
+      const file = createFile('photo.png', 'image/png');
+
+      // when
+      await act(() => {
+        fireEvent.change(container.querySelector('input[type="file"]'), { target: { files: [ file ] } });
+      });
+
+      // then
+      await waitFor(() => {
+        expect(onChangeSpy).to.have.been.calledWith({
+          field: defaultField,
+          value: [ { name: 'photo.png', size: file.size, type: 'image/png', reference: 'photo.png' } ]
+        });
+      });
+
+      expect(fileUploader.removed).to.eql([ invoiceFile ]);
+    });
+
+
+    it('should render progress', async function() {
+
+      // given
+      const fileUploader = new FileUploaderMock({ pending: true });
+
+      const { container } = createFilepicker({
+        services: { fileUploader }
+      });
+
+      // when
+      await act(() => {
+        fireEvent.change(container.querySelector('input[type="file"]'), {
+          target: { files: [ createFile('photo.png', 'image/png') ] }
+        });
+      });
+
+      await act(() => fileUploader.progress(0.5));
+
+      // then
+      const progress = container.querySelector('.fjs-filepicker-upload progress');
+
+      expect(progress).to.exist;
+      expect(progress.value).to.equal(0.5);
+    });
+
+
+    it('should NOT upload invalid file', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const fileUploader = new FileUploaderMock();
+
+      const validator = {
+        validateFile: () => [ 'File notes.txt is not of an accepted type.' ]
+      };
+
+      const { container } = createFilepicker({
+        onChange: onChangeSpy,
+        services: { fileUploader, validator }
+      });
+
+      // when
+      await act(() => {
+        fireEvent.change(container.querySelector('input[type="file"]'), {
+          target: { files: [ createFile('notes.txt', 'text/plain') ] }
+        });
+      });
+
+      // then
+      expect(fileUploader.uploaded).to.be.empty;
+      expect(onChangeSpy).not.to.have.been.called;
+
+      const errors = container.querySelector('.fjs-filepicker-upload-errors');
+
+      expect(errors).to.exist;
+      expect(errors.textContent).to.equal('File notes.txt is not of an accepted type.');
+    });
+
+
+    it('should render upload error', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const fileUploader = new FileUploaderMock({ error: new Error('failed') });
+
+      const { container } = createFilepicker({
+        onChange: onChangeSpy,
+        services: { fileUploader }
+      });
+
+      // when
+      await act(() => {
+        fireEvent.change(container.querySelector('input[type="file"]'), {
+          target: { files: [ createFile('photo.png', 'image/png') ] }
+        });
+      });
+
+      // then
+      await waitFor(() => {
+        const errors = container.querySelector('.fjs-filepicker-upload-errors');
+
+        expect(errors).to.exist;
+        expect(errors.textContent).to.equal('File photo.png could not be uploaded.');
+      });
+
+      expect(onChangeSpy).not.to.have.been.called;
+    });
+
+
+    it('should render error without adapter', async function() {
+
+      // given
+      const { container } = createFilepicker();
+
+      // when
+      await act(() => {
+        fireEvent.change(container.querySelector('input[type="file"]'), {
+          target: { files: [ createFile('photo.png', 'image/png') ] }
+        });
+      });
+
+      // then
+      const errors = container.querySelector('.fjs-filepicker-upload-errors');
+
+      expect(errors).to.exist;
+      expect(errors.textContent).to.equal('File upload is not available.');
+    });
+
+  });
+
+
+  describe('translation', function() {
+
+    it('should translate texts', function() {
+
+      // given
+      const translator = new Translator({
+        locale: 'de',
+        bundles: {
+          de: {
+            'filepicker.dropFile': 'Datei hier ablegen oder',
+            'filepicker.browse': 'durchsuchen'
+          }
+        }
+      });
+
+      // when
+      const { container } = createFilepicker({
+        services: { translator }
+      });
+
+      // then
+      const dropzone = container.querySelector('.fjs-filepicker-dropzone');
+
+      expect(dropzone.textContent).to.equal('Datei hier ablegen oderdurchsuchen');
+    });
+
+
+    it('should translate upload error', async function() {
+
+      // given
+      const translator = new Translator({
+        locale: 'de',
+        bundles: {
+          de: {
+            'filepicker.uploadFailed': 'Datei {name} konnte nicht hochgeladen werden.'
+          }
+        }
+      });
+
+      const fileUploader = new FileUploaderMock({ error: new Error('failed') });
+
+      const { container } = createFilepicker({
+        services: { fileUploader, translator }
+      });
+
+      // when
+      await act(() => {
+        fireEvent.change(container.querySelector('input[type="file"]'), {
+          target: { files: [ createFile('photo.png', 'image/png') ] }
+        });
+      });
+
+      // then
+      await waitFor(() => {
+        const errors = container.querySelector('.fjs-filepicker-upload-errors');
+
+        expect(errors).to.exist;
+        expect(errors.textContent).to.equal('Datei photo.png konnte nicht hochgeladen werden.');
+      });
+    });
+
+  });
+
+
+  describe('remove', function() {
+
+    it('should remove file', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const fileUploader = new FileUploaderMock();
+
+      const { container } = createFilepicker({
+        onChange: onChangeSpy,
+        services: { fileUploader },
+        value: [ invoiceFile ]
+      });
+
+      // when
+      await act(() => {
+        fireEvent.click(container.querySelector('.fjs-filepicker-file-remove'));
+      });
+
+      // then
+      expect(onChangeSpy).to.have.been.calledWith({
+        field: defaultField,
+        value: []
+      });
+
+      expect(fileUploader.removed).to.eql([ invoiceFile ]);
+    });
+
+
+    it('should keep entries of remaining files', function() {
+
+      // given
+      const receiptFile = {
+        name: 'receipt.pdf',
+        size: 1024,
+        type: 'application/pdf',
+        reference: 'receipt-1'
+      };
+
+      const { container } = createFilepicker({
+        value: [ invoiceFile, receiptFile ]
+      });
+
+      const receiptEntry = container.querySelectorAll('.fjs-filepicker-file')[ 1 ];
+
+      // when
+      createFilepicker({
+        container,
+        value: [ receiptFile ]
+      });
+
+      // then
+      const entries = container.querySelectorAll('.fjs-filepicker-file');
+
+      expect(entries).to.have.length(1);
+      expect(entries[ 0 ]).to.equal(receiptEntry);
+    });
+
+  });
+
+
+  it('#create', function() {
+
+    // assume
+    const { config } = Filepicker;
+    expect(config.type).to.eql('filepicker');
+    expect(config.label).to.eql('File picker');
+    expect(config.group).to.eql('basic-input');
+    expect(config.keyed).to.be.true;
+    expect(config.emptyValue).to.eql([]);
+
+    // when
+    const field = config.create();
+
+    // then
+    expect(field).to.eql({});
+
+    // but when
+    const customField = config.create({
+      custom: true
+    });
+
+    // then
+    expect(customField).to.contain({
+      custom: true
+    });
+  });
+
+
+  describe('#sanitizeValue', function() {
+
+    it('should keep files', function() {
+
+      // given
+      const { sanitizeValue } = Filepicker.config;
+
+      // then
+      expect(sanitizeValue({ value: [ invoiceFile ] })).to.eql([ invoiceFile ]);
+    });
+
+
+    it('should sanitize non-array', function() {
+
+      // given
+      const { sanitizeValue } = Filepicker.config;
+
+      // then
+      expect(sanitizeValue({ value: 'invoice.pdf' })).to.eql([]);
+      expect(sanitizeValue({ value: null })).to.eql([]);
+    });
+
+
+    it('should sanitize invalid files', function() {
+
+      // given
+      const { sanitizeValue } = Filepicker.config;
+
+      // then
+      expect(sanitizeValue({ value: [ 'invoice.pdf', invoiceFile ] })).to.eql([ invoiceFile ]);
+    });
+
+  });
+
+
+  describe('a11y', function() {
+
+    it('should have no violations', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createFilepicker({
+        value: [ invoiceFile ]
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+
+    it('should have no violations for readonly', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createFilepicker({
+        readonly: true,
+        value: [ invoiceFile ]
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+
+    it('should have no violations for errors', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createFilepicker({
+        errors: [ 'Something went wrong' ]
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+  });
+
+});
+
+// helpers //////////
+
+const defaultField = {
+  id: 'Filepicker_1',
+  key: 'attachments',
+  label: 'Attachments',
+  type: 'filepicker'
+};
+
+const invoiceFile = {
+  name: 'invoice.pdf',
+  size: 2048,
+  type: 'application/pdf',
+  reference: 'invoice-1'
+};
+
+function createFile(name, type) {
+  return new File([ 'content' ], name, { type });
+}
+
+class FileUploaderMock {
+
+  constructor(options = {}) {
+    this._options = options;
+
+    this.uploaded = [];
+    this.removed = [];
+  }
+
+  upload(file, field, onProgress) {
+    const {
+      error,
+      pending
+    } = this._options;
+
+    this.uploaded.push(file);
+
+    this.progress = onProgress;
+
+    if (pending) {
+      return new Promise(() => {});
+    }
+
+    if (error) {
+      return Promise.reject(error);
+    }
+
+    return Promise.resolve({
+      name: file.name,
+      size: file.size,
+      type: file.type,
+      reference: file.name
+    });
+  }
+
+  remove(file) {
+    this.removed.push(file);
+
+    return Promise.resolve();
+  }
+}
+
+function createFilepicker({ services, ...restOptions } = {}) {
+  const options = {
+    domId: 'test-filepicker',
+    field: defaultField,
+    onChange: () => {},
+    ...restOptions
+  };
+
+  return render(
+    <MockFormContext
+      services={ services }
+      options={ options }>
+      <Filepicker { ...options } />
+    </MockFormContext>, {
+      container: options.container || container.querySelector('.fjs-form')
+    }
+  );
+}
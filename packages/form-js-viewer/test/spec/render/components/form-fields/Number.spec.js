@@ -685,6 +685,168 @@ describe('Number', function() {
   });
 
 
+  describe('number format', function() {
+
+    const currencyField = {
+      ...defaultField,
+      numberFormat: 'currency',
+      currency: 'EUR'
+    };
+
+    const translator = (locale) => ({
+      getLocale: () => locale,
+      translateField: (field, path, defaultValue) => defaultValue
+    });
+
+    it('should format decimal', function() {
+
+      // when
+      const { container } = createNumberField({
+        field: {
+          ...defaultField,
+          numberFormat: 'decimal'
+        },
+        services: {
+          translator: translator('de-DE')
+        },
+        value: 1234567.891
+      });
+
+      // then
+      const input = container.querySelector('input[type="text"]');
+
+      expect(input.value).to.equal('1.234.567,891');
+    });
+
+
+    it('should format currency', function() {
+
+      // when
+      const { container } = createNumberField({
+        field: currencyField,
+        services: {
+          translator: translator('en-US')
+        },
+        value: 1234.5
+      });
+
+      // then
+      const input = container.querySelector('input[type="text"]');
+
+      expect(input.value).to.equal('€1,234.50');
+    });
+
+
+    it('should format percent', function() {
+
+      // when
+      const { container } = createNumberField({
+        field: {
+          ...defaultField,
+          numberFormat: 'percent'
+        },
+        services: {
+          translator: translator('en-US')
+        },
+        value: 15.5
+      });
+
+      // then
+      const input = container.querySelector('input[type="text"]');
+
+      expect(input.value).to.equal('15.5%');
+    });
+
+
+    it('should edit without formatting', function() {
+
+      // given
+      const { container } = createNumberField({
+        field: currencyField,
+        services: {
+          translator: translator('de-DE')
+        },
+        value: 1234.5
+      });
+
+      const input = container.querySelector('input[type="text"]');
+
+      // when
+      fireEvent.focus(input);
+
+      // then
+      expect(input.value).to.equal('1234,5');
+
+      // but when
+      fireEvent.blur(input);
+
+      // then
+      expect(input.value).to.equal('1.234,50\u00a0€');
+    });
+
+
+    it('should store canonical value', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createNumberField({
+        field: currencyField,
+        onChange: onChangeSpy,
+        services: {
+          translator: translator('de-DE')
+        },
+        value: 1234.5
+      });
+
+      const input = container.querySelector('input[type="text"]');
+
+      // when
+      fireEvent.focus(input);
+      fireEvent.input(input, { target: { value: '1234,75' } });
+
+      // then
+      expect(onChangeSpy).to.have.been.calledWith({
+        field: currencyField,
+        value: 1234.75
+      });
+    });
+
+
+    it('should store canonical value as string if configured', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const field = {
+        ...currencyField,
+        serializeToString: true
+      };
+
+      const { container } = createNumberField({
+        field,
+        onChange: onChangeSpy,
+        services: {
+          translator: translator('de-DE')
+        }
+      });
+
+      const input = container.querySelector('input[type="text"]');
+
+      // when
+      fireEvent.focus(input);
+      fireEvent.input(input, { target: { value: '99,9' } });
+
+      // then
+      expect(onChangeSpy).to.have.been.calledWith({
+        field,
+        value: '99.9'
+      });
+    });
+
+  });
+
+
   describe('user input', function() {
 
     it('should prevent key presses generating non-number characters', function() {
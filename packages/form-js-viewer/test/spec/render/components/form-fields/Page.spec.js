@@ -0,0 +1,260 @@
+import {
+  fireEvent,
+  render
+} from '@testing-library/preact/pure';
+
+import { Page } from '../../../../../src/render/components/form-fields/Page';
+
+import {
+  createFormContainer,
+  expectNoViolations
+} from '../../../../TestHelper';
+
+import { MockFormContext } from '../helper';
+
+import { PageManagerMock } from '../helper/mocks';
+
+const spy = sinon.spy;
+
+let container;
+
+describe('Page', () => {
+
+  beforeEach(function() {
+    container = createFormContainer();
+  });
+
+  afterEach(function() {
+    container.remove();
+  });
+
+
+  it('should render with children', function() {
+
+    // when
+    const { container } = createPage();
+
+    // then
+    const page = container.querySelector('.fjs-form-field');
+
+    expect(page).to.exist;
+    expect(page.classList.contains('fjs-form-field-page')).to.be.true;
+
+    const pageLabel = page.querySelector('label');
+
+    expect(pageLabel).to.exist;
+    expect(pageLabel.textContent).to.equal('Personal information');
+
+    const textfields = page.querySelectorAll('.fjs-form-field-textfield');
+
+    expect(textfields).to.have.length(2);
+  });
+
+
+  it('should render like a container without page manager', function() {
+
+    // when
+    const { container } = createPage();
+
+    // then
+    expect(container.querySelector('.fjs-page-steps')).not.to.exist;
+    expect(container.querySelector('.fjs-page-navigation')).not.to.exist;
+  });
+
+
+  it('should render steps', function() {
+
+    // given
+    const pageManager = createPageManager();
+
+    // when
+    const { container } = createPage({ services: { pageManager } });
+
+    // then
+    const steps = container.querySelectorAll('.fjs-page-step');
+
+    expect(steps).to.have.length(2);
+    expect(steps[0].textContent).to.equal('Personal information');
+    expect(steps[0].getAttribute('aria-current')).to.equal('step');
+    expect(steps[1].textContent).to.equal('Step 2');
+    expect(steps[1].getAttribute('aria-current')).not.to.exist;
+  });
+
+
+  it('should render <Next> on first page', function() {
+
+    // given
+    const pageManager = createPageManager();
+
+    // when
+    const { container } = createPage({ services: { pageManager } });
+
+    // then
+    expect(container.querySelector('.fjs-page-previous')).not.to.exist;
+    expect(container.querySelector('.fjs-page-next')).to.exist;
+  });
+
+
+  it('should render <Back> on last page', function() {
+
+    // given
+    const pageManager = createPageManager();
+
+    // when
+    const { container } = createPage({
+      field: secondPage,
+      children: [],
+      services: { pageManager }
+    });
+
+    // then
+    expect(container.querySelector('.fjs-page-previous')).to.exist;
+    expect(container.querySelector('.fjs-page-next')).not.to.exist;
+  });
+
+
+  it('should navigate to next page', function() {
+
+    // given
+    const pageManager = createPageManager();
+
+    const nextSpy = spy(pageManager, 'next');
+
+    const { container } = createPage({ services: { pageManager } });
+
+    // when
+    fireEvent.click(container.querySelector('.fjs-page-next'));
+
+    // then
+    expect(nextSpy).to.have.been.calledOnce;
+  });
+
+
+  it('should navigate to previous page', function() {
+
+    // given
+    const pageManager = createPageManager({ currentPage: secondPage });
+
+    const previousSpy = spy(pageManager, 'previous');
+
+    const { container } = createPage({
+      field: secondPage,
+      children: [],
+      services: { pageManager }
+    });
+
+    // when
+    fireEvent.click(container.querySelector('.fjs-page-previous'));
+
+    // then
+    expect(previousSpy).to.have.been.calledOnce;
+  });
+
+
+  it('#create', function() {
+
+    // assume
+    const { config } = Page;
+    expect(config.type).to.eql('page');
+    expect(config.label).to.eql('Page');
+    expect(config.group).to.eql('container');
+    expect(config.pathed).to.be.true;
+
+    // when
+    const field = config.create();
+
+    // then
+    expect(field).to.eql({
+      components: [],
+      showOutline: false
+    });
+
+    // but when
+    const customField = config.create({
+      custom: true
+    });
+
+    // then
+    expect(customField).to.contain({
+      showOutline: false,
+      custom: true
+    });
+
+    expect(customField.components).to.be.empty;
+  });
+
+
+  describe('a11y', function() {
+
+    it('should have no violations', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const pageManager = createPageManager();
+
+      const { container } = createPage({ services: { pageManager } });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+  });
+
+});
+
+const defaultField = {
+  id: 'Page_1',
+  label: 'Personal information',
+  type: 'page',
+  components: [
+    {
+      id: 'Textfield_1',
+      key: 'firstName',
+      label: 'First name',
+      type: 'textfield'
+    },
+    {
+      id: 'Textfield_2',
+      key: 'lastName',
+      label: 'Last name',
+      type: 'textfield'
+    }
+  ]
+};
+
+const secondPage = {
+  id: 'Page_2',
+  type: 'page',
+  components: []
+};
+
+function createPageManager(options = {}) {
+  return new PageManagerMock({
+    pages: [ defaultField, secondPage ],
+    ...options
+  });
+}
+
+function createPage({ services, ...restOptions } = {}) {
+
+  const options = {
+    domId: 'test-page',
+    field: defaultField,
+    children: defaultField.components,
+    container,
+    ...restOptions
+  };
+
+  return render(
+    <MockFormContext
+      services={ services }
+      options={ options }>
+      <Page
+        domId={ options.domId }
+        field={ options.field } />
+    </MockFormContext>, {
+      container: options.container || container.querySelector('.fjs-form')
+    }
+  );
+}
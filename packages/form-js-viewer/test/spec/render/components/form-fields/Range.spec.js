@@ -0,0 +1,485 @@
+import {
+  fireEvent,
+  render
+} from '@testing-library/preact/pure';
+
+import { Range } from '../../../../../src/render/components/form-fields/Range';
+
+import {
+  createFormContainer,
+  expectNoViolations
+} from '../../../../TestHelper';
+
+import { MockFormContext } from '../helper';
+
+const spy = sinon.spy;
+
+let container;
+
+
+describe('Range', function() {
+
+  beforeEach(function() {
+    container = createFormContainer();
+  });
+
+  afterEach(function() {
+    container.remove();
+  });
+
+
+  it('should render', function() {
+
+    // when
+    const { container } = createRange({
+      value: 40
+    });
+
+    // then
+    const formField = container.querySelector('.fjs-form-field');
+
+    expect(formField).to.exist;
+    expect(formField.classList.contains('fjs-form-field-range')).to.be.true;
+
+    const input = container.querySelector('input[type="range"]');
+
+    expect(input).to.exist;
+    expect(input.id).to.equal('test-range');
+    expect(input.value).to.equal('40');
+    expect(input.min).to.equal('0');
+    expect(input.max).to.equal('100');
+    expect(input.step).to.equal('1');
+
+    const label = container.querySelector('label');
+
+    expect(label).to.exist;
+    expect(label.textContent).to.equal('Volume');
+    expect(label.htmlFor).to.equal('test-range');
+  });
+
+
+  it('should render value label', function() {
+
+    // when
+    const { container } = createRange({
+      value: 40
+    });
+
+    // then
+    const output = container.querySelector('.fjs-range-value');
+
+    expect(output).to.exist;
+    expect(output.textContent).to.equal('40');
+  });
+
+
+  it('should render bound labels', function() {
+
+    // when
+    const { container } = createRange({
+      field: {
+        ...defaultField,
+        validate: {
+          min: 10,
+          max: 20
+        }
+      }
+    });
+
+    // then
+    expect(container.querySelector('.fjs-range-min').textContent).to.equal('10');
+    expect(container.querySelector('.fjs-range-max').textContent).to.equal('20');
+  });
+
+
+  it('should render empty', function() {
+
+    // when
+    const { container } = createRange({
+      field: {
+        ...defaultField,
+        validate: {
+          min: 10
+        }
+      }
+    });
+
+    // then
+    const input = container.querySelector('input[type="range"]');
+
+    expect(input.value).to.equal('10');
+    expect(input.getAttribute('aria-valuetext')).to.equal('No value');
+
+    expect(container.querySelector('.fjs-range.fjs-range-empty')).to.exist;
+    expect(container.querySelector('.fjs-range-value').textContent).to.equal('-');
+  });
+
+
+  it('should render required label', function() {
+
+    // when
+    const { container } = createRange({
+      field: {
+        ...defaultField,
+        validate: {
+          required: true
+        }
+      }
+    });
+
+    // then
+    const label = container.querySelector('label');
+
+    expect(label.textContent).to.equal('Volume*');
+  });
+
+
+  it('should render disabled', function() {
+
+    // when
+    const { container } = createRange({
+      disabled: true
+    });
+
+    // then
+    const input = container.querySelector('input[type="range"]');
+
+    expect(input.disabled).to.be.true;
+    expect(container.querySelector('.fjs-range.fjs-disabled')).to.exist;
+  });
+
+
+  it('should render readonly', function() {
+
+    // when
+    const { container } = createRange({
+      readonly: true
+    });
+
+    // then
+    const input = container.querySelector('input[type="range"]');
+
+    expect(input.getAttribute('aria-readonly')).to.equal('true');
+    expect(container.querySelector('.fjs-range.fjs-readonly')).to.exist;
+  });
+
+
+  it('should render description', function() {
+
+    // when
+    const { container } = createRange({
+      field: {
+        ...defaultField,
+        description: 'Adjust the volume'
+      }
+    });
+
+    // then
+    const description = container.querySelector('.fjs-form-field-description');
+
+    expect(description).to.exist;
+    expect(description.textContent).to.equal('Adjust the volume');
+  });
+
+
+  describe('bounds', function() {
+
+    it('should use min and max', function() {
+
+      // when
+      const { container } = createRange({
+        field: {
+          ...defaultField,
+          validate: {
+            min: -5,
+            max: 5
+          }
+        }
+      });
+
+      // then
+      const input = container.querySelector('input[type="range"]');
+
+      expect(input.min).to.equal('-5');
+      expect(input.max).to.equal('5');
+    });
+
+
+    it('should evaluate FEEL bounds', function() {
+
+      // when
+      const { container } = createRange({
+        field: {
+          ...defaultField,
+          validate: {
+            min: '=lower',
+            max: '=upper'
+          }
+        },
+        services: {
+          expressionLanguage: {
+            isExpression: (value) => typeof value === 'string' && value.startsWith('='),
+            evaluate: (expression) => expression === '=lower' ? 20 : 80
+          }
+        }
+      });
+
+      // then
+      const input = container.querySelector('input[type="range"]');
+
+      expect(input.min).to.equal('20');
+      expect(input.max).to.equal('80');
+
+      expect(container.querySelector('.fjs-range-min').textContent).to.equal('20');
+      expect(container.querySelector('.fjs-range-max').textContent).to.equal('80');
+    });
+
+
+    it('should not exceed max with min', function() {
+
+      // when
+      const { container } = createRange({
+        field: {
+          ...defaultField,
+          validate: {
+            min: 50,
+            max: 10
+          }
+        }
+      });
+
+      // then
+      const input = container.querySelector('input[type="range"]');
+
+      expect(input.min).to.equal('50');
+      expect(input.max).to.equal('50');
+    });
+
+  });
+
+
+  describe('step', function() {
+
+    it('should use increment', function() {
+
+      // when
+      const { container } = createRange({
+        field: {
+          ...defaultField,
+          increment: '0.25'
+        }
+      });
+
+      // then
+      const input = container.querySelector('input[type="range"]');
+
+      expect(input.step).to.equal('0.25');
+    });
+
+
+    it('should use decimal digits', function() {
+
+      // when
+      const { container } = createRange({
+        field: {
+          ...defaultField,
+          decimalDigits: 2
+        }
+      });
+
+      // then
+      const input = container.querySelector('input[type="range"]');
+
+      expect(input.step).to.equal('0.01');
+    });
+
+  });
+
+
+  describe('change handling', function() {
+
+    it('should change value', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createRange({
+        onChange: onChangeSpy,
+        value: 40
+      });
+
+      // when
+      const input = container.querySelector('input[type="range"]');
+
+      fireEvent.input(input, { target: { value: '60' } });
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnceWith({
+        field: defaultField,
+        value: 60
+      });
+    });
+
+
+    it('should NOT change value if readonly', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createRange({
+        onChange: onChangeSpy,
+        readonly: true,
+        value: 40
+      });
+
+      // when
+      const input = container.querySelector('input[type="range"]');
+
+      fireEvent.input(input, { target: { value: '60' } });
+
+      // then
+      expect(onChangeSpy).not.to.have.been.called;
+      expect(input.value).to.equal('40');
+    });
+
+
+    it('should NOT handle keys if readonly', function() {
+
+      // given
+      const { container } = createRange({
+        readonly: true,
+        value: 40
+      });
+
+      const input = container.querySelector('input[type="range"]');
+
+      // when
+      const notPrevented = fireEvent.keyDown(input, { key: 'ArrowRight' });
+
+      // then
+      expect(notPrevented).to.be.false;
+    });
+
+  });
+
+
+  it('#create', function() {
+
+    // assume
+    const { config } = Range;
+    expect(config.type).to.eql('range');
+    expect(config.label).to.eql('Range');
+    expect(config.group).to.eql('basic-input');
+    expect(config.keyed).to.be.true;
+    expect(config.emptyValue).to.be.null;
+
+    // when
+    const field = config.create();
+
+    // then
+    expect(field).to.eql({});
+
+    // but when
+    const customField = config.create({
+      custom: true
+    });
+
+    // then
+    expect(customField).to.contain({
+      custom: true
+    });
+  });
+
+
+  it('#sanitizeValue', function() {
+
+    // given
+    const { sanitizeValue } = Range.config;
+
+    // then
+    expect(sanitizeValue({ value: 10 })).to.equal(10);
+    expect(sanitizeValue({ value: '10.5' })).to.equal(10.5);
+    expect(sanitizeValue({ value: 'foo' })).to.be.null;
+    expect(sanitizeValue({ value: null })).to.be.null;
+  });
+
+
+  describe('a11y', function() {
+
+    it('should have no violations', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createRange({
+        value: 40
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+
+    it('should have no violations for readonly', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createRange({
+        readonly: true,
+        value: 40
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+
+    it('should have no violations for errors', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createRange({
+        errors: [ 'Something went wrong' ]
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+  });
+
+});
+
+// helpers //////////
+
+const defaultField = {
+  id: 'Range_1',
+  key: 'volume',
+  label: 'Volume',
+  type: 'range'
+};
+
+const defaultProps = {
+  domId: 'test-range',
+  field: defaultField,
+  onChange: () => {}
+};
+
+function createRange({ services, ...restOptions } = {}) {
+  const options = {
+    ...defaultProps,
+    ...restOptions
+  };
+
+  return render(
+    <MockFormContext
+      services={ services }
+      options={ options }>
+      <Range { ...options } />
+    </MockFormContext>, {
+      container: options.container || container.querySelector('.fjs-form')
+    }
+  );
+}
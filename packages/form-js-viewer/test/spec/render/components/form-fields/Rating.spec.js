@@ -0,0 +1,462 @@
+import {
+  fireEvent,
+  render
+} from '@testing-library/preact/pure';
+
+import { Rating } from '../../../../../src/render/components/form-fields/Rating';
+
+import {
+  createFormContainer,
+  expectNoViolations
+} from '../../../../TestHelper';
+
+import { MockFormContext } from '../helper';
+
+const spy = sinon.spy;
+
+let container;
+
+
+describe('Rating', function() {
+
+  beforeEach(function() {
+    container = createFormContainer();
+  });
+
+  afterEach(function() {
+    container.remove();
+  });
+
+
+  it('should render', function() {
+
+    // when
+    const { container } = createRating({
+      value: 3
+    });
+
+    // then
+    const formField = container.querySelector('.fjs-form-field');
+
+    expect(formField).to.exist;
+    expect(formField.classList.contains('fjs-form-field-rating')).to.be.true;
+
+    const group = container.querySelector('[role="radiogroup"]');
+
+    expect(group).to.exist;
+
+    const inputs = container.querySelectorAll('.fjs-rating-input');
+
+    expect(inputs).to.have.length(5);
+    expect(inputs[2].checked).to.be.true;
+    expect(inputs[2].getAttribute('aria-label')).to.equal('3 of 5');
+
+    const filledStars = container.querySelectorAll('.fjs-rating-star-filled');
+
+    expect(filledStars).to.have.length(3);
+
+    const label = container.querySelector('.fjs-form-field-label');
+
+    expect(label).to.exist;
+    expect(label.textContent).to.equal('Satisfaction');
+    expect(label.id).to.equal(group.getAttribute('aria-labelledby'));
+  });
+
+
+  it('should render value label', function() {
+
+    // when
+    const { container } = createRating({
+      value: 3
+    });
+
+    // then
+    const valueLabel = container.querySelector('.fjs-rating-value');
+
+    expect(valueLabel).to.exist;
+    expect(valueLabel.textContent).to.equal('3 / 5');
+  });
+
+
+  it('should render empty', function() {
+
+    // when
+    const { container } = createRating();
+
+    // then
+    const checked = container.querySelectorAll('.fjs-rating-input:checked');
+
+    expect(checked).to.have.length(0);
+    expect(container.querySelectorAll('.fjs-rating-star-filled')).to.have.length(0);
+    expect(container.querySelector('.fjs-rating-value').textContent).to.equal('');
+  });
+
+
+  it('should render required label', function() {
+
+    // when
+    const { container } = createRating({
+      field: {
+        ...defaultField,
+        validate: {
+          required: true
+        }
+      }
+    });
+
+    // then
+    const label = container.querySelector('.fjs-form-field-label');
+
+    expect(label.textContent).to.equal('Satisfaction*');
+  });
+
+
+  it('should render disabled', function() {
+
+    // when
+    const { container } = createRating({
+      disabled: true
+    });
+
+    // then
+    const inputs = container.querySelectorAll('.fjs-rating-input');
+
+    expect(Array.from(inputs).every(input => input.disabled)).to.be.true;
+    expect(container.querySelector('.fjs-rating.fjs-disabled')).to.exist;
+  });
+
+
+  it('should render readonly', function() {
+
+    // when
+    const { container } = createRating({
+      readonly: true
+    });
+
+    // then
+    expect(container.querySelector('.fjs-rating.fjs-readonly')).to.exist;
+  });
+
+
+  it('should render description', function() {
+
+    // when
+    const { container } = createRating({
+      field: {
+        ...defaultField,
+        description: 'How did we do?'
+      }
+    });
+
+    // then
+    const description = container.querySelector('.fjs-form-field-description');
+
+    expect(description).to.exist;
+    expect(description.textContent).to.equal('How did we do?');
+  });
+
+
+  describe('bounds', function() {
+
+    it('should use max', function() {
+
+      // when
+      const { container } = createRating({
+        field: {
+          ...defaultField,
+          validate: {
+            max: 3
+          }
+        }
+      });
+
+      // then
+      const inputs = container.querySelectorAll('.fjs-rating-input');
+
+      expect(inputs).to.have.length(3);
+      expect(inputs[0].getAttribute('aria-label')).to.equal('1 of 3');
+    });
+
+
+    it('should evaluate FEEL max', function() {
+
+      // when
+      const { container } = createRating({
+        field: {
+          ...defaultField,
+          validate: {
+            max: '=stars'
+          }
+        },
+        services: {
+          expressionLanguage: {
+            isExpression: () => true,
+            evaluate: () => 7
+          }
+        }
+      });
+
+      // then
+      expect(container.querySelectorAll('.fjs-rating-input')).to.have.length(7);
+    });
+
+
+    it('should limit max', function() {
+
+      // when
+      const { container } = createRating({
+        field: {
+          ...defaultField,
+          validate: {
+            max: 100
+          }
+        }
+      });
+
+      // then
+      expect(container.querySelectorAll('.fjs-rating-input')).to.have.length(10);
+    });
+
+  });
+
+
+  describe('change handling', function() {
+
+    it('should change value', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createRating({
+        onChange: onChangeSpy,
+        value: 3
+      });
+
+      // when
+      const input = container.querySelectorAll('.fjs-rating-input')[3];
+
+      fireEvent.click(input);
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnceWith({
+        field: defaultField,
+        value: 4
+      });
+    });
+
+
+    it('should clear value on selecting current rating', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createRating({
+        onChange: onChangeSpy,
+        value: 3
+      });
+
+      // when
+      const input = container.querySelectorAll('.fjs-rating-input')[2];
+
+      fireEvent.click(input);
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnceWith({
+        field: defaultField,
+        value: null
+      });
+    });
+
+
+    it('should clear value on <Delete>', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createRating({
+        onChange: onChangeSpy,
+        value: 3
+      });
+
+      // when
+      const input = container.querySelectorAll('.fjs-rating-input')[2];
+
+      fireEvent.keyDown(input, { key: 'Delete' });
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnceWith({
+        field: defaultField,
+        value: null
+      });
+    });
+
+
+    it('should preview rating on hover', function() {
+
+      // given
+      const { container } = createRating({
+        value: 1
+      });
+
+      // when
+      const star = container.querySelectorAll('.fjs-rating-star')[3];
+
+      fireEvent.mouseEnter(star);
+
+      // then
+      expect(container.querySelectorAll('.fjs-rating-star-filled')).to.have.length(4);
+
+      // but when
+      fireEvent.mouseLeave(container.querySelector('.fjs-rating-stars'));
+
+      // then
+      expect(container.querySelectorAll('.fjs-rating-star-filled')).to.have.length(1);
+    });
+
+
+    it('should NOT change value if readonly', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createRating({
+        onChange: onChangeSpy,
+        readonly: true,
+        value: 3
+      });
+
+      const inputs = container.querySelectorAll('.fjs-rating-input');
+
+      // when
+      fireEvent.click(inputs[3]);
+      fireEvent.keyDown(inputs[2], { key: 'Delete' });
+
+      // then
+      expect(onChangeSpy).not.to.have.been.called;
+      expect(inputs[2].checked).to.be.true;
+    });
+
+  });
+
+
+  it('#create', function() {
+
+    // assume
+    const { config } = Rating;
+    expect(config.type).to.eql('rating');
+    expect(config.label).to.eql('Rating');
+    expect(config.group).to.eql('basic-input');
+    expect(config.keyed).to.be.true;
+    expect(config.emptyValue).to.be.null;
+
+    // when
+    const field = config.create();
+
+    // then
+    expect(field).to.eql({});
+
+    // but when
+    const customField = config.create({
+      custom: true
+    });
+
+    // then
+    expect(customField).to.contain({
+      custom: true
+    });
+  });
+
+
+  it('#sanitizeValue', function() {
+
+    // given
+    const { sanitizeValue } = Rating.config;
+
+    // then
+    expect(sanitizeValue({ value: 3 })).to.equal(3);
+    expect(sanitizeValue({ value: '4' })).to.equal(4);
+    expect(sanitizeValue({ value: 2.5 })).to.be.null;
+    expect(sanitizeValue({ value: 0 })).to.be.null;
+    expect(sanitizeValue({ value: 'foo' })).to.be.null;
+  });
+
+
+  describe('a11y', function() {
+
+    it('should have no violations', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createRating({
+        value: 3
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+
+    it('should have no violations for readonly', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createRating({
+        readonly: true,
+        value: 3
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+
+    it('should have no violations for errors', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createRating({
+        errors: [ 'Something went wrong' ]
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+  });
+
+});
+
+// helpers //////////
+
+const defaultField = {
+  id: 'Rating_1',
+  key: 'satisfaction',
+  label: 'Satisfaction',
+  type: 'rating'
+};
+
+const defaultProps = {
+  domId: 'test-rating',
+  field: defaultField,
+  onChange: () => {}
+};
+
+function createRating({ services, ...restOptions } = {}) {
+  const options = {
+    ...defaultProps,
+    ...restOptions
+  };
+
+  return render(
+    <MockFormContext
+      services={ services }
+      options={ options }>
+      <Rating { ...options } />
+    </MockFormContext>, {
+      container: options.container || container.querySelector('.fjs-form')
+    }
+  );
+}
@@ -0,0 +1,571 @@
+import {
+  act,
+  fireEvent,
+  render
+} from '@testing-library/preact/pure';
+
+import { RichText } from '../../../../../src/render/components/form-fields/RichText';
+import { Translator } from '../../../../../src/core/Translator';
+
+import {
+  createFormContainer,
+  expectNoViolations
+} from '../../../../TestHelper';
+
+import { MockFormContext } from '../helper';
+
+const spy = sinon.spy;
+
+let container;
+
+
+describe('RichText', function() {
+
+  beforeEach(function() {
+    container = createFormContainer();
+  });
+
+  afterEach(function() {
+    container.remove();
+  });
+
+
+  it('should render', function() {
+
+    // when
+    const { container } = createRichText({
+      value: '**Hello** *world*'
+    });
+
+    // then
+    const formField = container.querySelector('.fjs-form-field');
+
+    expect(formField).to.exist;
+    expect(formField.classList.contains('fjs-form-field-richtext')).to.be.true;
+
+    const editor = container.querySelector('.fjs-richtext-editor');
+
+    expect(editor).to.exist;
+    expect(editor.id).to.equal('test-richtext');
+    expect(editor.getAttribute('contenteditable')).to.equal('true');
+    expect(editor.innerHTML).to.equal('<p><strong>Hello</strong> <em>world</em></p>');
+
+    const label = container.querySelector('label');
+
+    expect(label).to.exist;
+    expect(label.textContent).to.equal('Comment');
+    expect(label.id).to.equal(editor.getAttribute('aria-labelledby'));
+  });
+
+
+  it('should render HTML', function() {
+
+    // when
+    const { container } = createRichText({
+      field: {
+        ...defaultField,
+        richTextFormat: 'html'
+      },
+      value: '<p><strong>Hello</strong><script>alert(1)</script></p>'
+    });
+
+    // then
+    const editor = container.querySelector('.fjs-richtext-editor');
+
+    expect(editor.innerHTML).to.equal('<p><strong>Hello</strong></p>');
+  });
+
+
+  it('should render required label', function() {
+
+    // when
+    const { container } = createRichText({
+      field: {
+        ...defaultField,
+        validate: {
+          required: true
+        }
+      }
+    });
+
+    // then
+    const label = container.querySelector('label');
+
+    expect(label.textContent).to.equal('Comment*');
+  });
+
+
+  it('should render disabled', function() {
+
+    // when
+    const { container } = createRichText({
+      disabled: true
+    });
+
+    // then
+    const editor = container.querySelector('.fjs-richtext-editor');
+
+    expect(editor.getAttribute('contenteditable')).to.equal('false');
+    expect(editor.getAttribute('aria-disabled')).to.equal('true');
+
+    expect(container.querySelector('.fjs-richtext-toolbar')).not.to.exist;
+  });
+
+
+  it('should render readonly', function() {
+
+    // when
+    const { container } = createRichText({
+      readonly: true
+    });
+
+    // then
+    const editor = container.querySelector('.fjs-richtext-editor');
+
+    expect(editor.getAttribute('contenteditable')).to.equal('false');
+    expect(editor.getAttribute('aria-readonly')).to.equal('true');
+
+    expect(container.querySelector('.fjs-richtext.fjs-readonly')).to.exist;
+    expect(container.querySelector('.fjs-richtext-toolbar')).not.to.exist;
+  });
+
+
+  it('should render description', function() {
+
+    // when
+    const { container } = createRichText({
+      field: {
+        ...defaultField,
+        description: 'Leave a comment'
+      }
+    });
+
+    // then
+    const description = container.querySelector('.fjs-form-field-description');
+
+    expect(description).to.exist;
+    expect(description.textContent).to.equal('Leave a comment');
+  });
+
+
+  describe('toolbar', function() {
+
+    it('should render all actions by default', function() {
+
+      // when
+      const { container } = createRichText();
+
+      // then
+      const actions = container.querySelectorAll('.fjs-richtext-action');
+
+      expect(Array.from(actions).map(action => action.textContent)).to.eql([
+        'Bold',
+        'Italic',
+        'Bulleted list',
+        'Numbered list',
+        'Link'
+      ]);
+    });
+
+
+    it('should render configured actions', function() {
+
+      // when
+      const { container } = createRichText({
+        field: {
+          ...defaultField,
+          toolbar: [ 'bold', 'link' ]
+        }
+      });
+
+      // then
+      const actions = container.querySelectorAll('.fjs-richtext-action');
+
+      expect(Array.from(actions).map(action => action.textContent)).to.eql([
+        'Bold',
+        'Link'
+      ]);
+    });
+
+
+    it('should NOT render empty toolbar', function() {
+
+      // when
+      const { container } = createRichText({
+        field: {
+          ...defaultField,
+          toolbar: []
+        }
+      });
+
+      // then
+      expect(container.querySelector('.fjs-richtext-toolbar')).not.to.exist;
+    });
+
+
+    it('should format selection', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createRichText({
+        onChange: onChangeSpy,
+        value: 'Hello'
+      });
+
+      const editor = container.querySelector('.fjs-richtext-editor');
+
+      select(editor);
+
+      // when
+      await act(() => fireEvent.click(getAction(container, 'Bold')));
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnceWith({
+        field: defaultField,
+        value: '**Hello**'
+      });
+    });
+
+
+    it('should insert link', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const promptStub = sinon.stub(window, 'prompt').returns('https://bpmn.io');
+
+      const { container } = createRichText({
+        onChange: onChangeSpy,
+        value: 'Hello'
+      });
+
+      select(container.querySelector('.fjs-richtext-editor'));
+
+      // when
+      try {
+        await act(() => fireEvent.click(getAction(container, 'Link')));
+      } finally {
+        promptStub.restore();
+      }
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnceWith({
+        field: defaultField,
+        value: '[Hello](<https://bpmn.io>)'
+      });
+    });
+
+  });
+
+
+  describe('change handling', function() {
+
+    it('should change text', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createRichText({
+        onChange: onChangeSpy
+      });
+
+      const editor = container.querySelector('.fjs-richtext-editor');
+
+      // when
+      editor.innerHTML = '<div><b>Hello</b> world</div>';
+
+      await act(() => fireEvent.input(editor));
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnceWith({
+        field: defaultField,
+        value: '**Hello** world'
+      });
+    });
+
+
+    it('should change HTML', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const field = {
+        ...defaultField,
+        richTextFormat: 'html'
+      };
+
+      const { container } = createRichText({
+        field,
+        onChange: onChangeSpy
+      });
+
+      const editor = container.querySelector('.fjs-richtext-editor');
+
+      // when
+      editor.innerHTML = '<div><b>Hello</b> world</div>';
+
+      await act(() => fireEvent.input(editor));
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnceWith({
+        field,
+        value: '<p><strong>Hello</strong> world</p>'
+      });
+    });
+
+
+    it('should clear', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createRichText({
+        onChange: onChangeSpy,
+        value: 'Hello'
+      });
+
+      const editor = container.querySelector('.fjs-richtext-editor');
+
+      // when
+      editor.innerHTML = '<p><br></p>';
+
+      await act(() => fireEvent.input(editor));
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnceWith({
+        field: defaultField,
+        value: ''
+      });
+    });
+
+
+    it('should keep content on own change', async function() {
+
+      // given
+      const { container, rerender } = createRichText({
+        value: 'Hello'
+      });
+
+      const editor = container.querySelector('.fjs-richtext-editor');
+
+      editor.innerHTML = '<div>Hello world</div>';
+
+      await act(() => fireEvent.input(editor));
+
+      // when
+      rerender(
+        <MockFormContext>
+          <RichText { ...defaultProps } value="Hello world" />
+        </MockFormContext>
+      );
+
+      // then
+      expect(editor.innerHTML).to.equal('<div>Hello world</div>');
+    });
+
+
+    it('should update content on external change', function() {
+
+      // given
+      const { container, rerender } = createRichText({
+        value: 'Hello'
+      });
+
+      // when
+      rerender(
+        <MockFormContext>
+          <RichText { ...defaultProps } value="*Bye*" />
+        </MockFormContext>
+      );
+
+      // then
+      const editor = container.querySelector('.fjs-richtext-editor');
+
+      expect(editor.innerHTML).to.equal('<p><em>Bye</em></p>');
+    });
+
+  });
+
+
+  describe('translation', function() {
+
+    it('should translate toolbar', async function() {
+
+      // given
+      const translator = new Translator({
+        locale: 'de',
+        bundles: {
+          de: {
+            'richtext.toolbar': 'Formatierung',
+            'richtext.bold': 'Fett',
+            'richtext.link': 'Verknüpfung',
+            'richtext.linkUrl': 'Adresse des Links'
+          }
+        }
+      });
+
+      const promptStub = sinon.stub(window, 'prompt').returns(null);
+
+      const { container } = createRichText({
+        services: { translator }
+      });
+
+      // assume
+      const toolbar = container.querySelector('.fjs-richtext-toolbar');
+
+      expect(toolbar.getAttribute('aria-label')).to.eql('Formatierung');
+
+      expect(getAction(container, 'Fett')).to.exist;
+      expect(getAction(container, 'Italic')).to.exist;
+
+      // when
+      try {
+        await act(() => fireEvent.click(getAction(container, 'Verknüpfung')));
+      } finally {
+        promptStub.restore();
+      }
+
+      // then
+      expect(promptStub).to.have.been.calledOnceWith('Adresse des Links');
+    });
+
+  });
+
+
+  it('#create', function() {
+
+    // assume
+    const { config } = RichText;
+    expect(config.type).to.eql('richtext');
+    expect(config.label).to.eql('Rich text');
+    expect(config.group).to.eql('basic-input');
+    expect(config.keyed).to.be.true;
+    expect(config.emptyValue).to.eql('');
+
+    // when
+    const field = config.create();
+
+    // then
+    expect(field).to.eql({});
+
+    // but when
+    const customField = config.create({
+      custom: true
+    });
+
+    // then
+    expect(customField).to.contain({
+      custom: true
+    });
+  });
+
+
+  it('#sanitizeValue', function() {
+
+    // given
+    const { sanitizeValue } = RichText.config;
+
+    // then
+    expect(sanitizeValue({ value: '**Hello**' })).to.equal('**Hello**');
+    expect(sanitizeValue({ value: 1 })).to.equal('');
+    expect(sanitizeValue({ value: null })).to.equal('');
+  });
+
+
+  describe('a11y', function() {
+
+    it('should have no violations', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createRichText({
+        value: '**Hello** *world*'
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+
+    it('should have no violations for readonly', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createRichText({
+        readonly: true,
+        value: '**Hello** *world*'
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+
+    it('should have no violations for errors', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createRichText({
+        errors: [ 'Something went wrong' ]
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+  });
+
+});
+
+// helpers //////////
+
+const defaultField = {
+  id: 'RichText_1',
+  key: 'comment',
+  label: 'Comment',
+  type: 'richtext'
+};
+
+const defaultProps = {
+  domId: 'test-richtext',
+  field: defaultField,
+  onChange: () => {}
+};
+
+function getAction(container, label) {
+  return Array.from(container.querySelectorAll('.fjs-richtext-action')).find(action => action.textContent === label);
+}
+
+function select(element) {
+  element.focus();
+
+  const range = document.createRange();
+
+  range.selectNodeContents(element);
+
+  const selection = window.getSelection();
+
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+function createRichText({ services, ...restOptions } = {}) {
+  const options = {
+    ...defaultProps,
+    ...restOptions
+  };
+
+  return render(
+    <MockFormContext
+      services={ services }
+      options={ options }>
+      <RichText { ...options } />
+    </MockFormContext>, {
+      container: options.container || container.querySelector('.fjs-form')
+    }
+  );
+}
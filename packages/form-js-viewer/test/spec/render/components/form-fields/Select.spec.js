@@ -1,10 +1,12 @@
 import {
   fireEvent,
   render,
-  screen
+  screen,
+  waitFor
 } from '@testing-library/preact/pure';
 
 import { Select } from '../../../../../src/render/components/form-fields/Select';
+import { OptionsProviderRegistry } from '../../../../../src/core/OptionsProviderRegistry';
 
 import {
   createFormContainer,
@@ -415,6 +417,134 @@ describe('Select', function() {
     });
 
 
+    describe('dependent options (valuesDependsOn)', function() {
+
+      const dependentField = {
+        id: 'Select_2',
+        key: 'city',
+        label: 'City',
+        type: 'select',
+        valuesKey: 'cities',
+        valuesDependsOn: 'country'
+      };
+
+      const cities = {
+        germany: [ 'Berlin', 'Munich' ],
+        france: [ 'Paris' ]
+      };
+
+
+      it('should load options for dependency', function() {
+
+        // given
+        const { container } = createSelect({
+          field: dependentField,
+          initialData: { cities },
+          data: { country: 'germany' }
+        });
+
+        const select = container.querySelector('.fjs-input-group');
+
+        // when
+        fireEvent.focus(select);
+
+        // then
+        expect(getSelectValues(container)).to.eql([ 'Berlin', 'Munich' ]);
+      });
+
+
+      it('should NOT load options without dependency', function() {
+
+        // given
+        const { container } = createSelect({
+          field: dependentField,
+          initialData: { cities },
+          data: {}
+        });
+
+        const select = container.querySelector('.fjs-input-group');
+
+        // when
+        fireEvent.focus(select);
+
+        // then
+        expect(getSelectValues(container)).to.be.empty;
+      });
+
+
+      it('should pass dependency to provider', async function() {
+
+        // given
+        const getOptionsSpy = spy(({ dependency }) => cities[ dependency ]);
+
+        const optionsProviderRegistry = new OptionsProviderRegistry();
+
+        optionsProviderRegistry.register('cities', getOptionsSpy);
+
+        const field = {
+          ...dependentField,
+          valuesKey: undefined,
+          valuesProvider: {
+            name: 'cities'
+          }
+        };
+
+        // when
+        createSelect({
+          field,
+          data: { country: 'france' },
+          services: {
+            optionsProviderRegistry
+          }
+        });
+
+        // then
+        await waitFor(() => {
+          expect(getOptionsSpy).to.have.been.calledWith({
+            field,
+            parameters: {},
+            dependency: 'france',
+            search: ''
+          });
+        });
+      });
+
+
+      it('should clear value when dependency changes', function() {
+
+        // given
+        const onChangeSpy = spy();
+
+        const result = createSelect({
+          onChange: onChangeSpy,
+          value: 'Berlin',
+          field: dependentField,
+          initialData: { cities },
+          data: { country: 'germany' }
+        });
+
+        // assume
+        expect(onChangeSpy).not.to.have.been.called;
+
+        // when
+        createSelect({
+          onChange: onChangeSpy,
+          value: 'Berlin',
+          field: dependentField,
+          initialData: { cities },
+          data: { country: 'france' }
+        }, result.rerender);
+
+        // then
+        expect(onChangeSpy).to.have.been.calledWith({
+          field: dependentField,
+          value: null
+        });
+      });
+
+    });
+
+
     describe('interaction (dynamic data, valuesExpression)', function() {
 
       it('should set value through dropdown', function() {
@@ -687,6 +817,144 @@ describe('Select', function() {
 
     });
 
+
+    describe('interaction (dynamic data, valuesProvider)', function() {
+
+      it('should render options from provider', async function() {
+
+        // given
+        const optionsProviderRegistry = new OptionsProviderRegistry();
+
+        optionsProviderRegistry.register('languages', () => Promise.resolve(providerOptions));
+
+        const { container } = createSelect({
+          field: providerField,
+          services: {
+            optionsProviderRegistry
+          }
+        });
+
+        const select = container.querySelector('.fjs-input-group');
+
+        // when
+        fireEvent.focus(select);
+
+        // then
+        await waitFor(() => {
+          expect(getSelectValues(container)).to.eql([
+            'Provided Value 1',
+            'Provided Value 2'
+          ]);
+        });
+      });
+
+
+      it('should pass parameters to provider', async function() {
+
+        // given
+        const getOptionsSpy = spy(() => providerOptions);
+
+        const optionsProviderRegistry = new OptionsProviderRegistry();
+
+        optionsProviderRegistry.register('languages', getOptionsSpy);
+
+        const field = {
+          ...providerField,
+          valuesProvider: {
+            name: 'languages',
+            parameters: '={ region: region }'
+          }
+        };
+
+        // when
+        createSelect({
+          field,
+          services: {
+            expressionLanguage: {
+              isExpression: (value) => value === '={ region: region }',
+              evaluate: () => ({ region: 'europe' })
+            },
+            optionsProviderRegistry
+          }
+        });
+
+        // then
+        await waitFor(() => {
+          expect(getOptionsSpy).to.have.been.calledWith({
+            field,
+            parameters: { region: 'europe' },
+            dependency: null,
+            search: ''
+          });
+        });
+      });
+
+
+      it('should NOT clear value while loading', async function() {
+
+        // given
+        const onChangeSpy = spy();
+
+        const optionsProviderRegistry = new OptionsProviderRegistry();
+
+        optionsProviderRegistry.register('languages', () => new Promise(resolve => {
+          setTimeout(() => resolve(providerOptions), 50);
+        }));
+
+        const { container } = createSelect({
+          onChange: onChangeSpy,
+          value: 'providedValue1',
+          field: providerField,
+          services: {
+            optionsProviderRegistry
+          }
+        });
+
+        // then
+        expect(onChangeSpy).not.to.have.been.called;
+
+        await waitFor(() => {
+          expect(container.querySelector('.fjs-select-display').innerText).to.eql('Provided Value 1');
+        });
+
+        expect(onChangeSpy).not.to.have.been.called;
+      });
+
+
+      it('should keep value on error', async function() {
+
+        // given
+        const onChangeSpy = spy();
+
+        const getOptionsSpy = spy(() => Promise.reject(new Error('failed')));
+
+        const optionsProviderRegistry = new OptionsProviderRegistry();
+
+        optionsProviderRegistry.register('languages', getOptionsSpy);
+
+        const { container } = createSelect({
+          onChange: onChangeSpy,
+          value: 'providedValue1',
+          field: providerField,
+          services: {
+            optionsProviderRegistry
+          }
+        });
+
+        await waitFor(() => {
+          expect(getOptionsSpy).to.have.been.called;
+        });
+
+        // when
+        fireEvent.focus(container.querySelector('.fjs-input-group'));
+
+        // then
+        expect(getSelectValues(container)).to.be.empty;
+        expect(onChangeSpy).not.to.have.been.called;
+      });
+
+    });
+
   });
 
 
@@ -1301,6 +1569,27 @@ const expressionFieldInitialData = {
   ]
 };
 
+const providerField = {
+  id: 'Select_1',
+  key: 'language',
+  label: 'Language',
+  type: 'select',
+  valuesProvider: {
+    name: 'languages'
+  }
+};
+
+const providerOptions = [
+  {
+    label: 'Provided Value 1',
+    value: 'providedValue1'
+  },
+  {
+    label: 'Provided Value 2',
+    value: 'providedValue2'
+  }
+];
+
 function createSelect({ services, ...restOptions } = {}, renderFn = render) {
 
   const options = {
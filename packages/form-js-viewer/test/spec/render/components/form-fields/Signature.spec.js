@@ -0,0 +1,557 @@
+import {
+  act,
+  fireEvent,
+  render
+} from '@testing-library/preact/pure';
+
+import { Signature } from '../../../../../src/render/components/form-fields/Signature';
+import { Translator } from '../../../../../src/core/Translator';
+
+import {
+  createFormContainer,
+  expectNoViolations
+} from '../../../../TestHelper';
+
+import { MockFormContext } from '../helper';
+
+const spy = sinon.spy;
+
+let container;
+
+
+describe('Signature', function() {
+
+  beforeEach(function() {
+    container = createFormContainer();
+  });
+
+  afterEach(function() {
+    container.remove();
+  });
+
+
+  it('should render', function() {
+
+    // when
+    const { container } = createSignature();
+
+    // then
+    const formField = container.querySelector('.fjs-form-field');
+
+    expect(formField).to.exist;
+    expect(formField.classList.contains('fjs-form-field-signature')).to.be.true;
+
+    const canvas = container.querySelector('canvas');
+
+    expect(canvas).to.exist;
+    expect(canvas.id).to.equal('test-signature');
+
+    const label = container.querySelector('label');
+
+    expect(label).to.exist;
+    expect(label.textContent).to.equal('Customer signature');
+    expect(label.htmlFor).to.equal('test-signature');
+  });
+
+
+  it('should render required label', function() {
+
+    // when
+    const { container } = createSignature({
+      field: {
+        ...defaultField,
+        validate: {
+          required: true
+        }
+      }
+    });
+
+    // then
+    const label = container.querySelector('label');
+
+    expect(label.textContent).to.equal('Customer signature*');
+  });
+
+
+  it('should render disabled', function() {
+
+    // when
+    const { container } = createSignature({
+      disabled: true,
+      value: signatureValue
+    });
+
+    // then
+    expect(container.querySelector('canvas')).not.to.exist;
+    expect(container.querySelector('.fjs-signature-actions')).not.to.exist;
+
+    const image = container.querySelector('.fjs-signature-image');
+
+    expect(image).to.exist;
+    expect(image.getAttribute('src')).to.equal(signatureValue);
+  });
+
+
+  it('should render readonly', function() {
+
+    // when
+    const { container } = createSignature({
+      readonly: true,
+      value: signatureValue
+    });
+
+    // then
+    expect(container.querySelector('.fjs-signature.fjs-readonly')).to.exist;
+    expect(container.querySelector('canvas')).not.to.exist;
+    expect(container.querySelector('.fjs-signature-image')).to.exist;
+  });
+
+
+  it('should render description', function() {
+
+    // when
+    const { container } = createSignature({
+      field: {
+        ...defaultField,
+        description: 'Sign here'
+      }
+    });
+
+    // then
+    const description = container.querySelector('.fjs-form-field-description');
+
+    expect(description).to.exist;
+    expect(description.textContent).to.equal('Sign here');
+  });
+
+
+  describe('draw', function() {
+
+    it('should draw signature', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createSignature({
+        onChange: onChangeSpy
+      });
+
+      // when
+      await draw(container.querySelector('canvas'), [ [ 10, 10 ], [ 50, 30 ] ]);
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnce;
+
+      const { value } = onChangeSpy.getCall(0).args[ 0 ];
+
+      expect(value).to.match(/^data:image\/png;base64,/);
+    });
+
+
+    it('should draw signature as SVG', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createSignature({
+        field: {
+          ...defaultField,
+          signatureFormat: 'svg'
+        },
+        onChange: onChangeSpy
+      });
+
+      // when
+      await draw(container.querySelector('canvas'), [ [ 10, 10 ], [ 50, 30 ] ]);
+
+      // then
+      const { value } = onChangeSpy.getCall(0).args[ 0 ];
+
+      expect(value).to.match(/^data:image\/svg\+xml,/);
+      expect(decodeURIComponent(value)).to.include('<path d="M');
+    });
+
+
+    it('should undo stroke', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createSignature({
+        field: {
+          ...defaultField,
+          signatureFormat: 'svg'
+        },
+        onChange: onChangeSpy
+      });
+
+      const canvas = container.querySelector('canvas');
+
+      await draw(canvas, [ [ 10, 10 ], [ 50, 30 ] ]);
+      await draw(canvas, [ [ 60, 10 ], [ 90, 30 ] ]);
+
+      // when
+      await act(() => fireEvent.click(getButton(container, 'Undo')));
+
+      // then
+      expect(onChangeSpy).to.have.been.calledThrice;
+      expect(onChangeSpy.getCall(2).args[ 0 ].value).to.equal(onChangeSpy.getCall(0).args[ 0 ].value);
+    });
+
+
+    it('should undo last stroke', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createSignature({
+        onChange: onChangeSpy
+      });
+
+      await draw(container.querySelector('canvas'), [ [ 10, 10 ], [ 50, 30 ] ]);
+
+      // when
+      await act(() => fireEvent.click(getButton(container, 'Undo')));
+
+      // then
+      expect(onChangeSpy.lastCall.args[ 0 ].value).to.be.null;
+    });
+
+
+    it('should NOT undo without strokes', function() {
+
+      // when
+      const { container } = createSignature({
+        value: signatureValue
+      });
+
+      // then
+      expect(getButton(container, 'Undo').disabled).to.be.true;
+    });
+
+  });
+
+
+  describe('type', function() {
+
+    it('should type signature', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createSignature({
+        field: {
+          ...defaultField,
+          signatureFormat: 'svg'
+        },
+        onChange: onChangeSpy
+      });
+
+      await act(() => fireEvent.click(getButton(container, 'Type')));
+
+      // when
+      const input = container.querySelector('.fjs-signature-input');
+
+      await act(() => fireEvent.input(input, { target: { value: 'John Doe' } }));
+
+      // then
+      expect(input.id).to.equal('test-signature');
+
+      const { value } = onChangeSpy.getCall(0).args[ 0 ];
+
+      expect(decodeURIComponent(value)).to.include('>John Doe</text>');
+    });
+
+
+    it('should escape typed signature', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createSignature({
+        field: {
+          ...defaultField,
+          signatureFormat: 'svg'
+        },
+        onChange: onChangeSpy
+      });
+
+      await act(() => fireEvent.click(getButton(container, 'Type')));
+
+      // when
+      await act(() => {
+        fireEvent.input(container.querySelector('.fjs-signature-input'), { target: { value: '<b>John</b>' } });
+      });
+
+      // then
+      const { value } = onChangeSpy.getCall(0).args[ 0 ];
+
+      expect(decodeURIComponent(value)).to.include('>&lt;b&gt;John&lt;/b&gt;</text>');
+    });
+
+
+    it('should clear typed signature', async function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createSignature({
+        onChange: onChangeSpy
+      });
+
+      await act(() => fireEvent.click(getButton(container, 'Type')));
+
+      // when
+      await act(() => fireEvent.input(container.querySelector('.fjs-signature-input'), { target: { value: ' ' } }));
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnceWith({
+        field: defaultField,
+        value: null
+      });
+    });
+
+
+    it('should mark active mode', async function() {
+
+      // given
+      const { container } = createSignature();
+
+      // when
+      await act(() => fireEvent.click(getButton(container, 'Type')));
+
+      // then
+      expect(getButton(container, 'Type').getAttribute('aria-pressed')).to.equal('true');
+      expect(getButton(container, 'Draw').getAttribute('aria-pressed')).to.equal('false');
+    });
+
+  });
+
+
+  it('should clear', async function() {
+
+    // given
+    const onChangeSpy = spy();
+
+    const { container } = createSignature({
+      onChange: onChangeSpy,
+      value: signatureValue
+    });
+
+    // when
+    await act(() => fireEvent.click(getButton(container, 'Clear')));
+
+    // then
+    expect(onChangeSpy).to.have.been.calledOnceWith({
+      field: defaultField,
+      value: null
+    });
+  });
+
+
+  it('#create', function() {
+
+    // assume
+    const { config } = Signature;
+    expect(config.type).to.eql('signature');
+    expect(config.label).to.eql('Signature');
+    expect(config.group).to.eql('basic-input');
+    expect(config.keyed).to.be.true;
+    expect(config.emptyValue).to.be.null;
+
+    // when
+    const field = config.create();
+
+    // then
+    expect(field).to.eql({});
+
+    // but when
+    const customField = config.create({
+      custom: true
+    });
+
+    // then
+    expect(customField).to.contain({
+      custom: true
+    });
+  });
+
+
+  describe('translation', function() {
+
+    it('should translate texts', async function() {
+
+      // given
+      const translator = new Translator({
+        locale: 'de',
+        bundles: {
+          de: {
+            'signature.draw': 'Zeichnen',
+            'signature.type': 'Tippen',
+            'signature.undo': 'Rückgängig',
+            'signature.clear': 'Löschen',
+            'signature.typeName': 'Namen eingeben'
+          }
+        }
+      });
+
+      const { container } = createSignature({
+        services: { translator }
+      });
+
+      // assume
+      expect(getButton(container, 'Zeichnen')).to.exist;
+      expect(getButton(container, 'Rückgängig')).to.exist;
+      expect(getButton(container, 'Löschen')).to.exist;
+
+      // when
+      await act(() => fireEvent.click(getButton(container, 'Tippen')));
+
+      // then
+      const input = container.querySelector('.fjs-signature-input');
+
+      expect(input.placeholder).to.equal('Namen eingeben');
+    });
+
+  });
+
+
+  describe('#sanitizeValue', function() {
+
+    it('should keep data URL', function() {
+
+      // given
+      const { sanitizeValue } = Signature.config;
+
+      // then
+      expect(sanitizeValue({ value: signatureValue })).to.equal(signatureValue);
+    });
+
+
+    it('should sanitize other values', function() {
+
+      // given
+      const { sanitizeValue } = Signature.config;
+
+      // then
+      expect(sanitizeValue({ value: 'John Doe' })).to.be.null;
+      expect(sanitizeValue({ value: 1 })).to.be.null;
+      expect(sanitizeValue({ value: [] })).to.be.null;
+    });
+
+  });
+
+
+  describe('a11y', function() {
+
+    it('should have no violations', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createSignature();
+
+      // then
+      await expectNoViolations(container);
+    });
+
+
+    it('should have no violations in type mode', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createSignature({
+        value: signatureValue
+      });
+
+      await act(() => fireEvent.click(getButton(container, 'Type')));
+
+      // then
+      await expectNoViolations(container);
+    });
+
+
+    it('should have no violations for readonly', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createSignature({
+        readonly: true,
+        value: signatureValue
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+
+    it('should have no violations for errors', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createSignature({
+        errors: [ 'Something went wrong' ]
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
+  });
+
+});
+
+// helpers //////////
+
+const defaultField = {
+  id: 'Signature_1',
+  key: 'signature',
+  label: 'Customer signature',
+  type: 'signature'
+};
+
+const signatureValue = 'data:image/svg+xml,%3Csvg%20xmlns%3D%22http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%22%2F%3E';
+
+function getButton(container, label) {
+  return Array.from(container.querySelectorAll('button')).find(button => button.textContent.trim() === label);
+}
+
+async function draw(canvas, points) {
+  const rect = canvas.getBoundingClientRect();
+
+  const [ start, ...rest ] = points.map(([ x, y ]) => ({
+    clientX: rect.left + x,
+    clientY: rect.top + y,
+    pointerId: 1
+  }));
+
+  await act(() => fireEvent.pointerDown(canvas, start));
+
+  for (const point of rest) {
+    await act(() => fireEvent.pointerMove(canvas, point));
+  }
+
+  await act(() => fireEvent.pointerUp(canvas, rest[ rest.length - 1 ] || start));
+}
+
+function createSignature({ services, ...restOptions } = {}) {
+  const options = {
+    domId: 'test-signature',
+    field: defaultField,
+    onChange: () => {},
+    ...restOptions
+  };
+
+  return render(
+    <MockFormContext
+      services={ services }
+      options={ options }>
+      <Signature { ...options } />
+    </MockFormContext>, {
+      container: options.container || container.querySelector('.fjs-form')
+    }
+  );
+}
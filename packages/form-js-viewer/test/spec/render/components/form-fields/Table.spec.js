@@ -1,6 +1,8 @@
-import { fireEvent, render } from '@testing-library/preact/pure';
+import { fireEvent, render, waitFor } from '@testing-library/preact/pure';
 
 import { Table } from '../../../../../src/render/components/form-fields/Table';
+import { TableDataProviderRegistry } from '../../../../../src/core/TableDataProviderRegistry';
+import { Translator } from '../../../../../src/core/Translator';
 
 import {
   createFormContainer,
@@ -333,6 +335,207 @@ describe('Table', function() {
   });
 
 
+  describe('formatting', function() {
+
+    it('should format cells', function() {
+
+      // when
+      const DATA = [
+        {
+          amount: 1234.5,
+          paid: true,
+          due: '2023-01-31'
+        }
+      ];
+
+      const { container } = createTable({
+        field: {
+          ...defaultField,
+          columns: [
+            { label: 'Amount', key: 'amount', format: 'currency', currency: 'USD' },
+            { label: 'Paid', key: 'paid', format: 'boolean' },
+            { label: 'Due', key: 'due', format: 'date' }
+          ],
+          dataSource: '=data'
+        },
+        services: {
+          expressionLanguage: {
+            isExpression: () => true,
+            evaluate: () => DATA
+          },
+          translator: {
+            getLocale: () => 'en-US',
+            translateField: (field, path, defaultValue) => defaultValue
+          }
+        }
+      });
+
+      // then
+      const cells = container.querySelectorAll('.fjs-table-body .fjs-table-td');
+
+      expect(cells[0].textContent).to.eql('$1,234.50');
+      expect(cells[1].textContent).to.eql('Yes');
+      expect(cells[2].textContent).to.eql('1/31/2023');
+    });
+
+  });
+
+
+  describe('filtering', function() {
+
+    it('should render filter inputs', function() {
+
+      // when
+      const { container } = createFilterableTable();
+
+      // then
+      const filters = container.querySelectorAll('.fjs-table-filter');
+
+      expect(filters).to.have.length(1);
+      expect(filters[0].getAttribute('aria-label')).to.eql('Filter by Name');
+
+      expect(container.querySelectorAll('.fjs-table-filter-cell')).to.have.length(3);
+    });
+
+
+    it('should filter rows by column', function() {
+
+      // given
+      const { container } = createFilterableTable();
+
+      // when
+      fireEvent.input(container.querySelector('.fjs-table-filter'), { target: { value: 'BA' } });
+
+      // then
+      const rows = container.querySelectorAll('.fjs-table-body .fjs-table-tr');
+
+      expect(rows).to.have.length(1);
+      expect(rows[0].querySelectorAll('.fjs-table-td')[1].textContent).to.eql('bar');
+    });
+
+
+    it('should show empty message', function() {
+
+      // given
+      const { container } = createFilterableTable();
+
+      // when
+      fireEvent.input(container.querySelector('.fjs-table-filter'), { target: { value: 'baz' } });
+
+      // then
+      const rows = container.querySelectorAll('.fjs-table-body .fjs-table-tr');
+
+      expect(rows).to.have.length(1);
+      expect(rows[0].textContent).to.eql('Nothing to show.');
+    });
+
+
+    it('should search all columns', function() {
+
+      // given
+      const { container } = createFilterableTable({
+        searchable: true
+      });
+
+      const search = container.querySelector('.fjs-table-search');
+
+      // assume
+      expect(search).to.exist;
+
+      // when
+      fireEvent.input(search, { target: { value: '2020-01-02' } });
+
+      // then
+      const rows = container.querySelectorAll('.fjs-table-body .fjs-table-tr');
+
+      expect(rows).to.have.length(1);
+      expect(rows[0].querySelectorAll('.fjs-table-td')[1].textContent).to.eql('bar');
+    });
+
+
+    it('should reset page', function() {
+
+      // given
+      const { container } = createFilterableTable({
+        rowCount: 1
+      });
+
+      fireEvent.click(container.querySelector('.fjs-table-nav-button[aria-label="Next page"]'));
+
+      // assume
+      expect(container.querySelector('.fjs-table-nav-label').textContent).to.eql('2 of 2');
+
+      // when
+      fireEvent.input(container.querySelector('.fjs-table-filter'), { target: { value: 'o' } });
+
+      // then
+      expect(container.querySelector('.fjs-table-nav')).not.to.exist;
+
+      const rows = container.querySelectorAll('.fjs-table-body .fjs-table-tr');
+
+      expect(rows).to.have.length(1);
+      expect(rows[0].querySelectorAll('.fjs-table-td')[1].textContent).to.eql('foo');
+    });
+
+  });
+
+
+  describe('CSV download', function() {
+
+    let createObjectURLStub, revokeObjectURLStub, clickStub;
+
+    beforeEach(function() {
+      createObjectURLStub = sinon.stub(URL, 'createObjectURL').returns('blob:table');
+      revokeObjectURLStub = sinon.stub(URL, 'revokeObjectURL');
+      clickStub = sinon.stub(HTMLAnchorElement.prototype, 'click');
+    });
+
+    afterEach(function() {
+      createObjectURLStub.restore();
+      revokeObjectURLStub.restore();
+      clickStub.restore();
+    });
+
+
+    it('should NOT render download by default', function() {
+
+      // when
+      const { container } = createFilterableTable();
+
+      // then
+      expect(container.querySelector('.fjs-table-download')).not.to.exist;
+    });
+
+
+    it('should download filtered rows', async function() {
+
+      // given
+      const { container } = createFilterableTable({
+        id: 'Table_1',
+        downloadable: true
+      });
+
+      fireEvent.input(container.querySelector('.fjs-table-filter'), { target: { value: 'bar' } });
+
+      // when
+      fireEvent.click(container.querySelector('.fjs-table-download'));
+
+      // then
+      expect(clickStub).to.have.been.calledOnce;
+
+      const link = clickStub.getCall(0).thisValue;
+
+      expect(link.download).to.eql('Table_1.csv');
+      expect(revokeObjectURLStub).to.have.been.calledOnceWith('blob:table');
+
+      const blob = createObjectURLStub.getCall(0).args[0];
+
+      expect(await blob.text()).to.eql('ID,Name,Date\r\n2,bar,2020-01-02');
+    });
+
+  });
+
+
   it('should render table label', function() {
 
     // when
@@ -405,6 +608,43 @@ describe('Table', function() {
   });
 
 
+  describe('translation', function() {
+
+    it('should translate texts', function() {
+
+      // given
+      const translator = new Translator({
+        locale: 'de',
+        bundles: {
+          de: {
+            'table.search': 'Suchen',
+            'table.searchTable': 'Tabelle durchsuchen',
+            'table.filter': 'Nach {label} filtern',
+            'table.download': 'CSV herunterladen'
+          }
+        }
+      });
+
+      // when
+      const { container } = createFilterableTable({
+        searchable: true,
+        downloadable: true
+      }, { translator });
+
+      // then
+      const search = container.querySelector('.fjs-table-search');
+
+      expect(search.getAttribute('placeholder')).to.eql('Suchen');
+      expect(search.getAttribute('aria-label')).to.eql('Tabelle durchsuchen');
+
+      expect(container.querySelector('.fjs-table-filter').getAttribute('aria-label')).to.eql('Nach Name filtern');
+
+      expect(container.querySelector('.fjs-table-download').textContent).to.eql('CSV herunterladen');
+    });
+
+  });
+
+
   it('#create', function() {
 
     // assume
@@ -432,6 +672,312 @@ describe('Table', function() {
   });
 
 
+  describe('data provider', function() {
+
+    const ROWS = Array.from({ length: 25 }, (_, index) => ({
+      id: index + 1,
+      name: `name${ index + 1 }`,
+      date: '2020-01-01'
+    }));
+
+    let getRowsSpy;
+
+    beforeEach(function() {
+      getRowsSpy = sinon.spy(({ page, pageSize }) => Promise.resolve({
+        rows: pageSize ? ROWS.slice(page * pageSize, (page + 1) * pageSize) : ROWS,
+        total: ROWS.length
+      }));
+    });
+
+
+    it('should render rows of first page', async function() {
+
+      // when
+      const { container } = createProviderTable();
+
+      // then
+      await waitFor(() => {
+        expect(getBodyCells(container)[0].textContent).to.eql('1');
+      });
+
+      expect(container.querySelectorAll('.fjs-table-body .fjs-table-tr')).to.have.length(10);
+      expect(container.querySelector('.fjs-table-nav-label').textContent).to.eql('1 of 3');
+
+      expect(getRowsSpy).to.have.been.calledOnce;
+      expect(getRowsSpy.getCall(0).args[0]).to.include({
+        page: 0,
+        pageSize: 10,
+        search: ''
+      });
+    });
+
+
+    it('should pass parameters', async function() {
+
+      // when
+      createProviderTable({
+        dataProvider: {
+          name: 'rows',
+          parameters: '={ customer: customer }'
+        }
+      }, {
+        expressionLanguage: {
+          isExpression: () => true,
+          evaluate: () => ({ customer: 'foo' })
+        }
+      });
+
+      // then
+      await waitFor(() => {
+        expect(getRowsSpy).to.have.been.called;
+      });
+
+      expect(getRowsSpy.getCall(0).args[0].parameters).to.eql({ customer: 'foo' });
+    });
+
+
+    it('should request next page', async function() {
+
+      // given
+      const { container } = createProviderTable();
+
+      await waitFor(() => {
+        expect(getBodyCells(container)[0].textContent).to.eql('1');
+      });
+
+      // when
+      fireEvent.click(container.querySelectorAll('.fjs-table-nav-button')[1]);
+
+      // then
+      await waitFor(() => {
+        expect(getBodyCells(container)[0].textContent).to.eql('11');
+      });
+
+      expect(container.querySelector('.fjs-table-nav-label').textContent).to.eql('2 of 3');
+      expect(getRowsSpy.lastCall.args[0]).to.include({ page: 1 });
+    });
+
+
+    it('should request sorted and filtered rows', async function() {
+
+      // given
+      const { container } = createProviderTable({
+        columns: MOCK_COLUMNS.map(column => column.key === 'name' ? { ...column, filterable: true } : column),
+        searchable: true
+      });
+
+      await waitFor(() => {
+        expect(getRowsSpy).to.have.been.calledOnce;
+      });
+
+      // when
+      fireEvent.click(container.querySelectorAll('.fjs-table-th')[1]);
+      fireEvent.input(container.querySelector('.fjs-table-filter'), { target: { value: 'name1' } });
+      fireEvent.input(container.querySelector('.fjs-table-search'), { target: { value: 'foo' } });
+
+      // then
+      await waitFor(() => {
+        expect(getRowsSpy.lastCall.args[0]).to.deep.include({
+          page: 0,
+          sortBy: { key: 'name', direction: 'asc' },
+          filters: { name: 'name1' },
+          search: 'foo'
+        });
+      });
+    });
+
+
+    it('should render loading state', async function() {
+
+      // given
+      let resolveRows;
+
+      getRowsSpy = sinon.spy(() => new Promise(resolve => {
+        resolveRows = resolve;
+      }));
+
+      // when
+      const { container } = createProviderTable();
+
+      // then
+      await waitFor(() => {
+        expect(container.querySelector('.fjs-table-loading')).to.exist;
+      });
+
+      expect(container.querySelector('.fjs-table').getAttribute('aria-busy')).to.eql('true');
+
+      // but when
+      resolveRows({ rows: ROWS.slice(0, 10), total: 25 });
+
+      // then
+      await waitFor(() => {
+        expect(container.querySelector('.fjs-table-loading')).not.to.exist;
+      });
+
+      expect(container.querySelector('.fjs-table').getAttribute('aria-busy')).to.eql('false');
+    });
+
+
+    it('should render error state', async function() {
+
+      // given
+      getRowsSpy = sinon.spy(() => Promise.reject(new Error('failed')));
+
+      // when
+      const { container } = createProviderTable();
+
+      // then
+      await waitFor(() => {
+        expect(container.querySelector('.fjs-table-error')).to.exist;
+      });
+
+      expect(container.querySelector('.fjs-table-error [role="alert"]').textContent).to.eql('Could not load data.');
+    });
+
+
+    it('should translate error state', async function() {
+
+      // given
+      getRowsSpy = sinon.spy(() => Promise.reject(new Error('failed')));
+
+      const translator = new Translator({
+        locale: 'de',
+        bundles: {
+          de: {
+            'table.loadFailed': 'Daten konnten nicht geladen werden.',
+            'table.retry': 'Erneut versuchen'
+          }
+        }
+      });
+
+      // when
+      const { container } = createProviderTable({}, { translator });
+
+      // then
+      await waitFor(() => {
+        expect(container.querySelector('.fjs-table-error')).to.exist;
+      });
+
+      expect(container.querySelector('.fjs-table-error [role="alert"]').textContent).to.eql('Daten konnten nicht geladen werden.');
+      expect(container.querySelector('.fjs-table-retry').textContent).to.eql('Erneut versuchen');
+    });
+
+
+    it('should retry', async function() {
+
+      // given
+      let fail = true;
+
+      getRowsSpy = sinon.spy(() => fail ? Promise.reject(new Error('failed')) : Promise.resolve({ rows: ROWS.slice(0, 10), total: 25 }));
+
+      const { container } = createProviderTable();
+
+      await waitFor(() => {
+        expect(container.querySelector('.fjs-table-retry')).to.exist;
+      });
+
+      // when
+      fail = false;
+
+      fireEvent.click(container.querySelector('.fjs-table-retry'));
+
+      // then
+      await waitFor(() => {
+        expect(getBodyCells(container)[0].textContent).to.eql('1');
+      });
+
+      expect(getRowsSpy).to.have.been.calledTwice;
+    });
+
+
+    it('should render error if provider is not registered', async function() {
+
+      // when
+      const { container } = createProviderTable({
+        dataProvider: {
+          name: 'unknown'
+        }
+      });
+
+      // then
+      await waitFor(() => {
+        expect(container.querySelector('.fjs-table-error')).to.exist;
+      });
+
+      expect(getRowsSpy).not.to.have.been.called;
+    });
+
+
+    it('should download all rows', async function() {
+
+      // given
+      const createObjectURLStub = sinon.stub(URL, 'createObjectURL').returns('blob:table');
+      const revokeObjectURLStub = sinon.stub(URL, 'revokeObjectURL');
+      const clickStub = sinon.stub(HTMLAnchorElement.prototype, 'click');
+
+      const { container } = createProviderTable({
+        downloadable: true
+      });
+
+      await waitFor(() => {
+        expect(getBodyCells(container)[0].textContent).to.eql('1');
+      });
+
+      try {
+
+        // when
+        fireEvent.click(container.querySelector('.fjs-table-download'));
+
+        // then
+        await waitFor(() => {
+          expect(clickStub).to.have.been.calledOnce;
+        });
+
+        expect(getRowsSpy.lastCall.args[0].pageSize).not.to.exist;
+
+        const blob = createObjectURLStub.getCall(0).args[0];
+
+        expect((await blob.text()).split('\r\n')).to.have.length(26);
+      } finally {
+        createObjectURLStub.restore();
+        revokeObjectURLStub.restore();
+        clickStub.restore();
+      }
+    });
+
+
+    // helpers //////////
+
+    function createProviderTable(fieldOptions = {}, services = {}) {
+      const tableDataProviderRegistry = new TableDataProviderRegistry();
+
+      tableDataProviderRegistry.register('rows', (request) => getRowsSpy(request));
+
+      return createTable({
+        field: {
+          ...defaultField,
+          columns: MOCK_COLUMNS,
+          dataSource: undefined,
+          dataProvider: {
+            name: 'rows'
+          },
+          rowCount: 10,
+          ...fieldOptions
+        },
+        services: {
+          tableDataProviderRegistry,
+          ...services
+        }
+      });
+    }
+
+    function getBodyCells(container) {
+      return container.querySelectorAll('.fjs-table-body .fjs-table-td');
+    }
+
+  });
+
+
   describe('a11y', function() {
 
     it('should have no violations', async function() {
@@ -445,6 +991,21 @@ describe('Table', function() {
       await expectNoViolations(container);
     });
 
+
+    it('should have no violations for filters', async function() {
+
+      // given
+      this.timeout(10000);
+
+      const { container } = createFilterableTable({
+        searchable: true,
+        downloadable: true
+      });
+
+      // then
+      await expectNoViolations(container);
+    });
+
   });
 
 });
@@ -473,6 +1034,37 @@ const defaultField = {
   type: 'table'
 };
 
+function createFilterableTable(fieldOptions = {}, services = {}) {
+  const DATA = [
+    {
+      id: 1,
+      name: 'foo',
+      date: '2020-01-01'
+    },
+    {
+      id: 2,
+      name: 'bar',
+      date: '2020-01-02'
+    }
+  ];
+
+  return createTable({
+    field: {
+      ...defaultField,
+      columns: MOCK_COLUMNS.map(column => column.key === 'name' ? { ...column, filterable: true } : column),
+      dataSource: '=data',
+      ...fieldOptions
+    },
+    services: {
+      expressionLanguage: {
+        isExpression: () => true,
+        evaluate: () => DATA
+      },
+      ...services
+    }
+  });
+}
+
 function createTable({ services, ...restOptions } = {}) {
 
   const options = {
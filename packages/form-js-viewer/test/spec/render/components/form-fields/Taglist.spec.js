@@ -1,10 +1,12 @@
 import {
   fireEvent,
   render,
-  screen
+  screen,
+  waitFor
 } from '@testing-library/preact/pure';
 
 import { Taglist } from '../../../../../src/render/components/form-fields/Taglist';
+import { OptionsProviderRegistry } from '../../../../../src/core/OptionsProviderRegistry';
 
 import {
   createFormContainer,
@@ -632,6 +634,50 @@ describe('Taglist', function() {
 
       });
 
+
+      it('should search options provider', async function() {
+
+        // given
+        const getOptionsSpy = spy(({ search }) => {
+          return [ 'apple', 'banana', 'cherry' ].filter(value => value.includes(search));
+        });
+
+        const optionsProviderRegistry = new OptionsProviderRegistry();
+
+        optionsProviderRegistry.register('fruits', getOptionsSpy);
+
+        const field = {
+          ...defaultField,
+          values: undefined,
+          valuesProvider: {
+            name: 'fruits'
+          }
+        };
+
+        const { container } = createTaglist({
+          field,
+          services: {
+            optionsProviderRegistry
+          }
+        });
+
+        const filterInput = container.querySelector('.fjs-taglist-input');
+        fireEvent.focus(filterInput);
+
+        await waitFor(() => {
+          expect(getDropdownValues(container)).to.eql([ 'apple', 'banana', 'cherry' ]);
+        });
+
+        // when
+        fireEvent.input(filterInput, { target: { value: 'an' } });
+
+        // then
+        await waitFor(() => {
+          expect(getOptionsSpy).to.have.been.calledWith({ field, parameters: {}, dependency: null, search: 'an' });
+          expect(getDropdownValues(container)).to.eql([ 'banana' ]);
+        });
+      });
+
     });
 
     describe('navigation', function() {
@@ -1051,4 +1097,10 @@ function getTagValues(container) {
   const tags = container.querySelectorAll('.fjs-taglist-tag');
 
   return Array.from(tags).map(tag => tag.textContent);
-}
\ No newline at end of file
+}
+
+function getDropdownValues(container) {
+  const listItems = container.querySelectorAll('.fjs-dropdownlist-item');
+
+  return Array.from(listItems).map(listItem => listItem.textContent);
+}
@@ -289,6 +289,145 @@ describe('Textfield', function() {
 
   });
 
+
+  describe('mask', function() {
+
+    const maskedField = {
+      ...defaultField,
+      appearance: {
+        mask: '(999) 999-9999'
+      }
+    };
+
+    it('should render masked value', function() {
+
+      // when
+      const { container } = createTextfield({
+        field: maskedField,
+        value: '5551234567'
+      });
+
+      // then
+      const input = container.querySelector('input[type="text"]');
+
+      expect(input.value).to.equal('(555) 123-4567');
+      expect(input.placeholder).to.equal('(___) ___-____');
+    });
+
+
+    it('should format while typing', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { container } = createTextfield({
+        field: maskedField,
+        onChange: onChangeSpy
+      });
+
+      const input = container.querySelector('input[type="text"]');
+
+      // when
+      fireEvent.input(input, { target: { value: '555x12' } });
+
+      // then
+      expect(input.value).to.equal('(555) 12');
+
+      expect(onChangeSpy).to.have.been.calledWith({
+        field: maskedField,
+        value: '(555) 12'
+      });
+    });
+
+
+    it('should keep caret position', function() {
+
+      // given
+      const { container } = createTextfield({
+        field: maskedField,
+        value: '(555) 123-4567'
+      });
+
+      const input = container.querySelector('input[type="text"]');
+
+      input.focus();
+
+      // when
+      input.value = '(555) 1923-4567';
+      input.setSelectionRange(8, 8);
+
+      fireEvent.input(input);
+
+      // then
+      expect(input.value).to.equal('(555) 192-3456');
+      expect(input.selectionStart).to.equal(8);
+    });
+
+
+    it('should store unmasked value', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const field = {
+        ...defaultField,
+        appearance: {
+          mask: '(999) 999-9999',
+          storeUnmasked: true
+        }
+      };
+
+      const { container } = createTextfield({
+        field,
+        onChange: onChangeSpy
+      });
+
+      const input = container.querySelector('input[type="text"]');
+
+      // when
+      fireEvent.input(input, { target: { value: '5551234567' } });
+
+      // then
+      expect(input.value).to.equal('(555) 123-4567');
+
+      expect(onChangeSpy).to.have.been.calledWith({
+        field,
+        value: '5551234567'
+      });
+    });
+
+
+    it('should transform to uppercase', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const field = {
+        ...defaultField,
+        appearance: {
+          mask: 'AA99 9999'
+        }
+      };
+
+      const { container } = createTextfield({
+        field,
+        onChange: onChangeSpy
+      });
+
+      const input = container.querySelector('input[type="text"]');
+
+      // when
+      fireEvent.input(input, { target: { value: 'de891234' } });
+
+      // then
+      expect(onChangeSpy).to.have.been.calledWith({
+        field,
+        value: 'DE89 1234'
+      });
+    });
+
+  });
+
   describe('#sanitizeValue', function() {
 
     it('should convert boolean', function() {
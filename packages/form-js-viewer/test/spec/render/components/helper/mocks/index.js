@@ -28,6 +28,14 @@ function _createMockModule(services, options) {
     debounce: [ 'value', services.debounce || (fn => fn) ],
     config: [ 'value', services.config || VIEWER_CONFIG ],
 
+    // optional services
+    ...(services.pageManager ? { pageManager: [ 'value', services.pageManager ] } : {}),
+    ...(services.translator ? { translator: [ 'value', services.translator ] } : {}),
+    ...(services.optionsProviderRegistry ? { optionsProviderRegistry: [ 'value', services.optionsProviderRegistry ] } : {}),
+    ...(services.tableDataProviderRegistry ? { tableDataProviderRegistry: [ 'value', services.tableDataProviderRegistry ] } : {}),
+    ...(services.fileUploader ? { fileUploader: [ 'value', services.fileUploader ] } : {}),
+    ...(services.validator ? { validator: [ 'value', services.validator ] } : {}),
+
     // using actual implementations in testing
     formFields: services.formFields ? [ 'value', services.formFields ] : [ 'type', FormFields ],
     templating: services.templating ? [ 'value', services.templating ] : [ 'type', FeelersTemplating ],
@@ -75,6 +83,12 @@ export class FormMock {
   _getInitializedFieldData() {
     return this.newFieldData;
   }
+
+  _setTouched() {}
+
+  _isValidationTriggered() {
+    return true;
+  }
 }
 
 export class FormLayouterMock {
@@ -150,6 +164,29 @@ export class ExpressionLanguageMock {
   evaluate() {}
 }
 
+export class PageManagerMock {
+  constructor(options) {
+    const {
+      pages = [],
+      currentPage = pages[0]
+    } = options;
+
+    this.pages = pages;
+    this.currentPage = currentPage;
+  }
+
+  getPages() {
+    return this.pages;
+  }
+
+  getCurrentPage() {
+    return this.currentPage || null;
+  }
+
+  next() {}
+  previous() {}
+}
+
 export class ViewerCommandsMock {
   updateFieldValidation() {}
 }
\ No newline at end of file
@@ -0,0 +1,219 @@
+import {
+  getAddressLayout,
+  getAddressPartLabel,
+  getAddressParts,
+  getCountryOptions,
+  isAddressPartEmpty,
+  sanitizeAddressValue
+} from '../../../../../src/render/components/util/addressUtil.js';
+
+
+describe('addressUtil', function() {
+
+  describe('#getAddressParts', function() {
+
+    it('should return all parts by default', function() {
+
+      // then
+      expect(getAddressParts({})).to.eql([ 'street', 'number', 'zip', 'city', 'country' ]);
+    });
+
+
+    it('should return configured parts in order', function() {
+
+      // then
+      expect(getAddressParts({ parts: [ 'country', 'street' ] })).to.eql([ 'street', 'country' ]);
+    });
+
+
+    it('should ignore unknown parts', function() {
+
+      // then
+      expect(getAddressParts({ parts: [ 'city', 'foo' ] })).to.eql([ 'city' ]);
+    });
+
+  });
+
+
+  describe('#getAddressPartLabel', function() {
+
+    it('should return default label', function() {
+
+      // then
+      expect(getAddressPartLabel({}, 'zip')).to.equal('ZIP code');
+    });
+
+
+    it('should return configured label', function() {
+
+      // then
+      expect(getAddressPartLabel({ partLabels: { zip: 'Postcode' } }, 'zip')).to.equal('Postcode');
+    });
+
+  });
+
+
+  describe('#getAddressLayout', function() {
+
+    const parts = [ 'street', 'number', 'zip', 'city', 'country' ];
+
+    it('should arrange parts for region', function() {
+
+      // then
+      expect(getAddressLayout(parts, 'de-DE')).to.eql([
+        [ 'street', 'number' ],
+        [ 'zip', 'city' ],
+        [ 'country' ]
+      ]);
+
+      expect(getAddressLayout(parts, 'en-GB')).to.eql([
+        [ 'number', 'street' ],
+        [ 'city', 'zip' ],
+        [ 'country' ]
+      ]);
+
+      expect(getAddressLayout(parts, 'fr-FR')).to.eql([
+        [ 'number', 'street' ],
+        [ 'zip', 'city' ],
+        [ 'country' ]
+      ]);
+    });
+
+
+    it('should arrange parts for language', function() {
+
+      // then
+      expect(getAddressLayout(parts, 'en')).to.eql([
+        [ 'number', 'street' ],
+        [ 'city', 'zip' ],
+        [ 'country' ]
+      ]);
+
+      expect(getAddressLayout(parts, 'de')).to.eql([
+        [ 'street', 'number' ],
+        [ 'zip', 'city' ],
+        [ 'country' ]
+      ]);
+    });
+
+
+    it('should arrange parts without locale', function() {
+
+      // then
+      expect(getAddressLayout(parts)).to.eql([
+        [ 'number', 'street' ],
+        [ 'city', 'zip' ],
+        [ 'country' ]
+      ]);
+    });
+
+
+    it('should omit missing parts', function() {
+
+      // then
+      expect(getAddressLayout([ 'street', 'city' ], 'de-DE')).to.eql([
+        [ 'street' ],
+        [ 'city' ]
+      ]);
+    });
+
+  });
+
+
+  describe('#getCountryOptions', function() {
+
+    it('should label countries in language of locale', function() {
+
+      // then
+      expect(getCountryOptions('de', [ 'DE', 'AT', 'CH' ])).to.eql([
+        { value: 'DE', label: 'Deutschland' },
+        { value: 'AT', label: 'Österreich' },
+        { value: 'CH', label: 'Schweiz' }
+      ]);
+    });
+
+
+    it('should fall back to English for invalid locale', function() {
+
+      // then
+      expect(getCountryOptions('not a locale', [ 'DE' ])).to.eql([
+        { value: 'DE', label: 'Germany' }
+      ]);
+    });
+
+
+    it('should return all countries by default', function() {
+
+      // when
+      const options = getCountryOptions('en');
+
+      // then
+      expect(options.length).to.be.above(200);
+      expect(options.find(option => option.value === 'JP')).to.eql({ value: 'JP', label: 'Japan' });
+    });
+
+  });
+
+
+  describe('#isAddressPartEmpty', function() {
+
+    it('should check part', function() {
+
+      // then
+      expect(isAddressPartEmpty({ city: 'Berlin' }, 'city')).to.be.false;
+      expect(isAddressPartEmpty({ city: '  ' }, 'city')).to.be.true;
+      expect(isAddressPartEmpty({}, 'city')).to.be.true;
+      expect(isAddressPartEmpty(null, 'city')).to.be.true;
+    });
+
+  });
+
+
+  describe('#sanitizeAddressValue', function() {
+
+    it('should keep configured parts as strings', function() {
+
+      // when
+      const value = sanitizeAddressValue({
+        formField: { parts: [ 'street', 'number' ] },
+        value: { street: 'Main Street', number: 42, city: 'Berlin' }
+      });
+
+      // then
+      expect(value).to.eql({
+        street: 'Main Street',
+        number: '42'
+      });
+    });
+
+
+    it('should default missing parts', function() {
+
+      // when
+      const value = sanitizeAddressValue({
+        formField: {},
+        value: { city: 'Berlin', zip: { foo: 'bar' } }
+      });
+
+      // then
+      expect(value).to.eql({
+        street: '',
+        number: '',
+        zip: '',
+        city: 'Berlin',
+        country: ''
+      });
+    });
+
+
+    it('should return null if empty', function() {
+
+      // then
+      expect(sanitizeAddressValue({ formField: {}, value: { city: ' ' } })).to.be.null;
+      expect(sanitizeAddressValue({ formField: {}, value: 'Berlin' })).to.be.null;
+      expect(sanitizeAddressValue({ formField: {}, value: [] })).to.be.null;
+    });
+
+  });
+
+});
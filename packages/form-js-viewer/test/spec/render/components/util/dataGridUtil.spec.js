@@ -0,0 +1,141 @@
+import { getNavigationTarget, moveItem } from '../../../../../src/render/components/util/dataGridUtil.js';
+
+
+describe('dataGridUtil', function() {
+
+  describe('#moveItem', function() {
+
+    it('should move item forward', function() {
+
+      // then
+      expect(moveItem([ 'a', 'b', 'c' ], 0, 2)).to.eql([ 'b', 'c', 'a' ]);
+    });
+
+
+    it('should move item backward', function() {
+
+      // then
+      expect(moveItem([ 'a', 'b', 'c' ], 2, 1)).to.eql([ 'a', 'c', 'b' ]);
+    });
+
+
+    it('should NOT modify list', function() {
+
+      // given
+      const items = [ 'a', 'b' ];
+
+      // when
+      moveItem(items, 0, 1);
+
+      // then
+      expect(items).to.eql([ 'a', 'b' ]);
+    });
+
+  });
+
+
+  describe('#getNavigationTarget', function() {
+
+    let input;
+
+    beforeEach(function() {
+      input = document.createElement('input');
+      input.className = 'fjs-input';
+      input.value = 'foo';
+
+      document.body.appendChild(input);
+    });
+
+    afterEach(function() {
+      input.remove();
+    });
+
+    const cell = { row: 1, column: 1 };
+
+
+    it('should navigate vertically', function() {
+
+      // then
+      expect(getNavigationTarget(createEvent('ArrowUp'), cell)).to.eql({ row: 0, column: 1 });
+      expect(getNavigationTarget(createEvent('ArrowDown'), cell)).to.eql({ row: 2, column: 1 });
+    });
+
+
+    it('should navigate horizontally at caret edge', function() {
+
+      // when
+      input.setSelectionRange(0, 0);
+
+      // then
+      expect(getNavigationTarget(createEvent('ArrowLeft'), cell)).to.eql({ row: 1, column: 0 });
+      expect(getNavigationTarget(createEvent('ArrowRight'), cell)).to.be.null;
+
+      // but when
+      input.setSelectionRange(3, 3);
+
+      // then
+      expect(getNavigationTarget(createEvent('ArrowRight'), cell)).to.eql({ row: 1, column: 2 });
+      expect(getNavigationTarget(createEvent('ArrowLeft'), cell)).to.be.null;
+    });
+
+
+    it('should NOT navigate horizontally with selection', function() {
+
+      // when
+      input.setSelectionRange(0, 3);
+
+      // then
+      expect(getNavigationTarget(createEvent('ArrowLeft'), cell)).to.be.null;
+      expect(getNavigationTarget(createEvent('ArrowRight'), cell)).to.be.null;
+    });
+
+
+    it('should navigate horizontally from checkbox', function() {
+
+      // when
+      input.type = 'checkbox';
+
+      // then
+      expect(getNavigationTarget(createEvent('ArrowRight'), cell)).to.eql({ row: 1, column: 2 });
+    });
+
+
+    it('should NOT navigate with modifier', function() {
+
+      // then
+      expect(getNavigationTarget(createEvent('ArrowDown', { shiftKey: true }), cell)).to.be.null;
+      expect(getNavigationTarget(createEvent('ArrowDown', { ctrlKey: true }), cell)).to.be.null;
+    });
+
+
+    it('should NOT navigate on other keys', function() {
+
+      // then
+      expect(getNavigationTarget(createEvent('Enter'), cell)).to.be.null;
+    });
+
+
+    it('should NOT navigate from other elements', function() {
+
+      // given
+      const select = document.createElement('select');
+
+      // then
+      expect(getNavigationTarget(createEvent('ArrowDown', { target: select }), cell)).to.be.null;
+    });
+
+
+    // helpers //////////
+
+    function createEvent(key, options = {}) {
+      return {
+        key,
+        target: input,
+        defaultPrevented: false,
+        ...options
+      };
+    }
+
+  });
+
+});
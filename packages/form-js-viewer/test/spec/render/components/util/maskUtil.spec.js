@@ -0,0 +1,143 @@
+import {
+  applyMask,
+  getMaskedCaretPosition,
+  getMaskPlaceholder,
+  isMaskComplete,
+  unmask
+} from '../../../../../src/render/components/util/maskUtil.js';
+
+
+describe('maskUtil', function() {
+
+  const PHONE_MASK = '(999) 999-9999';
+
+
+  describe('#applyMask', function() {
+
+    it('should insert literals', function() {
+
+      // then
+      expect(applyMask(PHONE_MASK, '5551234567')).to.equal('(555) 123-4567');
+      expect(applyMask(PHONE_MASK, '5551234')).to.equal('(555) 123-4');
+    });
+
+
+    it('should keep masked value', function() {
+
+      // then
+      expect(applyMask(PHONE_MASK, '(555) 123-4567')).to.equal('(555) 123-4567');
+    });
+
+
+    it('should drop characters not fitting the mask', function() {
+
+      // then
+      expect(applyMask(PHONE_MASK, '555a123 4567')).to.equal('(555) 123-4567');
+      expect(applyMask(PHONE_MASK, '555123456789')).to.equal('(555) 123-4567');
+    });
+
+
+    it('should not end with literals', function() {
+
+      // then
+      expect(applyMask('999-999', '123')).to.equal('123');
+      expect(applyMask('999-999', '123x')).to.equal('123');
+    });
+
+
+    it('should keep typed literal', function() {
+
+      // then
+      expect(applyMask('999-999', '123-')).to.equal('123-');
+    });
+
+
+    it('should handle letters', function() {
+
+      // then
+      expect(applyMask('aa-**', 'ab1c2')).to.equal('ab-1c');
+      expect(applyMask('AA99 9999', 'de891234')).to.equal('DE89 1234');
+    });
+
+
+    it('should handle escaped tokens', function() {
+
+      // then
+      expect(applyMask('+4\\9 999', '123')).to.equal('+49 123');
+    });
+
+
+    it('should handle empty value', function() {
+
+      // then
+      expect(applyMask(PHONE_MASK, '')).to.equal('');
+      expect(applyMask(PHONE_MASK, null)).to.equal('');
+    });
+
+  });
+
+
+  describe('#unmask', function() {
+
+    it('should strip literals', function() {
+
+      // then
+      expect(unmask(PHONE_MASK, '(555) 123-4567')).to.equal('5551234567');
+      expect(unmask('+4\\9 999', '+49 123')).to.equal('123');
+    });
+
+  });
+
+
+  describe('#isMaskComplete', function() {
+
+    it('should accept complete value', function() {
+
+      // then
+      expect(isMaskComplete(PHONE_MASK, '(555) 123-4567')).to.be.true;
+      expect(isMaskComplete(PHONE_MASK, '5551234567')).to.be.true;
+    });
+
+
+    it('should reject incomplete value', function() {
+
+      // then
+      expect(isMaskComplete(PHONE_MASK, '(555) 123-456')).to.be.false;
+    });
+
+
+    it('should reject value not matching the mask', function() {
+
+      // then
+      expect(isMaskComplete(PHONE_MASK, '(555) 123-45678')).to.be.false;
+      expect(isMaskComplete(PHONE_MASK, '555-123-4567')).to.be.false;
+      expect(isMaskComplete('AA99', 'de89')).to.be.false;
+    });
+
+  });
+
+
+  describe('#getMaskPlaceholder', function() {
+
+    it('should replace tokens', function() {
+
+      // then
+      expect(getMaskPlaceholder(PHONE_MASK)).to.equal('(___) ___-____');
+      expect(getMaskPlaceholder('+4\\9 999')).to.equal('+49 ___');
+    });
+
+  });
+
+
+  describe('#getMaskedCaretPosition', function() {
+
+    it('should keep caret behind entered characters', function() {
+
+      // then
+      expect(getMaskedCaretPosition(PHONE_MASK, '5551', 4)).to.equal(7);
+      expect(getMaskedCaretPosition(PHONE_MASK, '(555) 1923-4567', 8)).to.equal(8);
+    });
+
+  });
+
+});
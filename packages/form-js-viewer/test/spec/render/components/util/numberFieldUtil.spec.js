@@ -0,0 +1,85 @@
+import {
+  formatNumberValue,
+  getDecimalSeparator
+} from '../../../../../src/render/components/util/numberFieldUtil.js';
+
+
+describe('numberFieldUtil', function() {
+
+  describe('#formatNumberValue', function() {
+
+    it('should format decimal', function() {
+
+      // then
+      expect(formatNumberValue(1234.5678, { numberFormat: 'decimal' }, 'de-DE')).to.equal('1.234,5678');
+      expect(formatNumberValue('1234.5678', { numberFormat: 'decimal' }, 'en-US')).to.equal('1,234.5678');
+    });
+
+
+    it('should keep precision of string value', function() {
+
+      // then
+      expect(formatNumberValue('12345678901234567.89', { numberFormat: 'decimal' }, 'en-US')).to.equal('12,345,678,901,234,567.89');
+      expect(formatNumberValue('0.12345678901234567', { numberFormat: 'percent' }, 'en-US')).to.equal('0.12345678901234567%');
+      expect(formatNumberValue('12345678901234567.89', { numberFormat: 'currency', currency: 'USD' }, 'en-US')).to.equal('$12,345,678,901,234,567.89');
+    });
+
+
+    it('should format non-decimal number', function() {
+
+      // then
+      expect(formatNumberValue('Infinity', { numberFormat: 'decimal' }, 'en-US')).to.equal('∞');
+    });
+
+
+    it('should format currency', function() {
+
+      // then
+      expect(formatNumberValue(1234.5, { numberFormat: 'currency', currency: 'EUR' }, 'de-DE')).to.equal('1.234,50\u00a0€');
+      expect(formatNumberValue(1234.5, { numberFormat: 'currency', currency: 'USD' }, 'en-US')).to.equal('$1,234.50');
+    });
+
+
+    it('should format currency with fewer decimal digits', function() {
+
+      // then
+      expect(formatNumberValue(1234, { numberFormat: 'currency', decimalDigits: 0 }, 'en-US')).to.equal('€1,234');
+    });
+
+
+    it('should format percent', function() {
+
+      // then
+      expect(formatNumberValue(15.5, { numberFormat: 'percent' }, 'de-DE')).to.equal('15,5\u00a0%');
+      expect(formatNumberValue(15, { numberFormat: 'percent' }, 'en-US')).to.equal('15%');
+    });
+
+
+    it('should fall back to decimal for invalid currency', function() {
+
+      // then
+      expect(formatNumberValue(12, { numberFormat: 'currency', currency: 'FOO1' }, 'en-US')).to.equal('12');
+    });
+
+
+    it('should not format invalid number', function() {
+
+      // then
+      expect(formatNumberValue('NaN', { numberFormat: 'decimal' }, 'en-US')).to.equal('NaN');
+    });
+
+  });
+
+
+  describe('#getDecimalSeparator', function() {
+
+    it('should get separator of locale', function() {
+
+      // then
+      expect(getDecimalSeparator('de-DE')).to.equal(',');
+      expect(getDecimalSeparator('en-US')).to.equal('.');
+    });
+
+  });
+
+});
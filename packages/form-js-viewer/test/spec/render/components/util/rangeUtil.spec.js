@@ -0,0 +1,53 @@
+import { getRangeBounds } from '../../../../../src/render/components/util/rangeUtil.js';
+
+
+describe('rangeUtil', function() {
+
+  describe('#getRangeBounds', function() {
+
+    it('should use defaults', function() {
+
+      // when
+      const { min, max } = getRangeBounds({});
+
+      // then
+      expect(min.toFixed()).to.equal('0');
+      expect(max.toFixed()).to.equal('100');
+    });
+
+
+    it('should use configured bounds', function() {
+
+      // when
+      const { min, max } = getRangeBounds({ min: '-0.5', max: 2.5 });
+
+      // then
+      expect(min.toFixed()).to.equal('-0.5');
+      expect(max.toFixed()).to.equal('2.5');
+    });
+
+
+    it('should ignore invalid bounds', function() {
+
+      // when
+      const { min, max } = getRangeBounds({ min: 'foo', max: null });
+
+      // then
+      expect(min.toFixed()).to.equal('0');
+      expect(max.toFixed()).to.equal('100');
+    });
+
+
+    it('should not exceed max with min', function() {
+
+      // when
+      const { min, max } = getRangeBounds({ min: 200 });
+
+      // then
+      expect(min.toFixed()).to.equal('200');
+      expect(max.toFixed()).to.equal('200');
+    });
+
+  });
+
+});
@@ -0,0 +1,41 @@
+import { getRatingMax } from '../../../../../src/render/components/util/ratingUtil.js';
+
+
+describe('ratingUtil', function() {
+
+  describe('#getRatingMax', function() {
+
+    it('should use default', function() {
+
+      // then
+      expect(getRatingMax()).to.equal(5);
+      expect(getRatingMax('foo')).to.equal(5);
+    });
+
+
+    it('should use configured max', function() {
+
+      // then
+      expect(getRatingMax(3)).to.equal(3);
+      expect(getRatingMax('7')).to.equal(7);
+    });
+
+
+    it('should round down', function() {
+
+      // then
+      expect(getRatingMax(3.8)).to.equal(3);
+    });
+
+
+    it('should clamp', function() {
+
+      // then
+      expect(getRatingMax(0)).to.equal(1);
+      expect(getRatingMax(-3)).to.equal(1);
+      expect(getRatingMax(25)).to.equal(10);
+    });
+
+  });
+
+});
@@ -0,0 +1,153 @@
+import {
+  getRichTextVisibleText,
+  htmlToRichText,
+  richTextToHtml,
+  sanitizeRichTextHtml
+} from '../../../../../src/render/components/util/richTextUtil.js';
+
+import { MarkdownRenderer } from '../../../../../src/features/markdown/MarkdownRenderer.js';
+
+
+describe('richTextUtil', function() {
+
+  const markdownRenderer = new MarkdownRenderer();
+
+
+  describe('#sanitizeRichTextHtml', function() {
+
+    it('should keep allowed formatting', function() {
+
+      // given
+      const html = '<p><strong>Hello</strong> <em>world</em></p><ul><li>foo</li></ul>';
+
+      // when
+      const safeHtml = sanitizeRichTextHtml(html);
+
+      // then
+      expect(safeHtml).to.equal(html);
+    });
+
+
+    it('should normalize browser formatting', function() {
+
+      // when
+      const safeHtml = sanitizeRichTextHtml('<div><b>Hello</b> <i>world</i></div><div><u>foo</u><br></div>');
+
+      // then
+      expect(safeHtml).to.equal('<p><strong>Hello</strong> <em>world</em></p><p>foo</p>');
+    });
+
+
+    it('should remove unsafe content', function() {
+
+      // when
+      const safeHtml = sanitizeRichTextHtml('<p onclick="alert(1)">Hello<script>alert(2)</script></p><a href="javascript:alert(3)">foo</a>');
+
+      // then
+      expect(safeHtml).to.equal('<p>Hello</p><a>foo</a>');
+    });
+
+  });
+
+
+  describe('#htmlToRichText', function() {
+
+    it('should serialize to markdown', function() {
+
+      // when
+      const value = htmlToRichText('<p><b>Hello</b> <i>world</i></p>', 'markdown', markdownRenderer);
+
+      // then
+      expect(value).to.equal('**Hello** *world*');
+    });
+
+
+    it('should serialize lists to markdown', function() {
+
+      // when
+      const value = htmlToRichText('<ul><li>foo</li><li>bar</li></ul>', 'markdown', markdownRenderer);
+
+      // then
+      expect(value).to.equal('- foo\n- bar');
+    });
+
+
+    it('should serialize links to markdown', function() {
+
+      // when
+      const value = htmlToRichText('<p><a href="https://bpmn.io">bpmn.io</a></p>', 'markdown', markdownRenderer);
+
+      // then
+      expect(value).to.equal('[bpmn.io](<https://bpmn.io>)');
+    });
+
+
+    it('should serialize to HTML', function() {
+
+      // when
+      const value = htmlToRichText('<div><b>Hello</b><img src="x" onerror="alert(1)"></div>', 'html', markdownRenderer);
+
+      // then
+      expect(value).to.equal('<p><strong>Hello</strong><img src="x"></p>');
+    });
+
+
+    it('should serialize empty content', function() {
+
+      // then
+      expect(htmlToRichText('<p><br></p>', 'markdown', markdownRenderer)).to.equal('');
+      expect(htmlToRichText('<p> </p>', 'html', markdownRenderer)).to.equal('');
+    });
+
+  });
+
+
+  describe('#richTextToHtml', function() {
+
+    it('should render markdown', function() {
+
+      // when
+      const html = richTextToHtml('**Hello** *world*', 'markdown', markdownRenderer);
+
+      // then
+      expect(html).to.equal('<p><strong>Hello</strong> <em>world</em></p>');
+    });
+
+
+    it('should sanitize HTML', function() {
+
+      // when
+      const html = richTextToHtml('<p>Hello<script>alert(1)</script></p>', 'html', markdownRenderer);
+
+      // then
+      expect(html).to.equal('<p>Hello</p>');
+    });
+
+  });
+
+
+  describe('#getRichTextVisibleText', function() {
+
+    it('should get text of markdown', function() {
+
+      // then
+      expect(getRichTextVisibleText('**Hello** [world](https://bpmn.io)', 'markdown', markdownRenderer)).to.equal('Hello world');
+    });
+
+
+    it('should get text of HTML', function() {
+
+      // then
+      expect(getRichTextVisibleText('<p><strong>Hello</strong> world</p>', 'html')).to.equal('Hello world');
+    });
+
+
+    it('should fall back to markdown source', function() {
+
+      // then
+      expect(getRichTextVisibleText('**Hello**', 'markdown')).to.equal('**Hello**');
+    });
+
+  });
+
+});
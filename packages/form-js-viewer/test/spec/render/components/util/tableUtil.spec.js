@@ -0,0 +1,167 @@
+import {
+  filterRows,
+  formatCellValue,
+  toCSV
+} from '../../../../../src/render/components/util/tableUtil.js';
+
+
+describe('tableUtil', function() {
+
+  describe('#formatCellValue', function() {
+
+    it('should format empty values', function() {
+
+      // then
+      expect(formatCellValue(null)).to.equal('');
+      expect(formatCellValue(undefined, { format: 'number' })).to.equal('');
+      expect(formatCellValue('', { format: 'date' })).to.equal('');
+    });
+
+
+    it('should format unformatted values', function() {
+
+      // then
+      expect(formatCellValue(1)).to.equal('1');
+      expect(formatCellValue('foo')).to.equal('foo');
+      expect(formatCellValue({ foo: 'bar' })).to.equal('{"foo":"bar"}');
+    });
+
+
+    it('should format date', function() {
+
+      // then
+      expect(formatCellValue('2023-01-31', { format: 'date' }, 'en-US')).to.equal('1/31/2023');
+      expect(formatCellValue('2023-01-31', { format: 'date' }, 'de')).to.equal('31.1.2023');
+      expect(formatCellValue('foo', { format: 'date' }, 'en-US')).to.equal('foo');
+    });
+
+
+    it('should format number', function() {
+
+      // then
+      expect(formatCellValue(1234.5, { format: 'number' }, 'en-US')).to.equal('1,234.5');
+      expect(formatCellValue('1234.5', { format: 'number' }, 'de')).to.equal('1.234,5');
+      expect(formatCellValue('foo', { format: 'number' }, 'en-US')).to.equal('foo');
+    });
+
+
+    it('should format currency', function() {
+
+      // then
+      expect(formatCellValue(12, { format: 'currency', currency: 'USD' }, 'en-US')).to.equal('$12.00');
+      expect(formatCellValue(-3, { format: 'currency' }, 'en-US')).to.equal('-€3.00');
+    });
+
+
+    it('should format currency with invalid code as number', function() {
+
+      // then
+      expect(formatCellValue(1234, { format: 'currency', currency: 'EURO' }, 'en-US')).to.equal('1,234');
+    });
+
+
+    it('should format boolean', function() {
+
+      // then
+      expect(formatCellValue(true, { format: 'boolean' })).to.equal('Yes');
+      expect(formatCellValue('false', { format: 'boolean' })).to.equal('No');
+      expect(formatCellValue('maybe', { format: 'boolean' })).to.equal('maybe');
+    });
+
+  });
+
+
+  describe('#filterRows', function() {
+
+    const columns = [
+      { key: 'name' },
+      { key: 'paid', format: 'boolean' }
+    ];
+
+    const rows = [
+      { name: 'Foo', paid: true },
+      { name: 'Bar', paid: false },
+      { name: 'Baz', paid: true }
+    ];
+
+
+    it('should keep rows without filters', function() {
+
+      // then
+      expect(filterRows(rows, columns)).to.equal(rows);
+      expect(filterRows(rows, columns, { filters: { name: ' ' } })).to.equal(rows);
+    });
+
+
+    it('should filter by column', function() {
+
+      // then
+      expect(filterRows(rows, columns, { filters: { name: 'ba' } })).to.eql([ rows[1], rows[2] ]);
+    });
+
+
+    it('should filter by formatted value', function() {
+
+      // then
+      expect(filterRows(rows, columns, { filters: { paid: 'yes' } })).to.eql([ rows[0], rows[2] ]);
+    });
+
+
+    it('should combine filters and search', function() {
+
+      // then
+      expect(filterRows(rows, columns, { filters: { name: 'ba' }, search: 'YES' })).to.eql([ rows[2] ]);
+    });
+
+  });
+
+
+  describe('#toCSV', function() {
+
+    it('should serialize rows', function() {
+
+      // given
+      const columns = [
+        { key: 'name', label: 'Name' },
+        { key: 'amount', label: 'Amount, EUR', format: 'number' }
+      ];
+
+      const rows = [
+        { name: 'Foo "Bar"', amount: 1234 },
+        { name: 'Baz' }
+      ];
+
+      // then
+      expect(toCSV(rows, columns, 'en-US')).to.equal(
+        'Name,"Amount, EUR"\r\n' +
+        '"Foo ""Bar""","1,234"\r\n' +
+        'Baz,'
+      );
+    });
+
+
+    it('should escape formulas', function() {
+
+      // given
+      const columns = [
+        { key: 'value', label: 'Value' }
+      ];
+
+      const rows = [
+        { value: '=SUM(A1:A2)' },
+        { value: '@foo' },
+        { value: -5 }
+      ];
+
+      // then
+      expect(toCSV(rows, columns)).to.equal(
+        'Value\r\n' +
+        '\'=SUM(A1:A2)\r\n' +
+        '\'@foo\r\n' +
+        '-5'
+      );
+    });
+
+  });
+
+});
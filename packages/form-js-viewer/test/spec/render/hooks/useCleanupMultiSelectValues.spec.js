@@ -3,6 +3,7 @@ import {
 } from '@testing-library/preact/pure';
 
 import { useCleanupMultiSelectValue } from '../../../../src/render/hooks/useCleanupMultiSelectValue';
+import { LocalExpressionContext } from '../../../../src/render/context/LocalExpressionContext';
 
 const spy = sinon.spy;
 let root;
@@ -98,6 +99,85 @@ describe('useCleanupMultiSelectValue', function() {
 
   });
 
+
+  describe('dependency', function() {
+
+    it('should fire onChange when the dependency changes', function() {
+
+      // given
+      const onChangeSpy = spy();
+      const values = [ 'camunda-platform' ];
+
+      const { rerender } = render(
+        <DependentTestComponent onChangeSpy={ onChangeSpy } dependency="camunda" values={ values } />, {
+          container: root
+        });
+
+      // when
+      rerender(
+        <DependentTestComponent onChangeSpy={ onChangeSpy } dependency="bpmn-io" values={ values } />, {
+          container: root
+        }
+      );
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnce;
+      expect(onChangeSpy).to.have.been.calledWith({
+        field: dependentField,
+        value: []
+      });
+
+    });
+
+
+    it('should not fire onChange when the dependency stays the same', function() {
+
+      // given
+      const onChangeSpy = spy();
+      const values = [ 'camunda-platform' ];
+
+      const { rerender } = render(
+        <DependentTestComponent onChangeSpy={ onChangeSpy } dependency="camunda" values={ values } />, {
+          container: root
+        });
+
+      // when
+      rerender(
+        <DependentTestComponent onChangeSpy={ onChangeSpy } dependency="camunda" values={ values } />, {
+          container: root
+        }
+      );
+
+      // then
+      expect(onChangeSpy).to.not.have.been.called;
+
+    });
+
+
+    it('should not fire onChange when the value changes alongside the dependency', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { rerender } = render(
+        <DependentTestComponent onChangeSpy={ onChangeSpy } dependency="camunda" values={ [ 'camunda-platform' ] } />, {
+          container: root
+        });
+
+      // when
+      rerender(
+        <DependentTestComponent onChangeSpy={ onChangeSpy } dependency="bpmn-io" values={ [ 'camunda-cloud' ] } />, {
+          container: root
+        }
+      );
+
+      // then
+      expect(onChangeSpy).to.not.have.been.called;
+
+    });
+
+  });
+
 });
 
 const baseOptions = [
@@ -109,11 +189,11 @@ const noPlatformOptions = [
   { value: 'camunda-cloud', label: 'Camunda Cloud' }
 ];
 
-function TestComponent({ onChangeSpy, options, values }) {
+function TestComponent({ field = 'foo', loadState = 'loaded', onChangeSpy, options, values }) {
 
   useCleanupMultiSelectValue({
-    field: 'foo',
-    loadState: 'loaded',
+    field,
+    loadState,
     onChange: onChangeSpy,
     options,
     values
@@ -121,3 +201,25 @@ function TestComponent({ onChangeSpy, options, values }) {
 
   return <></>;
 }
+
+const dependentField = {
+  id: 'product',
+  key: 'product',
+  valuesDependsOn: 'vendor'
+};
+
+function DependentTestComponent({ onChangeSpy, dependency, values }) {
+
+  const context = {
+    data: { vendor: dependency },
+    this: { vendor: dependency },
+    parent: null,
+    i: []
+  };
+
+  return (
+    <LocalExpressionContext.Provider value={ context }>
+      <TestComponent field={ dependentField } loadState="loading" onChangeSpy={ onChangeSpy } options={ baseOptions } values={ values } />
+    </LocalExpressionContext.Provider>
+  );
+}
@@ -3,6 +3,7 @@ import {
 } from '@testing-library/preact/pure';
 
 import { useCleanupSingleSelectValue } from '../../../../src/render/hooks/useCleanupSingleSelectValue';
+import { LocalExpressionContext } from '../../../../src/render/context/LocalExpressionContext';
 
 const spy = sinon.spy;
 let root;
@@ -98,6 +99,85 @@ describe('useCleanupSingleSelectValue', function() {
 
   });
 
+
+  describe('dependency', function() {
+
+    it('should fire onChange when the dependency changes', function() {
+
+      // given
+      const onChangeSpy = spy();
+      const value = 'camunda-platform';
+
+      const { rerender } = render(
+        <DependentTestComponent onChangeSpy={ onChangeSpy } dependency="camunda" value={ value } />, {
+          container: root
+        });
+
+      // when
+      rerender(
+        <DependentTestComponent onChangeSpy={ onChangeSpy } dependency="bpmn-io" value={ value } />, {
+          container: root
+        }
+      );
+
+      // then
+      expect(onChangeSpy).to.have.been.calledOnce;
+      expect(onChangeSpy).to.have.been.calledWith({
+        field: dependentField,
+        value: null
+      });
+
+    });
+
+
+    it('should not fire onChange when the dependency stays the same', function() {
+
+      // given
+      const onChangeSpy = spy();
+      const value = 'camunda-platform';
+
+      const { rerender } = render(
+        <DependentTestComponent onChangeSpy={ onChangeSpy } dependency="camunda" value={ value } />, {
+          container: root
+        });
+
+      // when
+      rerender(
+        <DependentTestComponent onChangeSpy={ onChangeSpy } dependency="camunda" value={ value } />, {
+          container: root
+        }
+      );
+
+      // then
+      expect(onChangeSpy).to.not.have.been.called;
+
+    });
+
+
+    it('should not fire onChange when the value changes alongside the dependency', function() {
+
+      // given
+      const onChangeSpy = spy();
+
+      const { rerender } = render(
+        <DependentTestComponent onChangeSpy={ onChangeSpy } dependency="camunda" value={ 'camunda-platform' } />, {
+          container: root
+        });
+
+      // when
+      rerender(
+        <DependentTestComponent onChangeSpy={ onChangeSpy } dependency="bpmn-io" value={ 'camunda-cloud' } />, {
+          container: root
+        }
+      );
+
+      // then
+      expect(onChangeSpy).to.not.have.been.called;
+
+    });
+
+  });
+
 });
 
 const baseOptions = [
@@ -109,15 +189,37 @@ const noPlatformOptions = [
   { value: 'camunda-cloud', label: 'Camunda Cloud' }
 ];
 
-function TestComponent({ onChangeSpy, options, value }) {
+function TestComponent({ field = 'foo', loadState = 'loaded', onChangeSpy, options, value }) {
 
   useCleanupSingleSelectValue({
-    field: 'foo',
-    loadState: 'loaded',
+    field,
+    loadState,
     onChange: onChangeSpy,
     options,
     value
   });
 
   return <></>;
-}
\ No newline at end of file
+}
+
+const dependentField = {
+  id: 'product',
+  key: 'product',
+  valuesDependsOn: 'vendor'
+};
+
+function DependentTestComponent({ onChangeSpy, dependency, value }) {
+
+  const context = {
+    data: { vendor: dependency },
+    this: { vendor: dependency },
+    parent: null,
+    i: []
+  };
+
+  return (
+    <LocalExpressionContext.Provider value={ context }>
+      <TestComponent field={ dependentField } loadState="loading" onChangeSpy={ onChangeSpy } options={ baseOptions } value={ value } />
+    </LocalExpressionContext.Provider>
+  );
+}
@@ -18,6 +18,7 @@ import complexConditionExpressionSchema from '../complex-conditions.json';
 import validateSchema from '../validate.json';
 import groupsSchema from '../groups.json';
 import shipsExampleSchema from '../ships-example.json';
+import expressionFieldsSchema from '../expression-fields.json';
 import iframesSchema from '../iframes.json';
 
 describe('util/getSchemaVariables', () => {
@@ -126,6 +127,28 @@ describe('util/getSchemaVariables', () => {
   });
 
 
+  it('should include variables in disabled and required expressions', () => {
+
+    const schema = {
+      type: 'default',
+      components: [
+        {
+          type: 'textfield',
+          key: 'approver',
+          disabled: '=status = "closed"',
+          validate: {
+            required: '=amount > 1000'
+          }
+        }
+      ]
+    };
+
+    const variables = getSchemaVariables(schema);
+
+    expect(variables).to.eql([ 'status', 'amount', 'approver' ]);
+  });
+
+
   it('should include variables in labels', () => {
 
     const variables = getSchemaVariables(labelsSchema);
@@ -199,6 +222,22 @@ describe('util/getSchemaVariables', () => {
   });
 
 
+  it('should include variables in computed fields', () => {
+
+    const variables = getSchemaVariables(expressionFieldsSchema);
+
+    expect(variables).to.eql([
+      'price',
+      'quantity',
+      'taxRate',
+      'firstName',
+      'lastName',
+      'total',
+      'fullName'
+    ]);
+  });
+
+
   it('should include variables in ships example', () => {
 
     const variables = getSchemaVariables(shipsExampleSchema);
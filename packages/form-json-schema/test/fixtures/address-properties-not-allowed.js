@@ -0,0 +1,46 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'textfield',
+      key: 'street',
+      label: 'Street',
+      parts: [ 'street' ],
+      countries: [ 'DE' ],
+      validate: {
+        requiredParts: [ 'street' ]
+      }
+    }
+  ]
+};
+
+export const errors = [
+  {
+    instancePath: '/components/0/parts',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/27/then/properties/parts/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0/countries',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/27/then/properties/countries/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0/validate/requiredParts',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/27/then/properties/validate/properties/requiredParts/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/27/if',
+    keyword: 'if',
+    params: { failingKeyword: 'then' },
+    message: 'must match "then" schema'
+  }
+];
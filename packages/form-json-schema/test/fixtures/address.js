@@ -0,0 +1,21 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'address',
+      key: 'shippingAddress',
+      label: 'Shipping address',
+      parts: [ 'street', 'number', 'zip', 'city', 'country' ],
+      partLabels: {
+        zip: 'Postcode'
+      },
+      countries: [ 'AT', 'CH', 'DE' ],
+      validate: {
+        required: true,
+        requiredParts: [ 'street', 'zip', 'city' ]
+      }
+    }
+  ]
+};
+
+export const errors = null;
@@ -0,0 +1,37 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'number',
+      key: 'amount',
+      appearance: {
+        mask: '999',
+        storeUnmasked: true
+      }
+    }
+  ]
+};
+
+export const errors = [
+  {
+    instancePath: '/components/0/appearance/mask',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/28/then/properties/appearance/properties/mask/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0/appearance/storeUnmasked',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/28/then/properties/appearance/properties/storeUnmasked/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/28/if',
+    keyword: 'if',
+    params: { failingKeyword: 'then' },
+    message: 'must match "then" schema'
+  }
+];
@@ -0,0 +1,67 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'datagrid',
+      path: 'items',
+      isRepeating: true,
+      showOutline: true,
+      disableCollapse: true,
+      components: [
+        {
+          type: 'textarea',
+          key: 'notes'
+        }
+      ]
+    }
+  ]
+};
+
+export const errors = [
+  {
+    'instancePath': '/components/0/disableCollapse',
+    'keyword': 'false schema',
+    'message': 'boolean schema is false',
+    'params': {},
+    'schemaPath': '#/properties/components/items/allOf/1/allOf/24/then/properties/disableCollapse/false schema'
+  },
+  {
+    'instancePath': '/components/0',
+    'keyword': 'if',
+    'message': 'must match "then" schema',
+    'params': {
+      'failingKeyword': 'then'
+    },
+    'schemaPath': '#/properties/components/items/allOf/1/allOf/24/if'
+  },
+  {
+    'instancePath': '/components/0/showOutline',
+    'keyword': 'false schema',
+    'message': 'boolean schema is false',
+    'params': {},
+    'schemaPath': '#/properties/components/items/allOf/1/allOf/25/then/properties/showOutline/false schema'
+  },
+  {
+    'instancePath': '/components/0/components/0/type',
+    'keyword': 'enum',
+    'message': 'must be equal to one of the allowed values',
+    'params': {
+      'allowedValues': [
+        'checkbox',
+        'number',
+        'select',
+        'textfield'
+      ]
+    },
+    'schemaPath': '#/properties/components/items/allOf/1/allOf/25/then/properties/components/items/properties/type/enum'
+  },
+  {
+    'instancePath': '/components/0',
+    'keyword': 'if',
+    'message': 'must match "then" schema',
+    'params': {
+      'failingKeyword': 'then'
+    },
+    'schemaPath': '#/properties/components/items/allOf/1/allOf/25/if'
+  }
+];
@@ -0,0 +1,44 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'datagrid',
+      label: 'Line items',
+      path: 'items',
+      isRepeating: true,
+      defaultRepetitions: 2,
+      allowAddRemove: true,
+      components: [
+        {
+          type: 'textfield',
+          key: 'product',
+          label: 'Product',
+          validate: {
+            required: true
+          }
+        },
+        {
+          type: 'number',
+          key: 'quantity',
+          label: 'Quantity'
+        },
+        {
+          type: 'select',
+          key: 'unit',
+          label: 'Unit',
+          values: [
+            { label: 'Piece', value: 'piece' },
+            { label: 'Box', value: 'box' }
+          ]
+        },
+        {
+          type: 'checkbox',
+          key: 'express',
+          label: 'Express'
+        }
+      ]
+    }
+  ]
+};
+
+export const errors = null;
@@ -36,19 +36,28 @@ export const errors = [
     'params': {},
     'schemaPath': '#/properties/components/items/allOf/1/allOf/15/then/properties/allowAddRemove/false schema'
   },
+  {
+    'instancePath': '/components/0',
+    'keyword': 'if',
+    'message': 'must match "then" schema',
+    'params': {
+      'failingKeyword': 'then'
+    },
+    'schemaPath': '#/properties/components/items/allOf/1/allOf/15/if'
+  },
   {
     'instancePath': '/components/0/disableCollapse',
     'keyword': 'false schema',
     'message': 'boolean schema is false',
     'params': {},
-    'schemaPath': '#/properties/components/items/allOf/1/allOf/15/then/properties/disableCollapse/false schema'
+    'schemaPath': '#/properties/components/items/allOf/1/allOf/24/then/properties/disableCollapse/false schema'
   },
   {
     'instancePath': '/components/0/nonCollapsedItems',
     'keyword': 'false schema',
     'message': 'boolean schema is false',
     'params': {},
-    'schemaPath': '#/properties/components/items/allOf/1/allOf/15/then/properties/nonCollapsedItems/false schema'
+    'schemaPath': '#/properties/components/items/allOf/1/allOf/24/then/properties/nonCollapsedItems/false schema'
   },
   {
     'instancePath': '/components/0',
@@ -57,6 +66,6 @@ export const errors = [
     'params': {
       'failingKeyword': 'then'
     },
-    'schemaPath': '#/properties/components/items/allOf/1/allOf/15/if'
+    'schemaPath': '#/properties/components/items/allOf/1/allOf/24/if'
   }
 ];
\ No newline at end of file
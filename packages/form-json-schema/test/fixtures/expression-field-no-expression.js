@@ -0,0 +1,26 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'expression',
+      key: 'total'
+    }
+  ]
+};
+
+export const errors = [
+  {
+    instancePath: '/components/0',
+    schemaPath: '#/properties/components/items/allOf/0/allOf/2/then/required',
+    keyword: 'required',
+    params: { missingProperty: 'expression' },
+    message: 'must have required property \'expression\''
+  },
+  {
+    instancePath: '/components/0',
+    schemaPath: '#/properties/components/items/allOf/0/allOf/2/if',
+    keyword: 'if',
+    params: { failingKeyword: 'then' },
+    message: 'must match "then" schema'
+  }
+];
@@ -0,0 +1,35 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'textfield',
+      key: 'total',
+      expression: '=price * quantity',
+      hidden: true
+    }
+  ]
+};
+
+export const errors = [
+  {
+    instancePath: '/components/0/expression',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/30/then/properties/expression/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0/hidden',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/30/then/properties/hidden/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/30/if',
+    keyword: 'if',
+    params: { failingKeyword: 'then' },
+    message: 'must match "then" schema'
+  }
+];
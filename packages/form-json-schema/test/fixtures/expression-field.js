@@ -0,0 +1,29 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'number',
+      key: 'price',
+      label: 'Price'
+    },
+    {
+      type: 'number',
+      key: 'quantity',
+      label: 'Quantity'
+    },
+    {
+      type: 'expression',
+      key: 'total',
+      label: 'Total',
+      expression: '=price * quantity'
+    },
+    {
+      type: 'expression',
+      key: 'discount',
+      expression: '=if total > 100 then 0.1 else 0',
+      hidden: true
+    }
+  ]
+};
+
+export const errors = null;
@@ -6,6 +6,18 @@ export const form = {
       key: 'textfield_readonly_expression',
       readonly: '=foo'
     },
+    {
+      type: 'textfield',
+      key: 'textfield_disabled_expression',
+      disabled: '=foo'
+    },
+    {
+      type: 'textfield',
+      key: 'textfield_required_expression',
+      validate: {
+        required: '=foo'
+      }
+    },
     {
       type: 'textfield',
       key: 'textfield_label_expression',
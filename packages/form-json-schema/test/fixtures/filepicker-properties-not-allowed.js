@@ -0,0 +1,44 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'textfield',
+      key: 'name',
+      label: 'Name',
+      multiple: true,
+      accept: '.pdf',
+      maxFileSize: 1024
+    }
+  ]
+};
+
+export const errors = [
+  {
+    instancePath: '/components/0/multiple',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/19/then/properties/multiple/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0/accept',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/19/then/properties/accept/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0/maxFileSize',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/19/then/properties/maxFileSize/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/19/if',
+    keyword: 'if',
+    params: { failingKeyword: 'then' },
+    message: 'must match "then" schema'
+  }
+];
@@ -0,0 +1,18 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'filepicker',
+      key: 'attachments',
+      label: 'Attachments',
+      multiple: true,
+      accept: '.pdf,image/*',
+      maxFileSize: 10485760,
+      validate: {
+        required: true
+      }
+    }
+  ]
+};
+
+export const errors = null;
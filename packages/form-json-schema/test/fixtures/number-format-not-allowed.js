@@ -0,0 +1,35 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'textfield',
+      key: 'price',
+      numberFormat: 'currency',
+      currency: 'USD'
+    }
+  ]
+};
+
+export const errors = [
+  {
+    instancePath: '/components/0/numberFormat',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/29/then/properties/numberFormat/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0/currency',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/29/then/properties/currency/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/29/if',
+    keyword: 'if',
+    params: { failingKeyword: 'then' },
+    message: 'must match "then" schema'
+  }
+];
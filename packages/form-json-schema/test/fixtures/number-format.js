@@ -0,0 +1,21 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'number',
+      key: 'price',
+      label: 'Price',
+      numberFormat: 'currency',
+      currency: 'USD',
+      decimalDigits: 2
+    },
+    {
+      type: 'number',
+      key: 'discount',
+      label: 'Discount',
+      numberFormat: 'percent'
+    }
+  ]
+};
+
+export const errors = null;
@@ -0,0 +1,44 @@
+export const form = {
+  'components': [
+    {
+      'id': 'Page_1',
+      'label': 'Personal information',
+      'type': 'page',
+      'components': [
+        {
+          'key': 'name',
+          'label': 'Name',
+          'type': 'textfield',
+          'validate': {
+            'required': true
+          }
+        }
+      ]
+    },
+    {
+      'id': 'Page_2',
+      'label': 'Address',
+      'path': 'address',
+      'type': 'page',
+      'showOutline': false,
+      'verticalAlignment': 'start',
+      'conditional': {
+        'hide': '=name = "anonymous"'
+      },
+      'components': [
+        {
+          'key': 'street',
+          'label': 'Street',
+          'type': 'textfield'
+        }
+      ]
+    },
+    {
+      'label': 'Submit',
+      'type': 'button'
+    }
+  ],
+  'type': 'default'
+};
+
+export const errors = null;
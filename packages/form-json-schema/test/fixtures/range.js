@@ -0,0 +1,20 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'range',
+      key: 'volume',
+      label: 'Volume',
+      defaultValue: 50,
+      increment: '5',
+      decimalDigits: 0,
+      validate: {
+        required: true,
+        min: 0,
+        max: '=maxVolume'
+      }
+    }
+  ]
+};
+
+export const errors = null;
@@ -0,0 +1,43 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'rating',
+      key: 'satisfaction',
+      label: 'Satisfaction',
+      increment: '1',
+      serializeToString: true
+    }
+  ]
+};
+
+export const errors = [
+  {
+    instancePath: '/components/0/increment',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/6/then/properties/increment/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/6/if',
+    keyword: 'if',
+    params: { failingKeyword: 'then' },
+    message: 'must match "then" schema'
+  },
+  {
+    instancePath: '/components/0/serializeToString',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/22/then/properties/serializeToString/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/22/if',
+    keyword: 'if',
+    params: { failingKeyword: 'then' },
+    message: 'must match "then" schema'
+  }
+];
@@ -0,0 +1,18 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'rating',
+      key: 'satisfaction',
+      label: 'Satisfaction',
+      defaultValue: 3,
+      validate: {
+        required: true,
+        min: 2,
+        max: 5
+      }
+    }
+  ]
+};
+
+export const errors = null;
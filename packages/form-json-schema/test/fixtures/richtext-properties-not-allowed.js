@@ -0,0 +1,36 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'textarea',
+      key: 'comment',
+      label: 'Comment',
+      richTextFormat: 'html',
+      toolbar: [ 'bold' ]
+    }
+  ]
+};
+
+export const errors = [
+  {
+    instancePath: '/components/0/richTextFormat',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/21/then/properties/richTextFormat/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0/toolbar',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/21/then/properties/toolbar/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/21/if',
+    keyword: 'if',
+    params: { failingKeyword: 'then' },
+    message: 'must match "then" schema'
+  }
+];
@@ -0,0 +1,20 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'richtext',
+      key: 'comment',
+      label: 'Comment',
+      defaultValue: '**Hello** world',
+      richTextFormat: 'markdown',
+      toolbar: [ 'bold', 'italic', 'link' ],
+      validate: {
+        required: true,
+        minLength: 5,
+        maxLength: 500
+      }
+    }
+  ]
+};
+
+export const errors = null;
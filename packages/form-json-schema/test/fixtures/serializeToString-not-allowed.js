@@ -12,14 +12,14 @@ export const form = {
 export const errors = [
   {
     instancePath: '/components/0/serializeToString',
-    schemaPath: '#/properties/components/items/allOf/1/allOf/6/then/properties/serializeToString/false schema',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/22/then/properties/serializeToString/false schema',
     keyword: 'false schema',
     params: {},
     message: 'boolean schema is false'
   },
   {
     instancePath: '/components/0',
-    schemaPath: '#/properties/components/items/allOf/1/allOf/6/if',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/22/if',
     keyword: 'if',
     params: { failingKeyword: 'then' },
     message: 'must match "then" schema'
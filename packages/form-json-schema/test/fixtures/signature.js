@@ -0,0 +1,16 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'signature',
+      key: 'signature',
+      label: 'Signature',
+      signatureFormat: 'svg',
+      validate: {
+        required: true
+      }
+    }
+  ]
+};
+
+export const errors = null;
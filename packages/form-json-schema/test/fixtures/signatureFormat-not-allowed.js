@@ -0,0 +1,28 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'textfield',
+      key: 'name',
+      label: 'Name',
+      signatureFormat: 'png'
+    }
+  ]
+};
+
+export const errors = [
+  {
+    instancePath: '/components/0/signatureFormat',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/20/then/properties/signatureFormat/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/20/if',
+    keyword: 'if',
+    params: { failingKeyword: 'then' },
+    message: 'must match "then" schema'
+  }
+];
@@ -0,0 +1,68 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'text',
+      text: 'text',
+      dataProvider: { name: 'orders' }
+    },
+    {
+      type: 'table',
+      dataSource: '=orders',
+      dataProvider: { name: 'orders' },
+      columns: []
+    }
+  ]
+};
+
+export const errors = [
+  {
+    instancePath: '/components/0/dataProvider',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/17/then/properties/dataProvider/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/17/if',
+    keyword: 'if',
+    params: { failingKeyword: 'then' },
+    message: 'must match "then" schema'
+  },
+  {
+    instancePath: '/components/1',
+    schemaPath: '#/properties/components/items/allOf/0/allOf/1/then/oneOf/1/required',
+    keyword: 'required',
+    params: { missingProperty: 'columnsExpression' },
+    message: "must have required property 'columnsExpression'"
+  },
+  {
+    instancePath: '/components/1',
+    schemaPath: '#/properties/components/items/allOf/0/allOf/1/then/oneOf',
+    keyword: 'oneOf',
+    params: { passingSchemas: [ 0, 2 ] },
+    message: 'must match exactly one schema in oneOf'
+  },
+  {
+    instancePath: '/components/1',
+    schemaPath: '#/properties/components/items/allOf/0/allOf/1/if',
+    keyword: 'if',
+    params: { failingKeyword: 'then' },
+    message: 'must match "then" schema'
+  },
+  {
+    instancePath: '/components/1/dataSource',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/26/then/properties/dataSource/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/1',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/26/if',
+    keyword: 'if',
+    params: { failingKeyword: 'then' },
+    message: 'must match "then" schema'
+  }
+];
\ No newline at end of file
@@ -0,0 +1,27 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'table',
+      label: 'Orders',
+      rowCount: 20,
+      dataProvider: {
+        name: 'orders',
+        parameters: '={ customer: customer.id }'
+      },
+      columns: [
+        {
+          label: 'ID',
+          key: 'id'
+        },
+        {
+          label: 'Total',
+          key: 'total',
+          format: 'currency'
+        }
+      ]
+    }
+  ]
+};
+
+export const errors = null;
@@ -0,0 +1,65 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'table',
+      label: 'Invoices',
+      dataSource: '=invoices',
+      columns: [
+        {
+          label: 'Total',
+          key: 'total',
+          format: 'money',
+          currency: 'usd'
+        }
+      ]
+    },
+    {
+      type: 'textfield',
+      key: 'name',
+      downloadable: true
+    }
+  ]
+};
+
+export const errors = [
+  {
+    'instancePath': '/components/0/columns/0/format',
+    'keyword': 'enum',
+    'message': 'must be equal to one of the allowed values',
+    'params': {
+      'allowedValues': [
+        'date',
+        'number',
+        'currency',
+        'boolean'
+      ]
+    },
+    'schemaPath': '#/properties/components/items/properties/columns/items/properties/format/enum'
+  },
+  {
+    'instancePath': '/components/0/columns/0/currency',
+    'keyword': 'pattern',
+    'message': 'must match pattern "^[A-Z]{3}$"',
+    'params': {
+      'pattern': '^[A-Z]{3}$'
+    },
+    'schemaPath': '#/properties/components/items/properties/columns/items/properties/currency/pattern'
+  },
+  {
+    'instancePath': '/components/1/downloadable',
+    'keyword': 'false schema',
+    'message': 'boolean schema is false',
+    'params': {},
+    'schemaPath': '#/properties/components/items/allOf/1/allOf/17/then/properties/downloadable/false schema'
+  },
+  {
+    'instancePath': '/components/1',
+    'keyword': 'if',
+    'message': 'must match "then" schema',
+    'params': {
+      'failingKeyword': 'then'
+    },
+    'schemaPath': '#/properties/components/items/allOf/1/allOf/17/if'
+  }
+];
@@ -0,0 +1,33 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'table',
+      label: 'Invoices',
+      dataSource: '=invoices',
+      rowCount: 10,
+      searchable: true,
+      downloadable: true,
+      columns: [
+        {
+          label: 'Customer',
+          key: 'customer',
+          filterable: true
+        },
+        {
+          label: 'Total',
+          key: 'total',
+          format: 'currency',
+          currency: 'USD'
+        },
+        {
+          label: 'Due',
+          key: 'due',
+          format: 'date'
+        }
+      ]
+    }
+  ]
+};
+
+export const errors = null;
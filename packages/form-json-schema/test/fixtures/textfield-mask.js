@@ -0,0 +1,16 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'textfield',
+      key: 'iban',
+      label: 'IBAN',
+      appearance: {
+        mask: 'AA99 9999 9999 9999 9999 99',
+        storeUnmasked: true
+      }
+    }
+  ]
+};
+
+export const errors = null;
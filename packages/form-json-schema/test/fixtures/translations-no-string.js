@@ -0,0 +1,28 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      id: 'Textfield_1',
+      type: 'textfield',
+      key: 'name',
+      label: 'Name'
+    }
+  ],
+  translations: {
+    Textfield_1: {
+      de: {
+        label: false
+      }
+    }
+  }
+};
+
+export const errors = [
+  {
+    instancePath: '/translations/Textfield_1/de/label',
+    schemaPath: '#/properties/translations/additionalProperties/additionalProperties/properties/label/type',
+    keyword: 'type',
+    params: { type: 'string' },
+    message: 'must be string'
+  }
+];
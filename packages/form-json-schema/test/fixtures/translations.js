@@ -0,0 +1,30 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      id: 'Select_1',
+      type: 'select',
+      key: 'country',
+      label: 'Country',
+      values: [
+        {
+          label: 'Germany',
+          value: 'de'
+        }
+      ]
+    }
+  ],
+  translations: {
+    Select_1: {
+      de: {
+        label: 'Land',
+        description: 'Wohnsitz',
+        options: {
+          de: 'Deutschland'
+        }
+      }
+    }
+  }
+};
+
+export const errors = null;
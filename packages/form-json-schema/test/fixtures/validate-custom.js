@@ -0,0 +1,22 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'textfield',
+      key: 'iban',
+      validate: {
+        custom: 'iban'
+      }
+    },
+    {
+      type: 'number',
+      key: 'amount',
+      validate: {
+        min: 0,
+        custom: 'budget'
+      }
+    }
+  ]
+};
+
+export const errors = null;
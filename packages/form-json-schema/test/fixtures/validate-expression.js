@@ -0,0 +1,23 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'datetime',
+      key: 'startDate',
+      subtype: 'date',
+      dateLabel: 'Start date'
+    },
+    {
+      type: 'datetime',
+      key: 'endDate',
+      subtype: 'date',
+      dateLabel: 'End date',
+      validate: {
+        expression: '=date(endDate) > date(startDate)',
+        expressionMessage: 'End date must be after start date.'
+      }
+    }
+  ]
+};
+
+export const errors = null;
@@ -14,14 +14,14 @@ export const form = {
 export const errors = [
   {
     instancePath: '/components/0/validate/min',
-    schemaPath: '#/properties/components/items/allOf/1/allOf/6/then/properties/validate/properties/min/false schema',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/23/then/properties/validate/properties/min/false schema',
     keyword: 'false schema',
     params: {},
     message: 'boolean schema is false'
   },
   {
     instancePath: '/components/0',
-    schemaPath: '#/properties/components/items/allOf/1/allOf/6/if',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/23/if',
     keyword: 'if',
     params: { failingKeyword: 'then' },
     message: 'must match "then" schema'
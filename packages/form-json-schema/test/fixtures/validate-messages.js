@@ -0,0 +1,19 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'textfield',
+      key: 'username',
+      validate: {
+        required: true,
+        minLength: 3,
+        messages: {
+          required: 'Please choose a username.',
+          minLength: 'Usernames must have at least {minLength} characters.'
+        }
+      }
+    }
+  ]
+};
+
+export const errors = null;
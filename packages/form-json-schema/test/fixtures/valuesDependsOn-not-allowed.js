@@ -0,0 +1,27 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'textfield',
+      key: 'region',
+      valuesDependsOn: 'country'
+    }
+  ]
+};
+
+export const errors = [
+  {
+    instancePath: '/components/0/valuesDependsOn',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/8/then/properties/valuesDependsOn/false schema',
+    keyword: 'false schema',
+    params: {},
+    message: 'boolean schema is false'
+  },
+  {
+    instancePath: '/components/0',
+    schemaPath: '#/properties/components/items/allOf/1/allOf/8/if',
+    keyword: 'if',
+    params: { failingKeyword: 'then' },
+    message: 'must match "then" schema'
+  }
+];
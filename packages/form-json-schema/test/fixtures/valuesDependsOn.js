@@ -0,0 +1,29 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'select',
+      key: 'country',
+      label: 'Country',
+      valuesKey: 'countries'
+    },
+    {
+      type: 'select',
+      key: 'region',
+      label: 'Region',
+      valuesKey: 'regions',
+      valuesDependsOn: 'country'
+    },
+    {
+      type: 'taglist',
+      key: 'cities',
+      label: 'Cities',
+      valuesProvider: {
+        name: 'cities'
+      },
+      valuesDependsOn: 'region'
+    }
+  ]
+};
+
+export const errors = null;
@@ -0,0 +1,24 @@
+export const form = {
+  type: 'default',
+  components: [
+    {
+      type: 'select',
+      key: 'country',
+      label: 'Country',
+      valuesProvider: {
+        name: 'countries',
+        parameters: '={ region: region }'
+      }
+    },
+    {
+      type: 'taglist',
+      key: 'tags',
+      label: 'Tags',
+      valuesProvider: {
+        name: 'tags'
+      }
+    }
+  ]
+};
+
+export const errors = null;
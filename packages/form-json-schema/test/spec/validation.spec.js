@@ -102,17 +102,80 @@ describe('validation', function() {
   testForm('validate-validationType');
 
 
+  testForm('validate-custom');
+
+
+  testForm('validate-expression');
+
+
+  testForm('validate-messages');
+
+
   testForm('layout-empty-row');
 
 
   testForm('iframe');
 
 
+  testForm('pages');
+
+
+  testForm('translations');
+
+
+  testForm('translations-no-string');
+
+
+  testForm('valuesProvider');
+
+
+  testForm('valuesDependsOn');
+
+
+  testForm('filepicker');
+
+
+  testForm('signature');
+
+
+  testForm('richtext');
+
+
+  testForm('range');
+
+
+  testForm('rating');
+
+
+  testForm('datagrid');
+
+
+  testForm('table');
+
+
+  testForm('table-dataProvider');
+
+
+  testForm('address');
+
+
+  testForm('textfield-mask');
+
+
+  testForm('number-format');
+
+
+  testForm('expression-field');
+
+
   describe('rules - required properties', function() {
 
 
     testForm('no-key');
 
+
+    testForm('expression-field-no-expression');
+
   });
 
 
@@ -187,6 +250,12 @@ describe('validation', function() {
     testForm('valuesExpression-not-allowed');
 
 
+    testForm('valuesProvider-not-allowed');
+
+
+    testForm('valuesDependsOn-not-allowed');
+
+
     testForm('validate-max-not-allowed');
 
 
@@ -211,6 +280,15 @@ describe('validation', function() {
     testForm('appearance-suffixAdorner-not-allowed');
 
 
+    testForm('appearance-mask-not-allowed');
+
+
+    testForm('number-format-not-allowed');
+
+
+    testForm('expression-field-properties-not-allowed');
+
+
     testForm('defaultValue-not-allowed');
 
 
@@ -246,6 +324,18 @@ describe('validation', function() {
 
     testForm('columns-columnsExpression-exclusive');
 
+
+    testForm('filepicker-properties-not-allowed');
+
+
+    testForm('signatureFormat-not-allowed');
+
+
+    testForm('richtext-properties-not-allowed');
+
+
+    testForm('rating-properties-not-allowed');
+
   });
 
 
@@ -284,6 +374,18 @@ describe('validation', function() {
 
     testForm('dynamic-list-properties-not-allowed');
 
+
+    testForm('datagrid-properties-not-allowed');
+
+
+    testForm('table-properties-not-allowed');
+
+
+    testForm('table-dataProvider-not-allowed');
+
+
+    testForm('address-properties-not-allowed');
+
   });
 
 